@@ -8,6 +8,7 @@ const { v4: uuidv4 } = require('uuid');
 const redis = require('redis');
 const { OpenAI } = require('openai');
 const ImageFetcher = require('../utils/image_fetcher');
+const PersonaVersionStore = require('../services/personaVersionStore');
 
 class PersonaManager {
   constructor() {
@@ -219,7 +220,7 @@ class PersonaManager {
   }
 
   /**
-   * Update persona
+   * Update persona; the change is recorded as a new persona version
    */
   async updatePersona(personaId, userId, updateData) {
     const client = await this.pool.connect();
@@ -227,6 +228,14 @@ class PersonaManager {
     try {
       await client.query('BEGIN');
       
+      const existing = await client.query(
+        `SELECT * FROM personas WHERE id = $1 AND user_id = $2 AND status = 'active' FOR UPDATE`,
+        [personaId, userId]
+      );
+      if (existing.rows.length === 0) {
+        throw new Error('Persona not found or access denied');
+      }
+      
       // Build update query dynamically
       const fields = Object.keys(updateData).filter(key => key !== 'id');
       const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
@@ -246,6 +255,11 @@ class PersonaManager {
         throw new Error('Persona not found or access denied');
       }
       
+      await PersonaVersionStore.recordChange(client, 'persona', existing.rows[0], result.rows[0], {
+        changeSource: 'edit',
+        createdBy: userId
+      });
+      
       // Update cache
       await this.cachePersona(personaId, result.rows[0]);
       
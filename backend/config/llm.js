@@ -0,0 +1,118 @@
+/**
+ * LLM provider configuration
+ * Every provider the ProviderGateway can route to is described here, so
+ * switching vendors (or running fully offline with the local provider)
+ * is an environment change rather than a code change.
+ */
+
+const PLACEHOLDER_KEYS = new Set([
+  'your_openai_api_key_here',
+  'your_anthropic_api_key_here',
+  'your_grok_api_key_here'
+]);
+
+function readKey(name) {
+  const value = process.env[name];
+  if (!value || PLACEHOLDER_KEYS.has(value)) return null;
+  return value;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseJsonMap(raw, name) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid ${name} JSON:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * USD price per 1M tokens. Keys are matched as model-name prefixes, so
+ * dated snapshots (e.g. gpt-4o-2024-08-06) inherit their family's price.
+ * Override or extend with AI_PRICING='{"my-model":{"input":1,"output":2}}'.
+ */
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'grok-beta': { input: 5, output: 15 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'local-persona-v1': { input: 0, output: 0 },
+  'local-embedding-v1': { input: 0, output: 0 }
+};
+
+/**
+ * Build the provider configuration from the environment.
+ *
+ * AI_PROVIDER          default provider name (openai, anthropic, grok, compatible, local)
+ * AI_FALLBACK_CHAIN    comma-separated provider names tried after the default
+ * AI_TIMEOUT_MS        per-attempt timeout in milliseconds
+ * AI_USAGE_TRACKING    set to "false" to skip writing llm_usage rows
+ * AI_PROVIDERS         optional JSON map of extra named providers, e.g.
+ *                      {"ollama":{"type":"openai-compatible","baseURL":"http://localhost:11434/v1","defaultModel":"llama3"}}
+ */
+function getLLMConfig() {
+  const providers = {
+    openai: {
+      type: 'openai',
+      apiKey: readKey('OPENAI_API_KEY'),
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o',
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+    },
+    anthropic: {
+      type: 'anthropic',
+      apiKey: readKey('ANTHROPIC_API_KEY'),
+      defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022'
+    },
+    grok: {
+      type: 'openai-compatible',
+      apiKey: readKey('GROK_API_KEY'),
+      baseURL: process.env.GROK_BASE_URL || 'https://api.x.ai/v1',
+      defaultModel: process.env.GROK_MODEL || 'grok-beta'
+    },
+    compatible: {
+      type: 'openai-compatible',
+      apiKey: readKey('OPENAI_COMPATIBLE_API_KEY') || 'not-needed',
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+      defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || 'default'
+    },
+    local: {
+      type: 'local',
+      defaultModel: 'local-persona-v1'
+    },
+    ...parseJsonMap(process.env.AI_PROVIDERS, 'AI_PROVIDERS')
+  };
+
+  // The offline local provider only answers when named in AI_PROVIDER or AI_FALLBACK_CHAIN
+  const defaultChain = ['openai', 'anthropic', 'grok', 'compatible'];
+  const fallbackChain = parseList(process.env.AI_FALLBACK_CHAIN);
+
+  return {
+    defaultProvider: process.env.AI_PROVIDER || 'openai',
+    fallbackChain: fallbackChain.length > 0 ? fallbackChain : defaultChain,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 60000,
+    trackUsage: process.env.AI_USAGE_TRACKING !== 'false',
+    pricing: { ...MODEL_PRICING, ...parseJsonMap(process.env.AI_PRICING, 'AI_PRICING') },
+    providers
+  };
+}
+
+module.exports = {
+  MODEL_PRICING,
+  getLLMConfig,
+  parseList
+};
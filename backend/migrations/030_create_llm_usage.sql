@@ -0,0 +1,34 @@
+-- Token usage and cost accounting for every LLM call routed through the ProviderGateway
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    feature VARCHAR(100) DEFAULT 'unknown',
+    user_id VARCHAR(100),
+    session_id VARCHAR(100),
+    agent_id VARCHAR(100),
+    project_id VARCHAR(100),
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    cost_usd NUMERIC(12, 6) DEFAULT 0,
+    latency_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_project_id ON llm_usage(project_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_feature ON llm_usage(feature);
+
+-- Per-project spend limits; calls tagged with a project are rejected once its budget is used up
+CREATE TABLE IF NOT EXISTS llm_budgets (
+    project_id VARCHAR(100) PRIMARY KEY,
+    budget_usd NUMERIC(12, 2) NOT NULL,
+    period VARCHAR(20) DEFAULT 'monthly' CHECK (period IN ('daily', 'monthly', 'total')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE llm_usage IS 'One row per successful LLM call with token counts, latency and estimated cost';
+COMMENT ON COLUMN llm_usage.feature IS 'Calling feature, e.g. ai_chat, parallel_chat, persona_generation, design_feedback';
+COMMENT ON TABLE llm_budgets IS 'Per-project LLM spend limits enforced by the ProviderGateway';
@@ -0,0 +1,27 @@
+-- Durable storage for user research sessions (group discussions and 1:1 interviews)
+-- Replaces the in-memory array in routes/sessions.js and the SERIAL-keyed table from 003
+CREATE TABLE IF NOT EXISTS research_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('group', '1on1')),
+    topic TEXT NOT NULL,
+    agent_ids UUID[] NOT NULL,
+    agents JSONB NOT NULL DEFAULT '[]'::jsonb,
+    log_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status VARCHAR(20) DEFAULT 'completed',
+    duration_minutes INTEGER,
+    insights TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_sessions_created_at ON research_sessions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_research_sessions_type ON research_sessions(type);
+CREATE INDEX IF NOT EXISTS idx_research_sessions_agent_ids ON research_sessions USING GIN(agent_ids);
+CREATE INDEX IF NOT EXISTS idx_research_sessions_active ON research_sessions(created_at DESC) WHERE deleted_at IS NULL;
+
+COMMENT ON TABLE research_sessions IS 'Permanent record of simulated user research sessions';
+COMMENT ON COLUMN research_sessions.agents IS 'Roster snapshot: [{id, name, location, avatar_url}] at session time';
+COMMENT ON COLUMN research_sessions.log_json IS 'Conversation turns: [{speaker, text, audioUrl, avatar, timestamp}]';
+COMMENT ON COLUMN research_sessions.deleted_at IS 'Soft delete marker; rows with a value are hidden from listings';
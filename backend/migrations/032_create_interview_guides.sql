@@ -0,0 +1,36 @@
+-- Discussion guides for 1:1 persona interviews and the runs that replay them
+CREATE TABLE IF NOT EXISTS interview_guides (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    description TEXT,
+    sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS interview_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    guide_id UUID NOT NULL REFERENCES interview_guides(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL,
+    agent_name TEXT,
+    session_id UUID REFERENCES research_sessions(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    transcript JSONB NOT NULL DEFAULT '{}'::jsonb,
+    coverage JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_guides_active ON interview_guides(created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_interview_runs_guide ON interview_runs(guide_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_interview_runs_agent ON interview_runs(agent_id);
+
+COMMENT ON TABLE interview_guides IS 'Discussion guides: ordered sections of questions with probes and time boxes';
+COMMENT ON COLUMN interview_guides.sections IS '[{id, title, timeBoxMinutes, questions: [{id, text, probes: [], timeBoxSeconds}]}]';
+COMMENT ON TABLE interview_runs IS 'One replay of a guide against one persona';
+COMMENT ON COLUMN interview_runs.transcript IS 'Keyed by guide question id: {sectionId, question, turns, answer, probesUsed, status}';
+COMMENT ON COLUMN interview_runs.coverage IS 'Summary: {total, covered, partial, skipped, coveragePct}';
@@ -0,0 +1,21 @@
+-- Answers from /api/ai/parallel/parallel-chat and /batch-chat, kept so the
+-- same prompt can be compared side by side across personas
+CREATE TABLE IF NOT EXISTS parallel_responses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('parallel', 'batch')),
+    question TEXT NOT NULL,
+    agent_id TEXT NOT NULL,
+    agent_name TEXT,
+    response TEXT,
+    success BOOLEAN NOT NULL DEFAULT true,
+    session_id TEXT,
+    project_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_parallel_responses_run ON parallel_responses(run_id);
+CREATE INDEX IF NOT EXISTS idx_parallel_responses_session ON parallel_responses(session_id, created_at);
+
+COMMENT ON TABLE parallel_responses IS 'One row per agent answer from a parallel or batch chat request';
+COMMENT ON COLUMN parallel_responses.run_id IS 'Groups the answers produced by one parallel-chat / batch-chat request';
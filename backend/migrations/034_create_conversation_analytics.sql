@@ -0,0 +1,49 @@
+-- Incremental conversation analytics: every stored chat, call and research
+-- session message is scored and clustered once, then dashboards read results
+CREATE TABLE IF NOT EXISTS analytics_themes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label TEXT NOT NULL,
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    keyword_counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    centroid JSONB NOT NULL,
+    embedding_model VARCHAR(100) NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS analytics_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('chat', 'conversation', 'call', 'session')),
+    source_id TEXT NOT NULL,
+    session_ref TEXT,
+    agent_id TEXT,
+    agent_name TEXT,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'agent')),
+    content TEXT NOT NULL,
+    sentiment_score REAL NOT NULL DEFAULT 0,
+    sentiment_label VARCHAR(10) NOT NULL DEFAULT 'neutral',
+    theme_id UUID REFERENCES analytics_themes(id) ON DELETE SET NULL,
+    theme_similarity REAL,
+    message_created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (source, source_id)
+);
+
+-- High-water mark per source so each run only reads new rows
+CREATE TABLE IF NOT EXISTS analytics_watermarks (
+    source VARCHAR(20) PRIMARY KEY,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    processed_total INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_messages_created ON analytics_messages(message_created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_messages_agent ON analytics_messages(agent_id, message_created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_messages_theme ON analytics_messages(theme_id, message_created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_messages_session ON analytics_messages(session_ref);
+
+COMMENT ON TABLE analytics_messages IS 'One analyzed message from chat (messages), conversations, voice_events or research_sessions.log_json';
+COMMENT ON COLUMN analytics_messages.source_id IS 'Row id in the source table; "<session id>:<turn index>" for research sessions';
+COMMENT ON COLUMN analytics_messages.sentiment_score IS 'Lexicon sentiment in [-1, 1]';
+COMMENT ON TABLE analytics_themes IS 'Embedding clusters; centroid is the running mean of member embeddings';
@@ -0,0 +1,49 @@
+-- Affinity-mapping boards: quotes pulled from research sessions and saved
+-- chat conversations, grouped into labelled clusters researchers can rearrange
+CREATE TABLE IF NOT EXISTS affinity_boards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    description TEXT,
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS affinity_clusters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    board_id UUID NOT NULL REFERENCES affinity_boards(id) ON DELETE CASCADE,
+    label TEXT NOT NULL,
+    suggested_label TEXT,
+    color VARCHAR(20),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS affinity_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    board_id UUID NOT NULL REFERENCES affinity_boards(id) ON DELETE CASCADE,
+    cluster_id UUID REFERENCES affinity_clusters(id) ON DELETE SET NULL,
+    quote TEXT NOT NULL,
+    speaker TEXT,
+    agent_id TEXT,
+    source_type VARCHAR(30) NOT NULL CHECK (source_type IN ('session', 'saved_conversation')),
+    source_id TEXT NOT NULL,
+    message_ref TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_affinity_boards_created_at ON affinity_boards(created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_affinity_clusters_board ON affinity_clusters(board_id, position);
+CREATE INDEX IF NOT EXISTS idx_affinity_notes_board ON affinity_notes(board_id, cluster_id, position);
+CREATE INDEX IF NOT EXISTS idx_affinity_notes_tags ON affinity_notes USING GIN(tags);
+
+COMMENT ON COLUMN affinity_boards.sources IS 'Inputs the board was generated from: [{type: session|saved_conversation, id, title}]';
+COMMENT ON COLUMN affinity_clusters.suggested_label IS 'Label proposed at generation time, kept after researchers rename the cluster';
+COMMENT ON COLUMN affinity_notes.cluster_id IS 'NULL means the quote sits in the Ungrouped column';
+COMMENT ON COLUMN affinity_notes.message_ref IS 'Turn index in research_sessions.log_json or message id in the saved conversation';
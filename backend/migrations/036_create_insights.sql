@@ -0,0 +1,43 @@
+-- Insight repository: research findings with links to the evidence behind them
+CREATE TABLE IF NOT EXISTS insights (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    statement TEXT NOT NULL,
+    confidence VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (confidence IN ('low', 'medium', 'high')),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'validated', 'archived')),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    prd_id UUID REFERENCES prds(id) ON DELETE SET NULL,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    search_vector tsvector GENERATED ALWAYS AS (
+        to_tsvector('english', coalesce(title, '') || ' ' || coalesce(statement, ''))
+    ) STORED
+);
+
+CREATE TABLE IF NOT EXISTS insight_evidence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    insight_id UUID NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+    evidence_type VARCHAR(30) NOT NULL CHECK (evidence_type IN ('chat_message', 'session_turn', 'transcript_excerpt', 'feedback_item')),
+    source_id TEXT NOT NULL,
+    source_ref TEXT,
+    excerpt TEXT NOT NULL,
+    speaker TEXT,
+    note TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_insights_active ON insights(updated_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_insights_product ON insights(product_id);
+CREATE INDEX IF NOT EXISTS idx_insights_prd ON insights(prd_id);
+CREATE INDEX IF NOT EXISTS idx_insights_tags ON insights USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_insights_search ON insights USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_insight_evidence_insight ON insight_evidence(insight_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_insight_evidence_source ON insight_evidence(evidence_type, source_id);
+
+COMMENT ON TABLE insight_evidence IS 'Supporting evidence for an insight; excerpt is a snapshot so evidence survives edits to the source';
+COMMENT ON COLUMN insight_evidence.source_id IS 'messages.id, research_sessions.id, ai_agents.id (mapped transcript) or feedback_items.id';
+COMMENT ON COLUMN insight_evidence.source_ref IS 'Turn index for session_turn; source file name or character range for transcript_excerpt';
@@ -0,0 +1,19 @@
+-- Persona drift detection: one row per evaluated agent reply, scored against
+-- the persona's speech patterns, vocabulary, knowledge level and demographics
+CREATE TABLE IF NOT EXISTS persona_consistency_checks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agent_id UUID NOT NULL,
+    source VARCHAR(30) NOT NULL DEFAULT 'ai_chat',
+    session_id TEXT,
+    reply_excerpt TEXT NOT NULL,
+    score NUMERIC(4,3) NOT NULL,
+    dimension_scores JSONB NOT NULL DEFAULT '{}'::jsonb,
+    issues JSONB NOT NULL DEFAULT '[]'::jsonb,
+    drifted BOOLEAN NOT NULL DEFAULT false,
+    regenerated BOOLEAN NOT NULL DEFAULT false,
+    evaluator VARCHAR(20) NOT NULL DEFAULT 'heuristic',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_consistency_agent ON persona_consistency_checks(agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_persona_consistency_drifted ON persona_consistency_checks(agent_id) WHERE drifted;
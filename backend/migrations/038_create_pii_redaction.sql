@@ -0,0 +1,40 @@
+-- PII redaction: one audit row per upload that went through the redaction
+-- stage before an LLM call, and an encrypted vault mapping each placeholder
+-- back to the original value for authorized admins
+CREATE TABLE IF NOT EXISTS pii_redaction_audits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(50) NOT NULL,
+    source_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+    counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    placeholders JSONB NOT NULL DEFAULT '[]'::jsonb,
+    total_redactions INTEGER NOT NULL DEFAULT 0,
+    rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+    vault_stored BOOLEAN NOT NULL DEFAULT false,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pii_vault_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    audit_id UUID NOT NULL REFERENCES pii_redaction_audits(id) ON DELETE CASCADE,
+    placeholder VARCHAR(40) NOT NULL,
+    pii_type VARCHAR(30) NOT NULL,
+    encrypted_value TEXT NOT NULL,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (audit_id, placeholder)
+);
+
+-- Every vault read is logged
+CREATE TABLE IF NOT EXISTS pii_vault_access_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    audit_id UUID NOT NULL REFERENCES pii_redaction_audits(id) ON DELETE CASCADE,
+    accessed_by TEXT NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_redaction_audits_created ON pii_redaction_audits(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pii_redaction_audits_source ON pii_redaction_audits(source);
+CREATE INDEX IF NOT EXISTS idx_pii_vault_entries_audit ON pii_vault_entries(audit_id);
+CREATE INDEX IF NOT EXISTS idx_pii_vault_access_audit ON pii_vault_access_log(audit_id, created_at DESC);
@@ -0,0 +1,40 @@
+-- Persona versioning: every change to a transcript-built persona is stored
+-- as a full snapshot instead of overwriting the ai_agents row in place
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS persona_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS persona_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agent_id UUID NOT NULL REFERENCES ai_agents(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    snapshot JSONB NOT NULL,
+    change_source VARCHAR(30) NOT NULL DEFAULT 'initial',
+    change_summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (agent_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_versions_agent ON persona_versions(agent_id, version DESC);
+
+-- A new transcript for an existing respondent: the merged fields wait here
+-- until the researcher accepts or rejects each change
+CREATE TABLE IF NOT EXISTS persona_update_proposals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agent_id UUID NOT NULL REFERENCES ai_agents(id) ON DELETE CASCADE,
+    base_version INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    source_file TEXT,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    proposed_persona JSONB NOT NULL,
+    field_provenance JSONB NOT NULL DEFAULT '{}'::jsonb,
+    quote_evidence JSONB NOT NULL DEFAULT '[]'::jsonb,
+    redaction_audit_id UUID,
+    applied_version INTEGER,
+    decisions JSONB,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_update_proposals_agent ON persona_update_proposals(agent_id, created_at DESC);
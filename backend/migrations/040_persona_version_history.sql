@@ -0,0 +1,19 @@
+-- Version history for every persona store, not only transcript updates:
+-- ai_agents, the legacy agents table and v2 personas all record a snapshot
+-- per change. History deliberately outlives the persona row, so the foreign
+-- key to ai_agents is dropped.
+ALTER TABLE persona_versions ADD COLUMN IF NOT EXISTS persona_type VARCHAR(20) NOT NULL DEFAULT 'ai_agent';
+ALTER TABLE persona_versions DROP CONSTRAINT IF EXISTS persona_versions_agent_id_fkey;
+ALTER TABLE persona_versions DROP CONSTRAINT IF EXISTS persona_versions_agent_id_version_key;
+DROP INDEX IF EXISTS idx_persona_versions_agent;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_persona_versions_type_agent_version ON persona_versions(persona_type, agent_id, version DESC);
+
+COMMENT ON COLUMN persona_versions.persona_type IS 'ai_agent (ai_agents), agent (legacy agents) or persona (v2 personas)';
+COMMENT ON COLUMN persona_versions.snapshot IS 'Row as it was after the change, without id, timestamps or lifecycle columns (versions written before migration 040 hold the persona document only)';
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS persona_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE personas ADD COLUMN IF NOT EXISTS persona_version INTEGER NOT NULL DEFAULT 1;
+
+-- Which persona version each participant ran as, so sessions can be reproduced
+ALTER TABLE research_sessions ADD COLUMN IF NOT EXISTS persona_versions JSONB NOT NULL DEFAULT '{}'::jsonb;
+COMMENT ON COLUMN research_sessions.persona_versions IS 'Persona version per participant: {agentId: version}';
@@ -0,0 +1,21 @@
+-- Design tokens extracted from a product's Figma styles and variables.
+-- Every extraction that changes the tokens is kept as a new version so
+-- exports can be rebuilt against the tokens they were made with.
+CREATE TABLE IF NOT EXISTS design_token_sets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    file_key VARCHAR(64),
+    -- Mode names, default first (e.g. ["light", "dark"])
+    modes JSONB NOT NULL DEFAULT '["default"]'::jsonb,
+    -- { color, spacing, typography, borderRadius, shadows } keyed by token name
+    tokens JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Figma style / variable ids -> token path, for resolving node bindings
+    refs JSONB NOT NULL DEFAULT '{}'::jsonb,
+    token_count INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (product_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_design_token_sets_product ON design_token_sets(product_id, version DESC);
@@ -0,0 +1,49 @@
+-- Heuristic sets used to score design feedback runs (Nielsen's 10, WCAG 2.2 AA
+-- items, compliance copy rules, brand checklists...). A set is identified by
+-- its slug; every edit is stored as a new version so past runs keep pointing
+-- at the exact items they were scored against.
+CREATE TABLE IF NOT EXISTS heuristic_sets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    slug VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(50) NOT NULL DEFAULT 'usability', -- 'usability', 'accessibility', 'content', 'brand', 'compliance'
+    -- [{ code, name, description, category }] in scoring order
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (slug, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_heuristic_sets_slug ON heuristic_sets(slug, version DESC);
+
+-- One pass / fail / na verdict per agent per item of the set chosen for a run
+CREATE TABLE IF NOT EXISTS heuristic_evaluations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    design_artifact_id UUID NOT NULL,
+    heuristic_set_id UUID NOT NULL REFERENCES heuristic_sets(id),
+    agent_id UUID NOT NULL,
+    item_code VARCHAR(100) NOT NULL,
+    result VARCHAR(10) NOT NULL CHECK (result IN ('pass', 'fail', 'na')),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_heuristic_evaluations_artifact ON heuristic_evaluations(design_artifact_id, created_at DESC);
+
+-- Nielsen's 10 usability heuristics, the default set for feedback runs
+INSERT INTO heuristic_sets (slug, version, name, description, category, items, created_by) VALUES
+('nielsen-10', 1, 'Nielsen''s 10 Usability Heuristics', 'General usability principles for interaction design.', 'usability', '[
+    {"code": "visibility_of_system_status", "name": "Visibility of System Status", "description": "The system should always keep users informed about what is going on, through appropriate feedback within reasonable time.", "category": "usability"},
+    {"code": "match_system_real_world", "name": "Match Between System and Real World", "description": "The system should speak the users language, with words, phrases and concepts familiar to the user.", "category": "usability"},
+    {"code": "user_control_freedom", "name": "User Control and Freedom", "description": "Users often choose system functions by mistake and will need a clearly marked emergency exit.", "category": "usability"},
+    {"code": "consistency_standards", "name": "Consistency and Standards", "description": "Users should not have to wonder whether different words, situations, or actions mean the same thing.", "category": "usability"},
+    {"code": "error_prevention", "name": "Error Prevention", "description": "Even better than good error messages is a careful design which prevents a problem from occurring in the first place.", "category": "usability"},
+    {"code": "recognition_recall", "name": "Recognition Rather Than Recall", "description": "Minimize the user''s memory load by making objects, actions, and options visible.", "category": "usability"},
+    {"code": "flexibility_efficiency", "name": "Flexibility and Efficiency of Use", "description": "Accelerators may be unseen by the novice user, but can speed up the interaction for the expert user.", "category": "usability"},
+    {"code": "aesthetic_minimalist", "name": "Aesthetic and Minimalist Design", "description": "Dialogues should not contain information which is irrelevant or rarely needed.", "category": "usability"},
+    {"code": "help_recognize_errors", "name": "Help Users Recognize, Diagnose, and Recover from Errors", "description": "Error messages should be expressed in plain language, precisely indicate the problem, and constructively suggest a solution.", "category": "usability"},
+    {"code": "help_documentation", "name": "Help and Documentation", "description": "Even though it is better if the system can be used without documentation, it may be necessary to provide help and documentation.", "category": "usability"}
+]'::jsonb, 'system')
+ON CONFLICT (slug, version) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Versions of a screen: artifacts that are iterations of the same design share
+-- a screen_id (the first version's artifact id) and count up screen_version.
+ALTER TABLE design_artifacts ADD COLUMN IF NOT EXISTS screen_id UUID;
+ALTER TABLE design_artifacts ADD COLUMN IF NOT EXISTS screen_version INTEGER NOT NULL DEFAULT 1;
+UPDATE design_artifacts SET screen_id = id WHERE screen_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_design_artifacts_screen ON design_artifacts(screen_id, screen_version);
+
+-- One row per multi-agent feedback run, so runs on different versions of a
+-- screen can be compared (resolved / persisting / new issues) and trended.
+CREATE TABLE IF NOT EXISTS design_feedback_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    design_artifact_id UUID NOT NULL REFERENCES design_artifacts(id) ON DELETE CASCADE,
+    screen_id UUID,
+    screen_version INTEGER,
+    heuristic_set_id UUID REFERENCES heuristic_sets(id),
+    agent_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    summary TEXT,
+    statistics JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- { critical, high, medium, low } over every problem raised in the run
+    severity_counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_design_feedback_runs_screen ON design_feedback_runs(screen_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_design_feedback_runs_artifact ON design_feedback_runs(design_artifact_id, created_at DESC);
+
+ALTER TABLE feedback_items ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES design_feedback_runs(id) ON DELETE CASCADE;
+ALTER TABLE heuristic_evaluations ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES design_feedback_runs(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_feedback_items_run ON feedback_items(run_id);
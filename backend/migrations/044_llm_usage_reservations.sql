@@ -0,0 +1,7 @@
+-- Budgeted calls insert a 'reserved' row with their estimated cost before the
+-- provider is called (inside the budget check's transaction), then settle it
+-- to 'recorded' with the real usage, so parallel calls cannot overshoot.
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'recorded'
+    CHECK (status IN ('reserved', 'recorded'));
+
+COMMENT ON COLUMN llm_usage.status IS 'reserved = estimate held against the budget while the call runs; recorded = actual usage';
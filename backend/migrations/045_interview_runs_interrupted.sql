@@ -0,0 +1,5 @@
+-- Guide runs execute in the web process; runs a restart cut off are marked
+-- 'interrupted' on startup instead of staying 'queued' or 'running' forever.
+ALTER TABLE interview_runs DROP CONSTRAINT IF EXISTS interview_runs_status_check;
+ALTER TABLE interview_runs ADD CONSTRAINT interview_runs_status_check
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'interrupted'));
@@ -6,6 +6,10 @@
 const express = require('express');
 const { ChatOpenAI } = require("@langchain/openai");
 const { pool } = require('../models/database');
+const { toPromptText, describe, locateQuotes } = require('../services/transcriptNormalizer');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { redactUpload } = require('../services/piiRedaction');
+const { PROVENANCE_INSTRUCTIONS, buildProvenance } = require('../services/personaProvenance');
 
 const router = express.Router();
 
@@ -16,7 +20,7 @@ const router = express.Router();
  */
 router.post('/upload', async (req, res) => {
     try {
-        const { transcript, requestId } = req.body;
+        const { transcript, requestId, filename } = req.body;
         
         if (!transcript) {
             return res.status(400).json({ error: 'Transcript is required' });
@@ -39,19 +43,40 @@ router.post('/upload', async (req, res) => {
 
         console.log('📝 Processing transcript (accurate extraction)...');
         emit('received', 'Transcript received');
+
+        // Label every turn as Moderator / Respondent whatever the upload's layout;
+        // VTT / SRT / meeting JSON exports keep their cue timestamps
+        let normalized;
+        try {
+            normalized = loadTranscript(transcript, { filename, roles: req.body.speakerRoles || {} });
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+        if (normalized.respondents.length === 0) {
+            return res.status(400).json({ error: 'Could not find any respondent turns in the transcript' });
+        }
+        emit('normalized', `Detected ${normalized.speakers.length} speaker(s) in ${normalized.source === 'text' ? normalized.format : normalized.source} format`, describe(normalized));
+
+        // Strip PAN / Aadhaar / phone / account numbers before the transcript reaches the LLM
+        const { items: [redacted], redaction } = await redactUpload([normalized], {
+            source: 'accurate_transcript',
+            sourceFiles: [filename || 'pasted_transcript'],
+            createdBy: req.user?.id
+        });
+        emit('redacted', `Redacted ${redaction.total} personal identifier(s)`, redaction);
         
         // Use OpenAI to extract persona from transcript EXACTLY
         const llm = new ChatOpenAI({
             modelName: "gpt-4o",
             temperature: 0.0, // Zero temperature for exact extraction
-            maxTokens: 4000,
+            maxTokens: 8000, // room for field_provenance citations
             openAIApiKey: process.env.OPENAI_API_KEY
         });
         
         const prompt = `You are a comprehensive persona extractor. Extract ALL available information from this user research transcript with 50+ detailed fields.
 
 CRITICAL EXTRACTION RULES:
-1. Extract ONLY from "Respondent:" answers (IGNORE "Moderator:" questions)
+1. Extract ONLY from "Respondent" turns (IGNORE "Moderator" questions)
 2. Use EXACT information as stated - no inference or generation
 3. For missing data, use null or empty arrays []
 4. Capture nuanced details, emotions, and context
@@ -184,8 +209,10 @@ EXTRACTION TIPS:
 - Trust factors: What makes them trust or distrust something?
 - Emotional profile: How do they express emotions? What triggers them?
 
+${PROVENANCE_INSTRUCTIONS}
+
 Transcript:
-${transcript}
+${toPromptText(redacted)}
 
 Return ONLY valid JSON with ALL fields filled based on available data. Use [] or null for missing information. No markdown, no explanation.`;
 
@@ -207,6 +234,13 @@ Return ONLY valid JSON with ALL fields filled based on available data. Use [] or
             emit('llm_parse_error', 'Failed to parse AI response as JSON', { raw: jsonContent?.slice(0, 500) });
             throw e;
         }
+        // Link each key quote to the turn and recording timestamp it came from
+        personaData.quote_evidence = locateQuotes(personaData.key_quotes, redacted)
+            .map(evidence => ({ ...evidence, source: filename || 'transcript' }));
+        // Check the model's citations and mark every other field inferred or synthetic
+        personaData.field_provenance = buildProvenance(personaData, redacted, { source: filename || 'transcript' });
+        emit('provenance', 'Traced persona fields to transcript turns', personaData.field_provenance.summary);
+
         emit('llm_success', 'Persona extracted from transcript', { name: personaData?.name, occupation: personaData?.profession?.occupation || personaData?.occupation });
         
         console.log('✅ Extracted persona:', personaData);
@@ -352,6 +386,8 @@ Return ONLY valid JSON with ALL fields filled based on available data. Use [] or
             success: true,
             agent: savedAgent,
             extracted_data: personaData,
+            transcript: describe(normalized),
+            redaction,
             message: `Persona generated from transcript: ${savedAgent.name}`
         });
         
@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+
+const AffinityBoardStore = require('../services/affinityBoardStore');
+const SessionStore = require('../services/sessionStore');
+const { getSavedConversationById } = require('../services/chatService');
+const {
+    turnsFromSession,
+    turnsFromSavedConversation,
+    extractQuotes,
+    buildAffinityMap
+} = require('../services/affinityMapper');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SAVED_CONVERSATION_ID_PATTERN = /^\d+$/;
+const MAX_SOURCES = 50;
+
+const isIdList = ids => Array.isArray(ids) && ids.every(id => UUID_PATTERN.test(id));
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+/**
+ * Resolve the requested sessions and saved conversations into speaker turns
+ */
+async function loadSources({ sessionIds = [], savedConversationIds = [] }) {
+    const sources = [];
+    const turns = [];
+    const missing = [];
+
+    for (const id of sessionIds) {
+        const session = UUID_PATTERN.test(id) ? await SessionStore.getById(id) : null;
+        if (!session) {
+            missing.push(`session ${id}`);
+            continue;
+        }
+        sources.push({ type: 'session', id: session.id, title: session.topic });
+        turns.push(...turnsFromSession(session));
+    }
+
+    for (const id of savedConversationIds) {
+        // Saved conversations have numeric ids; getSavedConversationById would parseInt "7abc" to 7
+        const conversation = SAVED_CONVERSATION_ID_PATTERN.test(String(id)) ? await getSavedConversationById(id) : null;
+        if (!conversation) {
+            missing.push(`saved conversation ${id}`);
+            continue;
+        }
+        sources.push({
+            type: 'saved_conversation',
+            id: String(conversation.id),
+            title: conversation.conversationId || `Conversation ${conversation.id}`
+        });
+        turns.push(...turnsFromSavedConversation(conversation));
+    }
+
+    return { sources, turns, missing };
+}
+
+/**
+ * POST /api/affinity-boards
+ * Generate a board from research sessions and/or saved chat conversations
+ * Body: { title, description?, sessionIds?: [], savedConversationIds?: [], suggestLabels?: true }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { title, description, sessionIds = [], savedConversationIds = [], suggestLabels = true } = req.body;
+
+        if (!Array.isArray(sessionIds) || !Array.isArray(savedConversationIds)) {
+            return res.status(400).json({ error: 'sessionIds and savedConversationIds must be arrays' });
+        }
+        const sourceCount = sessionIds.length + savedConversationIds.length;
+        if (sourceCount === 0 || sourceCount > MAX_SOURCES) {
+            return res.status(400).json({ error: `Select between 1 and ${MAX_SOURCES} sessions or saved conversations` });
+        }
+
+        const { sources, turns, missing } = await loadSources({ sessionIds, savedConversationIds });
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Not found: ${missing.join(', ')}` });
+        }
+
+        const quotes = extractQuotes(turns);
+        if (quotes.length === 0) {
+            return res.status(422).json({ error: 'No respondent quotes found in the selected conversations' });
+        }
+
+        const { clusters, ungrouped } = await buildAffinityMap(quotes, {
+            useLLM: suggestLabels !== false,
+            tags: { userId: req.user?.id }
+        });
+
+        const board = await AffinityBoardStore.create({
+            title: title || `Affinity map · ${sources.map(source => source.title).join(', ').slice(0, 80)}`,
+            description: description || null,
+            sources,
+            createdBy: req.user?.id || null,
+            clusters,
+            ungrouped
+        });
+
+        res.status(201).json({ success: true, board: await AffinityBoardStore.getById(board.id) });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to generate affinity board');
+    }
+});
+
+/**
+ * GET /api/affinity-boards
+ * Query: ?page=1&limit=20
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await AffinityBoardStore.list(req.query);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to list affinity boards');
+    }
+});
+
+/**
+ * Every board-scoped route 404s on malformed or unknown ids
+ */
+router.param('id', async (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({ error: 'Affinity board not found' });
+    }
+    next();
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const board = await AffinityBoardStore.getById(req.params.id);
+        if (!board) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+        res.json({ success: true, board });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch affinity board');
+    }
+});
+
+/**
+ * GET /api/affinity-boards/:id/export?format=json|csv|markdown
+ */
+router.get('/:id/export', async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+        if (!['json', 'csv', 'markdown'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json, csv or markdown' });
+        }
+
+        const board = await AffinityBoardStore.getById(req.params.id);
+        if (!board) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="affinity-board-${board.id}.csv"`);
+            return res.send(AffinityBoardStore.toCSV(board));
+        }
+        if (format === 'markdown') {
+            res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="affinity-board-${board.id}.md"`);
+            return res.send(AffinityBoardStore.toMarkdown(board));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="affinity-board-${board.id}.json"`);
+        res.json(board);
+    } catch (error) {
+        sendError(res, error, 'Failed to export affinity board');
+    }
+});
+
+/**
+ * PATCH /api/affinity-boards/:id
+ * Body: { title?, description? }
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { title, description } = req.body;
+        const board = await AffinityBoardStore.update(req.params.id, { title, description });
+        if (!board) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+        res.json({ success: true, board });
+    } catch (error) {
+        sendError(res, error, 'Failed to update affinity board');
+    }
+});
+
+/**
+ * PUT /api/affinity-boards/:id/layout
+ * Persist the arrangement after drag and drop
+ * Body: { clusters: [{id, noteIds: []}], ungrouped: [noteId] } in display order
+ */
+router.put('/:id/layout', async (req, res) => {
+    try {
+        const { clusters = [], ungrouped = [] } = req.body;
+        if (!Array.isArray(clusters) || !Array.isArray(ungrouped)) {
+            return res.status(400).json({ error: 'clusters and ungrouped must be arrays' });
+        }
+        const validClusters = clusters.every(cluster =>
+            UUID_PATTERN.test(cluster?.id) && (cluster.noteIds === undefined || isIdList(cluster.noteIds)));
+        if (!validClusters || !isIdList(ungrouped)) {
+            return res.status(400).json({ error: 'Cluster ids and note ids must be valid UUIDs' });
+        }
+
+        const existing = await AffinityBoardStore.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+
+        await AffinityBoardStore.saveLayout(req.params.id, { clusters, ungrouped });
+        res.json({ success: true, board: await AffinityBoardStore.getById(req.params.id) });
+    } catch (error) {
+        sendError(res, error, 'Failed to save board layout');
+    }
+});
+
+/**
+ * POST /api/affinity-boards/:id/clusters
+ * Body: { label, color? }
+ */
+router.post('/:id/clusters', async (req, res) => {
+    try {
+        const { label, color } = req.body;
+        if (!label || !String(label).trim()) {
+            return res.status(400).json({ error: 'label is required' });
+        }
+
+        const existing = await AffinityBoardStore.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+
+        const cluster = await AffinityBoardStore.createCluster(req.params.id, { label: String(label).trim(), color });
+        res.status(201).json({ success: true, cluster });
+    } catch (error) {
+        sendError(res, error, 'Failed to create cluster');
+    }
+});
+
+/**
+ * PATCH /api/affinity-boards/:id/clusters/:clusterId
+ * Body: { label?, color? }
+ */
+router.patch('/:id/clusters/:clusterId', async (req, res) => {
+    try {
+        const { label, color } = req.body;
+        const cluster = UUID_PATTERN.test(req.params.clusterId)
+            ? await AffinityBoardStore.updateCluster(req.params.id, req.params.clusterId, { label, color })
+            : null;
+        if (!cluster) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+        res.json({ success: true, cluster });
+    } catch (error) {
+        sendError(res, error, 'Failed to update cluster');
+    }
+});
+
+/**
+ * DELETE /api/affinity-boards/:id/clusters/:clusterId
+ * Notes in the cluster move to Ungrouped
+ */
+router.delete('/:id/clusters/:clusterId', async (req, res) => {
+    try {
+        const deleted = UUID_PATTERN.test(req.params.clusterId)
+            && await AffinityBoardStore.deleteCluster(req.params.id, req.params.clusterId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+        res.json({ success: true, message: 'Cluster removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete cluster');
+    }
+});
+
+/**
+ * PATCH /api/affinity-boards/:id/notes/:noteId
+ * Body: { quote?, tags?: [] }
+ */
+router.patch('/:id/notes/:noteId', async (req, res) => {
+    try {
+        const { quote, tags } = req.body;
+        if (tags !== undefined && !Array.isArray(tags)) {
+            return res.status(400).json({ error: 'tags must be an array of strings' });
+        }
+
+        const note = UUID_PATTERN.test(req.params.noteId)
+            ? await AffinityBoardStore.updateNote(req.params.id, req.params.noteId, { quote, tags })
+            : null;
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        res.json({ success: true, note });
+    } catch (error) {
+        sendError(res, error, 'Failed to update note');
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await AffinityBoardStore.softDelete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Affinity board not found' });
+        }
+        res.json({ success: true, message: 'Affinity board deleted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete affinity board');
+    }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const PersonaExtractor = require('../services/personaExtractor');
 const PersonaAnalysisEngine = require('../services/personaAnalysisEngine');
 const promptBuilder = require('../services/promptBuilder');
 const IndianDemographicsService = require('../services/indianDemographics');
+const { redactUpload } = require('../services/piiRedaction');
 
 // PersonaExtractor will be initialized lazily when needed
 let personaExtractor = null;
@@ -43,7 +44,12 @@ router.post('/generate', async (req, res) => {
         
         // Use enhanced persona analysis engine for comprehensive extraction
         const personaAnalysisEngine = new PersonaAnalysisEngine();
-        const personaData = await personaAnalysisEngine.analyzeTranscript(transcriptText, indianDemographics);
+        const { items: [redactedText], redaction } = await redactUpload([transcriptText], {
+            source: 'agent_generate',
+            sourceFiles: transcriptId ? [transcriptId] : [],
+            createdBy: req.user?.id
+        });
+        const personaData = await personaAnalysisEngine.analyzeTranscript(redactedText, indianDemographics);
         
         // Create agent prompt template
         const agentPrompt = buildAgentPrompt(personaData);
@@ -80,6 +86,7 @@ router.post('/generate', async (req, res) => {
                 avatar_url: avatarUrl,
                 status: 'active'
             },
+            redaction,
             message: 'Agent generated successfully'
         });
         
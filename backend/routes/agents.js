@@ -2,9 +2,16 @@ const express = require('express');
 const { pool } = require('../models/database');
 const { v4: uuidv4 } = require('uuid');
 const photoService = require('../services/photoService');
+const jobQueue = require('../services/jobQueue');
+const PersonaVersionStore = require('../services/personaVersionStore');
+const personaVersionRoutes = require('./personaVersions');
+const { auth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Version history, diff and rollback
+router.use('/:id/versions', auth, personaVersionRoutes('agent'));
+
 // Get all agents
 router.get('/', async (req, res) => {
   try {
@@ -91,8 +98,9 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update agent
-router.put('/:id', async (req, res) => {
+// Update agent; every change is kept as a persona version
+router.put('/:id', optionalAuth, async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
     const {
@@ -108,7 +116,14 @@ router.put('/:id', async (req, res) => {
 
     const now = new Date().toISOString();
 
-    const result = await pool.query(
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM agents WHERE id = $1 FOR UPDATE', [id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const result = await client.query(
       `UPDATE agents SET 
         name = COALESCE($1, name),
         persona = COALESCE($2, persona),
@@ -135,14 +150,19 @@ router.put('/:id', async (req, res) => {
       ]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Agent not found' });
-    }
+    await PersonaVersionStore.recordChange(client, 'agent', existing.rows[0], result.rows[0], {
+      changeSource: 'edit',
+      createdBy: req.user?.id || null
+    });
+    await client.query('COMMIT');
 
     res.json(result.rows[0]);
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error updating agent:', error);
     res.status(500).json({ error: 'Failed to update agent' });
+  } finally {
+    client.release();
   }
 });
 
@@ -193,6 +213,19 @@ router.post('/generate', async (req, res) => {
 router.get('/generate/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
+
+    // Transcript uploads and persona generation run in the background job queue
+    const job = await jobQueue.get(jobId);
+    if (job) {
+      return res.json({
+        jobId,
+        type: job.type,
+        status: job.status,
+        agents: job.result?.agents || (job.result?.results || []).map(result => ({ id: result.agentId, name: result.name })),
+        progress: job.progress,
+        errors: job.items.filter(item => item.error).map(item => ({ item: item.label, error: item.error }))
+      });
+    }
     
     // This would check the actual generation status
     // For now, return a mock response
@@ -14,6 +14,14 @@ const behaviorEngine = require('../services/behaviorEngine');
 const promptBuilder = require('../services/promptBuilder');
 const IndianDemographicsService = require('../services/indianDemographics');
 const avatarService = require('../services/avatarService');
+const personaConsistency = require('../services/personaConsistency');
+const personaVersionRoutes = require('./personaVersions');
+const { auth } = require('../middleware/auth');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { toPromptText } = require('../services/transcriptNormalizer');
+const { redactUpload } = require('../services/piiRedaction');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Prevent client/proxy caching to ensure fresh agents list
 router.use((req, res, next) => {
@@ -84,6 +92,7 @@ router.get('/', async (req, res) => {
                     communication_style,
                     is_active AS status,
                     demographics,
+                    persona_version,
                     created_at
                 FROM ai_agents 
                 WHERE is_active = true
@@ -167,6 +176,7 @@ router.get('/', async (req, res) => {
                     // Keep full style for advanced UI
                     communication_style: communicationStyle,
                     status: agent.status,
+                    persona_version: agent.persona_version || 1,
                     created_at: agent.created_at
                 };
             });
@@ -298,18 +308,59 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * /agents/:id/versions
+ * Persona version history, diff and rollback (signed in, so rollbacks are attributed)
+ */
+router.use('/:id/versions', auth, personaVersionRoutes('ai_agent'));
+
+/**
+ * GET /agents/:id/consistency?days=30
+ * Persona drift summary: average consistency per dimension and recent drifted replies
+ */
+router.get('/:id/consistency', async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid agent id' });
+    }
+
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const consistency = await personaConsistency.getAgentConsistency(req.params.id, { days });
+        res.json({ success: true, consistency });
+    } catch (error) {
+        console.error('Error fetching agent consistency:', error);
+        res.status(500).json({ error: 'Failed to fetch agent consistency', details: error.message });
+    }
+});
+
 /**
  * POST /agents
  * Create agent from transcript and demographics
  */
 router.post('/', async (req, res) => {
     try {
-        const { transcript, demographics = {} } = req.body;
+        const { transcript, demographics = {}, filename, speakerRoles } = req.body;
         const adminId = 'system'; // No auth required for testing
         
         if (!transcript) {
             return res.status(400).json({ error: 'Transcript is required' });
         }
+
+        let normalized;
+        try {
+            normalized = loadTranscript(transcript, { filename, roles: speakerRoles || {} });
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+        if (normalized.respondents.length === 0) {
+            return res.status(400).json({ error: 'Could not find any respondent turns in the transcript' });
+        }
+
+        const { items: [redacted] } = await redactUpload([normalized], {
+            source: 'agents_v5',
+            sourceFiles: [filename || 'pasted_transcript'],
+            createdBy: req.user?.id
+        });
         
         console.log('Starting two-stage agent creation pipeline...');
         
@@ -319,7 +370,7 @@ router.post('/', async (req, res) => {
         
         // Stage 1: Analyze transcript for behavioral signals
         console.log('Stage 1: Extracting behavioral DNA...');
-        const analysis = await providerGateway.analyzeTranscript(transcript, indianDemographics);
+        const analysis = await providerGateway.analyzeTranscript(toPromptText(redacted), indianDemographics);
         console.log('Behavioral analysis completed:', analysis);
         
         // Stage 2: Synthesize persona and master system prompt
@@ -511,6 +562,17 @@ router.post('/pdf-upload', upload.single('file'), async (req, res) => {
         }
 
         console.log('PDF text extracted, length:', pdfText.length);
+
+        const normalized = loadTranscript(pdfText, { filename: file.originalname });
+        if (normalized.respondents.length === 0) {
+            return res.status(400).json({ error: 'Could not find any respondent turns in the PDF' });
+        }
+
+        const { items: [redacted], redaction } = await redactUpload([normalized], {
+            source: 'agents_v5_pdf',
+            sourceFiles: [file.originalname],
+            createdBy: req.user?.id
+        });
         
         // Generate Indian demographics for the PDF content
         const indianDemographics = IndianDemographicsService.generateIndianDemographics();
@@ -518,7 +580,7 @@ router.post('/pdf-upload', upload.single('file'), async (req, res) => {
         // Stage 1: Analyze transcript for behavioral signals
         console.log('Stage 1: Extracting behavioral DNA from PDF...');
         const analysis = await providerGateway.analyzeTranscript({
-            raw_text: pdfText,
+            raw_text: toPromptText(redacted),
             file_name: file.originalname
         }, indianDemographics);
         console.log('Behavioral analysis completed:', analysis);
@@ -571,6 +633,7 @@ router.post('/pdf-upload', upload.single('file'), async (req, res) => {
             success: true,
             agents: [fullAgent],
             count: 1,
+            redaction,
             message: 'Agent created successfully from PDF'
         });
         
@@ -8,7 +8,11 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { pool } = require('../models/database');
-const { OpenAI } = require('openai');
+const providerGateway = require('../services/providerGateway');
+const UsageTracker = require('../services/usageTracker');
+const { BudgetExceededError } = require('../services/usageTracker');
+const { optionalAuth } = require('../middleware/auth');
+const personaConsistency = require('../services/personaConsistency');
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -45,28 +49,16 @@ const upload = multer({
     }
 });
 
-// OpenAI will be initialized lazily when needed
-let openai = null;
-
-const getOpenAI = () => {
-    if (!openai) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-    }
-    return openai;
-};
-
 /**
  * POST /api/ai/generate - Chat with an agent with enhanced context
- * Body: { agentId, query, ui_path, chat_history }
+ * Body: { agentId, query, ui_path, chat_history, provider?, model?, sessionId?, projectId?, regenerateOnDrift? }
+ * Every reply is scored for persona consistency; a drifted reply is regenerated
+ * once when regenerateOnDrift is set and the better-scoring draft is returned.
+ * Usage is billed to the caller's project (projectId must be one they belong to).
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', optionalAuth, async (req, res) => {
     try {
-        const { agentId, query, ui_path, chat_history = [] } = req.body;
+        const { agentId, query, ui_path, chat_history = [], provider, model, sessionId, regenerateOnDrift = false } = req.body;
         
         if (!agentId || !query) {
             return res.status(400).json({ 
@@ -74,6 +66,8 @@ router.post('/generate', async (req, res) => {
             });
         }
 
+        const projectId = await UsageTracker.resolveProjectId({ userId: req.user?.id, requestedProjectId: req.body.projectId });
+
         // Get agent from database
         const agent = await getAgentById(agentId);
         if (!agent) {
@@ -83,19 +77,51 @@ router.post('/generate', async (req, res) => {
         // Build enhanced context with UI feedback capabilities
         const context = buildEnhancedContext(agent, chat_history, query, ui_path);
         
-        // Generate response using OpenAI with vision if UI is provided
-        const response = await generateEnhancedResponse(context, query, ui_path);
+        // Generate response with vision if UI is provided
+        const llmOptions = {
+            provider,
+            model,
+            tags: { feature: 'ai_chat', agentId, sessionId, projectId, userId: req.user?.id }
+        };
+        let response = await generateEnhancedResponse(context, query, ui_path, llmOptions);
+
+        // Check the reply against the persona and optionally retry once if it drifted
+        const driftTags = { agentId, sessionId, projectId, userId: req.user?.id };
+        let consistency = await personaConsistency.evaluateReply(agent, response, { tags: driftTags });
+        let regenerated = false;
+        if (consistency.drifted && regenerateOnDrift) {
+            const retry = await generateEnhancedResponse(
+                context + personaConsistency.buildCorrection(consistency), query, ui_path, llmOptions
+            );
+            const retryConsistency = await personaConsistency.evaluateReply(agent, retry, { tags: driftTags });
+            if (retryConsistency.score > consistency.score) {
+                response = retry;
+                consistency = retryConsistency;
+                regenerated = true;
+            }
+        }
+
+        personaConsistency.recordCheck(agentId, consistency, { source: 'ai_chat', sessionId, reply: response, regenerated })
+            .catch(error => console.error('Failed to record persona consistency check:', error.message));
         
         res.json({
             success: true,
             response: response,
             agentId: agentId,
+            consistency: { ...consistency, regenerated },
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
         console.error('AI chat error:', error);
         
+        if (error instanceof BudgetExceededError || error.statusCode === 401 || error.statusCode === 403) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                details: error.details
+            });
+        }
+        
         // If API key is invalid or missing, return a mock response instead of error
         if (error.message.includes('API key') || error.message.includes('invalid_api_key')) {
             const mockResponses = [
@@ -127,6 +153,18 @@ router.post('/generate', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ai/providers - List registered LLM providers and their availability
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        defaultProvider: providerGateway.config.defaultProvider,
+        fallbackChain: providerGateway.config.fallbackChain,
+        providers: providerGateway.listProviders()
+    });
+});
+
 /**
  * POST /api/ai/upload-ui - Upload UI image for analysis
  * Body: { image, agentId }
@@ -583,7 +621,7 @@ function buildEnhancedContext(agent, chatHistory, query, ui_path) {
 /**
  * Generate enhanced agent response with UI analysis capabilities
  */
-async function generateEnhancedResponse(context, query, ui_path) {
+async function generateEnhancedResponse(context, query, ui_path, llmOptions = {}) {
     try {
         const messages = [
             {
@@ -637,44 +675,38 @@ async function generateEnhancedResponse(context, query, ui_path) {
             });
         }
 
-        const response = await getOpenAI().chat.completions.create({
-            model: "gpt-4o",
-            messages: messages,
+        return await providerGateway.chat(messages, {
             temperature: 0.7,
-            max_tokens: 1000
+            max_tokens: 1000,
+            ...llmOptions
         });
-        
-        return response.choices[0].message.content;
     } catch (error) {
-        console.error('OpenAI response generation failed:', error);
+        console.error('AI response generation failed:', error);
         throw error;
     }
 }
 
 /**
- * Generate agent response using OpenAI (legacy function)
+ * Generate agent response (legacy function)
  */
 async function generateAgentResponse(context, userMessage) {
     try {
-        const response = await getOpenAI().chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: context
-                },
-                {
-                    role: "user",
-                    content: userMessage
-                }
-            ],
+        return await providerGateway.chat([
+            {
+                role: "system",
+                content: context
+            },
+            {
+                role: "user",
+                content: userMessage
+            }
+        ], {
             temperature: 0.7,
-            max_tokens: 500
+            max_tokens: 500,
+            tags: { feature: 'ai_chat' }
         });
-        
-        return response.choices[0].message.content;
     } catch (error) {
-        console.error('OpenAI response generation failed:', error);
+        console.error('AI response generation failed:', error);
         throw error;
     }
 }
@@ -745,19 +777,16 @@ Please create a detailed summary that includes:
 
 Format the summary in a clear, professional manner that would be useful for future reference.`;
 
-        const response = await getOpenAI().chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: summaryPrompt
-                }
-            ],
+        const summary = await providerGateway.chat([
+            {
+                role: "system",
+                content: summaryPrompt
+            }
+        ], {
             temperature: 0.3,
-            max_tokens: 1000
+            max_tokens: 1000,
+            tags: { feature: 'chat_summary' }
         });
-
-        const summary = response.choices[0].message.content;
         
         console.log('Generated summary successfully');
         
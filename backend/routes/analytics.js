@@ -1,33 +1,34 @@
 /**
  * Analytics API - Cluster chat themes and analyze sentiments
- * Uses pandas-like analysis for conversation insights
+ * Reads results precomputed by services/conversationAnalytics over all
+ * stored chat, call and session messages
  */
 
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../models/database');
+const ConversationAnalytics = require('../services/conversationAnalytics');
+const UsageTracker = require('../services/usageTracker');
+const { auth, authorize } = require('../middleware/auth');
+
+// Roles allowed to change LLM budgets
+const BUDGET_ADMIN_ROLES = ['super_admin'];
 
 /**
- * GET /api/analytics/themes - Get clustered chat themes
- * Query: ?agentId=xxx&sessionId=xxx&limit=50
+ * GET /api/analytics/themes - Embedding-clustered themes from stored messages
+ * Query: ?agentId=&sessionId=&source=chat|conversation|call|session&role=user|agent&from=&to=&timeRange=7d&limit=20
  */
 router.get('/themes', async (req, res) => {
     try {
-        const { agentId, sessionId, limit = 50 } = req.query;
-        
-        // Get conversations for analysis
-        const conversations = await getConversationsForAnalysis(agentId, sessionId, limit);
-        
-        // Analyze themes and sentiments
-        const analysis = await analyzeConversations(conversations);
-        
+        const { limit = 20 } = req.query;
+        const analysis = await ConversationAnalytics.getThemes(readFilters(req.query), { limit });
+
         res.json({
             success: true,
-            analysis: analysis,
-            totalConversations: conversations.length,
+            analysis,
+            totalMessages: analysis.totalMessages,
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
         console.error('Analytics error:', error);
         res.status(500).json({
@@ -38,26 +39,47 @@ router.get('/themes', async (req, res) => {
 });
 
 /**
- * GET /api/analytics/sentiment - Get sentiment analysis
- * Query: ?agentId=xxx&timeRange=7d
+ * GET /api/analytics/themes/trends - Theme volume and sentiment per time window
+ * Query: ?window=day|week|month&periods=8&limit=8&agentId=&sessionId=&source=
+ */
+router.get('/themes/trends', async (req, res) => {
+    try {
+        const { window = 'week', periods = 8, limit = 8 } = req.query;
+
+        if (!ConversationAnalytics.WINDOWS[window]) {
+            return res.status(400).json({
+                error: `Invalid window. Use one of: ${Object.keys(ConversationAnalytics.WINDOWS).join(', ')}`
+            });
+        }
+
+        const trends = await ConversationAnalytics.getThemeTrends(readFilters(req.query), { window, periods, limit });
+        res.json({ success: true, trends });
+
+    } catch (error) {
+        console.error('Theme trends error:', error);
+        res.status(500).json({
+            error: 'Theme trends failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/sentiment - Sentiment distribution overall and per agent
+ * Query: ?agentId=xxx&timeRange=1d|7d|30d|90d&from=&to=
  */
 router.get('/sentiment', async (req, res) => {
     try {
-        const { agentId, timeRange = '7d' } = req.query;
-        
-        // Get conversations within time range
-        const conversations = await getConversationsByTimeRange(agentId, timeRange);
-        
-        // Analyze sentiment
-        const sentimentAnalysis = await analyzeSentiment(conversations);
-        
+        const { timeRange = '7d' } = req.query;
+        const sentiment = await ConversationAnalytics.getSentiment(readFilters({ ...req.query, timeRange }));
+
         res.json({
             success: true,
-            sentiment: sentimentAnalysis,
-            timeRange: timeRange,
-            totalConversations: conversations.length
+            sentiment,
+            timeRange,
+            totalMessages: sentiment.totalMessages
         });
-        
+
     } catch (error) {
         console.error('Sentiment analysis error:', error);
         res.status(500).json({
@@ -67,31 +89,51 @@ router.get('/sentiment', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analytics/messages - Analyzed messages with per-message sentiment
+ * Query: ?themeId=&sentiment=positive|negative|neutral&agentId=&sessionId=&source=&limit=50&offset=0
+ */
+router.get('/messages', async (req, res) => {
+    try {
+        const { themeId, sentiment, limit, offset } = req.query;
+        const messages = await ConversationAnalytics.getMessages(readFilters(req.query), { themeId, sentiment, limit, offset });
+        res.json({ success: true, messages });
+    } catch (error) {
+        console.error('Analytics messages error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analyzed messages',
+            details: error.message
+        });
+    }
+});
+
 /**
  * GET /api/analytics/insights - Get comprehensive insights
- * Query: ?agentId=xxx&sessionId=xxx
+ * Query: ?agentId=xxx&sessionId=xxx&timeRange=30d
  */
 router.get('/insights', async (req, res) => {
     try {
-        const { agentId, sessionId } = req.query;
-        
-        // Get all analytics data
-        const [themes, sentiment, engagement] = await Promise.all([
-            getThemesAnalysis(agentId, sessionId),
-            getSentimentAnalysis(agentId),
-            getEngagementMetrics(agentId, sessionId)
+        const filters = readFilters(req.query);
+
+        // All analytics data is precomputed by the background processor
+        const [themes, sentiment, engagement, trends] = await Promise.all([
+            ConversationAnalytics.getThemes(filters, { limit: 10 }),
+            ConversationAnalytics.getSentiment(filters),
+            ConversationAnalytics.getEngagement(filters),
+            ConversationAnalytics.getThemeTrends(filters, { window: 'week', periods: 6, limit: 5 })
         ]);
-        
+
         res.json({
             success: true,
             insights: {
-                themes: themes,
-                sentiment: sentiment,
-                engagement: engagement
+                themes,
+                sentiment,
+                engagement,
+                trends
             },
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
         console.error('Insights generation error:', error);
         res.status(500).json({
@@ -102,254 +144,152 @@ router.get('/insights', async (req, res) => {
 });
 
 /**
- * Get conversations for analysis
+ * GET /api/analytics/process - Processing watermarks per message source
  */
-async function getConversationsForAnalysis(agentId, sessionId, limit) {
+router.get('/process', async (req, res) => {
     try {
-        let query = 'SELECT * FROM conversations WHERE 1=1';
-        const params = [];
-        let paramCount = 0;
-        
-        if (agentId) {
-            query += ` AND agent_id = $${++paramCount}`;
-            params.push(agentId);
-        }
-        
-        if (sessionId) {
-            query += ` AND session_id = $${++paramCount}`;
-            params.push(sessionId);
-        }
-        
-        query += ` ORDER BY created_at DESC LIMIT $${++paramCount}`;
-        params.push(parseInt(limit));
-        
-        const result = await pool.query(query, params);
-        return result.rows;
+        const sources = await ConversationAnalytics.getStatus();
+        res.json({ success: true, sources });
     } catch (error) {
-        console.error('Error fetching conversations:', error);
-        return [];
+        console.error('Analytics status error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics status',
+            details: error.message
+        });
     }
-}
+});
 
 /**
- * Get conversations by time range
+ * POST /api/analytics/process - Analyze messages stored since the last run
+ * Body: { sources?: ['chat', 'conversation', 'call', 'session'] }
  */
-async function getConversationsByTimeRange(agentId, timeRange) {
+router.post('/process', async (req, res) => {
     try {
-        let timeCondition = '';
-        const params = [agentId];
-        
-        switch (timeRange) {
-            case '1d':
-                timeCondition = 'AND created_at >= NOW() - INTERVAL \'1 day\'';
-                break;
-            case '7d':
-                timeCondition = 'AND created_at >= NOW() - INTERVAL \'7 days\'';
-                break;
-            case '30d':
-                timeCondition = 'AND created_at >= NOW() - INTERVAL \'30 days\'';
-                break;
-            default:
-                timeCondition = 'AND created_at >= NOW() - INTERVAL \'7 days\'';
+        const { sources } = req.body || {};
+
+        if (sources && (!Array.isArray(sources) || sources.some(source => !ConversationAnalytics.SOURCES.includes(source)))) {
+            return res.status(400).json({
+                error: `sources must be an array of: ${ConversationAnalytics.SOURCES.join(', ')}`
+            });
         }
-        
-        const query = `
-            SELECT * FROM conversations 
-            WHERE agent_id = $1 ${timeCondition}
-            ORDER BY created_at DESC
-        `;
-        
-        const result = await pool.query(query, params);
-        return result.rows;
+
+        const summary = await ConversationAnalytics.runOnce(sources ? { sources } : undefined);
+        res.json({ success: true, summary });
     } catch (error) {
-        console.error('Error fetching conversations by time range:', error);
-        return [];
+        console.error('Analytics processing error:', error);
+        res.status(500).json({
+            error: 'Analytics processing failed',
+            details: error.message
+        });
     }
-}
+});
 
 /**
- * Analyze conversations for themes
+ * GET /api/analytics/usage - LLM token usage and cost, rolled up per day (signed in)
+ * Query: ?from=ISO&to=ISO&groupBy=feature|model|provider|user|session|agent|project&feature=&projectId=&userId=&agentId=
  */
-async function analyzeConversations(conversations) {
-    const themes = {
-        fintech: { count: 0, keywords: ['banking', 'payment', 'finance', 'money', 'transaction', 'account', 'card', 'loan', 'credit'] },
-        technology: { count: 0, keywords: ['app', 'software', 'technology', 'digital', 'online', 'mobile', 'website', 'platform', 'system'] },
-        security: { count: 0, keywords: ['security', 'safe', 'secure', 'password', 'authentication', 'privacy', 'data', 'protection'] },
-        ux: { count: 0, keywords: ['interface', 'design', 'user', 'experience', 'usability', 'navigation', 'layout', 'ui'] },
-        pain_points: { count: 0, keywords: ['problem', 'issue', 'difficult', 'frustrated', 'confused', 'stuck', 'error', 'bug', 'broken'] },
-        goals: { count: 0, keywords: ['want', 'need', 'goal', 'achieve', 'success', 'improve', 'better', 'enhance'] }
-    };
-    
-    const sentimentScores = [];
-    const commonPhrases = {};
-    
-    conversations.forEach(conv => {
-        const text = (conv.user_message + ' ' + conv.agent_response).toLowerCase();
-        
-        // Count themes
-        Object.keys(themes).forEach(theme => {
-            if (themes[theme].keywords.some(keyword => text.includes(keyword))) {
-                themes[theme].count++;
-            }
+router.get('/usage', auth, async (req, res) => {
+    try {
+        const { from, to, groupBy, feature, projectId, userId, agentId } = req.query;
+
+        if (groupBy && !UsageTracker.GROUP_BY_COLUMNS[groupBy]) {
+            return res.status(400).json({
+                error: `Invalid groupBy. Use one of: ${Object.keys(UsageTracker.GROUP_BY_COLUMNS).join(', ')}`
+            });
+        }
+
+        const daily = await UsageTracker.getDailyRollup({ from, to, groupBy, feature, projectId, userId, agentId });
+        const totals = daily.reduce((acc, row) => ({
+            calls: acc.calls + row.calls,
+            promptTokens: acc.promptTokens + row.prompt_tokens,
+            completionTokens: acc.completionTokens + row.completion_tokens,
+            totalTokens: acc.totalTokens + row.total_tokens,
+            costUsd: Number((acc.costUsd + row.cost_usd).toFixed(6))
+        }), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+        res.json({
+            success: true,
+            groupBy: groupBy || null,
+            daily,
+            totals
         });
-        
-        // Simple sentiment analysis
-        const positiveWords = ['good', 'great', 'excellent', 'amazing', 'love', 'like', 'happy', 'satisfied'];
-        const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'dislike', 'angry', 'frustrated', 'disappointed'];
-        
-        const positiveCount = positiveWords.filter(word => text.includes(word)).length;
-        const negativeCount = negativeWords.filter(word => text.includes(word)).length;
-        
-        const sentiment = positiveCount > negativeCount ? 1 : negativeCount > positiveCount ? -1 : 0;
-        sentimentScores.push(sentiment);
-        
-        // Extract common phrases (simple approach)
-        const phrases = text.split(/[.!?]+/).filter(phrase => phrase.trim().length > 10);
-        phrases.forEach(phrase => {
-            const cleanPhrase = phrase.trim().toLowerCase();
-            commonPhrases[cleanPhrase] = (commonPhrases[cleanPhrase] || 0) + 1;
+
+    } catch (error) {
+        console.error('Usage analytics error:', error);
+        res.status(500).json({
+            error: 'Usage analytics failed',
+            details: error.message
         });
-    });
-    
-    // Calculate sentiment distribution
-    const sentimentDistribution = {
-        positive: sentimentScores.filter(s => s > 0).length,
-        negative: sentimentScores.filter(s => s < 0).length,
-        neutral: sentimentScores.filter(s => s === 0).length
-    };
-    
-    // Get top common phrases
-    const topPhrases = Object.entries(commonPhrases)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 10)
-        .map(([phrase, count]) => ({ phrase, count }));
-    
-    return {
-        themes: Object.entries(themes).map(([name, data]) => ({
-            name: name.replace('_', ' ').toUpperCase(),
-            count: data.count,
-            percentage: conversations.length > 0 ? Math.round((data.count / conversations.length) * 100) : 0
-        })).filter(theme => theme.count > 0),
-        sentiment: {
-            distribution: sentimentDistribution,
-            average: sentimentScores.length > 0 ? 
-                (sentimentScores.reduce((a, b) => a + b, 0) / sentimentScores.length).toFixed(2) : 0
-        },
-        commonPhrases: topPhrases,
-        totalConversations: conversations.length
-    };
-}
+    }
+});
 
 /**
- * Analyze sentiment
+ * GET /api/analytics/usage/budgets - Per-project LLM budgets with current-period spend (signed in)
  */
-async function analyzeSentiment(conversations) {
-    const sentimentData = {
-        positive: 0,
-        negative: 0,
-        neutral: 0,
-        scores: []
-    };
-    
-    conversations.forEach(conv => {
-        const text = (conv.user_message + ' ' + conv.agent_response).toLowerCase();
-        
-        const positiveWords = ['good', 'great', 'excellent', 'amazing', 'love', 'like', 'happy', 'satisfied', 'perfect', 'wonderful'];
-        const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'dislike', 'angry', 'frustrated', 'disappointed', 'horrible', 'worst'];
-        
-        const positiveCount = positiveWords.filter(word => text.includes(word)).length;
-        const negativeCount = negativeWords.filter(word => text.includes(word)).length;
-        
-        if (positiveCount > negativeCount) {
-            sentimentData.positive++;
-            sentimentData.scores.push(1);
-        } else if (negativeCount > positiveCount) {
-            sentimentData.negative++;
-            sentimentData.scores.push(-1);
-        } else {
-            sentimentData.neutral++;
-            sentimentData.scores.push(0);
-        }
-    });
-    
-    const total = conversations.length;
-    return {
-        distribution: {
-            positive: Math.round((sentimentData.positive / total) * 100),
-            negative: Math.round((sentimentData.negative / total) * 100),
-            neutral: Math.round((sentimentData.neutral / total) * 100)
-        },
-        averageScore: sentimentData.scores.length > 0 ? 
-            (sentimentData.scores.reduce((a, b) => a + b, 0) / sentimentData.scores.length).toFixed(2) : 0,
-        totalConversations: total
-    };
-}
+router.get('/usage/budgets', auth, async (req, res) => {
+    try {
+        const budgets = await UsageTracker.getBudgets();
+        res.json({ success: true, budgets });
+    } catch (error) {
+        console.error('Budget fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch budgets',
+            details: error.message
+        });
+    }
+});
 
 /**
- * Get themes analysis
+ * PUT /api/analytics/usage/budgets/:projectId - Create or update a project budget (admins only)
+ * Body: { budgetUsd: number, period?: 'daily'|'monthly'|'total' }
  */
-async function getThemesAnalysis(agentId, sessionId) {
-    const conversations = await getConversationsForAnalysis(agentId, sessionId, 100);
-    return await analyzeConversations(conversations);
-}
+router.put('/usage/budgets/:projectId', auth, authorize(BUDGET_ADMIN_ROLES), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { budgetUsd, period = 'monthly' } = req.body;
 
-/**
- * Get sentiment analysis
- */
-async function getSentimentAnalysis(agentId) {
-    const conversations = await getConversationsByTimeRange(agentId, '7d');
-    return await analyzeSentiment(conversations);
-}
+        if (typeof budgetUsd !== 'number' || budgetUsd < 0) {
+            return res.status(400).json({ error: 'budgetUsd must be a non-negative number' });
+        }
+        if (!['daily', 'monthly', 'total'].includes(period)) {
+            return res.status(400).json({ error: 'period must be daily, monthly or total' });
+        }
+
+        const budget = await UsageTracker.setBudget(projectId, budgetUsd, period);
+        res.json({ success: true, budget });
+    } catch (error) {
+        console.error('Budget update error:', error);
+        res.status(500).json({
+            error: 'Failed to update budget',
+            details: error.message
+        });
+    }
+});
 
 /**
- * Get engagement metrics
+ * DELETE /api/analytics/usage/budgets/:projectId - Remove a project budget (admins only)
  */
-async function getEngagementMetrics(agentId, sessionId) {
+router.delete('/usage/budgets/:projectId', auth, authorize(BUDGET_ADMIN_ROLES), async (req, res) => {
     try {
-        const conversations = await getConversationsForAnalysis(agentId, sessionId, 1000);
-        
-        const metrics = {
-            totalMessages: conversations.length,
-            averageMessageLength: 0,
-            responseTime: 0,
-            activeDays: new Set(),
-            peakHours: {}
-        };
-        
-        if (conversations.length > 0) {
-            // Calculate average message length
-            const totalLength = conversations.reduce((sum, conv) => 
-                sum + conv.user_message.length + conv.agent_response.length, 0);
-            metrics.averageMessageLength = Math.round(totalLength / conversations.length);
-            
-            // Track active days and peak hours
-            conversations.forEach(conv => {
-                const date = new Date(conv.created_at);
-                metrics.activeDays.add(date.toDateString());
-                
-                const hour = date.getHours();
-                metrics.peakHours[hour] = (metrics.peakHours[hour] || 0) + 1;
-            });
-            
-            metrics.activeDays = metrics.activeDays.size;
-            
-            // Find peak hour
-            const peakHour = Object.entries(metrics.peakHours)
-                .sort(([,a], [,b]) => b - a)[0];
-            metrics.peakHour = peakHour ? `${peakHour[0]}:00` : 'Unknown';
+        const deleted = await UsageTracker.deleteBudget(req.params.projectId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Budget not found' });
         }
-        
-        return metrics;
+        res.json({ success: true, message: 'Budget removed' });
     } catch (error) {
-        console.error('Error calculating engagement metrics:', error);
-        return {
-            totalMessages: 0,
-            averageMessageLength: 0,
-            responseTime: 0,
-            activeDays: 0,
-            peakHour: 'Unknown'
-        };
+        console.error('Budget delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete budget',
+            details: error.message
+        });
     }
+});
+
+/**
+ * Shared query filters for the conversation analytics endpoints
+ */
+function readFilters({ agentId, sessionId, source, role, from, to, timeRange }) {
+    return { agentId, sessionId, source, role, from, to, timeRange };
 }
 
 module.exports = router;
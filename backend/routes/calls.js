@@ -9,7 +9,7 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
-const OpenAI = require('openai');
+const providerGateway = require('../services/providerGateway');
 
 // Helper function to determine region from location
 function getRegion(location) {
@@ -29,80 +29,6 @@ function getRegion(location) {
     }
 }
 
-// Initialize OpenAI for vision analysis
-let openai = null;
-// Dynamic AI provider with fallback
-const getAIClient = async () => {
-    const providers = [
-        { name: 'openai', key: 'OPENAI_API_KEY', client: null },
-        { name: 'anthropic', key: 'ANTHROPIC_API_KEY', client: null },
-        { name: 'grok', key: 'GROK_API_KEY', client: null }
-    ];
-    
-    // Initialize clients
-    for (const provider of providers) {
-        if (process.env[provider.key]) {
-            try {
-                if (provider.name === 'openai') {
-                    provider.client = new OpenAI({ apiKey: process.env[provider.key] });
-                } else if (provider.name === 'anthropic') {
-                    const { Anthropic } = require('@anthropic-ai/sdk');
-                    provider.client = new Anthropic({ apiKey: process.env[provider.key] });
-                } else if (provider.name === 'grok') {
-                    provider.client = new OpenAI({ 
-                        apiKey: process.env[provider.key],
-                        baseURL: 'https://api.x.ai/v1'
-                    });
-                }
-                console.log(`✅ ${provider.name} client initialized`);
-            } catch (error) {
-                console.warn(`⚠️ Failed to initialize ${provider.name}:`, error.message);
-            }
-        }
-    }
-    
-    // Try providers in order of preference
-    for (const provider of providers) {
-        if (provider.client) {
-            try {
-                // Test the provider with a simple request
-                if (provider.name === 'openai' || provider.name === 'grok') {
-                    await provider.client.chat.completions.create({
-                        model: provider.name === 'grok' ? 'grok-beta' : 'gpt-4o',
-                        messages: [{ role: 'user', content: 'test' }],
-                        max_tokens: 1
-                    });
-                } else if (provider.name === 'anthropic') {
-                    await provider.client.messages.create({
-                        model: 'claude-3-sonnet-20240229',
-                        max_tokens: 1,
-                        messages: [{ role: 'user', content: 'test' }]
-                    });
-                }
-                console.log(`🎯 Using ${provider.name} as AI provider`);
-                return { client: provider.client, provider: provider.name };
-            } catch (error) {
-                console.warn(`⚠️ ${provider.name} test failed:`, error.message);
-            }
-        }
-    }
-    
-    throw new Error('No working AI provider available');
-};
-
-// Legacy function for backward compatibility
-const getOpenAI = () => {
-    if (!openai) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-    }
-    return openai;
-};
-
 // Generate group responses with vision analysis (like Group Chat)
 async function generateGroupResponsesWithVision(agentIds, transcript, ui_path, callId) {
     try {
@@ -195,41 +121,12 @@ async function generateGroupResponsesWithVision(agentIds, transcript, ui_path, c
                     });
                 }
                 
-                // Generate response using dynamic AI provider with fallback
-                let responseText;
-                try {
-                    const { client, provider } = await getAIClient();
-                    
-                    if (provider === 'anthropic') {
-                        // Anthropic Claude
-                        const response = await client.messages.create({
-                            model: 'claude-3-sonnet-20240229',
-                            messages: messages,
-                            max_tokens: 500
-                        });
-                        responseText = response.content[0].text;
-                    } else {
-                        // OpenAI or Grok
-                        const model = provider === 'grok' ? 'grok-beta' : 'gpt-4o';
-                        const response = await client.chat.completions.create({
-                            model: model,
-                            messages: messages,
-                            temperature: 0.7,
-                            max_tokens: 500
-                        });
-                        responseText = response.choices[0].message.content;
-                    }
-                } catch (aiError) {
-                    console.error('❌ AI provider failed, trying fallback:', aiError.message);
-                    // Fallback to basic OpenAI
-                    const response = await getOpenAI().chat.completions.create({
-                        model: "gpt-4o",
-                        messages: messages,
-                        temperature: 0.7,
-                        max_tokens: 500
-                    });
-                    responseText = response.choices[0].message.content;
-                }
+                // Generate response through the provider registry (handles fallback)
+                const responseText = await providerGateway.chat(messages, {
+                    temperature: 0.7,
+                    max_tokens: 500,
+                    tags: { feature: 'voice_call', agentId, sessionId: callId }
+                });
                 console.log('✅ Generated response for', agent.name, ':', responseText.substring(0, 100) + '...');
                 
                 responses.push({
@@ -1476,7 +1373,9 @@ async function generateEnhancedVoiceResponse(agent, transcript, callId, imagePat
         
         // Use the same logic as GroupChat, but pass the image path
         const context = buildEnhancedContext(agent, [], transcript, imagePath);
-        const response = await generateEnhancedResponse(context, transcript, imagePath);
+        const response = await generateEnhancedResponse(context, transcript, imagePath, {
+            tags: { feature: 'voice_call', agentId: agent.id, sessionId: callId }
+        });
         
         return response;
         
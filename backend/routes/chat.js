@@ -154,7 +154,8 @@ router.post('/messages', async (req, res) => {
       max_tokens: 280,
       top_p: 0.9,
       presence_penalty: 0.6,
-      frequency_penalty: 0.5
+      frequency_penalty: 0.5,
+      tags: { feature: 'chat', agentId: agent.id, sessionId: session_id }
     });
     
     // Humanize the response
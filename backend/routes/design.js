@@ -7,8 +7,14 @@ const fs = require('fs');
 
 // Import services
 const figmaService = require('../services/figma');
-const figmaParser = require('../services/figmaParser');
+const figmaParser = require('../utils/figmaParser');
 const codeGenerationService = require('../services/codeGenerationService');
+const designTokens = require('../services/designTokens');
+const DesignTokenStore = require('../services/designTokenStore');
+const JsonConverter = require('../services/jsonConverter');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TOKEN_FORMATS = ['json', 'css', 'styleDict', 'tailwind', 'designSystem'];
 
 // Database pool
 const pool = new Pool({
@@ -430,7 +436,7 @@ router.get('/admin/prototypes/:id/ast', requireAdmin, async (req, res) => {
 router.post('/admin/prototypes/:id/export', requireAdmin, async (req, res) => {
     try {
         const { id } = req.params;
-        const { format = 'html', includeStyles = true, minify = false } = req.body;
+        const { format = 'html', includeStyles = true, minify = false, tokenVersion } = req.body;
         
         if (!['html', 'react', 'vue', 'moneyview'].includes(format)) {
             return res.status(400).json({
@@ -443,7 +449,7 @@ router.post('/admin/prototypes/:id/export', requireAdmin, async (req, res) => {
         
         // Get prototype AST
         const result = await pool.query(
-            'SELECT ast, name FROM design_prototypes WHERE id = $1',
+            'SELECT ast, name, product_id FROM design_prototypes WHERE id = $1',
             [id]
         );
         
@@ -456,12 +462,23 @@ router.post('/admin/prototypes/:id/export', requireAdmin, async (req, res) => {
         
         const ast = result.rows[0].ast ? JSON.parse(result.rows[0].ast) : [];
         const prototypeName = result.rows[0].name;
+        const productId = result.rows[0].product_id;
+        
+        // Styles reference the product's design tokens (latest unless a version is pinned)
+        const tokenSet = productId ? await DesignTokenStore.resolve(productId, tokenVersion) : null;
+        if (tokenVersion && !tokenSet) {
+            return res.status(404).json({
+                success: false,
+                error: `Design token version ${tokenVersion} not found for this product`
+            });
+        }
         
         // Generate code
         const zipBuffer = await codeGenerationService.generateCodeExport(ast, format, {
             includeStyles,
             minify,
-            componentName: prototypeName.replace(/[^a-zA-Z0-9]/g, '')
+            componentName: prototypeName.replace(/[^a-zA-Z0-9]/g, ''),
+            tokenSet
         });
         
         // Set response headers
@@ -473,8 +490,11 @@ router.post('/admin/prototypes/:id/export', requireAdmin, async (req, res) => {
         
         res.send(zipBuffer);
         
-        console.log(`✅ Prototype exported successfully as ${format}`);
+        console.log(`✅ Prototype exported successfully as ${format}${tokenSet ? ` with tokens v${tokenSet.version}` : ''}`);
     } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         console.error('❌ Export failed:', error);
         res.status(500).json({
             success: false,
@@ -520,6 +540,171 @@ router.delete('/admin/prototypes/:id', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/design/admin/products/:productId/tokens/extract
+ * Extract design tokens from a Figma file's named styles and variables and
+ * store them as the product's next token version
+ */
+router.post('/admin/products/:productId/tokens/extract', requireAdmin, async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const { fileKey, accessToken } = req.body;
+        
+        if (!UUID_PATTERN.test(productId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid product id'
+            });
+        }
+        
+        if (!fileKey || !figmaService.validateFileKey(fileKey)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid file key is required'
+            });
+        }
+        
+        let token = accessToken;
+        if (!token) {
+            const storedToken = await figmaService.getTokenForState('default');
+            if (!storedToken) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No access token provided and no OAuth token found. Please authenticate first.'
+                });
+            }
+            token = storedToken.access_token;
+        }
+        
+        console.log(`🎨 Extracting design tokens from ${fileKey} for product ${productId}`);
+        
+        const figmaData = await figmaService.getFigmaFile(fileKey, token);
+        const variables = await figmaService.getFigmaVariables(fileKey, token);
+        const extracted = designTokens.extractTokens(figmaData, variables);
+        
+        const result = await DesignTokenStore.createVersion(productId, extracted, {
+            fileKey,
+            createdBy: req.userId
+        });
+        
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+        
+        console.log(`✅ Design tokens ${result.created ? 'stored as' : 'unchanged at'} v${result.tokenSet.version}`);
+        
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            created: result.created,
+            variablesAvailable: Boolean(variables),
+            tokenSet: result.tokenSet
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Design token extraction failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to extract design tokens',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/design/admin/products/:productId/tokens
+ * List the product's design token versions, newest first
+ */
+router.get('/admin/products/:productId/tokens', requireAdmin, async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.productId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid product id'
+            });
+        }
+        
+        const versions = await DesignTokenStore.list(req.params.productId);
+        
+        res.json({
+            success: true,
+            versions: versions
+        });
+    } catch (error) {
+        console.error('❌ Failed to list design tokens:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list design tokens',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/design/admin/products/:productId/tokens/:version?format=json|css|styleDict|tailwind|designSystem
+ * One token version ('latest' for the newest), raw or converted
+ */
+router.get('/admin/products/:productId/tokens/:version', requireAdmin, async (req, res) => {
+    try {
+        const { productId, version } = req.params;
+        const { format = 'json' } = req.query;
+        
+        if (!UUID_PATTERN.test(productId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid product id'
+            });
+        }
+        
+        if (!TOKEN_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid format. Supported formats: ${TOKEN_FORMATS.join(', ')}`
+            });
+        }
+        
+        const tokenSet = await DesignTokenStore.resolve(productId, version);
+        if (!tokenSet) {
+            return res.status(404).json({
+                success: false,
+                error: 'Design tokens not found'
+            });
+        }
+        
+        if (format === 'css') {
+            res.type('text/css');
+            return res.send(designTokens.tokensToCss(tokenSet));
+        }
+        
+        if (format === 'json') {
+            return res.json({
+                success: true,
+                tokenSet: tokenSet
+            });
+        }
+        
+        res.json({
+            success: true,
+            version: tokenSet.version,
+            output: JsonConverter.convertToJSON({ fileKey: tokenSet.file_key }, format, { tokenSet })
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Failed to fetch design tokens:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch design tokens',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Generate AI validation for prototype
  * @param {Array} ast - AST data
@@ -8,10 +8,39 @@ const multer = require('multer');
 const path = require('path');
 const DesignFeedbackService = require('../services/designFeedback');
 const DesignArtifactsService = require('../services/designArtifacts');
+const HeuristicSetStore = require('../services/heuristicSetStore');
+const DesignFeedbackRunStore = require('../services/designFeedbackRunStore');
 const { auth: authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Screen and version for an artifact created as a new version of `versionOf`.
+ * null when it starts a new screen; undefined once a 400/404 has been sent.
+ */
+async function resolveVersionOf(versionOf, res) {
+    if (!versionOf) return null;
+    if (!UUID_PATTERN.test(versionOf)) {
+        res.status(400).json({
+            error: 'Invalid version_of',
+            details: 'version_of must be a design artifact id'
+        });
+        return undefined;
+    }
+
+    const screen = await DesignArtifactsService.nextScreenVersion(versionOf);
+    if (!screen) {
+        res.status(404).json({
+            error: 'Design artifact not found',
+            artifact_id: versionOf
+        });
+        return undefined;
+    }
+    return screen;
+}
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -46,7 +75,8 @@ router.post('/artifacts', authenticateToken, async (req, res) => {
             figma_file_key, 
             figma_node_id,
             name,
-            description
+            description,
+            version_of // artifact id this is a new version of
         } = req.body;
         const adminId = req.user.userId;
 
@@ -58,11 +88,14 @@ router.post('/artifacts', authenticateToken, async (req, res) => {
                 });
             }
 
+            const screen = await resolveVersionOf(version_of, res);
+            if (screen === undefined) return;
+
             const artifact = await DesignArtifactsService.createFromFigma(
                 figma_file_key, 
                 figma_node_id, 
                 adminId,
-                { name, description }
+                { name, description, screen }
             );
 
             res.status(201).json({
@@ -74,6 +107,8 @@ router.post('/artifacts', authenticateToken, async (req, res) => {
                     description: artifact.description,
                     figma_url: artifact.figma_url,
                     image_url: artifact.image_url,
+                    screen_id: artifact.screen_id || artifact.id,
+                    screen_version: artifact.screen_version || 1,
                     created_at: new Date().toISOString()
                 }
             });
@@ -104,10 +139,13 @@ router.post('/artifacts', authenticateToken, async (req, res) => {
                     size: req.file.size
                 };
 
+                const screen = await resolveVersionOf(version_of, res);
+                if (screen === undefined) return;
+
                 const artifact = await DesignArtifactsService.createFromImage(
                     imageData, 
                     adminId,
-                    { name, description }
+                    { name, description, screen }
                 );
 
                 res.status(201).json({
@@ -118,6 +156,8 @@ router.post('/artifacts', authenticateToken, async (req, res) => {
                         name: artifact.name,
                         description: artifact.description,
                         image_url: artifact.image_url,
+                        screen_id: artifact.screen_id || artifact.id,
+                        screen_version: artifact.screen_version || 1,
                         created_at: new Date().toISOString()
                     }
                 });
@@ -148,7 +188,9 @@ router.post('/run', authenticateToken, async (req, res) => {
         const { 
             artifact_id, 
             agent_ids, 
-            task_context = {} 
+            task_context = {},
+            heuristic_set = HeuristicSetStore.DEFAULT_SET_SLUG,
+            heuristic_set_version
         } = req.body;
         const adminId = req.user.userId;
 
@@ -168,9 +210,19 @@ router.post('/run', authenticateToken, async (req, res) => {
             });
         }
 
+        const heuristicSet = await HeuristicSetStore.get(heuristic_set, heuristic_set_version);
+        if (!heuristicSet) {
+            return res.status(404).json({
+                error: 'Heuristic set not found',
+                heuristic_set,
+                version: heuristic_set_version || 'latest'
+            });
+        }
+
         console.log('Running multi-agent feedback:', {
             artifactId: artifact_id,
             agentCount: agent_ids.length,
+            heuristicSet: `${heuristicSet.slug}@${heuristicSet.version}`,
             adminId
         });
 
@@ -178,28 +230,51 @@ router.post('/run', authenticateToken, async (req, res) => {
         const feedback = await DesignFeedbackService.runMultiAgentFeedback(
             artifact,
             agent_ids,
-            task_context
+            task_context,
+            { heuristicSet, createdBy: adminId }
         );
 
         res.json({
             success: true,
             message: 'Multi-agent feedback completed',
+            run_id: feedback.runId,
             feedback: {
                 summary: feedback.summary,
                 critical_issues: feedback.criticalIssues,
                 disagreements: feedback.disagreements,
                 consensus: feedback.consensus,
-                statistics: feedback.statistics
+                statistics: feedback.statistics,
+                grounding: feedback.grounding,
+                heuristic_set: feedback.heuristicSet,
+                heuristic_scorecard: feedback.heuristicScorecard,
+                // Per-persona critiques with their element boxes, for the overlay
+                problems: (feedback.agentFeedback || [])
+                    .filter(result => !result.error)
+                    .flatMap(result => (result.feedback.problems || []).map(problem => ({
+                        agent_id: result.agentId,
+                        agent_name: result.agentName,
+                        reviewer: result.reviewer || 'persona',
+                        issue: problem.issue,
+                        severity: problem.severity,
+                        heuristic: problem.heuristic,
+                        evidence: problem.evidence,
+                        fix: problem.fix,
+                        elements: problem.elements || []
+                    })))
             },
             artifact: {
                 id: artifact.id,
                 name: artifact.name,
-                description: artifact.description
+                description: artifact.description,
+                image_url: artifact.image_url
             },
             agents_used: agent_ids.length
         });
 
     } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Multi-agent feedback error:', error);
         res.status(500).json({
             error: 'Failed to run multi-agent feedback',
@@ -230,6 +305,8 @@ router.get('/artifacts', authenticateToken, async (req, res) => {
                 description: artifact.description,
                 figma_url: artifact.figma_url,
                 image_url: artifact.image_url,
+                screen_id: artifact.screen_id,
+                screen_version: artifact.screen_version,
                 created_at: artifact.created_at,
                 metadata: artifact.image_metadata
             })),
@@ -285,6 +362,8 @@ router.get('/artifacts/:id', authenticateToken, async (req, res) => {
                 figma_url: artifact.figma_url,
                 image_url: artifact.image_url,
                 node_mapping: artifact.node_mapping,
+                screen_id: artifact.screen_id,
+                screen_version: artifact.screen_version,
                 created_at: artifact.created_at
             },
             feedback_history: feedbackHistory.map(feedback => ({
@@ -296,6 +375,7 @@ router.get('/artifacts/:id', authenticateToken, async (req, res) => {
                 heuristic_principle: feedback.heuristic_principle,
                 evidence_elements: feedback.evidence_elements,
                 suggested_fix: feedback.suggested_fix,
+                run_id: feedback.run_id,
                 created_at: feedback.created_at
             }))
         });
@@ -309,6 +389,194 @@ router.get('/artifacts/:id', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * PUT /design-feedback/artifacts/:id/screen
+ * Make an existing artifact the next version of another artifact's screen: { version_of }
+ */
+router.put('/artifacts/:id/screen', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { version_of } = req.body;
+        const adminId = req.user.userId;
+
+        if (!UUID_PATTERN.test(id) || !version_of || !UUID_PATTERN.test(version_of)) {
+            return res.status(400).json({
+                error: 'Invalid request parameters',
+                details: 'Please provide a valid artifact id and version_of'
+            });
+        }
+
+        const artifact = await DesignArtifactsService.getArtifact(id);
+        if (!artifact) {
+            return res.status(404).json({
+                error: 'Design artifact not found',
+                artifact_id: id
+            });
+        }
+
+        if (artifact.created_by !== adminId) {
+            return res.status(403).json({
+                error: 'Access denied',
+                details: 'You can only update your own design artifacts'
+            });
+        }
+
+        const linked = await DesignArtifactsService.linkAsVersion(id, version_of);
+        if (!linked) {
+            return res.status(404).json({
+                error: 'Design artifact not found',
+                artifact_id: version_of
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Design artifact is now version ${linked.screen_version} of its screen`,
+            artifact: linked
+        });
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Artifact version link error:', error);
+        res.status(500).json({
+            error: 'Failed to link design artifact version',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /design-feedback/screens/:screenId/history
+ * Versions of a screen, a severity trend over its feedback runs and how the
+ * latest version's issues compare with the previous version's
+ */
+router.get('/screens/:screenId/history', authenticateToken, async (req, res) => {
+    try {
+        const { screenId } = req.params;
+        const adminId = req.user.userId;
+
+        if (!UUID_PATTERN.test(screenId)) {
+            return res.status(400).json({ error: 'Invalid screen id' });
+        }
+
+        const versions = await DesignArtifactsService.getScreenVersions(screenId);
+        if (versions.length === 0) {
+            return res.status(404).json({
+                error: 'Screen not found',
+                screen_id: screenId
+            });
+        }
+
+        if (versions[0].created_by !== adminId) {
+            return res.status(403).json({
+                error: 'Access denied',
+                details: 'You can only view your own design artifacts'
+            });
+        }
+
+        const runs = await DesignFeedbackRunStore.listForScreen(screenId);
+        const pair = DesignFeedbackService.pickComparisonRuns(runs);
+        let comparison = null;
+        if (pair) {
+            const [previousProblems, currentProblems] = await Promise.all([
+                DesignFeedbackRunStore.getProblems(pair.previous.id),
+                DesignFeedbackRunStore.getProblems(pair.current.id)
+            ]);
+            comparison = {
+                previous_run: { id: pair.previous.id, screen_version: pair.previous.screen_version, created_at: pair.previous.created_at },
+                current_run: { id: pair.current.id, screen_version: pair.current.screen_version, created_at: pair.current.created_at },
+                ...DesignFeedbackService.compareRuns(previousProblems, currentProblems)
+            };
+        }
+
+        res.json({
+            screen_id: screenId,
+            versions: versions.map(version => ({
+                id: version.id,
+                name: version.name,
+                screen_version: version.screen_version,
+                image_url: version.image_url,
+                figma_url: version.figma_url,
+                created_at: version.created_at,
+                run_count: runs.filter(run => run.design_artifact_id === version.id).length
+            })),
+            trend: DesignFeedbackService.buildSeverityTrend(runs),
+            comparison
+        });
+
+    } catch (error) {
+        console.error('Screen history fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch screen feedback history',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /design-feedback/runs/:runId/compare?to=<runId>
+ * Resolved / persisting / new issues between two runs; without `to`, the
+ * latest run on the previous version of the same screen is the baseline
+ */
+router.get('/runs/:runId/compare', authenticateToken, async (req, res) => {
+    try {
+        const { runId } = req.params;
+        const { to } = req.query;
+
+        if (!UUID_PATTERN.test(runId) || (to && !UUID_PATTERN.test(to))) {
+            return res.status(400).json({ error: 'Invalid run id' });
+        }
+
+        const current = await DesignFeedbackRunStore.get(runId);
+        if (!current) {
+            return res.status(404).json({ error: 'Feedback run not found', run_id: runId });
+        }
+
+        const artifact = await DesignArtifactsService.getArtifact(current.design_artifact_id);
+        if (!artifact || artifact.created_by !== req.user.userId) {
+            return res.status(403).json({
+                error: 'Access denied',
+                details: 'You can only compare runs on your own design artifacts'
+            });
+        }
+
+        let previous = null;
+        if (to) {
+            previous = await DesignFeedbackRunStore.get(to);
+        } else if (current.screen_id) {
+            const earlier = (await DesignFeedbackRunStore.listForScreen(current.screen_id))
+                .filter(run => run.screen_version < current.screen_version);
+            previous = earlier[earlier.length - 1] || null;
+        }
+        if (!previous) {
+            return res.status(404).json({
+                error: 'No run to compare with',
+                details: to ? `Feedback run ${to} not found` : 'No feedback runs on an earlier version of this screen'
+            });
+        }
+
+        const [previousProblems, currentProblems] = await Promise.all([
+            DesignFeedbackRunStore.getProblems(previous.id),
+            DesignFeedbackRunStore.getProblems(current.id)
+        ]);
+
+        res.json({
+            previous_run: { id: previous.id, screen_version: previous.screen_version, created_at: previous.created_at },
+            current_run: { id: current.id, screen_version: current.screen_version, created_at: current.created_at },
+            ...DesignFeedbackService.compareRuns(previousProblems, currentProblems)
+        });
+
+    } catch (error) {
+        console.error('Feedback run comparison error:', error);
+        res.status(500).json({
+            error: 'Failed to compare feedback runs',
+            details: error.message
+        });
+    }
+});
+
 /**
  * PUT /design-feedback/artifacts/:id
  * Update design artifact
@@ -406,80 +674,41 @@ router.delete('/artifacts/:id', authenticateToken, async (req, res) => {
 
 /**
  * GET /design-feedback/heuristics
- * Get available usability heuristics
+ * Items of a heuristic set (?set=slug&version=n); Nielsen's 10 by default
  */
 router.get('/heuristics', async (req, res) => {
     try {
-        // Return Nielsen's 10 Usability Heuristics
-        const heuristics = [
-            {
-                id: 'visibility_of_system_status',
-                name: 'Visibility of System Status',
-                description: 'The system should always keep users informed about what is going on, through appropriate feedback within reasonable time.',
-                category: 'usability'
-            },
-            {
-                id: 'match_system_real_world',
-                name: 'Match Between System and Real World',
-                description: 'The system should speak the users language, with words, phrases and concepts familiar to the user.',
-                category: 'usability'
-            },
-            {
-                id: 'user_control_freedom',
-                name: 'User Control and Freedom',
-                description: 'Users often choose system functions by mistake and will need a clearly marked emergency exit.',
-                category: 'usability'
-            },
-            {
-                id: 'consistency_standards',
-                name: 'Consistency and Standards',
-                description: 'Users should not have to wonder whether different words, situations, or actions mean the same thing.',
-                category: 'usability'
-            },
-            {
-                id: 'error_prevention',
-                name: 'Error Prevention',
-                description: 'Even better than good error messages is a careful design which prevents a problem from occurring in the first place.',
-                category: 'usability'
-            },
-            {
-                id: 'recognition_recall',
-                name: 'Recognition Rather Than Recall',
-                description: 'Minimize the user\'s memory load by making objects, actions, and options visible.',
-                category: 'usability'
-            },
-            {
-                id: 'flexibility_efficiency',
-                name: 'Flexibility and Efficiency of Use',
-                description: 'Accelerators may be unseen by the novice user, but can speed up the interaction for the expert user.',
-                category: 'usability'
-            },
-            {
-                id: 'aesthetic_minimalist',
-                name: 'Aesthetic and Minimalist Design',
-                description: 'Dialogues should not contain information which is irrelevant or rarely needed.',
-                category: 'usability'
-            },
-            {
-                id: 'help_recognize_errors',
-                name: 'Help Users Recognize, Diagnose, and Recover from Errors',
-                description: 'Error messages should be expressed in plain language, precisely indicate the problem, and constructively suggest a solution.',
-                category: 'usability'
-            },
-            {
-                id: 'help_documentation',
-                name: 'Help and Documentation',
-                description: 'Even though it is better if the system can be used without documentation, it may be necessary to provide help and documentation.',
-                category: 'usability'
-            }
-        ];
+        const { set = HeuristicSetStore.DEFAULT_SET_SLUG, version } = req.query;
+
+        const heuristicSet = await HeuristicSetStore.get(set, version);
+        if (!heuristicSet) {
+            return res.status(404).json({
+                error: 'Heuristic set not found',
+                heuristic_set: set
+            });
+        }
 
         res.json({
-            heuristics: heuristics,
-            total: heuristics.length
+            heuristic_set: {
+                id: heuristicSet.id,
+                slug: heuristicSet.slug,
+                version: heuristicSet.version,
+                name: heuristicSet.name,
+                category: heuristicSet.category
+            },
+            heuristics: heuristicSet.items.map(item => ({
+                id: item.code,
+                name: item.name,
+                description: item.description,
+                category: item.category
+            })),
+            total: heuristicSet.items.length
         });
 
     } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Heuristics fetch error:', error);
         res.status(500).json({
             error: 'Failed to fetch usability heuristics',
@@ -488,4 +717,127 @@ router.get('/heuristics', async (req, res) => {
     }
 });
 
+/**
+ * GET /design-feedback/heuristic-sets
+ * Latest version of every heuristic set
+ */
+router.get('/heuristic-sets', authenticateToken, async (req, res) => {
+    try {
+        const heuristicSets = await HeuristicSetStore.list();
+        res.json({
+            heuristic_sets: heuristicSets,
+            default_set: HeuristicSetStore.DEFAULT_SET_SLUG
+        });
+    } catch (error) {
+        console.error('Heuristic sets fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch heuristic sets',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /design-feedback/heuristic-sets
+ * Create a heuristic set: { name, slug?, description?, category?, items: [{ code?, name, description?, category? }] }
+ */
+router.post('/heuristic-sets', authenticateToken, async (req, res) => {
+    try {
+        const heuristicSet = await HeuristicSetStore.create(req.body, req.user.userId);
+        res.status(201).json({
+            success: true,
+            message: 'Heuristic set created',
+            heuristic_set: heuristicSet
+        });
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 409) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Heuristic set creation error:', error);
+        res.status(500).json({
+            error: 'Failed to create heuristic set',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /design-feedback/heuristic-sets/:slug
+ * One version of a set with its items (?version=n, latest by default)
+ */
+router.get('/heuristic-sets/:slug', authenticateToken, async (req, res) => {
+    try {
+        const heuristicSet = await HeuristicSetStore.get(req.params.slug, req.query.version);
+        if (!heuristicSet) {
+            return res.status(404).json({
+                error: 'Heuristic set not found',
+                heuristic_set: req.params.slug
+            });
+        }
+        res.json({ heuristic_set: heuristicSet });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Heuristic set fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch heuristic set',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /design-feedback/heuristic-sets/:slug/versions
+ * Version history of a set, newest first
+ */
+router.get('/heuristic-sets/:slug/versions', authenticateToken, async (req, res) => {
+    try {
+        const versions = await HeuristicSetStore.listVersions(req.params.slug);
+        if (versions.length === 0) {
+            return res.status(404).json({
+                error: 'Heuristic set not found',
+                heuristic_set: req.params.slug
+            });
+        }
+        res.json({ versions });
+    } catch (error) {
+        console.error('Heuristic set versions fetch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch heuristic set versions',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * PUT /design-feedback/heuristic-sets/:slug
+ * Save a new version of a set; omitted fields carry over from the latest version
+ */
+router.put('/heuristic-sets/:slug', authenticateToken, async (req, res) => {
+    try {
+        const heuristicSet = await HeuristicSetStore.createVersion(req.params.slug, req.body, req.user.userId);
+        if (!heuristicSet) {
+            return res.status(404).json({
+                error: 'Heuristic set not found',
+                heuristic_set: req.params.slug
+            });
+        }
+        res.json({
+            success: true,
+            message: `Heuristic set saved as version ${heuristicSet.version}`,
+            heuristic_set: heuristicSet
+        });
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 409) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Heuristic set update error:', error);
+        res.status(500).json({
+            error: 'Failed to update heuristic set',
+            details: error.message
+        });
+    }
+});
+
 module.exports = router;
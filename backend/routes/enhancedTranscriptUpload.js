@@ -11,10 +11,15 @@ const axios = require('axios');
 const pdfParse = require('pdf-parse');
 const GoogleDocsScraper = require('../services/googleDocsScraper');
 const UnsplashImageService = require('../services/unsplashImageService');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 const GenerationErrorHandler = require('../utils/generationErrorHandler');
 const { pool } = require('../models/database');
+const { toPromptText, describe, normalizeTurns } = require('../services/transcriptNormalizer');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { splitParticipants, draftPersonas } = require('../services/participantSplitter');
+const { redactUpload } = require('../services/piiRedaction');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 const googleDocsScraper = new GoogleDocsScraper();
@@ -44,13 +49,17 @@ const upload = multer({
       'application/msword',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'text/csv',
-      'application/json'
+      'application/json',
+      'text/vtt',
+      'application/x-subrip'
     ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers often send caption files as octet-stream, so trust the extension
+    const captionExtensions = ['.vtt', '.srt', '.json'];
+
+    if (allowedTypes.includes(file.mimetype) || captionExtensions.includes(path.extname(file.originalname).toLowerCase())) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only TXT, PDF, DOC, DOCX, CSV, and JSON files are allowed.'), false);
+      cb(new Error('Invalid file type. Only TXT, PDF, DOC, DOCX, CSV, JSON, VTT and SRT files are allowed.'), false);
     }
   }
 });
@@ -66,12 +75,196 @@ const ensureUploadsDir = async () => {
 
 ensureUploadsDir();
 
+/**
+ * Read uploaded files, Google Docs URLs and pasted text into transcript strings
+ * @returns {Promise<{transcripts: string[], sourceFiles: string[]}>}
+ */
+const collectTranscripts = async (files, urls, text) => {
+  const transcripts = [];
+  const sourceFiles = [];
+
+  // Process uploaded files
+  for (const file of files) {
+    try {
+      let content;
+      
+      if (file.mimetype === 'text/plain' || file.mimetype === 'text/csv') {
+        content = await fs.readFile(file.path, 'utf8');
+      } else if (file.mimetype === 'application/json' || ['.vtt', '.srt', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+        // Parsed with cue timestamps by loadTranscript below
+        content = await fs.readFile(file.path, 'utf8');
+      } else if (file.mimetype === 'application/pdf') {
+        // Extract text from PDF
+        const buffer = await fs.readFile(file.path);
+        const parsed = await pdfParse(buffer);
+        content = parsed.text || '';
+      } else {
+        // For PDF, DOC, DOCX - would need additional processing
+        content = await fs.readFile(file.path, 'utf8');
+      }
+
+      transcripts.push(content);
+      sourceFiles.push(file.originalname);
+
+      // Clean up uploaded file
+      await fs.unlink(file.path);
+    } catch (error) {
+      logger.error(`Error processing file ${file.originalname}:`, error);
+      // Continue with other files
+    }
+  }
+
+  // Process Google Docs URLs
+  if (urls) {
+    try {
+      const urlList = JSON.parse(urls);
+      const googleDocsResults = await googleDocsScraper.extractMultipleTexts(urlList);
+      
+      for (const result of googleDocsResults) {
+        if (result.success) {
+          transcripts.push(result.text);
+          sourceFiles.push(result.url);
+        } else {
+          logger.error(`Error extracting from ${result.url}:`, result.error);
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing Google Docs URLs:', error);
+    }
+  }
+
+  // Process pasted text
+  if (text && text.trim()) {
+    transcripts.push(text.trim());
+    sourceFiles.push('pasted_text.txt');
+  }
+
+  return { transcripts, sourceFiles };
+};
+
+/**
+ * Send one transcript to the data-processing service, attach images and save
+ * the personas it returns
+ */
+const generateAgentsFromTranscript = async ({ source, text }) => {
+  const processingResponse = await axios.post(`${process.env.DATA_PROCESSING_URL || 'http://localhost:5000'}/process-transcripts`, {
+    transcripts: [text],
+    source_files: [source]
+  }, {
+    timeout: 300000, // 5 minutes
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!processingResponse.data.success) {
+    throw new Error(processingResponse.data.error || 'AI processing failed');
+  }
+
+  const personas = processingResponse.data.personas;
+  logger.info(`AI processing completed for ${source}: ${personas.length} personas generated`);
+
+  // Generate images for personas
+  const personasWithImages = [];
+  
+  for (const persona of personas) {
+    try {
+      const imageData = await unsplashImageService.searchPersonaImage(persona);
+      
+      const enhancedPersona = {
+        ...persona,
+        image_url: imageData.url,
+        image_data: {
+          thumb: imageData.thumb,
+          small: imageData.small,
+          full: imageData.full,
+          alt: imageData.alt,
+          photographer: imageData.photographer,
+          attribution: unsplashImageService.getAttribution(imageData)
+        }
+      };
+      
+      personasWithImages.push(enhancedPersona);
+    } catch (error) {
+      logger.error(`Error generating image for ${persona.name}:`, error);
+      // Add persona without image
+      personasWithImages.push({
+        ...persona,
+        image_url: null,
+        image_data: null
+      });
+    }
+  }
+
+  // Save personas to database
+  const savedAgents = [];
+  const failedPersonas = [];
+  for (const persona of personasWithImages) {
+    try {
+      const insertQuery = `
+        INSERT INTO ai_agents (
+          name, occupation, location, age, gender, avatar_url, source_type, source_document, is_active, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW()
+        ) RETURNING id
+      `;
+      const values = [
+        persona.name || 'Unknown',
+        persona.occupation || 'AI Persona',
+        persona.location || 'Unknown',
+        Number(persona.age) || null,
+        persona.gender || null,
+        persona.image_url || null,
+        'transcript',
+        (persona.source_file || null),
+        true
+      ];
+
+      const result = await pool.query(insertQuery, values);
+      const agentId = result.rows[0].id;
+
+      savedAgents.push({
+        id: agentId,
+        name: values[0],
+        occupation: values[1],
+        location: values[2],
+        age: values[3],
+        gender: values[4],
+        avatar_url: values[5]
+      });
+
+    } catch (error) {
+      logger.error(`Error saving persona ${persona.name}:`, error);
+      failedPersonas.push({ name: persona.name || 'Unknown', error: error.message });
+    }
+  }
+
+  // Nothing saved means the item failed (and can be retried), not an empty success
+  if (savedAgents.length === 0) {
+    throw new Error(failedPersonas.length > 0
+      ? `Failed to save any of ${failedPersonas.length} personas from ${source}: ${failedPersonas[0].error}`
+      : `No personas were generated from ${source}`);
+  }
+
+  return { agents: savedAgents, failed: failedPersonas };
+};
+
+jobQueue.register('enhanced_transcript', {
+  label: ({ source }) => source,
+  processItem: generateAgentsFromTranscript,
+  onComplete: (job) => {
+    const agents = job.items.flatMap(item => item.result?.agents || []);
+    return { agents, total_personas: agents.length };
+  }
+});
+
 /**
  * @route POST /api/transcript/upload
- * @desc Upload and process transcripts to generate AI personas
+ * @desc Upload transcripts and queue AI persona generation (202 with the job;
+ *       progress on the job-<id> Socket.IO room, agents in the job result)
  * @access Public (for testing)
  */
-router.post('/upload', upload.array('files', 10), async (req, res) => {
+router.post('/upload', optionalAuth, upload.array('files', 10), async (req, res) => {
   try {
     const { urls, text, context } = req.body;
     const files = req.files || [];
@@ -86,186 +279,253 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
       });
     }
 
-    const transcripts = [];
-    const sourceFiles = [];
+    const { transcripts, sourceFiles } = await collectTranscripts(files, urls, text);
 
-    // Process uploaded files
-    for (const file of files) {
-      try {
-        let content;
-        
-        if (file.mimetype === 'text/plain' || file.mimetype === 'text/csv') {
-          content = await fs.readFile(file.path, 'utf8');
-        } else if (file.mimetype === 'application/json') {
-          const jsonContent = await fs.readFile(file.path, 'utf8');
-          const jsonData = JSON.parse(jsonContent);
-          content = jsonData.text || jsonData.content || JSON.stringify(jsonData);
-        } else if (file.mimetype === 'application/pdf') {
-          // Extract text from PDF
-          const buffer = await fs.readFile(file.path);
-          const parsed = await pdfParse(buffer);
-          content = parsed.text || '';
-        } else {
-          // For PDF, DOC, DOCX - would need additional processing
-          content = await fs.readFile(file.path, 'utf8');
-        }
+    if (transcripts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid transcripts found'
+      });
+    }
+
+    // Normalize speaker labels so the processor always sees Moderator / Respondent turns;
+    // caption and meeting exports keep their cue timestamps
+    let normalized;
+    try {
+      normalized = transcripts.map((transcript, index) => loadTranscript(transcript, { filename: sourceFiles[index] }));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Strip PAN / Aadhaar / phone / account numbers before anything reaches the LLM
+    const { items: redacted, redaction } = await redactUpload(normalized, {
+      source: 'enhanced_transcript',
+      sourceFiles,
+      createdBy: req.user?.id
+    });
 
-        transcripts.push(content);
-        sourceFiles.push(file.originalname);
+    const job = await jobQueue.enqueue('enhanced_transcript', redacted.map((result, index) => ({
+      source: sourceFiles[index],
+      text: toPromptText(result)
+    })), {
+      label: sourceFiles.length === 1 ? sourceFiles[0] : `${sourceFiles.length} transcripts`,
+      createdBy: req.user?.id,
+      meta: { context: context || null, redactionAuditId: redaction.auditId }
+    });
 
-        // Clean up uploaded file
-        await fs.unlink(file.path);
-      } catch (error) {
-        logger.error(`Error processing file ${file.originalname}:`, error);
-        // Continue with other files
+    logger.info(`Queued job ${job.id} for ${transcripts.length} transcripts (${redaction.total} PII redactions)`);
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${transcripts.length} transcript(s) for persona generation`,
+      data: {
+        jobId: job.id,
+        job,
+        total_transcripts: transcripts.length,
+        transcripts: normalized.map((result, index) => ({ source: sourceFiles[index], ...describe(result) })),
+        redaction
       }
+    });
+
+  } catch (error) {
+    logger.error('Error in transcript upload:', error);
+    const errorInfo = GenerationErrorHandler.formatErrorResponse(error, {
+      operation: 'transcript_upload',
+      userId: req.user?.id
+    });
+    res.status(errorInfo.statusCode).json(errorInfo);
+  }
+});
+
+/**
+ * @route POST /api/transcript/preview
+ * @desc Detect participants in each transcript and show how turns split per respondent
+ * @access Public (for testing)
+ */
+router.post('/preview', upload.array('files', 10), async (req, res) => {
+  try {
+    const { urls, text } = req.body;
+    const { transcripts, sourceFiles } = await collectTranscripts(req.files || [], urls, text);
+
+    if (transcripts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid transcripts found'
+      });
     }
 
-    // Process Google Docs URLs
-    if (urls) {
+    const sources = [];
+    for (let i = 0; i < transcripts.length; i++) {
       try {
-        const urlList = JSON.parse(urls);
-        const googleDocsResults = await googleDocsScraper.extractMultipleTexts(urlList);
-        
-        for (const result of googleDocsResults) {
-          if (result.success) {
-            transcripts.push(result.text);
-            sourceFiles.push(result.url);
-          } else {
-            logger.error(`Error extracting from ${result.url}:`, result.error);
-          }
-        }
+        const normalized = loadTranscript(transcripts[i], { filename: sourceFiles[i] });
+        sources.push({
+          source: sourceFiles[i],
+          ...describe(normalized),
+          interviewers: normalized.interviewers,
+          turns: normalized.turns,
+          participants: splitParticipants(normalized).map(({ turns, ...participant }) => participant)
+        });
       } catch (error) {
-        logger.error('Error processing Google Docs URLs:', error);
+        sources.push({ source: sourceFiles[i], error: error.message });
       }
     }
 
-    // Process pasted text
-    if (text && text.trim()) {
-      transcripts.push(text.trim());
-      sourceFiles.push('pasted_text.txt');
-    }
+    res.json({
+      success: true,
+      data: { sources }
+    });
+  } catch (error) {
+    logger.error('Error previewing transcripts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview transcripts'
+    });
+  }
+});
 
-    if (transcripts.length === 0) {
+/**
+ * @route POST /api/transcript/drafts
+ * @desc Build one persona draft per selected participant from previewed turns
+ * @body { sources: [{ source, turns, roles?, participants? }] }
+ * @access Public (for testing)
+ */
+router.post('/drafts', async (req, res) => {
+  try {
+    const { sources } = req.body;
+    if (!Array.isArray(sources) || sources.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'No valid transcripts found'
+        error: 'sources with previewed turns are required'
       });
     }
 
-    // Process transcripts with AI
-    logger.info(`Sending ${transcripts.length} transcripts to AI processing`);
-    
-    const processingResponse = await axios.post(`${process.env.DATA_PROCESSING_URL || 'http://localhost:5000'}/process-transcripts`, {
-      transcripts: transcripts,
-      source_files: sourceFiles
-    }, {
-      timeout: 300000, // 5 minutes
-      headers: {
-        'Content-Type': 'application/json'
+    // Re-run role inference so role corrections made in the preview apply
+    const entries = sources.filter(entry => Array.isArray(entry.turns) && entry.turns.length > 0);
+    const normalized = entries.map(entry => normalizeTurns(entry.turns.map(turn => ({
+      speaker: turn.speaker,
+      start: turn.startSeconds,
+      end: turn.endSeconds,
+      text: turn.text
+    })), { roles: entry.roles || {}, format: entry.format }));
+
+    const { items: redacted, redaction } = await redactUpload(normalized, {
+      source: 'transcript_drafts',
+      sourceFiles: entries.map(entry => entry.source),
+      createdBy: req.user?.id
+    });
+
+    const drafts = [];
+    for (let i = 0; i < entries.length; i++) {
+      drafts.push(...await draftPersonas(redacted[i], {
+        source: entries[i].source,
+        participants: Array.isArray(entries[i].participants) ? entries[i].participants : null
+      }));
+    }
+
+    logger.info(`Built ${drafts.length} persona drafts from ${sources.length} transcripts`);
+
+    res.json({
+      success: true,
+      data: {
+        drafts,
+        failed: drafts.filter(draft => draft.error).length,
+        redaction
       }
     });
+  } catch (error) {
+    logger.error('Error building persona drafts:', error);
+    const errorInfo = GenerationErrorHandler.formatErrorResponse(error, {
+      operation: 'transcript_drafts',
+      userId: req.user?.id
+    });
+    res.status(errorInfo.statusCode).json(errorInfo);
+  }
+});
 
-    if (!processingResponse.data.success) {
-      throw new Error(processingResponse.data.error || 'AI processing failed');
+/**
+ * @route POST /api/transcript/drafts/save
+ * @desc Save reviewed persona drafts as agents
+ * @body { drafts: [...] } - drafts from /drafts, optionally edited
+ * @access Public (for testing)
+ */
+router.post('/drafts/save', async (req, res) => {
+  try {
+    const drafts = (req.body.drafts || []).filter(draft => draft && !draft.error && draft.behavioral_dna);
+    if (drafts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No drafts to save'
+      });
     }
 
-    const personas = processingResponse.data.personas;
-    logger.info(`AI processing completed: ${personas.length} personas generated`);
+    const savedAgents = [];
+    for (const draft of drafts) {
+      const { demographics = {}, behavioral_dna: dna } = draft;
+      const name = demographics.name || draft.participant || 'Unknown';
 
-    // Generate images for personas
-    const personasWithImages = [];
-    
-    for (const persona of personas) {
+      let imageUrl = null;
       try {
-        const imageData = await unsplashImageService.searchPersonaImage(persona);
-        
-        const enhancedPersona = {
-          ...persona,
-          image_url: imageData.url,
-          image_data: {
-            thumb: imageData.thumb,
-            small: imageData.small,
-            full: imageData.full,
-            alt: imageData.alt,
-            photographer: imageData.photographer,
-            attribution: unsplashImageService.getAttribution(imageData)
-          }
-        };
-        
-        personasWithImages.push(enhancedPersona);
+        const imageData = await unsplashImageService.searchPersonaImage({ name, ...demographics });
+        imageUrl = imageData.url;
       } catch (error) {
-        logger.error(`Error generating image for ${persona.name}:`, error);
-        // Add persona without image
-        personasWithImages.push({
-          ...persona,
-          image_url: null,
-          image_data: null
-        });
+        logger.error(`Error generating image for ${name}:`, error);
       }
-    }
 
-    // Save personas to database
-    const savedAgents = [];
-    for (const persona of personasWithImages) {
       try {
-        const insertQuery = `
+        const result = await pool.query(`
           INSERT INTO ai_agents (
-            name, occupation, location, age, gender, avatar_url, source_type, source_document, is_active, created_at, updated_at
+            name, occupation, location, age, avatar_url, source_type, is_active,
+            speech_patterns, vocabulary_profile, emotional_profile, cognitive_profile, knowledge_bounds,
+            objectives, needs, fears, apprehensions, quote, key_quotes, source_meta, created_at, updated_at
           ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW()
-          ) RETURNING id
-        `;
-        const values = [
-          persona.name || 'Unknown',
-          persona.occupation || 'AI Persona',
-          persona.location || 'Unknown',
-          Number(persona.age) || null,
-          persona.gender || null,
-          persona.image_url || null,
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW(), NOW()
+          ) RETURNING id, name, occupation, location, age, avatar_url
+        `, [
+          name,
+          demographics.occupation || 'Research Participant',
+          demographics.location || 'Unknown',
+          Number(demographics.age) || null,
+          imageUrl,
           'transcript',
-          (persona.source_file || null),
-          true
-        ];
-
-        const result = await pool.query(insertQuery, values);
-        const agentId = result.rows[0].id;
-
-        savedAgents.push({
-          id: agentId,
-          name: values[0],
-          occupation: values[1],
-          location: values[2],
-          age: values[3],
-          gender: values[4],
-          avatar_url: values[5]
-        });
-
+          true,
+          JSON.stringify(dna.speech_patterns || {}),
+          JSON.stringify(dna.vocabulary_profile || {}),
+          JSON.stringify(dna.emotional_profile || {}),
+          JSON.stringify(dna.cognitive_profile || {}),
+          JSON.stringify(dna.knowledge_bounds || {}),
+          dna.objectives || [],
+          dna.needs || [],
+          dna.fears || [],
+          dna.apprehensions || [],
+          (draft.quotes || [])[0]?.quote || '',
+          JSON.stringify((draft.quotes || []).map(evidence => evidence.quote)),
+          JSON.stringify({
+            source_type: 'transcript',
+            doc_ref: draft.source || null,
+            participant: draft.participant,
+            quote_evidence: draft.quotes || []
+          })
+        ]);
+        savedAgents.push(result.rows[0]);
       } catch (error) {
-        logger.error(`Error saving persona ${persona.name}:`, error);
+        logger.error(`Error saving persona draft ${name}:`, error);
       }
     }
 
-    logger.info(`Successfully processed ${savedAgents.length} personas`);
-
     res.json({
       success: true,
-      message: `Successfully generated ${savedAgents.length} AI personas`,
-      data: {
-        agents: savedAgents,
-        total_transcripts: transcripts.length,
-        total_personas: savedAgents.length,
-        processing_time: Date.now() - req.startTime
-      }
+      message: `Saved ${savedAgents.length} of ${drafts.length} persona drafts`,
+      data: { agents: savedAgents }
     });
-
   } catch (error) {
-    logger.error('Error in transcript upload:', error);
-    const errorInfo = GenerationErrorHandler.formatErrorResponse(error, {
-      operation: 'transcript_upload',
-      userId: req.user?.id
+    logger.error('Error saving persona drafts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save persona drafts'
     });
-    res.status(errorInfo.statusCode).json(errorInfo);
   }
 });
 
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+
+const InsightStore = require('../services/insightStore');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+function readInsightBody(body) {
+    const fields = {};
+    ['title', 'statement', 'confidence', 'status', 'tags', 'productId', 'prdId'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    ['productId', 'prdId'].forEach(key => {
+        if (fields[key] === '') fields[key] = null;
+    });
+    return fields;
+}
+
+function invalidAttachment({ productId, prdId }) {
+    return [productId, prdId].some(id => id && !UUID_PATTERN.test(id));
+}
+
+/**
+ * GET /api/insights
+ * Query: ?search=&tags=a,b&productId=&prdId=&confidence=&status=&evidenceType=&page=1&limit=20
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { search, tags, productId, prdId, confidence, status, evidenceType, page, limit } = req.query;
+
+        if (invalidAttachment({ productId, prdId })) {
+            return res.status(400).json({ error: 'productId and prdId must be valid UUIDs' });
+        }
+
+        const result = await InsightStore.list({ search, tags, productId, prdId, confidence, status, evidenceType, page, limit });
+        res.json({
+            success: true,
+            insights: result.insights,
+            total: result.total,
+            pagination: {
+                page: result.page,
+                limit: result.limit,
+                totalPages: Math.ceil(result.total / result.limit)
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to list insights');
+    }
+});
+
+/**
+ * GET /api/insights/tags - Tags in use with counts
+ */
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await InsightStore.listTags();
+        res.json({ success: true, tags });
+    } catch (error) {
+        sendError(res, error, 'Failed to list insight tags');
+    }
+});
+
+/**
+ * POST /api/insights
+ * Body: { title, statement, confidence?, status?, tags?, productId?, prdId?, evidence?: [{type, sourceId, sourceRef?, excerpt?, speaker?, note?}] }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const fields = readInsightBody(req.body);
+        if (invalidAttachment(fields)) {
+            return res.status(400).json({ error: 'productId and prdId must be valid UUIDs' });
+        }
+        const { evidence = [] } = req.body;
+        if (!Array.isArray(evidence)) {
+            return res.status(400).json({ error: 'evidence must be an array' });
+        }
+
+        const insight = await InsightStore.create({ ...fields, createdBy: req.user?.id || null });
+        try {
+            for (const item of evidence) {
+                await InsightStore.addEvidence(insight.id, item, req.user?.id || null);
+            }
+        } catch (error) {
+            // Don't leave a half-evidenced insight behind
+            await InsightStore.softDelete(insight.id);
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            insight: evidence.length > 0 ? await InsightStore.getById(insight.id) : insight
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create insight');
+    }
+});
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({ error: 'Insight not found' });
+    }
+    next();
+});
+
+/**
+ * GET /api/insights/:id
+ * Insight with every piece of evidence and the current state of its source
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const insight = await InsightStore.getById(req.params.id);
+        if (!insight) {
+            return res.status(404).json({ error: 'Insight not found' });
+        }
+
+        insight.evidence = await InsightStore.resolveEvidence(insight.evidence);
+        res.json({ success: true, insight });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch insight');
+    }
+});
+
+/**
+ * PUT /api/insights/:id
+ * Body: any of { title, statement, confidence, status, tags, productId, prdId }
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const fields = readInsightBody(req.body);
+        if (invalidAttachment(fields)) {
+            return res.status(400).json({ error: 'productId and prdId must be valid UUIDs' });
+        }
+
+        const insight = await InsightStore.update(req.params.id, fields);
+        if (!insight) {
+            return res.status(404).json({ error: 'Insight not found' });
+        }
+        res.json({ success: true, insight });
+    } catch (error) {
+        sendError(res, error, 'Failed to update insight');
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await InsightStore.softDelete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Insight not found' });
+        }
+        res.json({ success: true, message: 'Insight deleted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete insight');
+    }
+});
+
+/**
+ * POST /api/insights/:id/evidence
+ * Body: { type: chat_message|session_turn|transcript_excerpt|feedback_item, sourceId, sourceRef?, excerpt?, speaker?, note? }
+ */
+router.post('/:id/evidence', async (req, res) => {
+    try {
+        const insight = await InsightStore.getById(req.params.id);
+        if (!insight) {
+            return res.status(404).json({ error: 'Insight not found' });
+        }
+
+        const evidence = await InsightStore.addEvidence(req.params.id, req.body, req.user?.id || null);
+        res.status(201).json({ success: true, evidence });
+    } catch (error) {
+        sendError(res, error, 'Failed to add evidence');
+    }
+});
+
+router.delete('/:id/evidence/:evidenceId', async (req, res) => {
+    try {
+        const removed = UUID_PATTERN.test(req.params.evidenceId)
+            && await InsightStore.removeEvidence(req.params.id, req.params.evidenceId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+        res.json({ success: true, message: 'Evidence removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove evidence');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+const { pool } = require('../models/database');
+const InterviewGuideStore = require('../services/interviewGuideStore');
+const SessionStore = require('../services/sessionStore');
+const {
+    parseGuideText,
+    normalizeGuide,
+    runGuide,
+    buildComparison
+} = require('../services/interviewGuideRunner');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_AGENTS_PER_RUN = 20;
+const PROBE_LIMITS = { maxProbes: { min: 0, max: 5 }, minWords: { min: 0, max: 100 } };
+
+// Guides are small text/markdown/JSON documents; keep them in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(txt|md|markdown|json)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Discussion guides must be .txt, .md or .json files'));
+        }
+    }
+});
+
+/**
+ * Optional integer run option within PROBE_LIMITS
+ * @returns {number|undefined|null} undefined when omitted, null when invalid
+ */
+function readRunOption(body, name) {
+    const value = body[name];
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const { min, max } = PROBE_LIMITS[name];
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Turn an uploaded file, pasted text or JSON body into guide sections
+ */
+function readGuideInput(req) {
+    const { title, description } = req.body;
+
+    if (req.file) {
+        const content = req.file.buffer.toString('utf8');
+        if (/\.json$/i.test(req.file.originalname)) {
+            const parsed = JSON.parse(content);
+            return {
+                title: title || parsed.title || req.file.originalname.replace(/\.json$/i, ''),
+                description: description || parsed.description || null,
+                sections: parsed.sections
+            };
+        }
+        return {
+            title: title || req.file.originalname.replace(/\.(txt|md|markdown)$/i, ''),
+            description: description || null,
+            sections: parseGuideText(content)
+        };
+    }
+
+    if (typeof req.body.text === 'string') {
+        return { title, description, sections: parseGuideText(req.body.text) };
+    }
+
+    const sections = typeof req.body.sections === 'string' ? JSON.parse(req.body.sections) : req.body.sections;
+    return { title, description, sections };
+}
+
+/**
+ * Run one persona through a guide and persist the transcript, both keyed
+ * by question on the run and as a regular 1:1 research session
+ */
+async function executeRun(run, guide, agent, options) {
+    try {
+        await InterviewGuideStore.updateRun(run.id, { status: 'running' });
+
+        const result = await runGuide(guide, agent, options);
+
+        const session = await SessionStore.create({
+            type: '1on1',
+            topic: guide.title,
+            agentIds: [agent.id],
+            agents: [{
+                id: agent.id,
+                name: agent.name,
+                location: agent.location || null,
+                avatar_url: agent.avatar_url || null
+            }],
+            log: result.log,
+            status: 'completed',
+            durationMinutes: Math.max(1, Math.round(result.elapsedSeconds / 60)),
+            createdBy: options.createdBy
+        });
+
+        await InterviewGuideStore.updateRun(run.id, {
+            status: 'completed',
+            sessionId: session.id,
+            transcript: result.transcript,
+            coverage: result.coverage
+        });
+
+        console.log(`✅ Guide run ${run.id} completed for ${agent.name}: ${result.coverage.coveragePct}% covered`);
+    } catch (error) {
+        console.error(`❌ Guide run ${run.id} failed for ${agent.name}:`, error.message);
+        await InterviewGuideStore.updateRun(run.id, { status: 'failed', error: error.message }).catch(() => {});
+    }
+}
+
+/**
+ * POST /api/interview-guides
+ * Create a discussion guide from a file upload (field "guide": .txt/.md/.json),
+ * pasted text ({ title, text }) or structured JSON ({ title, sections })
+ */
+router.post('/', upload.single('guide'), async (req, res) => {
+    try {
+        let input;
+        try {
+            input = readGuideInput(req);
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Could not read discussion guide', details: parseError.message });
+        }
+
+        const guide = normalizeGuide(input);
+        const saved = await InterviewGuideStore.createGuide({
+            ...guide,
+            createdBy: req.user?.id || null
+        });
+
+        res.status(201).json({ success: true, guide: saved });
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Guide creation error:', error);
+        res.status(500).json({ error: 'Failed to create discussion guide', details: error.message });
+    }
+});
+
+/**
+ * GET /api/interview-guides
+ * Query: ?search=&page=1&limit=20
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { search, page, limit } = req.query;
+        const result = await InterviewGuideStore.listGuides({ search, page, limit });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Guide list error:', error);
+        res.status(500).json({ error: 'Failed to retrieve discussion guides', details: error.message });
+    }
+});
+
+/**
+ * GET /api/interview-guides/runs/:runId
+ * One run with its question-keyed transcript
+ */
+router.get('/runs/:runId', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.runId)) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+
+        const run = await InterviewGuideStore.getRun(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Guide run retrieval error:', error);
+        res.status(500).json({ error: 'Failed to retrieve run', details: error.message });
+    }
+});
+
+/**
+ * GET /api/interview-guides/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const guide = await InterviewGuideStore.getGuide(req.params.id);
+        if (!guide) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        res.json({ success: true, guide });
+    } catch (error) {
+        console.error('Guide retrieval error:', error);
+        res.status(500).json({ error: 'Failed to retrieve discussion guide', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/interview-guides/:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const deleted = await InterviewGuideStore.deleteGuide(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        res.json({ success: true, message: 'Guide deleted successfully' });
+    } catch (error) {
+        console.error('Guide deletion error:', error);
+        res.status(500).json({ error: 'Failed to delete discussion guide', details: error.message });
+    }
+});
+
+/**
+ * POST /api/interview-guides/:id/run
+ * Replay the guide against one or more personas. Runs execute in the
+ * background one persona at a time; poll GET /runs/:runId or GET /:id/runs.
+ *
+ * Body:
+ * - agentIds: array of agent IDs
+ * - maxProbes: auto-probes per question, 0-5 (default 2)
+ * - minWords: answers shorter than this are probed, 0-100 (default 12)
+ */
+router.post('/:id/run', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const { agentIds } = req.body;
+        if (!Array.isArray(agentIds) || agentIds.length === 0 || !agentIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({ error: 'agentIds must be a non-empty array of valid UUIDs' });
+        }
+        const maxProbes = readRunOption(req.body, 'maxProbes');
+        const minWords = readRunOption(req.body, 'minWords');
+        for (const [name, value] of [['maxProbes', maxProbes], ['minWords', minWords]]) {
+            if (value === null) {
+                const { min, max } = PROBE_LIMITS[name];
+                return res.status(400).json({ error: `${name} must be an integer from ${min} to ${max}` });
+            }
+        }
+        if (agentIds.length > MAX_AGENTS_PER_RUN) {
+            return res.status(400).json({ error: `A guide can be replayed against at most ${MAX_AGENTS_PER_RUN} agents at once` });
+        }
+
+        const guide = await InterviewGuideStore.getGuide(req.params.id);
+        if (!guide) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const agentResult = await pool.query('SELECT * FROM ai_agents WHERE id = ANY($1)', [agentIds]);
+        const agents = agentIds.map(id => agentResult.rows.find(agent => agent.id === id)).filter(Boolean);
+        if (agents.length !== agentIds.length) {
+            return res.status(404).json({ error: 'One or more agents were not found' });
+        }
+
+        const runs = [];
+        for (const agent of agents) {
+            runs.push(await InterviewGuideStore.createRun({ guideId: guide.id, agentId: agent.id, agentName: agent.name }));
+        }
+
+        const options = {
+            maxProbes,
+            minWords,
+            createdBy: req.user?.id || null
+        };
+
+        // Sequential so one guide replay does not flood the LLM provider
+        (async () => {
+            for (let i = 0; i < runs.length; i++) {
+                await executeRun(runs[i], guide, agents[i], { ...options, sessionId: runs[i].id });
+            }
+        })();
+
+        res.status(202).json({
+            success: true,
+            runs: runs.map(run => ({ id: run.id, agentId: run.agent_id, agentName: run.agent_name, status: run.status }))
+        });
+
+    } catch (error) {
+        console.error('Guide run error:', error);
+        res.status(500).json({ error: 'Failed to start guide run', details: error.message });
+    }
+});
+
+/**
+ * GET /api/interview-guides/:id/runs
+ */
+router.get('/:id/runs', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const runs = await InterviewGuideStore.listRuns(req.params.id);
+        res.json({
+            success: true,
+            runs: runs.map(({ transcript, ...summary }) => summary)
+        });
+    } catch (error) {
+        console.error('Guide runs list error:', error);
+        res.status(500).json({ error: 'Failed to retrieve runs', details: error.message });
+    }
+});
+
+/**
+ * GET /api/interview-guides/:id/comparison
+ * Question × persona matrix of the latest completed run per agent
+ */
+router.get('/:id/comparison', async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const guide = await InterviewGuideStore.getGuide(req.params.id);
+        if (!guide) {
+            return res.status(404).json({ error: 'Guide not found' });
+        }
+
+        const runs = await InterviewGuideStore.listRuns(guide.id);
+        const latestByAgent = new Map();
+        runs
+            .filter(run => run.status === 'completed')
+            .forEach(run => {
+                if (!latestByAgent.has(run.agent_id)) latestByAgent.set(run.agent_id, run);
+            });
+
+        res.json({ success: true, comparison: buildComparison(guide, [...latestByAgent.values()]) });
+    } catch (error) {
+        console.error('Guide comparison error:', error);
+        res.status(500).json({ error: 'Failed to build comparison', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+
+const jobQueue = require('../services/jobQueue');
+const { auth } = require('../middleware/auth');
+
+// May cancel or retry any job, including ones queued without a signed-in user
+const JOB_ADMIN_ROLES = ['super_admin'];
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+/**
+ * Load the job and make sure the caller queued it (or is a job admin)
+ */
+async function ownJob(req, res, next) {
+    try {
+        const job = await jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.createdBy !== String(req.user.id) && !JOB_ADMIN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Only the user who queued this job can change it' });
+        }
+        next();
+    } catch (error) {
+        sendError(res, error, 'Failed to get job');
+    }
+}
+
+/**
+ * GET /api/jobs - Job history, newest first
+ * Query: ?status=&type=&limit=50&offset=0
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, type, limit, offset } = req.query;
+        const result = await jobQueue.list({ status, type, limit, offset });
+        res.json({ success: true, jobs: result.jobs, total: result.total });
+    } catch (error) {
+        sendError(res, error, 'Failed to list jobs');
+    }
+});
+
+/**
+ * GET /api/jobs/:id - Job with per-item status, errors and results
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        sendError(res, error, 'Failed to get job');
+    }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ */
+router.post('/:id/cancel', auth, ownJob, async (req, res) => {
+    try {
+        const job = await jobQueue.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel job');
+    }
+});
+
+/**
+ * POST /api/jobs/:id/retry - Run a finished job's failed items again
+ */
+router.post('/:id/retry', auth, ownJob, async (req, res) => {
+    try {
+        const job = await jobQueue.retry(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        sendError(res, error, 'Failed to retry job');
+    }
+});
+
+module.exports = router;
@@ -3,29 +3,38 @@ const router = express.Router();
 const { pool } = require('../models/database');
 const promptBuilder = require('../services/promptBuilder');
 const avatarService = require('../services/avatarService');
-const OpenAI = require('openai');
-
-// Initialize OpenAI client
-let openai = null;
-const getOpenAI = () => {
-    if (!openai) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
+const providerGateway = require('../services/providerGateway');
+const comparisonReport = require('../services/comparisonReport');
+const UsageTracker = require('../services/usageTracker');
+const { optionalAuth } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Bill LLM usage to the caller's project (req.projectId) rather than one
+ * named in the request; a requested projectId must be one they belong to
+ */
+const resolveProject = [optionalAuth, async (req, res, next) => {
+    try {
+        req.projectId = await UsageTracker.resolveProjectId({
+            userId: req.user?.id,
+            requestedProjectId: req.body?.projectId || req.query.projectId
         });
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
-    return openai;
-};
+}];
 
 /**
  * POST /api/ai/parallel-chat - Send message to multiple agents simultaneously
- * Body: { agentIds: string[], message: string, chatHistory: object[] }
+ * Body: { agentIds: string[], message: string, chatHistory: object[], provider?: string, model?: string, sessionId?: string, projectId?: string }
  */
-router.post('/parallel-chat', async (req, res) => {
+router.post('/parallel-chat', resolveProject, async (req, res) => {
     try {
-        const { agentIds, message, chatHistory = [] } = req.body;
+        const { agentIds, message, chatHistory = [], provider, model, sessionId } = req.body;
+        const projectId = req.projectId;
         
         if (!agentIds || !Array.isArray(agentIds) || agentIds.length === 0) {
             return res.status(400).json({ 
@@ -72,7 +81,11 @@ router.post('/parallel-chat', async (req, res) => {
         // Generate responses from all agents in parallel
         const responsePromises = validAgents.map(async ({ agentId, agent }) => {
             try {
-                const response = await generateAgentResponse(agent, message, chatHistory);
+                const response = await generateAgentResponse(agent, message, chatHistory, {
+                    provider,
+                    model,
+                    tags: { sessionId, projectId, userId: req.user?.id }
+                });
                 return {
                     agentId,
                     agentName: agent.name,
@@ -108,11 +121,16 @@ router.post('/parallel-chat', async (req, res) => {
 
         console.log(`✅ Parallel chat completed in ${duration}ms`);
 
+        // Keep the answers for the cross-persona comparison report
+        const runId = uuidv4();
+        comparisonReport.recordResponses(runId, 'parallel', responses.map(r => ({ ...r, message })), { sessionId, projectId });
+
         res.json({
             success: true,
             responses: responses,
             invalidAgents: invalidAgents.map(a => ({ agentId: a.agentId, error: a.error })),
             metadata: {
+                runId,
                 totalAgents: agentIds.length,
                 successfulResponses: responses.filter(r => r.success).length,
                 failedResponses: responses.filter(r => !r.success).length,
@@ -132,11 +150,12 @@ router.post('/parallel-chat', async (req, res) => {
 
 /**
  * POST /api/ai/streaming-parallel-chat - Stream responses from multiple agents
- * Body: { agentIds: string[], message: string, chatHistory: object[] }
+ * Body: { agentIds: string[], message: string, chatHistory: object[], provider?: string, model?: string, sessionId?: string, projectId?: string }
  */
-router.post('/streaming-parallel-chat', async (req, res) => {
+router.post('/streaming-parallel-chat', resolveProject, async (req, res) => {
     try {
-        const { agentIds, message, chatHistory = [] } = req.body;
+        const { agentIds, message, chatHistory = [], provider, model, sessionId } = req.body;
+        const projectId = req.projectId;
         
         if (!agentIds || !Array.isArray(agentIds) || agentIds.length === 0) {
             return res.status(400).json({ 
@@ -205,7 +224,11 @@ router.post('/streaming-parallel-chat', async (req, res) => {
         // Generate responses from all agents in parallel
         const responsePromises = validAgents.map(async ({ agentId, agent }) => {
             try {
-                const response = await generateAgentResponse(agent, message, chatHistory);
+                const response = await generateAgentResponse(agent, message, chatHistory, {
+                    provider,
+                    model,
+                    tags: { sessionId, projectId, userId: req.user?.id }
+                });
                 
                 // Send individual response as it completes
                 res.write(`data: ${JSON.stringify({
@@ -250,9 +273,14 @@ router.post('/streaming-parallel-chat', async (req, res) => {
         // Wait for all responses
         const responses = await Promise.all(responsePromises);
 
+        // Keep the answers for the cross-persona comparison report
+        const runId = uuidv4();
+        comparisonReport.recordResponses(runId, 'parallel', responses.map(r => ({ ...r, message })), { sessionId, projectId });
+
         // Send completion event
         res.write(`data: ${JSON.stringify({
             type: 'complete',
+            runId,
             responses: responses,
             successfulResponses: responses.filter(r => r.success).length,
             failedResponses: responses.filter(r => !r.success).length,
@@ -303,7 +331,7 @@ async function getAgentById(agentId) {
         return null;
     }
 }
-async function generateAgentResponse(agent, message, chatHistory) {
+async function generateAgentResponse(agent, message, chatHistory, llmOptions = {}) {
     const { master_system_prompt } = agent;
     
     if (!master_system_prompt) {
@@ -353,23 +381,22 @@ async function generateAgentResponse(agent, message, chatHistory) {
         }
     ];
 
-    const response = await getOpenAI().chat.completions.create({
-        model: "gpt-4o",
-        messages: messages,
+    return await providerGateway.chat(messages, {
         temperature: 0.7,
-        max_tokens: 1000
+        max_tokens: 1000,
+        ...llmOptions,
+        tags: { feature: 'parallel_chat', agentId: agent.id, ...llmOptions.tags }
     });
-
-    return response.choices[0].message.content;
 }
 
 /**
  * POST /api/ai/batch-chat - Send different messages to different agents
- * Body: { conversations: [{ agentId: string, message: string, chatHistory: object[] }] }
+ * Body: { conversations: [{ agentId: string, message: string, chatHistory: object[] }], provider?: string, model?: string, sessionId?: string, projectId?: string }
  */
-router.post('/batch-chat', async (req, res) => {
+router.post('/batch-chat', resolveProject, async (req, res) => {
     try {
-        const { conversations } = req.body;
+        const { conversations, provider, model, sessionId } = req.body;
+        const projectId = req.projectId;
         
         if (!conversations || !Array.isArray(conversations) || conversations.length === 0) {
             return res.status(400).json({ 
@@ -394,7 +421,11 @@ router.post('/batch-chat', async (req, res) => {
                     throw new Error(`Conversation ${index}: Agent ${agentId} not found`);
                 }
 
-                const response = await generateAgentResponse(agent, message, chatHistory);
+                const response = await generateAgentResponse(agent, message, chatHistory, {
+                    provider,
+                    model,
+                    tags: { sessionId, projectId, userId: req.user?.id }
+                });
                 
                 return {
                     conversationIndex: index,
@@ -428,10 +459,14 @@ router.post('/batch-chat', async (req, res) => {
 
         console.log(`✅ Batch chat completed in ${duration}ms`);
 
+        const runId = uuidv4();
+        comparisonReport.recordResponses(runId, 'batch', results, { sessionId, projectId });
+
         res.json({
             success: true,
             conversations: results,
             metadata: {
+                runId,
                 totalConversations: conversations.length,
                 successfulConversations: results.filter(r => r.success).length,
                 failedConversations: results.filter(r => !r.success).length,
@@ -449,4 +484,62 @@ router.post('/batch-chat', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ai/parallel/comparison-report - Question × persona comparison of stored answers
+ * Query: runIds (comma separated metadata.runId values) and/or sessionId,
+ *        format=json|csv|markdown, classify=llm|lexicon (default lexicon)
+ */
+router.get('/comparison-report', resolveProject, async (req, res) => {
+    try {
+        const { sessionId, format = 'json', classify = 'lexicon' } = req.query;
+        const projectId = req.projectId;
+        const runIds = String(req.query.runIds || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+
+        if (runIds.length === 0 && !sessionId) {
+            return res.status(400).json({ error: 'runIds or sessionId is required' });
+        }
+        if (!runIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({ error: 'runIds must be valid UUIDs' });
+        }
+        if (!['json', 'csv', 'markdown'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json, csv or markdown' });
+        }
+
+        const report = await comparisonReport.buildReport({
+            runIds,
+            sessionId,
+            useLLM: classify === 'llm',
+            tags: { sessionId, projectId, userId: req.user?.id }
+        });
+
+        if (report.matrix.length === 0) {
+            return res.status(404).json({ error: 'No stored answers found for these runs' });
+        }
+
+        const filename = `persona-comparison-${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(comparisonReport.toCSV(report));
+        }
+        if (format === 'markdown') {
+            res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.md"`);
+            return res.send(comparisonReport.toMarkdown(report));
+        }
+
+        res.json({ success: true, report });
+
+    } catch (error) {
+        console.error('Comparison report error:', error);
+        res.status(500).json({
+            error: 'Failed to build comparison report',
+            details: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * Persona Updates API - Merge a returning respondent's new transcript into
+ * their existing persona. The merge runs as a background job and produces a
+ * proposal; the researcher accepts or rejects each changed field and the
+ * accepted ones become a new persona version.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { pool } = require('../models/database');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { locateQuotes } = require('../services/transcriptNormalizer');
+const { redactUpload } = require('../services/piiRedaction');
+const { buildProvenance } = require('../services/personaProvenance');
+const { personaFromAgent, mergeTranscript, diffPersonas, withEvidence } = require('../services/personaMerge');
+const PersonaUpdateStore = require('../services/personaUpdateStore');
+const jobQueue = require('../services/jobQueue');
+const { optionalAuth } = require('../middleware/auth');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+function validateId(param) {
+    return (req, res, next) => {
+        if (!UUID_PATTERN.test(req.params[param])) {
+            return res.status(400).json({ error: `Invalid ${param}` });
+        }
+        next();
+    };
+}
+
+async function loadAgent(agentId) {
+    const result = await pool.query('SELECT * FROM ai_agents WHERE id = $1', [agentId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Build a proposal for one uploaded transcript
+ */
+async function proposeUpdate({ agentId, normalized, filename, redactionAuditId, createdBy }, { progress }) {
+    const agent = await loadAgent(agentId);
+    if (!agent) {
+        throw new Error('Agent no longer exists');
+    }
+
+    const current = personaFromAgent(agent);
+    progress('Merging new transcript into the persona');
+    const merged = await mergeTranscript(current, normalized);
+
+    // Evidence for the changed fields comes from the new transcript only
+    const provenance = buildProvenance(merged, normalized, { source: filename });
+    const { field_provenance, quote_evidence, ...proposedPersona } = merged;
+    const changes = withEvidence(diffPersonas(current, proposedPersona), provenance);
+    if (changes.length === 0) {
+        return { proposalId: null, agentId, changeCount: 0 };
+    }
+
+    const proposal = await PersonaUpdateStore.create({
+        agentId,
+        baseVersion: agent.persona_version || 1,
+        sourceFile: filename,
+        changes,
+        proposedPersona,
+        fieldProvenance: provenance,
+        quoteEvidence: locateQuotes(proposedPersona.key_quotes, normalized).map(evidence => ({ ...evidence, source: filename })),
+        redactionAuditId,
+        createdBy
+    });
+    return { proposalId: proposal.id, agentId, changeCount: changes.length };
+}
+
+jobQueue.register('persona_update', {
+    label: input => input.filename,
+    processItem: proposeUpdate,
+    onComplete: job => job.items[0]?.result || null
+});
+
+/**
+ * POST /api/persona-updates/agents/:agentId - Queue a merge of a new transcript
+ * Body: { transcript, filename?, speakerRoles? }
+ * Responds 202 with the job; its result is { proposalId, changeCount }
+ */
+router.post('/agents/:agentId', optionalAuth, validateId('agentId'), async (req, res) => {
+    try {
+        const { transcript, filename, speakerRoles } = req.body;
+        if (!transcript) {
+            return res.status(400).json({ error: 'Transcript is required' });
+        }
+
+        const agent = await loadAgent(req.params.agentId);
+        if (!agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        let normalized;
+        try {
+            normalized = loadTranscript(transcript, { filename, roles: speakerRoles || {} });
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+        if (normalized.respondents.length === 0) {
+            return res.status(400).json({ error: 'Could not find any respondent turns in the transcript' });
+        }
+
+        const sourceFile = filename || 'pasted_transcript';
+        const { items: [redacted], redaction } = await redactUpload([normalized], {
+            source: 'persona_update',
+            sourceFiles: [sourceFile],
+            createdBy: req.user?.id
+        });
+
+        const job = await jobQueue.enqueue('persona_update', [{
+            agentId: agent.id,
+            normalized: redacted,
+            filename: sourceFile,
+            redactionAuditId: redaction.auditId,
+            createdBy: req.user?.id || null
+        }], {
+            label: `Update ${agent.name} from ${sourceFile}`,
+            createdBy: req.user?.id,
+            meta: { agentId: agent.id }
+        });
+
+        res.status(202).json({ success: true, jobId: job.id, job, redaction });
+    } catch (error) {
+        sendError(res, error, 'Failed to queue persona update');
+    }
+});
+
+/**
+ * GET /api/persona-updates/agents/:agentId - Update proposals for an agent, newest first
+ * Query: ?status=pending|applied|rejected|discarded
+ */
+router.get('/agents/:agentId', validateId('agentId'), async (req, res) => {
+    try {
+        const proposals = await PersonaUpdateStore.listForAgent(req.params.agentId, { status: req.query.status });
+        res.json({ success: true, proposals });
+    } catch (error) {
+        sendError(res, error, 'Failed to list persona updates');
+    }
+});
+
+/**
+ * GET /api/persona-updates/:id - Proposal with its field-level changes and evidence
+ */
+router.get('/:id', validateId('id'), async (req, res) => {
+    try {
+        const proposal = await PersonaUpdateStore.get(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ error: 'Persona update not found' });
+        }
+        res.json({ success: true, proposal });
+    } catch (error) {
+        sendError(res, error, 'Failed to get persona update');
+    }
+});
+
+/**
+ * POST /api/persona-updates/:id/apply - Write accepted changes as a new persona version
+ * Body: { decisions: { "<field path>": "accept" | "reject" } }
+ */
+router.post('/:id/apply', validateId('id'), async (req, res) => {
+    try {
+        const result = await PersonaUpdateStore.apply(req.params.id, req.body.decisions || {}, { createdBy: req.user?.id });
+        if (!result) {
+            return res.status(404).json({ error: 'Persona update not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to apply persona update');
+    }
+});
+
+/**
+ * POST /api/persona-updates/:id/discard
+ */
+router.post('/:id/discard', validateId('id'), async (req, res) => {
+    try {
+        const proposal = await PersonaUpdateStore.discard(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ error: 'Persona update not found' });
+        }
+        res.json({ success: true, proposal });
+    } catch (error) {
+        sendError(res, error, 'Failed to discard persona update');
+    }
+});
+
+module.exports = router;
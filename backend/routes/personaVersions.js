@@ -0,0 +1,135 @@
+/**
+ * Persona Versions API - History, diff and rollback for one persona store.
+ * Mounted under each persona resource:
+ *   /api/agents/:id/versions         (legacy agents)
+ *   /api/agents/v5/:id/versions      (ai_agents)
+ *   /api/personas/v2/:id/versions    (v2 personas, owner only)
+ * Every mount sits behind `auth`, so rollbacks always record who made them.
+ */
+
+const express = require('express');
+const PersonaVersionStore = require('../services/personaVersionStore');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+/**
+ * @param {string} type - ai_agent | agent | persona
+ * @param {Object} options
+ * @param {Function} [options.ownerOf] - req => owner id, for stores scoped to a user
+ * @param {Function} [options.onRollback] - (id, row) => void, e.g. to refresh a cache
+ */
+function personaVersionRoutes(type, { ownerOf = () => null, onRollback = null } = {}) {
+    const router = express.Router({ mergeParams: true });
+
+    // The persona has to exist (and be the caller's) before its history is shown
+    router.use(async (req, res, next) => {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid id' });
+        }
+        try {
+            const current = await PersonaVersionStore.current(type, req.params.id, { ownerId: ownerOf(req) });
+            if (!current) {
+                return res.status(404).json({ error: 'Persona not found' });
+            }
+            req.persona = current;
+            next();
+        } catch (error) {
+            sendError(res, error, 'Failed to load persona');
+        }
+    });
+
+    /**
+     * GET /
+     * Version history, newest first
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const versions = await PersonaVersionStore.list(type, req.params.id, {
+                limit: req.query.limit,
+                offset: req.query.offset
+            });
+            res.json({
+                success: true,
+                current_version: req.persona.persona_version || 1,
+                versions
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to list persona versions');
+        }
+    });
+
+    /**
+     * GET /diff?from=2&to=4
+     * Field-level JSON diff; without `to` compares against the persona as it is now
+     */
+    router.get('/diff', async (req, res) => {
+        try {
+            if (!req.query.from) {
+                return res.status(400).json({ error: 'from is required' });
+            }
+            const diff = await PersonaVersionStore.diff(type, req.params.id, req.query.from, req.query.to, {
+                ownerId: ownerOf(req)
+            });
+            if (!diff) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            res.json({ success: true, diff });
+        } catch (error) {
+            sendError(res, error, 'Failed to diff persona versions');
+        }
+    });
+
+    /**
+     * GET /:version
+     * One version with its full snapshot
+     */
+    router.get('/:version', async (req, res) => {
+        try {
+            const version = await PersonaVersionStore.get(type, req.params.id, req.params.version);
+            if (!version) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            res.json({ success: true, version });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch persona version');
+        }
+    });
+
+    /**
+     * POST /:version/rollback
+     * Restore a version; recorded as a new version so nothing is lost
+     */
+    router.post('/:version/rollback', async (req, res) => {
+        try {
+            const result = await PersonaVersionStore.rollback(type, req.params.id, req.params.version, {
+                ownerId: ownerOf(req),
+                createdBy: req.user.id
+            });
+            if (!result) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            if (onRollback) {
+                await onRollback(req.params.id, result.row);
+            }
+            res.json({
+                success: true,
+                current_version: result.row.persona_version || 1,
+                version: result.version
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to roll back persona');
+        }
+    });
+
+    return router;
+}
+
+module.exports = personaVersionRoutes;
@@ -8,24 +8,52 @@ const router = express.Router();
 const PersonaManager = require('../agents/personaManager');
 const AgentGeneration = require('../agents/generation');
 const { auth } = require('../middleware/auth');
+const personaVersionRoutes = require('./personaVersions');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { toPromptText } = require('../services/transcriptNormalizer');
+const { redactUpload } = require('../services/piiRedaction');
 
 const personaManager = new PersonaManager();
 const agentGeneration = new AgentGeneration();
 
+// Version history, diff and rollback (owner only)
+router.use('/:id/versions', auth, personaVersionRoutes('persona', {
+  ownerOf: (req) => req.user.id,
+  onRollback: (id, row) => personaManager.cachePersona(id, row)
+}));
+
 /**
  * POST /api/personas/v2
  * Create a new persona from transcript or manual input
  */
 router.post('/', auth, async (req, res) => {
   try {
-    const { transcript, demographics, personaData, sourceType = 'manual' } = req.body;
+    const { transcript, demographics, personaData, sourceType = 'manual', filename, speakerRoles } = req.body;
     const userId = req.user.id;
 
     let finalPersonaData;
+    let redaction;
 
     if (transcript) {
+      let normalized;
+      try {
+        normalized = loadTranscript(transcript, { filename, roles: speakerRoles || {} });
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+      if (normalized.respondents.length === 0) {
+        return res.status(400).json({ error: 'Could not find any respondent turns in the transcript' });
+      }
+
+      const redactionResult = await redactUpload([normalized], {
+        source: 'personas_v2',
+        sourceFiles: [filename || 'pasted_transcript'],
+        createdBy: userId
+      });
+      redaction = redactionResult.redaction;
+
       // Generate persona from transcript
-      const analysis = await agentGeneration.analyzeTranscript(transcript, demographics);
+      const analysis = await agentGeneration.analyzeTranscript(toPromptText(redactionResult.items[0]), demographics);
       const synthesizedPersona = await agentGeneration.synthesizePersona(analysis, demographics);
       const masterPrompt = await agentGeneration.generateMasterPrompt(synthesizedPersona);
       const avatarUrl = agentGeneration.generateAvatarUrl(synthesizedPersona);
@@ -55,6 +83,7 @@ router.post('/', auth, async (req, res) => {
     res.status(201).json({
       success: true,
       data: result,
+      redaction,
       message: 'Persona created successfully'
     });
 
@@ -154,6 +183,7 @@ router.put('/:id', auth, async (req, res) => {
     delete updateData.id;
     delete updateData.user_id;
     delete updateData.created_at;
+    delete updateData.persona_version;
 
     const updatedPersona = await personaManager.updatePersona(id, userId, updateData);
 
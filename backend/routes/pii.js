@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+
+const { auth, authorize } = require('../middleware/auth');
+const PiiRedaction = require('../services/piiRedaction');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendError(res, error, message) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
+
+function validateAuditId(req, res, next) {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Audit id must be a valid UUID' });
+    }
+    next();
+}
+
+/**
+ * GET /api/pii/audits - What was redacted per upload (counts only, no values)
+ * Query: ?source=&limit=50&offset=0
+ */
+router.get('/audits', auth, async (req, res) => {
+    try {
+        const { source, limit, offset } = req.query;
+        const audits = await PiiRedaction.listAudits({ source, limit, offset });
+        res.json({ success: true, audits });
+    } catch (error) {
+        sendError(res, error, 'Failed to list PII redaction audits');
+    }
+});
+
+/**
+ * GET /api/pii/audits/:id
+ */
+router.get('/audits/:id', auth, validateAuditId, async (req, res) => {
+    try {
+        const audit = await PiiRedaction.getAudit(req.params.id);
+        if (!audit) {
+            return res.status(404).json({ error: 'Redaction audit not found' });
+        }
+        res.json({ success: true, audit });
+    } catch (error) {
+        sendError(res, error, 'Failed to get PII redaction audit');
+    }
+});
+
+/**
+ * GET /api/pii/audits/:id/vault - Decrypted originals for each placeholder
+ * Restricted to PII_VAULT_ROLES; every read is logged
+ */
+router.get('/audits/:id/vault', auth, authorize(PiiRedaction.vaultRoles()), validateAuditId, async (req, res) => {
+    try {
+        const entries = await PiiRedaction.revealVault(req.params.id, { accessedBy: req.user.id });
+        if (!entries) {
+            return res.status(404).json({ error: 'Redaction audit not found' });
+        }
+        res.json({ success: true, entries });
+    } catch (error) {
+        sendError(res, error, 'Failed to read PII vault');
+    }
+});
+
+/**
+ * POST /api/pii/audits/:id/restore - Put original values back into text
+ * generated from a redacted upload (e.g. a persona summary)
+ * Body: { text }
+ */
+router.post('/audits/:id/restore', auth, authorize(PiiRedaction.vaultRoles()), validateAuditId, async (req, res) => {
+    try {
+        if (typeof req.body.text !== 'string') {
+            return res.status(400).json({ error: 'text is required' });
+        }
+        const text = await PiiRedaction.restoreText(req.params.id, req.body.text, { accessedBy: req.user.id });
+        if (text === null) {
+            return res.status(404).json({ error: 'Redaction audit not found' });
+        }
+        res.json({ success: true, text });
+    } catch (error) {
+        sendError(res, error, 'Failed to restore redacted text');
+    }
+});
+
+module.exports = router;
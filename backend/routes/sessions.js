@@ -7,6 +7,12 @@ const path = require('path');
 
 // Import database pool
 const { pool } = require('../models/database');
+const SessionStore = require('../services/sessionStore');
+const liveSessionManager = require('../services/liveSessionManager');
+const PersonaVersionStore = require('../services/personaVersionStore');
+const { auth } = require('../middleware/auth');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Initialize ElevenLabs client
 let elevenlabsClient = null;
@@ -113,27 +119,20 @@ function getRegion(location) {
     return 'north';
 }
 
-// Mock session storage (replace with PostgreSQL)
-const sessions = [];
+// personaVersions must be { agentId: positive integer version }
+function isVersionMap(personaVersions) {
+    if (!personaVersions || typeof personaVersions !== 'object' || Array.isArray(personaVersions)) return false;
+    return Object.entries(personaVersions).every(([agentId, version]) =>
+        UUID_PATTERN.test(agentId) && Number.isInteger(Number(version)) && Number(version) >= 1
+    );
+}
 
-// Helper function to get all agents
-async function getAllAgents() {
-    try {
-        const result = await pool.query(`
-            SELECT 
-                id, name, occupation as role, age, gender, location,
-                personality, goals, pain_points, motivations,
-                sample_quote, tone, conversation_style, background_story,
-                voice_id, avatar_url
-            FROM ai_agents
-            WHERE is_active = true
-            ORDER BY created_at DESC
-        `);
-        return result.rows;
-    } catch (error) {
-        console.error('Error fetching agents from database:', error);
-        return [];
-    }
+// Helper function to get the session's agents, pinned ones at their pinned version
+async function getSessionAgents(agentIds, personaVersions = {}) {
+    const agents = await PersonaVersionStore.loadAgents(agentIds, personaVersions);
+    return agents
+        .filter(agent => agent.is_active)
+        .map(agent => ({ ...agent, role: agent.occupation }));
 }
 
 // Helper function to generate voice audio using ElevenLabs
@@ -182,16 +181,18 @@ async function generateVoiceAudio(text, agentLocation, agentData) {
 
 /**
  * POST /api/sessions/create
- * Create a new user research session (group discussion or 1:1 interview)
+ * Create a new user research session (group discussion or 1:1 interview), recorded
+ * as created by the signed-in user
  * 
  * Body:
  * - type: 'group' | '1on1'
  * - agentIds: array of agent IDs
  * - topic: string
+ * - personaVersions: optional { agentId: version } to run agents as an earlier persona version
  */
-router.post('/create', async (req, res) => {
+router.post('/create', auth, async (req, res) => {
     try {
-        const { type, agentIds, topic } = req.body;
+        const { type, agentIds, topic, personaVersions = {} } = req.body;
 
         // Validation
         if (!type || !['group', '1on1'].includes(type)) {
@@ -206,6 +207,12 @@ router.post('/create', async (req, res) => {
             });
         }
 
+        if (!agentIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({ 
+                error: 'Agent IDs must be valid UUIDs' 
+            });
+        }
+
         if (type === 'group' && agentIds.length > 5) {
             return res.status(400).json({ 
                 error: 'Group sessions limited to 5 agents maximum' 
@@ -224,11 +231,20 @@ router.post('/create', async (req, res) => {
             });
         }
 
+        if (!isVersionMap(personaVersions)) {
+            return res.status(400).json({ 
+                error: 'personaVersions must map agent IDs to version numbers' 
+            });
+        }
+
         // Fetch real agent data from Agent Library
         let allAgents = [];
         try {
-            allAgents = await getAllAgents();
+            allAgents = await getSessionAgents(agentIds, personaVersions);
         } catch (dbError) {
+            if (dbError.statusCode === 400) {
+                return res.status(400).json({ error: dbError.message });
+            }
             console.log('Database not available, using localStorage fallback');
         }
 
@@ -292,21 +308,25 @@ router.post('/create', async (req, res) => {
         });
 
         // Generate real agent responses using data-processing service
-        const log = await generateRealSession(type, selectedAgents, topic);
+        const log = await generateRealSession(type, selectedAgents, topic, allAgents);
 
         // Store session
-        const session = {
-            id: sessions.length + 1,
+        const session = await SessionStore.create({
             type,
-            agent_ids: agentIds,
             topic,
-            log_json: log,
+            agentIds,
+            agents: selectedAgents.map(agent => ({
+                id: agent.id,
+                name: agent.name,
+                location: agent.location || null,
+                avatar_url: agent.avatar_url || null
+            })),
+            log,
+            personaVersions: PersonaVersionStore.versionMap(allAgents),
             status: 'completed',
-            duration_minutes: Math.floor(log.length / 2),
-            created_at: new Date().toISOString()
-        };
-
-        sessions.push(session);
+            durationMinutes: Math.floor(log.length / 2),
+            createdBy: req.user?.id || null
+        });
 
         res.json({ 
             sessionId: session.id,
@@ -323,16 +343,230 @@ router.post('/create', async (req, res) => {
     }
 });
 
+/**
+ * Send a live session error with the status code carried by AppError
+ */
+function sendLiveError(res, error, fallbackMessage) {
+    const status = error.statusCode || 500;
+    if (status >= 500) {
+        console.error(`${fallbackMessage}:`, error);
+    }
+    res.status(status).json({
+        error: status >= 500 ? fallbackMessage : error.message,
+        details: error.message
+    });
+}
+
+/**
+ * Resolve a live session id from the URL, answering 404 for unknown sessions
+ */
+function requireLiveSession(req, res) {
+    if (!UUID_PATTERN.test(req.params.id) || !liveSessionManager.has(req.params.id)) {
+        res.status(404).json({ error: 'Live session not found' });
+        return null;
+    }
+    return req.params.id;
+}
+
+/**
+ * Live session controls are for the session's moderator (or an admin)
+ */
+function moderateLiveSession(req, res, next) {
+    if (!requireLiveSession(req, res)) return;
+    try {
+        liveSessionManager.assertModerator(req.params.id, req.user);
+        next();
+    } catch (error) {
+        sendLiveError(res, error, 'Failed to check session moderator');
+    }
+}
+
+/**
+ * POST /api/sessions/live
+ * Start a live, moderated group session (signed in; the caller moderates it). Turns stream to the
+ * Socket.IO room `session-<id>` (join with the "session:join" event).
+ *
+ * Body:
+ * - agentIds: array of 2-5 agent IDs
+ * - topic: string
+ * - policy: 'round-robin' | 'most-relevant' | 'interrupt-allowed' (default round-robin)
+ * - speakersPerTurn: agents answering each undirected question (default 2)
+ * - personaVersions: optional { agentId: version } to run agents as an earlier persona version
+ */
+router.post('/live', auth, async (req, res) => {
+    try {
+        const { agentIds, topic, policy, speakersPerTurn, personaVersions = {} } = req.body;
+
+        if (!Array.isArray(agentIds) || !agentIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({ error: 'agentIds must be an array of valid UUIDs' });
+        }
+        if (!isVersionMap(personaVersions)) {
+            return res.status(400).json({ error: 'personaVersions must map agent IDs to version numbers' });
+        }
+
+        const state = await liveSessionManager.start({
+            agentIds,
+            topic,
+            policy,
+            speakersPerTurn,
+            personaVersions,
+            createdBy: req.user?.id || null
+        });
+
+        res.status(201).json({ success: true, sessionId: state.id, state });
+
+    } catch (error) {
+        sendLiveError(res, error, 'Failed to start live session');
+    }
+});
+
+/**
+ * GET /api/sessions/live/:id
+ * Current state of a live session (participants, mute flags, queue, log)
+ */
+router.get('/live/:id', (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    res.json({ success: true, state: liveSessionManager.getState(sessionId) });
+});
+
+/**
+ * POST /api/sessions/live/:id/ask
+ * Moderator question or follow-up; set targetAgentId to direct it at one agent
+ */
+router.post('/live/:id/ask', auth, moderateLiveSession, async (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    try {
+        const { text, targetAgentId } = req.body;
+        const result = await liveSessionManager.ask(sessionId, { text, targetAgentId });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendLiveError(res, error, 'Failed to ask question');
+    }
+});
+
+/**
+ * POST /api/sessions/live/:id/mute | /unmute
+ * Body: { agentId }
+ */
+router.post('/live/:id/:action(mute|unmute)', auth, moderateLiveSession, (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    try {
+        const { agentId } = req.body;
+        const state = req.params.action === 'mute'
+            ? liveSessionManager.mute(sessionId, agentId)
+            : liveSessionManager.unmute(sessionId, agentId);
+        res.json({ success: true, state });
+    } catch (error) {
+        sendLiveError(res, error, `Failed to ${req.params.action} agent`);
+    }
+});
+
+/**
+ * POST /api/sessions/live/:id/pause | /resume
+ */
+router.post('/live/:id/:action(pause|resume)', auth, moderateLiveSession, (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    const state = req.params.action === 'pause'
+        ? liveSessionManager.pause(sessionId)
+        : liveSessionManager.resume(sessionId);
+    res.json({ success: true, state });
+});
+
+/**
+ * PUT /api/sessions/live/:id/policy
+ * Body: { policy, speakersPerTurn }
+ */
+router.put('/live/:id/policy', auth, moderateLiveSession, (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    try {
+        const { policy, speakersPerTurn } = req.body;
+        const state = liveSessionManager.setPolicy(sessionId, policy, speakersPerTurn);
+        res.json({ success: true, state });
+    } catch (error) {
+        sendLiveError(res, error, 'Failed to update speaker policy');
+    }
+});
+
+/**
+ * POST /api/sessions/live/:id/end
+ * End the session; the stored session is marked completed
+ */
+router.post('/live/:id/end', auth, moderateLiveSession, async (req, res) => {
+    const sessionId = requireLiveSession(req, res);
+    if (!sessionId) return;
+
+    try {
+        const state = await liveSessionManager.end(sessionId);
+        res.json({ success: true, state });
+    } catch (error) {
+        sendLiveError(res, error, 'Failed to end live session');
+    }
+});
+
+/**
+ * GET /api/sessions
+ * List sessions with pagination and search
+ * Query: ?type=group|1on1&topic=&agentId=&agentName=&status=&page=1&limit=20&includeDeleted=true
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { type, topic, agentId, agentName, status, page = 1, limit = 20, includeDeleted } = req.query;
+
+        if (agentId && !UUID_PATTERN.test(agentId)) {
+            return res.status(400).json({ error: 'agentId must be a valid UUID' });
+        }
+
+        const result = await SessionStore.list({
+            type,
+            topic,
+            agentId,
+            agentName,
+            status,
+            page,
+            limit,
+            includeDeleted: includeDeleted === 'true'
+        });
+
+        res.json({
+            sessions: result.sessions,
+            total: result.total,
+            pagination: {
+                page: result.page,
+                limit: result.limit,
+                totalPages: Math.ceil(result.total / result.limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Sessions list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to retrieve sessions',
+            details: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/sessions/:id
  * Retrieve a session by ID
  */
 router.get('/:id', async (req, res) => {
     try {
-        const sessionId = parseInt(req.params.id);
-        
-        // Find session (mock)
-        const session = sessions.find(s => s.id === sessionId);
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const session = await SessionStore.getById(req.params.id);
         
         if (!session) {
             return res.status(404).json({ error: 'Session not found' });
@@ -350,65 +584,60 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * GET /api/sessions
- * List all sessions with optional filtering
+ * DELETE /api/sessions/:id
+ * Soft delete a session (signed in; it stays restorable via POST /:id/restore)
  */
-router.get('/', async (req, res) => {
+router.delete('/:id', auth, async (req, res) => {
     try {
-        const { type, limit = 50 } = req.query;
-        
-        let filteredSessions = [...sessions];
-        
-        if (type) {
-            filteredSessions = filteredSessions.filter(s => s.type === type);
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
         }
+
+        const deleted = await SessionStore.softDelete(req.params.id);
         
-        // Sort by created_at descending
-        filteredSessions.sort((a, b) => 
-            new Date(b.created_at) - new Date(a.created_at)
-        );
-        
-        // Limit results
-        filteredSessions = filteredSessions.slice(0, parseInt(limit));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
 
-        res.json({
-            sessions: filteredSessions,
-            total: filteredSessions.length
+        res.json({ 
+            success: true,
+            message: 'Session deleted successfully'
         });
 
     } catch (error) {
-        console.error('Sessions list error:', error);
+        console.error('Session deletion error:', error);
         res.status(500).json({ 
-            error: 'Failed to retrieve sessions',
+            error: 'Failed to delete session',
             details: error.message 
         });
     }
 });
 
 /**
- * DELETE /api/sessions/:id
- * Delete a session
+ * POST /api/sessions/:id/restore
+ * Restore a soft-deleted session (signed in)
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/restore', auth, async (req, res) => {
     try {
-        const sessionId = parseInt(req.params.id);
-        const index = sessions.findIndex(s => s.id === sessionId);
-        
-        if (index === -1) {
-            return res.status(404).json({ error: 'Session not found' });
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Deleted session not found' });
         }
 
-        sessions.splice(index, 1);
+        const session = await SessionStore.restore(req.params.id);
 
-        res.json({ 
+        if (!session) {
+            return res.status(404).json({ error: 'Deleted session not found' });
+        }
+
+        res.json({
             success: true,
-            message: 'Session deleted successfully'
+            session
         });
 
     } catch (error) {
-        console.error('Session deletion error:', error);
+        console.error('Session restore error:', error);
         res.status(500).json({ 
-            error: 'Failed to delete session',
+            error: 'Failed to restore session',
             details: error.message 
         });
     }
@@ -418,7 +647,7 @@ router.delete('/:id', async (req, res) => {
  * Generate real session with authentic agent responses
  * Calls data-processing service for human-like AI agent responses
  */
-async function generateRealSession(type, agents, topic) {
+async function generateRealSession(type, agents, topic, fullAgents = []) {
     const log = [];
     const DATA_PROCESSING_URL = process.env.DATA_PROCESSING_URL || 'http://localhost:8000';
     
@@ -437,9 +666,8 @@ async function generateRealSession(type, agents, topic) {
                 timestamp: new Date().toISOString()
             });
 
-            // Get full agent data for rich persona
-            const fullAgentData = await pool.query('SELECT * FROM ai_agents WHERE id = $1', [agent.id]);
-            const fullAgent = fullAgentData.rows[0];
+            // Full agent data (at the pinned version) for rich persona
+            const fullAgent = fullAgents.find(a => a.id === agent.id);
 
             for (let i = 0; i < 5; i++) {
                 try {
@@ -525,11 +753,9 @@ async function generateRealSession(type, agents, topic) {
                 timestamp: new Date().toISOString()
             });
 
-            // Get full agent data for all agents
-            const agentIds = agents.map(a => a.id);
-            const fullAgentsData = await pool.query('SELECT * FROM ai_agents WHERE id = ANY($1)', [agentIds]);
+            // Full agent data (at the pinned versions) for all agents
             const fullAgentsMap = {};
-            fullAgentsData.rows.forEach(a => {
+            fullAgents.forEach(a => {
                 fullAgentsMap[a.id] = a;
             });
 
@@ -1,6 +1,6 @@
 /**
  * Transcript Mapping Route
- * Handles file upload (TXT), Google Docs URLs, and pasted text
+ * Handles file upload (TXT, PDF, VTT, SRT, meeting JSON), Google Docs URLs, and pasted text
  * Maps transcripts to comprehensive persona JSON with exact detail extraction
  */
 
@@ -13,6 +13,10 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const pdfParse = require('pdf-parse');
+const { toPromptText, describe, locateQuotes } = require('../services/transcriptNormalizer');
+const { loadTranscript } = require('../services/transcriptFormats');
+const { redactUpload } = require('../services/piiRedaction');
+const { buildProvenance } = require('../services/personaProvenance');
 
 const router = express.Router();
 
@@ -21,12 +25,12 @@ const upload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.txt', '.pdf', '.doc', '.docx'];
+        const allowedTypes = ['.txt', '.pdf', '.doc', '.docx', '.vtt', '.srt', '.json'];
         const ext = path.extname(file.originalname).toLowerCase();
         if (allowedTypes.includes(ext) || file.mimetype === 'text/plain') {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Only TXT and PDF files are allowed.'));
+            cb(new Error('Invalid file type. Only TXT, PDF, VTT, SRT and JSON files are allowed.'));
         }
     }
 });
@@ -128,7 +132,7 @@ async function extractFileText(file) {
     try {
         const ext = path.extname(file.originalname).toLowerCase();
         
-        if (ext === '.txt' || file.mimetype === 'text/plain') {
+        if (['.txt', '.vtt', '.srt', '.json'].includes(ext) || file.mimetype === 'text/plain') {
             return file.buffer.toString('utf-8');
         } else if (ext === '.pdf') {
             const pdfData = await pdfParse(file.buffer);
@@ -243,6 +247,28 @@ router.post('/map', upload.array('files', 10), async (req, res) => {
             });
         }
 
+        // Normalize speaker labels so the mapper always sees Moderator / Respondent turns;
+        // caption and meeting exports keep their cue timestamps
+        let normalized;
+        try {
+            normalized = transcripts.map((transcript, index) => loadTranscript(transcript, { filename: sourceFiles[index] }));
+        } catch (error) {
+            return res.status(400).json({ error: 'Could not read transcript', details: error.message });
+        }
+        normalized.forEach((result, index) => {
+            console.log(`  🗣️  ${sourceFiles[index]}: ${result.source}/${result.format}, interviewer ${result.interviewers.join(', ') || 'none'}, respondent ${result.respondents.join(', ') || 'none'}`);
+        });
+
+        // Strip PAN / Aadhaar / phone / account numbers before anything reaches the LLM
+        const { items: redacted, redaction } = await redactUpload(normalized, {
+            source: 'transcript_map',
+            sourceFiles,
+            createdBy: req.user?.id
+        });
+        if (redaction.total > 0) {
+            console.log(`  🔒 Redacted ${redaction.total} personal identifier(s) (audit ${redaction.auditId || 'not recorded'})`);
+        }
+
         console.log(`\n🤖 Sending ${transcripts.length} transcripts to data-processing service...`);
 
         // 4. Send to data-processing service
@@ -251,7 +277,7 @@ router.post('/map', upload.array('files', 10), async (req, res) => {
         
         try {
             const response = await axios.post(`${dataProcessingUrl}/map-transcripts`, {
-                transcripts,
+                transcripts: redacted.map(result => toPromptText(result)),
                 source_files: sourceFiles
             }, {
                 timeout: 120000, // 2 minutes timeout
@@ -278,6 +304,13 @@ router.post('/map', upload.array('files', 10), async (req, res) => {
 
                     console.log(`\n💾 Saving persona ${i + 1}/${personas.length}: ${persona.identity?.name || 'Unknown'}`);
 
+                    // One persona per transcript: link key quotes and fields to the turn and timestamp they came from
+                    if (personas.length === normalized.length) {
+                        persona.quote_evidence = locateQuotes(persona.key_quotes, redacted[i])
+                            .map(evidence => ({ ...evidence, source: sourceFiles[i] }));
+                        persona.field_provenance = buildProvenance(persona, redacted[i], { source: sourceFiles[i] });
+                    }
+
                     // Extract fields for database
                     const name = persona.identity?.name || 'Unknown';
                     const age = persona.identity?.age || null;
@@ -373,6 +406,8 @@ router.post('/map', upload.array('files', 10), async (req, res) => {
                 success: true,
                 personas: savedPersonas,
                 extracted_data: personas,
+                transcripts: normalized.map((result, index) => ({ source: sourceFiles[index], ...describe(result) })),
+                redaction,
                 count: savedPersonas.length,
                 message: `Successfully processed ${savedPersonas.length} transcript(s)`
             });
@@ -1,6 +1,7 @@
 /**
  * Transcript Upload API - Create personas from transcript documents
- * Supports Excel, CSV, and text files with transcript data
+ * Supports Excel, CSV, and text files with transcript data, plus VTT / SRT
+ * captions and meeting-tool JSON exports with per-turn timestamps
  */
 
 const express = require('express');
@@ -12,6 +13,12 @@ const { pool } = require('../models/database');
 const providerGateway = require('../services/providerGateway');
 const promptBuilder = require('../services/promptBuilder');
 const { v4: uuidv4 } = require('uuid');
+const { loadTranscript, isMeetingExport } = require('../services/transcriptFormats');
+const { toPromptText, locateQuotes } = require('../services/transcriptNormalizer');
+const { createRedactor, redactNormalized, recordRedaction } = require('../services/piiRedaction');
+const { buildProvenance } = require('../services/personaProvenance');
+const jobQueue = require('../services/jobQueue');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -53,7 +60,7 @@ const upload = multer({
             'text/x-csv', // Another CSV variant
         ];
         
-        const allowedExtensions = ['.csv', '.xlsx', '.xls', '.txt', '.json', '.pdf', '.doc', '.docx', '.rtf', '.odt', '.md', '.html', '.htm'];
+        const allowedExtensions = ['.csv', '.xlsx', '.xls', '.txt', '.json', '.vtt', '.srt', '.pdf', '.doc', '.docx', '.rtf', '.odt', '.md', '.html', '.htm'];
         const fileExtension = path.extname(file.originalname).toLowerCase();
         
         // Accept if either MIME type matches OR file extension is allowed
@@ -62,16 +69,41 @@ const upload = multer({
             cb(null, true);
         } else {
             console.log('❌ File rejected:', file.originalname, 'MIME:', file.mimetype, 'Ext:', fileExtension);
-            cb(new Error(`Invalid file type: ${file.originalname}. Allowed: CSV, Excel, TXT, JSON, PDF, DOCX, and more.`));
+            cb(new Error(`Invalid file type: ${file.originalname}. Allowed: CSV, Excel, TXT, JSON, VTT, SRT, PDF, DOCX, and more.`));
         }
     }
 });
 
+/**
+ * Each parsed transcript becomes one item of a background job; the persona
+ * pipeline runs in the job queue so large batches don't time out the request
+ */
+jobQueue.register('transcript_upload', {
+    label: (transcript, index) => transcript.name || `Transcript ${index + 1}`,
+    processItem: async (transcript) => ({ agentId: await createPersonaFromTranscript(transcript), name: transcript.name || 'Unknown' }),
+    onComplete: (job) => ({
+        results: job.items.filter(item => item.status === 'completed').map(item => ({
+            index: item.index + 1,
+            name: item.result.name,
+            agentId: item.result.agentId,
+            status: 'success'
+        })),
+        errors: job.items.filter(item => item.status !== 'completed').map(item => ({
+            index: item.index + 1,
+            name: item.label,
+            error: item.error || item.status,
+            status: 'failed'
+        }))
+    })
+});
+
 /**
  * POST /transcript-upload
- * Upload transcript file and create personas
+ * Upload transcript file and queue persona creation
+ * Responds 202 with the job; progress arrives on the job-<id> Socket.IO room
+ * and GET /api/jobs/:id returns { results, errors } once it finishes
  */
-router.post('/', upload.single('transcript'), async (req, res) => {
+router.post('/', optionalAuth, upload.single('transcript'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No transcript file uploaded' });
     }
@@ -83,46 +115,44 @@ router.post('/', upload.single('transcript'), async (req, res) => {
         const transcripts = await parseTranscriptFile(req.file.path, req.file.mimetype);
         console.log(`Found ${transcripts.length} transcripts`);
 
+        // Clean up uploaded file
+        fs.unlinkSync(req.file.path);
+
         if (transcripts.length === 0) {
             return res.status(400).json({ error: 'No valid transcripts found in file' });
         }
 
-        // Create personas from transcripts
-        const results = [];
-        const errors = [];
-
-        for (let i = 0; i < transcripts.length; i++) {
-            const transcript = transcripts[i];
-            try {
-                console.log(`Creating persona ${i + 1}/${transcripts.length}: ${transcript.name || 'Unknown'}`);
-                
-                const agentId = await createPersonaFromTranscript(transcript);
-                results.push({
-                    index: i + 1,
-                    name: transcript.name || 'Unknown',
-                    agentId: agentId,
-                    status: 'success'
-                });
-            } catch (error) {
-                console.error(`Error creating persona ${i + 1}:`, error.message);
-                errors.push({
-                    index: i + 1,
-                    name: transcript.name || 'Unknown',
-                    error: error.message,
-                    status: 'failed'
-                });
-            }
+        // Strip PAN / Aadhaar / phone / account numbers before anything reaches the LLM;
+        // one redactor per file keeps placeholders consistent across its rows
+        const redactor = createRedactor();
+        transcripts.forEach(transcript => redactTranscript(transcript, redactor));
+        let redactionAuditId = null;
+        try {
+            redactionAuditId = await recordRedaction(redactor, {
+                source: 'transcript_upload',
+                sourceFiles: [req.file.originalname],
+                createdBy: req.user?.id
+            });
+        } catch (error) {
+            console.error('Failed to record PII redaction audit:', error.message);
         }
 
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+        const job = await jobQueue.enqueue('transcript_upload', transcripts, {
+            label: req.file.originalname,
+            createdBy: req.user?.id,
+            meta: { file: req.file.originalname, redactionAuditId }
+        });
 
-        res.json({
-            message: `Processed ${transcripts.length} transcripts`,
-            successful: results.length,
-            failed: errors.length,
-            results: results,
-            errors: errors
+        res.status(202).json({
+            message: `Queued ${transcripts.length} transcripts`,
+            jobId: job.id,
+            job,
+            redaction: {
+                auditId: redactionAuditId,
+                enabled: redactor.enabled,
+                counts: redactor.summary().counts,
+                total: redactor.summary().total
+            }
         });
 
     } catch (error) {
@@ -131,6 +161,19 @@ router.post('/', upload.single('transcript'), async (req, res) => {
     }
 });
 
+/**
+ * Redact a parsed transcript record in place
+ */
+function redactTranscript(transcript, redactor) {
+    if (transcript.raw_text) {
+        transcript.raw_text = redactor.redact(transcript.raw_text);
+    }
+    if (transcript.normalized) {
+        transcript.normalized = redactNormalized(transcript.normalized, redactor);
+    }
+    return transcript;
+}
+
 /**
  * Parse transcript file based on file type
  */
@@ -138,7 +181,12 @@ async function parseTranscriptFile(filePath, mimeType) {
     const transcripts = [];
 
     try {
-        if (mimeType === 'text/plain') {
+        const extension = path.extname(filePath).toLowerCase();
+        if (['.vtt', '.srt'].includes(extension) ||
+            (extension === '.json' && isMeetingExport(JSON.parse(fs.readFileSync(filePath, 'utf8'))))) {
+            // Caption / meeting-tool export - single interview with timed turns
+            transcripts.push(timedTranscript(fs.readFileSync(filePath, 'utf8'), filePath));
+        } else if (mimeType === 'text/plain') {
             // Plain text file - treat as single transcript
             const content = fs.readFileSync(filePath, 'utf8');
             transcripts.push({
@@ -296,6 +344,17 @@ async function createPersonaFromTranscript(transcript) {
             masterSystemPrompt = promptBuilder.buildMasterPrompt(personaData);
         }
 
+        // Link extracted quotes and fields to the recording moment they came from
+        if (transcript.normalized) {
+            const quotes = [personaData.quote, ...(personaData.key_quotes || [])];
+            personaData.source_meta = {
+                ...(personaData.source_meta || {}),
+                transcript_format: transcript.normalized.source,
+                quote_evidence: locateQuotes(quotes, transcript.normalized),
+                field_provenance: buildProvenance(personaData, transcript.normalized)
+            };
+        }
+
         // Generate avatar URL
         const avatarUrl = promptBuilder.generateAvatarUrl(personaData);
 
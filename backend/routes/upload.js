@@ -26,10 +26,14 @@ const upload = multer({
             'text/csv',
             'application/vnd.ms-excel',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'text/plain'
+            'text/plain',
+            'text/vtt',
+            'application/x-subrip',
+            'application/json'
         ];
-        
-        if (allowedTypes.includes(file.mimetype)) {
+        const transcriptExtensions = ['.vtt', '.srt', '.json'];
+
+        if (allowedTypes.includes(file.mimetype) || transcriptExtensions.includes(path.extname(file.originalname).toLowerCase())) {
             cb(null, true);
         } else {
             cb(new Error('Invalid file type'));
@@ -7,6 +7,11 @@ const http = require('http');
 const socketIO = require('socket.io');
 const { createTables, redis } = require('./models/database');
 const { auth, cors: corsMiddleware, errorHandler, requestLogger, rateLimit } = require('./middleware/auth');
+const liveSessionManager = require('./services/liveSessionManager');
+const conversationAnalytics = require('./services/conversationAnalytics');
+const jobQueue = require('./services/jobQueue');
+const InterviewGuideStore = require('./services/interviewGuideStore');
+const { assertVaultConfigured } = require('./services/piiRedaction');
 require('dotenv').config();
 
 // FIX: Disable SSL verification globally for ElevenLabs API
@@ -118,6 +123,10 @@ io.on('connection', (socket) => {
         socket.to(`call-${callId}`).emit('user-left', { socketId: socket.id });
     });
 
+    // Moderated live group research sessions (session:join, session:ask, session:mute, ...)
+    liveSessionManager.registerSocketHandlers(socket);
+    jobQueue.registerSocketHandlers(socket);
+
     socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
     });
@@ -125,6 +134,8 @@ io.on('connection', (socket) => {
 
 // Make io available to routes
 app.set('io', io);
+liveSessionManager.attach(io);
+jobQueue.attach(io);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -133,7 +144,7 @@ app.get('/api/health', (req, res) => {
         service: 'Avinci Backend',
         timestamp: new Date().toISOString(),
         port: PORT,
-        aiProvider: process.env.AI_PROVIDER || 'grok'
+        aiProvider: process.env.AI_PROVIDER || 'openai'
     });
 });
 
@@ -291,6 +302,8 @@ app.use('/api/upload', require('./routes/upload')); // General file uploads
 // ✅ User Research & Sessions
 app.use('/api/research-agents', require('./routes/agentsForResearch')); // Agents for user research
 app.use('/api/sessions', require('./routes/sessions')); // User research sessions (group & 1:1)
+app.use('/api/interview-guides', require('./routes/interviewGuides')); // Discussion guides replayed as 1:1 persona interviews
+app.use('/api/affinity-boards', require('./routes/affinityBoards')); // Affinity maps built from research conversations
 
 // ✅ Admin Panel & RBAC
 app.use('/api/admin/roles', require('./routes/adminRoles')); // Admin roles management
@@ -324,6 +337,10 @@ app.use('/api/call', (req, res, next) => {
 // ✅ PRD Management
 app.use('/api/products', require('./routes/products')); // Product management
 app.use('/api/prds', require('./routes/prds')); // PRD management
+app.use('/api/insights', require('./routes/insights')); // Insight repository with evidence links
+app.use('/api/pii', require('./routes/pii')); // PII redaction audits and vault
+app.use('/api/jobs', require('./routes/jobs')); // Background job history, cancellation and retries
+app.use('/api/persona-updates', require('./routes/personaUpdates')); // Merge a returning respondent's new transcript into their persona
 
 // Note: Legacy routes (agents_v2-v4, chat_v2-v4, feedback_v2) moved to /tests folder
 
@@ -336,6 +353,7 @@ app.use('*', (req, res) => {
 
 async function startServer() {
     try {
+        assertVaultConfigured();
         await createTables();
         
         if (!redis.isOpen) {
@@ -343,9 +361,27 @@ async function startServer() {
         }
         
         console.log('\n🎯 Avinci Configuration:');
-        console.log(`   AI Provider: ${process.env.AI_PROVIDER || 'grok'}`);
+        console.log(`   AI Provider: ${process.env.AI_PROVIDER || 'openai'}`);
         console.log(`   Database: ${process.env.DB_NAME || 'avinci'}`);
         
+        // Incremental theme/sentiment analytics over stored messages (0 disables)
+        const analyticsInterval = parseInt(process.env.ANALYTICS_PROCESS_INTERVAL_MINUTES ?? '15');
+        if (analyticsInterval > 0) {
+            conversationAnalytics.startScheduler(analyticsInterval * 60 * 1000);
+        }
+
+        // Background transcript processing (re-queues jobs interrupted by a restart)
+        await jobQueue.start();
+
+        // Live sessions don't survive a restart; close out the ones left open
+        await liveSessionManager.recover();
+
+        // Same for interview guide runs, which execute in this process
+        const interruptedRuns = await InterviewGuideStore.interruptUnfinishedRuns();
+        if (interruptedRuns > 0) {
+            console.log(`Marked ${interruptedRuns} interview guide run(s) interrupted by a restart`);
+        }
+        
         server.listen(PORT, () => {
             console.log('\n🚀 Avinci Backend is running!');
             console.log(`   Port: ${PORT}`);
@@ -0,0 +1,274 @@
+/**
+ * Accessibility Audit - deterministic checks on Figma ASTs (utils/figmaParser)
+ * Runs next to the persona agents as a "machine" reviewer: text contrast
+ * computed from the fills painted behind each text node, tap target sizes,
+ * a font-size floor and accessible names for icon-only buttons. Findings use
+ * the feedback_items shape so they are stored and aggregated like agent critiques.
+ */
+
+const { getAst } = require('../utils/figmaParser');
+
+const MACHINE_REVIEWER = { id: 'machine', name: 'Accessibility audit' };
+
+const DEFAULT_OPTIONS = {
+    minContrast: 4.5,       // WCAG 1.4.3, normal text
+    minLargeTextContrast: 3, // WCAG 1.4.3, large text
+    minTapTarget: 44,       // Platform guidelines (iOS HIG, Material 48dp)
+    minTapTargetAA: 24,     // WCAG 2.5.8 Target Size (Minimum)
+    minFontSize: 12
+};
+
+const RULES = {
+    contrast: 'WCAG 1.4.3 Contrast (Minimum)',
+    tapTarget: 'WCAG 2.5.8 Target Size (Minimum)',
+    fontSize: 'Readable text size',
+    iconLabel: 'WCAG 4.1.2 Name, Role, Value'
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const INTERACTIVE_NAME = /\b(button|btn|cta|link|tab|toggle|switch|checkbox|radio|chip|fab|close|back|menu|icon[\s_-]?button)\b/i;
+const CONTAINER_TYPES = ['FRAME', 'GROUP', 'INSTANCE', 'COMPONENT', 'RECTANGLE'];
+const ICON_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'ELLIPSE', 'LINE', 'POLYGON', 'INSTANCE'];
+// Auto-generated or role-only layer names that say nothing about the action
+const GENERIC_NAME = /^(icon[\s_-]?button|button|btn|icon|frame|group|instance|component|vector|rectangle|ellipse)([\s_-]*\d+)?$/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const hex = (color) => `#${[color.r, color.g, color.b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+function channel(value) {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function luminance(color) {
+    return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colours ({ r, g, b } in 0-255)
+ */
+function contrastRatio(foreground, background) {
+    const l1 = luminance(foreground);
+    const l2 = luminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+// Source-over compositing of a translucent colour onto an opaque one
+function blend(top, bottom, alpha = top.a ?? 1) {
+    return {
+        r: top.r * alpha + bottom.r * (1 - alpha),
+        g: top.g * alpha + bottom.g * (1 - alpha),
+        b: top.b * alpha + bottom.b * (1 - alpha),
+        a: 1
+    };
+}
+
+function contains(box, x, y) {
+    return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+}
+
+function isLargeText(textStyle) {
+    const size = textStyle?.fontSize || 0;
+    return size >= 24 || (size >= 18.66 && (textStyle?.fontWeight || 400) >= 700);
+}
+
+function hasText(node) {
+    if (node.type === 'TEXT') return Boolean(node.metadata?.textContent?.trim());
+    return (node.children || []).some(hasText);
+}
+
+function hasIcon(node) {
+    return (node.children || []).some(child =>
+        ICON_TYPES.includes(child.type) || /icon/i.test(child.name) || hasIcon(child)
+    );
+}
+
+function isInteractive(node) {
+    return CONTAINER_TYPES.includes(node.type) && INTERACTIVE_NAME.test(node.name || '');
+}
+
+/**
+ * Colour behind a point: paints before the text in document order, composited
+ * over white. null when an image fill, or a translucent paint with nothing
+ * known beneath it, makes the background unknowable.
+ */
+function backgroundAt(paints, x, y) {
+    let background = WHITE;
+    for (const paint of paints) {
+        if (!contains(paint.box, x, y)) continue;
+        if (paint.image) {
+            background = null;
+        } else if (background) {
+            background = blend(paint.color, background, paint.alpha);
+        } else if (paint.alpha >= 1) {
+            background = { ...paint.color, a: 1 };
+        }
+    }
+    return background;
+}
+
+function element(node, box) {
+    return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        bbox: { x: round2(box.x), y: round2(box.y), width: round2(box.width), height: round2(box.height) },
+        source: 'ast'
+    };
+}
+
+function finding(rule, node, box, { severity, critique, justification, fix, measured }) {
+    return {
+        rule,
+        critique_text: critique,
+        severity,
+        heuristic_principle: RULES[rule],
+        heuristic_justification: justification,
+        evidence_elements: [{ ...element(node, box), measured }],
+        suggested_fix: fix
+    };
+}
+
+function checkContrast(node, box, opacity, paints, options) {
+    const fill = [...(node.styles?.fills || [])].reverse().find(f => f.type === 'SOLID' && f.color);
+    if (!fill) return null;
+
+    const background = backgroundAt(paints, box.x + box.width / 2, box.y + box.height / 2);
+    if (!background) return null;
+
+    const foreground = blend(fill.color, background, (fill.color.a ?? 1) * opacity);
+    const ratio = contrastRatio(foreground, background);
+    const large = isLargeText(node.styles.textStyle);
+    const required = large ? options.minLargeTextContrast : options.minContrast;
+    if (ratio >= required) return null;
+
+    const text = node.metadata?.textContent || node.name;
+    return finding('contrast', node, box, {
+        severity: ratio < options.minLargeTextContrast ? 'high' : 'medium',
+        critique: `Text "${text.slice(0, 60)}" has a contrast ratio of ${round2(ratio)}:1, below the ${required}:1 minimum`,
+        justification: `${hex(foreground)} on ${hex(background)} is ${round2(ratio)}:1; ${large ? 'large' : 'normal'} text at ${node.styles.textStyle?.fontSize || '?'}px needs ${required}:1`,
+        fix: `Darken the text or lighten the background until the ratio is at least ${required}:1`,
+        measured: { ratio: round2(ratio), required, foreground: hex(foreground), background: hex(background) }
+    });
+}
+
+function checkFontSize(node, box, options) {
+    const size = node.styles?.textStyle?.fontSize;
+    if (!size || size >= options.minFontSize) return null;
+
+    return finding('fontSize', node, box, {
+        severity: size < 10 ? 'high' : 'medium',
+        critique: `Text "${(node.metadata?.textContent || node.name).slice(0, 60)}" is set at ${size}px, below the ${options.minFontSize}px floor`,
+        justification: `Font size ${size}px; minimum ${options.minFontSize}px`,
+        fix: `Use at least ${options.minFontSize}px for this text`,
+        measured: { fontSize: size, minimum: options.minFontSize }
+    });
+}
+
+function checkTapTarget(node, box, options) {
+    const smallest = Math.min(box.width, box.height);
+    if (smallest >= options.minTapTarget) return null;
+
+    const failsAA = smallest < options.minTapTargetAA;
+    return finding('tapTarget', node, box, {
+        severity: failsAA ? 'high' : 'low',
+        critique: `"${node.name}" is ${round2(box.width)}x${round2(box.height)}px, smaller than a ${options.minTapTarget}x${options.minTapTarget}px tap target`,
+        justification: failsAA
+            ? `Below the ${options.minTapTargetAA}x${options.minTapTargetAA}px WCAG 2.5.8 minimum`
+            : `Meets WCAG 2.5.8 (${options.minTapTargetAA}px) but not the ${options.minTapTarget}px touch guideline`,
+        fix: `Grow the hit area to at least ${options.minTapTarget}x${options.minTapTarget}px (padding can extend it beyond the visible shape)`,
+        measured: { width: round2(box.width), height: round2(box.height), minimum: options.minTapTarget }
+    });
+}
+
+function checkIconLabel(node, box) {
+    if (hasText(node) || !hasIcon(node) || !GENERIC_NAME.test((node.name || '').trim())) return null;
+
+    return finding('iconLabel', node, box, {
+        severity: 'high',
+        critique: `Icon-only button "${node.name}" has no label, so screen readers cannot announce what it does`,
+        justification: 'No text inside the button and the layer name does not describe the action',
+        fix: 'Name the layer after its action (e.g. "Close dialog") and give it an aria-label in code, or add a visible text label',
+        measured: null
+    });
+}
+
+/**
+ * @param {Array} ast - Pages from utils/figmaParser.getAst
+ * @param {Object} [options] - Thresholds; see DEFAULT_OPTIONS
+ * @returns {Array<Object>} Findings in document order, boxes relative to their screen
+ */
+function auditAst(ast, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const findings = [];
+
+    const visit = (node, origin, opacity, paints, insideTarget) => {
+        if (node.visible === false) return;
+        const layout = node.layout || {};
+        const box = { x: origin.x + (layout.x || 0), y: origin.y + (layout.y || 0), width: layout.width || 0, height: layout.height || 0 };
+        const nodeOpacity = opacity * (layout.opacity ?? 1);
+
+        if (node.type === 'TEXT') {
+            [checkContrast(node, box, nodeOpacity, paints, settings), checkFontSize(node, box, settings)]
+                .filter(Boolean)
+                .forEach(result => findings.push(result));
+            return;
+        }
+
+        const target = !insideTarget && isInteractive(node);
+        if (target) {
+            [checkTapTarget(node, box, settings), checkIconLabel(node, box)]
+                .filter(Boolean)
+                .forEach(result => findings.push(result));
+        }
+
+        (node.styles?.fills || []).forEach(fill => {
+            if (fill.type === 'IMAGE') {
+                paints.push({ box, image: true });
+            } else if (fill.type === 'SOLID' && fill.color) {
+                paints.push({ box, color: fill.color, alpha: (fill.color.a ?? 1) * nodeOpacity });
+            }
+        });
+
+        (node.children || []).forEach(child => visit(child, box, nodeOpacity, paints, insideTarget || target));
+    };
+
+    (ast || []).forEach(page => (page.screens || []).forEach(screen => {
+        // Screen boxes start at 0,0 so findings line up with node_mapping bounds
+        visit(screen, { x: 0, y: 0 }, 1, [], false);
+    }));
+    return findings;
+}
+
+/**
+ * Audit a raw Figma frame node (e.g. design_artifacts.image_metadata.figma_data)
+ */
+function auditFigmaNode(node, options = {}) {
+    return auditAst(getAst({ type: 'CANVAS', id: 'page', name: 'Page 1', children: [node] }), options);
+}
+
+/**
+ * A finding in the problem shape the agents return, for DesignFeedbackService.aggregateFeedback
+ */
+function findingToProblem(item) {
+    return {
+        issue: item.critique_text,
+        evidence: item.heuristic_justification,
+        severity: item.severity,
+        heuristic: item.heuristic_principle,
+        fix: item.suggested_fix,
+        elements: item.evidence_elements.map(({ measured, ...rest }) => rest),
+        rule: item.rule
+    };
+}
+
+module.exports = {
+    MACHINE_REVIEWER,
+    RULES,
+    DEFAULT_OPTIONS,
+    contrastRatio,
+    auditAst,
+    auditFigmaNode,
+    findingToProblem
+};
@@ -0,0 +1,284 @@
+/**
+ * Affinity Board Store - Postgres persistence for affinity-mapping boards,
+ * their clusters and the quote notes placed on them
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const BOARD_COLUMNS = 'id, title, description, sources, created_by, created_at, updated_at';
+const CLUSTER_COLUMNS = 'id, board_id, label, suggested_label, color, position, created_at, updated_at';
+const NOTE_COLUMNS = `
+    id, board_id, cluster_id, quote, speaker, agent_id, source_type, source_id,
+    message_ref, tags, position, created_at, updated_at
+`;
+
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
+
+class AffinityBoardStore {
+    /**
+     * Persist a generated board in one transaction
+     * @param {Object} board - { title, description, sources, createdBy, clusters: [{label, suggestedLabel, color, quotes}], ungrouped }
+     */
+    static async create({ title, description = null, sources = [], createdBy = null, clusters = [], ungrouped = [] }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const boardResult = await client.query(`
+                INSERT INTO affinity_boards (title, description, sources, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING ${BOARD_COLUMNS}
+            `, [title, description, JSON.stringify(sources), createdBy]);
+            const board = boardResult.rows[0];
+
+            const insertNote = (quote, clusterId, position) => client.query(`
+                INSERT INTO affinity_notes (board_id, cluster_id, quote, speaker, agent_id, source_type, source_id, message_ref, position)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [
+                board.id,
+                clusterId,
+                quote.quote,
+                quote.speaker || null,
+                quote.agentId || null,
+                quote.sourceType,
+                quote.sourceId,
+                quote.messageRef || null,
+                position
+            ]);
+
+            for (const [index, cluster] of clusters.entries()) {
+                const clusterResult = await client.query(`
+                    INSERT INTO affinity_clusters (board_id, label, suggested_label, color, position)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING id
+                `, [board.id, cluster.label, cluster.suggestedLabel || cluster.label, cluster.color || null, index]);
+
+                for (const [position, quote] of cluster.quotes.entries()) {
+                    await insertNote(quote, clusterResult.rows[0].id, position);
+                }
+            }
+
+            for (const [position, quote] of ungrouped.entries()) {
+                await insertNote(quote, null, position);
+            }
+
+            await client.query('COMMIT');
+            return board;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Board with ordered clusters (each with its notes) and ungrouped notes
+     */
+    static async getById(id) {
+        const boardResult = await pool.query(`
+            SELECT ${BOARD_COLUMNS}
+            FROM affinity_boards
+            WHERE id = $1 AND deleted_at IS NULL
+        `, [id]);
+        const board = boardResult.rows[0];
+        if (!board) return null;
+
+        const [clusters, notes] = await Promise.all([
+            pool.query(`SELECT ${CLUSTER_COLUMNS} FROM affinity_clusters WHERE board_id = $1 ORDER BY position, created_at`, [id]),
+            pool.query(`SELECT ${NOTE_COLUMNS} FROM affinity_notes WHERE board_id = $1 ORDER BY position, created_at`, [id])
+        ]);
+
+        return {
+            ...board,
+            clusters: clusters.rows.map(cluster => ({
+                ...cluster,
+                notes: notes.rows.filter(note => note.cluster_id === cluster.id)
+            })),
+            ungrouped: notes.rows.filter(note => !note.cluster_id)
+        };
+    }
+
+    static async list({ page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+        const result = await pool.query(`
+            SELECT b.id, b.title, b.description, b.sources, b.created_at, b.updated_at,
+                   (SELECT COUNT(*)::int FROM affinity_clusters c WHERE c.board_id = b.id) AS cluster_count,
+                   (SELECT COUNT(*)::int FROM affinity_notes n WHERE n.board_id = b.id) AS note_count
+            FROM affinity_boards b
+            WHERE b.deleted_at IS NULL
+            ORDER BY b.created_at DESC
+            LIMIT $1 OFFSET $2
+        `, [pageSize, (pageNumber - 1) * pageSize]);
+
+        return { boards: result.rows, page: pageNumber, limit: pageSize };
+    }
+
+    static async update(id, { title, description }) {
+        const result = await pool.query(`
+            UPDATE affinity_boards
+            SET title = COALESCE($2, title),
+                description = COALESCE($3, description),
+                updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+            RETURNING ${BOARD_COLUMNS}
+        `, [id, title ?? null, description ?? null]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Save the board arrangement after drag and drop
+     * @param {Object} layout - { clusters: [{id, noteIds}], ungrouped: [noteId] } in display order
+     */
+    static async saveLayout(boardId, { clusters = [], ungrouped = [] }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const owned = await client.query('SELECT id FROM affinity_clusters WHERE board_id = $1', [boardId]);
+            const ownedIds = new Set(owned.rows.map(row => row.id));
+            const unknown = clusters.find(cluster => !ownedIds.has(cluster.id));
+            if (unknown) {
+                throw new AppError(`Cluster ${unknown.id} does not belong to this board`, ERROR_TYPES.VALIDATION, 400);
+            }
+
+            for (const [index, cluster] of clusters.entries()) {
+                await client.query(
+                    'UPDATE affinity_clusters SET position = $3, updated_at = NOW() WHERE id = $1 AND board_id = $2',
+                    [cluster.id, boardId, index]
+                );
+                for (const [position, noteId] of (cluster.noteIds || []).entries()) {
+                    await client.query(
+                        'UPDATE affinity_notes SET cluster_id = $3, position = $4, updated_at = NOW() WHERE id = $1 AND board_id = $2',
+                        [noteId, boardId, cluster.id, position]
+                    );
+                }
+            }
+
+            for (const [position, noteId] of ungrouped.entries()) {
+                await client.query(
+                    'UPDATE affinity_notes SET cluster_id = NULL, position = $3, updated_at = NOW() WHERE id = $1 AND board_id = $2',
+                    [noteId, boardId, position]
+                );
+            }
+
+            await client.query('UPDATE affinity_boards SET updated_at = NOW() WHERE id = $1', [boardId]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async createCluster(boardId, { label, color = null }) {
+        const result = await pool.query(`
+            INSERT INTO affinity_clusters (board_id, label, color, position)
+            VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position) + 1, 0) FROM affinity_clusters WHERE board_id = $1))
+            RETURNING ${CLUSTER_COLUMNS}
+        `, [boardId, label, color]);
+
+        return { ...result.rows[0], notes: [] };
+    }
+
+    static async updateCluster(boardId, clusterId, { label, color }) {
+        const result = await pool.query(`
+            UPDATE affinity_clusters
+            SET label = COALESCE($3, label),
+                color = COALESCE($4, color),
+                updated_at = NOW()
+            WHERE id = $1 AND board_id = $2
+            RETURNING ${CLUSTER_COLUMNS}
+        `, [clusterId, boardId, label ?? null, color ?? null]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Remove a cluster; its notes fall back to the Ungrouped column
+     */
+    static async deleteCluster(boardId, clusterId) {
+        const result = await pool.query(
+            'DELETE FROM affinity_clusters WHERE id = $1 AND board_id = $2',
+            [clusterId, boardId]
+        );
+        return result.rowCount > 0;
+    }
+
+    static async updateNote(boardId, noteId, { quote, tags }) {
+        const result = await pool.query(`
+            UPDATE affinity_notes
+            SET quote = COALESCE($3, quote),
+                tags = COALESCE($4, tags),
+                updated_at = NOW()
+            WHERE id = $1 AND board_id = $2
+            RETURNING ${NOTE_COLUMNS}
+        `, [noteId, boardId, quote ?? null, tags === undefined ? null : normalizeTags(tags)]);
+
+        return result.rows[0] || null;
+    }
+
+    static async softDelete(id) {
+        const result = await pool.query(
+            'UPDATE affinity_boards SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL',
+            [id]
+        );
+        return result.rowCount > 0;
+    }
+}
+
+/**
+ * Flat CSV: one row per note with its cluster label
+ */
+function toCSV(board) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = 'cluster,quote,speaker,tags,source_type,source_id,message_ref';
+    const rows = [
+        ...board.clusters.flatMap(cluster => cluster.notes.map(note => [cluster.label, note])),
+        ...board.ungrouped.map(note => ['Ungrouped', note])
+    ].map(([label, note]) => [
+        label,
+        note.quote,
+        note.speaker,
+        (note.tags || []).join('; '),
+        note.source_type,
+        note.source_id,
+        note.message_ref
+    ].map(escape).join(','));
+
+    return [header, ...rows].join('\n');
+}
+
+function toMarkdown(board) {
+    const lines = [`# ${board.title}`, ''];
+    if (board.description) lines.push(board.description, '');
+
+    const section = (label, notes) => {
+        lines.push(`## ${label} (${notes.length})`, '');
+        notes.forEach(note => {
+            const tags = (note.tags || []).length ? ` ${note.tags.map(tag => `#${tag}`).join(' ')}` : '';
+            lines.push(`- "${note.quote}" — ${note.speaker || 'Unknown'}${tags}`);
+        });
+        lines.push('');
+    };
+
+    board.clusters.forEach(cluster => section(cluster.label, cluster.notes));
+    if (board.ungrouped.length > 0) section('Ungrouped', board.ungrouped);
+
+    return lines.join('\n');
+}
+
+module.exports = AffinityBoardStore;
+module.exports.toCSV = toCSV;
+module.exports.toMarkdown = toMarkdown;
@@ -0,0 +1,211 @@
+/**
+ * Affinity Mapper - Builds an affinity map from research conversations
+ * Pulls respondent quotes out of research sessions and saved chat
+ * conversations, clusters them by embedding similarity and suggests a
+ * label per cluster (LLM when available, top keywords otherwise).
+ */
+
+const providerGateway = require('./providerGateway');
+const { assignThemes, embedAll, themeLabel, extractKeywords } = require('./conversationAnalytics');
+
+const MIN_QUOTE_WORDS = 6;
+const MAX_QUOTE_WORDS = 60;
+const MAX_QUOTES_PER_MESSAGE = 3;
+const MAX_QUOTES = 300;
+
+const CLUSTER_COLORS = ['yellow', 'blue', 'green', 'pink', 'purple', 'orange', 'teal', 'red'];
+
+const INTERVIEWER_SPEAKERS = new Set(['you', 'user', 'moderator', 'interviewer', 'researcher', 'system', 'host']);
+
+// Sentences worth putting on a sticky: first-person experience, opinion or friction
+const SIGNAL_PATTERNS = [
+    /\b(i|we|my|our|me)\b/i,
+    /\b(because|but|although|however|actually|honestly)\b/i,
+    /\b(like|love|hate|prefer|want|wish|need|worry|worried|trust|afraid|confus\w*|frustrat\w*|difficult|easy|hard)\b/i
+];
+
+/**
+ * Flatten a research session (SessionStore row) into speaker turns
+ */
+function turnsFromSession(session) {
+    const roster = Array.isArray(session.agents) ? session.agents : [];
+    return (session.log_json || []).map((turn, index) => {
+        const agent = roster.find(a => a.id === turn.agentId || a.name === turn.speaker);
+        return {
+            speaker: turn.speaker || agent?.name || 'Unknown',
+            agentId: agent?.id || turn.agentId || null,
+            text: turn.text || '',
+            isRespondent: Boolean(agent) || !INTERVIEWER_SPEAKERS.has(String(turn.speaker || '').toLowerCase()),
+            sourceType: 'session',
+            sourceId: String(session.id),
+            messageRef: String(index)
+        };
+    });
+}
+
+/**
+ * Flatten a saved chat conversation (chatService) into speaker turns
+ */
+function turnsFromSavedConversation(conversation) {
+    return (conversation.messages || []).map((message, index) => ({
+        speaker: message.sender || 'Unknown',
+        agentId: message.agentId || null,
+        text: message.text || '',
+        isRespondent: !message.isUser && !message.isSystem &&
+            !INTERVIEWER_SPEAKERS.has(String(message.sender || '').toLowerCase()),
+        sourceType: 'saved_conversation',
+        sourceId: String(conversation.id),
+        messageRef: message.id !== undefined ? String(message.id) : String(index)
+    }));
+}
+
+function splitSentences(text) {
+    return String(text || '')
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?])\s+(?=[A-Z"'])/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function quoteScore(sentence) {
+    return SIGNAL_PATTERNS.filter(pattern => pattern.test(sentence)).length;
+}
+
+/**
+ * Pick the most quotable sentences from respondent turns. Adjacent short
+ * sentences are joined so a quote keeps its context.
+ */
+function extractQuotes(turns, { maxQuotes = MAX_QUOTES } = {}) {
+    const quotes = [];
+    const seen = new Set();
+
+    turns.filter(turn => turn.isRespondent && turn.text.trim()).forEach(turn => {
+        const candidates = [];
+        let buffer = '';
+
+        splitSentences(turn.text).forEach(sentence => {
+            buffer = buffer ? `${buffer} ${sentence}` : sentence;
+            if (buffer.split(' ').length >= MIN_QUOTE_WORDS) {
+                candidates.push(buffer);
+                buffer = '';
+            }
+        });
+        if (buffer && candidates.length > 0 && `${candidates[candidates.length - 1]} ${buffer}`.split(' ').length <= MAX_QUOTE_WORDS) {
+            candidates[candidates.length - 1] += ` ${buffer}`;
+        }
+
+        candidates
+            .filter(text => text.split(' ').length <= MAX_QUOTE_WORDS)
+            .map(text => ({ text, score: quoteScore(text) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_QUOTES_PER_MESSAGE)
+            .forEach(candidate => {
+                const key = candidate.text.toLowerCase();
+                if (seen.has(key)) return;
+                seen.add(key);
+                quotes.push({
+                    quote: candidate.text,
+                    speaker: turn.speaker,
+                    agentId: turn.agentId,
+                    sourceType: turn.sourceType,
+                    sourceId: turn.sourceId,
+                    messageRef: turn.messageRef
+                });
+            });
+    });
+
+    return quotes.slice(0, maxQuotes);
+}
+
+/**
+ * Ask the LLM for short researcher-style labels; falls back to keyword
+ * labels for any cluster it does not return
+ */
+async function suggestLabels(clusters, { useLLM = true, tags = {} } = {}) {
+    const fallback = clusters.map(cluster => themeLabel(cluster.keywordCounts));
+    if (!useLLM || clusters.length === 0) return fallback;
+
+    try {
+        const listing = clusters
+            .map((cluster, index) => `${index}. ${cluster.quotes.slice(0, 5).map(q => `"${q.quote.slice(0, 200)}"`).join(' | ')}`)
+            .join('\n');
+
+        const content = await providerGateway.chat([
+            {
+                role: 'system',
+                content: 'You are a UX researcher building an affinity map. For each numbered group of participant quotes, write a short label (max 6 words) that states the shared need, behaviour or pain point in the participant\'s voice where possible. Respond with JSON only: {"labels": [{"index": 0, "label": "..."}]}'
+            },
+            { role: 'user', content: listing }
+        ], {
+            temperature: 0.2,
+            max_tokens: 30 * clusters.length + 100,
+            response_format: { type: 'json_object' },
+            tags: { feature: 'affinity_map', ...tags }
+        });
+
+        const parsed = JSON.parse(content);
+        const byIndex = new Map((parsed.labels || []).map(item => [Number(item.index), item.label]));
+        return clusters.map((cluster, index) => {
+            const label = byIndex.get(index);
+            return typeof label === 'string' && label.trim() ? label.trim().slice(0, 80) : fallback[index];
+        });
+    } catch (error) {
+        console.warn('Affinity label suggestion fell back to keywords:', error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Group quotes into affinity clusters. Singleton clusters are left
+ * ungrouped so researchers can place them by hand.
+ * @returns {Promise<{clusters: Array<{label, color, quotes}>, ungrouped: Array}>}
+ */
+async function buildAffinityMap(quotes, { useLLM = true, tags = {} } = {}) {
+    if (quotes.length === 0) return { clusters: [], ungrouped: [] };
+
+    const { embeddings, model } = await embedAll(quotes.map(q => q.quote), { feature: 'affinity_map', ...tags });
+    const themes = [];
+    const assignments = assignThemes(
+        themes,
+        quotes.map((q, index) => ({ embedding: embeddings[index], text: q.quote })),
+        model
+    );
+
+    const groups = new Map(themes.map(theme => [theme.id, { keywordCounts: {}, quotes: [] }]));
+    quotes.forEach((quote, index) => {
+        const group = groups.get(assignments[index].themeId);
+        group.quotes.push({ ...quote, similarity: assignments[index].similarity });
+        extractKeywords(quote.quote).forEach(word => {
+            group.keywordCounts[word] = (group.keywordCounts[word] || 0) + 1;
+        });
+    });
+
+    const grouped = [...groups.values()]
+        .filter(group => group.quotes.length > 1)
+        .sort((a, b) => b.quotes.length - a.quotes.length);
+    const ungrouped = [...groups.values()]
+        .filter(group => group.quotes.length === 1)
+        .map(group => group.quotes[0]);
+
+    const labels = await suggestLabels(grouped, { useLLM, tags });
+
+    return {
+        clusters: grouped.map((group, index) => ({
+            label: labels[index],
+            suggestedLabel: labels[index],
+            color: CLUSTER_COLORS[index % CLUSTER_COLORS.length],
+            quotes: group.quotes.sort((a, b) => b.similarity - a.similarity)
+        })),
+        ungrouped
+    };
+}
+
+module.exports = {
+    CLUSTER_COLORS,
+    turnsFromSession,
+    turnsFromSavedConversation,
+    extractQuotes,
+    suggestLabels,
+    buildAffinityMap
+};
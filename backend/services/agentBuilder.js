@@ -91,7 +91,8 @@ Return JSON only with no extra text.`;
 
             const response = await providerGateway.chat(messages, {
                 temperature: 0.2,
-                max_tokens: 1500
+                max_tokens: 1500,
+                tags: { feature: 'persona_generation' }
             });
 
             const analysis = JSON.parse(response);
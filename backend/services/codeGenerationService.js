@@ -1,10 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
+const { prepareScreens, toCss } = require('./responsiveLayout');
+const { createTokenResolver, tokensToCss, tokensToTailwindTheme } = require('./designTokens');
 
 /**
  * Code Generation Service
- * Generates code in multiple formats from Figma AST
+ * Generates code in multiple formats from Figma AST. With the product's
+ * design token set, styles reference its CSS variables instead of literal
+ * colours and sizes, and the tokens ship as :root / [data-theme] rules.
  */
 
 /**
@@ -12,6 +16,7 @@ const archiver = require('archiver');
  * @param {Array} ast - Figma AST
  * @param {string} format - Export format (html, react, vue, moneyview)
  * @param {Object} options - Export options
+ * @param {Object} [options.tokenSet] - Design token set (designTokenStore)
  * @returns {Promise<Buffer>} ZIP file buffer
  */
 const generateCodeExport = async (ast, format, options = {}) => {
@@ -21,23 +26,24 @@ const generateCodeExport = async (ast, format, options = {}) => {
         includeStyles = true,
         minify = false,
         includeImages = true,
-        componentName = 'FigmaPrototype'
+        componentName = 'FigmaPrototype',
+        tokenSet = null
     } = options;
 
     let generatedCode;
     
     switch (format.toLowerCase()) {
         case 'html':
-            generatedCode = await generateHtmlExport(ast, { includeStyles, minify, includeImages });
+            generatedCode = await generateHtmlExport(ast, { includeStyles, minify, includeImages, tokenSet });
             break;
         case 'react':
-            generatedCode = await generateReactExport(ast, { includeStyles, minify, includeImages, componentName });
+            generatedCode = await generateReactExport(ast, { includeStyles, minify, includeImages, componentName, tokenSet });
             break;
         case 'vue':
-            generatedCode = await generateVueExport(ast, { includeStyles, minify, includeImages, componentName });
+            generatedCode = await generateVueExport(ast, { includeStyles, minify, includeImages, componentName, tokenSet });
             break;
         case 'moneyview':
-            generatedCode = await generateMoneyviewExport(ast, { includeStyles, minify, includeImages, componentName });
+            generatedCode = await generateMoneyviewExport(ast, { includeStyles, minify, includeImages, componentName, tokenSet });
             break;
         default:
             throw new Error(`Unsupported format: ${format}`);
@@ -53,11 +59,11 @@ const generateCodeExport = async (ast, format, options = {}) => {
  * @returns {Promise<Buffer>} ZIP file buffer
  */
 const generateHtmlExport = async (ast, options) => {
-    const { includeStyles, minify, includeImages } = options;
+    const { includeStyles, minify, includeImages, tokenSet } = options;
     
-    const screens = findScreens(ast);
+    const screens = prepareScreens(findScreens(ast), tokenResolverFor(tokenSet));
     const htmlContent = generateHtmlContent(screens, { includeStyles, minify });
-    const cssContent = includeStyles ? generateCssContent(screens, { minify }) : '';
+    const cssContent = includeStyles ? generateCssContent(screens, { minify, tokenSet }) : '';
     
     return createZipFile({
         'index.html': htmlContent,
@@ -74,11 +80,11 @@ const generateHtmlExport = async (ast, options) => {
  * @returns {Promise<Buffer>} ZIP file buffer
  */
 const generateReactExport = async (ast, options) => {
-    const { includeStyles, minify, includeImages, componentName } = options;
+    const { includeStyles, minify, includeImages, componentName, tokenSet } = options;
     
-    const screens = findScreens(ast);
+    const screens = prepareScreens(findScreens(ast), tokenResolverFor(tokenSet));
     const reactComponent = generateReactComponent(screens, { includeStyles, minify, componentName });
-    const cssContent = includeStyles ? generateCssContent(screens, { minify }) : '';
+    const cssContent = includeStyles ? generateCssContent(screens, { minify, tokenSet }) : '';
     
     return createZipFile({
         'src/App.jsx': generateReactApp(),
@@ -98,13 +104,14 @@ const generateReactExport = async (ast, options) => {
  * @returns {Promise<Buffer>} ZIP file buffer
  */
 const generateVueExport = async (ast, options) => {
-    const { includeStyles, minify, includeImages, componentName } = options;
+    const { includeStyles, minify, includeImages, componentName, tokenSet } = options;
     
-    const screens = findScreens(ast);
+    const screens = prepareScreens(findScreens(ast), tokenResolverFor(tokenSet));
     const vueComponent = generateVueComponent(screens, { includeStyles, minify, componentName });
     
     return createZipFile({
-        'src/App.vue': generateVueApp(),
+        'src/App.vue': generateVueApp(Boolean(tokenSet)),
+        ...(tokenSet ? { 'src/tokens.css': tokensToCss(tokenSet) } : {}),
         [`src/components/${componentName}.vue`]: vueComponent,
         'package.json': generatePackageJson('vue'),
         'vite.config.js': generateViteConfig(),
@@ -120,16 +127,16 @@ const generateVueExport = async (ast, options) => {
  * @returns {Promise<Buffer>} ZIP file buffer
  */
 const generateMoneyviewExport = async (ast, options) => {
-    const { includeStyles, minify, includeImages, componentName } = options;
+    const { includeStyles, minify, includeImages, componentName, tokenSet } = options;
     
-    const screens = findScreens(ast);
+    const screens = prepareScreens(findScreens(ast), tokenResolverFor(tokenSet));
     const moneyviewComponent = generateMoneyviewComponent(screens, { includeStyles, minify, componentName });
-    const tailwindConfig = generateTailwindConfig();
+    const tailwindConfig = generateTailwindConfig(tokenSet);
     
     return createZipFile({
         'src/App.jsx': generateMoneyviewApp(componentName),
         [`src/components/${componentName}.jsx`]: moneyviewComponent,
-        'src/index.css': generateTailwindCss(),
+        'src/index.css': generateTailwindCss(tokenSet),
         'tailwind.config.js': tailwindConfig,
         'package.json': generatePackageJson('moneyview'),
         'vite.config.js': generateViteConfig(),
@@ -138,6 +145,13 @@ const generateMoneyviewExport = async (ast, options) => {
     });
 };
 
+/**
+ * Token resolver for the export, null when the product has no token set
+ * @param {Object|null} tokenSet - Design token set
+ * @returns {Object|null} Resolver for responsiveLayout
+ */
+const tokenResolverFor = (tokenSet) => (tokenSet ? createTokenResolver(tokenSet) : null);
+
 /**
  * Generate HTML content
  * @param {Array} screens - Screens array
@@ -209,7 +223,7 @@ const generateHtmlContent = (screens, options) => {
  */
 const generateHtmlScreen = (screen, index) => {
     let html = `        <div class="screen" id="screen-${index}" style="display: ${index === 0 ? 'block' : 'none'};">
-            <div class="screen-content" style="width: ${screen.layout.width}px; height: ${screen.layout.height}px; position: relative;">
+            <div class="screen-content ${screen.className}" style="${toCss(screen.style)}">
 `;
 
     // Generate HTML for children
@@ -228,19 +242,19 @@ const generateHtmlScreen = (screen, index) => {
 
 /**
  * Generate HTML for a node
- * @param {Object} node - Node object
+ * @param {Object} node - Node prepared by responsiveLayout (tag, className, style)
  * @param {number} depth - Current depth
  * @returns {string} HTML content
  */
 const generateHtmlNode = (node, depth) => {
     const indent = '                '.repeat(depth);
-    const tagName = getHtmlTagName(node.type);
+    const tagName = node.tag;
     
-    let html = `${indent}<${tagName} class="node-${node.id}" style="${generateInlineStyles(node)}">`;
+    let html = `${indent}<${tagName} class="${node.className}" style="${toCss(node.style)}">`;
 
     // Add text content for text nodes
     if (node.type === 'TEXT' && node.metadata && node.metadata.textContent) {
-        html += node.metadata.textContent;
+        html += escapeHtml(node.metadata.textContent);
     }
 
     // Generate children
@@ -257,85 +271,15 @@ const generateHtmlNode = (node, depth) => {
 };
 
 /**
- * Get HTML tag name for node type
- * @param {string} nodeType - Node type
- * @returns {string} HTML tag name
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
  */
-const getHtmlTagName = (nodeType) => {
-    switch (nodeType) {
-        case 'TEXT': return 'p';
-        case 'RECTANGLE': return 'div';
-        case 'ELLIPSE': return 'div';
-        case 'FRAME': return 'div';
-        case 'COMPONENT': return 'div';
-        case 'INSTANCE': return 'div';
-        case 'GROUP': return 'div';
-        default: return 'div';
-    }
-};
-
-/**
- * Generate inline styles for node
- * @param {Object} node - Node object
- * @returns {string} Inline styles
- */
-const generateInlineStyles = (node) => {
-    const styles = [];
-    
-    // Position and size
-    if (node.layout) {
-        styles.push(`position: absolute`);
-        styles.push(`left: ${node.layout.x}px`);
-        styles.push(`top: ${node.layout.y}px`);
-        styles.push(`width: ${node.layout.width}px`);
-        styles.push(`height: ${node.layout.height}px`);
-        
-        if (node.layout.rotation !== 0) {
-            styles.push(`transform: rotate(${node.layout.rotation}deg)`);
-        }
-        
-        if (node.layout.opacity !== 1) {
-            styles.push(`opacity: ${node.layout.opacity}`);
-        }
-    }
-    
-    // Background color
-    if (node.styles && node.styles.fills && node.styles.fills.length > 0) {
-        const fill = node.styles.fills[0];
-        if (fill.color) {
-            const { r, g, b, a } = fill.color;
-            styles.push(`background-color: rgba(${r}, ${g}, ${b}, ${a})`);
-        }
-    }
-    
-    // Border
-    if (node.styles && node.styles.strokes && node.styles.strokes.length > 0) {
-        const stroke = node.styles.strokes[0];
-        if (stroke.color) {
-            const { r, g, b, a } = stroke.color;
-            styles.push(`border: ${stroke.weight}px solid rgba(${r}, ${g}, ${b}, ${a})`);
-        }
-    }
-    
-    // Border radius
-    if (node.styles && node.styles.cornerRadius !== undefined) {
-        styles.push(`border-radius: ${node.styles.cornerRadius}px`);
-    }
-    
-    // Text styles
-    if (node.styles && node.styles.textStyle) {
-        const textStyle = node.styles.textStyle;
-        if (textStyle.fontFamily) styles.push(`font-family: ${textStyle.fontFamily}`);
-        if (textStyle.fontSize) styles.push(`font-size: ${textStyle.fontSize}px`);
-        if (textStyle.fontWeight) styles.push(`font-weight: ${textStyle.fontWeight}`);
-        if (textStyle.textAlignHorizontal) {
-            styles.push(`text-align: ${textStyle.textAlignHorizontal.toLowerCase()}`);
-        }
-        if (textStyle.letterSpacing) styles.push(`letter-spacing: ${textStyle.letterSpacing}px`);
-    }
-    
-    return styles.join('; ');
-};
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
 
 /**
  * Generate CSS content
@@ -344,9 +288,9 @@ const generateInlineStyles = (node) => {
  * @returns {string} CSS content
  */
 const generateCssContent = (screens, options) => {
-    const { minify } = options;
+    const { minify, tokenSet } = options;
     
-    let css = `/* Figma Prototype Styles */
+    let css = `${tokenSet ? `${tokensToCss(tokenSet)}\n` : ''}/* Figma Prototype Styles */
 * {
     margin: 0;
     padding: 0;
@@ -356,29 +300,39 @@ const generateCssContent = (screens, options) => {
 body {
     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
     background-color: #f5f5f5;
-    overflow: hidden;
 }
 
 .prototype-container {
-    width: 100vw;
-    height: 100vh;
-    display: flex;
-    align-items: center;
-    justify-content: center;
+    width: 100%;
+    min-height: 100vh;
 }
 
 .screen {
     display: none;
     width: 100%;
-    height: 100%;
-    overflow: auto;
+    padding: 20px;
 }
 
+/* Screens are as wide as the viewport, up to their design width */
 .screen-content {
     background-color: white;
     box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1);
     border-radius: 8px;
-    margin: 20px;
+    overflow: hidden;
+}
+
+.screen-content img {
+    max-width: 100%;
+}
+
+/* Inline styles from the design win over these resets */
+.screen-content button {
+    font: inherit;
+    color: inherit;
+    text-align: inherit;
+    border: none;
+    background: none;
+    cursor: pointer;
 }
 
 /* Navigation controls */
@@ -408,9 +362,13 @@ body {
 
 /* Responsive design */
 @media (max-width: 768px) {
+    .screen {
+        padding: 0;
+    }
+
     .screen-content {
-        margin: 10px;
-        border-radius: 4px;
+        border-radius: 0;
+        box-shadow: none;
     }
 }
 `;
@@ -443,11 +401,11 @@ const ${componentName} = () => {
     
     const screens = [
 ${screens.map((screen, index) => `        {
-            id: '${screen.id}',
-            name: '${screen.name}',
-            width: ${screen.layout.width},
-            height: ${screen.layout.height},
-            children: ${JSON.stringify(screen.children, null, 12)}
+            id: ${JSON.stringify(screen.id)},
+            name: ${JSON.stringify(screen.name)},
+            className: '${screen.className}',
+            style: ${JSON.stringify(screen.style)},
+            children: ${JSON.stringify(screen.children || [], null, 12)}
         }`).join(',\n')}
     ];
     
@@ -459,12 +417,9 @@ ${screens.map((screen, index) => `        {
                     className="screen"
                     style={{ display: index === currentScreen ? 'block' : 'none' }}
                 >
-                    <div 
-                        className="screen-content"
-                        style={{
-                            width: screen.width,
-                            height: screen.height
-                        }}
+                    <div
+                        className={\`screen-content \${screen.className}\`}
+                        style={screen.style}
                     >
                         {renderScreen(screen)}
                     </div>
@@ -490,14 +445,15 @@ const renderScreen = (screen) => {
     return screen.children.map(child => renderNode(child));
 };
 
+// tag, className and style are computed from the Figma auto-layout at export time
 const renderNode = (node) => {
-    const TagName = getTagName(node.type);
+    const TagName = node.tag;
     
     return (
         <TagName
             key={node.id}
-            className={\`node-\${node.id}\`}
-            style={getNodeStyles(node)}
+            className={node.className}
+            style={node.style}
         >
             {node.type === 'TEXT' && node.metadata?.textContent}
             {node.children && node.children.map(child => renderNode(child))}
@@ -505,50 +461,6 @@ const renderNode = (node) => {
     );
 };
 
-const getTagName = (nodeType) => {
-    switch (nodeType) {
-        case 'TEXT': return 'p';
-        case 'RECTANGLE': return 'div';
-        case 'ELLIPSE': return 'div';
-        case 'FRAME': return 'div';
-        case 'COMPONENT': return 'div';
-        case 'INSTANCE': return 'div';
-        case 'GROUP': return 'div';
-        default: return 'div';
-    }
-};
-
-const getNodeStyles = (node) => {
-    const styles = {};
-    
-    if (node.layout) {
-        styles.position = 'absolute';
-        styles.left = \`\${node.layout.x}px\`;
-        styles.top = \`\${node.layout.y}px\`;
-        styles.width = \`\${node.layout.width}px\`;
-        styles.height = \`\${node.layout.height}px\`;
-        
-        if (node.layout.rotation !== 0) {
-            styles.transform = \`rotate(\${node.layout.rotation}deg)\`;
-        }
-        
-        if (node.layout.opacity !== 1) {
-            styles.opacity = node.layout.opacity;
-        }
-    }
-    
-    if (node.styles?.fills?.[0]?.color) {
-        const { r, g, b, a } = node.styles.fills[0].color;
-        styles.backgroundColor = \`rgba(\${r}, \${g}, \${b}, \${a})\`;
-    }
-    
-    if (node.styles?.cornerRadius !== undefined) {
-        styles.borderRadius = \`\${node.styles.cornerRadius}px\`;
-    }
-    
-    return styles;
-};
-
 export default ${componentName};`;
 };
 
@@ -569,22 +481,15 @@ const generateVueComponent = (screens, options) => {
             class="screen"
             :style="{ display: index === currentScreen ? 'block' : 'none' }"
         >
-            <div 
-                class="screen-content"
-                :style="{
-                    width: screen.width + 'px',
-                    height: screen.height + 'px'
-                }"
+            <div
+                :class="['screen-content', screen.className]"
+                :style="screen.style"
             >
-                <component
-                    v-for="child in screen.children"
+                <FigmaNode
+                    v-for="child in screen.children || []"
                     :key="child.id"
-                    :is="getTagName(child.type)"
-                    :class="\`node-\${child.id}\`"
-                    :style="getNodeStyles(child)"
-                >
-                    {{ child.type === 'TEXT' ? child.metadata?.textContent : '' }}
-                </component>
+                    :node="child"
+                />
             </div>
         </div>
         
@@ -597,8 +502,25 @@ const generateVueComponent = (screens, options) => {
 </template>
 
 <script>
+import { h } from 'vue';
+
+// Renders a node and its children; tag, className and style are computed
+// from the Figma auto-layout at export time
+const FigmaNode = {
+    name: 'FigmaNode',
+    props: { node: { type: Object, required: true } },
+    render() {
+        const { node } = this;
+        return h(node.tag, { class: node.className, style: node.style }, [
+            node.type === 'TEXT' ? node.metadata?.textContent : null,
+            ...(node.children || []).map(child => h(FigmaNode, { key: child.id, node: child }))
+        ]);
+    }
+};
+
 export default {
     name: '${componentName}',
+    components: { FigmaNode },
     data() {
         return {
             currentScreen: 0,
@@ -611,48 +533,6 @@ export default {
         },
         prevScreen() {
             this.currentScreen = this.currentScreen === 0 ? this.screens.length - 1 : this.currentScreen - 1;
-        },
-        getTagName(nodeType) {
-            switch (nodeType) {
-                case 'TEXT': return 'p';
-                case 'RECTANGLE': return 'div';
-                case 'ELLIPSE': return 'div';
-                case 'FRAME': return 'div';
-                case 'COMPONENT': return 'div';
-                case 'INSTANCE': return 'div';
-                case 'GROUP': return 'div';
-                default: return 'div';
-            }
-        },
-        getNodeStyles(node) {
-            const styles = {};
-            
-            if (node.layout) {
-                styles.position = 'absolute';
-                styles.left = \`\${node.layout.x}px\`;
-                styles.top = \`\${node.layout.y}px\`;
-                styles.width = \`\${node.layout.width}px\`;
-                styles.height = \`\${node.layout.height}px\`;
-                
-                if (node.layout.rotation !== 0) {
-                    styles.transform = \`rotate(\${node.layout.rotation}deg)\`;
-                }
-                
-                if (node.layout.opacity !== 1) {
-                    styles.opacity = node.layout.opacity;
-                }
-            }
-            
-            if (node.styles?.fills?.[0]?.color) {
-                const { r, g, b, a } = node.styles.fills[0].color;
-                styles.backgroundColor = \`rgba(\${r}, \${g}, \${b}, \${a})\`;
-            }
-            
-            if (node.styles?.cornerRadius !== undefined) {
-                styles.borderRadius = \`\${node.styles.cornerRadius}px\`;
-            }
-            
-            return styles;
         }
     }
 };
@@ -688,11 +568,11 @@ const ${componentName} = () => {
     
     const screens = [
 ${screens.map((screen, index) => `        {
-            id: '${screen.id}',
-            name: '${screen.name}',
-            width: ${screen.layout.width},
-            height: ${screen.layout.height},
-            children: ${JSON.stringify(screen.children, null, 12)}
+            id: ${JSON.stringify(screen.id)},
+            name: ${JSON.stringify(screen.name)},
+            className: '${screen.className}',
+            style: ${JSON.stringify(screen.style)},
+            children: ${JSON.stringify(screen.children || [], null, 12)}
         }`).join(',\n')}
     ];
     
@@ -704,12 +584,9 @@ ${screens.map((screen, index) => `        {
                         key={screen.id}
                         className={\`\${index === currentScreen ? 'block' : 'hidden'}\`}
                     >
-                        <div 
-                            className="relative bg-white rounded-lg shadow-lg overflow-hidden"
-                            style={{
-                                width: screen.width,
-                                height: screen.height
-                            }}
+                        <div
+                            className={\`bg-white rounded-lg shadow-lg overflow-hidden \${screen.className}\`}
+                            style={screen.style}
                         >
                             {renderScreen(screen)}
                         </div>
@@ -736,14 +613,15 @@ const renderScreen = (screen) => {
     return screen.children.map(child => renderNode(child));
 };
 
+// tag, className and style are computed from the Figma auto-layout at export time
 const renderNode = (node) => {
-    const TagName = getTagName(node.type);
+    const TagName = node.tag;
     
     return (
         <TagName
             key={node.id}
-            className={\`absolute \${getNodeClasses(node)}\`}
-            style={getNodeStyles(node)}
+            className={\`\${node.className} \${getNodeClasses(node)}\`}
+            style={node.style}
         >
             {node.type === 'TEXT' && (
                 <Text className={getTextClasses(node)}>
@@ -755,19 +633,6 @@ const renderNode = (node) => {
     );
 };
 
-const getTagName = (nodeType) => {
-    switch (nodeType) {
-        case 'TEXT': return 'p';
-        case 'RECTANGLE': return 'div';
-        case 'ELLIPSE': return 'div';
-        case 'FRAME': return 'div';
-        case 'COMPONENT': return 'div';
-        case 'INSTANCE': return 'div';
-        case 'GROUP': return 'div';
-        default: return 'div';
-    }
-};
-
 const getNodeClasses = (node) => {
     const classes = [];
     
@@ -793,32 +658,6 @@ const getTextClasses = (node) => {
     return classes.join(' ');
 };
 
-const getNodeStyles = (node) => {
-    const styles = {};
-    
-    if (node.layout) {
-        styles.left = \`\${node.layout.x}px\`;
-        styles.top = \`\${node.layout.y}px\`;
-        styles.width = \`\${node.layout.width}px\`;
-        styles.height = \`\${node.layout.height}px\`;
-        
-        if (node.layout.rotation !== 0) {
-            styles.transform = \`rotate(\${node.layout.rotation}deg)\`;
-        }
-        
-        if (node.layout.opacity !== 1) {
-            styles.opacity = node.layout.opacity;
-        }
-    }
-    
-    if (node.styles?.fills?.[0]?.color) {
-        const { r, g, b, a } = node.styles.fills[0].color;
-        styles.backgroundColor = \`rgba(\${r}, \${g}, \${b}, \${a})\`;
-    }
-    
-    return styles;
-};
-
 export default ${componentName};`;
 };
 
@@ -923,7 +762,9 @@ export default defineConfig({
 })`;
 };
 
-const generateTailwindConfig = () => {
+const generateTailwindConfig = (tokenSet = null) => {
+    // Token utilities (bg-brand-primary, p-4, rounded-md) resolve to the CSS variables in index.css
+    const extend = tokenSet ? JSON.stringify(tokensToTailwindTheme(tokenSet), null, 2).replace(/\n/g, '\n    ') : '{}';
     return `/** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -931,17 +772,17 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: ${extend},
   },
   plugins: [],
 }`;
 };
 
-const generateTailwindCss = () => {
+const generateTailwindCss = (tokenSet = null) => {
     return `@tailwind base;
 @tailwind components;
 @tailwind utilities;
-
+${tokenSet ? `\n${tokensToCss(tokenSet)}` : ''}
 /* Custom styles for Figma prototype */
 .prototype-container {
   @apply min-h-screen bg-gray-50 flex items-center justify-center;
@@ -1021,7 +862,7 @@ ReactDOM.createRoot(document.getElementById('root')).render(
 );`;
 };
 
-const generateVueApp = () => {
+const generateVueApp = (withTokens = false) => {
     return `<template>
   <div id="app">
     <FigmaPrototype />
@@ -1040,7 +881,7 @@ export default {
 </script>
 
 <style>
-#app {
+${withTokens ? "@import './tokens.css';\n\n" : ''}#app {
   font-family: Avenir, Helvetica, Arial, sans-serif;
   -webkit-font-smoothing: antialiased;
   -moz-osx-font-smoothing: grayscale;
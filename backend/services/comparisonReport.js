@@ -0,0 +1,375 @@
+/**
+ * Comparison Report - Side-by-side view of how personas answered the same prompt
+ * Builds a question × persona matrix from stored parallel/batch chat answers,
+ * tags each answer with a stance (positive / negative / confused / neutral)
+ * and breaks stances down by location, English savvy and age band.
+ * Reports export as JSON, CSV or Markdown.
+ */
+
+const { pool } = require('../models/database');
+const providerGateway = require('./providerGateway');
+
+const STANCES = ['positive', 'negative', 'confused', 'neutral'];
+const BREAKDOWN_FIELDS = ['location', 'english_savvy', 'age_band'];
+
+// No "like" or "prefer": "I'd like to know..." and "I prefer cash" are not approval
+const POSITIVE_WORDS = [
+    'love', 'helpful', 'great', 'good', 'easy', 'useful', 'trust', 'happy',
+    'convenient', 'simple', 'clear', 'interested', 'excited', 'nice', 'perfect'
+];
+const NEGATIVE_WORDS = [
+    'hate', 'worry', 'worried', 'risky', 'risk', 'expensive', 'hidden', 'difficult', 'hard',
+    'frustrating', 'frustrated', 'scam', 'fraud', 'afraid', 'scared', 'annoying', 'bad', 'slow',
+    'concern', 'concerned', 'nervous', 'useless', 'complicated'
+];
+const CONFUSED_PATTERNS = [
+    /\bconfus(ed|ing)\b/i,
+    /\bnot sure what\b/i,
+    /\bdon'?t (really )?understand\b/i,
+    /\bunclear\b/i,
+    /\bwhat (does|is) (this|that|it) mean\b/i,
+    /\bcan you explain\b/i,
+    /\bno idea\b/i,
+    /\bi'?m lost\b/i
+];
+const NEGATIONS = new Set(['not', "don't", 'dont', 'never', 'no', "won't", 'wont', "isn't", "can't", 'cannot']);
+
+const AGE_BANDS = [
+    { label: '18-24', max: 24 },
+    { label: '25-34', max: 34 },
+    { label: '35-44', max: 44 },
+    { label: '45-54', max: 54 },
+    { label: '55+', max: Infinity }
+];
+
+function ageBand(age) {
+    const value = parseInt(age);
+    if (!value || value < 18) return 'Unknown';
+    return AGE_BANDS.find(band => value <= band.max).label;
+}
+
+/**
+ * Keyword stance classifier with simple negation handling ("not helpful" counts as negative)
+ */
+function classifyStance(text) {
+    const answer = String(text || '');
+    const confusedHits = CONFUSED_PATTERNS.filter(pattern => pattern.test(answer)).length;
+    const words = answer.toLowerCase().replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+    let positive = 0;
+    let negative = 0;
+    words.forEach((word, index) => {
+        const negated = NEGATIONS.has(words[index - 1]) || NEGATIONS.has(words[index - 2]);
+        if (POSITIVE_WORDS.includes(word)) {
+            negated ? negative++ : positive++;
+        } else if (NEGATIVE_WORDS.includes(word)) {
+            negated ? positive++ : negative++;
+        }
+    });
+
+    const questionMarks = (answer.match(/\?/g) || []).length;
+    const confused = confusedHits * 2 + (questionMarks >= 2 ? 1 : 0);
+
+    const scores = { positive, negative, confused };
+    const [top, topScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const total = positive + negative + confused;
+
+    if (topScore === 0 || Object.values(scores).filter(score => score === topScore).length > 1) {
+        return { stance: 'neutral', confidence: 0.5, method: 'lexicon' };
+    }
+    return {
+        stance: top,
+        confidence: Number(Math.min(0.95, 0.5 + (topScore / total) * 0.45).toFixed(2)),
+        method: 'lexicon'
+    };
+}
+
+/**
+ * Classify a batch of answers with the LLM; falls back to the lexicon
+ * for the whole batch if the provider fails or returns unusable JSON
+ */
+async function classifyStances(rows, { useLLM = false, tags = {} } = {}) {
+    if (!useLLM || rows.length === 0) {
+        return rows.map(row => classifyStance(row.response));
+    }
+
+    try {
+        const numbered = rows
+            .map((row, index) => `${index}. Q: ${row.question}\n   A: ${String(row.response || '').slice(0, 600)}`)
+            .join('\n');
+
+        const content = await providerGateway.chat([
+            {
+                role: 'system',
+                content: 'You label research participant answers. For each answer decide the stance towards the question topic: "positive", "negative", "confused" (does not understand or asks for clarification) or "neutral". Respond with JSON only: {"stances": [{"index": 0, "stance": "positive", "confidence": 0.8}]}'
+            },
+            { role: 'user', content: numbered }
+        ], {
+            temperature: 0,
+            max_tokens: 40 * rows.length + 100,
+            response_format: { type: 'json_object' },
+            tags: { feature: 'comparison_report', ...tags }
+        });
+
+        const parsed = JSON.parse(content);
+        const byIndex = new Map((parsed.stances || []).map(item => [Number(item.index), item]));
+        if (byIndex.size === 0) throw new Error('No stances returned');
+
+        return rows.map((row, index) => {
+            const item = byIndex.get(index);
+            if (!item || !STANCES.includes(item.stance)) return classifyStance(row.response);
+            return { stance: item.stance, confidence: Number(item.confidence) || 0.7, method: 'llm' };
+        });
+    } catch (error) {
+        console.warn('⚠️ LLM stance classification failed, using lexicon:', error.message);
+        return rows.map(row => classifyStance(row.response));
+    }
+}
+
+/**
+ * Persist the answers of one parallel/batch request in one transaction, so a
+ * run is stored whole or not at all. Never throws: a storage failure must not
+ * fail the chat response.
+ * @returns {Promise<number>} Number of answers stored
+ */
+async function recordResponses(runId, source, responses, { sessionId = null, projectId = null } = {}) {
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        for (const response of responses) {
+            await client.query(`
+                INSERT INTO parallel_responses
+                    (run_id, source, question, agent_id, agent_name, response, success, session_id, project_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [
+                runId,
+                source,
+                response.message,
+                String(response.agentId),
+                response.agentName || null,
+                response.response,
+                response.success !== false,
+                sessionId ? String(sessionId) : null,
+                projectId ? String(projectId) : null
+            ]);
+        }
+        await client.query('COMMIT');
+        return responses.length;
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.warn(`⚠️ Failed to store ${responses.length} parallel responses of run ${runId} for comparison:`, error.message);
+        return 0;
+    } finally {
+        if (client) client.release();
+    }
+}
+
+async function loadResponses({ runIds = [], sessionId = null }) {
+    const conditions = ['success = true'];
+    const params = [];
+
+    if (runIds.length > 0) {
+        params.push(runIds);
+        conditions.push(`run_id = ANY($${params.length}::uuid[])`);
+    }
+    if (sessionId) {
+        params.push(String(sessionId));
+        conditions.push(`session_id = $${params.length}`);
+    }
+
+    const result = await pool.query(`
+        SELECT id, run_id, source, question, agent_id, agent_name, response, created_at
+        FROM parallel_responses
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at ASC
+    `, params);
+
+    return result.rows;
+}
+
+async function loadPersonas(agentIds) {
+    if (agentIds.length === 0) return new Map();
+    const result = await pool.query('SELECT * FROM ai_agents WHERE id::text = ANY($1)', [agentIds]);
+    return new Map(result.rows.map(agent => [String(agent.id), agent]));
+}
+
+function personaProfile(agentId, name, agent) {
+    const demographics = agent?.demographics || {};
+    return {
+        agentId,
+        name: agent?.name || name || 'Unknown',
+        location: agent?.location || demographics.location || 'Unknown',
+        english_savvy: agent?.english_savvy || agent?.english_level ||
+            agent?.speech_patterns?.english_level || demographics.english_proficiency || 'Unknown',
+        age: agent?.age || demographics.age || null,
+        age_band: ageBand(agent?.age || demographics.age)
+    };
+}
+
+const normalizeQuestion = text => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Assemble the report from stored answers
+ * @param {Object} options - { runIds, sessionId, useLLM, tags }
+ */
+async function buildReport({ runIds = [], sessionId = null, useLLM = false, tags = {} } = {}) {
+    const rows = await loadResponses({ runIds, sessionId });
+
+    // Latest answer wins when an agent answered the same question more than once
+    const latest = new Map();
+    const questionOrder = new Map();
+    rows.forEach(row => {
+        const key = normalizeQuestion(row.question);
+        if (!questionOrder.has(key)) {
+            questionOrder.set(key, { id: `q${questionOrder.size + 1}`, text: row.question.trim() });
+        }
+        latest.set(`${key}::${row.agent_id}`, row);
+    });
+
+    const answers = [...latest.values()];
+    const stances = await classifyStances(answers, { useLLM, tags });
+    const agentsById = await loadPersonas([...new Set(answers.map(row => row.agent_id))]);
+
+    const personas = [];
+    const seenAgents = new Set();
+    answers.forEach(row => {
+        if (seenAgents.has(row.agent_id)) return;
+        seenAgents.add(row.agent_id);
+        personas.push(personaProfile(row.agent_id, row.agent_name, agentsById.get(row.agent_id)));
+    });
+
+    const cells = answers.map((row, index) => ({
+        questionId: questionOrder.get(normalizeQuestion(row.question)).id,
+        agentId: row.agent_id,
+        response: row.response,
+        ...stances[index]
+    }));
+
+    const questions = [...questionOrder.values()];
+    const matrix = questions.map(question => ({
+        questionId: question.id,
+        question: question.text,
+        cells: personas.map(persona => cells.find(cell =>
+            cell.questionId === question.id && cell.agentId === persona.agentId
+        ) || null)
+    }));
+
+    const emptyCounts = () => STANCES.reduce((acc, stance) => ({ ...acc, [stance]: 0 }), { total: 0 });
+    const stanceTotals = emptyCounts();
+    const breakdowns = {};
+    BREAKDOWN_FIELDS.forEach(field => { breakdowns[field] = {}; });
+
+    cells.forEach(cell => {
+        const persona = personas.find(p => p.agentId === cell.agentId);
+        stanceTotals[cell.stance]++;
+        stanceTotals.total++;
+
+        BREAKDOWN_FIELDS.forEach(field => {
+            const group = String(persona[field] || 'Unknown');
+            breakdowns[field][group] = breakdowns[field][group] || emptyCounts();
+            breakdowns[field][group][cell.stance]++;
+            breakdowns[field][group].total++;
+        });
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        runIds: [...new Set(rows.map(row => row.run_id))],
+        sessionId,
+        questions,
+        personas,
+        matrix,
+        stanceTotals,
+        breakdowns: Object.fromEntries(BREAKDOWN_FIELDS.map(field => [
+            field,
+            Object.entries(breakdowns[field])
+                .map(([group, counts]) => ({ group, ...counts }))
+                .sort((a, b) => b.total - a.total)
+        ]))
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per answer, long format so it pivots cleanly in a spreadsheet
+ */
+function toCSV(report) {
+    const header = ['question_id', 'question', 'agent_id', 'agent_name', 'location', 'english_savvy', 'age_band', 'stance', 'confidence', 'response'];
+    const lines = [header.join(',')];
+
+    report.matrix.forEach(row => {
+        row.cells.forEach((cell, index) => {
+            if (!cell) return;
+            const persona = report.personas[index];
+            lines.push([
+                row.questionId,
+                row.question,
+                persona.agentId,
+                persona.name,
+                persona.location,
+                persona.english_savvy,
+                persona.age_band,
+                cell.stance,
+                cell.confidence,
+                cell.response
+            ].map(csvCell).join(','));
+        });
+    });
+
+    return lines.join('\n');
+}
+
+const mdCell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function toMarkdown(report) {
+    const { stanceTotals } = report;
+    const lines = [
+        '# Persona Comparison Report',
+        '',
+        `Generated ${report.generatedAt} · ${report.questions.length} question(s) · ${report.personas.length} persona(s)`,
+        '',
+        `**Stance overall:** ${STANCES.map(stance => `${stance} ${stanceTotals[stance]}`).join(' · ')}`,
+        ''
+    ];
+
+    report.matrix.forEach(row => {
+        lines.push(`## ${row.questionId.toUpperCase()}. ${mdCell(row.question)}`, '');
+        lines.push('| Persona | Location | English | Age | Stance | Answer |');
+        lines.push('|---|---|---|---|---|---|');
+        row.cells.forEach((cell, index) => {
+            const persona = report.personas[index];
+            lines.push(`| ${mdCell(persona.name)} | ${mdCell(persona.location)} | ${mdCell(persona.english_savvy)} | ${persona.age_band} | ${cell ? cell.stance : '—'} | ${cell ? mdCell(cell.response) : '_no answer_'} |`);
+        });
+        lines.push('');
+    });
+
+    const titles = { location: 'Location', english_savvy: 'English savvy', age_band: 'Age band' };
+    lines.push('## Demographic breakdowns', '');
+    BREAKDOWN_FIELDS.forEach(field => {
+        lines.push(`### ${titles[field]}`, '');
+        lines.push(`| Group | ${STANCES.map(s => s[0].toUpperCase() + s.slice(1)).join(' | ')} | Total |`);
+        lines.push(`|---|${STANCES.map(() => '---').join('|')}|---|`);
+        report.breakdowns[field].forEach(group => {
+            lines.push(`| ${mdCell(group.group)} | ${STANCES.map(stance => group[stance]).join(' | ')} | ${group.total} |`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    STANCES,
+    ageBand,
+    classifyStance,
+    classifyStances,
+    recordResponses,
+    buildReport,
+    toCSV,
+    toMarkdown
+};
@@ -0,0 +1,866 @@
+/**
+ * Conversation Analytics - Sentiment and theme analysis over every stored message
+ * Reads new rows from chat (messages), AI chat (conversations), voice calls
+ * (voice_events) and research sessions (research_sessions.log_json), scores
+ * each message's sentiment, clusters messages into themes by embedding
+ * similarity and stores the results in analytics_messages / analytics_themes.
+ * Processing is incremental (a watermark per source), so dashboards only
+ * ever read precomputed rows.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../models/database');
+const providerGateway = require('./providerGateway');
+
+const SOURCES = ['chat', 'conversation', 'call', 'session'];
+const DEFAULT_BATCH_SIZE = 200;
+const EMBED_CHUNK_SIZE = 64;
+const MIN_THEME_WORDS = 4;
+const SENTIMENT_THRESHOLD = 0.15;
+
+// Cosine similarity needed to join an existing theme; hashed bag-of-words
+// vectors are much sparser than model embeddings, so they get a lower bar
+const SIMILARITY_THRESHOLDS = {
+    'local-embedding-v1': 0.35
+};
+const DEFAULT_SIMILARITY_THRESHOLD = 0.75;
+
+const WINDOWS = {
+    day: { trunc: 'day', interval: '1 day' },
+    week: { trunc: 'week', interval: '1 week' },
+    month: { trunc: 'month', interval: '1 month' }
+};
+
+const TIME_RANGES = {
+    '1d': 1,
+    '7d': 7,
+    '30d': 30,
+    '90d': 90
+};
+
+// No fillers or courtesies ("like", "thanks"): they turn up in neutral and
+// negative replies as often as in positive ones
+const POSITIVE_WORDS = new Set([
+    'good', 'great', 'excellent', 'amazing', 'love', 'happy', 'satisfied', 'perfect',
+    'wonderful', 'helpful', 'easy', 'useful', 'convenient', 'simple', 'clear', 'fast', 'quick',
+    'trust', 'reliable', 'safe', 'secure', 'nice', 'enjoy', 'glad', 'smooth', 'best',
+    'comfortable', 'excited', 'interested', 'impressed', 'affordable'
+]);
+const NEGATIVE_WORDS = new Set([
+    'bad', 'terrible', 'awful', 'hate', 'dislike', 'angry', 'frustrated', 'frustrating',
+    'disappointed', 'horrible', 'worst', 'difficult', 'hard', 'confusing', 'confused', 'slow',
+    'expensive', 'hidden', 'risky', 'scam', 'fraud', 'worried', 'worry', 'scared', 'afraid',
+    'annoying', 'annoyed', 'broken', 'problem', 'issue', 'error', 'fail', 'failed', 'stuck',
+    'complicated', 'useless', 'unsafe', 'nervous', 'concerned', 'unhappy', 'poor'
+]);
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "doesn't", 'doesnt', "isn't", 'isnt', "wasn't", "can't", 'cant', 'cannot', "won't", 'wont', 'hardly']);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'too', 'super', 'totally', 'quite']);
+
+const STOPWORDS = new Set([
+    'about', 'above', 'after', 'again', 'also', 'always', 'because', 'been', 'before', 'being',
+    'could', 'does', 'doing', 'down', 'each', 'even', 'every', 'from', 'have', 'having', 'here',
+    'into', 'just', 'know', 'like', 'make', 'many', 'maybe', 'more', 'most', 'much', 'need',
+    'only', 'other', 'over', 'really', 'same', 'should', 'some', 'such', 'than', 'that', 'their',
+    'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those',
+    'through', 'under', 'very', 'want', 'well', 'were', 'what', 'when', 'where', 'which',
+    'while', 'will', 'with', 'would', 'your', 'yours', 'yeah', 'okay', 'actually', 'going',
+    'something', 'anything', 'usually', 'sure', 'mean', 'kind', 'sort', 'still', 'use', 'used'
+]);
+
+/**
+ * Lexicon sentiment with negation ("not easy") and intensifiers ("very slow")
+ * @returns {{score: number, label: 'positive'|'negative'|'neutral'}} score in [-1, 1]
+ */
+function scoreSentiment(text) {
+    const words = String(text || '').toLowerCase().replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+    let raw = 0;
+    let hits = 0;
+    words.forEach((word, index) => {
+        const polarity = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+        if (polarity === 0) return;
+
+        const negated = NEGATIONS.has(words[index - 1]) || NEGATIONS.has(words[index - 2]);
+        const weight = INTENSIFIERS.has(words[index - 1]) ? 1.5 : 1;
+        raw += (negated ? -polarity : polarity) * weight;
+        hits++;
+    });
+
+    const score = hits === 0 ? 0 : Number((raw / (hits + 1)).toFixed(3));
+    const clamped = Math.max(-1, Math.min(1, score));
+    return { score: clamped, label: sentimentLabel(clamped) };
+}
+
+function sentimentLabel(score) {
+    if (score > SENTIMENT_THRESHOLD) return 'positive';
+    if (score < -SENTIMENT_THRESHOLD) return 'negative';
+    return 'neutral';
+}
+
+function extractKeywords(text) {
+    return (String(text || '').toLowerCase().match(/[a-z][a-z']{3,}/g) || [])
+        .map(word => word.replace(/'s$/, ''))
+        .filter(word => !STOPWORDS.has(word) && !POSITIVE_WORDS.has(word) && !NEGATIVE_WORDS.has(word));
+}
+
+function topKeywords(keywordCounts, limit = 5) {
+    return Object.entries(keywordCounts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([word]) => word);
+}
+
+function themeLabel(keywordCounts) {
+    const words = topKeywords(keywordCounts, 3);
+    if (words.length === 0) return 'Miscellaneous';
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' / ');
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function similarityThreshold(model) {
+    return SIMILARITY_THRESHOLDS[model] || DEFAULT_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Online centroid clustering: each embedding joins the most similar theme
+ * above the model's threshold (updating its running-mean centroid) or
+ * starts a new theme. Mutates `themes` in place.
+ * @param {Array} themes - [{id, centroid, message_count, keyword_counts, isNew?, dirty?}]
+ * @param {Array} items - [{embedding, text}]
+ * @returns {Array} [{themeId, similarity}] aligned with items
+ */
+function assignThemes(themes, items, model) {
+    const threshold = similarityThreshold(model);
+
+    return items.map(({ embedding, text }) => {
+        let best = null;
+        let bestScore = -1;
+        themes.forEach(theme => {
+            const score = cosineSimilarity(theme.centroid, embedding);
+            if (score > bestScore) {
+                best = theme;
+                bestScore = score;
+            }
+        });
+
+        if (!best || bestScore < threshold) {
+            best = {
+                id: crypto.randomUUID(),
+                centroid: embedding.slice(),
+                message_count: 0,
+                keyword_counts: {},
+                isNew: true
+            };
+            themes.push(best);
+            bestScore = 1;
+        } else {
+            const count = best.message_count;
+            best.centroid = best.centroid.map((value, i) => (value * count + embedding[i]) / (count + 1));
+        }
+
+        best.message_count++;
+        extractKeywords(text).forEach(word => {
+            best.keyword_counts[word] = (best.keyword_counts[word] || 0) + 1;
+        });
+        best.dirty = true;
+
+        return { themeId: best.id, similarity: Number(bestScore.toFixed(4)) };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Ingestion
+// ---------------------------------------------------------------------------
+
+/**
+ * Each reader returns source rows newer than the watermark plus the
+ * timestamp to advance the watermark to, and flattens them into
+ * analytics records: {source_id, session_ref, agent_id, agent_name, role, content, created_at}
+ */
+const READERS = {
+    async chat(since, limit) {
+        // messages/sessions have had several schemas; read agent_id via to_jsonb
+        // so a missing column resolves to NULL instead of failing the query
+        const result = await pool.query(
+            `SELECT m.id, m.role, m.content, m.created_at, m.session_id,
+                    COALESCE(to_jsonb(m) ->> 'agent_id', to_jsonb(s) ->> 'agent_id') AS agent_id
+             FROM messages m
+             LEFT JOIN sessions s ON s.id = m.session_id
+             WHERE m.created_at >= $1 AND m.role IN ('user', 'assistant')
+             ORDER BY m.created_at ASC
+             LIMIT $2`,
+            [since, limit]
+        );
+        return {
+            rows: result.rows,
+            records: result.rows.map(row => ({
+                source_id: String(row.id),
+                session_ref: row.session_id ? String(row.session_id) : null,
+                agent_id: row.agent_id || null,
+                role: row.role === 'user' ? 'user' : 'agent',
+                content: row.content,
+                created_at: row.created_at
+            }))
+        };
+    },
+
+    async conversation(since, limit) {
+        const result = await pool.query(
+            `SELECT id, agent_id, session_id, user_message, agent_response, created_at
+             FROM conversations
+             WHERE created_at >= $1
+             ORDER BY created_at ASC
+             LIMIT $2`,
+            [since, limit]
+        );
+        const records = [];
+        result.rows.forEach(row => {
+            const base = {
+                session_ref: row.session_id ? String(row.session_id) : null,
+                agent_id: row.agent_id ? String(row.agent_id) : null,
+                created_at: row.created_at
+            };
+            records.push({ ...base, source_id: `${row.id}:user`, role: 'user', content: row.user_message });
+            records.push({ ...base, source_id: `${row.id}:agent`, role: 'agent', content: row.agent_response });
+        });
+        return { rows: result.rows, records };
+    },
+
+    async call(since, limit) {
+        const result = await pool.query(
+            `SELECT ve.id, ve.call_id, ve.speaker, ve.kind, ve.text, ve.created_at, a.id AS agent_id
+             FROM voice_events ve
+             JOIN voice_calls vc ON vc.id = ve.call_id
+             LEFT JOIN agents a ON a.id = ANY(vc.agent_ids) AND a.name = ve.speaker
+             WHERE ve.created_at >= $1 AND ve.kind IN ('user-speech', 'agent-response')
+             ORDER BY ve.created_at ASC
+             LIMIT $2`,
+            [since, limit]
+        );
+        return {
+            rows: result.rows,
+            records: result.rows.map(row => ({
+                source_id: String(row.id),
+                session_ref: String(row.call_id),
+                agent_id: row.agent_id ? String(row.agent_id) : null,
+                agent_name: row.kind === 'agent-response' ? row.speaker : null,
+                role: row.kind === 'user-speech' ? 'user' : 'agent',
+                content: row.text,
+                created_at: row.created_at
+            }))
+        };
+    },
+
+    async session(since, limit) {
+        // Sessions are append-only logs: re-read any session touched since the
+        // watermark and rely on the (source, source_id) unique key to skip old turns
+        const result = await pool.query(
+            `SELECT id, agents, log_json, created_at, updated_at
+             FROM research_sessions
+             WHERE updated_at >= $1 AND deleted_at IS NULL
+             ORDER BY updated_at ASC
+             LIMIT $2`,
+            [since, limit]
+        );
+        const records = [];
+        result.rows.forEach(row => {
+            const roster = Array.isArray(row.agents) ? row.agents : [];
+            (Array.isArray(row.log_json) ? row.log_json : []).forEach((turn, index) => {
+                const agent = roster.find(a => a.id === turn.agentId || a.name === turn.speaker);
+                records.push({
+                    source_id: `${row.id}:${index}`,
+                    session_ref: String(row.id),
+                    agent_id: agent ? agent.id : null,
+                    agent_name: agent ? agent.name : null,
+                    role: agent ? 'agent' : 'user',
+                    content: turn.text,
+                    created_at: turn.timestamp || row.created_at
+                });
+            });
+        });
+        return {
+            rows: result.rows.map(row => ({ created_at: row.updated_at })),
+            records
+        };
+    }
+};
+
+async function getWatermarks() {
+    const result = await pool.query('SELECT source, last_seen_at, processed_total, updated_at FROM analytics_watermarks');
+    return new Map(result.rows.map(row => [row.source, row]));
+}
+
+async function loadThemes(model) {
+    const result = await pool.query(
+        'SELECT id, centroid, message_count, keyword_counts FROM analytics_themes WHERE embedding_model = $1',
+        [model]
+    );
+    return result.rows.map(row => ({ ...row, keyword_counts: row.keyword_counts || {} }));
+}
+
+async function saveThemes(db, themes, model) {
+    for (const theme of themes.filter(t => t.dirty)) {
+        const centroid = theme.centroid.map(value => Number(value.toFixed(6)));
+        await db.query(
+            `INSERT INTO analytics_themes (id, label, keywords, keyword_counts, centroid, embedding_model, message_count)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (id) DO UPDATE SET
+                label = EXCLUDED.label,
+                keywords = EXCLUDED.keywords,
+                keyword_counts = EXCLUDED.keyword_counts,
+                centroid = EXCLUDED.centroid,
+                message_count = EXCLUDED.message_count,
+                updated_at = NOW()`,
+            [
+                theme.id,
+                themeLabel(theme.keyword_counts),
+                topKeywords(theme.keyword_counts, 10),
+                JSON.stringify(theme.keyword_counts),
+                JSON.stringify(centroid),
+                model,
+                theme.message_count
+            ]
+        );
+        theme.dirty = false;
+        theme.isNew = false;
+    }
+}
+
+/**
+ * Embed texts chunk by chunk for clustering. Vectors from different models
+ * can't be compared, so a batch that straddles a provider fallback is
+ * re-embedded on the provider that answered last (fallback off), and
+ * rejected if its chunks still disagree on model. Shared with the affinity mapper.
+ * @param {Object} tags - Usage tags for the embedding calls
+ * @returns {Promise<{embeddings: number[][], model: string|null, models: string[]}>}
+ */
+async function embedAll(texts, tags = { feature: 'analytics' }) {
+    const embedChunks = async (params = {}) => {
+        const chunks = [];
+        for (let i = 0; i < texts.length; i += EMBED_CHUNK_SIZE) {
+            chunks.push(await providerGateway.embed(texts.slice(i, i + EMBED_CHUNK_SIZE), { ...params, tags }));
+        }
+        return chunks;
+    };
+    const modelsOf = chunks => chunks.map(chunk => chunk.model);
+
+    let chunks = await embedChunks();
+    if (new Set(modelsOf(chunks)).size > 1) {
+        chunks = await embedChunks({ provider: chunks[chunks.length - 1].provider, fallback: false });
+        if (new Set(modelsOf(chunks)).size > 1) {
+            throw new Error(`Embeddings came from different models: ${modelsOf(chunks).join(', ')}`);
+        }
+    }
+
+    return {
+        embeddings: chunks.flatMap(chunk => chunk.embeddings),
+        model: chunks[0]?.model || null,
+        models: modelsOf(chunks)
+    };
+}
+
+/**
+ * Analyze one batch of a source; returns how many new messages were stored.
+ * Themes, messages and the source's watermark are written in one
+ * transaction, so a failed batch is retried whole on the next run.
+ */
+async function processSource(source, since, batchSize) {
+    const { rows, records } = await READERS[source](since, batchSize);
+    if (rows.length === 0) return { processed: 0, lastSeenAt: null, themesCreated: 0 };
+
+    const existing = await pool.query(
+        'SELECT source_id FROM analytics_messages WHERE source = $1 AND source_id = ANY($2)',
+        [source, records.map(record => record.source_id)]
+    );
+    const seen = new Set(existing.rows.map(row => row.source_id));
+    const fresh = records.filter(record => !seen.has(record.source_id) && String(record.content || '').trim());
+
+    let themesCreated = 0;
+    let themes = [];
+    let model = null;
+    const assignments = new Map();
+    const clusterable = fresh.filter(record => record.content.split(/\s+/).length >= MIN_THEME_WORDS);
+
+    if (clusterable.length > 0) {
+        const embedded = await embedAll(clusterable.map(record => record.content));
+        model = embedded.model;
+        themes = await loadThemes(model);
+        const results = assignThemes(
+            themes,
+            clusterable.map((record, index) => ({ embedding: embedded.embeddings[index], text: record.content })),
+            model
+        );
+        themesCreated = themes.filter(theme => theme.isNew).length;
+        clusterable.forEach((record, index) => assignments.set(record, results[index]));
+    }
+
+    const lastSeenAt = rows[rows.length - 1].created_at;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await saveThemes(client, themes, model);
+
+        for (const record of fresh) {
+            const sentiment = scoreSentiment(record.content);
+            const assignment = assignments.get(record);
+            await client.query(
+                `INSERT INTO analytics_messages
+                    (source, source_id, session_ref, agent_id, agent_name, role, content,
+                     sentiment_score, sentiment_label, theme_id, theme_similarity, message_created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                 ON CONFLICT (source, source_id) DO NOTHING`,
+                [
+                    source,
+                    record.source_id,
+                    record.session_ref,
+                    record.agent_id,
+                    record.agent_name || null,
+                    record.role,
+                    record.content,
+                    sentiment.score,
+                    sentiment.label,
+                    assignment ? assignment.themeId : null,
+                    assignment ? assignment.similarity : null,
+                    record.created_at
+                ]
+            );
+        }
+
+        await client.query(
+            `INSERT INTO analytics_watermarks (source, last_seen_at, processed_total, updated_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (source) DO UPDATE SET
+                last_seen_at = EXCLUDED.last_seen_at,
+                processed_total = analytics_watermarks.processed_total + $3,
+                updated_at = NOW()`,
+            [source, lastSeenAt, fresh.length]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return {
+        processed: fresh.length,
+        lastSeenAt,
+        themesCreated,
+        exhausted: rows.length < batchSize
+    };
+}
+
+/**
+ * Process everything stored since the last run, source by source
+ * @param {Object} options - { sources, batchSize, maxBatches }
+ */
+async function processNewMessages({ sources = SOURCES, batchSize = DEFAULT_BATCH_SIZE, maxBatches = 20 } = {}) {
+    const watermarks = await getWatermarks();
+    const summary = { processed: 0, themesCreated: 0, sources: {} };
+
+    for (const source of sources) {
+        let since = watermarks.get(source)?.last_seen_at || new Date(0);
+        const sourceSummary = { processed: 0, themesCreated: 0 };
+
+        try {
+            for (let batch = 0; batch < maxBatches; batch++) {
+                const result = await processSource(source, since, batchSize);
+                if (!result.lastSeenAt) break;
+
+                sourceSummary.processed += result.processed;
+                sourceSummary.themesCreated += result.themesCreated;
+                since = result.lastSeenAt;
+
+                // A full batch with nothing new means every row shares the
+                // watermark timestamp; stop rather than re-read it forever
+                if (result.exhausted || result.processed === 0) break;
+            }
+        } catch (error) {
+            // A source table may not exist in every deployment
+            console.warn(`Analytics processing skipped source "${source}":`, error.message);
+            sourceSummary.error = error.message;
+        }
+
+        summary.sources[source] = sourceSummary;
+        summary.processed += sourceSummary.processed;
+        summary.themesCreated += sourceSummary.themesCreated;
+    }
+
+    return summary;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * WHERE clause over analytics_messages (aliased "am")
+ * @param {Object} filters - { agentId, sessionId, source, role, from, to, timeRange }
+ */
+function buildFilters({ agentId, sessionId, source, role, from, to, timeRange } = {}, params = []) {
+    const conditions = [];
+
+    if (agentId) {
+        params.push(String(agentId));
+        conditions.push(`am.agent_id = $${params.length}`);
+    }
+    if (sessionId) {
+        params.push(String(sessionId));
+        conditions.push(`am.session_ref = $${params.length}`);
+    }
+    if (source) {
+        params.push(source);
+        conditions.push(`am.source = $${params.length}`);
+    }
+    if (role) {
+        params.push(role);
+        conditions.push(`am.role = $${params.length}`);
+    }
+    if (from) {
+        params.push(from);
+        conditions.push(`am.message_created_at >= $${params.length}`);
+    } else if (TIME_RANGES[timeRange]) {
+        conditions.push(`am.message_created_at >= NOW() - INTERVAL '${TIME_RANGES[timeRange]} days'`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`am.message_created_at <= $${params.length}`);
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function toPercent(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+/**
+ * Themes ranked by message count with sentiment and sample quotes
+ */
+async function getThemes(filters = {}, { limit = 20, samples = 3 } = {}) {
+    const { where, params } = buildFilters(filters);
+    const themeWhere = where ? `${where} AND am.theme_id IS NOT NULL` : 'WHERE am.theme_id IS NOT NULL';
+
+    const [totals, grouped] = await Promise.all([
+        pool.query(`SELECT COUNT(*)::int AS total FROM analytics_messages am ${themeWhere}`, params),
+        pool.query(
+            `SELECT t.id, t.label, t.keywords,
+                    COUNT(*)::int AS count,
+                    AVG(am.sentiment_score)::float AS average_sentiment,
+                    COUNT(DISTINCT am.agent_id)::int AS agents,
+                    MAX(am.message_created_at) AS last_seen_at
+             FROM analytics_messages am
+             JOIN analytics_themes t ON t.id = am.theme_id
+             ${themeWhere}
+             GROUP BY t.id, t.label, t.keywords
+             ORDER BY count DESC
+             LIMIT ${parseInt(limit) || 20}`,
+            params
+        )
+    ]);
+
+    const total = totals.rows[0]?.total || 0;
+    const themeIds = grouped.rows.map(row => row.id);
+    const quotes = new Map();
+
+    if (themeIds.length > 0 && samples > 0) {
+        const sampleParams = [...params, themeIds];
+        const sampleResult = await pool.query(
+            `SELECT theme_id, content, agent_name, role, sentiment_label FROM (
+                SELECT am.theme_id, am.content, am.agent_name, am.role, am.sentiment_label,
+                       ROW_NUMBER() OVER (PARTITION BY am.theme_id ORDER BY am.theme_similarity DESC NULLS LAST) AS rank
+                FROM analytics_messages am
+                ${themeWhere} AND am.theme_id = ANY($${sampleParams.length})
+             ) ranked
+             WHERE rank <= ${parseInt(samples)}`,
+            sampleParams
+        );
+        sampleResult.rows.forEach(row => {
+            if (!quotes.has(row.theme_id)) quotes.set(row.theme_id, []);
+            quotes.get(row.theme_id).push({
+                text: row.content.slice(0, 280),
+                agentName: row.agent_name,
+                role: row.role,
+                sentiment: row.sentiment_label
+            });
+        });
+    }
+
+    const themes = grouped.rows.map(row => ({
+        id: row.id,
+        name: row.label,
+        keywords: row.keywords || [],
+        count: row.count,
+        percentage: toPercent(row.count, total),
+        averageSentiment: Number((row.average_sentiment || 0).toFixed(2)),
+        sentiment: sentimentLabel(row.average_sentiment || 0),
+        agents: row.agents,
+        lastSeenAt: row.last_seen_at,
+        quotes: quotes.get(row.id) || []
+    }));
+
+    // Keep the shape the dashboard already renders as "common phrases"
+    const keywordTotals = {};
+    themes.forEach(theme => {
+        theme.keywords.slice(0, 5).forEach(keyword => {
+            keywordTotals[keyword] = (keywordTotals[keyword] || 0) + theme.count;
+        });
+    });
+    const commonPhrases = Object.entries(keywordTotals)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([phrase, count]) => ({ phrase, count }));
+
+    return { themes, commonPhrases, totalMessages: total };
+}
+
+/**
+ * Sentiment distribution overall and per agent
+ */
+async function getSentiment(filters = {}) {
+    const { where, params } = buildFilters(filters);
+
+    const [overall, byAgent] = await Promise.all([
+        pool.query(
+            `SELECT am.sentiment_label AS label, COUNT(*)::int AS count, AVG(am.sentiment_score)::float AS average
+             FROM analytics_messages am ${where}
+             GROUP BY am.sentiment_label`,
+            params
+        ),
+        pool.query(
+            `SELECT am.agent_id, MAX(am.agent_name) AS agent_name,
+                    COUNT(*)::int AS messages,
+                    AVG(am.sentiment_score)::float AS average_score,
+                    COUNT(*) FILTER (WHERE am.sentiment_label = 'positive')::int AS positive,
+                    COUNT(*) FILTER (WHERE am.sentiment_label = 'negative')::int AS negative,
+                    COUNT(*) FILTER (WHERE am.sentiment_label = 'neutral')::int AS neutral
+             FROM analytics_messages am
+             ${where ? `${where} AND` : 'WHERE'} am.role = 'agent' AND am.agent_id IS NOT NULL
+             GROUP BY am.agent_id
+             ORDER BY messages DESC`,
+            params
+        )
+    ]);
+
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+    let weighted = 0;
+    overall.rows.forEach(row => {
+        counts[row.label] = row.count;
+        weighted += (row.average || 0) * row.count;
+    });
+    const total = counts.positive + counts.negative + counts.neutral;
+
+    return {
+        distribution: {
+            positive: toPercent(counts.positive, total),
+            negative: toPercent(counts.negative, total),
+            neutral: toPercent(counts.neutral, total)
+        },
+        counts,
+        averageScore: total > 0 ? Number((weighted / total).toFixed(2)) : 0,
+        totalMessages: total,
+        byAgent: byAgent.rows.map(row => ({
+            agentId: row.agent_id,
+            agentName: row.agent_name,
+            messages: row.messages,
+            averageScore: Number((row.average_score || 0).toFixed(2)),
+            positive: row.positive,
+            negative: row.negative,
+            neutral: row.neutral
+        }))
+    };
+}
+
+/**
+ * Theme volume and sentiment per time window (day / week / month)
+ */
+async function getThemeTrends(filters = {}, { window = 'week', periods = 8, limit = 8 } = {}) {
+    const spec = WINDOWS[window];
+    if (!spec) {
+        throw new Error(`Invalid window. Use one of: ${Object.keys(WINDOWS).join(', ')}`);
+    }
+
+    const count = Math.max(1, Math.min(parseInt(periods) || 8, 104));
+    const { where, params } = buildFilters(filters);
+    const conditions = [
+        'am.theme_id IS NOT NULL',
+        `am.message_created_at >= date_trunc('${spec.trunc}', NOW()) - INTERVAL '${spec.interval}' * ${count - 1}`
+    ];
+    const fullWhere = where ? `${where} AND ${conditions.join(' AND ')}` : `WHERE ${conditions.join(' AND ')}`;
+
+    const result = await pool.query(
+        `SELECT date_trunc('${spec.trunc}', am.message_created_at) AS period,
+                t.id, t.label,
+                COUNT(*)::int AS count,
+                AVG(am.sentiment_score)::float AS average_sentiment
+         FROM analytics_messages am
+         JOIN analytics_themes t ON t.id = am.theme_id
+         ${fullWhere}
+         GROUP BY period, t.id, t.label
+         ORDER BY period ASC`,
+        params
+    );
+
+    const periodKeys = [...new Set(result.rows.map(row => new Date(row.period).toISOString()))].sort();
+    const byTheme = new Map();
+    result.rows.forEach(row => {
+        if (!byTheme.has(row.id)) {
+            byTheme.set(row.id, { id: row.id, name: row.label, total: 0, points: new Map() });
+        }
+        const theme = byTheme.get(row.id);
+        theme.total += row.count;
+        theme.points.set(new Date(row.period).toISOString(), {
+            count: row.count,
+            averageSentiment: Number((row.average_sentiment || 0).toFixed(2))
+        });
+    });
+
+    const themes = [...byTheme.values()]
+        .sort((a, b) => b.total - a.total)
+        .slice(0, parseInt(limit) || 8)
+        .map(theme => {
+            const series = periodKeys.map(period => ({
+                period,
+                count: theme.points.get(period)?.count || 0,
+                averageSentiment: theme.points.get(period)?.averageSentiment ?? null
+            }));
+            const latest = series[series.length - 1]?.count || 0;
+            const previous = series[series.length - 2]?.count || 0;
+            return {
+                id: theme.id,
+                name: theme.name,
+                total: theme.total,
+                series,
+                change: previous > 0 ? Math.round(((latest - previous) / previous) * 100) : null
+            };
+        });
+
+    return { window, periods: periodKeys, themes };
+}
+
+async function getEngagement(filters = {}) {
+    const { where, params } = buildFilters(filters);
+    const result = await pool.query(
+        `SELECT COUNT(*)::int AS total_messages,
+                COUNT(DISTINCT date_trunc('day', am.message_created_at))::int AS active_days,
+                COALESCE(ROUND(AVG(LENGTH(am.content))), 0)::int AS average_length,
+                MODE() WITHIN GROUP (ORDER BY EXTRACT(HOUR FROM am.message_created_at)) AS peak_hour
+         FROM analytics_messages am ${where}`,
+        params
+    );
+    const row = result.rows[0] || {};
+
+    return {
+        totalMessages: row.total_messages || 0,
+        activeDays: row.active_days || 0,
+        averageMessageLength: row.average_length || 0,
+        peakHour: row.peak_hour !== null && row.peak_hour !== undefined ? `${parseInt(row.peak_hour)}:00` : 'Unknown'
+    };
+}
+
+/**
+ * Individual analyzed messages, e.g. to drill into a theme or a sentiment bucket
+ */
+async function getMessages(filters = {}, { themeId, sentiment, limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildFilters(filters);
+    const conditions = where ? [where.replace(/^WHERE /, '')] : [];
+
+    if (themeId) {
+        params.push(themeId);
+        conditions.push(`am.theme_id = $${params.length}`);
+    }
+    if (sentiment) {
+        params.push(sentiment);
+        conditions.push(`am.sentiment_label = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0);
+
+    const result = await pool.query(
+        `SELECT am.id, am.source, am.session_ref, am.agent_id, am.agent_name, am.role, am.content,
+                am.sentiment_score, am.sentiment_label, am.theme_id, am.message_created_at
+         FROM analytics_messages am
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY am.message_created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return result.rows;
+}
+
+async function getStatus() {
+    const watermarks = await getWatermarks();
+    return SOURCES.map(source => ({
+        source,
+        lastSeenAt: watermarks.get(source)?.last_seen_at || null,
+        processedTotal: watermarks.get(source)?.processed_total || 0,
+        updatedAt: watermarks.get(source)?.updated_at || null
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+let timer = null;
+let running = null;
+
+/**
+ * Run processNewMessages, sharing the in-flight run if one is already going
+ */
+function runOnce(options) {
+    if (!running) {
+        running = processNewMessages(options).finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+function startScheduler(intervalMs) {
+    stopScheduler();
+    const tick = () => runOnce().catch(error => console.error('Analytics processing failed:', error.message));
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    setTimeout(tick, 5000).unref();
+}
+
+function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    SOURCES,
+    WINDOWS,
+    scoreSentiment,
+    extractKeywords,
+    themeLabel,
+    cosineSimilarity,
+    assignThemes,
+    embedAll,
+    processNewMessages,
+    runOnce,
+    getThemes,
+    getSentiment,
+    getThemeTrends,
+    getEngagement,
+    getMessages,
+    getStatus,
+    startScheduler,
+    stopScheduler
+};
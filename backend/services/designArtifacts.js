@@ -1,11 +1,16 @@
 /**
  * Design Artifacts Service - Figma integration and artifact management
- * Handles design artifact ingestion and processing for multi-agent feedback
+ * Handles design artifact ingestion and processing for multi-agent feedback.
+ * Iterations of one design are versions of a screen: they share screen_id
+ * (the first version's id) and count up screen_version.
  */
 
 const { pool } = require('../models/database');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const MAX_MAPPED_NODES = 500;
 
 class DesignArtifactsService {
     /**
@@ -30,10 +35,18 @@ class DesignArtifactsService {
                 throw new Error('Node not found in Figma file');
             }
 
+            // A re-import of the same node is the next version of its screen
+            let screen = options.screen || null;
+            if (!screen) {
+                const previous = await this.findFigmaArtifact(figmaFileKey, figmaNodeId, adminId);
+                if (previous) screen = await this.nextScreenVersion(previous.id);
+            }
+
             // Create artifact record
             const artifactId = uuidv4();
             const artifact = {
                 id: artifactId,
+                ...(screen || {}),
                 name: nodeData.name || 'Untitled Design',
                 description: nodeData.description || '',
                 figma_file_key: figmaFileKey,
@@ -70,6 +83,7 @@ class DesignArtifactsService {
             const artifactId = uuidv4();
             const artifact = {
                 id: artifactId,
+                ...(options.screen || {}),
                 name: options.name || 'Uploaded Design',
                 description: options.description || '',
                 image_url: imageData.url,
@@ -174,28 +188,35 @@ class DesignArtifactsService {
 
     /**
      * Create node mapping for actionable feedback
+     * Every descendant of the frame, with bounds relative to the frame so
+     * feedback can point at an element's box on the rendered image
      */
     static createNodeMapping(nodeData) {
         const mapping = {};
-        
-        if (nodeData.figmaData?.children) {
-            nodeData.figmaData.children.forEach((child, index) => {
-                mapping[`element_${index}`] = {
+        const root = nodeData.figmaData;
+        const origin = root?.absoluteBoundingBox || { x: 0, y: 0 };
+        let index = 0;
+
+        const visit = (node, parentId) => {
+            (node.children || []).forEach(child => {
+                if (index >= MAX_MAPPED_NODES || child.visible === false) return;
+                const box = child.absoluteBoundingBox;
+                mapping[`element_${index++}`] = {
                     id: child.id,
                     name: child.name,
                     type: child.type,
-                    bounds: {
-                        x: child.x || 0,
-                        y: child.y || 0,
-                        width: child.width,
-                        height: child.height
-                    },
+                    parent_id: parentId,
+                    bounds: box
+                        ? { x: box.x - origin.x, y: box.y - origin.y, width: box.width, height: box.height }
+                        : { x: child.x || 0, y: child.y || 0, width: child.width, height: child.height },
                     text: child.characters || '',
                     style: child.style || {}
                 };
+                visit(child, child.id);
             });
-        }
+        };
 
+        if (root) visit(root, root.id);
         return mapping;
     }
 
@@ -208,8 +229,8 @@ class DesignArtifactsService {
                 INSERT INTO design_artifacts (
                     id, name, description, figma_file_key, figma_node_id,
                     figma_url, image_url, image_path, image_metadata,
-                    node_mapping, created_by, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    node_mapping, created_by, created_at, screen_id, screen_version
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
             `;
 
             await pool.query(query, [
@@ -224,7 +245,9 @@ class DesignArtifactsService {
                 JSON.stringify(artifact.image_metadata),
                 JSON.stringify(artifact.node_mapping),
                 artifact.created_by,
-                new Date()
+                new Date(),
+                artifact.screen_id || artifact.id,
+                artifact.screen_version || 1
             ]);
         } catch (error) {
             console.error('Failed to save artifact:', error);
@@ -255,7 +278,7 @@ class DesignArtifactsService {
         try {
             const result = await pool.query(
                 `SELECT id, name, description, figma_url, image_url, 
-                        created_at, image_metadata
+                        created_at, image_metadata, screen_id, screen_version
                  FROM design_artifacts 
                  WHERE created_by = $1 
                  ORDER BY created_at DESC 
@@ -320,6 +343,114 @@ class DesignArtifactsService {
         }
     }
 
+    /**
+     * Latest artifact the user imported from this Figma node
+     */
+    static async findFigmaArtifact(figmaFileKey, figmaNodeId, adminId) {
+        const result = await pool.query(
+            `SELECT id FROM design_artifacts
+             WHERE figma_file_key = $1 AND figma_node_id = $2 AND created_by = $3
+             ORDER BY created_at DESC LIMIT 1`,
+            [figmaFileKey, figmaNodeId, adminId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Screen and version number for a new iteration of an artifact's screen
+     * @returns {Promise<{screen_id, screen_version}|null>} null when the artifact does not exist
+     */
+    static async nextScreenVersion(artifactId) {
+        const artifact = await pool.query(
+            'SELECT id, screen_id FROM design_artifacts WHERE id = $1',
+            [artifactId]
+        );
+        if (artifact.rows.length === 0) return null;
+
+        const screenId = artifact.rows[0].screen_id || artifact.rows[0].id;
+        const latest = await pool.query(
+            'SELECT COALESCE(MAX(screen_version), 0) AS version FROM design_artifacts WHERE screen_id = $1',
+            [screenId]
+        );
+        return { screen_id: screenId, screen_version: Number(latest.rows[0].version) + 1 };
+    }
+
+    /**
+     * Make an existing artifact the next version of another artifact's screen;
+     * its feedback runs move with it. When the artifact is the first version
+     * of its own screen, that screen's later versions move too, so none are
+     * left pointing at a screen that is now part of another one.
+     * @returns {Promise<Object|null>} null when either artifact does not exist
+     */
+    static async linkAsVersion(artifactId, versionOfId) {
+        const current = await this.getArtifact(artifactId);
+        if (!current) return null;
+        if (artifactId === versionOfId) {
+            throw new AppError('An artifact cannot be a version of itself', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const screen = await this.nextScreenVersion(versionOfId);
+        if (!screen) return null;
+        const currentScreenId = current.screen_id || current.id;
+        if (screen.screen_id === currentScreenId) {
+            throw new AppError('Artifact is already a version of this screen', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            let moving = [artifactId];
+            if (currentScreenId === current.id) {
+                const versions = await client.query(
+                    `SELECT id FROM design_artifacts WHERE screen_id = $1 OR id = $1
+                     ORDER BY screen_version ASC, created_at ASC
+                     FOR UPDATE`,
+                    [current.id]
+                );
+                moving = versions.rows.map(row => row.id);
+            }
+
+            let linked = null;
+            for (const [index, id] of moving.entries()) {
+                const screenVersion = screen.screen_version + index;
+                const result = await client.query(
+                    `UPDATE design_artifacts SET screen_id = $2, screen_version = $3
+                     WHERE id = $1
+                     RETURNING id, name, screen_id, screen_version`,
+                    [id, screen.screen_id, screenVersion]
+                );
+                await client.query(
+                    'UPDATE design_feedback_runs SET screen_id = $2, screen_version = $3 WHERE design_artifact_id = $1',
+                    [id, screen.screen_id, screenVersion]
+                );
+                if (id === artifactId) linked = result.rows[0];
+            }
+
+            await client.query('COMMIT');
+            return linked;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Versions of a screen, oldest first
+     */
+    static async getScreenVersions(screenId) {
+        const result = await pool.query(
+            `SELECT id, name, description, figma_url, image_url, screen_id, screen_version, created_by, created_at
+             FROM design_artifacts
+             WHERE screen_id = $1
+             ORDER BY screen_version ASC, created_at ASC`,
+            [screenId]
+        );
+        return result.rows;
+    }
+
     /**
      * Get artifact feedback history
      */
@@ -328,10 +459,10 @@ class DesignArtifactsService {
             const result = await pool.query(
                 `SELECT 
                     fi.id, fi.critique_text, fi.severity, fi.heuristic_principle,
-                    fi.evidence_elements, fi.suggested_fix, fi.created_at,
+                    fi.evidence_elements, fi.suggested_fix, fi.created_at, fi.run_id,
                     a.name as agent_name, a.id as agent_id
                  FROM feedback_items fi
-                 JOIN agents a ON fi.agent_id = a.id
+                 LEFT JOIN agents a ON fi.agent_id = a.id
                  WHERE fi.design_artifact_id = $1
                  ORDER BY fi.created_at DESC`,
                 [artifactId]
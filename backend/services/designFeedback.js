@@ -1,21 +1,50 @@
 /**
  * Design Feedback Service - Multi-agent non-generic design critique
- * Implements the blueprint's multi-agent feedback system with structured JSON output
+ * Implements the blueprint's multi-agent feedback system with structured JSON output.
+ * Agents see the design: the rendered frame goes to a vision-capable model
+ * together with the element list from design_artifacts.node_mapping, and each
+ * problem comes back pinned to element ids and bounding boxes.
+ * Each run is scored against a versioned heuristic set (heuristic_sets): every
+ * agent gives every item of the set a pass / fail / na verdict. When the
+ * artifact carries its Figma node, a deterministic accessibility audit joins
+ * the agents as a "machine" reviewer. Runs are recorded in design_feedback_runs
+ * so runs on successive versions of a screen can be compared.
  */
 
+const fs = require('fs');
+const path = require('path');
 const providerGateway = require('./providerGateway');
+const figmaService = require('./figma');
+const HeuristicSetStore = require('./heuristicSetStore');
+const { MACHINE_REVIEWER, auditFigmaNode, findingToProblem } = require('./accessibilityAudit');
+const DesignFeedbackRunStore = require('./designFeedbackRunStore');
 const { pool } = require('../models/database');
-const { v4: uuidv4 } = require('uuid');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const HEURISTIC_RESULTS = ['pass', 'fail', 'na'];
+const MAX_PROMPT_ELEMENTS = 200;
+const MAX_PROBLEM_ELEMENTS = 10;
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
 
 class DesignFeedbackService {
     /**
      * Run multi-agent feedback on a design artifact
      */
-    static async runMultiAgentFeedback(designArtifact, agentIds, taskContext = {}) {
+    static async runMultiAgentFeedback(designArtifact, agentIds, taskContext = {}, options = {}) {
         try {
+            const heuristicSet = options.heuristicSet
+                || await HeuristicSetStore.get(HeuristicSetStore.DEFAULT_SET_SLUG);
+
             console.log('Starting multi-agent design feedback:', {
                 artifactId: designArtifact.id,
                 agentCount: agentIds.length,
+                heuristicSet: heuristicSet ? `${heuristicSet.slug}@${heuristicSet.version}` : null,
                 taskContext
             });
 
@@ -25,18 +54,33 @@ class DesignFeedbackService {
                 throw new Error('No valid agents found for feedback');
             }
 
+            // Rendered frame and element list, shared by every agent
+            const visualContext = await this.buildVisualContext(designArtifact);
+
             // Run feedback independently for each agent
             const feedbackPromises = agents.map(agent => 
-                this.generateAgentFeedback(agent, designArtifact, taskContext)
+                this.generateAgentFeedback(agent, designArtifact, taskContext, visualContext, heuristicSet)
             );
 
             const feedbackResults = await Promise.all(feedbackPromises);
 
+            const machineReview = this.runAccessibilityAudit(designArtifact);
+            if (machineReview) feedbackResults.push(machineReview);
+
             // Aggregate and analyze feedback
-            const aggregatedFeedback = this.aggregateFeedback(feedbackResults, designArtifact);
+            const aggregatedFeedback = this.aggregateFeedback(feedbackResults, designArtifact, heuristicSet);
+            aggregatedFeedback.grounding = {
+                imageSource: visualContext.image?.source || null,
+                elementCount: visualContext.elements.length,
+                frame: visualContext.frame
+            };
 
             // Save feedback to database
-            await this.saveFeedbackResults(designArtifact.id, feedbackResults, aggregatedFeedback);
+            const run = await this.recordRun(designArtifact, agentIds, aggregatedFeedback, heuristicSet, options.createdBy);
+            aggregatedFeedback.runId = run?.id || null;
+            await this.saveFeedbackResults(
+                designArtifact.id, feedbackResults, aggregatedFeedback, taskContext, heuristicSet, aggregatedFeedback.runId
+            );
 
             console.log('Multi-agent feedback completed:', {
                 totalFeedback: feedbackResults.length,
@@ -52,26 +96,128 @@ class DesignFeedbackService {
         }
     }
 
+    /**
+     * Everything the model should look at: the frame image (Figma render,
+     * uploaded file or image URL), the artifact's elements and the frame size
+     */
+    static async buildVisualContext(designArtifact) {
+        const elements = this.getArtifactElements(designArtifact);
+        const metadata = designArtifact.image_metadata || {};
+        const frame = metadata.width > 0 && metadata.height > 0
+            ? { width: metadata.width, height: metadata.height }
+            : this.frameFromElements(elements);
+
+        return {
+            image: await this.loadArtifactImage(designArtifact),
+            elements,
+            elementsById: new Map(elements.map(element => [String(element.id), element])),
+            frame
+        };
+    }
+
+    /**
+     * Flatten design_artifacts.node_mapping into [{ id, name, type, text, bounds }]
+     */
+    static getArtifactElements(designArtifact) {
+        const mapping = designArtifact.node_mapping || {};
+        return Object.values(typeof mapping === 'string' ? JSON.parse(mapping) : mapping)
+            .filter(element => element && element.id)
+            .map(element => ({
+                id: String(element.id),
+                name: element.name || '',
+                type: element.type || '',
+                text: element.text || '',
+                bounds: this.normalizeBox(element.bounds)
+            }));
+    }
+
+    /**
+     * Frame size when the artifact doesn't record one: the extent of its elements
+     */
+    static frameFromElements(elements) {
+        const boxes = elements.map(element => element.bounds).filter(Boolean);
+        if (boxes.length === 0) return null;
+        return {
+            width: Math.max(...boxes.map(box => box.x + box.width)),
+            height: Math.max(...boxes.map(box => box.y + box.height))
+        };
+    }
+
+    /**
+     * Image the vision model receives, as a URL or a base64 data URL
+     * @returns {Promise<{url: string, source: string}|null>}
+     */
+    static async loadArtifactImage(designArtifact) {
+        if (designArtifact.figma_file_key && designArtifact.figma_node_id && process.env.FIGMA_ACCESS_TOKEN) {
+            const rendered = await figmaService.getFigmaImages(
+                designArtifact.figma_file_key,
+                process.env.FIGMA_ACCESS_TOKEN,
+                [designArtifact.figma_node_id]
+            );
+            const url = rendered.images?.[designArtifact.figma_node_id];
+            if (url) return { url, source: 'figma_render' };
+        }
+
+        const localPath = designArtifact.image_path
+            || (designArtifact.image_url?.startsWith('/uploads/') ? path.join(__dirname, '..', designArtifact.image_url) : null);
+        if (localPath) {
+            try {
+                const data = await fs.promises.readFile(localPath);
+                const mimeType = designArtifact.image_metadata?.mimeType
+                    || IMAGE_MIME_TYPES[path.extname(localPath).toLowerCase()]
+                    || 'image/png';
+                return { url: `data:${mimeType};base64,${data.toString('base64')}`, source: 'upload' };
+            } catch (error) {
+                console.warn(`Design image ${localPath} unreadable:`, error.message);
+            }
+        }
+
+        if (/^https?:\/\//.test(designArtifact.image_url || '')) {
+            return { url: designArtifact.image_url, source: 'image_url' };
+        }
+        return null;
+    }
+
     /**
      * Generate feedback from a single agent
      */
-    static async generateAgentFeedback(agent, designArtifact, taskContext) {
+    static async generateAgentFeedback(agent, designArtifact, taskContext, visualContext = null, heuristicSet = null) {
         try {
-            const systemPrompt = this.buildFeedbackSystemPrompt(agent);
-            const userPrompt = this.buildFeedbackUserPrompt(designArtifact, taskContext);
+            const systemPrompt = this.buildFeedbackSystemPrompt(agent, heuristicSet);
+            const userContent = this.buildFeedbackUserContent(designArtifact, taskContext, visualContext, heuristicSet);
 
             const messages = [
                 { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
+                { role: 'user', content: userContent }
             ];
 
-            const response = await providerGateway.chat(messages, {
+            const chatParams = {
                 temperature: 0.3, // Lower temperature for more consistent feedback
-                max_tokens: 2000
-            });
+                max_tokens: heuristicSet ? 3000 : 2000,
+                ...(visualContext?.image && process.env.DESIGN_FEEDBACK_VISION_MODEL
+                    ? { model: process.env.DESIGN_FEEDBACK_VISION_MODEL }
+                    : {}),
+                tags: {
+                    feature: 'design_feedback',
+                    agentId: agent.id,
+                    sessionId: designArtifact.id,
+                    projectId: taskContext.projectId
+                }
+            };
+            const response = await providerGateway.chat(messages, chatParams);
 
             // Parse structured JSON response
             const feedback = this.parseFeedbackResponse(response, agent.id);
+            feedback.problems = (feedback.problems || []).map(problem => ({
+                ...problem,
+                elements: this.groundProblemElements(problem, visualContext)
+            }));
+
+            if (heuristicSet) {
+                feedback.heuristic_scores = await this.scoreHeuristicSet(
+                    agent, heuristicSet, feedback.heuristic_scores, [...messages, { role: 'assistant', content: response }], chatParams
+                );
+            }
 
             return {
                 agentId: agent.id,
@@ -91,19 +237,52 @@ class DesignFeedbackService {
         }
     }
 
+    /**
+     * Accessibility audit of the artifact's Figma node, as a reviewer result
+     * next to the agents'. null for artifacts without Figma structure.
+     */
+    static runAccessibilityAudit(designArtifact) {
+        const node = designArtifact.image_metadata?.figma_data;
+        if (!node || !Array.isArray(node.children)) return null;
+
+        try {
+            const findings = auditFigmaNode(node);
+            return {
+                agentId: MACHINE_REVIEWER.id,
+                agentName: MACHINE_REVIEWER.name,
+                reviewer: 'machine',
+                feedback: {
+                    summary: `${findings.length} automated accessibility findings`,
+                    positives: [],
+                    problems: findings.map(findingToProblem),
+                    confidence: 1
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Accessibility audit error:', error);
+            return null;
+        }
+    }
+
     /**
      * Build system prompt for design feedback
      */
-    static buildFeedbackSystemPrompt(agent) {
+    static buildFeedbackSystemPrompt(agent, heuristicSet = null) {
         const basePersona = agent.master_system_prompt || agent.prompt || '';
         
         return `${basePersona}
 
 You are now reviewing a design artifact. Provide structured, concrete feedback based on your persona and expertise.
+When a screenshot is attached, look at it: judge what is actually on screen, not what the name suggests.
 
 FEEDBACK REQUIREMENTS:
 - Be specific and cite exact elements (copy, control labels, visual elements)
-- Reference Nielsen's 10 Usability Heuristics where applicable
+- Point at the elements each problem is about, using ids from the ELEMENTS list; for something not in the list, give id null and its bbox in frame pixels as seen in the screenshot
+${heuristicSet
+        ? `- Reference the items of the HEURISTIC SET where applicable
+- Score EVERY item of the HEURISTIC SET: pass, fail, or na when it does not apply to this screen, with a one-line note`
+        : '- Reference Nielsen\'s 10 Usability Heuristics where applicable'}
 - Provide concrete evidence for each issue
 - Suggest specific fixes, not generic advice
 - Rate severity: low, medium, high, critical
@@ -118,11 +297,13 @@ OUTPUT FORMAT (JSON only):
       "issue": "Specific problem description",
       "evidence": "Exact copy or element reference",
       "severity": "low|medium|high|critical",
-      "heuristic": "Nielsen heuristic name",
-      "fix": "Specific suggested improvement"
+      "heuristic": "${heuristicSet ? 'Heuristic name from the set' : 'Nielsen heuristic name'}",
+      "fix": "Specific suggested improvement",
+      "elements": [{ "id": "element id or null", "bbox": { "x": 0, "y": 0, "width": 0, "height": 0 } }]
     }
   ],
-  "confidence": 0.0-1.0,
+${heuristicSet ? `  "heuristic_scores": [{ "code": "item code", "result": "pass|fail|na", "note": "why" }],
+` : ''}  "confidence": 0.0-1.0,
   "user_intent_understanding": "How well does this design match user needs?",
   "accessibility_concerns": ["specific accessibility issue 1", "specific accessibility issue 2"],
   "mobile_considerations": ["mobile-specific issue 1", "mobile-specific issue 2"]
@@ -134,18 +315,25 @@ Be concrete, non-generic, and cite exact elements.`;
     /**
      * Build user prompt with design artifact details
      */
-    static buildFeedbackUserPrompt(designArtifact, taskContext) {
+    static buildFeedbackUserPrompt(designArtifact, taskContext, visualContext = null, heuristicSet = null) {
+        const elements = visualContext?.elements || [];
+        const frame = visualContext?.frame;
+
         return `DESIGN ARTIFACT:
 Name: ${designArtifact.name}
 Description: ${designArtifact.description || 'No description provided'}
 
 ${designArtifact.figma_url ? `Figma URL: ${designArtifact.figma_url}` : ''}
-${designArtifact.image_url ? `Image URL: ${designArtifact.image_url}` : ''}
+${visualContext?.image ? 'The rendered frame is attached as an image.' : (designArtifact.image_url ? `Image URL: ${designArtifact.image_url}` : '')}
+${frame ? `Frame size: ${frame.width}x${frame.height}px (x, y from the top-left corner)` : ''}
+
+ELEMENTS (id | type | name | text | x,y,width,height):
+${elements.length > 0 ? this.formatElements(elements) : 'No element structure available; give bbox estimates from the screenshot.'}
 
 TASK CONTEXT:
 ${JSON.stringify(taskContext, null, 2)}
 
-NIELSEN'S 10 USABILITY HEURISTICS:
+${heuristicSet ? this.formatHeuristicSet(heuristicSet) : `NIELSEN'S 10 USABILITY HEURISTICS:
 1. Visibility of System Status
 2. Match Between System and Real World
 3. User Control and Freedom
@@ -155,11 +343,159 @@ NIELSEN'S 10 USABILITY HEURISTICS:
 7. Flexibility and Efficiency of Use
 8. Aesthetic and Minimalist Design
 9. Help Users Recognize, Diagnose, and Recover from Errors
-10. Help and Documentation
+10. Help and Documentation`}
 
 Provide your feedback as JSON only.`;
     }
 
+    /**
+     * User message content: the prompt text plus the frame image when there is one
+     */
+    static buildFeedbackUserContent(designArtifact, taskContext, visualContext = null, heuristicSet = null) {
+        const text = this.buildFeedbackUserPrompt(designArtifact, taskContext, visualContext, heuristicSet);
+        if (!visualContext?.image) return text;
+
+        return [
+            { type: 'text', text },
+            { type: 'image_url', image_url: { url: visualContext.image.url, detail: 'high' } }
+        ];
+    }
+
+    /**
+     * The run's heuristic set as a code | name | description list
+     */
+    static formatHeuristicSet(heuristicSet) {
+        const lines = (heuristicSet.items || []).map(item =>
+            `${item.code} | ${item.name}${item.description ? ` | ${item.description}` : ''}`
+        );
+        return `HEURISTIC SET: ${heuristicSet.name} (v${heuristicSet.version})
+Score every item below (code | name | description):
+${lines.join('\n')}`;
+    }
+
+    /**
+     * Match an agent's verdicts to the set's items, in set order. Items the
+     * agent skipped, or scored with anything but pass / fail / na, get result null.
+     */
+    static normalizeHeuristicScores(scores, heuristicSet) {
+        const byKey = new Map();
+        (Array.isArray(scores) ? scores : []).forEach(score => {
+            if (!score || typeof score !== 'object') return;
+            [score.code, score.name].filter(Boolean).forEach(key => {
+                const normalized = String(key).trim().toLowerCase();
+                if (!byKey.has(normalized)) byKey.set(normalized, score);
+            });
+        });
+
+        return (heuristicSet.items || []).map(item => {
+            const score = byKey.get(item.code.toLowerCase()) || byKey.get(item.name.toLowerCase());
+            let result = String(score?.result || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+            if (result === 'notapplicable') result = 'na';
+            return {
+                code: item.code,
+                name: item.name,
+                result: HEURISTIC_RESULTS.includes(result) ? result : null,
+                note: typeof score?.note === 'string' ? score.note : null
+            };
+        });
+    }
+
+    /**
+     * Verdicts for every item of the set; items the first reply skipped are
+     * asked for once more in the same conversation
+     */
+    static async scoreHeuristicSet(agent, heuristicSet, scores, conversation, chatParams) {
+        let normalized = this.normalizeHeuristicScores(scores, heuristicSet);
+        const missing = normalized.filter(score => !score.result);
+        if (missing.length === 0) return normalized;
+
+        try {
+            const followUp = await providerGateway.chat([
+                ...conversation,
+                {
+                    role: 'user',
+                    content: `You did not score these items of the heuristic set: ${missing.map(score => score.code).join(', ')}.
+Score each of them as pass, fail or na. Reply with JSON only: {"heuristic_scores": [{ "code": "item code", "result": "pass|fail|na", "note": "why" }]}`
+                }
+            ], chatParams);
+            const parsed = this.parseFeedbackResponse(followUp, agent.id);
+            const retried = new Map(
+                this.normalizeHeuristicScores(parsed.heuristic_scores, heuristicSet).map(score => [score.code, score])
+            );
+            normalized = normalized.map(score => (score.result ? score : retried.get(score.code)));
+        } catch (error) {
+            console.error(`Agent ${agent.id} heuristic scoring follow-up failed:`, error);
+        }
+        return normalized;
+    }
+
+    /**
+     * One line per element, capped so large frames don't crowd out the image
+     */
+    static formatElements(elements) {
+        const lines = elements.slice(0, MAX_PROMPT_ELEMENTS).map(element => {
+            const box = element.bounds
+                ? `${Math.round(element.bounds.x)},${Math.round(element.bounds.y)},${Math.round(element.bounds.width)},${Math.round(element.bounds.height)}`
+                : '-';
+            const text = element.text ? `"${element.text.replace(/\s+/g, ' ').slice(0, 80)}"` : '-';
+            return `${element.id} | ${element.type} | ${element.name} | ${text} | ${box}`;
+        });
+        if (elements.length > MAX_PROMPT_ELEMENTS) {
+            lines.push(`... ${elements.length - MAX_PROMPT_ELEMENTS} more elements not listed`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * { x, y, width, height } with positive size, clamped to the frame when known
+     */
+    static normalizeBox(box, frame = null) {
+        if (!box || typeof box !== 'object') return null;
+        let x = Number(box.x);
+        let y = Number(box.y);
+        let width = Number(box.width);
+        let height = Number(box.height);
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return null;
+
+        if (frame) {
+            x = Math.min(Math.max(x, 0), frame.width);
+            y = Math.min(Math.max(y, 0), frame.height);
+            width = Math.min(width, frame.width - x);
+            height = Math.min(height, frame.height - y);
+            if (width <= 0 || height <= 0) return null;
+        }
+        return { x, y, width, height };
+    }
+
+    /**
+     * Elements a problem points at. Known ids take their box from the node
+     * mapping; boxes the model read off the image are kept as 'vision'.
+     */
+    static groundProblemElements(problem, visualContext) {
+        const raw = Array.isArray(problem.elements) ? problem.elements : [];
+        const elementsById = visualContext?.elementsById || new Map();
+        const frame = visualContext?.frame || null;
+        const seen = new Set();
+
+        return raw.map(element => {
+            const known = element?.id !== undefined && element?.id !== null ? elementsById.get(String(element.id)) : null;
+            const bbox = known?.bounds || this.normalizeBox(element?.bbox, frame);
+            if (!bbox) return null;
+
+            const key = known ? known.id : `${bbox.x},${bbox.y},${bbox.width},${bbox.height}`;
+            if (seen.has(key)) return null;
+            seen.add(key);
+
+            return {
+                id: known ? known.id : null,
+                name: known?.name || element.name || null,
+                type: known?.type || null,
+                bbox,
+                source: known ? 'node_mapping' : 'vision'
+            };
+        }).filter(Boolean).slice(0, MAX_PROBLEM_ELEMENTS);
+    }
+
     /**
      * Parse feedback response from agent
      */
@@ -210,8 +546,13 @@ Provide your feedback as JSON only.`;
     /**
      * Aggregate feedback from multiple agents
      */
-    static aggregateFeedback(feedbackResults, designArtifact) {
+    static aggregateFeedback(feedbackResults, designArtifact, heuristicSet = null) {
         const validFeedback = feedbackResults.filter(r => !r.error);
+        const agentFeedback = validFeedback.filter(r => r.reviewer !== 'machine');
+        const machineFeedback = validFeedback.find(r => r.reviewer === 'machine');
+        const heuristicSummary = heuristicSet
+            ? { id: heuristicSet.id, slug: heuristicSet.slug, version: heuristicSet.version, name: heuristicSet.name }
+            : null;
         
         if (validFeedback.length === 0) {
             return {
@@ -219,6 +560,8 @@ Provide your feedback as JSON only.`;
                 criticalIssues: [],
                 disagreements: [],
                 consensus: [],
+                heuristicSet: heuristicSummary,
+                heuristicScorecard: [],
                 agentFeedback: feedbackResults
             };
         }
@@ -242,6 +585,7 @@ Provide your feedback as JSON only.`;
                 issue: group.consensusIssue,
                 severity: 'critical',
                 evidence: group.evidence,
+                elements: group.elements,
                 agents: group.problems.map(p => ({
                     agentId: p.agentId,
                     agentName: p.agentName,
@@ -271,18 +615,22 @@ Provide your feedback as JSON only.`;
                 issue: group.consensusIssue,
                 consensus: group.consensus,
                 evidence: group.evidence,
+                elements: group.elements,
                 suggestedFixes: [...new Set(group.problems.map(p => p.fix))]
             }));
 
         return {
-            summary: this.generateSummary(validFeedback, criticalIssues, disagreements),
+            summary: this.generateSummary(agentFeedback, criticalIssues, disagreements, machineFeedback),
             criticalIssues,
             disagreements,
             consensus,
+            heuristicSet: heuristicSummary,
+            heuristicScorecard: heuristicSet ? this.buildHeuristicScorecard(agentFeedback, heuristicSet) : [],
             agentFeedback: feedbackResults,
             statistics: {
-                totalAgents: feedbackResults.length,
-                validResponses: validFeedback.length,
+                totalAgents: feedbackResults.filter(r => r.reviewer !== 'machine').length,
+                validResponses: agentFeedback.length,
+                machineFindings: machineFeedback ? machineFeedback.feedback.problems.length : 0,
                 totalProblems: allProblems.length,
                 criticalCount: criticalIssues.length,
                 disagreementCount: disagreements.length
@@ -291,7 +639,48 @@ Provide your feedback as JSON only.`;
     }
 
     /**
-     * Group similar problems by content similarity
+     * Per item of the set: pass / fail / na counts and each agent's verdict
+     */
+    static buildHeuristicScorecard(validFeedback, heuristicSet) {
+        return (heuristicSet.items || []).map(item => {
+            const verdicts = validFeedback.map(r => {
+                const score = (r.feedback.heuristic_scores || []).find(s => s.code === item.code);
+                return {
+                    agentId: r.agentId,
+                    agentName: r.agentName,
+                    result: score?.result || null,
+                    note: score?.note || null
+                };
+            });
+            const count = (result) => verdicts.filter(v => v.result === result).length;
+            return {
+                code: item.code,
+                name: item.name,
+                category: item.category,
+                pass: count('pass'),
+                fail: count('fail'),
+                na: count('na'),
+                unscored: count(null),
+                verdicts
+            };
+        });
+    }
+
+    /**
+     * Identity of a machine finding: its rule (or the principle it maps to,
+     * for stored findings) and the elements it was measured on. Null for
+     * agent problems.
+     */
+    static machineFindingKey(problem) {
+        if (problem.agentId !== MACHINE_REVIEWER.id) return null;
+        const elementIds = (problem.elements || []).map(element => element.id).sort();
+        return `${problem.rule || problem.heuristic}|${elementIds.join(',')}`;
+    }
+
+    /**
+     * Group similar problems by content similarity. Machine findings share a
+     * templated wording across elements, so they only group with the same
+     * rule on the same elements and never with agent problems.
      */
     static groupSimilarProblems(problems) {
         const groups = [];
@@ -304,6 +693,7 @@ Provide your feedback as JSON only.`;
                 problems: [problem],
                 consensusIssue: problem.issue,
                 evidence: [problem.evidence],
+                elements: [...(problem.elements || [])],
                 consensus: 1.0,
                 disagreementLevel: 0.0
             };
@@ -312,10 +702,19 @@ Provide your feedback as JSON only.`;
             problems.forEach((otherProblem, otherIndex) => {
                 if (otherIndex <= index || processed.has(otherIndex)) return;
 
-                const similarity = this.calculateSimilarity(problem.issue, otherProblem.issue);
-                if (similarity > 0.6) {
+                const machineKey = this.machineFindingKey(problem);
+                const otherMachineKey = this.machineFindingKey(otherProblem);
+                const similar = machineKey || otherMachineKey
+                    ? machineKey === otherMachineKey
+                    : this.calculateSimilarity(problem.issue, otherProblem.issue) > 0.6;
+                if (similar) {
                     group.problems.push(otherProblem);
                     group.evidence.push(otherProblem.evidence);
+                    (otherProblem.elements || []).forEach(element => {
+                        if (!element.id || !group.elements.some(existing => existing.id === element.id)) {
+                            group.elements.push(element);
+                        }
+                    });
                     processed.add(otherIndex);
                 }
             });
@@ -370,7 +769,7 @@ Provide your feedback as JSON only.`;
     /**
      * Generate summary of feedback
      */
-    static generateSummary(validFeedback, criticalIssues, disagreements) {
+    static generateSummary(validFeedback, criticalIssues, disagreements, machineFeedback = null) {
         const agentNames = validFeedback.map(f => f.agentName).join(', ');
         
         let summary = `Design feedback from ${validFeedback.length} agents (${agentNames}): `;
@@ -385,6 +784,10 @@ Provide your feedback as JSON only.`;
         
         const consensusCount = validFeedback.filter(f => f.feedback.confidence > 0.7).length;
         summary += `${consensusCount} agents expressed high confidence in their feedback.`;
+
+        if (machineFeedback) {
+            summary += ` Automated accessibility audit: ${machineFeedback.feedback.problems.length} findings.`;
+        }
         
         return summary;
     }
@@ -409,37 +812,155 @@ Provide your feedback as JSON only.`;
     }
 
     /**
-     * Save feedback results to database
+     * Record the run so its items can be compared with runs on other versions
+     * of the screen. Like the items themselves this is best effort.
      */
-    static async saveFeedbackResults(designArtifactId, feedbackResults, aggregatedFeedback) {
+    static async recordRun(designArtifact, agentIds, aggregatedFeedback, heuristicSet = null, createdBy = null) {
+        try {
+            return await DesignFeedbackRunStore.create({
+                designArtifact,
+                agentIds,
+                aggregatedFeedback,
+                heuristicSet,
+                createdBy
+            });
+        } catch (error) {
+            console.error('Failed to record feedback run:', error);
+            return null;
+        }
+    }
+
+    static highestSeverity(problems) {
+        return problems
+            .map(p => (SEVERITIES.includes(p.severity) ? p.severity : 'medium'))
+            .reduce((highest, severity) =>
+                (highest === null || SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(highest) ? severity : highest), null);
+    }
+
+    /**
+     * Compare the problems of two runs with the same similarity grouping used
+     * for aggregation: groups with problems from both runs persist, groups with
+     * only earlier problems were resolved and groups with only later ones are new
+     */
+    static compareRuns(previousProblems, currentProblems) {
+        const tagged = [
+            ...previousProblems.map(p => ({ ...p, run: 'previous' })),
+            ...currentProblems.map(p => ({ ...p, run: 'current' }))
+        ];
+        const comparison = { resolved: [], persisting: [], new: [] };
+
+        this.groupSimilarProblems(tagged).forEach(group => {
+            const before = group.problems.filter(p => p.run === 'previous');
+            const after = group.problems.filter(p => p.run === 'current');
+            const previousSeverity = this.highestSeverity(before);
+            const currentSeverity = this.highestSeverity(after);
+            const entry = {
+                issue: group.consensusIssue,
+                heuristic: (after[0] || before[0]).heuristic || null,
+                previousSeverity,
+                currentSeverity,
+                elements: group.elements,
+                agents: [...new Set(group.problems.map(p => p.agentName).filter(Boolean))]
+            };
+
+            if (before.length > 0 && after.length > 0) {
+                const change = SEVERITIES.indexOf(currentSeverity) - SEVERITIES.indexOf(previousSeverity);
+                comparison.persisting.push({ ...entry, severityChange: change > 0 ? 'worse' : change < 0 ? 'better' : 'same' });
+            } else if (before.length > 0) {
+                comparison.resolved.push(entry);
+            } else {
+                comparison.new.push(entry);
+            }
+        });
+
+        comparison.counts = {
+            resolved: comparison.resolved.length,
+            persisting: comparison.persisting.length,
+            new: comparison.new.length
+        };
+        return comparison;
+    }
+
+    /**
+     * Latest run on each of the two most recent versions that have runs
+     * @param {Array} runs - Runs on one screen, oldest first
+     * @returns {{previous, current}|null}
+     */
+    static pickComparisonRuns(runs) {
+        const latestByVersion = new Map();
+        runs.forEach(run => latestByVersion.set(run.screen_version, run));
+        const versions = [...latestByVersion.keys()].sort((a, b) => a - b);
+        if (versions.length < 2) return null;
+        return {
+            previous: latestByVersion.get(versions[versions.length - 2]),
+            current: latestByVersion.get(versions[versions.length - 1])
+        };
+    }
+
+    /**
+     * Severity counts per run for the screen's trend chart
+     */
+    static buildSeverityTrend(runs) {
+        return runs.map(run => {
+            const counts = run.severity_counts || {};
+            return {
+                run_id: run.id,
+                artifact_id: run.design_artifact_id,
+                screen_version: run.screen_version,
+                created_at: run.created_at,
+                ...Object.fromEntries(SEVERITIES.map(severity => [severity, counts[severity] || 0])),
+                total: SEVERITIES.reduce((sum, severity) => sum + (counts[severity] || 0), 0)
+            };
+        });
+    }
+
+    /**
+     * Save feedback results to database: one feedback_items row per problem,
+     * with the elements it points at in evidence_elements
+     */
+    static async saveFeedbackResults(designArtifactId, feedbackResults, aggregatedFeedback, taskContext = {}, heuristicSet = null, runId = null) {
         try {
-            // Save individual agent feedback
             for (const result of feedbackResults) {
                 if (result.error) continue;
 
-                const feedbackId = uuidv4();
-                await pool.query(
-                    `INSERT INTO feedback_items (
-                        id, design_artifact_id, agent_id, session_id,
-                        critique_text, severity, heuristic_principle,
-                        heuristic_justification, evidence_elements,
-                        suggested_fix, task_context, user_intent
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-                    [
-                        feedbackId,
-                        designArtifactId,
-                        result.agentId,
-                        null, // session_id
-                        JSON.stringify(result.feedback),
-                        'medium', // default severity
-                        'Multi-agent Feedback',
-                        'Structured feedback from transcript-grounded agent',
-                        result.feedback.problems?.map(p => p.evidence) || [],
-                        result.feedback.problems?.map(p => p.fix).join('; ') || '',
-                        'Design Review Task',
-                        result.feedback.user_intent_understanding || 'Not specified'
-                    ]
-                );
+                for (const problem of result.feedback.problems || []) {
+                    await pool.query(
+                        `INSERT INTO feedback_items (
+                            design_artifact_id, agent_id, session_id,
+                            critique_text, severity, heuristic_principle,
+                            heuristic_justification, evidence_elements,
+                            suggested_fix, task_context, user_intent, run_id
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                        [
+                            designArtifactId,
+                            result.reviewer === 'machine' ? null : result.agentId,
+                            null, // session_id
+                            problem.issue || 'Unspecified problem',
+                            SEVERITIES.includes(problem.severity) ? problem.severity : 'medium',
+                            (problem.heuristic || 'Unspecified').slice(0, 100),
+                            problem.evidence || 'No evidence cited',
+                            JSON.stringify((problem.elements || []).map(element => ({
+                                ...element,
+                                evidence: problem.evidence || null
+                            }))),
+                            problem.fix || '',
+                            taskContext.task || 'Design Review Task',
+                            result.feedback.user_intent_understanding || 'Not specified',
+                            runId
+                        ]
+                    );
+                }
+
+                if (!heuristicSet) continue;
+                for (const score of result.feedback.heuristic_scores || []) {
+                    if (!score.result) continue;
+                    await pool.query(
+                        `INSERT INTO heuristic_evaluations (
+                            design_artifact_id, heuristic_set_id, agent_id, item_code, result, note, run_id
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                        [designArtifactId, heuristicSet.id, result.agentId, score.code, score.result, score.note, runId]
+                    );
+                }
             }
 
             console.log('Feedback results saved to database');
@@ -450,3 +971,5 @@ Provide your feedback as JSON only.`;
 }
 
 module.exports = DesignFeedbackService;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.HEURISTIC_RESULTS = HEURISTIC_RESULTS;
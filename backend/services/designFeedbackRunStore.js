@@ -0,0 +1,98 @@
+/**
+ * Design Feedback Run Store - Postgres persistence for feedback runs
+ * Each multi-agent run is recorded against the artifact and its screen, with
+ * severity counts for trends; feedback_items point back at the run.
+ */
+
+const { pool } = require('../models/database');
+const { MACHINE_REVIEWER } = require('./accessibilityAudit');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const RUN_COLUMNS = `r.id, r.design_artifact_id, r.screen_id, r.screen_version, r.heuristic_set_id,
+    r.agent_ids, r.summary, r.statistics, r.severity_counts, r.created_by, r.created_at`;
+
+/**
+ * { critical, high, medium, low } over every problem of every reviewer
+ */
+function countSeverities(feedbackResults) {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    feedbackResults
+        .filter(result => !result.error)
+        .forEach(result => (result.feedback.problems || []).forEach(problem => {
+            counts[SEVERITIES.includes(problem.severity) ? problem.severity : 'medium'] += 1;
+        }));
+    return counts;
+}
+
+class DesignFeedbackRunStore {
+    /**
+     * @param {Object} run - { designArtifact, agentIds, aggregatedFeedback, heuristicSet, createdBy }
+     */
+    static async create({ designArtifact, agentIds = [], aggregatedFeedback, heuristicSet = null, createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO design_feedback_runs (
+                design_artifact_id, screen_id, screen_version, heuristic_set_id,
+                agent_ids, summary, statistics, severity_counts, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, design_artifact_id, screen_id, screen_version, severity_counts, created_at
+        `, [
+            designArtifact.id,
+            designArtifact.screen_id || designArtifact.id,
+            designArtifact.screen_version || 1,
+            heuristicSet?.id || null,
+            JSON.stringify(agentIds),
+            aggregatedFeedback.summary || null,
+            JSON.stringify(aggregatedFeedback.statistics || {}),
+            JSON.stringify(countSeverities(aggregatedFeedback.agentFeedback || [])),
+            createdBy ? String(createdBy) : null
+        ]);
+        return result.rows[0];
+    }
+
+    static async get(runId) {
+        const result = await pool.query(`SELECT ${RUN_COLUMNS} FROM design_feedback_runs r WHERE r.id = $1`, [runId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Runs on every version of a screen, oldest first
+     */
+    static async listForScreen(screenId) {
+        const result = await pool.query(`
+            SELECT ${RUN_COLUMNS}, a.name AS artifact_name
+            FROM design_feedback_runs r
+            JOIN design_artifacts a ON a.id = r.design_artifact_id
+            WHERE r.screen_id = $1
+            ORDER BY r.created_at ASC
+        `, [screenId]);
+        return result.rows;
+    }
+
+    /**
+     * Problems raised in a run, in the shape DesignFeedbackService groups
+     */
+    static async getProblems(runId) {
+        const result = await pool.query(`
+            SELECT fi.critique_text, fi.severity, fi.heuristic_principle, fi.evidence_elements,
+                   fi.suggested_fix, fi.agent_id, a.name AS agent_name
+            FROM feedback_items fi
+            LEFT JOIN agents a ON a.id = fi.agent_id
+            WHERE fi.run_id = $1
+            ORDER BY fi.created_at ASC
+        `, [runId]);
+        return result.rows.map(row => ({
+            issue: row.critique_text,
+            severity: row.severity,
+            heuristic: row.heuristic_principle,
+            fix: row.suggested_fix,
+            elements: row.evidence_elements || [],
+            // Machine findings are stored without an agent
+            agentId: row.agent_id || MACHINE_REVIEWER.id,
+            agentName: row.agent_name || (row.agent_id ? null : MACHINE_REVIEWER.name)
+        }));
+    }
+}
+
+module.exports = DesignFeedbackRunStore;
+module.exports.countSeverities = countSeverities;
@@ -0,0 +1,129 @@
+/**
+ * Design Token Store - Postgres persistence for per-product design tokens
+ * Each extraction from Figma that changes a product's tokens becomes a new
+ * version; re-extracting an unchanged file keeps the current version.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { countTokens } = require('./designTokens');
+
+const TOKEN_SET_COLUMNS = 'id, product_id, version, file_key, modes, tokens, refs, token_count, created_by, created_at';
+const SUMMARY_COLUMNS = 'id, product_id, version, file_key, modes, token_count, created_by, created_at';
+
+function parseVersion(version) {
+    const parsed = Number(version);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new AppError('version must be a positive integer', ERROR_TYPES.VALIDATION, 400);
+    }
+    return parsed;
+}
+
+// JSON round trip drops undefined fields, as storing in JSONB does
+const asStored = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Same tokens and modes; ids of styles / variables alone don't make a new version.
+// JSONB does not keep key order, so compare structurally rather than as strings.
+function sameTokens(tokenSet, extracted) {
+    return isDeepStrictEqual(asStored(tokenSet.tokens), asStored(extracted.tokens))
+        && isDeepStrictEqual(asStored(tokenSet.modes), asStored(extracted.modes));
+}
+
+class DesignTokenStore {
+    /**
+     * Store an extraction as the product's next version
+     * @param {string} productId
+     * @param {Object} extracted - { tokens, modes, refs } from designTokens.extractTokens
+     * @returns {Promise<{tokenSet, created: boolean}|null>} null when the product does not exist
+     */
+    static async createVersion(productId, extracted, { fileKey = null, createdBy = null } = {}) {
+        if (countTokens(extracted.tokens) === 0) {
+            throw new AppError('No named styles or variables found in the Figma file', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Serialises extractions for the product so versions don't collide
+            const product = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+            if (product.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const latest = await client.query(
+                `SELECT ${TOKEN_SET_COLUMNS} FROM design_token_sets WHERE product_id = $1 ORDER BY version DESC LIMIT 1`,
+                [productId]
+            );
+            const current = latest.rows[0];
+            if (current && sameTokens(current, extracted)) {
+                await client.query('COMMIT');
+                return { tokenSet: current, created: false };
+            }
+
+            const result = await client.query(`
+                INSERT INTO design_token_sets (product_id, version, file_key, modes, tokens, refs, token_count, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING ${TOKEN_SET_COLUMNS}
+            `, [
+                productId,
+                (current?.version || 0) + 1,
+                fileKey,
+                JSON.stringify(extracted.modes),
+                JSON.stringify(extracted.tokens),
+                JSON.stringify(extracted.refs || {}),
+                countTokens(extracted.tokens),
+                createdBy ? String(createdBy) : null
+            ]);
+
+            await client.query('COMMIT');
+            return { tokenSet: result.rows[0], created: true };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async latest(productId) {
+        const result = await pool.query(
+            `SELECT ${TOKEN_SET_COLUMNS} FROM design_token_sets WHERE product_id = $1 ORDER BY version DESC LIMIT 1`,
+            [productId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async get(productId, version) {
+        const result = await pool.query(
+            `SELECT ${TOKEN_SET_COLUMNS} FROM design_token_sets WHERE product_id = $1 AND version = $2`,
+            [productId, parseVersion(version)]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @param {string} productId
+     * @param {number|string} [version] - 'latest' or omitted for the newest version
+     */
+    static async resolve(productId, version) {
+        return version === undefined || version === null || version === 'latest'
+            ? this.latest(productId)
+            : this.get(productId, version);
+    }
+
+    /**
+     * Versions newest first, without the token bodies
+     */
+    static async list(productId) {
+        const result = await pool.query(
+            `SELECT ${SUMMARY_COLUMNS} FROM design_token_sets WHERE product_id = $1 ORDER BY version DESC`,
+            [productId]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = DesignTokenStore;
@@ -0,0 +1,413 @@
+/**
+ * Design Tokens
+ * Extracts tokens from a Figma file's named styles (fill, text, effect) and
+ * variable collections, including per-mode values such as light / dark.
+ * Token sets are stored per product (designTokenStore) and the exporters
+ * reference them as CSS custom properties instead of hardcoding values.
+ *
+ * Token set shape:
+ *   tokens: { color, spacing, typography, borderRadius, shadows } keyed by token name;
+ *           each token has { value, modes?, source, name }, typography tokens
+ *           hold { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } of { value }
+ *   modes:  mode names, default mode first
+ *   refs:   { styles: { styleId: path }, variables: { variableId: path } } where path is 'color.brand-primary'
+ */
+
+const CSS_PREFIXES = {
+    color: 'color',
+    spacing: 'spacing',
+    typography: 'typography',
+    borderRadius: 'border-radius',
+    shadows: 'shadow'
+};
+
+// Leading name segments that only repeat the category ("Color/Brand/Primary")
+const CATEGORY_ALIASES = {
+    color: ['color', 'colors', 'colour', 'colours'],
+    spacing: ['spacing', 'space', 'spaces', 'size', 'sizes'],
+    typography: ['typography', 'type', 'text', 'font', 'fonts'],
+    borderRadius: ['radius', 'radii', 'border-radius', 'corner', 'corners', 'rounded'],
+    shadows: ['shadow', 'shadows', 'effect', 'effects', 'elevation']
+};
+
+const TYPOGRAPHY_PROPERTIES = {
+    fontFamily: 'font-family',
+    fontSize: 'font-size',
+    fontWeight: 'font-weight',
+    lineHeight: 'line-height',
+    letterSpacing: 'letter-spacing'
+};
+
+const MAX_ALIAS_DEPTH = 10;
+
+const slug = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+const px = (value) => `${round(value)}px`;
+
+/**
+ * Token key for a Figma style / variable name ("Color/Brand/Primary" -> "brand-primary")
+ */
+const tokenKey = (category, name) => {
+    const segments = String(name || '').split('/').map(slug).filter(Boolean);
+    if (segments.length > 1 && CATEGORY_ALIASES[category].includes(segments[0])) segments.shift();
+    return segments.join('-') || 'token';
+};
+
+const cssVariable = (category, key) => `--${CSS_PREFIXES[category]}-${key}`;
+
+/**
+ * Colour with 0-255 channels to '#rrggbb' (opaque) or 'rgba(...)'
+ */
+const formatColor = (color) => {
+    const a = color.a ?? 1;
+    if (a >= 1) {
+        return `#${[color.r, color.g, color.b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+    return `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${round(a)})`;
+};
+
+// Figma paints and variables use 0-1 channels
+const fromFigmaColor = (color, opacity = 1) => ({
+    r: (color.r || 0) * 255,
+    g: (color.g || 0) * 255,
+    b: (color.b || 0) * 255,
+    a: (color.a === undefined ? 1 : color.a) * opacity
+});
+
+const parseColor = (value) => {
+    if (typeof value !== 'string') return null;
+    const hex = value.match(/^#([0-9a-f]{6})$/i);
+    if (hex) {
+        const n = parseInt(hex[1], 16);
+        return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255, a: 1 };
+    }
+    const rgba = value.match(/^rgba?\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\s*\)$/i);
+    if (rgba) {
+        return { r: Number(rgba[1]), g: Number(rgba[2]), b: Number(rgba[3]), a: rgba[4] === undefined ? 1 : Number(rgba[4]) };
+    }
+    return null;
+};
+
+// Colours that render the same compare equal whatever their source format
+const colorKey = (color) => color && [color.r, color.g, color.b].map(Math.round).concat(round(color.a ?? 1)).join(',');
+
+const shadowValue = (effects) => (effects || [])
+    .filter(effect => effect.visible !== false && ['DROP_SHADOW', 'INNER_SHADOW'].includes(effect.type))
+    .map(effect => [
+        effect.type === 'INNER_SHADOW' ? 'inset' : null,
+        px(effect.offset?.x),
+        px(effect.offset?.y),
+        px(effect.radius),
+        px(effect.spread),
+        formatColor(fromFigmaColor(effect.color || {}))
+    ].filter(Boolean).join(' '))
+    .join(', ');
+
+const typographyValue = (style) => {
+    const typography = {};
+    if (style.fontFamily) typography.fontFamily = { value: style.fontFamily };
+    if (style.fontSize) typography.fontSize = { value: px(style.fontSize) };
+    if (style.fontWeight) typography.fontWeight = { value: style.fontWeight };
+    if (style.lineHeightPx) typography.lineHeight = { value: px(style.lineHeightPx) };
+    if (style.letterSpacing) typography.letterSpacing = { value: px(style.letterSpacing) };
+    return typography;
+};
+
+const emptyTokens = () => ({ color: {}, spacing: {}, typography: {}, borderRadius: {}, shadows: {} });
+
+/**
+ * Named styles used in the file, valued from the first node that applies them
+ */
+const extractStyleTokens = (file, tokens, refs) => {
+    const styles = file?.styles || {};
+    const pending = new Set(Object.keys(styles));
+    if (pending.size === 0) return;
+
+    const add = (styleId, category, token) => {
+        const key = tokenKey(category, styles[styleId].name);
+        tokens[category][key] = { ...token, source: 'style', name: styles[styleId].name };
+        refs.styles[styleId] = `${category}.${key}`;
+        pending.delete(styleId);
+    };
+
+    const visit = (node) => {
+        if (pending.size === 0) return;
+        Object.entries(node.styles || {}).forEach(([kind, styleId]) => {
+            if (!pending.has(styleId)) return;
+            const { styleType } = styles[styleId];
+
+            if (styleType === 'FILL') {
+                const paint = (kind === 'stroke' ? node.strokes : node.fills || [])
+                    ?.find(p => p.type === 'SOLID' && p.visible !== false && p.color);
+                if (paint) add(styleId, 'color', { value: formatColor(fromFigmaColor(paint.color, paint.opacity ?? 1)) });
+            } else if (styleType === 'TEXT' && node.style) {
+                add(styleId, 'typography', typographyValue(node.style));
+            } else if (styleType === 'EFFECT') {
+                const value = shadowValue(node.effects);
+                if (value) add(styleId, 'shadows', { value });
+            }
+        });
+        (node.children || []).forEach(visit);
+    };
+    visit(file.document || file);
+};
+
+/**
+ * Category for a number variable, from its scopes or else its name
+ */
+const floatCategory = (variable) => {
+    const scopes = variable.scopes || [];
+    const name = String(variable.name || '').toLowerCase();
+    if (scopes.includes('CORNER_RADIUS') || /radius|radii|corner|rounded/.test(name)) return 'borderRadius';
+    if (scopes.some(scope => scope.startsWith('FONT_') || scope === 'LINE_HEIGHT' || scope === 'LETTER_SPACING')) return null;
+    if (scopes.includes('GAP') || scopes.includes('WIDTH_HEIGHT') || /spac|gap|padding|margin|inset/.test(name)) return 'spacing';
+    return null;
+};
+
+const variableCategory = (variable) => {
+    if (variable.resolvedType === 'COLOR') return 'color';
+    if (variable.resolvedType === 'FLOAT') return floatCategory(variable);
+    return null;
+};
+
+/**
+ * Variables from /v1/files/:key/variables/local with a value per mode;
+ * aliases are followed to the value the target holds in the same mode
+ */
+const extractVariableTokens = (variablesResponse, tokens, refs, modeNames) => {
+    const { variables = {}, variableCollections = {} } = variablesResponse?.meta || {};
+
+    const modeName = {};
+    Object.values(variableCollections).forEach(collection => {
+        const modes = collection.modes || [];
+        const ordered = [
+            ...modes.filter(mode => mode.modeId === collection.defaultModeId),
+            ...modes.filter(mode => mode.modeId !== collection.defaultModeId)
+        ];
+        ordered.forEach(mode => {
+            modeName[mode.modeId] = slug(mode.name) || 'default';
+            if (!modeNames.includes(modeName[mode.modeId])) modeNames.push(modeName[mode.modeId]);
+        });
+    });
+
+    const resolve = (variable, modeId, depth = 0) => {
+        const collection = variableCollections[variable.variableCollectionId] || {};
+        const values = variable.valuesByMode || {};
+        // An alias into another collection carries the mode name across, else that collection's default
+        const targetMode = values[modeId] !== undefined
+            ? modeId
+            : Object.keys(values).find(id => modeName[id] === modeName[modeId]) || collection.defaultModeId;
+        const value = values[targetMode];
+        if (value && value.type === 'VARIABLE_ALIAS') {
+            const target = variables[value.id];
+            return target && depth < MAX_ALIAS_DEPTH ? resolve(target, modeId, depth + 1) : undefined;
+        }
+        return value;
+    };
+
+    Object.entries(variables).forEach(([variableId, variable]) => {
+        const category = variableCategory(variable);
+        const collection = variableCollections[variable.variableCollectionId];
+        if (!category || !collection) return;
+
+        const format = (value) => {
+            if (value === undefined || value === null) return undefined;
+            return category === 'color' ? formatColor(fromFigmaColor(value)) : px(value);
+        };
+        const modes = {};
+        (collection.modes || []).forEach(mode => {
+            const value = format(resolve(variable, mode.modeId));
+            if (value !== undefined) modes[modeName[mode.modeId]] = value;
+        });
+        const value = modes[modeName[collection.defaultModeId]] ?? Object.values(modes)[0];
+        if (value === undefined) return;
+
+        const key = tokenKey(category, variable.name);
+        const token = { value, source: 'variable', name: variable.name, collection: collection.name };
+        if (Object.keys(modes).length > 1) token.modes = modes;
+        const alias = (variable.valuesByMode || {})[collection.defaultModeId];
+        if (alias?.type === 'VARIABLE_ALIAS' && variables[alias.id]) {
+            token.aliasOf = `${category}.${tokenKey(category, variables[alias.id].name)}`;
+        }
+        tokens[category][key] = token;
+        refs.variables[variableId] = `${category}.${key}`;
+    });
+};
+
+/**
+ * @param {Object} file - Figma file response (GET /v1/files/:key)
+ * @param {Object|null} variablesResponse - GET /v1/files/:key/variables/local, null when unavailable
+ * @returns {{tokens: Object, modes: Array<string>, refs: Object}}
+ */
+const extractTokens = (file, variablesResponse = null) => {
+    const tokens = emptyTokens();
+    const refs = { styles: {}, variables: {} };
+    const modes = [];
+
+    extractStyleTokens(file, tokens, refs);
+    // Variables win over a style of the same name
+    extractVariableTokens(variablesResponse, tokens, refs, modes);
+
+    return { tokens, modes: modes.length > 0 ? modes : ['default'], refs };
+};
+
+const countTokens = (tokens) => Object.values(tokens || {})
+    .reduce((count, group) => count + Object.keys(group || {}).length, 0);
+
+const typographyDeclarations = (key, token) => Object.entries(TYPOGRAPHY_PROPERTIES)
+    .filter(([property]) => token[property]?.value !== undefined)
+    .map(([property, suffix]) => {
+        const value = token[property].value;
+        return [`${cssVariable('typography', key)}-${suffix}`, property === 'fontFamily' ? `"${value}"` : value, property];
+    });
+
+/**
+ * Custom properties per selector: ':root' holds the default values and each
+ * other mode gets a [data-theme="<mode>"] block with the tokens that differ
+ * @returns {Object} { ':root': { '--color-x': '#fff' }, '[data-theme="dark"]': { ... } }
+ */
+const tokensToCssVariables = (tokenSet) => {
+    const tokens = tokenSet?.tokens || {};
+    const root = {};
+    const overrides = {};
+
+    Object.keys(CSS_PREFIXES).forEach(category => {
+        Object.entries(tokens[category] || {}).forEach(([key, token]) => {
+            if (category === 'typography') {
+                typographyDeclarations(key, token).forEach(([name, value]) => { root[name] = value; });
+                return;
+            }
+            root[cssVariable(category, key)] = token.value;
+            Object.entries(token.modes || {}).forEach(([mode, value]) => {
+                if (value === token.value) return;
+                overrides[mode] = overrides[mode] || {};
+                overrides[mode][cssVariable(category, key)] = value;
+            });
+        });
+    });
+
+    const variables = { ':root': root };
+    (tokenSet?.modes || Object.keys(overrides))
+        .filter(mode => overrides[mode])
+        .forEach(mode => { variables[`[data-theme="${mode}"]`] = overrides[mode]; });
+    return variables;
+};
+
+/**
+ * Stylesheet for a token set; switch modes with data-theme on <html>
+ */
+const tokensToCss = (tokenSet) => {
+    const blocks = Object.entries(tokensToCssVariables(tokenSet)).map(([selector, declarations]) =>
+        `${selector} {\n${Object.entries(declarations).map(([name, value]) => `    ${name}: ${value};`).join('\n')}\n}\n`);
+    return [
+        `/* Design tokens${tokenSet?.version ? ` v${tokenSet.version}` : ''}; switch modes with data-theme on <html> */`,
+        ...blocks
+    ].join('\n');
+};
+
+/**
+ * Tailwind theme.extend whose values point at the CSS variables, so mode switches apply
+ */
+const tokensToTailwindTheme = (tokenSet) => {
+    const tokens = tokenSet?.tokens || {};
+    const reference = (category) => Object.fromEntries(Object.keys(tokens[category] || {})
+        .map(key => [key, `var(${cssVariable(category, key)})`]));
+    const fontFamily = {};
+    const fontSize = {};
+    Object.entries(tokens.typography || {}).forEach(([key, token]) => {
+        if (token.fontFamily) fontFamily[key] = [`var(${cssVariable('typography', key)}-font-family)`];
+        if (token.fontSize) {
+            fontSize[key] = [
+                `var(${cssVariable('typography', key)}-font-size)`,
+                token.lineHeight ? { lineHeight: `var(${cssVariable('typography', key)}-line-height)` } : {}
+            ];
+        }
+    });
+    return {
+        colors: reference('color'),
+        spacing: reference('spacing'),
+        borderRadius: reference('borderRadius'),
+        boxShadow: reference('shadows'),
+        fontFamily,
+        fontSize
+    };
+};
+
+/**
+ * Looks up the token behind a node property for the exporters. Style and
+ * variable bindings win; colours without one still match a colour token
+ * of the same value. Without a token set every lookup returns null.
+ */
+const createTokenResolver = (tokenSet) => {
+    const tokens = tokenSet?.tokens || {};
+    const refs = tokenSet?.refs || {};
+    const colorsByValue = new Map();
+    Object.entries(tokens.color || {}).forEach(([key, token]) => {
+        const value = colorKey(parseColor(token.value));
+        if (value && !colorsByValue.has(value)) colorsByValue.set(value, key);
+    });
+
+    const lookup = (ref) => {
+        const path = (ref?.variable && refs.variables?.[ref.variable]) || (ref?.style && refs.styles?.[ref.style]);
+        if (!path) return null;
+        const [category, key] = path.split('.');
+        return tokens[category]?.[key] ? { category, key, token: tokens[category][key] } : null;
+    };
+
+    return {
+        hasTokens: countTokens(tokens) > 0,
+
+        /**
+         * @param {Object} color - 0-255 colour from the AST
+         * @param {Object} [ref] - { style, variable } binding on the node
+         * @returns {string|null} var(--color-x, fallback)
+         */
+        color(color, ref) {
+            const bound = lookup(ref);
+            const key = bound?.category === 'color' ? bound.key : colorsByValue.get(colorKey(color));
+            return key ? `var(${cssVariable('color', key)}, ${tokens.color[key].value})` : null;
+        },
+
+        /**
+         * Number bound to a spacing or radius variable
+         */
+        length(ref) {
+            const bound = lookup(ref);
+            return bound && ['spacing', 'borderRadius'].includes(bound.category)
+                ? `var(${cssVariable(bound.category, bound.key)}, ${bound.token.value})`
+                : null;
+        },
+
+        shadow(ref) {
+            const bound = lookup(ref);
+            return bound?.category === 'shadows' ? `var(${cssVariable('shadows', bound.key)}, ${bound.token.value})` : null;
+        },
+
+        /**
+         * Text style properties as variables, { fontFamily: 'var(...)', ... }
+         */
+        typography(ref) {
+            const bound = lookup(ref);
+            if (bound?.category !== 'typography') return null;
+            return Object.fromEntries(typographyDeclarations(bound.key, bound.token)
+                .map(([name, value, property]) => [property, `var(${name}, ${value})`]));
+        }
+    };
+};
+
+module.exports = {
+    CSS_PREFIXES,
+    extractTokens,
+    countTokens,
+    tokenKey,
+    cssVariable,
+    formatColor,
+    tokensToCssVariables,
+    tokensToCss,
+    tokensToTailwindTheme,
+    createTokenResolver
+};
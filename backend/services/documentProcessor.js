@@ -2,13 +2,17 @@ const xlsx = require('xlsx');
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
+const { loadTranscript } = require('./transcriptFormats');
+const { toPromptText } = require('./transcriptNormalizer');
 
 class DocumentProcessor {
     static async processDocument(filePath, mimeType) {
         let data = [];
         
         try {
-            if (mimeType.includes('spreadsheet') || filePath.endsWith('.xlsx') || filePath.endsWith('.xls')) {
+            if (['.vtt', '.srt', '.json'].includes(path.extname(filePath).toLowerCase())) {
+                data = await this.processTranscriptExport(filePath);
+            } else if (mimeType.includes('spreadsheet') || filePath.endsWith('.xlsx') || filePath.endsWith('.xls')) {
                 data = await this.processExcel(filePath);
             } else if (mimeType.includes('csv') || filePath.endsWith('.csv')) {
                 data = await this.processCSV(filePath);
@@ -58,6 +62,20 @@ class DocumentProcessor {
         }];
     }
 
+    // Caption / meeting-tool exports: one participant per respondent, keeping timed turns
+    static async processTranscriptExport(filePath) {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const normalized = loadTranscript(content, { filename: filePath });
+        const respondents = normalized.respondents.length > 0 ? normalized.respondents : ['Transcript User'];
+
+        return respondents.map(name => ({
+            participant: name,
+            category: 'Interview',
+            transcript: toPromptText(normalized),
+            turns: normalized.turns.filter(turn => turn.speaker === name || turn.role === 'interviewer')
+        }));
+    }
+
     static extractParticipants(data) {
         const participants = [];
         
@@ -223,6 +223,31 @@ const getFigmaImages = async (fileKey, accessToken, nodeIds = []) => {
     }
 };
 
+/**
+ * Fetch the file's local variables and collections (light / dark modes etc.)
+ * The variables API needs an Enterprise seat; without access the file's
+ * named styles are still used, so this returns null instead of throwing.
+ * @param {string} fileKey - Figma file key
+ * @param {string} accessToken - Figma access token
+ * @returns {Promise<Object|null>} { meta: { variables, variableCollections } } or null
+ */
+const getFigmaVariables = async (fileKey, accessToken) => {
+    try {
+        console.log(`🎨 Fetching Figma variables: ${fileKey}`);
+        
+        const response = await axios.get(`${FIGMA_API_BASE}/files/${fileKey}/variables/local`, {
+            headers: {
+                'X-Figma-Token': accessToken
+            }
+        });
+
+        return response.data;
+    } catch (error) {
+        console.warn('Figma variables unavailable:', error.response?.data?.message || error.message);
+        return null;
+    }
+};
+
 /**
  * Generate random state string for OAuth
  * @returns {string} Random state string
@@ -294,6 +319,7 @@ module.exports = {
     getTokenForState,
     getFigmaFile,
     getFigmaImages,
+    getFigmaVariables,
     generateState,
     validateFileKey,
     extractFileKeyFromUrl,
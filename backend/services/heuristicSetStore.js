@@ -0,0 +1,220 @@
+/**
+ * Heuristic Set Store - Postgres persistence for versioned heuristic sets
+ * Sets are addressed by slug; updating a set stores its next version and
+ * leaves earlier versions untouched for runs that were scored against them.
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const DEFAULT_SET_SLUG = 'nielsen-10';
+const MAX_ITEMS = 100;
+const CATEGORIES = ['usability', 'accessibility', 'content', 'brand', 'compliance'];
+const SET_COLUMNS = 'id, slug, version, name, description, category, items, created_by, created_at';
+
+function toCode(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 100);
+}
+
+function parseVersion(version) {
+    const parsed = Number(version);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new AppError('version must be a positive integer', ERROR_TYPES.VALIDATION, 400);
+    }
+    return parsed;
+}
+
+function validateCategory(category, fallback) {
+    if (category === undefined || category === null || category === '') return fallback;
+    if (!CATEGORIES.includes(category)) {
+        throw new AppError(`category must be one of: ${CATEGORIES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+    }
+    return category;
+}
+
+/**
+ * A concurrent save already took this (slug, version): report it as a
+ * conflict the caller can retry instead of a server error
+ */
+function toConflict(error, slug) {
+    if (error.code !== '23505') return error;
+    return new AppError(`Heuristic set "${slug}" was changed by someone else; reload it and try again`, ERROR_TYPES.CONFLICT, 409);
+}
+
+/**
+ * @param {Array<{code?, name, description?, category?}>} items
+ * @param {string} setCategory - Default category for items that don't name one
+ * @returns {Array<{code, name, description, category}>}
+ */
+function normalizeItems(items, setCategory) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new AppError('items must be a non-empty array', ERROR_TYPES.VALIDATION, 400);
+    }
+    if (items.length > MAX_ITEMS) {
+        throw new AppError(`A heuristic set can have at most ${MAX_ITEMS} items`, ERROR_TYPES.VALIDATION, 400);
+    }
+
+    const codes = new Set();
+    return items.map((item, index) => {
+        const name = typeof item?.name === 'string' ? item.name.trim() : '';
+        if (!name) {
+            throw new AppError(`items[${index}].name is required`, ERROR_TYPES.VALIDATION, 400);
+        }
+        const code = toCode(item.code || name);
+        if (!code) {
+            throw new AppError(`items[${index}].code must contain letters or digits`, ERROR_TYPES.VALIDATION, 400);
+        }
+        if (codes.has(code)) {
+            throw new AppError(`Duplicate item code: ${code}`, ERROR_TYPES.VALIDATION, 400);
+        }
+        codes.add(code);
+        return {
+            code,
+            name: name.slice(0, 255),
+            description: typeof item.description === 'string' ? item.description.trim() : '',
+            category: validateCategory(item.category, setCategory)
+        };
+    });
+}
+
+class HeuristicSetStore {
+    /**
+     * Create version 1 of a new set
+     * @param {Object} data - { name, slug?, description?, category?, items }
+     */
+    static async create(data, createdBy = null) {
+        const name = typeof data?.name === 'string' ? data.name.trim() : '';
+        if (!name) {
+            throw new AppError('name is required', ERROR_TYPES.VALIDATION, 400);
+        }
+        const slug = toCode(data.slug || name).replace(/_/g, '-');
+        if (!slug) {
+            throw new AppError('slug must contain letters or digits', ERROR_TYPES.VALIDATION, 400);
+        }
+        const category = validateCategory(data.category, 'usability');
+        const items = normalizeItems(data.items, category);
+
+        const existing = await pool.query('SELECT 1 FROM heuristic_sets WHERE slug = $1 LIMIT 1', [slug]);
+        if (existing.rows.length > 0) {
+            throw new AppError(`Heuristic set "${slug}" already exists; update it to create a new version`, ERROR_TYPES.VALIDATION, 400);
+        }
+
+        try {
+            const result = await pool.query(`
+                INSERT INTO heuristic_sets (slug, version, name, description, category, items, created_by)
+                VALUES ($1, 1, $2, $3, $4, $5, $6)
+                RETURNING ${SET_COLUMNS}
+            `, [slug, name, data.description || null, category, JSON.stringify(items), createdBy ? String(createdBy) : null]);
+            return result.rows[0];
+        } catch (error) {
+            throw toConflict(error, slug);
+        }
+    }
+
+    /**
+     * Store the next version of a set; fields left out carry over from the latest version
+     * @returns {Promise<Object|null>} null when the set does not exist
+     */
+    static async createVersion(slug, changes = {}, createdBy = null) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Serialises edits to the set so versions don't collide
+            const latest = await client.query(
+                `SELECT ${SET_COLUMNS} FROM heuristic_sets WHERE slug = $1 ORDER BY version DESC LIMIT 1 FOR UPDATE`,
+                [slug]
+            );
+            const current = latest.rows[0];
+            if (!current) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const category = validateCategory(changes.category, current.category);
+            const items = normalizeItems(changes.items === undefined ? current.items : changes.items, category);
+            const name = typeof changes.name === 'string' && changes.name.trim() ? changes.name.trim() : current.name;
+
+            const result = await client.query(`
+                INSERT INTO heuristic_sets (slug, version, name, description, category, items, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING ${SET_COLUMNS}
+            `, [
+                slug,
+                current.version + 1,
+                name,
+                changes.description === undefined ? current.description : changes.description,
+                category,
+                JSON.stringify(items),
+                createdBy ? String(createdBy) : null
+            ]);
+
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw toConflict(error, slug);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * @param {string} slug
+     * @param {number|string} [version] - 'latest' or omitted for the newest version
+     */
+    static async get(slug, version) {
+        if (version === undefined || version === null || version === 'latest') {
+            const result = await pool.query(
+                `SELECT ${SET_COLUMNS} FROM heuristic_sets WHERE slug = $1 ORDER BY version DESC LIMIT 1`,
+                [slug]
+            );
+            return result.rows[0] || null;
+        }
+        const result = await pool.query(
+            `SELECT ${SET_COLUMNS} FROM heuristic_sets WHERE slug = $1 AND version = $2`,
+            [slug, parseVersion(version)]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async getById(id) {
+        const result = await pool.query(`SELECT ${SET_COLUMNS} FROM heuristic_sets WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Latest version of every set, without the items
+     */
+    static async list() {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (slug) id, slug, version, name, description, category,
+                   jsonb_array_length(items) AS item_count, created_by, created_at
+            FROM heuristic_sets
+            ORDER BY slug, version DESC
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Versions of one set, newest first
+     */
+    static async listVersions(slug) {
+        const result = await pool.query(`
+            SELECT id, slug, version, name, category, jsonb_array_length(items) AS item_count, created_by, created_at
+            FROM heuristic_sets
+            WHERE slug = $1
+            ORDER BY version DESC
+        `, [slug]);
+        return result.rows;
+    }
+}
+
+module.exports = HeuristicSetStore;
+module.exports.DEFAULT_SET_SLUG = DEFAULT_SET_SLUG;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.normalizeItems = normalizeItems;
@@ -0,0 +1,367 @@
+/**
+ * Insight Store - Postgres persistence for the insight repository
+ * Insights (title, statement, confidence, tags) attached to a product or
+ * PRD, each backed by evidence rows that point at chat messages, research
+ * session turns, transcript excerpts or feedback_items.
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const STATUSES = ['draft', 'validated', 'archived'];
+const EVIDENCE_TYPES = ['chat_message', 'session_turn', 'transcript_excerpt', 'feedback_item'];
+
+const INSIGHT_COLUMNS = `
+    i.id, i.title, i.statement, i.confidence, i.status, i.tags, i.product_id, i.prd_id,
+    i.created_by, i.created_at, i.updated_at
+`;
+const EVIDENCE_COLUMNS = 'id, insight_id, evidence_type, source_id, source_ref, excerpt, speaker, note, created_by, created_at';
+
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
+
+function validateFields({ title, statement, confidence, status, tags }, { partial = false } = {}) {
+    if (!partial || title !== undefined) {
+        if (!title || !String(title).trim()) {
+            throw new AppError('title is required', ERROR_TYPES.VALIDATION, 400);
+        }
+    }
+    if (!partial || statement !== undefined) {
+        if (!statement || !String(statement).trim()) {
+            throw new AppError('statement is required', ERROR_TYPES.VALIDATION, 400);
+        }
+    }
+    if (confidence !== undefined && !CONFIDENCE_LEVELS.includes(confidence)) {
+        throw new AppError(`confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+    }
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${STATUSES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+        throw new AppError('tags must be an array of strings', ERROR_TYPES.VALIDATION, 400);
+    }
+}
+
+/**
+ * The PRD must exist and, when both are given, belong to the product
+ */
+async function resolveAttachment(productId, prdId) {
+    if (prdId) {
+        const prd = await pool.query('SELECT id, product_id FROM prds WHERE id = $1', [prdId]);
+        if (prd.rows.length === 0) {
+            throw new AppError('PRD not found', ERROR_TYPES.VALIDATION, 400);
+        }
+        if (productId && prd.rows[0].product_id !== productId) {
+            throw new AppError('PRD does not belong to the given product', ERROR_TYPES.VALIDATION, 400);
+        }
+        return { productId: prd.rows[0].product_id, prdId };
+    }
+    if (productId) {
+        const product = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (product.rows.length === 0) {
+            throw new AppError('Product not found', ERROR_TYPES.VALIDATION, 400);
+        }
+    }
+    return { productId: productId || null, prdId: null };
+}
+
+/**
+ * Look up the source row an evidence link points at. Returns
+ * {excerpt, speaker} or null when the source no longer exists.
+ * feedback_items / messages have had several schemas, so columns are read
+ * through to_jsonb rather than by name.
+ */
+async function fetchSource(type, sourceId, sourceRef) {
+    switch (type) {
+        case 'chat_message': {
+            const result = await pool.query(
+                'SELECT to_jsonb(m) AS row FROM messages m WHERE m.id::text = $1',
+                [sourceId]
+            );
+            const row = result.rows[0]?.row;
+            return row ? { excerpt: row.content, speaker: row.role === 'user' ? 'User' : 'Agent', createdAt: row.created_at } : null;
+        }
+        case 'session_turn': {
+            const result = await pool.query(
+                'SELECT topic, log_json -> $2::int AS turn FROM research_sessions WHERE id::text = $1',
+                [sourceId, parseInt(sourceRef)]
+            );
+            const turn = result.rows[0]?.turn;
+            return turn ? { excerpt: turn.text, speaker: turn.speaker, context: result.rows[0].topic, createdAt: turn.timestamp } : null;
+        }
+        case 'feedback_item': {
+            const result = await pool.query(
+                `SELECT to_jsonb(f) AS row, a.name AS agent_name
+                 FROM feedback_items f
+                 LEFT JOIN agents a ON a.id = f.agent_id
+                 WHERE f.id::text = $1`,
+                [sourceId]
+            );
+            const row = result.rows[0]?.row;
+            if (!row) return null;
+            return {
+                excerpt: [row.issue, row.evidence].filter(Boolean).join(' — '),
+                speaker: result.rows[0].agent_name,
+                severity: row.severity,
+                createdAt: row.created_at
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+class InsightStore {
+    static async create({ title, statement, confidence = 'medium', status = 'draft', tags = [], productId = null, prdId = null, createdBy = null }) {
+        validateFields({ title, statement, confidence, status, tags });
+        const attachment = await resolveAttachment(productId, prdId);
+
+        const result = await pool.query(`
+            INSERT INTO insights (title, statement, confidence, status, tags, product_id, prd_id, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [
+            String(title).trim(),
+            String(statement).trim(),
+            confidence,
+            status,
+            normalizeTags(tags),
+            attachment.productId,
+            attachment.prdId,
+            createdBy
+        ]);
+
+        return InsightStore.getById(result.rows[0].id);
+    }
+
+    /**
+     * Insight with product/PRD names and its evidence
+     */
+    static async getById(id) {
+        const result = await pool.query(`
+            SELECT ${INSIGHT_COLUMNS}, p.name AS product_name, d.title AS prd_title
+            FROM insights i
+            LEFT JOIN products p ON p.id = i.product_id
+            LEFT JOIN prds d ON d.id = i.prd_id
+            WHERE i.id = $1 AND i.deleted_at IS NULL
+        `, [id]);
+        const insight = result.rows[0];
+        if (!insight) return null;
+
+        const evidence = await pool.query(
+            `SELECT ${EVIDENCE_COLUMNS} FROM insight_evidence WHERE insight_id = $1 ORDER BY created_at`,
+            [id]
+        );
+        return { ...insight, evidence: evidence.rows };
+    }
+
+    /**
+     * Paginated search
+     * @param {Object} filters - { search, tags, productId, prdId, confidence, status, evidenceType, page, limit }
+     */
+    static async list({ search, tags, productId, prdId, confidence, status, evidenceType, page = 1, limit = 20 } = {}) {
+        const params = [];
+        const conditions = ['i.deleted_at IS NULL'];
+
+        if (search) {
+            params.push(search);
+            conditions.push(`(i.search_vector @@ plainto_tsquery('english', $${params.length}) OR i.title ILIKE '%' || $${params.length} || '%')`);
+        }
+        const tagList = normalizeTags(typeof tags === 'string' ? tags.split(',') : tags);
+        if (tagList.length > 0) {
+            params.push(tagList);
+            conditions.push(`i.tags @> $${params.length}`);
+        }
+        if (productId) {
+            params.push(productId);
+            conditions.push(`i.product_id = $${params.length}`);
+        }
+        if (prdId) {
+            params.push(prdId);
+            conditions.push(`i.prd_id = $${params.length}`);
+        }
+        if (confidence) {
+            params.push(confidence);
+            conditions.push(`i.confidence = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`i.status = $${params.length}`);
+        }
+        if (evidenceType) {
+            params.push(evidenceType);
+            conditions.push(`EXISTS (SELECT 1 FROM insight_evidence e WHERE e.insight_id = i.id AND e.evidence_type = $${params.length})`);
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const where = `WHERE ${conditions.join(' AND ')}`;
+
+        const [rows, count] = await Promise.all([
+            pool.query(`
+                SELECT ${INSIGHT_COLUMNS}, p.name AS product_name, d.title AS prd_title,
+                       (SELECT COUNT(*)::int FROM insight_evidence e WHERE e.insight_id = i.id) AS evidence_count
+                FROM insights i
+                LEFT JOIN products p ON p.id = i.product_id
+                LEFT JOIN prds d ON d.id = i.prd_id
+                ${where}
+                ORDER BY i.updated_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, pageSize, (pageNumber - 1) * pageSize]),
+            pool.query(`SELECT COUNT(*)::int AS total FROM insights i ${where}`, params)
+        ]);
+
+        return { insights: rows.rows, total: count.rows[0].total, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * Distinct tags with usage counts, for the filter sidebar
+     */
+    static async listTags() {
+        const result = await pool.query(`
+            SELECT tag, COUNT(*)::int AS count
+            FROM insights, unnest(tags) AS tag
+            WHERE deleted_at IS NULL
+            GROUP BY tag
+            ORDER BY count DESC, tag
+        `);
+        return result.rows;
+    }
+
+    static async update(id, fields) {
+        validateFields(fields, { partial: true });
+
+        const existing = await InsightStore.getById(id);
+        if (!existing) return null;
+
+        const { title, statement, confidence, status, tags } = fields;
+        let { product_id: productId, prd_id: prdId } = existing;
+        if (fields.productId !== undefined || fields.prdId !== undefined) {
+            const attachment = await resolveAttachment(
+                fields.productId !== undefined ? fields.productId : productId,
+                fields.prdId !== undefined ? fields.prdId : prdId
+            );
+            productId = attachment.productId;
+            prdId = attachment.prdId;
+        }
+
+        await pool.query(`
+            UPDATE insights
+            SET title = COALESCE($2, title),
+                statement = COALESCE($3, statement),
+                confidence = COALESCE($4, confidence),
+                status = COALESCE($5, status),
+                tags = COALESCE($6, tags),
+                product_id = $7,
+                prd_id = $8,
+                updated_at = NOW()
+            WHERE id = $1
+        `, [
+            id,
+            title !== undefined ? String(title).trim() : null,
+            statement !== undefined ? String(statement).trim() : null,
+            confidence ?? null,
+            status ?? null,
+            tags !== undefined ? normalizeTags(tags) : null,
+            productId,
+            prdId
+        ]);
+
+        return InsightStore.getById(id);
+    }
+
+    static async softDelete(id) {
+        const result = await pool.query(
+            'UPDATE insights SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL',
+            [id]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Link a piece of evidence. For linked sources the excerpt and speaker
+     * are snapshotted from the source row unless provided.
+     * @param {Object} evidence - { type, sourceId, sourceRef?, excerpt?, speaker?, note? }
+     */
+    static async addEvidence(insightId, { type, sourceId, sourceRef = null, excerpt, speaker, note = null }, createdBy = null) {
+        if (!EVIDENCE_TYPES.includes(type)) {
+            throw new AppError(`type must be one of: ${EVIDENCE_TYPES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+        }
+        if (!sourceId) {
+            throw new AppError('sourceId is required', ERROR_TYPES.VALIDATION, 400);
+        }
+        if (type === 'session_turn' && !/^\d+$/.test(String(sourceRef ?? ''))) {
+            throw new AppError('sourceRef must be the turn index for session_turn evidence', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        let snapshot = { excerpt, speaker };
+        if (type === 'transcript_excerpt') {
+            if (!excerpt || !String(excerpt).trim()) {
+                throw new AppError('excerpt is required for transcript_excerpt evidence', ERROR_TYPES.VALIDATION, 400);
+            }
+        } else {
+            const source = await fetchSource(type, String(sourceId), sourceRef);
+            if (!source) {
+                throw new AppError(`${type.replace('_', ' ')} ${sourceId} not found`, ERROR_TYPES.VALIDATION, 400);
+            }
+            snapshot = { excerpt: excerpt || source.excerpt, speaker: speaker || source.speaker };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO insight_evidence (insight_id, evidence_type, source_id, source_ref, excerpt, speaker, note, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${EVIDENCE_COLUMNS}
+        `, [
+            insightId,
+            type,
+            String(sourceId),
+            sourceRef !== null && sourceRef !== undefined ? String(sourceRef) : null,
+            String(snapshot.excerpt).trim(),
+            snapshot.speaker || null,
+            note,
+            createdBy
+        ]);
+
+        await pool.query('UPDATE insights SET updated_at = NOW() WHERE id = $1', [insightId]);
+        return result.rows[0];
+    }
+
+    static async removeEvidence(insightId, evidenceId) {
+        const result = await pool.query(
+            'DELETE FROM insight_evidence WHERE id = $1 AND insight_id = $2',
+            [evidenceId, insightId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Evidence with the current state of each source, flagging links whose
+     * source was deleted or edited since it was attached
+     */
+    static async resolveEvidence(evidenceRows) {
+        return Promise.all(evidenceRows.map(async evidence => {
+            if (evidence.evidence_type === 'transcript_excerpt') {
+                return { ...evidence, source: null, source_status: 'snapshot' };
+            }
+            try {
+                const source = await fetchSource(evidence.evidence_type, evidence.source_id, evidence.source_ref);
+                let sourceStatus = 'available';
+                if (!source) sourceStatus = 'missing';
+                else if (source.excerpt && !source.excerpt.includes(evidence.excerpt) && !evidence.excerpt.includes(source.excerpt)) {
+                    sourceStatus = 'changed';
+                }
+                return { ...evidence, source, source_status: sourceStatus };
+            } catch (error) {
+                return { ...evidence, source: null, source_status: 'unavailable' };
+            }
+        }));
+    }
+}
+
+module.exports = InsightStore;
+module.exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
+module.exports.STATUSES = STATUSES;
+module.exports.EVIDENCE_TYPES = EVIDENCE_TYPES;
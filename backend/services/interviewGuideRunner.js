@@ -0,0 +1,341 @@
+/**
+ * Interview Guide Runner - Runs a discussion guide against one persona
+ * A guide is ordered sections of questions, each with optional probes and
+ * time boxes. Every question is asked through the enhanced behavior engine;
+ * short or evasive answers are probed automatically. The result is a
+ * transcript keyed by guide question id so runs across personas line up.
+ */
+
+const { generatePersonaResponse } = require('../src/enhancedBehaviorEngine');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const DEFAULT_MAX_PROBES = 2;
+const DEFAULT_MIN_WORDS = 12;
+const WORDS_PER_SECOND = 2.5; // ~150 wpm speaking pace for the interview clock
+
+const EVASIVE_PATTERNS = [
+    /\bnot sure\b/i,
+    /\bdon'?t know\b/i,
+    /\bno idea\b/i,
+    /\bcan'?t (really )?say\b/i,
+    /\bhard to say\b/i,
+    /\bit depends\b/i,
+    /\bno comment\b/i,
+    /\bprefer not to\b/i,
+    /\bnothing (much|really)\b/i,
+    /\bwhatever\b/i
+];
+
+const GENERIC_PROBES = [
+    'Could you give me a specific example from your own experience?',
+    'What makes you feel that way?',
+    'Can you walk me through the last time that happened?'
+];
+
+const TIME_BOX_PATTERN = /[([]\s*(\d+)\s*(min|mins|minutes|m|sec|secs|seconds|s)\s*[)\]]\s*$/i;
+
+function wordCount(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+function speechSeconds(text) {
+    return Math.ceil(wordCount(text) / WORDS_PER_SECOND);
+}
+
+/**
+ * Split a trailing "(10 min)" / "[90 sec]" time box off a guide line
+ * @returns {{ text: string, seconds: number|null }}
+ */
+function extractTimeBox(line) {
+    const match = line.match(TIME_BOX_PATTERN);
+    if (!match) return { text: line.trim(), seconds: null };
+
+    const value = parseInt(match[1]);
+    const seconds = match[2].toLowerCase().startsWith('s') ? value : value * 60;
+    return { text: line.slice(0, match.index).trim(), seconds };
+}
+
+/**
+ * Parse a plain-text / markdown discussion guide.
+ *
+ *   # Banking habits (10 min)
+ *   1. How do you pay your bills today? (2 min)
+ *      - Probe: Who helps you with it?
+ *   > Why not use an app?
+ *
+ * Headings start sections; numbered or bulleted lines are questions;
+ * indented bullets, "> " lines and "Probe:" lines are probes for the previous question.
+ */
+function parseGuideText(text) {
+    const sections = [];
+    let currentSection = null;
+    let currentQuestion = null;
+
+    const ensureSection = () => {
+        if (!currentSection) {
+            currentSection = { title: 'General', timeBoxMinutes: null, questions: [] };
+            sections.push(currentSection);
+        }
+        return currentSection;
+    };
+
+    String(text || '').split(/\r?\n/).forEach(rawLine => {
+        if (!rawLine.trim()) return;
+
+        const indented = /^\s{2,}|\t/.test(rawLine);
+        const line = rawLine.trim();
+
+        if (line.startsWith('#')) {
+            const { text: title, seconds } = extractTimeBox(line.replace(/^#+\s*/, ''));
+            currentSection = { title, timeBoxMinutes: seconds ? Math.ceil(seconds / 60) : null, questions: [] };
+            sections.push(currentSection);
+            currentQuestion = null;
+            return;
+        }
+
+        const isProbe = line.startsWith('>') || /^probe:/i.test(line) || (indented && /^[-*•]/.test(line));
+        const cleaned = line
+            .replace(/^>\s*/, '')
+            .replace(/^[-*•]\s*/, '')
+            .replace(/^\d+[.)]\s*/, '')
+            .replace(/^(probe|q|question):\s*/i, '');
+
+        if (isProbe && currentQuestion) {
+            currentQuestion.probes.push(cleaned);
+            return;
+        }
+
+        const { text: questionText, seconds } = extractTimeBox(cleaned);
+        currentQuestion = { text: questionText, probes: [], timeBoxSeconds: seconds };
+        ensureSection().questions.push(currentQuestion);
+    });
+
+    return sections;
+}
+
+/**
+ * Validate a guide and assign stable ids (s1, s1q1, ...) where missing
+ */
+function normalizeGuide({ title, description = null, sections }) {
+    if (!title || !String(title).trim()) {
+        throw new AppError('Guide title is required', ERROR_TYPES.VALIDATION, 400);
+    }
+    if (!Array.isArray(sections) || sections.length === 0) {
+        throw new AppError('Guide must have at least one section', ERROR_TYPES.VALIDATION, 400);
+    }
+
+    const seenIds = new Set();
+    const uniqueId = (id, fallback) => {
+        const value = id ? String(id) : fallback;
+        if (seenIds.has(value)) {
+            throw new AppError(`Duplicate guide id "${value}"`, ERROR_TYPES.VALIDATION, 400);
+        }
+        seenIds.add(value);
+        return value;
+    };
+
+    const normalizedSections = sections.map((section, sectionIndex) => {
+        const sectionId = uniqueId(section.id, `s${sectionIndex + 1}`);
+        const questions = (section.questions || []).filter(q => q && (q.text || typeof q === 'string'));
+
+        if (questions.length === 0) {
+            throw new AppError(`Section "${section.title || sectionId}" has no questions`, ERROR_TYPES.VALIDATION, 400);
+        }
+
+        return {
+            id: sectionId,
+            title: section.title || `Section ${sectionIndex + 1}`,
+            timeBoxMinutes: section.timeBoxMinutes ? Number(section.timeBoxMinutes) : null,
+            questions: questions.map((question, questionIndex) => {
+                const q = typeof question === 'string' ? { text: question } : question;
+                return {
+                    id: uniqueId(q.id, `${sectionId}q${questionIndex + 1}`),
+                    text: String(q.text).trim(),
+                    probes: (q.probes || []).map(p => String(p).trim()).filter(Boolean),
+                    timeBoxSeconds: q.timeBoxSeconds ? Number(q.timeBoxSeconds) : null
+                };
+            })
+        };
+    });
+
+    return {
+        title: String(title).trim(),
+        description,
+        sections: normalizedSections
+    };
+}
+
+/**
+ * Decide whether an answer needs a follow-up probe
+ */
+function assessAnswer(answer, { minWords = DEFAULT_MIN_WORDS } = {}) {
+    const words = wordCount(answer);
+    const short = words < minWords;
+    const evasive = EVASIVE_PATTERNS.some(pattern => pattern.test(answer || ''));
+    return { words, short, evasive, needsProbe: short || evasive };
+}
+
+function summarizeCoverage(transcript) {
+    const entries = Object.values(transcript);
+    const count = status => entries.filter(entry => entry.status === status).length;
+    const covered = count('covered');
+    const partial = count('partial');
+
+    return {
+        total: entries.length,
+        covered,
+        partial,
+        skipped: count('skipped'),
+        coveragePct: entries.length > 0 ? Math.round(((covered + partial) / entries.length) * 100) : 0
+    };
+}
+
+/**
+ * Run a normalized guide against one persona.
+ * @param {Object} guide - output of normalizeGuide
+ * @param {Object} agent - full ai_agents row
+ * @param {Object} options - { sessionId, maxProbes, minWords, onTurn(turn) }
+ * @returns {Promise<{ transcript: Object, coverage: Object, log: Object[], elapsedSeconds: number }>}
+ */
+async function runGuide(guide, agent, options = {}) {
+    const {
+        sessionId = null,
+        maxProbes = DEFAULT_MAX_PROBES,
+        minWords = DEFAULT_MIN_WORDS,
+        onTurn = null
+    } = options;
+
+    const transcript = {};
+    const log = [];
+    const history = [];
+    let clock = 0;
+
+    const record = async (questionId, role, kind, text, extra = {}) => {
+        const turn = {
+            speaker: role === 'interviewer' ? 'Moderator' : agent.name,
+            text,
+            questionId,
+            kind,
+            ...extra,
+            timestamp: new Date().toISOString()
+        };
+        log.push(turn);
+        history.push({ role: role === 'interviewer' ? 'user' : 'assistant', content: text });
+        clock += speechSeconds(text);
+        transcript[questionId].turns.push({ role, kind, text, ...extra, offsetSeconds: clock });
+        if (onTurn) await onTurn(turn);
+    };
+
+    for (const section of guide.sections) {
+        const sectionStart = clock;
+
+        for (const question of section.questions) {
+            const entry = {
+                sectionId: section.id,
+                sectionTitle: section.title,
+                question: question.text,
+                turns: [],
+                answer: '',
+                probesUsed: [],
+                status: 'skipped',
+                elapsedSeconds: 0
+            };
+            transcript[question.id] = entry;
+
+            if (section.timeBoxMinutes && clock - sectionStart >= section.timeBoxMinutes * 60) {
+                entry.skipReason = 'section_time_box';
+                continue;
+            }
+
+            const questionStart = clock;
+            const guideProbes = [...question.probes];
+            const answers = [];
+            let prompt = question.text;
+
+            await record(question.id, 'interviewer', 'question', prompt);
+
+            while (true) {
+                const response = await generatePersonaResponse(agent, prompt, history.slice(0, -1), {
+                    sessionId,
+                    feature: 'interview_guide',
+                    conversationLength: history.length,
+                    // A canned fallback would be recorded as the persona's answer
+                    allowFallback: false
+                });
+                answers.push(response.content);
+                await record(question.id, 'respondent', 'answer', response.content);
+
+                const assessment = assessAnswer(response.content, { minWords });
+                if (!assessment.needsProbe) {
+                    entry.status = 'covered';
+                    break;
+                }
+
+                const outOfTime = question.timeBoxSeconds && clock - questionStart >= question.timeBoxSeconds;
+                if (entry.probesUsed.length >= maxProbes || outOfTime) {
+                    entry.status = 'partial';
+                    entry.partialReason = outOfTime ? 'question_time_box' : (assessment.evasive ? 'evasive' : 'short');
+                    break;
+                }
+
+                const source = guideProbes.length > 0 ? 'guide' : 'generic';
+                prompt = guideProbes.shift() || GENERIC_PROBES[entry.probesUsed.length % GENERIC_PROBES.length];
+                entry.probesUsed.push({ text: prompt, source, reason: assessment.evasive ? 'evasive' : 'short' });
+                await record(question.id, 'interviewer', 'probe', prompt, { autoProbe: true });
+            }
+
+            entry.answer = answers.join(' ');
+            entry.elapsedSeconds = clock - questionStart;
+        }
+    }
+
+    return {
+        transcript,
+        coverage: summarizeCoverage(transcript),
+        log,
+        elapsedSeconds: clock
+    };
+}
+
+/**
+ * Line up completed runs of one guide as a question × persona matrix
+ */
+function buildComparison(guide, runs) {
+    const completed = runs.filter(run => run.status === 'completed');
+
+    return {
+        guideId: guide.id,
+        title: guide.title,
+        agents: completed.map(run => ({
+            runId: run.id,
+            agentId: run.agent_id,
+            name: run.agent_name,
+            coverage: run.coverage
+        })),
+        questions: guide.sections.flatMap(section => section.questions.map(question => ({
+            id: question.id,
+            sectionId: section.id,
+            sectionTitle: section.title,
+            text: question.text,
+            responses: completed.map(run => {
+                const entry = run.transcript[question.id] || {};
+                return {
+                    agentId: run.agent_id,
+                    name: run.agent_name,
+                    status: entry.status || 'skipped',
+                    answer: entry.answer || '',
+                    probes: (entry.probesUsed || []).length
+                };
+            })
+        })))
+    };
+}
+
+module.exports = {
+    parseGuideText,
+    normalizeGuide,
+    assessAnswer,
+    summarizeCoverage,
+    runGuide,
+    buildComparison
+};
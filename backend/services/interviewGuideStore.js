@@ -0,0 +1,144 @@
+/**
+ * Interview Guide Store - Postgres persistence for discussion guides and
+ * the runs that replay them against personas
+ */
+
+const { pool } = require('../models/database');
+
+const GUIDE_COLUMNS = 'id, title, description, sections, created_by, created_at, updated_at';
+const RUN_COLUMNS = `
+    id, guide_id, agent_id, agent_name, session_id, status, transcript, coverage,
+    error, created_at, started_at, completed_at
+`;
+
+class InterviewGuideStore {
+    static async createGuide({ title, description = null, sections, createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO interview_guides (title, description, sections, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING ${GUIDE_COLUMNS}
+        `, [title, description, JSON.stringify(sections), createdBy]);
+
+        return result.rows[0];
+    }
+
+    static async getGuide(id) {
+        const result = await pool.query(`
+            SELECT ${GUIDE_COLUMNS}
+            FROM interview_guides
+            WHERE id = $1 AND deleted_at IS NULL
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Guides with question and run counts, newest first
+     */
+    static async listGuides({ search, page = 1, limit = 20 } = {}) {
+        const params = [];
+        let where = 'WHERE g.deleted_at IS NULL';
+        if (search) {
+            params.push(`%${search}%`);
+            where += ` AND g.title ILIKE $${params.length}`;
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+        const result = await pool.query(`
+            SELECT g.id, g.title, g.description, g.created_at, g.updated_at,
+                   (SELECT COALESCE(SUM(jsonb_array_length(s->'questions')), 0)::int
+                    FROM jsonb_array_elements(g.sections) AS s) AS question_count,
+                   (SELECT COUNT(*)::int FROM interview_runs r WHERE r.guide_id = g.id) AS run_count
+            FROM interview_guides g
+            ${where}
+            ORDER BY g.created_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pageSize, (pageNumber - 1) * pageSize]);
+
+        return { guides: result.rows, page: pageNumber, limit: pageSize };
+    }
+
+    static async deleteGuide(id) {
+        const result = await pool.query(`
+            UPDATE interview_guides
+            SET deleted_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+        `, [id]);
+
+        return result.rowCount > 0;
+    }
+
+    static async createRun({ guideId, agentId, agentName }) {
+        const result = await pool.query(`
+            INSERT INTO interview_runs (guide_id, agent_id, agent_name)
+            VALUES ($1, $2, $3)
+            RETURNING ${RUN_COLUMNS}
+        `, [guideId, agentId, agentName]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Update run progress; timestamps follow the status transitions
+     */
+    static async updateRun(id, { status, sessionId, transcript, coverage, error }) {
+        const result = await pool.query(`
+            UPDATE interview_runs
+            SET status = COALESCE($2, status),
+                session_id = COALESCE($3, session_id),
+                transcript = COALESCE($4::jsonb, transcript),
+                coverage = COALESCE($5::jsonb, coverage),
+                error = COALESCE($6, error),
+                started_at = CASE WHEN $2 = 'running' THEN NOW() ELSE started_at END,
+                completed_at = CASE WHEN $2 IN ('completed', 'failed') THEN NOW() ELSE completed_at END
+            WHERE id = $1
+            RETURNING ${RUN_COLUMNS}
+        `, [
+            id,
+            status || null,
+            sessionId || null,
+            transcript ? JSON.stringify(transcript) : null,
+            coverage ? JSON.stringify(coverage) : null,
+            error || null
+        ]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Runs execute in the web process, so any still queued or running at
+     * startup were cut off by a restart
+     * @returns {Promise<number>} Number of runs marked interrupted
+     */
+    static async interruptUnfinishedRuns() {
+        const result = await pool.query(`
+            UPDATE interview_runs
+            SET status = 'interrupted',
+                error = COALESCE(error, 'Interrupted by a server restart'),
+                completed_at = NOW()
+            WHERE status IN ('queued', 'running')
+        `);
+
+        return result.rowCount;
+    }
+
+    static async getRun(id) {
+        const result = await pool.query(`SELECT ${RUN_COLUMNS} FROM interview_runs WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    static async listRuns(guideId) {
+        const result = await pool.query(`
+            SELECT ${RUN_COLUMNS}
+            FROM interview_runs
+            WHERE guide_id = $1
+            ORDER BY created_at DESC
+        `, [guideId]);
+
+        return result.rows;
+    }
+}
+
+module.exports = InterviewGuideStore;
@@ -0,0 +1,424 @@
+/**
+ * Job Queue - Durable Redis-backed queue for long-running batch work
+ * Transcript uploads and persona generation run here instead of inside the
+ * HTTP request. A job is a list of items (one transcript each) processed in
+ * order by a registered handler. Failed items are retried with exponential
+ * backoff: the job goes to a delayed set and only its unfinished items run
+ * again. Jobs survive restarts (anything left active is re-queued on start),
+ * can be cancelled between items, and stay in a history set for
+ * JOB_HISTORY_DAYS. Progress is pushed to the `job-<id>` Socket.IO room and
+ * summaries to every client as `jobs:update`.
+ *
+ * Redis keys (prefix "jobs"):
+ *   jobs:job:<id>      job JSON
+ *   jobs:wait          list of queued job ids
+ *   jobs:active        ids being processed (recovered on start)
+ *   jobs:delayed       sorted set of ids waiting for a retry, scored by run time
+ *   jobs:history       sorted set of all ids, scored by creation time
+ *   jobs:cancel:<id>   cancellation flag for an active job
+ */
+
+const crypto = require('crypto');
+const { redis } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const STATUS = {
+    QUEUED: 'queued',
+    ACTIVE: 'active',
+    DELAYED: 'delayed',
+    COMPLETED: 'completed',
+    PARTIAL: 'partial',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED = [STATUS.COMPLETED, STATUS.PARTIAL, STATUS.FAILED, STATUS.CANCELLED];
+
+const ITEM_STATUS = {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    RETRYING: 'retrying',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED_ITEM = [ITEM_STATUS.COMPLETED, ITEM_STATUS.FAILED, ITEM_STATUS.CANCELLED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+class JobQueue {
+    constructor({ client = redis, prefix = 'jobs' } = {}) {
+        this.redis = client;
+        this.prefix = prefix;
+        this.handlers = new Map();
+        this.io = null;
+        this.timer = null;
+        this.busy = false;
+    }
+
+    key(...parts) {
+        return [this.prefix, ...parts].join(':');
+    }
+
+    async connect() {
+        if (this.redis.isOpen === false) {
+            await this.redis.connect();
+        }
+    }
+
+    /**
+     * Bind the Socket.IO server used to push job progress
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Register the handler for a job type
+     * @param {string} type
+     * @param {Object} handler - { processItem(input, ctx) => result, onComplete?(job) => result, label?(input, index) }
+     */
+    register(type, handler) {
+        if (typeof handler?.processItem !== 'function') {
+            throw new Error(`Job handler for "${type}" needs a processItem function`);
+        }
+        this.handlers.set(type, handler);
+    }
+
+    emit(job, event, extra = {}) {
+        if (!this.io) return;
+        const summary = this.toPublic(job);
+        this.io.to(`job-${job.id}`).emit(event, { jobId: job.id, job: summary, ...extra, timestamp: new Date().toISOString() });
+        this.io.emit('jobs:update', { job: summary, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Job as returned to clients: item inputs (raw transcripts) stay in Redis
+     */
+    toPublic(job) {
+        const { items, ...rest } = job;
+        return {
+            ...rest,
+            items: items.map(({ input, ...item }) => item)
+        };
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await this.redis.set(this.key('job', job.id), JSON.stringify(job));
+    }
+
+    async load(jobId) {
+        const raw = await this.redis.get(this.key('job', jobId));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * Queue a job
+     * @param {string} type - Registered job type
+     * @param {Array} inputs - One entry per item
+     * @param {Object} options - { label, createdBy, maxAttempts, meta }
+     * @returns {Promise<Object>} Public job
+     */
+    async enqueue(type, inputs, { label = null, createdBy = null, maxAttempts = envInt('JOB_MAX_ATTEMPTS', 3), meta = {} } = {}) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new AppError(`Unknown job type: ${type}`, ERROR_TYPES.VALIDATION, 400);
+        }
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            throw new AppError('A job needs at least one item', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        await this.connect();
+        const now = new Date();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            label: label || type,
+            status: STATUS.QUEUED,
+            progress: 0,
+            runs: 0,
+            maxAttempts: Math.max(1, maxAttempts),
+            createdBy: createdBy ? String(createdBy) : null,
+            meta,
+            items: inputs.map((input, index) => ({
+                index,
+                label: handler.label ? handler.label(input, index) : `Item ${index + 1}`,
+                status: ITEM_STATUS.PENDING,
+                attempts: 0,
+                error: null,
+                result: null,
+                input
+            })),
+            result: null,
+            error: null,
+            nextRunAt: null,
+            createdAt: now.toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        await this.save(job);
+        await this.redis.zAdd(this.key('history'), { score: now.getTime(), value: job.id });
+        await this.redis.lPush(this.key('wait'), job.id);
+        this.emit(job, 'job:queued');
+        return this.toPublic(job);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Public job, or null when it does not exist
+     */
+    async get(jobId) {
+        await this.connect();
+        const job = await this.load(jobId);
+        return job ? this.toPublic(job) : null;
+    }
+
+    /**
+     * Job history, newest first
+     */
+    async list({ status, type, limit = 50, offset = 0 } = {}) {
+        await this.connect();
+        const historyDays = envInt('JOB_HISTORY_DAYS', 14);
+        await this.redis.zRemRangeByScore(this.key('history'), 0, Date.now() - historyDays * DAY_MS);
+
+        const ids = await this.redis.zRange(this.key('history'), 0, -1, { REV: true });
+        const raw = ids.length > 0 ? await this.redis.mGet(ids.map(id => this.key('job', id))) : [];
+        const jobs = raw.filter(Boolean).map(value => JSON.parse(value))
+            .filter(job => (!status || job.status === status) && (!type || job.type === type));
+
+        const start = Number(offset) || 0;
+        const size = Math.min(Number(limit) || 50, 200);
+        return {
+            jobs: jobs.slice(start, start + size).map(job => this.toPublic(job)),
+            total: jobs.length
+        };
+    }
+
+    /**
+     * Cancel a job. Queued and delayed jobs stop at once; an active job stops
+     * after the item it is working on.
+     * @returns {Promise<Object|null>} Public job, or null when it does not exist
+     */
+    async cancel(jobId) {
+        await this.connect();
+        const job = await this.load(jobId);
+        if (!job) return null;
+        if (FINISHED.includes(job.status)) {
+            throw new AppError(`Job is already ${job.status}`, ERROR_TYPES.VALIDATION, 400);
+        }
+
+        if (job.status === STATUS.ACTIVE) {
+            await this.redis.set(this.key('cancel', jobId), '1');
+            job.cancelRequested = true;
+            await this.save(job);
+            this.emit(job, 'job:progress', { message: 'Cancelling after the current item' });
+            return this.toPublic(job);
+        }
+
+        await this.redis.lRem(this.key('wait'), 0, jobId);
+        await this.redis.zRem(this.key('delayed'), jobId);
+        await this.finish(job, STATUS.CANCELLED);
+        return this.toPublic(job);
+    }
+
+    /**
+     * Run the failed and cancelled items of a finished job again
+     * @returns {Promise<Object|null>} Public job, or null when it does not exist
+     */
+    async retry(jobId) {
+        await this.connect();
+        const job = await this.load(jobId);
+        if (!job) return null;
+        if (!FINISHED.includes(job.status)) {
+            throw new AppError('Only finished jobs can be retried', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const again = job.items.filter(item => item.status === ITEM_STATUS.FAILED || item.status === ITEM_STATUS.CANCELLED);
+        if (again.length === 0) {
+            throw new AppError('Job has no failed items to retry', ERROR_TYPES.VALIDATION, 400);
+        }
+        again.forEach(item => Object.assign(item, { status: ITEM_STATUS.PENDING, attempts: 0, error: null }));
+        Object.assign(job, { status: STATUS.QUEUED, error: null, finishedAt: null, cancelRequested: false });
+        job.progress = this.progressOf(job);
+
+        await this.save(job);
+        await this.redis.lPush(this.key('wait'), job.id);
+        this.emit(job, 'job:queued');
+        return this.toPublic(job);
+    }
+
+    progressOf(job) {
+        const done = job.items.filter(item => FINISHED_ITEM.includes(item.status)).length;
+        return Math.round((done / job.items.length) * 100);
+    }
+
+    backoffMs(run) {
+        return Math.min(envInt('JOB_BACKOFF_MS', 5000) * 2 ** Math.max(0, run - 1), MAX_BACKOFF_MS);
+    }
+
+    async finish(job, status) {
+        Object.assign(job, { status, progress: this.progressOf(job), finishedAt: new Date().toISOString(), nextRunAt: null });
+        if (status === STATUS.CANCELLED) {
+            job.items.filter(item => !FINISHED_ITEM.includes(item.status))
+                .forEach(item => { item.status = ITEM_STATUS.CANCELLED; });
+        }
+
+        const handler = this.handlers.get(job.type);
+        if (handler?.onComplete) {
+            try {
+                job.result = await handler.onComplete(this.toPublic(job));
+            } catch (error) {
+                console.error(`Job ${job.id} completion hook failed:`, error.message);
+                job.error = error.message;
+            }
+        }
+
+        await this.save(job);
+        await this.redis.expire(this.key('job', job.id), envInt('JOB_HISTORY_DAYS', 14) * DAY_MS / 1000);
+        await this.redis.del(this.key('cancel', job.id));
+        this.emit(job, 'job:finished');
+    }
+
+    /**
+     * Work through a job's unfinished items once
+     */
+    async process(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            job.error = `No handler registered for job type ${job.type}`;
+            job.items.filter(item => !FINISHED_ITEM.includes(item.status)).forEach(item => {
+                Object.assign(item, { status: ITEM_STATUS.FAILED, error: job.error });
+            });
+            return this.finish(job, STATUS.FAILED);
+        }
+
+        Object.assign(job, { status: STATUS.ACTIVE, runs: job.runs + 1, nextRunAt: null });
+        job.startedAt = job.startedAt || new Date().toISOString();
+        await this.save(job);
+        this.emit(job, 'job:progress', { message: 'Job started' });
+
+        for (const item of job.items) {
+            if (FINISHED_ITEM.includes(item.status)) continue;
+
+            if (await this.redis.get(this.key('cancel', job.id))) {
+                return this.finish(job, STATUS.CANCELLED);
+            }
+
+            Object.assign(item, { status: ITEM_STATUS.ACTIVE, attempts: item.attempts + 1 });
+            await this.save(job);
+            this.emit(job, 'job:progress', { item: item.index, message: `Processing ${item.label}` });
+
+            try {
+                const result = await handler.processItem(item.input, {
+                    job: this.toPublic(job),
+                    item: item.index,
+                    attempt: item.attempts,
+                    progress: message => this.emit(job, 'job:progress', { item: item.index, message })
+                });
+                Object.assign(item, { status: ITEM_STATUS.COMPLETED, result: result ?? null, error: null });
+            } catch (error) {
+                const retrying = item.attempts < job.maxAttempts;
+                Object.assign(item, { status: retrying ? ITEM_STATUS.RETRYING : ITEM_STATUS.FAILED, error: error.message });
+                console.error(`Job ${job.id} item ${item.index} failed (attempt ${item.attempts}/${job.maxAttempts}):`, error.message);
+            }
+
+            job.progress = this.progressOf(job);
+            await this.save(job);
+            this.emit(job, 'job:progress', { item: item.index, message: `${item.label}: ${item.status}` });
+        }
+
+        if (job.items.some(item => item.status === ITEM_STATUS.RETRYING)) {
+            const runAt = Date.now() + this.backoffMs(job.runs);
+            Object.assign(job, { status: STATUS.DELAYED, nextRunAt: new Date(runAt).toISOString() });
+            await this.save(job);
+            await this.redis.zAdd(this.key('delayed'), { score: runAt, value: job.id });
+            this.emit(job, 'job:progress', { message: `Retrying failed items at ${job.nextRunAt}` });
+            return undefined;
+        }
+
+        const failed = job.items.filter(item => item.status === ITEM_STATUS.FAILED).length;
+        const status = failed === 0 ? STATUS.COMPLETED : failed === job.items.length ? STATUS.FAILED : STATUS.PARTIAL;
+        return this.finish(job, status);
+    }
+
+    /**
+     * Move due retries back to the wait list and process the next job
+     * @returns {Promise<boolean>} Whether a job was processed
+     */
+    async tick() {
+        if (this.busy) return false;
+        this.busy = true;
+        try {
+            await this.connect();
+            const due = await this.redis.zRangeByScore(this.key('delayed'), 0, Date.now());
+            for (const id of due) {
+                await this.redis.zRem(this.key('delayed'), id);
+                await this.redis.lPush(this.key('wait'), id);
+            }
+
+            const jobId = await this.redis.rPopLPush(this.key('wait'), this.key('active'));
+            if (!jobId) return false;
+
+            const job = await this.load(jobId);
+            if (job && !FINISHED.includes(job.status)) {
+                await this.process(job);
+            }
+            await this.redis.lRem(this.key('active'), 0, jobId);
+            return true;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Re-queue jobs interrupted by a restart and start polling
+     */
+    async start(intervalMs = envInt('JOB_POLL_INTERVAL_MS', 1000)) {
+        this.stop();
+        await this.connect();
+        let jobId;
+        while ((jobId = await this.redis.rPopLPush(this.key('active'), this.key('wait')))) {
+            console.log(`Re-queued interrupted job ${jobId}`);
+        }
+
+        const run = () => this.tick()
+            .then(processed => { if (processed) setImmediate(run); })
+            .catch(error => console.error('Job queue tick failed:', error.message));
+        this.timer = setInterval(run, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    registerSocketHandlers(socket) {
+        socket.on('job:subscribe', async ({ jobId } = {}, ack) => {
+            socket.join(`job-${jobId}`);
+            if (typeof ack === 'function') {
+                try {
+                    ack({ success: true, job: await this.get(jobId) });
+                } catch (error) {
+                    ack({ success: false, error: error.message });
+                }
+            }
+        });
+        socket.on('job:unsubscribe', ({ jobId } = {}) => socket.leave(`job-${jobId}`));
+    }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
+module.exports.STATUS = STATUS;
+module.exports.ITEM_STATUS = ITEM_STATUS;
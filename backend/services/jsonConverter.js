@@ -3,12 +3,15 @@
  * Converts Figma design data to various JSON formats
  */
 
+const { tokensToCssVariables } = require('./designTokens');
+
 class JsonConverter {
     /**
      * Convert Figma design data to JSON
      * @param {Object} figmaData - Figma design data
      * @param {string} format - Output format (styleDict, custom, tailwind, css)
      * @param {Object} options - Conversion options
+     * @param {Object} [options.tokenSet] - Stored design token set; used instead of figmaData.designTokens
      * @returns {Object} Converted JSON
      */
     static convertToJSON(figmaData, format = 'styleDict', options = {}) {
@@ -34,6 +37,11 @@ class JsonConverter {
             }
         };
 
+        if (options.tokenSet) {
+            baseData.metadata.tokenSetVersion = options.tokenSet.version;
+            baseData.metadata.modes = options.tokenSet.modes;
+        }
+
         switch (format.toLowerCase()) {
             case 'styledict':
                 return this.convertToStyleDictionary(figmaData, baseData, options);
@@ -58,7 +66,7 @@ class JsonConverter {
      * @returns {Object} Style Dictionary JSON
      */
     static convertToStyleDictionary(figmaData, baseData, options) {
-        const tokens = figmaData.designTokens || {};
+        const tokens = this.getTokens(figmaData, options);
         
         return {
             ...baseData,
@@ -83,7 +91,7 @@ class JsonConverter {
      * @returns {Object} Tailwind config JSON
      */
     static convertToTailwind(figmaData, baseData, options) {
-        const tokens = figmaData.designTokens || {};
+        const tokens = this.getTokens(figmaData, options);
         
         return {
             ...baseData,
@@ -109,11 +117,12 @@ class JsonConverter {
      * @returns {Object} CSS custom properties JSON
      */
     static convertToCSS(figmaData, baseData, options) {
-        const tokens = figmaData.designTokens || {};
+        const tokens = this.getTokens(figmaData, options);
         
         return {
             ...baseData,
-            css: {
+            // Token sets carry their light / dark values as [data-theme] overrides
+            css: options.tokenSet ? tokensToCssVariables(options.tokenSet) : {
                 ':root': {
                     ...this.convertToCSSVariables(tokens.color || {}, 'color'),
                     ...this.convertToCSSVariables(tokens.spacing || {}, 'spacing'),
@@ -137,7 +146,7 @@ class JsonConverter {
         return {
             ...baseData,
             designSystem: {
-                tokens: figmaData.designTokens || {},
+                tokens: this.getTokens(figmaData, options),
                 components: options.includeComponents ? figmaData.components || [] : undefined,
                 prototypes: options.includePrototypes ? figmaData.prototypes || [] : undefined,
                 styles: options.includeStyles ? figmaData.styles || {} : undefined
@@ -153,7 +162,7 @@ class JsonConverter {
      * @returns {Object} Design system JSON
      */
     static convertToDesignSystem(figmaData, baseData, options) {
-        const tokens = figmaData.designTokens || {};
+        const tokens = this.getTokens(figmaData, options);
         
         return {
             ...baseData,
@@ -171,6 +180,16 @@ class JsonConverter {
         };
     }
 
+    /**
+     * Tokens to convert: the stored token set when given, else those scraped into figmaData
+     * @param {Object} figmaData - Figma data
+     * @param {Object} options - Options
+     * @returns {Object} Tokens by category
+     */
+    static getTokens(figmaData, options = {}) {
+        return options.tokenSet?.tokens || figmaData.designTokens || {};
+    }
+
     // Formatting methods
 
     /**
@@ -184,6 +203,7 @@ class JsonConverter {
             formatted[key] = {
                 value: value.value || value,
                 type: 'color',
+                ...(value.modes ? { modes: value.modes } : {}),
                 description: `Color token: ${key}`
             };
         });
@@ -201,6 +221,7 @@ class JsonConverter {
             formatted[key] = {
                 value: value.value || value,
                 type: 'spacing',
+                ...(value.modes ? { modes: value.modes } : {}),
                 description: `Spacing token: ${key}`
             };
         });
@@ -235,6 +256,7 @@ class JsonConverter {
             formatted[key] = {
                 value: value.value || value,
                 type: 'borderRadius',
+                ...(value.modes ? { modes: value.modes } : {}),
                 description: `Border radius token: ${key}`
             };
         });
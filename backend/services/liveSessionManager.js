@@ -0,0 +1,500 @@
+/**
+ * Live Session Manager - Moderated group research sessions in real time
+ * The moderator asks questions (optionally directed at one agent), mutes or
+ * unmutes participants and pauses or resumes the discussion; agents take
+ * turns according to a speaker-selection policy. Turns are streamed to the
+ * `session-<id>` Socket.IO room and appended to research_sessions as they happen.
+ */
+
+const providerGateway = require('./providerGateway');
+const SessionStore = require('./sessionStore');
+const PersonaVersionStore = require('./personaVersionStore');
+const { POLICIES, DEFAULT_SPEAKERS_PER_TURN, selectSpeakers } = require('./speakerSelection');
+const { verifyToken } = require('../middleware/auth');
+const { AppError, ERROR_TYPES, createAuthenticationError, createAuthorizationError } = require('../utils/errorHandler');
+
+const MAX_PARTICIPANTS = 5;
+const CONTEXT_TURNS = 12;
+const MODERATOR_ADMIN_ROLES = ['super_admin'];
+const IDLE_TIMEOUT_MS = (parseInt(process.env.LIVE_SESSION_IDLE_MINUTES, 10) || 30) * 60000;
+
+/**
+ * Speakers per turn from a request: a whole number from 1 to MAX_PARTICIPANTS
+ */
+function parseSpeakersPerTurn(value) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PARTICIPANTS) {
+        throw new AppError(`speakersPerTurn must be a whole number from 1 to ${MAX_PARTICIPANTS}`, ERROR_TYPES.VALIDATION, 400);
+    }
+    return count;
+}
+
+/**
+ * User signed in on a socket connection (handshake auth.token or an
+ * Authorization header), or null for anonymous sockets
+ */
+function socketUser(socket) {
+    const handshake = socket.handshake || {};
+    const header = handshake.headers?.authorization || '';
+    const token = handshake.auth?.token || (header.startsWith('Bearer ') ? header.substring(7) : null);
+    if (!token) return null;
+    try {
+        return verifyToken(token);
+    } catch (error) {
+        return null;
+    }
+}
+
+class LiveSessionManager {
+    constructor({ idleTimeoutMs = IDLE_TIMEOUT_MS } = {}) {
+        this.sessions = new Map();
+        this.io = null;
+        this.idleTimeoutMs = idleTimeoutMs;
+    }
+
+    /**
+     * Bind the Socket.IO server used to broadcast session events
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    emit(sessionId, event, payload) {
+        if (this.io) {
+            this.io.to(`session-${sessionId}`).emit(event, { sessionId, ...payload });
+        }
+    }
+
+    /**
+     * Start a live group session and persist it with status "live"
+     */
+    async start({ agentIds, topic, policy = 'round-robin', speakersPerTurn = DEFAULT_SPEAKERS_PER_TURN, personaVersions = {}, createdBy = null }) {
+        if (!Array.isArray(agentIds) || agentIds.length < 2 || agentIds.length > MAX_PARTICIPANTS) {
+            throw new AppError(`Live sessions need between 2 and ${MAX_PARTICIPANTS} agents`, ERROR_TYPES.VALIDATION, 400);
+        }
+        if (!topic || !topic.trim()) {
+            throw new AppError('Topic is required', ERROR_TYPES.VALIDATION, 400);
+        }
+        if (!POLICIES.includes(policy)) {
+            throw new AppError(`Unknown speaker policy "${policy}". Use one of: ${POLICIES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+        }
+        const speakerCount = parseSpeakersPerTurn(speakersPerTurn ?? DEFAULT_SPEAKERS_PER_TURN);
+
+        // Keeps the moderator's seating order; pinned agents join as their pinned version
+        const agents = await PersonaVersionStore.loadAgents(agentIds, personaVersions);
+
+        if (agents.length !== agentIds.length) {
+            throw new AppError('One or more agents were not found', ERROR_TYPES.NOT_FOUND, 404);
+        }
+
+        const welcome = {
+            speaker: 'Moderator',
+            text: `Welcome everyone! Today we're discussing ${topic.trim()}. Let's hear everyone's perspectives.`,
+            timestamp: new Date().toISOString()
+        };
+
+        const record = await SessionStore.create({
+            type: 'group',
+            topic: topic.trim(),
+            agentIds,
+            agents: agents.map(agent => ({
+                id: agent.id,
+                name: agent.name,
+                location: agent.location || null,
+                avatar_url: agent.avatar_url || null
+            })),
+            personaVersions: PersonaVersionStore.versionMap(agents),
+            log: [welcome],
+            status: 'live',
+            createdBy
+        });
+
+        const session = {
+            id: record.id,
+            topic: record.topic,
+            agents,
+            log: [welcome],
+            muted: new Set(),
+            paused: false,
+            ended: false,
+            policy,
+            speakersPerTurn: speakerCount,
+            rotationIndex: 0,
+            queue: [],
+            processing: false,
+            currentSpeakerId: null,
+            createdBy: createdBy ? String(createdBy) : null,
+            idleTimer: null,
+            startedAt: Date.now()
+        };
+        this.sessions.set(session.id, session);
+        this.touch(session);
+
+        console.log(`🎙️ Live session ${session.id} started with ${agents.length} agents (${policy})`);
+        return this.getState(session.id);
+    }
+
+    get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new AppError('Live session not found', ERROR_TYPES.NOT_FOUND, 404);
+        }
+        return session;
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    /**
+     * Only the user who started a session (or an admin) may steer it
+     */
+    assertModerator(sessionId, user) {
+        const session = this.get(sessionId);
+        if (!user) {
+            throw createAuthenticationError('Sign in to moderate live sessions');
+        }
+        if (session.createdBy !== String(user.id) && !MODERATOR_ADMIN_ROLES.includes(user.role)) {
+            throw createAuthorizationError('Only the moderator who started this session can control it');
+        }
+        return session;
+    }
+
+    /**
+     * Restart the idle countdown; sessions nobody ends are ended after
+     * idleTimeoutMs without moderator questions or agent turns
+     */
+    touch(session) {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => this.endIdle(session.id), this.idleTimeoutMs);
+        session.idleTimer.unref?.();
+    }
+
+    async endIdle(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.ended) return;
+        // An agent still answering counts as activity
+        if (session.processing) {
+            this.touch(session);
+            return;
+        }
+        try {
+            console.log(`⏱️ Live session ${sessionId} idle for ${Math.round(this.idleTimeoutMs / 60000)} min, ending it`);
+            await this.end(sessionId);
+        } catch (error) {
+            console.error(`❌ Failed to end idle live session ${sessionId}:`, error.message);
+        }
+    }
+
+    /**
+     * Serializable snapshot of a live session for clients
+     */
+    getState(sessionId) {
+        const session = this.get(sessionId);
+        return {
+            id: session.id,
+            topic: session.topic,
+            policy: session.policy,
+            speakersPerTurn: session.speakersPerTurn,
+            paused: session.paused,
+            ended: session.ended,
+            currentSpeakerId: session.currentSpeakerId,
+            pendingSpeakers: session.queue.map(item => item.agent.id),
+            participants: session.agents.map(agent => ({
+                id: agent.id,
+                name: agent.name,
+                location: agent.location,
+                occupation: agent.occupation,
+                avatar_url: agent.avatar_url,
+                muted: session.muted.has(agent.id)
+            })),
+            log: session.log
+        };
+    }
+
+    broadcastState(sessionId) {
+        this.emit(sessionId, 'session:state', { state: this.getState(sessionId) });
+    }
+
+    /**
+     * Moderator question or follow-up. With targetAgentId only that agent answers.
+     */
+    async ask(sessionId, { text, targetAgentId = null }) {
+        const session = this.get(sessionId);
+        if (session.ended) {
+            throw new AppError('Session has ended', ERROR_TYPES.CONFLICT, 409);
+        }
+        if (!text || !text.trim()) {
+            throw new AppError('Question text is required', ERROR_TYPES.VALIDATION, 400);
+        }
+        if (targetAgentId) {
+            const target = session.agents.find(agent => agent.id === targetAgentId);
+            if (!target) {
+                throw new AppError('Target agent is not part of this session', ERROR_TYPES.VALIDATION, 400);
+            }
+            if (session.muted.has(targetAgentId)) {
+                throw new AppError(`${target.name} is muted`, ERROR_TYPES.CONFLICT, 409);
+            }
+        }
+
+        const question = text.trim();
+        const turn = {
+            speaker: 'Moderator',
+            text: question,
+            targetAgentId,
+            timestamp: new Date().toISOString()
+        };
+        await this.appendTurn(session, turn);
+
+        const { speakers, rotationIndex, interruptions } = selectSpeakers(session.agents, {
+            policy: session.policy,
+            question,
+            targetAgentId,
+            muted: session.muted,
+            rotationIndex: session.rotationIndex,
+            speakersPerTurn: session.speakersPerTurn
+        });
+        session.rotationIndex = rotationIndex;
+
+        // A new question replaces answers still queued for the previous one
+        session.queue = speakers.map(agent => ({
+            agent,
+            question,
+            directed: Boolean(targetAgentId),
+            interruption: interruptions.includes(agent.id)
+        }));
+
+        this.broadcastState(sessionId);
+        this.processQueue(session);
+
+        return { turn, speakers: speakers.map(agent => agent.id), interruptions };
+    }
+
+    mute(sessionId, agentId) {
+        return this.setMuted(sessionId, agentId, true);
+    }
+
+    unmute(sessionId, agentId) {
+        return this.setMuted(sessionId, agentId, false);
+    }
+
+    setMuted(sessionId, agentId, muted) {
+        const session = this.get(sessionId);
+        if (!session.agents.some(agent => agent.id === agentId)) {
+            throw new AppError('Agent is not part of this session', ERROR_TYPES.VALIDATION, 400);
+        }
+
+        if (muted) {
+            session.muted.add(agentId);
+            session.queue = session.queue.filter(item => item.agent.id !== agentId);
+        } else {
+            session.muted.delete(agentId);
+        }
+
+        this.broadcastState(sessionId);
+        return this.getState(sessionId);
+    }
+
+    /**
+     * Pausing lets the current speaker finish; queued speakers wait for resume
+     */
+    pause(sessionId) {
+        const session = this.get(sessionId);
+        session.paused = true;
+        this.broadcastState(sessionId);
+        return this.getState(sessionId);
+    }
+
+    resume(sessionId) {
+        const session = this.get(sessionId);
+        session.paused = false;
+        this.broadcastState(sessionId);
+        this.processQueue(session);
+        return this.getState(sessionId);
+    }
+
+    setPolicy(sessionId, policy, speakersPerTurn) {
+        const session = this.get(sessionId);
+        if (!POLICIES.includes(policy)) {
+            throw new AppError(`Unknown speaker policy "${policy}". Use one of: ${POLICIES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+        }
+        const speakerCount = speakersPerTurn === undefined || speakersPerTurn === null
+            ? session.speakersPerTurn
+            : parseSpeakersPerTurn(speakersPerTurn);
+        session.policy = policy;
+        session.speakersPerTurn = speakerCount;
+        this.broadcastState(sessionId);
+        return this.getState(sessionId);
+    }
+
+    /**
+     * Sessions live in memory, so any still marked live in the database were
+     * cut off by a restart; mark them interrupted so they don't look ongoing
+     */
+    async recover() {
+        const interrupted = await SessionStore.interruptLive();
+        if (interrupted > 0) {
+            console.log(`Marked ${interrupted} live session(s) interrupted by a restart`);
+        }
+        return interrupted;
+    }
+
+    /**
+     * End the session, persist final status and duration and release it from memory
+     */
+    async end(sessionId) {
+        const session = this.get(sessionId);
+        session.ended = true;
+        session.queue = [];
+        clearTimeout(session.idleTimer);
+
+        const durationMinutes = Math.max(1, Math.round((Date.now() - session.startedAt) / 60000));
+        await SessionStore.update(sessionId, { status: 'completed', durationMinutes });
+
+        const state = this.getState(sessionId);
+        this.emit(sessionId, 'session:ended', { state, durationMinutes });
+        this.sessions.delete(sessionId);
+
+        console.log(`🏁 Live session ${sessionId} ended after ${durationMinutes} min`);
+        return state;
+    }
+
+    async appendTurn(session, turn) {
+        this.touch(session);
+        session.log.push(turn);
+        await SessionStore.appendTurns(session.id, [turn]);
+        this.emit(session.id, 'session:turn', { turn });
+    }
+
+    /**
+     * Work through queued speakers one at a time until the queue drains,
+     * the session is paused or it ends
+     */
+    async processQueue(session) {
+        if (session.processing) return;
+        session.processing = true;
+
+        try {
+            while (session.queue.length > 0 && !session.paused && !session.ended) {
+                const item = session.queue.shift();
+                if (session.muted.has(item.agent.id)) continue;
+
+                session.currentSpeakerId = item.agent.id;
+                this.emit(session.id, 'session:speaking', { agentId: item.agent.id, name: item.agent.name });
+
+                try {
+                    const text = await this.generateTurn(session, item);
+                    // Moderator may have muted or ended while the agent was thinking
+                    if (session.ended || session.muted.has(item.agent.id)) continue;
+
+                    await this.appendTurn(session, {
+                        speaker: item.agent.name,
+                        agentId: item.agent.id,
+                        text,
+                        avatar: item.agent.avatar_url,
+                        interruption: item.interruption || undefined,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    console.error(`❌ Live session ${session.id}: ${item.agent.name} failed to respond:`, error.message);
+                    this.emit(session.id, 'session:error', { agentId: item.agent.id, error: error.message });
+                }
+            }
+        } finally {
+            session.currentSpeakerId = null;
+            session.processing = false;
+            if (!session.ended) {
+                this.broadcastState(session.id);
+            }
+        }
+    }
+
+    async generateTurn(session, item) {
+        const { agent } = item;
+        const others = session.agents.filter(a => a.id !== agent.id).map(a => a.name);
+        const transcript = session.log
+            .slice(-CONTEXT_TURNS)
+            .map(turn => `${turn.speaker}: ${turn.text}`)
+            .join('\n');
+
+        const persona = agent.master_system_prompt ||
+            `You are ${agent.name}, a ${agent.occupation || 'professional'} from ${agent.location || 'India'}. Answer based on your own background and experience.`;
+
+        let instruction;
+        if (item.directed) {
+            instruction = `The moderator is asking you directly: "${item.question}"`;
+        } else if (item.interruption) {
+            instruction = `You feel strongly about this and jump in before others finish. Respond to: "${item.question}"`;
+        } else {
+            instruction = `Share your view on the moderator's question: "${item.question}"`;
+        }
+
+        const messages = [
+            {
+                role: 'system',
+                content: `${persona}
+
+GROUP DISCUSSION CONTEXT:
+You are taking part in a moderated user research group discussion about "${session.topic}" with ${others.join(', ')}.
+- Speak only as yourself, in 2-4 sentences
+- You may agree or disagree with what others said, referring to them by name
+- Do not speak for other participants or the moderator`
+            },
+            {
+                role: 'user',
+                content: `RECENT DISCUSSION:\n${transcript}\n\n${instruction}`
+            }
+        ];
+
+        return providerGateway.chat(messages, {
+            temperature: 0.8,
+            max_tokens: 300,
+            tags: { feature: 'live_session', sessionId: session.id, agentId: agent.id }
+        });
+    }
+
+    /**
+     * Moderator controls over Socket.IO. Anyone may join a session's room to
+     * follow it; the controls need the socket to be signed in as the session's
+     * moderator. Every event acknowledges with { success, state } or
+     * { success: false, error }.
+     */
+    registerSocketHandlers(socket) {
+        const user = socketUser(socket);
+        const handle = (event, action) => {
+            socket.on(event, async (data = {}, ack) => {
+                try {
+                    const result = await action(data);
+                    if (typeof ack === 'function') ack({ success: true, ...result });
+                } catch (error) {
+                    if (typeof ack === 'function') ack({ success: false, error: error.message });
+                }
+            });
+        };
+
+        const moderate = (event, action) => handle(event, (data) => {
+            this.assertModerator(data.sessionId, user);
+            return action(data);
+        });
+
+        handle('session:join', ({ sessionId }) => {
+            const state = this.getState(sessionId);
+            socket.join(`session-${sessionId}`);
+            return { state };
+        });
+        handle('session:leave', ({ sessionId }) => {
+            socket.leave(`session-${sessionId}`);
+            return {};
+        });
+        moderate('session:ask', ({ sessionId, text, targetAgentId }) => this.ask(sessionId, { text, targetAgentId }));
+        moderate('session:mute', ({ sessionId, agentId }) => ({ state: this.mute(sessionId, agentId) }));
+        moderate('session:unmute', ({ sessionId, agentId }) => ({ state: this.unmute(sessionId, agentId) }));
+        moderate('session:pause', ({ sessionId }) => ({ state: this.pause(sessionId) }));
+        moderate('session:resume', ({ sessionId }) => ({ state: this.resume(sessionId) }));
+        moderate('session:policy', ({ sessionId, policy, speakersPerTurn }) => ({ state: this.setPolicy(sessionId, policy, speakersPerTurn) }));
+        moderate('session:end', async ({ sessionId }) => ({ state: await this.end(sessionId) }));
+    }
+}
+
+module.exports = new LiveSessionManager();
+module.exports.LiveSessionManager = LiveSessionManager;
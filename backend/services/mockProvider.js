@@ -1,60 +1,209 @@
 /**
  * Mock AI Provider for testing and development
- * Provides realistic mock responses without requiring actual API keys
+ * Provides deterministic mock responses without requiring actual API keys.
+ * Registered in the ProviderGateway as the "local" provider so the portal
+ * can run fully offline; the same input always yields the same output.
  */
 
+const PERSONA_REPLIES = [
+    "Honestly, I would first check if it is simple to use. If it confuses me, I just close the app.",
+    "I think it looks okay, but I am not sure what some of these terms mean. Can you explain?",
+    "For me the main thing is trust. If I don't know where my money is going, I won't do it.",
+    "Actually this is quite helpful. My brother uses something similar and he likes it.",
+    "I usually ask my colleagues before trying something new like this. Too many steps make me nervous.",
+    "It is fine, but the charges should be clear upfront. Hidden fees are my biggest worry."
+];
+
+const MOCK_ANALYSIS = {
+    speech_patterns: {
+        sentence_length: "medium",
+        formality: 6,
+        filler_words: ["um", "like", "you know"],
+        common_phrases: ["I think", "I mean", "basically"],
+        self_corrections: "occasional",
+        question_style: "direct"
+    },
+    vocabulary_profile: {
+        complexity: 5,
+        avoided_words: ["technical", "complex", "sophisticated"],
+        common_words: ["simple", "easy", "clear", "help", "understand"]
+    },
+    emotional_profile: {
+        baseline: "positive",
+        frustration_triggers: ["confusing", "complex", "technical"],
+        excitement_triggers: ["simple", "clear", "helpful"]
+    },
+    cognitive_profile: {
+        comprehension_speed: "medium",
+        patience: 7
+    },
+    objectives: ["Learn new features", "Complete tasks efficiently"],
+    needs: ["Clear instructions", "Step-by-step guidance", "Help when confused"],
+    fears: [],
+    apprehensions: ["Making mistakes", "Not understanding technical terms"],
+    real_quotes: [
+        "I love using mobile apps for banking",
+        "I get confused by all the technical terms",
+        "I prefer simple explanations",
+        "I usually ask my colleagues for help"
+    ],
+    knowledge_bounds: {
+        confident: ["Mobile apps", "Basic banking"],
+        partial: ["Advanced features", "Security settings"],
+        unknown: ["Technical implementation", "Backend systems"]
+    }
+};
+
+/**
+ * Small, stable string hash (djb2) used to pick canned replies
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Flatten OpenAI-style multimodal content into plain text
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .map(part => (part.type === 'text' ? part.text : part.type === 'image_url' ? '[image]' : ''))
+            .filter(Boolean)
+            .join('\n');
+    }
+    return '';
+}
+
+/**
+ * Pull a JSON section (e.g. "DEMOGRAPHICS:") out of a gateway prompt
+ */
+function extractJsonSection(text, label) {
+    const match = text.match(new RegExp(`${label}:\\n([\\s\\S]*?)(?:\\n\\n[A-Z]|$)`));
+    if (!match) return {};
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return {};
+    }
+}
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic bag-of-words embedding via feature hashing, L2-normalised.
+ * Texts sharing vocabulary land close together, which is enough for
+ * offline theme clustering.
+ */
+function hashEmbedding(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+
+    words.forEach(word => {
+        const hash = hashString(word);
+        vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x100) ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => Number((value / norm).toFixed(6)));
+}
+
+/**
+ * Rough token estimate (~4 characters per token) for usage reporting
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
 class MockProvider {
-    async chat(messages, params = {}) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-        
-        const userMessage = messages.find(m => m.role === 'user')?.content || '';
-        
-        // Generate mock analysis based on input
-        if (userMessage.includes('TRANSCRIPT:') && userMessage.includes('DEMOGRAPHICS:')) {
-            return JSON.stringify({
-                speech_patterns: {
-                    sentence_length: "medium",
-                    formality: 6,
-                    filler_words: ["um", "like", "you know"],
-                    common_phrases: ["I think", "I mean", "basically"],
-                    self_corrections: "occasional",
-                    question_style: "direct"
-                },
-                vocabulary_profile: {
-                    complexity: 5,
-                    avoided_words: ["technical", "complex", "sophisticated"],
-                    common_words: ["simple", "easy", "clear", "help", "understand"]
-                },
-                emotional_profile: {
-                    baseline: "positive",
-                    frustration_triggers: ["confusing", "complex", "technical"],
-                    excitement_triggers: ["simple", "clear", "helpful"]
-                },
-                cognitive_profile: {
-                    comprehension_speed: "medium",
-                    patience: 7
-                },
-                objectives: ["Learn new features", "Complete tasks efficiently"],
-                needs: ["Clear instructions", "Step-by-step guidance", "Help when confused"],
-                apprehensions: ["Making mistakes", "Not understanding technical terms"],
-                real_quotes: [
-                    "I love using mobile apps for banking",
-                    "I get confused by all the technical terms",
-                    "I prefer simple explanations",
-                    "I usually ask my colleagues for help"
-                ],
-                knowledge_bounds: {
-                    confident: ["Mobile apps", "Basic banking"],
-                    partial: ["Advanced features", "Security settings"],
-                    unknown: ["Technical implementation", "Backend systems"]
-                }
-            });
+    constructor(options = {}) {
+        this.name = options.name || 'local';
+        this.defaultModel = options.defaultModel || 'local-persona-v1';
+    }
+
+    async complete(messages, params = {}) {
+        const userMessages = messages.filter(m => m.role === 'user');
+        const lastUserMessage = contentToText(userMessages[userMessages.length - 1]?.content);
+        const promptText = messages.map(m => contentToText(m.content)).join('\n');
+
+        let content;
+        if (lastUserMessage.includes('TRANSCRIPT:') && lastUserMessage.includes('DEMOGRAPHICS:')) {
+            content = JSON.stringify(MOCK_ANALYSIS);
+        } else if (lastUserMessage.startsWith('ANALYSIS:') && lastUserMessage.includes('DEMOGRAPHICS:')) {
+            content = this.synthesizePersona(
+                extractJsonSection(lastUserMessage, 'ANALYSIS'),
+                extractJsonSection(lastUserMessage, 'DEMOGRAPHICS')
+            );
+        } else if (params.response_format?.type === 'json_object') {
+            content = JSON.stringify({ response: PERSONA_REPLIES[hashString(promptText) % PERSONA_REPLIES.length] });
+        } else {
+            content = PERSONA_REPLIES[hashString(promptText) % PERSONA_REPLIES.length];
         }
-        
-        // Default response for other queries
-        return "I understand. How can I help you with that?";
+
+        const promptTokens = estimateTokens(promptText);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            model: params.model || this.defaultModel,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    async chat(messages, params = {}) {
+        const result = await this.complete(messages, params);
+        return result.content;
+    }
+
+    async embed(texts) {
+        const tokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+        return {
+            embeddings: texts.map(hashEmbedding),
+            model: 'local-embedding-v1',
+            usage: { prompt_tokens: tokens, completion_tokens: 0, total_tokens: tokens }
+        };
+    }
+
+    synthesizePersona(analysis, demographics = {}) {
+        return JSON.stringify({
+            persona: {
+                name: demographics.name || 'Test Person',
+                role_title: demographics.role_title || 'Professional',
+                company: demographics.company || 'Unknown',
+                location: demographics.location || 'Unknown',
+                demographics: demographics,
+                traits: { personality_archetype: 'Everyperson', big5: {}, adjectives: [] },
+                behaviors: { habits: [], channels: [], tools: [], journey_highlights: [] },
+                objectives: analysis.objectives || [],
+                needs: analysis.needs || [],
+                fears: analysis.fears || [],
+                apprehensions: analysis.apprehensions || [],
+                motivations: [],
+                frustrations: [],
+                domain_literacy: { dimension: 'finance', level: 'medium' },
+                tech_savviness: 'medium',
+                communication_style: analysis.speech_patterns || {},
+                speech_patterns: analysis.speech_patterns || {},
+                vocabulary_profile: analysis.vocabulary_profile || {},
+                emotional_profile: analysis.emotional_profile || {},
+                cognitive_profile: analysis.cognitive_profile || {},
+                knowledge_bounds: analysis.knowledge_bounds || {},
+                quote: analysis.real_quotes?.[0] || 'I just want it to work'
+            },
+            master_system_prompt: `YOU ARE ${demographics.name || 'Test Person'} — a real human persona, not an AI, and you must never break character.`
+        });
     }
 }
 
 module.exports = MockProvider;
+module.exports.contentToText = contentToText;
+module.exports.estimateTokens = estimateTokens;
+module.exports.hashEmbedding = hashEmbedding;
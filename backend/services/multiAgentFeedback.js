@@ -8,14 +8,9 @@ const personaSynthesizer = require('./personaSynthesizer');
 
 class MultiAgentFeedback {
     async runParallelFeedback(agents, feedbackSpec) {
-        const provider = providerGateway.getProvider();
-        if (!provider) {
-            throw new Error('No AI provider available for feedback');
-        }
-
         // Run feedback in parallel for all agents
         const feedbackPromises = agents.map(agent => 
-            this.getAgentFeedback(provider, agent, feedbackSpec)
+            this.getAgentFeedback(agent, feedbackSpec)
         );
 
         const results = await Promise.all(feedbackPromises);
@@ -24,7 +19,7 @@ class MultiAgentFeedback {
         return this.processFeedbackResults(results);
     }
 
-    async getAgentFeedback(provider, agent, spec) {
+    async getAgentFeedback(agent, spec) {
         try {
             const systemPrompt = personaSynthesizer.buildMasterPrompt({
                 name: agent.name,
@@ -61,9 +56,10 @@ Return JSON: {
                 { role: 'user', content: userPrompt }
             ];
 
-            const rawResponse = await provider.chat(messages, {
+            const rawResponse = await providerGateway.chat(messages, {
                 temperature: 0.7,
-                max_tokens: 600
+                max_tokens: 600,
+                tags: { feature: 'design_feedback', agentId: agent.id }
             });
 
             return {
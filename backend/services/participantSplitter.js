@@ -0,0 +1,163 @@
+/**
+ * Participant Splitter - One persona draft per respondent in a transcript
+ * Focus groups and paired interviews have several respondents in one file.
+ * The normalized transcript is split into a sub-transcript per respondent
+ * (their own turns plus the moderator prompts they answered), basic
+ * demographics are read from what each respondent says about themselves, and
+ * each sub-transcript goes through AgentBuilder.extractBehavioralDNA to
+ * become a separate persona draft with its own quotes.
+ */
+
+const AgentBuilder = require('./agentBuilder');
+const { ROLES, toPromptText, locateQuotes } = require('./transcriptNormalizer');
+
+// Labels that say nothing about the person ("Respondent 2", "P3", "Speaker B")
+const PLACEHOLDER_NAME = /^(?:(?:speaker|participant|respondent|interviewee|user|person|unknown|resp)\s*(?:\d{1,3}|[a-z])?|[pr]\s*\d{1,3})$/i;
+
+const DEMOGRAPHIC_PATTERNS = {
+    name: /\b(?:[Mm]y name is|I am|I'm|[Tt]his is)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\b/,
+    age: [
+        /\b(\d{2})\s*(?:years? old|yrs? old|y\/o)\b/i,
+        // "I'm Ravi, 34, ..."
+        /\b(?:i am|i'm|my name is)\s+[A-Z][a-z]+(?:\s[A-Z][a-z]+)?,\s*(\d{2})\b/i,
+        /\b(?:i am|i'm)\s+(\d{2})\b(?!\s*(?:%|percent|rupees|lakh|k\b))/i,
+        /\bage(?:d)?\s*(?:is\s*)?(\d{2})\b/i
+    ],
+    location: /\b(?:from|live in|living in|based in|based out of|stay in)\s+([A-Z][a-z]+(?:,?\s[A-Z][a-z]+)?)/,
+    occupation: /\b(?:i work as|i'm working as|i am working as|i'm a|i am a|i'm an|i am an)\s+(?:an?\s+)?([a-z][a-z\s-]{2,40}?)(?=[.,;!?]|\s(?:in|at|for|from|and|with)\s|$)/i
+};
+
+// "I'm a bit", "I'm a little" are not occupations
+const NOT_OCCUPATION = /^(bit|little|lot|fan|big|huge|very|bit of|little bit|user|customer)\b/i;
+
+function firstMatch(text, patterns) {
+    for (const pattern of [].concat(patterns)) {
+        const match = text.match(pattern);
+        if (match) return match[1].trim();
+    }
+    return null;
+}
+
+/**
+ * Read name / age / location / occupation from what a respondent says about
+ * themselves; falls back to the speaker label for the name
+ * @param {Array} turns - The respondent's own turns
+ * @param {string} speaker - Speaker label in the transcript
+ */
+function extractDemographics(turns, speaker) {
+    const text = turns.map(turn => turn.text).join(' ');
+    const labelIsName = speaker && !PLACEHOLDER_NAME.test(speaker);
+
+    const age = Number(firstMatch(text, DEMOGRAPHIC_PATTERNS.age));
+    let occupation = firstMatch(text, DEMOGRAPHIC_PATTERNS.occupation);
+    if (occupation && NOT_OCCUPATION.test(occupation)) occupation = null;
+
+    return {
+        name: labelIsName ? speaker : firstMatch(text, DEMOGRAPHIC_PATTERNS.name),
+        age: age >= 13 && age <= 99 ? age : null,
+        location: firstMatch(text, DEMOGRAPHIC_PATTERNS.location),
+        occupation
+    };
+}
+
+/**
+ * Split a normalized transcript into one sub-transcript per respondent.
+ * Each respondent keeps their own turns and the latest moderator prompt
+ * before each answer (in a focus group every respondent answering a
+ * question gets it), so the sub-transcript still reads as an interview.
+ * @param {Object} normalized - transcriptNormalizer result
+ * @returns {Array<{speaker, turnIndexes, turns, words, share, demographics}>}
+ */
+function splitParticipants(normalized) {
+    const totalWords = normalized.speakers
+        .filter(speaker => speaker.role === ROLES.RESPONDENT)
+        .reduce((sum, speaker) => sum + speaker.words, 0);
+
+    return normalized.respondents.map(name => {
+        const turns = [];
+        let prompt = null;
+
+        normalized.turns.forEach(turn => {
+            if (turn.role === ROLES.INTERVIEWER) {
+                prompt = turn;
+            } else if (turn.speaker === name) {
+                if (prompt) turns.push(prompt);
+                prompt = null;
+                turns.push(turn);
+            }
+        });
+
+        const own = turns.filter(turn => turn.speaker === name);
+        const words = normalized.speakers.find(speaker => speaker.name === name)?.words || 0;
+
+        return {
+            speaker: name,
+            turnIndexes: own.map(turn => turn.index),
+            turns,
+            words,
+            share: totalWords > 0 ? Math.round((words / totalWords) * 100) / 100 : 0,
+            demographics: extractDemographics(own, name)
+        };
+    });
+}
+
+/**
+ * Build a persona draft for one participant: behavioral DNA from their
+ * sub-transcript, with extracted quotes linked back to the original turns
+ * @param {Object} participant - Entry from splitParticipants
+ * @param {Object} options - { source }
+ */
+async function draftPersona(participant, { source = null } = {}) {
+    const subTranscript = { turns: participant.turns };
+    const analysis = await AgentBuilder.extractBehavioralDNA({
+        raw_text: toPromptText(subTranscript),
+        file_name: source
+    }, participant.demographics);
+
+    const ownTurns = { turns: participant.turns.filter(turn => turn.speaker === participant.speaker) };
+    const quotes = locateQuotes(analysis.real_quotes || [], ownTurns).map(evidence => ({ ...evidence, source }));
+
+    return {
+        participant: participant.speaker,
+        source,
+        demographics: participant.demographics,
+        behavioral_dna: analysis,
+        quotes,
+        turn_count: participant.turnIndexes.length,
+        words: participant.words
+    };
+}
+
+/**
+ * Persona drafts for every (or the selected) respondent in a transcript.
+ * Participants are drafted one at a time; a failed extraction is reported
+ * on its draft instead of failing the whole transcript.
+ * @param {Object} normalized - transcriptNormalizer result
+ * @param {Object} options - { source, participants: speaker names to include }
+ */
+async function draftPersonas(normalized, { source = null, participants = null } = {}) {
+    const selected = splitParticipants(normalized)
+        .filter(participant => !participants || participants.includes(participant.speaker));
+
+    const drafts = [];
+    for (const participant of selected) {
+        try {
+            drafts.push(await draftPersona(participant, { source }));
+        } catch (error) {
+            drafts.push({
+                participant: participant.speaker,
+                source,
+                demographics: participant.demographics,
+                error: error.message
+            });
+        }
+    }
+    return drafts;
+}
+
+module.exports = {
+    splitParticipants,
+    extractDemographics,
+    draftPersona,
+    draftPersonas
+};
@@ -0,0 +1,456 @@
+/**
+ * Persona Consistency - Drift detection for agent replies
+ * Scores each reply against the persona it was generated from: speech
+ * patterns (sentence length, formality, signature phrases), vocabulary
+ * profile (complexity, avoided words), knowledge level (English level,
+ * tech savviness, knowledge bounds, remembering pain points) and
+ * demographics (age, location, occupation, staying in character).
+ * Heuristic scoring runs on every reply; an LLM judge can be layered on
+ * top with PERSONA_DRIFT_JUDGE=llm.
+ */
+
+const { pool } = require('../models/database');
+const providerGateway = require('./providerGateway');
+const PromptBuilder = require('./promptBuilder');
+
+const DIMENSIONS = ['speech_patterns', 'vocabulary', 'knowledge', 'demographics'];
+const DRIFT_THRESHOLD = 0.65;
+const DIMENSION_FLOOR = 0.4;
+const EXCERPT_LENGTH = 500;
+
+const ENGLISH_LEVELS = ['beginner', 'elementary', 'intermediate', 'advanced', 'expert'];
+
+const SENTENCE_LENGTH_LIMITS = {
+    short: 12,
+    medium: 20
+};
+
+const TECH_JARGON = new Set([
+    'algorithm', 'api', 'architecture', 'authentication', 'backend', 'bandwidth', 'blockchain',
+    'cache', 'configuration', 'dashboard', 'database', 'deployment', 'encryption', 'framework',
+    'frontend', 'infrastructure', 'integration', 'interoperability', 'latency', 'leverage',
+    'methodology', 'optimization', 'optimize', 'paradigm', 'protocol', 'scalability', 'scalable',
+    'seamless', 'synergy', 'throughput', 'tokenization', 'usability', 'workflow'
+]);
+
+const FORMAL_MARKERS = [
+    'furthermore', 'moreover', 'therefore', 'consequently', 'nevertheless', 'additionally',
+    'regarding', 'hence', 'thus', 'in conclusion', 'it is imperative', 'i would like to emphasize'
+];
+
+const HEDGES = ["don't know", 'dont know', 'not sure', 'no idea', 'maybe', 'i think', 'i guess', 'not much idea'];
+
+// Phrases that wave a topic away; next to a known pain point they mean the persona forgot it
+const DISMISSALS = [
+    'no problem', 'not a problem', 'never a problem', 'no issue', 'never an issue', 'never had',
+    'no trouble', 'hassle-free', 'hassle free', 'never worry', "don't worry", 'very easy',
+    'so easy', 'super easy', 'always smooth', 'works perfectly'
+];
+
+const PAIN_POINT_STOPWORDS = new Set([
+    'and', 'are', 'but', 'can', 'for', 'get', 'gets', 'got', 'has', 'its', 'not', 'the', 'too', 'was', 'way',
+    'about', 'after', 'again', 'also', 'always', 'because', 'been', 'being', 'from', 'have',
+    'into', 'just', 'more', 'much', 'only', 'other', 'over', 'some', 'that', 'their', 'them',
+    'then', 'there', 'they', 'this', 'very', 'what', 'when', 'where', 'which', 'while', 'with', 'without'
+]);
+
+const CHARACTER_BREAKS = /\b(as an ai|an ai (?:language )?model|i am an ai|i'm an ai|language model|ai assistant|i don't have personal (?:experiences|opinions))\b/i;
+
+const clamp = value => Math.max(0, Math.min(1, value));
+const round = value => Math.round(value * 1000) / 1000;
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z][a-z'-]*/g) || [];
+}
+
+function textStats(reply) {
+    const words = tokenize(reply);
+    const sentences = String(reply || '').split(/[.!?]+/).map(s => s.trim()).filter(Boolean);
+    const longWords = words.filter(word => word.length >= 9);
+    return {
+        words,
+        wordCount: words.length,
+        avgSentenceLength: sentences.length > 0 ? words.length / sentences.length : 0,
+        longWordRatio: words.length > 0 ? longWords.length / words.length : 0,
+        jargon: [...new Set(words.filter(word => TECH_JARGON.has(word)))]
+    };
+}
+
+/**
+ * English level on the Beginner..Expert scale used by PromptBuilder, as an index 0-4
+ */
+function englishRank(agent) {
+    const raw = agent.speech_patterns?.english_level || agent.english_savvy ||
+        agent.demographics?.english_proficiency || 'Intermediate';
+    const level = String(PromptBuilder.ENGLISH_LEVEL_MAP[raw] || raw).toLowerCase();
+    const rank = ENGLISH_LEVELS.indexOf(level);
+    return rank === -1 ? 2 : rank;
+}
+
+const listOf = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+
+function scoreSpeechPatterns(agent, stats, lowerReply) {
+    const patterns = agent.speech_patterns || {};
+    const issues = [];
+    let penalty = 0;
+
+    const expectedLength = patterns.sentence_length || agent.communication_style?.sentence_length;
+    const limit = SENTENCE_LENGTH_LIMITS[expectedLength];
+    if (limit && stats.avgSentenceLength > limit) {
+        const over = stats.avgSentenceLength > limit * 1.6 ? 0.4 : 0.2;
+        penalty += over;
+        issues.push({
+            dimension: 'speech_patterns',
+            severity: over >= 0.4 ? 'high' : 'medium',
+            message: `Sentences average ${Math.round(stats.avgSentenceLength)} words; persona speaks in ${expectedLength} sentences`
+        });
+    }
+
+    const formality = Number(patterns.formality);
+    const formalHits = FORMAL_MARKERS.filter(marker => lowerReply.includes(marker));
+    if (formality && formality <= 4 && formalHits.length >= 2) {
+        penalty += 0.3;
+        issues.push({
+            dimension: 'speech_patterns',
+            severity: 'medium',
+            message: `Formal connectives (${formalHits.slice(0, 3).join(', ')}) for a persona with formality ${formality}/10`
+        });
+    }
+
+    const signature = [...listOf(patterns.common_phrases), ...listOf(patterns.filler_words || patterns.fillers)];
+    if (signature.length > 0 && stats.wordCount >= 60 &&
+        !signature.some(phrase => lowerReply.includes(phrase.toLowerCase()))) {
+        penalty += 0.15;
+        issues.push({
+            dimension: 'speech_patterns',
+            severity: 'low',
+            message: 'None of the persona\'s filler words or common phrases appear in a long reply'
+        });
+    }
+
+    return { score: clamp(1 - penalty), issues };
+}
+
+function scoreVocabulary(agent, stats) {
+    const profile = agent.vocabulary_profile || {};
+    const issues = [];
+    let penalty = 0;
+
+    const avoided = listOf(profile.avoided_words).map(word => word.toLowerCase());
+    const used = avoided.filter(word => stats.words.includes(word));
+    if (used.length > 0) {
+        penalty += Math.min(0.45, used.length * 0.15);
+        issues.push({
+            dimension: 'vocabulary',
+            severity: used.length > 1 ? 'high' : 'medium',
+            message: `Uses words the persona avoids: ${used.slice(0, 5).join(', ')}`
+        });
+    }
+
+    const complexity = Number(profile.complexity);
+    if (complexity && stats.wordCount >= 15) {
+        // Roughly a quarter of words are 9+ letters at complexity 10
+        const expectedRatio = (complexity / 10) * 0.25;
+        const excess = stats.longWordRatio - expectedRatio;
+        if (excess > 0.08) {
+            penalty += Math.min(0.4, excess * 2);
+            issues.push({
+                dimension: 'vocabulary',
+                severity: excess > 0.15 ? 'high' : 'medium',
+                message: `Vocabulary is more complex than the persona's ${complexity}/10 profile`
+            });
+        }
+    }
+
+    return { score: clamp(1 - penalty), issues };
+}
+
+const painPointText = item => (typeof item === 'string' ? item : item?.description || item?.issue || item?.title || '');
+
+// Plural and singular match: "payments" and "payment"
+const stem = word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/**
+ * Content words of a pain point, used to spot the reply talking about it
+ */
+function painPointKeywords(painPoint) {
+    const words = tokenize(painPointText(painPoint)).filter(word => word.length >= 3 && !PAIN_POINT_STOPWORDS.has(word));
+    return [...new Set(words.map(stem))];
+}
+
+/**
+ * Pain points the reply brushes off: a sentence that names the pain point
+ * (two of its content words, or its only one) and dismisses it
+ */
+function dismissedPainPoints(agent, reply) {
+    const painPoints = agent.pain_points || agent.frustrations || agent.apprehensions;
+    if (!Array.isArray(painPoints) || painPoints.length === 0) return [];
+
+    const sentences = String(reply || '').toLowerCase().split(/[.!?]+/).filter(sentence => DISMISSALS.some(phrase => sentence.includes(phrase)));
+    if (sentences.length === 0) return [];
+
+    return painPoints.filter(painPoint => {
+        const keywords = painPointKeywords(painPoint);
+        if (keywords.length === 0) return false;
+        const needed = Math.min(2, keywords.length);
+        return sentences.some(sentence => {
+            const words = tokenize(sentence).map(stem);
+            return keywords.filter(keyword => words.includes(keyword)).length >= needed;
+        });
+    }).map(painPointText);
+}
+
+function scoreKnowledge(agent, stats, lowerReply, reply) {
+    const issues = [];
+    let penalty = 0;
+
+    const rank = englishRank(agent);
+    const lowTech = String(agent.tech_savviness || '').toLowerCase() === 'low';
+    if ((rank <= 1 || lowTech) && stats.jargon.length > 0) {
+        penalty += Math.min(0.5, stats.jargon.length * 0.15);
+        issues.push({
+            dimension: 'knowledge',
+            severity: stats.jargon.length > 2 ? 'high' : 'medium',
+            message: `Technical jargon (${stats.jargon.slice(0, 5).join(', ')}) from a persona with ${rank <= 1 ? 'limited English' : 'low tech savviness'}`
+        });
+    }
+
+    if (rank <= 1 && stats.wordCount >= 30 && stats.avgSentenceLength > 18) {
+        penalty += 0.25;
+        issues.push({
+            dimension: 'knowledge',
+            severity: 'high',
+            message: 'Long, fluent English sentences from a persona with limited English'
+        });
+    }
+
+    const unknownTopics = listOf(agent.knowledge_bounds?.unknown);
+    const hedged = HEDGES.some(hedge => lowerReply.includes(hedge));
+    const claimed = unknownTopics.filter(topic => lowerReply.includes(topic.toLowerCase()));
+    if (claimed.length > 0 && !hedged) {
+        penalty += 0.3;
+        issues.push({
+            dimension: 'knowledge',
+            severity: 'medium',
+            message: `Speaks confidently about topics the persona doesn't know: ${claimed.slice(0, 3).join(', ')}`
+        });
+    }
+
+    const dismissed = dismissedPainPoints(agent, reply);
+    if (dismissed.length > 0) {
+        penalty += Math.min(0.5, dismissed.length * 0.3);
+        issues.push({
+            dimension: 'knowledge',
+            severity: 'high',
+            message: `Brushes off the persona's own pain points: ${dismissed.slice(0, 3).join('; ')}`
+        });
+    }
+
+    return { score: clamp(1 - penalty), issues };
+}
+
+function scoreDemographics(agent, reply) {
+    const issues = [];
+    let penalty = 0;
+
+    if (CHARACTER_BREAKS.test(reply)) {
+        return {
+            score: 0,
+            issues: [{ dimension: 'demographics', severity: 'high', message: 'Breaks character and speaks as an AI' }]
+        };
+    }
+
+    const age = Number(agent.age || agent.demographics?.age);
+    const statedAge = reply.match(/\bI(?:'m| am) (\d{2})(?: years old| yrs)?\b/i);
+    if (age && statedAge && Math.abs(Number(statedAge[1]) - age) > 2) {
+        penalty += 0.5;
+        issues.push({ dimension: 'demographics', severity: 'high', message: `Claims to be ${statedAge[1]}; persona is ${age}` });
+    }
+
+    const location = String(agent.location || agent.demographics?.location || '').toLowerCase();
+    const statedPlace = reply.match(/\bI (?:live|stay|am based|'m based) in ([A-Z][a-zA-Z]+)/);
+    if (location && statedPlace && !location.includes(statedPlace[1].toLowerCase())) {
+        penalty += 0.4;
+        issues.push({ dimension: 'demographics', severity: 'high', message: `Says they live in ${statedPlace[1]}; persona is from ${agent.location || agent.demographics.location}` });
+    }
+
+    const occupation = tokenize(agent.occupation || agent.role_title);
+    const statedJob = reply.match(/\bI work as an? ([a-zA-Z ]{3,40}?)(?:[,.!]| at | in |$)/i);
+    if (occupation.length > 0 && statedJob && !tokenize(statedJob[1]).some(word => occupation.includes(word))) {
+        penalty += 0.3;
+        issues.push({ dimension: 'demographics', severity: 'medium', message: `Describes a different job ("${statedJob[1].trim()}")` });
+    }
+
+    return { score: clamp(1 - penalty), issues };
+}
+
+/**
+ * Ask the LLM to grade the reply against the persona, including whether it
+ * remembers the persona's pain points. Returns null when the judge is
+ * unavailable or its output can't be parsed.
+ */
+async function judgeWithLLM(agent, reply, tags = {}) {
+    const persona = {
+        name: agent.name,
+        age: agent.age || agent.demographics?.age,
+        occupation: agent.occupation,
+        location: agent.location,
+        english_level: agent.speech_patterns?.english_level || agent.english_savvy,
+        tech_savviness: agent.tech_savviness,
+        speech_patterns: agent.speech_patterns,
+        vocabulary_profile: agent.vocabulary_profile,
+        knowledge_bounds: agent.knowledge_bounds,
+        pain_points: agent.pain_points || agent.frustrations || agent.apprehensions
+    };
+
+    try {
+        const content = await providerGateway.chat([
+            {
+                role: 'system',
+                content: 'You check whether a reply stays in character for a research persona. Score each dimension from 0 (out of character) to 1 (fully consistent): speech_patterns, vocabulary, knowledge (English level, tech savviness, knowledge bounds, remembering pain points), demographics. Respond with JSON only: {"scores": {"speech_patterns": 0.0, "vocabulary": 0.0, "knowledge": 0.0, "demographics": 0.0}, "issues": [{"dimension": "...", "severity": "low|medium|high", "message": "..."}]}'
+            },
+            { role: 'user', content: `PERSONA:\n${JSON.stringify(persona)}\n\nREPLY:\n${reply}` }
+        ], {
+            temperature: 0,
+            max_tokens: 400,
+            response_format: { type: 'json_object' },
+            tags: { feature: 'persona_drift', ...tags }
+        });
+
+        const parsed = JSON.parse(content);
+        if (!parsed.scores || DIMENSIONS.some(d => typeof parsed.scores[d] !== 'number')) return null;
+        return {
+            scores: Object.fromEntries(DIMENSIONS.map(d => [d, clamp(parsed.scores[d])])),
+            issues: (parsed.issues || [])
+                .filter(issue => DIMENSIONS.includes(issue.dimension) && issue.message)
+                .map(issue => ({ dimension: issue.dimension, severity: issue.severity || 'medium', message: String(issue.message) }))
+        };
+    } catch (error) {
+        console.warn('Persona drift judge unavailable, using heuristics only:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Score a reply for consistency with the persona it was generated from
+ * @param {Object} agent - ai_agents row
+ * @param {string} reply - The agent's reply
+ * @param {Object} options - { judge: 'heuristic'|'llm', tags }
+ * @returns {Promise<{score, dimensions, issues, drifted, evaluator}>}
+ */
+async function evaluateReply(agent, reply, { judge = process.env.PERSONA_DRIFT_JUDGE || 'heuristic', tags = {} } = {}) {
+    const text = String(reply || '');
+    const lowerReply = text.toLowerCase();
+    const stats = textStats(text);
+
+    const results = {
+        speech_patterns: scoreSpeechPatterns(agent, stats, lowerReply),
+        vocabulary: scoreVocabulary(agent, stats),
+        knowledge: scoreKnowledge(agent, stats, lowerReply, text),
+        demographics: scoreDemographics(agent, text)
+    };
+
+    const dimensions = Object.fromEntries(DIMENSIONS.map(d => [d, results[d].score]));
+    let issues = DIMENSIONS.flatMap(d => results[d].issues);
+    let evaluator = 'heuristic';
+
+    if (judge === 'llm') {
+        const verdict = await judgeWithLLM(agent, text, tags);
+        if (verdict) {
+            DIMENSIONS.forEach(d => {
+                dimensions[d] = (dimensions[d] + verdict.scores[d]) / 2;
+            });
+            issues = issues.concat(verdict.issues);
+            evaluator = 'llm';
+        }
+    }
+
+    const score = DIMENSIONS.reduce((sum, d) => sum + dimensions[d], 0) / DIMENSIONS.length;
+    const drifted = score < DRIFT_THRESHOLD || DIMENSIONS.some(d => dimensions[d] < DIMENSION_FLOOR);
+
+    return {
+        score: round(score),
+        dimensions: Object.fromEntries(DIMENSIONS.map(d => [d, round(dimensions[d])])),
+        issues,
+        drifted,
+        evaluator
+    };
+}
+
+/**
+ * System-prompt addendum used to regenerate a drifted reply
+ */
+function buildCorrection(evaluation) {
+    const lines = evaluation.issues.map(issue => `- ${issue.message}`);
+    return `\n\n⚠️ CONSISTENCY CHECK: Your previous draft drifted out of character:\n${lines.join('\n')}\n` +
+        'Rewrite your answer so it matches your speech patterns, vocabulary, knowledge level and background exactly. Do not mention this check.\n';
+}
+
+/**
+ * Store an evaluation so per-agent consistency can be tracked over time
+ */
+async function recordCheck(agentId, evaluation, { source = 'ai_chat', sessionId = null, reply = '', regenerated = false } = {}) {
+    await pool.query(
+        `INSERT INTO persona_consistency_checks
+            (agent_id, source, session_id, reply_excerpt, score, dimension_scores, issues, drifted, regenerated, evaluator)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+            agentId,
+            source,
+            sessionId,
+            String(reply).slice(0, EXCERPT_LENGTH),
+            evaluation.score,
+            JSON.stringify(evaluation.dimensions),
+            JSON.stringify(evaluation.issues),
+            evaluation.drifted,
+            regenerated,
+            evaluation.evaluator
+        ]
+    );
+}
+
+/**
+ * Consistency summary for one agent over the last `days` days
+ */
+async function getAgentConsistency(agentId, { days = 30, recentLimit = 5 } = {}) {
+    const summary = await pool.query(
+        `SELECT COUNT(*)::int AS checks,
+                COALESCE(AVG(score), 0)::float AS score,
+                COUNT(*) FILTER (WHERE drifted)::int AS drifted,
+                COUNT(*) FILTER (WHERE regenerated)::int AS regenerated,
+                ${DIMENSIONS.map(d => `COALESCE(AVG((dimension_scores->>'${d}')::numeric), 0)::float AS ${d}`).join(',\n                ')}
+         FROM persona_consistency_checks
+         WHERE agent_id = $1 AND created_at >= NOW() - ($2 || ' days')::interval`,
+        [agentId, String(days)]
+    );
+
+    const recent = await pool.query(
+        `SELECT id, source, session_id, reply_excerpt, score, issues, regenerated, created_at
+         FROM persona_consistency_checks
+         WHERE agent_id = $1 AND drifted
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [agentId, recentLimit]
+    );
+
+    const row = summary.rows[0];
+    return {
+        agentId,
+        days,
+        checks: row.checks,
+        score: round(row.score),
+        driftRate: row.checks > 0 ? round(row.drifted / row.checks) : 0,
+        regenerated: row.regenerated,
+        dimensions: Object.fromEntries(DIMENSIONS.map(d => [d, round(row[d])])),
+        recentDrifts: recent.rows.map(r => ({ ...r, score: Number(r.score) }))
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    DRIFT_THRESHOLD,
+    evaluateReply,
+    buildCorrection,
+    recordCheck,
+    getAgentConsistency
+};
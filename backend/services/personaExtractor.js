@@ -5,6 +5,7 @@
 
 const { OpenAI } = require('openai');
 const { Pinecone } = require('@pinecone-database/pinecone');
+const { redactUpload } = require('./piiRedaction');
 
 class PersonaExtractor {
     constructor() {
@@ -33,13 +34,15 @@ class PersonaExtractor {
      * Extract persona data from transcript text
      * @param {string} transcriptText - Raw transcript text
      * @param {Object} demographics - Basic demographics (optional)
+     * @param {Object} options - { source, createdBy } for the PII redaction audit
      * @returns {Object} Extracted persona data
      */
-    async extractPersona(transcriptText, demographics = {}) {
+    async extractPersona(transcriptText, demographics = {}, { source = 'persona_extractor', createdBy = null } = {}) {
         try {
             console.log('Starting persona extraction...');
             
-            const prompt = this.buildExtractionPrompt(transcriptText, demographics);
+            const { items: [redactedText] } = await redactUpload([transcriptText], { source, createdBy });
+            const prompt = this.buildExtractionPrompt(redactedText, demographics);
             
             const response = await this.openai.chat.completions.create({
                 model: "gpt-4o",
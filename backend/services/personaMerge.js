@@ -0,0 +1,349 @@
+/**
+ * Persona Merge - Folds a new transcript from a returning respondent into
+ * their existing persona
+ * The model is given the current persona and the new transcript and returns
+ * the whole persona with the new evidence merged in. diffPersonas turns that
+ * into field-level changes the researcher accepts or rejects one by one;
+ * applyChanges builds the next persona version from the accepted ones.
+ * Persona documents use the accurate-extraction shape stored in
+ * ai_agents.comprehensive_persona_json; older rows are rebuilt from columns.
+ */
+
+const { ChatOpenAI } = require('@langchain/openai');
+const { toPromptText } = require('./transcriptNormalizer');
+const { PROVENANCE_INSTRUCTIONS, BASIS } = require('./personaProvenance');
+
+const CHANGE_KINDS = {
+    ADDED: 'added',
+    EXTENDED: 'extended',
+    CHANGED: 'changed',
+    REMOVED: 'removed'
+};
+
+// Bookkeeping keys that are not persona fields
+const SKIP_KEYS = new Set(['field_provenance', 'quote_evidence', 'source_meta']);
+
+const BASIS_RANK = { [BASIS.TRANSCRIPT]: 3, [BASIS.INFERRED]: 2, [BASIS.SYNTHETIC]: 1 };
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return fallback;
+    }
+}
+
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function valueAt(persona, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), persona);
+}
+
+function setAt(persona, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        if (!isPlainObject(current[key])) current[key] = {};
+        return current[key];
+    }, persona);
+    parent[last] = value;
+    return persona;
+}
+
+// Comparison key for list items and scalars: case and spacing don't count
+function itemKey(item) {
+    return (typeof item === 'string' ? item : JSON.stringify(item)).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Persona document for an ai_agents row
+ */
+function personaFromAgent(agent) {
+    const comprehensive = parseJson(agent.comprehensive_persona_json, null);
+    if (isPlainObject(comprehensive) && Object.keys(comprehensive).length > 0) {
+        const { field_provenance, quote_evidence, ...persona } = comprehensive;
+        return persona;
+    }
+
+    const personality = parseJson(agent.personality, {}) || {};
+    const techProfile = {
+        tech_savviness: agent.tech_savviness || null,
+        english_level: agent.english_level || null,
+        domain_savvy: agent.domain_savvy || null
+    };
+    return {
+        name: agent.name || null,
+        age: agent.age || null,
+        gender: agent.gender || null,
+        location: agent.location || null,
+        profession: {
+            occupation: agent.occupation || null,
+            background: agent.background_story || null
+        },
+        personality: {
+            personality_traits: Array.isArray(personality.traits) ? personality.traits : [],
+            values: Array.isArray(personality.values) ? personality.values : [],
+            motivations: agent.motivations || []
+        },
+        hobbies: parseJson(agent.hobbies, []) || [],
+        goals: { short_term: agent.goals || [], long_term: [] },
+        pain_points: { general: agent.pain_points || [], ui_pain_points: [] },
+        communication_style: parseJson(agent.communication_style, {}) || {},
+        emotional_profile: parseJson(agent.emotional_profile, {}) || {},
+        daily_routine: parseJson(agent.daily_routine, []) || [],
+        behavioral_patterns: parseJson(agent.behavioral_patterns, {}) || {},
+        tech_profile: techProfile,
+        key_quotes: agent.sample_quote ? [agent.sample_quote] : []
+    };
+}
+
+/**
+ * Field provenance and quote evidence currently stored for an agent
+ */
+function provenanceFromAgent(agent) {
+    const comprehensive = parseJson(agent.comprehensive_persona_json, {}) || {};
+    const sourceMeta = parseJson(agent.source_meta, {}) || {};
+    return {
+        fieldProvenance: sourceMeta.field_provenance || comprehensive.field_provenance || { fields: {}, summary: {} },
+        quoteEvidence: sourceMeta.quote_evidence || comprehensive.quote_evidence || []
+    };
+}
+
+/**
+ * Prompt asking the model to merge a new transcript into the persona
+ */
+function buildMergePrompt(persona, normalized) {
+    return `You are updating an existing user-research persona with a NEW interview transcript from the SAME respondent.
+
+CURRENT PERSONA:
+${JSON.stringify(persona, null, 2)}
+
+MERGE RULES:
+1. Extract ONLY from "Respondent" turns (IGNORE "Moderator" questions)
+2. Keep every current value the new transcript does not touch - copy it through unchanged
+3. Lists: keep existing items and append what is new; drop an item only if the respondent now contradicts it
+4. Single values (age, occupation, location, tone...): replace only when the respondent states something different or more specific
+5. Fill fields that are currently null or [] when the new transcript covers them
+6. Never invent details; the new transcript is the only new evidence
+7. Add the respondent's best new EXACT quotes to "key_quotes"
+
+${PROVENANCE_INSTRUCTIONS}
+Only add field_provenance entries for fields you changed or filled from the NEW transcript.
+
+NEW TRANSCRIPT:
+${toPromptText(normalized)}
+
+Return ONLY valid JSON: the complete merged persona with the same structure as the current persona, plus "field_provenance". No markdown, no explanation.`;
+}
+
+/**
+ * Ask the model for the merged persona
+ * @returns {Promise<Object>} Merged persona (its field_provenance holds the model's citations)
+ */
+async function mergeTranscript(persona, normalized) {
+    const llm = new ChatOpenAI({
+        modelName: 'gpt-4o',
+        temperature: 0.0,
+        maxTokens: 8000,
+        openAIApiKey: process.env.OPENAI_API_KEY
+    });
+
+    const response = await llm.invoke(buildMergePrompt(persona, normalized));
+    const content = response.content.trim()
+        .replace(/^```json\s*/, '')
+        .replace(/^```\s*/, '')
+        .replace(/\s*```$/, '');
+    const merged = JSON.parse(content);
+    if (!isPlainObject(merged)) {
+        throw new Error('Merge response was not a persona object');
+    }
+    return merged;
+}
+
+/**
+ * Dotted paths of every leaf present in either persona. Arrays are leaves.
+ */
+function leafPaths(before, after, skipKeys, prefix = '') {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(key => !skipKeys.has(key)).flatMap(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const left = before?.[key];
+        const right = after?.[key];
+        if (isPlainObject(left) || isPlainObject(right)) {
+            return leafPaths(isPlainObject(left) ? left : {}, isPlainObject(right) ? right : {}, skipKeys, path);
+        }
+        return [path];
+    });
+}
+
+/**
+ * Field-level changes from one persona to the next
+ * @param {Object} options - { skipKeys: keys ignored at any depth (default: provenance bookkeeping) }
+ * @returns {Array<{path, kind, before, after, addedItems?, removedItems?}>}
+ */
+function diffPersonas(before, after, { skipKeys = SKIP_KEYS } = {}) {
+    return leafPaths(before, after, skipKeys).flatMap(path => {
+        const left = valueAt(before, path);
+        const right = valueAt(after, path);
+        if (isEmpty(left) && isEmpty(right)) return [];
+        if (isEmpty(right)) return [{ path, kind: CHANGE_KINDS.REMOVED, before: left, after: right ?? null }];
+        if (isEmpty(left)) return [{ path, kind: CHANGE_KINDS.ADDED, before: left ?? null, after: right }];
+
+        if (Array.isArray(left) || Array.isArray(right)) {
+            const leftItems = [].concat(left);
+            const rightItems = [].concat(right);
+            const leftKeys = new Set(leftItems.map(itemKey));
+            const rightKeys = new Set(rightItems.map(itemKey));
+            const addedItems = rightItems.filter(item => !leftKeys.has(itemKey(item)));
+            const removedItems = leftItems.filter(item => !rightKeys.has(itemKey(item)));
+            if (addedItems.length === 0 && removedItems.length === 0) return [];
+            return [{
+                path,
+                kind: removedItems.length === 0 ? CHANGE_KINDS.EXTENDED : CHANGE_KINDS.CHANGED,
+                before: left,
+                after: right,
+                addedItems,
+                removedItems
+            }];
+        }
+
+        if (itemKey(left) === itemKey(right)) return [];
+        return [{ path, kind: CHANGE_KINDS.CHANGED, before: left, after: right }];
+    });
+}
+
+/**
+ * Attach the new transcript's evidence to each change
+ */
+function withEvidence(changes, provenance) {
+    return changes.map(change => {
+        const entry = provenance?.fields?.[change.path];
+        return {
+            ...change,
+            basis: entry?.basis || BASIS.SYNTHETIC,
+            confidence: entry?.confidence ?? null,
+            evidence: entry?.evidence || []
+        };
+    });
+}
+
+// One field's provenance after an accepted change
+function mergeFieldProvenance(previous, incoming, kind) {
+    if (kind === CHANGE_KINDS.REMOVED) return null;
+    if (!incoming) return previous || null;
+    if (kind !== CHANGE_KINDS.EXTENDED || !previous) return incoming;
+    return {
+        basis: (BASIS_RANK[incoming.basis] || 0) >= (BASIS_RANK[previous.basis] || 0) ? incoming.basis : previous.basis,
+        confidence: Math.max(previous.confidence || 0, incoming.confidence || 0),
+        via: incoming.via,
+        evidence: [...(previous.evidence || []), ...(incoming.evidence || [])]
+    };
+}
+
+/**
+ * Build the next persona from the accepted changes
+ * @param {Object} persona - Current persona document
+ * @param {Array} changes - Proposal changes (from diffPersonas + withEvidence)
+ * @param {Object} decisions - { [path]: 'accept' | 'reject' }; undecided changes are rejected
+ * @param {Object} provenance - { current: field_provenance, incoming: new transcript's field_provenance }
+ * @returns {{ persona, fieldProvenance, accepted: string[], rejected: string[] }}
+ */
+function applyChanges(persona, changes, decisions = {}, { current = { fields: {} }, incoming = { fields: {} } } = {}) {
+    const next = JSON.parse(JSON.stringify(persona));
+    const fields = { ...(current?.fields || {}) };
+    const accepted = [];
+    const rejected = [];
+
+    changes.forEach(change => {
+        if (decisions[change.path] !== 'accept') {
+            rejected.push(change.path);
+            return;
+        }
+        accepted.push(change.path);
+        setAt(next, change.path, change.after === undefined ? null : change.after);
+
+        const merged = mergeFieldProvenance(fields[change.path], incoming?.fields?.[change.path], change.kind);
+        if (merged) {
+            fields[change.path] = merged;
+        } else {
+            delete fields[change.path];
+        }
+    });
+
+    const summary = Object.values(BASIS).reduce((acc, basis) => ({ ...acc, [basis]: 0 }), {});
+    Object.values(fields).forEach(field => { summary[field.basis] = (summary[field.basis] || 0) + 1; });
+
+    return { persona: next, fieldProvenance: { fields, summary }, accepted, rejected };
+}
+
+/**
+ * ai_agents column values for a persona document (same mapping as the
+ * accurate transcript upload). JSONB columns are serialized; TEXT[] stay arrays.
+ */
+function agentColumns(persona) {
+    const location = typeof persona.location === 'string'
+        ? persona.location
+        : [persona.location?.city, persona.location?.state].filter(Boolean).join(', ');
+
+    return {
+        name: persona.name || 'Unknown',
+        occupation: persona.profession?.occupation || 'Not specified',
+        location: location || 'Not specified',
+        age: persona.age ?? null,
+        gender: persona.gender ?? null,
+        pain_points: [...(persona.pain_points?.general || []), ...(persona.pain_points?.ui_pain_points || [])],
+        goals: [...(persona.goals?.short_term || []), ...(persona.goals?.long_term || [])],
+        motivations: persona.personality?.motivations || [],
+        personality: JSON.stringify({
+            traits: persona.personality?.personality_traits || [],
+            values: persona.personality?.values || [],
+            full_data: persona.personality || {}
+        }),
+        sample_quote: persona.key_quotes?.[0] || '',
+        hobbies: JSON.stringify(Array.isArray(persona.hobbies) ? persona.hobbies : []),
+        daily_routine: JSON.stringify(Array.isArray(persona.daily_routine) ? persona.daily_routine : []),
+        background_story: persona.profession?.background || '',
+        tech_savviness: (persona.tech_profile?.tech_savviness || 'medium').substring(0, 100),
+        english_level: (persona.tech_profile?.english_level || 'intermediate').substring(0, 100),
+        domain_savvy: (persona.tech_profile?.domain_savvy || 'intermediate').substring(0, 20),
+        communication_style: JSON.stringify(persona.communication_style || {}),
+        emotional_profile: JSON.stringify(persona.emotional_profile || {}),
+        behavioral_patterns: persona.behavioral_patterns ? JSON.stringify(persona.behavioral_patterns) : null
+    };
+}
+
+/**
+ * Columns whose value differs between two persona documents, so fields
+ * nobody touched keep whatever richer data the row already had
+ */
+function changedColumns(before, after) {
+    const previous = agentColumns(before);
+    const next = agentColumns(after);
+    return Object.fromEntries(Object.entries(next).filter(([column, value]) => JSON.stringify(value) !== JSON.stringify(previous[column])));
+}
+
+module.exports = {
+    CHANGE_KINDS,
+    personaFromAgent,
+    provenanceFromAgent,
+    buildMergePrompt,
+    mergeTranscript,
+    diffPersonas,
+    withEvidence,
+    applyChanges,
+    agentColumns,
+    changedColumns,
+    valueAt
+};
@@ -0,0 +1,188 @@
+/**
+ * Persona Provenance - Ties every extracted persona field to the transcript
+ * LLM extraction mixes what the respondent actually said with what the model
+ * filled in. Each non-empty field gets a provenance entry:
+ *   transcript  the respondent turn(s) that support it, with quote and timestamp
+ *   inferred    read from tone or context rather than stated, with a confidence
+ *   synthetic   nothing in the transcript supports it
+ * Citations the model returns are checked against the normalized turns with
+ * locateQuotes; a citation that cannot be found is downgraded to inferred.
+ * Fields without a citation fall back to searching for the value itself in
+ * the respondent's turns, so routes whose extractor returns no citations
+ * still get provenance.
+ */
+
+const { ROLES, locateQuotes } = require('./transcriptNormalizer');
+
+const BASIS = {
+    TRANSCRIPT: 'transcript',
+    INFERRED: 'inferred',
+    SYNTHETIC: 'synthetic'
+};
+
+// Bookkeeping keys that are not persona fields
+const SKIP_KEYS = new Set(['field_provenance', 'quote_evidence', 'key_quotes', 'source_meta']);
+
+// Default confidence per basis when the model gives none
+const DEFAULT_CONFIDENCE = {
+    citation: { exact: 0.9, approximate: 0.75 },
+    value: { exact: 0.7, approximate: 0.5 },
+    inferred: 0.5,
+    synthetic: 0.2
+};
+
+/**
+ * Instructions appended to an extraction prompt so the model cites its sources
+ */
+const PROVENANCE_INSTRUCTIONS = `PROVENANCE (required):
+Add a top-level "field_provenance" object. For EVERY field you filled, add an entry keyed by its dotted path (e.g. "age", "location.city", "personality.values", "goals.short_term"):
+  { "basis": "stated" | "inferred", "quotes": [string], "confidence": number between 0 and 1 }
+- "stated": the Respondent said it; "quotes" holds their EXACT words (short excerpts) that support it
+- "inferred": read from tone, context or behaviour rather than said outright; quote the turns it was inferred from if any
+Do not add entries for fields left null or [].`;
+
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+/**
+ * Dotted paths of every non-empty leaf field. Arrays are leaves.
+ */
+function fieldPaths(persona, prefix = '') {
+    return Object.entries(persona || {}).flatMap(([key, value]) => {
+        if (SKIP_KEYS.has(key) || isEmpty(value)) return [];
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            return fieldPaths(value, path);
+        }
+        return [path];
+    });
+}
+
+function valueAt(persona, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), persona);
+}
+
+// Searchable strings in a field value ("cricket", or a life event's text)
+function valueStrings(value) {
+    return [].concat(value).flatMap(item => {
+        if (typeof item === 'string') return [item];
+        if (item && typeof item === 'object') {
+            return Object.values(item).filter(part => typeof part === 'string');
+        }
+        return [];
+    }).filter(text => text.trim().length >= 4 && /[A-Za-z]{3}/.test(text));
+}
+
+// Only respondent turns count as evidence for a respondent's persona
+function respondentEvidence(located, normalized) {
+    const roleOf = new Map(normalized.turns.map(turn => [turn.index, turn.role]));
+    return located.filter(evidence => evidence.match !== 'none' && roleOf.get(evidence.turnIndex) === ROLES.RESPONDENT);
+}
+
+function clampConfidence(value, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.round(Math.min(1, Math.max(0, number)) * 100) / 100;
+}
+
+// The model's entry for a path, or for the nearest parent it described
+function citedEntry(cited, path) {
+    const parts = path.split('.');
+    for (let length = parts.length; length > 0; length--) {
+        const entry = cited[parts.slice(0, length).join('.')];
+        if (entry && typeof entry === 'object') return entry;
+    }
+    return null;
+}
+
+function evidenceConfidence(evidence, kind, claimed) {
+    const match = evidence.some(item => item.match === 'exact') ? 'exact' : 'approximate';
+    const ceiling = DEFAULT_CONFIDENCE[kind][match];
+    return kind === 'citation' ? Math.min(clampConfidence(claimed, ceiling), match === 'exact' ? 1 : ceiling) : ceiling;
+}
+
+function withSource(evidence, source) {
+    return evidence.map(({ quote, turnIndex, speaker, start, startSeconds, match }) => ({
+        quote, turnIndex, speaker, start, startSeconds, match, ...(source ? { source } : {})
+    }));
+}
+
+/**
+ * Provenance for one field
+ */
+function traceField(persona, path, cited, normalized, source) {
+    const entry = citedEntry(cited, path);
+    const claimedQuotes = Array.isArray(entry?.quotes) ? entry.quotes : [].concat(entry?.quote || []);
+
+    if (claimedQuotes.length > 0) {
+        const evidence = respondentEvidence(locateQuotes(claimedQuotes, normalized), normalized);
+        if (evidence.length > 0) {
+            const basis = entry.basis === 'inferred' ? BASIS.INFERRED : BASIS.TRANSCRIPT;
+            const confidence = basis === BASIS.INFERRED
+                ? clampConfidence(entry.confidence, DEFAULT_CONFIDENCE.inferred)
+                : evidenceConfidence(evidence, 'citation', entry.confidence);
+            return { basis, confidence, via: 'citation', evidence: withSource(evidence, source) };
+        }
+        // Cited words that are not in the transcript are not evidence
+        return {
+            basis: BASIS.INFERRED,
+            confidence: Math.min(clampConfidence(entry.confidence, DEFAULT_CONFIDENCE.inferred), DEFAULT_CONFIDENCE.inferred),
+            via: 'unverified_citation',
+            evidence: []
+        };
+    }
+
+    const evidence = respondentEvidence(locateQuotes(valueStrings(valueAt(persona, path)), normalized, { minOverlap: 0.75 }), normalized);
+    if (evidence.length > 0) {
+        return { basis: BASIS.TRANSCRIPT, confidence: evidenceConfidence(evidence, 'value'), via: 'value', evidence: withSource(evidence, source) };
+    }
+
+    if (entry?.basis === 'inferred' || entry?.basis === 'stated') {
+        return { basis: BASIS.INFERRED, confidence: clampConfidence(entry.confidence, DEFAULT_CONFIDENCE.inferred), via: 'model', evidence: [] };
+    }
+
+    return { basis: BASIS.SYNTHETIC, confidence: DEFAULT_CONFIDENCE.synthetic, via: 'none', evidence: [] };
+}
+
+/**
+ * Build provenance for an extracted persona
+ * @param {Object} persona - Extracted persona (its field_provenance, if any, is the model's citations)
+ * @param {Object} normalized - transcriptNormalizer result the persona was extracted from
+ * @param {Object} options - { source: file name recorded on each evidence item }
+ * @returns {{ fields: Object<string, {basis, confidence, via, evidence}>, summary: Object<string, number> }}
+ */
+function buildProvenance(persona, normalized, { source = null } = {}) {
+    const cited = persona?.field_provenance && typeof persona.field_provenance === 'object' && !persona.field_provenance.fields
+        ? persona.field_provenance
+        : {};
+    const fields = {};
+
+    fieldPaths(persona).forEach(path => {
+        fields[path] = traceField(persona, path, cited, normalized, source);
+    });
+
+    // Key quotes are their own evidence
+    const quoteEvidence = respondentEvidence(locateQuotes(persona?.key_quotes, normalized), normalized);
+    if (!isEmpty(persona?.key_quotes)) {
+        fields.key_quotes = quoteEvidence.length > 0
+            ? { basis: BASIS.TRANSCRIPT, confidence: evidenceConfidence(quoteEvidence, 'citation'), via: 'citation', evidence: withSource(quoteEvidence, source) }
+            : { basis: BASIS.SYNTHETIC, confidence: DEFAULT_CONFIDENCE.synthetic, via: 'none', evidence: [] };
+    }
+
+    const summary = Object.values(BASIS).reduce((acc, basis) => ({ ...acc, [basis]: 0 }), {});
+    Object.values(fields).forEach(field => { summary[field.basis] += 1; });
+
+    return { fields, summary };
+}
+
+module.exports = {
+    BASIS,
+    PROVENANCE_INSTRUCTIONS,
+    buildProvenance,
+    fieldPaths
+};
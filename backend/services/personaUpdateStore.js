@@ -0,0 +1,222 @@
+/**
+ * Persona Update Store - Postgres persistence for incremental persona updates
+ * A new transcript from an existing respondent produces a pending proposal
+ * (field-level changes plus the evidence behind them). Applying it with the
+ * researcher's accept / reject decisions writes a new persona version; the
+ * previous state stays in persona_versions.
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const PersonaVersionStore = require('./personaVersionStore');
+const {
+    personaFromAgent,
+    provenanceFromAgent,
+    applyChanges,
+    changedColumns
+} = require('./personaMerge');
+
+const STATUSES = ['pending', 'applied', 'rejected', 'discarded'];
+const DECISIONS = ['accept', 'reject'];
+
+const PROPOSAL_COLUMNS = `
+    id, agent_id, base_version, status, source_file, changes, proposed_persona, field_provenance,
+    quote_evidence, redaction_audit_id, applied_version, decisions, created_by, created_at, resolved_at
+`;
+
+function validateDecisions(decisions, changes) {
+    if (decisions === null || typeof decisions !== 'object' || Array.isArray(decisions)) {
+        throw new AppError('decisions must be an object of { field path: "accept" | "reject" }', ERROR_TYPES.VALIDATION, 400);
+    }
+    const paths = new Set(changes.map(change => change.path));
+    Object.entries(decisions).forEach(([path, decision]) => {
+        if (!paths.has(path)) {
+            throw new AppError(`No proposed change for field "${path}"`, ERROR_TYPES.VALIDATION, 400);
+        }
+        if (!DECISIONS.includes(decision)) {
+            throw new AppError(`decision for "${path}" must be one of: ${DECISIONS.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+        }
+    });
+}
+
+// Accepted key quotes bring their located evidence along
+function mergeQuoteEvidence(current, incoming, accepted) {
+    if (!accepted.includes('key_quotes')) return current;
+    const seen = new Set(current.map(evidence => evidence.quote));
+    return [...current, ...incoming.filter(evidence => !seen.has(evidence.quote))];
+}
+
+class PersonaUpdateStore {
+    /**
+     * @param {Object} proposal - { agentId, baseVersion, sourceFile, changes, proposedPersona, fieldProvenance, quoteEvidence, redactionAuditId, createdBy }
+     */
+    static async create({ agentId, baseVersion, sourceFile = null, changes, proposedPersona, fieldProvenance = {}, quoteEvidence = [], redactionAuditId = null, createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO persona_update_proposals (
+                agent_id, base_version, source_file, changes, proposed_persona, field_provenance,
+                quote_evidence, redaction_audit_id, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING ${PROPOSAL_COLUMNS}
+        `, [
+            agentId,
+            baseVersion,
+            sourceFile,
+            JSON.stringify(changes),
+            JSON.stringify(proposedPersona),
+            JSON.stringify(fieldProvenance),
+            JSON.stringify(quoteEvidence),
+            redactionAuditId,
+            createdBy ? String(createdBy) : null
+        ]);
+        return result.rows[0];
+    }
+
+    static async get(proposalId) {
+        const result = await pool.query(`SELECT ${PROPOSAL_COLUMNS} FROM persona_update_proposals WHERE id = $1`, [proposalId]);
+        return result.rows[0] || null;
+    }
+
+    static async listForAgent(agentId, { status } = {}) {
+        const params = [agentId];
+        let where = 'WHERE agent_id = $1';
+        if (status) {
+            if (!STATUSES.includes(status)) {
+                throw new AppError(`status must be one of: ${STATUSES.join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+            }
+            params.push(status);
+            where += ' AND status = $2';
+        }
+        const result = await pool.query(`
+            SELECT id, agent_id, base_version, status, source_file, jsonb_array_length(changes) AS change_count,
+                   applied_version, created_by, created_at, resolved_at
+            FROM persona_update_proposals ${where}
+            ORDER BY created_at DESC
+        `, params);
+        return result.rows;
+    }
+
+    static async discard(proposalId) {
+        const result = await pool.query(`
+            UPDATE persona_update_proposals SET status = 'discarded', resolved_at = NOW()
+            WHERE id = $1 AND status = 'pending'
+            RETURNING ${PROPOSAL_COLUMNS}
+        `, [proposalId]);
+        if (result.rows.length > 0) return result.rows[0];
+
+        const proposal = await this.get(proposalId);
+        if (!proposal) return null;
+        throw new AppError(`Update is already ${proposal.status}`, ERROR_TYPES.VALIDATION, 400);
+    }
+
+    /**
+     * Apply the accepted changes as a new persona version
+     * @param {string} proposalId
+     * @param {Object} decisions - { [field path]: 'accept' | 'reject' }; undecided changes are rejected
+     * @returns {Promise<{proposal, agent, version}|null>} null when the proposal does not exist;
+     *   version is null when every change was rejected
+     */
+    static async apply(proposalId, decisions, { createdBy = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const proposalResult = await client.query(
+                `SELECT ${PROPOSAL_COLUMNS} FROM persona_update_proposals WHERE id = $1 FOR UPDATE`,
+                [proposalId]
+            );
+            const proposal = proposalResult.rows[0];
+            if (!proposal) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            if (proposal.status !== 'pending') {
+                throw new AppError(`Update is already ${proposal.status}`, ERROR_TYPES.VALIDATION, 400);
+            }
+            validateDecisions(decisions, proposal.changes);
+
+            const agentResult = await client.query('SELECT * FROM ai_agents WHERE id = $1 FOR UPDATE', [proposal.agent_id]);
+            const agent = agentResult.rows[0];
+            if ((agent.persona_version || 1) !== proposal.base_version) {
+                throw new AppError(
+                    `Persona is at version ${agent.persona_version}; this update was proposed against version ${proposal.base_version}. Upload the transcript again.`,
+                    ERROR_TYPES.CONFLICT,
+                    409
+                );
+            }
+
+            const current = personaFromAgent(agent);
+            const { fieldProvenance, quoteEvidence } = provenanceFromAgent(agent);
+            const merged = applyChanges(current, proposal.changes, decisions, {
+                current: fieldProvenance,
+                incoming: proposal.field_provenance
+            });
+
+            if (merged.accepted.length === 0) {
+                const rejected = await client.query(`
+                    UPDATE persona_update_proposals SET status = 'rejected', decisions = $2, resolved_at = NOW()
+                    WHERE id = $1 RETURNING ${PROPOSAL_COLUMNS}
+                `, [proposalId, JSON.stringify(decisions)]);
+                await client.query('COMMIT');
+                return { proposal: rejected.rows[0], agent: { id: agent.id, name: agent.name, persona_version: agent.persona_version }, version: null };
+            }
+
+            const nextQuoteEvidence = mergeQuoteEvidence(quoteEvidence, proposal.quote_evidence || [], merged.accepted);
+            const snapshot = {
+                ...merged.persona,
+                field_provenance: merged.fieldProvenance,
+                quote_evidence: nextQuoteEvidence
+            };
+
+            const columns = {
+                ...changedColumns(current, merged.persona),
+                comprehensive_persona_json: JSON.stringify(snapshot)
+            };
+            if (agent.source_meta?.field_provenance) {
+                columns.source_meta = JSON.stringify({
+                    ...agent.source_meta,
+                    field_provenance: merged.fieldProvenance,
+                    quote_evidence: nextQuoteEvidence
+                });
+            }
+            const entries = Object.entries(columns);
+            const assignments = entries.map(([column], index) => `${column} = $${index + 2}`);
+            const updated = await client.query(`
+                UPDATE ai_agents
+                SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [agent.id, ...entries.map(([, value]) => value)]);
+            const updatedAgent = updated.rows[0];
+
+            const version = await PersonaVersionStore.recordChange(client, 'ai_agent', agent, updatedAgent, {
+                changeSource: 'transcript_update',
+                changeSummary: { proposalId, accepted: merged.accepted, rejected: merged.rejected },
+                sourceFiles: proposal.source_file ? [proposal.source_file] : [],
+                createdBy
+            });
+            const nextVersion = updatedAgent.persona_version || 1;
+
+            const applied = await client.query(`
+                UPDATE persona_update_proposals
+                SET status = 'applied', applied_version = $2, decisions = $3, resolved_at = NOW()
+                WHERE id = $1 RETURNING ${PROPOSAL_COLUMNS}
+            `, [proposalId, nextVersion, JSON.stringify(decisions)]);
+
+            await client.query('COMMIT');
+            const { id, name, occupation, location, age, gender, avatar_url, persona_version, updated_at } = updatedAgent;
+            return {
+                proposal: applied.rows[0],
+                agent: { id, name, occupation, location, age, gender, avatar_url, persona_version, updated_at },
+                version
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = PersonaUpdateStore;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,324 @@
+/**
+ * Persona Version Store - Postgres persistence for persona history
+ * Every change to a persona row (ai_agents, the legacy agents table or v2
+ * personas) stores a snapshot of the row as a new version, recording who
+ * changed it and which fields moved. Versions can be compared, restored with
+ * a rollback (itself a new version) and pinned by research sessions so a
+ * session always runs against the persona it was designed with.
+ * <table>.persona_version points at the version the row currently holds.
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { diffPersonas } = require('./personaMerge');
+
+const PERSONA_TYPES = {
+    ai_agent: { table: 'ai_agents' },
+    agent: { table: 'agents' },
+    persona: { table: 'personas', ownerColumn: 'user_id' }
+};
+
+const CHANGE_SOURCES = ['initial', 'edit', 'transcript_update', 'rollback'];
+
+// Identity, timestamps and lifecycle flags are not part of a persona's content
+const UNVERSIONED_COLUMNS = new Set([
+    'id', 'created_at', 'updated_at', 'persona_version', 'embedding',
+    'status', 'is_active', 'deleted_at', 'user_id'
+]);
+
+const VERSION_COLUMNS = 'id, persona_type, agent_id, version, snapshot, change_source, change_summary, source_files, created_by, created_at';
+const SUMMARY_COLUMNS = 'id, persona_type, agent_id, version, change_source, change_summary, source_files, created_by, created_at';
+
+const columnTypeCache = new Map();
+
+function typeConfig(type) {
+    const config = PERSONA_TYPES[type];
+    if (!config) {
+        throw new AppError(`Unknown persona type "${type}". Use one of: ${Object.keys(PERSONA_TYPES).join(', ')}`, ERROR_TYPES.VALIDATION, 400);
+    }
+    return config;
+}
+
+function parseVersion(value) {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new AppError('version must be a positive integer', ERROR_TYPES.VALIDATION, 400);
+    }
+    return version;
+}
+
+/**
+ * Versioned content of a row, JSON-safe (dates become ISO strings)
+ */
+function snapshotOf(row) {
+    return JSON.parse(JSON.stringify(Object.fromEntries(
+        Object.entries(row).filter(([column]) => !UNVERSIONED_COLUMNS.has(column))
+    )));
+}
+
+/**
+ * Field-level JSON diff between two snapshots
+ */
+function diffSnapshots(before, after) {
+    return diffPersonas(before || {}, after || {}, { skipKeys: new Set() })
+        .map(({ path, kind, before: from, after: to, addedItems, removedItems }) => ({
+            path,
+            kind,
+            before: from ?? null,
+            after: to ?? null,
+            ...(addedItems ? { addedItems, removedItems } : {})
+        }));
+}
+
+function changedColumns(changes) {
+    return [...new Set(changes.map(change => change.path.split('.')[0]))];
+}
+
+/**
+ * Column -> data_type for a table, so snapshots can be written back
+ * (JSON columns need serializing; TEXT[] columns take arrays as they are)
+ */
+async function columnTypes(client, table) {
+    if (!columnTypeCache.has(table)) {
+        const result = await client.query(
+            'SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+            [table]
+        );
+        columnTypeCache.set(table, new Map(result.rows.map(row => [row.column_name, row.data_type])));
+    }
+    return columnTypeCache.get(table);
+}
+
+function rowCondition(config, ownerId) {
+    return config.ownerColumn ? `id = $1 AND ${config.ownerColumn} = $2` : 'id = $1';
+}
+
+function rowParams(config, id, ownerId) {
+    return config.ownerColumn ? [id, ownerId] : [id];
+}
+
+class PersonaVersionStore {
+    /**
+     * Current row, or null when it does not exist (or belongs to someone else)
+     * @param {Object} options - { ownerId: required for v2 personas, client, forUpdate }
+     */
+    static async current(type, id, { ownerId = null, client = pool, forUpdate = false } = {}) {
+        const config = typeConfig(type);
+        const result = await client.query(
+            `SELECT * FROM ${config.table} WHERE ${rowCondition(config, ownerId)}${forUpdate ? ' FOR UPDATE' : ''}`,
+            rowParams(config, id, ownerId)
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record the row as it is now when it has no history yet, so the
+     * first change has something to compare against and roll back to
+     * @param {Object} client - Pool client inside the caller's transaction
+     */
+    static async ensureBaseline(client, type, row, { createdBy = null } = {}) {
+        typeConfig(type);
+        const existing = await client.query(
+            'SELECT 1 FROM persona_versions WHERE persona_type = $1 AND agent_id = $2 LIMIT 1',
+            [type, row.id]
+        );
+        if (existing.rows.length > 0) return false;
+
+        await client.query(`
+            INSERT INTO persona_versions (persona_type, agent_id, version, snapshot, change_source, created_by)
+            VALUES ($1, $2, $3, $4, 'initial', $5)
+        `, [type, row.id, row.persona_version || 1, JSON.stringify(snapshotOf(row)), createdBy]);
+        return true;
+    }
+
+    /**
+     * Store a change as a new version and move the row's persona_version to it
+     * @param {Object} client - Pool client inside the caller's transaction
+     * @param {string} type - ai_agent | agent | persona
+     * @param {Object} before - Row before the change
+     * @param {Object} after - Row after the change
+     * @param {Object} options - { changeSource, changeSummary, sourceFiles, createdBy }
+     * @returns {Promise<Object|null>} The version, or null when nothing versioned changed
+     */
+    static async recordChange(client, type, before, after, { changeSource = 'edit', changeSummary = {}, sourceFiles = [], createdBy = null } = {}) {
+        const config = typeConfig(type);
+        if (!CHANGE_SOURCES.includes(changeSource)) {
+            throw new AppError(`Unknown change source "${changeSource}"`, ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const snapshot = snapshotOf(after);
+        const changes = diffSnapshots(snapshotOf(before), snapshot);
+        if (changes.length === 0) return null;
+
+        const author = createdBy ? String(createdBy) : null;
+        await this.ensureBaseline(client, type, before, { createdBy: author });
+
+        const version = (before.persona_version || 1) + 1;
+        await client.query(`UPDATE ${config.table} SET persona_version = $2 WHERE id = $1`, [before.id, version]);
+        after.persona_version = version;
+
+        const result = await client.query(`
+            INSERT INTO persona_versions (persona_type, agent_id, version, snapshot, change_source, change_summary, source_files, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${SUMMARY_COLUMNS}
+        `, [
+            type,
+            before.id,
+            version,
+            JSON.stringify(snapshot),
+            changeSource,
+            JSON.stringify({ ...changeSummary, changedFields: changedColumns(changes), changeCount: changes.length }),
+            JSON.stringify(sourceFiles),
+            author
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * Version history, newest first (snapshots left out)
+     */
+    static async list(type, id, { limit = 50, offset = 0 } = {}) {
+        typeConfig(type);
+        const result = await pool.query(`
+            SELECT ${SUMMARY_COLUMNS}
+            FROM persona_versions
+            WHERE persona_type = $1 AND agent_id = $2
+            ORDER BY version DESC
+            LIMIT $3 OFFSET $4
+        `, [type, id, Math.min(Number(limit) || 50, 200), Number(offset) || 0]);
+        return result.rows;
+    }
+
+    static async get(type, id, version) {
+        typeConfig(type);
+        const result = await pool.query(
+            `SELECT ${VERSION_COLUMNS} FROM persona_versions WHERE persona_type = $1 AND agent_id = $2 AND version = $3`,
+            [type, id, parseVersion(version)]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * JSON diff between two versions; `to` defaults to the row as it is now
+     * @returns {Promise<{from, to, changes}|null>} null when a version does not exist
+     */
+    static async diff(type, id, from, to = null, { ownerId = null } = {}) {
+        const fromVersion = await this.get(type, id, from);
+        if (!fromVersion) return null;
+
+        let toSnapshot;
+        let toVersion;
+        if (to === null || to === undefined || to === '') {
+            const row = await this.current(type, id, { ownerId });
+            if (!row) return null;
+            toSnapshot = snapshotOf(row);
+            toVersion = row.persona_version || 1;
+        } else {
+            const target = await this.get(type, id, to);
+            if (!target) return null;
+            toSnapshot = target.snapshot;
+            toVersion = target.version;
+        }
+
+        return { from: fromVersion.version, to: toVersion, changes: diffSnapshots(fromVersion.snapshot, toSnapshot) };
+    }
+
+    /**
+     * Restore a version's content. The restore is recorded as a new version,
+     * so rolling back never loses the state it replaced.
+     * @returns {Promise<{row, version}|null>} null when the persona or version does not exist;
+     *   version is null when the row already matched
+     */
+    static async rollback(type, id, version, { ownerId = null, createdBy = null } = {}) {
+        const config = typeConfig(type);
+        const target = await this.get(type, id, version);
+        if (!target) return null;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const before = await this.current(type, id, { ownerId, client, forUpdate: true });
+            if (!before) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const types = await columnTypes(client, config.table);
+            const entries = Object.entries(target.snapshot)
+                .filter(([column]) => types.has(column) && !UNVERSIONED_COLUMNS.has(column))
+                .map(([column, value]) => [
+                    column,
+                    ['json', 'jsonb'].includes(types.get(column)) && value !== null ? JSON.stringify(value) : value
+                ]);
+            if (entries.length === 0) {
+                throw new AppError(`Version ${target.version} has no restorable fields`, ERROR_TYPES.VALIDATION, 400);
+            }
+
+            const assignments = entries.map(([column], index) => `${column} = $${index + 2}`);
+            const updated = await client.query(`
+                UPDATE ${config.table} SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [id, ...entries.map(([, value]) => value)]);
+            const after = updated.rows[0];
+
+            const recorded = await this.recordChange(client, type, before, after, {
+                changeSource: 'rollback',
+                changeSummary: { restoredVersion: target.version },
+                createdBy
+            });
+
+            await client.query('COMMIT');
+            return { row: after, version: recorded };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * ai_agents rows for a session, with pinned participants replaced by the
+     * version they are pinned to
+     * @param {string[]} agentIds
+     * @param {Object} pins - { [agentId]: version }
+     * @returns {Promise<Object[]>} Rows in agentIds order (missing agents left out), each with persona_version set
+     */
+    static async loadAgents(agentIds, pins = {}) {
+        const unknown = Object.keys(pins || {}).find(agentId => !agentIds.includes(agentId));
+        if (unknown) {
+            throw new AppError(`Pinned agent ${unknown} is not in the session`, ERROR_TYPES.VALIDATION, 400);
+        }
+
+        const result = await pool.query('SELECT * FROM ai_agents WHERE id = ANY($1)', [agentIds]);
+        const rows = agentIds.map(id => result.rows.find(agent => agent.id === id)).filter(Boolean);
+
+        return Promise.all(rows.map(async row => {
+            const pinned = pins?.[row.id];
+            if (pinned === undefined || pinned === null || pinned === '') {
+                return { ...row, persona_version: row.persona_version || 1 };
+            }
+            const version = await this.get('ai_agent', row.id, pinned);
+            if (!version) {
+                throw new AppError(`${row.name} has no version ${pinned}`, ERROR_TYPES.VALIDATION, 400);
+            }
+            return { ...row, ...version.snapshot, id: row.id, persona_version: version.version };
+        }));
+    }
+}
+
+/**
+ * { agentId: version } for the rows a session ran with
+ */
+function versionMap(agents) {
+    return Object.fromEntries(agents.map(agent => [agent.id, agent.persona_version || 1]));
+}
+
+module.exports = PersonaVersionStore;
+module.exports.PERSONA_TYPES = PERSONA_TYPES;
+module.exports.CHANGE_SOURCES = CHANGE_SOURCES;
+module.exports.snapshotOf = snapshotOf;
+module.exports.diffSnapshots = diffSnapshots;
+module.exports.versionMap = versionMap;
@@ -0,0 +1,419 @@
+/**
+ * PII Redaction - Strips personal identifiers from transcripts before any LLM call
+ * Regex and dictionary rules for the identifiers Indian fintech interviews
+ * are full of (PAN, Aadhaar, phone numbers, emails, UPI IDs, IFSC codes,
+ * card and bank account numbers, bank names). Each distinct value gets a
+ * stable placeholder such as [PHONE_1] for the whole upload, so the model
+ * still sees that two mentions are the same number. Originals go to an
+ * AES-256-GCM encrypted vault readable only by PII_VAULT_ROLES, and every
+ * upload leaves an audit row listing what was redacted (never the values).
+ *
+ * Configuration:
+ *   PII_REDACTION=off            disable the stage entirely
+ *   PII_REDACTION_RULES=a,b      only run these rule ids (default: all)
+ *   PII_REDACTION_TERMS=x,y      extra dictionary terms (employee names, partner brands)
+ *   PII_VAULT_KEY                secret for the vault; required at startup while redaction is on
+ *   PII_VAULT_ROLES              admin roles allowed to read the vault (default super_admin)
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+
+const BANK_NAMES = [
+    'State Bank of India', 'SBI', 'HDFC Bank', 'HDFC', 'ICICI Bank', 'ICICI', 'Axis Bank',
+    'Kotak Mahindra Bank', 'Kotak Mahindra', 'Kotak', 'Yes Bank', 'IndusInd Bank', 'IndusInd',
+    'IDFC First Bank', 'IDFC First', 'IDFC', 'Punjab National Bank', 'PNB', 'Bank of Baroda',
+    'Canara Bank', 'Union Bank of India', 'Union Bank', 'Bank of India', 'IDBI Bank', 'IDBI',
+    'Federal Bank', 'RBL Bank', 'AU Small Finance Bank', 'Bandhan Bank', 'Indian Bank',
+    'Central Bank of India', 'Indian Overseas Bank', 'UCO Bank', 'Paytm Payments Bank',
+    'Airtel Payments Bank', 'India Post Payments Bank', 'Standard Chartered', 'Citibank', 'HSBC'
+];
+
+// Verhoeff tables used by UIDAI for the Aadhaar check digit
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const digitsOf = value => value.replace(/\D/g, '');
+
+function verhoeffValid(digits) {
+    let check = 0;
+    digits.split('').reverse().forEach((digit, i) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+function luhnValid(digits) {
+    let sum = 0;
+    digits.split('').reverse().forEach((digit, i) => {
+        let n = Number(digit);
+        if (i % 2 === 1) {
+            n *= 2;
+            if (n > 9) n -= 9;
+        }
+        sum += n;
+    });
+    return sum % 10 === 0;
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function dictionaryPattern(terms) {
+    const sorted = [...new Set(terms.map(term => term.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+    return sorted.length > 0 ? new RegExp(`\\b(?:${sorted.map(escapeRegex).join('|')})\\b`, 'gi') : null;
+}
+
+/**
+ * Rules run in order; longer and more specific identifiers go first so a
+ * card number is not half-consumed as a phone number. `accept` filters
+ * regex hits, `group` redacts a capture group instead of the whole match.
+ */
+const RULES = [
+    {
+        id: 'email',
+        type: 'EMAIL',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+        canonical: value => value.toLowerCase()
+    },
+    {
+        id: 'upi',
+        type: 'UPI',
+        pattern: /\b[A-Za-z0-9._-]{2,}@[A-Za-z]{2,}\b/g,
+        canonical: value => value.toLowerCase()
+    },
+    {
+        id: 'pan',
+        type: 'PAN',
+        pattern: /\b[A-Z]{3}[ABCFGHLJPTK][A-Z]\d{4}[A-Z]\b/gi,
+        canonical: value => value.toUpperCase()
+    },
+    {
+        id: 'ifsc',
+        type: 'IFSC',
+        pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/g,
+        canonical: value => value.toUpperCase()
+    },
+    {
+        id: 'card',
+        type: 'CARD',
+        pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+        accept: value => digitsOf(value).length >= 13 && luhnValid(digitsOf(value)),
+        canonical: digitsOf
+    },
+    {
+        id: 'aadhaar',
+        type: 'AADHAAR',
+        // 4-4-4 grouping is distinctive enough on its own (unless it is part of a
+        // longer digit group such as a card); a bare 12-digit run must pass Verhoeff
+        pattern: /(?<![\d-]|\d[ -])[2-9]\d{3}(?:[ -]?)\d{4}(?:[ -]?)\d{4}(?![\d-]|[ -]\d)/g,
+        accept: value => /[ -]/.test(value) || verhoeffValid(digitsOf(value)),
+        canonical: digitsOf
+    },
+    {
+        id: 'phone',
+        type: 'PHONE',
+        pattern: /(?<![\d+])(?:\+91[ -]?|91[ -]|0)?[6-9]\d{4}[ -]?\d{5}(?!\d)/g,
+        canonical: value => digitsOf(value).slice(-10)
+    },
+    {
+        id: 'account',
+        type: 'ACCOUNT',
+        pattern: /\b(?:a\/c|acct|account)(?:\s*(?:no\.?|number|num|#))?\s*(?:is|:|-)?\s*((?:\d[ -]?){8,17}\d)(?!\d)/gi,
+        group: 1,
+        canonical: digitsOf
+    },
+    {
+        id: 'account_number',
+        type: 'ACCOUNT',
+        pattern: /(?<![\d-])\d{11,18}(?![\d-])/g,
+        canonical: digitsOf
+    },
+    {
+        id: 'bank_name',
+        type: 'BANK',
+        pattern: dictionaryPattern(BANK_NAMES),
+        canonical: value => value.toLowerCase().replace(/\s+bank$/, '')
+    }
+];
+
+const RULE_IDS = [...RULES.map(rule => rule.id), 'terms'];
+
+const listFromEnv = name => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function isEnabled() {
+    return (process.env.PII_REDACTION || 'on').toLowerCase() !== 'off';
+}
+
+/**
+ * A redactor for one upload. Placeholders stay stable across every text it
+ * redacts, so all transcripts in an upload share one numbering.
+ * @param {Object} options - { rules: rule ids to run, terms: extra dictionary terms }
+ */
+function createRedactor({ rules = listFromEnv('PII_REDACTION_RULES'), terms = listFromEnv('PII_REDACTION_TERMS') } = {}) {
+    const enabled = isEnabled();
+    const activeRules = RULES.filter(rule => rules.length === 0 || rules.includes(rule.id));
+    const termRule = dictionaryPattern(terms) && (rules.length === 0 || rules.includes('terms'))
+        ? { id: 'terms', type: 'TERM', pattern: dictionaryPattern(terms), canonical: value => value.toLowerCase() }
+        : null;
+    if (termRule) activeRules.push(termRule);
+
+    const findings = new Map();
+    const counters = {};
+
+    const placeholderFor = (rule, value) => {
+        const key = `${rule.type}:${rule.canonical(value)}`;
+        if (!findings.has(key)) {
+            counters[rule.type] = (counters[rule.type] || 0) + 1;
+            findings.set(key, {
+                placeholder: `[${rule.type}_${counters[rule.type]}]`,
+                type: rule.type,
+                rule: rule.id,
+                value: value.trim(),
+                occurrences: 0
+            });
+        }
+        const finding = findings.get(key);
+        finding.occurrences += 1;
+        return finding.placeholder;
+    };
+
+    return {
+        enabled,
+        rules: activeRules.map(rule => rule.id),
+
+        /**
+         * Replace PII in a text with stable placeholders
+         */
+        redact(text) {
+            if (!enabled || !text) return text;
+            return activeRules.reduce((current, rule) => current.replace(rule.pattern, (match, ...groups) => {
+                if (rule.accept && !rule.accept(match)) return match;
+                if (rule.group) {
+                    const value = groups[rule.group - 1];
+                    return match.replace(value, placeholderFor(rule, value));
+                }
+                return placeholderFor(rule, match);
+            }), String(text));
+        },
+
+        /**
+         * What was redacted, without the values
+         */
+        summary() {
+            const placeholders = [...findings.values()].map(({ placeholder, type, rule, occurrences }) => ({ placeholder, type, rule, occurrences }));
+            const counts = placeholders.reduce((acc, p) => ({ ...acc, [p.type]: (acc[p.type] || 0) + p.occurrences }), {});
+            return {
+                enabled,
+                rules: activeRules.map(rule => rule.id),
+                counts,
+                total: placeholders.reduce((sum, p) => sum + p.occurrences, 0),
+                placeholders
+            };
+        },
+
+        findings: () => [...findings.values()]
+    };
+}
+
+/**
+ * Copy of a transcriptNormalizer result with every turn redacted
+ */
+function redactNormalized(normalized, redactor) {
+    return {
+        ...normalized,
+        turns: normalized.turns.map(turn => ({ ...turn, text: redactor.redact(turn.text) }))
+    };
+}
+
+// The value shipped in env.example, which must never reach a running server
+const PLACEHOLDER_VAULT_KEY = 'your_pii_vault_secret_here';
+
+/**
+ * Refuse to start with redaction on but no real vault secret, so originals
+ * are never stored under a guessable key or silently dropped
+ */
+function assertVaultConfigured() {
+    if (!isEnabled()) return;
+    const key = (process.env.PII_VAULT_KEY || '').trim();
+    if (!key || key === PLACEHOLDER_VAULT_KEY) {
+        throw new Error('PII_VAULT_KEY must be set to a secret value (or set PII_REDACTION=off)');
+    }
+}
+
+function vaultKey() {
+    if (!process.env.PII_VAULT_KEY) return null;
+    return crypto.createHash('sha256').update(process.env.PII_VAULT_KEY).digest();
+}
+
+function encrypt(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(payload, key) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Store the audit row for an upload and its encrypted vault entries
+ * @returns {Promise<string|null>} Audit ID, or null when redaction is off
+ */
+async function recordRedaction(redactor, { source, sourceFiles = [], createdBy = null } = {}) {
+    if (!redactor.enabled) return null;
+
+    const summary = redactor.summary();
+    const key = vaultKey();
+    const audit = await pool.query(
+        `INSERT INTO pii_redaction_audits
+            (source, source_files, counts, placeholders, total_redactions, rules, vault_stored, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+            source,
+            JSON.stringify(sourceFiles),
+            JSON.stringify(summary.counts),
+            JSON.stringify(summary.placeholders),
+            summary.total,
+            JSON.stringify(summary.rules),
+            Boolean(key) && summary.total > 0,
+            createdBy ? String(createdBy) : null
+        ]
+    );
+    const auditId = audit.rows[0].id;
+
+    if (key) {
+        for (const finding of redactor.findings()) {
+            await pool.query(
+                `INSERT INTO pii_vault_entries (audit_id, placeholder, pii_type, encrypted_value, occurrences)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [auditId, finding.placeholder, finding.type, encrypt(finding.value, key), finding.occurrences]
+            );
+        }
+    }
+
+    return auditId;
+}
+
+/**
+ * Redact everything in one upload with a shared redactor and record the
+ * audit. Items are transcript strings or transcriptNormalizer results. A
+ * failed audit write is logged rather than blocking the upload; the LLM
+ * still only ever sees redacted text.
+ * @returns {Promise<{items, redaction: {auditId, enabled, counts, total}}>}
+ */
+async function redactUpload(items, { source, sourceFiles = [], createdBy = null, redactor = createRedactor() } = {}) {
+    const redacted = items.map(item => (typeof item === 'string' ? redactor.redact(item) : redactNormalized(item, redactor)));
+    const { enabled, counts, total } = redactor.summary();
+
+    let auditId = null;
+    try {
+        auditId = await recordRedaction(redactor, { source, sourceFiles, createdBy });
+    } catch (error) {
+        console.error('Failed to record PII redaction audit:', error.message);
+    }
+
+    return { items: redacted, redaction: { auditId, enabled, counts, total } };
+}
+
+/**
+ * Audit rows, newest first (no PII values)
+ */
+async function listAudits({ source, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (source) {
+        params.push(source);
+        where = 'WHERE source = $1';
+    }
+    params.push(Math.min(Number(limit) || 50, 200), Number(offset) || 0);
+
+    const result = await pool.query(
+        `SELECT id, source, source_files, counts, total_redactions, rules, vault_stored, created_by, created_at
+         FROM pii_redaction_audits ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return result.rows;
+}
+
+async function getAudit(auditId) {
+    const result = await pool.query('SELECT * FROM pii_redaction_audits WHERE id = $1', [auditId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Decrypt the vault for an upload. Only call for authorized admins; every
+ * read is written to pii_vault_access_log.
+ * @returns {Promise<Array|null>} Entries, or null when the audit does not exist
+ */
+async function revealVault(auditId, { accessedBy, action = 'reveal' } = {}) {
+    const key = vaultKey();
+    if (!key) {
+        throw new AppError('PII vault is not configured (PII_VAULT_KEY)', ERROR_TYPES.VALIDATION, 400);
+    }
+    if (!await getAudit(auditId)) return null;
+
+    const entries = await pool.query(
+        'SELECT placeholder, pii_type, encrypted_value, occurrences FROM pii_vault_entries WHERE audit_id = $1 ORDER BY pii_type, placeholder',
+        [auditId]
+    );
+    await pool.query(
+        'INSERT INTO pii_vault_access_log (audit_id, accessed_by, action) VALUES ($1, $2, $3)',
+        [auditId, String(accessedBy), action]
+    );
+
+    return entries.rows.map(entry => ({
+        placeholder: entry.placeholder,
+        type: entry.pii_type,
+        occurrences: entry.occurrences,
+        value: decrypt(entry.encrypted_value, key)
+    }));
+}
+
+/**
+ * Put the original values back into text produced from a redacted upload
+ */
+async function restoreText(auditId, text, { accessedBy } = {}) {
+    const entries = await revealVault(auditId, { accessedBy, action: 'restore' });
+    if (!entries) return null;
+    return entries.reduce((current, entry) => current.split(entry.placeholder).join(entry.value), String(text || ''));
+}
+
+/**
+ * Roles allowed to read the vault
+ */
+function vaultRoles() {
+    const roles = listFromEnv('PII_VAULT_ROLES');
+    return roles.length > 0 ? roles : ['super_admin'];
+}
+
+module.exports = {
+    RULE_IDS,
+    isEnabled,
+    assertVaultConfigured,
+    createRedactor,
+    redactNormalized,
+    redactUpload,
+    recordRedaction,
+    listAudits,
+    getAudit,
+    revealVault,
+    restoreText,
+    vaultRoles
+};
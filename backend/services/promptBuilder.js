@@ -253,6 +253,7 @@ RULES:
             knowledge_bounds: persona.knowledge_bounds || {},
             quote: persona.quote,
             master_system_prompt: persona.master_system_prompt,
+            persona_version: persona.persona_version || 1,
             status: persona.status || 'active'
         };
     }
@@ -328,6 +329,13 @@ RULES:
             lifeEventsData = [];
         }
         
+        // Field provenance lives with the extraction (accurate / mapped uploads) or in source_meta
+        const comprehensive = typeof persona.comprehensive_persona_json === 'string'
+            ? (() => { try { return JSON.parse(persona.comprehensive_persona_json); } catch (_) { return {}; } })()
+            : (persona.comprehensive_persona_json || {});
+        const fieldProvenance = persona.source_meta?.field_provenance || comprehensive.field_provenance || null;
+        const quoteEvidence = persona.source_meta?.quote_evidence || comprehensive.quote_evidence || [];
+
         const objectivesData = Array.isArray(persona.objectives) ? persona.objectives : [];
         const needsData = Array.isArray(persona.needs) ? persona.needs : [];
         const fearsData = Array.isArray(persona.fears) ? persona.fears : [];
@@ -500,7 +508,11 @@ RULES:
             knowledge_bounds: persona.knowledge_bounds || {},
             domain_literacy: persona.domain_literacy || {},
             tech_savviness: persona.tech_savviness || 'medium',
-            master_system_prompt: persona.master_system_prompt
+            master_system_prompt: persona.master_system_prompt,
+
+            // Where each field came from in the source transcript
+            field_provenance: fieldProvenance?.fields ? fieldProvenance : null,
+            quote_evidence: Array.isArray(quoteEvidence) ? quoteEvidence : []
         };
     }
 
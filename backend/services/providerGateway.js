@@ -1,107 +1,20 @@
 /**
  * Provider Gateway - Model-agnostic AI provider interface
- * Supports OpenAI and Anthropic with unified API
+ * Registry of named LLM providers (OpenAI, Anthropic, Grok, any
+ * OpenAI-compatible base URL and a deterministic local provider) with
+ * per-request model selection, timeouts and ordered fallback chains.
+ * Every call is metered through UsageTracker; pass params.tags
+ * ({ feature, userId, sessionId, agentId, projectId }) to attribute it.
+ * Calls tagged with a budgeted project reserve their estimated cost first.
  */
 
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
+const MockProvider = require('./mockProvider');
+const UsageTracker = require('./usageTracker');
+const { getLLMConfig } = require('../config/llm');
 
-class ProviderGateway {
-    constructor() {
-        this.openaiClient = null;
-        this.anthropicClient = null;
-        this.initializeClients();
-    }
-
-    initializeClients() {
-        // Initialize OpenAI client if API key is provided
-        if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-            this.openaiClient = new OpenAI({ 
-                apiKey: process.env.OPENAI_API_KEY 
-            });
-            console.log('OpenAI client initialized');
-        }
-
-        // Initialize Anthropic client if API key is provided
-        if (process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY !== 'your_anthropic_api_key_here') {
-            this.anthropicClient = new Anthropic({ 
-                apiKey: process.env.ANTHROPIC_API_KEY 
-            });
-            console.log('Anthropic client initialized');
-        }
-
-        console.log('AI_PROVIDER:', process.env.AI_PROVIDER);
-        console.log('OpenAI available:', !!this.openaiClient);
-        console.log('Anthropic available:', !!this.anthropicClient);
-    }
-
-    async chat(messages, params = {}) {
-        const provider = this.getProvider();
-        if (!provider) {
-            throw new Error('No AI provider configured. Please set OPENAI_API_KEY or ANTHROPIC_API_KEY');
-        }
-
-        return await provider.chat(messages, params);
-    }
-
-    async analyzeTranscript(transcript, demographics = {}) {
-        const provider = this.getProvider();
-        if (!provider) {
-            throw new Error('No AI provider configured for transcript analysis');
-        }
-
-        return await provider.analyzeTranscript(transcript, demographics);
-    }
-
-    async synthesizePersona(analysis, demographics) {
-        const provider = this.getProvider();
-        if (!provider) {
-            throw new Error('No AI provider configured for persona synthesis');
-        }
-
-        return await provider.synthesizePersona(analysis, demographics);
-    }
-
-    getProvider() {
-        const providerName = process.env.AI_PROVIDER || 'openai';
-        
-        if (providerName === 'openai' && this.openaiClient) {
-            return new OpenAIProvider(this.openaiClient);
-        } else if (providerName === 'anthropic' && this.anthropicClient) {
-            return new AnthropicProvider(this.anthropicClient);
-        } else if (this.openaiClient) {
-            return new OpenAIProvider(this.openaiClient);
-        } else if (this.anthropicClient) {
-            return new AnthropicProvider(this.anthropicClient);
-        }
-        
-        // Fallback to mock provider for development/testing
-        console.log('No real AI provider available, using mock provider');
-        return new MockProvider();
-    }
-}
-
-class OpenAIProvider {
-    constructor(client) {
-        this.client = client;
-    }
-
-    async chat(messages, params = {}) {
-        const response = await this.client.chat.completions.create({
-            model: params.model || 'gpt-4o',
-            messages: messages,
-            temperature: params.temperature || 0.8,
-            max_tokens: params.max_tokens || 300,
-            top_p: params.top_p || 0.9,
-            presence_penalty: params.presence_penalty || 0.6,
-            frequency_penalty: params.frequency_penalty || 0.5,
-        });
-
-        return response.choices[0]?.message?.content || '';
-    }
-
-    async analyzeTranscript(transcript, demographics = {}) {
-        const systemPrompt = `You are a behavioral analysis expert. Extract behavioral signals from the transcript as JSON only. Return a structured JSON object with these exact fields:
+const ANALYSIS_SYSTEM_PROMPT = `You are a behavioral analysis expert. Extract behavioral signals from the transcript as JSON only. Return a structured JSON object with these exact fields:
 
 {
   "speech_patterns": {
@@ -140,238 +53,471 @@ class OpenAIProvider {
 
 Be precise and extract only what you can clearly observe from the transcript.`;
 
-        const userPrompt = `TRANSCRIPT:
+const SYNTHESIS_SYSTEM_PROMPT = `You are a persona synthesis expert. Create a detailed persona and master system prompt based on the behavioral analysis. Return JSON with persona details and a comprehensive master system prompt.`;
+
+function buildAnalysisUserPrompt(transcript, demographics) {
+    return `TRANSCRIPT:
 ${transcript.raw_text || transcript}
 
 DEMOGRAPHICS:
 ${JSON.stringify(demographics)}
 
 Return JSON only with no extra text.`;
+}
 
-        const response = await this.client.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.2,
-            max_tokens: 2000,
-            response_format: { type: "json_object" }
-        });
-
-        return JSON.parse(response.choices[0].message.content);
-    }
-
-    async synthesizePersona(analysis, demographics) {
-        const systemPrompt = `You are a persona synthesis expert. Create a detailed persona and master system prompt based on the behavioral analysis. Return JSON with persona details and a comprehensive master system prompt.`;
-
-        const userPrompt = `ANALYSIS:
+function buildSynthesisUserPrompt(analysis, demographics) {
+    return `ANALYSIS:
 ${JSON.stringify(analysis, null, 2)}
 
 DEMOGRAPHICS:
 ${JSON.stringify(demographics, null, 2)}
 
 Create a persona object and a master system prompt (2-3K characters) that captures this person's exact speaking style, vocabulary constraints, emotional patterns, and behavioral traits.`;
+}
 
-        const response = await this.client.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.5,
-            max_tokens: 3000
-        });
+// Completion length assumed when reserving budget for a call without max_tokens
+const DEFAULT_COMPLETION_ESTIMATE = 1000;
+
+// Tokens assumed per image part; providers bill images by size, not by their base64 length
+const IMAGE_TOKEN_ESTIMATE = 1000;
+const IMAGE_PART_TYPES = ['image_url', 'image'];
 
-        return response.choices[0].message.content;
+/**
+ * Rough token count for budget reservations (~4 characters per token).
+ * Multi-part (vision) content counts its text parts plus a fixed cost per image.
+ */
+function estimateTokens(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((sum, part) => {
+            if (IMAGE_PART_TYPES.includes(part?.type)) return sum + IMAGE_TOKEN_ESTIMATE;
+            return sum + estimateTokens(part?.type === 'text' ? part.text : part);
+        }, 0);
     }
+    return Math.ceil((typeof value === 'string' ? value : JSON.stringify(value || '')).length / 4);
 }
 
-class AnthropicProvider {
-    constructor(client) {
-        this.client = client;
+/**
+ * Run `operation(signal)` and reject if it does not settle within `ms`.
+ * The signal is aborted on timeout so the underlying request is cancelled
+ * rather than left running (and billed) in the background.
+ */
+function withTimeout(operation, ms, label) {
+    const controller = new AbortController();
+    if (!ms || ms <= 0) return operation(controller.signal);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${label} timed out after ${ms}ms`);
+            error.code = 'PROVIDER_TIMEOUT';
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+
+    return Promise.race([operation(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+class ProviderGateway {
+    constructor(config = getLLMConfig()) {
+        this.config = config;
+        this.adapters = {};
+        this.providers = {};
+
+        this.registerAdapter('openai', options => new OpenAIProvider(new OpenAI({ apiKey: options.apiKey }), options));
+        this.registerAdapter('openai-compatible', options => new OpenAIProvider(
+            new OpenAI({ apiKey: options.apiKey, baseURL: options.baseURL }),
+            options
+        ));
+        this.registerAdapter('anthropic', options => new AnthropicProvider(new Anthropic({ apiKey: options.apiKey }), options));
+        this.registerAdapter('local', options => new MockProvider(options));
+
+        this.initializeClients();
     }
 
-    async chat(messages, params = {}) {
-        // Separate system message from conversation turns
-        const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-        const conversationTurns = messages
-            .filter(m => m.role !== 'system')
-            .map(m => ({
-                role: m.role === 'assistant' ? 'assistant' : 'user',
-                content: m.content
-            }));
+    initializeClients() {
+        for (const [name, options] of Object.entries(this.config.providers)) {
+            this.registerProvider(name, options);
+        }
 
-        const response = await this.client.messages.create({
-            model: params.model || 'claude-3-5-sonnet-20241022',
-            max_tokens: params.max_tokens || 300,
-            system: systemMessage,
-            messages: conversationTurns,
-            temperature: params.temperature || 0.8,
-        });
+        console.log('AI_PROVIDER:', this.config.defaultProvider);
+        console.log('Available AI providers:', this.listProviders().filter(p => p.available).map(p => p.name).join(', '));
+    }
 
-        const firstTextContent = response.content.find(p => p.type === 'text');
-        return firstTextContent?.text || '';
+    /**
+     * Register a factory for a provider type (e.g. "openai", "anthropic")
+     */
+    registerAdapter(type, factory) {
+        this.adapters[type] = factory;
     }
 
-    async analyzeTranscript(transcript, demographics = {}) {
-        const systemPrompt = `You are a behavioral analysis expert. Extract behavioral signals from the transcript as JSON only. Return a structured JSON object with these exact fields:
+    /**
+     * Register a named provider instance. Providers whose credentials are
+     * missing are recorded as unavailable and skipped by fallback chains.
+     */
+    registerProvider(name, options = {}) {
+        const factory = this.adapters[options.type];
+        if (!factory) {
+            console.warn(`⚠️ Unknown AI provider type "${options.type}" for provider "${name}"`);
+            return null;
+        }
 
-{
-  "speech_patterns": {
-    "sentence_length": "short|medium|long",
-    "formality": 1-10,
-    "filler_words": ["um", "uh", "like", "you know"],
-    "common_phrases": ["I think", "you know", "basically"],
-    "self_corrections": "never|rare|occasional|frequent",
-    "question_style": "direct|indirect|clarifying"
-  },
-  "vocabulary_profile": {
-    "complexity": 1-10,
-    "avoided_words": ["technical", "jargon", "complex terms"],
-    "common_words": ["really", "actually", "basically"]
-  },
-  "emotional_profile": {
-    "baseline": "positive|neutral|negative|anxious|enthusiastic",
-    "frustration_triggers": ["confusing", "difficult", "hard to find"],
-    "excitement_triggers": ["love", "great", "awesome", "amazing"]
-  },
-  "cognitive_profile": {
-    "comprehension_speed": "slow|medium|fast",
-    "patience": 1-10
-  },
-  "objectives": ["goal1", "goal2", "goal3"],
-  "needs": ["need1", "need2", "need3"],
-  "fears": ["fear1", "fear2", "fear3"],
-  "apprehensions": ["concern1", "concern2", "concern3"],
-  "knowledge_bounds": {
-    "confident": ["topic1", "topic2"],
-    "partial": ["topic3", "topic4"],
-    "unknown": ["topic5", "topic6"]
-  },
-  "real_quotes": ["exact quote 1", "exact quote 2", "exact quote 3", "exact quote 4", "exact quote 5"]
-}
+        const entry = { name, options, instance: null };
+        if (this.isConfigured(options)) {
+            try {
+                entry.instance = factory({ ...options, name });
+            } catch (error) {
+                console.warn(`⚠️ Failed to initialize ${name}:`, error.message);
+            }
+        }
 
-Be precise and extract only what you can clearly observe from the transcript.`;
+        this.providers[name] = entry;
+        return entry.instance;
+    }
 
-        const userPrompt = `TRANSCRIPT:
-${transcript.raw_text || transcript}
+    isConfigured(options) {
+        switch (options.type) {
+            case 'local':
+                return true;
+            case 'openai-compatible':
+                return !!(options.baseURL && options.apiKey);
+            default:
+                return !!options.apiKey;
+        }
+    }
 
-DEMOGRAPHICS:
-${JSON.stringify(demographics)}
+    listProviders() {
+        return Object.values(this.providers).map(({ name, options, instance }) => ({
+            name,
+            type: options.type,
+            defaultModel: options.defaultModel || null,
+            available: !!instance
+        }));
+    }
 
-Return JSON only with no extra text.`;
+    /**
+     * Ordered list of provider names to try for a request.
+     * params.provider picks the first provider, params.fallback (array or
+     * false) overrides the configured fallback chain.
+     */
+    resolveChain(params = {}) {
+        const primary = params.provider || this.config.defaultProvider;
+        const fallback = params.fallback === false
+            ? []
+            : (Array.isArray(params.fallback) ? params.fallback : this.config.fallbackChain);
+
+        return [...new Set([primary, ...fallback])];
+    }
 
-        const response = await this.client.messages.create({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 2000,
-            system: systemPrompt,
-            messages: [{ role: 'user', content: userPrompt }],
-            temperature: 0.2,
+    /**
+     * Run `operation` against each available provider in the chain until one succeeds
+     */
+    async runWithFallback(params, operation, label) {
+        const chain = this.resolveChain(params);
+        const timeoutMs = params.timeout || this.config.timeoutMs;
+        const errors = [];
+
+        for (const name of chain) {
+            const provider = this.providers[name]?.instance;
+            if (!provider) continue;
+
+            // A model name only applies to the provider it was requested for
+            const requestParams = { ...params };
+            if (name !== chain[0]) delete requestParams.model;
+
+            try {
+                const result = await withTimeout(
+                    signal => operation(provider, { ...requestParams, signal }),
+                    timeoutMs,
+                    `${name} ${label}`
+                );
+                return { result, provider: name };
+            } catch (error) {
+                console.warn(`⚠️ ${name} ${label} failed:`, error.message);
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        if (errors.length === 0) {
+            throw new Error(`No AI provider configured. Tried: ${chain.join(', ')}`);
+        }
+        throw new Error(`All AI providers failed for ${label} (${errors.join('; ')})`);
+    }
+
+    /**
+     * Worst-case usage for a call before it runs, priced against the first
+     * provider in its chain, for budget reservations
+     */
+    estimateUsage(params, promptTokens, completionTokens) {
+        const provider = this.resolveChain(params)[0];
+        const model = params.model || this.providers[provider]?.instance?.defaultModel || 'unknown';
+        const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens };
+        return { provider, model, usage, costUsd: UsageTracker.estimateCost(model, usage, this.config.pricing) };
+    }
+
+    /**
+     * Run a metered operation: reserve the estimate against the project's
+     * budget, call the provider, then settle the reservation with the real
+     * usage (or release it if every provider failed)
+     */
+    async metered(callTags, estimate, run) {
+        if (!this.config.trackUsage) return run();
+
+        // Untagged calls are billed to the default project so they still hit a budget
+        const tags = { ...callTags, projectId: callTags.projectId || UsageTracker.DEFAULT_PROJECT };
+        const reservationId = await UsageTracker.reserve(tags.projectId, { ...estimate, tags });
+        let outcome;
+        try {
+            outcome = await run();
+        } catch (error) {
+            if (reservationId) await UsageTracker.release(reservationId);
+            throw error;
+        }
+
+        const { result, provider, costUsd, latencyMs } = outcome;
+        const entry = { provider, model: result.model, usage: result.usage, costUsd, latencyMs, tags };
+        if (reservationId) {
+            await UsageTracker.settle(reservationId, entry);
+        } else {
+            await UsageTracker.record(entry);
+        }
+        return outcome;
+    }
+
+    /**
+     * Chat completion with provider metadata and token usage
+     * @returns {Promise<{content: string, provider: string, model: string, usage: object, costUsd: number, latencyMs: number}>}
+     */
+    async complete(messages, params = {}) {
+        const { tags = {}, ...requestParams } = params;
+        const estimate = this.estimateUsage(
+            requestParams,
+            messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+            requestParams.max_tokens || DEFAULT_COMPLETION_ESTIMATE
+        );
+
+        const { result, provider, costUsd, latencyMs } = await this.metered(tags, estimate, async () => {
+            const startedAt = Date.now();
+            const attempt = await this.runWithFallback(
+                requestParams,
+                (adapter, attemptParams) => adapter.complete(messages, attemptParams),
+                'chat'
+            );
+            return {
+                ...attempt,
+                latencyMs: Date.now() - startedAt,
+                costUsd: UsageTracker.estimateCost(attempt.result.model, attempt.result.usage, this.config.pricing)
+            };
         });
 
-        const firstTextContent = response.content.find(p => p.type === 'text');
-        return JSON.parse(firstTextContent?.text || '{}');
+        return { ...result, provider, costUsd, latencyMs };
     }
 
-    async synthesizePersona(analysis, demographics) {
-        const systemPrompt = `You are a persona synthesis expert. Create a detailed persona and master system prompt based on the behavioral analysis. Return JSON with persona details and a comprehensive master system prompt.`;
+    async chat(messages, params = {}) {
+        const result = await this.complete(messages, params);
+        return result.content;
+    }
 
-        const userPrompt = `ANALYSIS:
-${JSON.stringify(analysis, null, 2)}
+    /**
+     * Text embeddings from the first provider in the chain that supports them
+     * @returns {Promise<{embeddings: number[][], model: string, usage: object, provider: string}>}
+     */
+    async embed(texts, params = {}) {
+        const { tags = {}, ...requestParams } = params;
+        const chain = this.resolveChain(requestParams)
+            .filter(name => typeof this.providers[name]?.instance?.embed === 'function');
+
+        if (chain.length === 0) {
+            throw new Error('No AI provider with embedding support configured');
+        }
 
-DEMOGRAPHICS:
-${JSON.stringify(demographics, null, 2)}
+        const embedParams = { ...requestParams, provider: chain[0], fallback: chain.slice(1) };
+        const estimate = this.estimateUsage(embedParams, texts.reduce((sum, text) => sum + estimateTokens(text), 0), 0);
+
+        const { result, provider } = await this.metered(tags, estimate, async () => {
+            const startedAt = Date.now();
+            const attempt = await this.runWithFallback(
+                embedParams,
+                (adapter, attemptParams) => adapter.embed(texts, attemptParams),
+                'embeddings'
+            );
+            return {
+                ...attempt,
+                latencyMs: Date.now() - startedAt,
+                costUsd: UsageTracker.estimateCost(attempt.result.model, attempt.result.usage, this.config.pricing)
+            };
+        });
 
-Create a persona object and a master system prompt (2-3K characters) that captures this person's exact speaking style, vocabulary constraints, emotional patterns, and behavioral traits.`;
+        return { ...result, provider };
+    }
 
-        const response = await this.client.messages.create({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 3000,
-            system: systemPrompt,
-            messages: [{ role: 'user', content: userPrompt }],
+    async analyzeTranscript(transcript, demographics = {}, params = {}) {
+        const content = await this.chat([
+            { role: 'system', content: ANALYSIS_SYSTEM_PROMPT },
+            { role: 'user', content: buildAnalysisUserPrompt(transcript, demographics) }
+        ], {
+            temperature: 0.2,
+            max_tokens: 2000,
+            response_format: { type: "json_object" },
+            ...params,
+            tags: { feature: 'persona_generation', ...params.tags }
+        });
+
+        return JSON.parse(content || '{}');
+    }
+
+    async synthesizePersona(analysis, demographics, params = {}) {
+        return await this.chat([
+            { role: 'system', content: SYNTHESIS_SYSTEM_PROMPT },
+            { role: 'user', content: buildSynthesisUserPrompt(analysis, demographics) }
+        ], {
             temperature: 0.5,
+            max_tokens: 3000,
+            ...params,
+            tags: { feature: 'persona_generation', ...params.tags }
         });
+    }
 
-        const firstTextContent = response.content.find(p => p.type === 'text');
-        return firstTextContent?.text || '';
+    /**
+     * Return a provider adapter by name, or the first available one in the default chain
+     */
+    getProvider(name) {
+        if (name) {
+            return this.providers[name]?.instance || null;
+        }
+
+        for (const providerName of this.resolveChain()) {
+            const instance = this.providers[providerName]?.instance;
+            if (instance) return instance;
+        }
+        return null;
     }
 }
 
-class MockProvider {
+class OpenAIProvider {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.name = options.name || 'openai';
+        this.defaultModel = options.defaultModel || 'gpt-4o';
+        this.embeddingModel = options.embeddingModel || 'text-embedding-3-small';
+    }
+
+    async complete(messages, params = {}) {
+        const request = {
+            model: params.model || this.defaultModel,
+            messages: messages,
+            temperature: params.temperature ?? 0.8,
+            max_tokens: params.max_tokens || 300,
+            top_p: params.top_p ?? 0.9,
+            presence_penalty: params.presence_penalty ?? 0.6,
+            frequency_penalty: params.frequency_penalty ?? 0.5,
+        };
+        if (params.response_format) {
+            request.response_format = params.response_format;
+        }
+
+        const response = await this.client.chat.completions.create(request, { signal: params.signal });
+
+        return {
+            content: response.choices[0]?.message?.content || '',
+            model: response.model || request.model,
+            usage: {
+                prompt_tokens: response.usage?.prompt_tokens || 0,
+                completion_tokens: response.usage?.completion_tokens || 0,
+                total_tokens: response.usage?.total_tokens || 0
+            }
+        };
+    }
+
     async chat(messages, params = {}) {
-        // Mock response for development
-        return "This is a mock response for development purposes.";
+        const result = await this.complete(messages, params);
+        return result.content;
     }
 
-    async analyzeTranscript(transcript, demographics = {}) {
-        // Mock analysis for development
+    async embed(texts, params = {}) {
+        const model = params.embeddingModel || this.embeddingModel;
+        const response = await this.client.embeddings.create({ model, input: texts }, { signal: params.signal });
+
         return {
-            speech_patterns: {
-                sentence_length: 'medium',
-                formality: 6,
-                filler_words: ['um', 'like', 'you know'],
-                common_phrases: ['I think', 'I mean', 'basically'],
-                self_corrections: 'occasional',
-                question_style: 'direct'
-            },
-            vocabulary_profile: {
-                complexity: 5,
-                avoided_words: ['technical', 'complex', 'sophisticated'],
-                common_words: ['simple', 'easy', 'clear', 'help', 'understand']
-            },
-            emotional_profile: {
-                baseline: 'positive',
-                frustration_triggers: ['confusing', 'complex', 'technical'],
-                excitement_triggers: ['simple', 'clear', 'helpful']
-            },
-            cognitive_profile: {
-                comprehension_speed: 'medium',
-                patience: 7
-            },
-            objectives: ['Learn new features', 'Complete tasks efficiently'],
-            needs: ['Clear instructions', 'Step-by-step guidance', 'Help when confused'],
-            fears: [],
-            apprehensions: ['Making mistakes', 'Not understanding technical terms'],
-            knowledge_bounds: {
-                confident: ['Mobile apps', 'Basic banking'],
-                partial: ['Advanced features', 'Security settings'],
-                unknown: ['Technical implementation', 'Backend systems']
-            },
-            real_quotes: ['I love using mobile apps for banking', 'This is really helpful', 'I just want it to work', 'Can you explain that again?', 'That makes sense']
+            embeddings: response.data.map(item => item.embedding),
+            model: response.model || model,
+            usage: {
+                prompt_tokens: response.usage?.prompt_tokens || 0,
+                completion_tokens: 0,
+                total_tokens: response.usage?.total_tokens || 0
+            }
         };
     }
+}
 
-    async synthesizePersona(analysis, demographics) {
-        // Mock synthesis for development
-        return JSON.stringify({
-            persona: {
-                name: demographics.name || 'Test Person',
-                role_title: demographics.role_title || 'Professional',
-                company: demographics.company || 'Unknown',
-                location: demographics.location || 'Unknown',
-                demographics: demographics,
-                traits: { personality_archetype: 'Everyperson', big5: {}, adjectives: [] },
-                behaviors: { habits: [], channels: [], tools: [], journey_highlights: [] },
-                objectives: analysis.objectives || [],
-                needs: analysis.needs || [],
-                fears: analysis.fears || [],
-                apprehensions: analysis.apprehensions || [],
-                motivations: [],
-                frustrations: [],
-                domain_literacy: { dimension: 'finance', level: 'medium' },
-                tech_savviness: 'medium',
-                communication_style: analysis.speech_patterns || {},
-                speech_patterns: analysis.speech_patterns || {},
-                vocabulary_profile: analysis.vocabulary_profile || {},
-                emotional_profile: analysis.emotional_profile || {},
-                cognitive_profile: analysis.cognitive_profile || {},
-                knowledge_bounds: analysis.knowledge_bounds || {},
-                quote: analysis.real_quotes?.[0] || 'I just want it to work'
-            },
-            master_system_prompt: `YOU ARE ${demographics.name || 'Test Person'} — a real human persona, not an AI, and you must never break character.`
+class AnthropicProvider {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.name = options.name || 'anthropic';
+        this.defaultModel = options.defaultModel || 'claude-3-5-sonnet-20241022';
+    }
+
+    /**
+     * Convert OpenAI-style content (string or text/image_url parts) to Anthropic blocks
+     */
+    convertContent(content) {
+        if (!Array.isArray(content)) return content;
+
+        return content.map(part => {
+            if (part.type !== 'image_url') {
+                return { type: 'text', text: part.text || '' };
+            }
+
+            const url = part.image_url?.url || '';
+            const dataUrl = url.match(/^data:(.+?);base64,(.*)$/);
+            if (dataUrl) {
+                return { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } };
+            }
+            return { type: 'image', source: { type: 'url', url } };
         });
     }
+
+    async complete(messages, params = {}) {
+        // Separate system message from conversation turns
+        const systemMessage = messages.find(m => m.role === 'system')?.content || '';
+        const conversationTurns = messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({
+                role: m.role === 'assistant' ? 'assistant' : 'user',
+                content: this.convertContent(m.content)
+            }));
+
+        const model = params.model || this.defaultModel;
+        const response = await this.client.messages.create({
+            model,
+            max_tokens: params.max_tokens || 300,
+            system: systemMessage,
+            messages: conversationTurns,
+            temperature: params.temperature ?? 0.8,
+        }, { signal: params.signal });
+
+        const firstTextContent = response.content.find(p => p.type === 'text');
+        const promptTokens = response.usage?.input_tokens || 0;
+        const completionTokens = response.usage?.output_tokens || 0;
+
+        return {
+            content: firstTextContent?.text || '',
+            model: response.model || model,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    async chat(messages, params = {}) {
+        const result = await this.complete(messages, params);
+        return result.content;
+    }
 }
 
-module.exports = new ProviderGateway();
\ No newline at end of file
+module.exports = new ProviderGateway();
+module.exports.ProviderGateway = ProviderGateway;
+module.exports.OpenAIProvider = OpenAIProvider;
+module.exports.AnthropicProvider = AnthropicProvider;
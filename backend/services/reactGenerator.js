@@ -4,6 +4,7 @@
  */
 
 const { OpenAI } = require('openai');
+const { cssVariable, tokensToCss, tokensToTailwindTheme } = require('./designTokens');
 
 class ReactGenerator {
     constructor(apiKey) {
@@ -13,7 +14,7 @@ class ReactGenerator {
     /**
      * Generate React component from Figma data
      * @param {Object} figmaData - Figma design data
-     * @param {Object} designSystem - Design system configuration
+     * @param {Object} designSystem - Design system configuration; designSystem.tokenSet is the product's stored token set
      * @param {Object} options - Generation options
      * @returns {Promise<Object>} Generated React component
      */
@@ -184,6 +185,8 @@ class ReactGenerator {
             responsive
         } = options;
 
+        const { tokenSet, ...system } = designSystem;
+
         return `
 Generate a ${framework} component from this Figma design data:
 
@@ -191,7 +194,8 @@ COMPONENT DATA:
 ${JSON.stringify(componentData, null, 2)}
 
 DESIGN SYSTEM:
-${JSON.stringify(designSystem, null, 2)}
+${JSON.stringify(system, null, 2)}
+${this.buildTokenPrompt(tokenSet)}
 
 REQUIREMENTS:
 - Component Name: ${componentName}
@@ -215,6 +219,31 @@ The component should be production-ready and follow React best practices.
         `.trim();
     }
 
+    /**
+     * Design tokens section of the prompt: CSS variables with their default values
+     * @param {Object} tokenSet - Stored design token set
+     * @returns {string} Prompt section, empty without tokens
+     */
+    buildTokenPrompt(tokenSet) {
+        if (!tokenSet?.tokens) return '';
+
+        const lines = [];
+        ['color', 'spacing', 'borderRadius', 'shadows'].forEach(category => {
+            Object.entries(tokenSet.tokens[category] || {}).forEach(([key, token]) => {
+                lines.push(`${cssVariable(category, key)}: ${token.value}`);
+            });
+        });
+        Object.keys(tokenSet.tokens.typography || {}).forEach(key => {
+            lines.push(`${cssVariable('typography', key)}-{font-family,font-size,font-weight,line-height}`);
+        });
+
+        return `
+DESIGN TOKENS (modes: ${(tokenSet.modes || []).join(', ')}):
+${lines.join('\n')}
+Reference these tokens (var(--token) or the matching Tailwind theme keys) for every colour, spacing, radius, shadow and text style. Never hardcode hex values.
+`;
+    }
+
     /**
      * Generate template-based component (fallback)
      * @param {Object} componentData - Component data
@@ -253,7 +282,7 @@ const ${componentName}${typescript ? `: React.FC<${componentName}Props>` : ''} =
 }) => {
   return (
     <div 
-      className={\`${this.generateClassName(componentData, styling)} \${className}\`}
+      className={\`${this.generateClassName(componentData, styling, designSystem.tokenSet)} \${className}\`}
       ${accessibility ? 'role="button" tabIndex={0}' : ''}
       {...props}
     >
@@ -349,6 +378,32 @@ describe('${componentName}', () => {
      * @returns {Object} Design system config
      */
     generateDesignSystemConfig(designSystem, styling) {
+        const { tokenSet } = designSystem;
+
+        // A stored token set is shipped as CSS variables and the theme points at them
+        if (tokenSet) {
+            const theme = tokensToTailwindTheme(tokenSet);
+            if (styling === 'tailwind') {
+                return {
+                    css: tokensToCss(tokenSet),
+                    tailwind: {
+                        content: ['./src/**/*.{js,ts,jsx,tsx}'],
+                        theme: { extend: theme }
+                    }
+                };
+            }
+            return {
+                css: tokensToCss(tokenSet),
+                theme: {
+                    colors: theme.colors,
+                    spacing: theme.spacing,
+                    radii: theme.borderRadius,
+                    shadows: theme.boxShadow,
+                    fonts: theme.fontFamily
+                }
+            };
+        }
+
         if (styling === 'tailwind') {
             return {
                 tailwind: {
@@ -457,11 +512,12 @@ describe('${componentName}', () => {
      * Generate className
      * @param {Object} componentData - Component data
      * @param {string} styling - Styling framework
+     * @param {Object} [tokenSet] - Stored design token set
      * @returns {string} ClassName string
      */
-    generateClassName(componentData, styling) {
+    generateClassName(componentData, styling, tokenSet = null) {
         if (styling === 'tailwind') {
-            return this.generateTailwindClasses(componentData);
+            return this.generateTailwindClasses(componentData, tokenSet);
         }
         
         return 'figma-component';
@@ -470,9 +526,10 @@ describe('${componentName}', () => {
     /**
      * Generate Tailwind classes
      * @param {Object} componentData - Component data
+     * @param {Object} [tokenSet] - Stored design token set
      * @returns {string} Tailwind classes
      */
-    generateTailwindClasses(componentData) {
+    generateTailwindClasses(componentData, tokenSet = null) {
         const classes = [];
         
         // Layout classes
@@ -489,7 +546,9 @@ describe('${componentName}', () => {
         // Style classes
         if (componentData.styles) {
             if (componentData.styles.cornerRadius) {
-                classes.push('rounded-lg');
+                const radius = Object.entries(tokenSet?.tokens?.borderRadius || {})
+                    .find(([, token]) => token.value === `${componentData.styles.cornerRadius}px`);
+                classes.push(radius ? `rounded-${radius[0]}` : 'rounded-lg');
             }
         }
         
@@ -0,0 +1,305 @@
+/**
+ * Responsive Layout
+ * Converts Figma AST nodes (utils/figmaParser) into CSS for the code exporters.
+ * Auto-layout frames become flexbox (or CSS grid), children size by their
+ * fixed / hug / fill modes, and free-form frames place children with their
+ * constraints (left, right, left+right, center, scale). Absolute pixel
+ * positions are only used when a node carries no layout information.
+ * Given a token resolver (designTokens.createTokenResolver), colours, spacing,
+ * radii and text styles bound to a design token become var(--token) references.
+ */
+
+const JUSTIFY = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    SPACE_BETWEEN: 'space-between'
+};
+
+const ALIGN = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    BASELINE: 'baseline'
+};
+
+const px = (value) => `${Math.round((value || 0) * 100) / 100}px`;
+const percent = (value, total) => `${total ? Math.round((value / total) * 10000) / 100 : 0}%`;
+
+const rgba = (color) => color && `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a ?? 1})`;
+
+/**
+ * ASTs saved before auto-layout support have no sizing or constraints
+ */
+const isLegacyNode = (node) => !node.layout?.sizing && !node.layout?.constraints;
+
+/**
+ * Container styles for an auto-layout frame
+ */
+const autoLayoutStyles = (autoLayout, refs = {}, tokens = null) => {
+    const { padding = {} } = autoLayout;
+    const length = (value, ref) => tokens?.length(ref) || px(value);
+    const styles = {
+        padding: [
+            length(padding.top, refs.paddingTop),
+            length(padding.right, refs.paddingRight),
+            length(padding.bottom, refs.paddingBottom),
+            length(padding.left, refs.paddingLeft)
+        ].join(' ')
+    };
+
+    if (autoLayout.mode === 'GRID') {
+        styles.display = 'grid';
+        styles.gridTemplateColumns = autoLayout.columns
+            ? `repeat(${autoLayout.columns}, minmax(0, 1fr))`
+            : 'repeat(auto-fill, minmax(160px, 1fr))';
+        styles.rowGap = length(autoLayout.counterAxisSpacing, refs.counterAxisSpacing);
+        styles.columnGap = length(autoLayout.itemSpacing, refs.itemSpacing);
+        return styles;
+    }
+
+    styles.display = 'flex';
+    styles.flexDirection = autoLayout.mode === 'VERTICAL' ? 'column' : 'row';
+    styles.justifyContent = JUSTIFY[autoLayout.primaryAxisAlign] || 'flex-start';
+    styles.alignItems = ALIGN[autoLayout.counterAxisAlign] || 'flex-start';
+
+    if (autoLayout.wrap) {
+        styles.flexWrap = 'wrap';
+        styles.rowGap = length(autoLayout.counterAxisSpacing, refs.counterAxisSpacing);
+        styles.columnGap = length(autoLayout.itemSpacing, refs.itemSpacing);
+    } else if (autoLayout.primaryAxisAlign !== 'SPACE_BETWEEN') {
+        styles.gap = length(autoLayout.itemSpacing, refs.itemSpacing);
+    }
+    return styles;
+};
+
+/**
+ * Size along one axis of a child inside an auto-layout frame
+ */
+const flowAxisStyles = (mode, size, dimension, isPrimaryAxis) => {
+    const styles = {};
+    if (mode === 'FILL') {
+        if (isPrimaryAxis) {
+            styles.flex = '1 1 0';
+            styles[dimension === 'width' ? 'minWidth' : 'minHeight'] = 0;
+        } else {
+            styles.alignSelf = 'stretch';
+        }
+    } else if (mode === 'FIXED') {
+        styles[dimension] = px(size);
+        if (dimension === 'width') styles.maxWidth = '100%';
+        if (isPrimaryAxis) styles.flexShrink = 0;
+    }
+    // HUG: size to content
+    return styles;
+};
+
+/**
+ * Place a child of a free-form frame by its constraints
+ */
+const constraintStyles = (layout, parentLayout) => {
+    const { x, y, width, height, constraints = {}, sizing = {} } = layout;
+    const parentWidth = parentLayout?.width || 0;
+    const parentHeight = parentLayout?.height || 0;
+    const styles = { position: 'absolute' };
+    const transforms = [];
+
+    switch (constraints.horizontal) {
+        case 'RIGHT':
+            styles.right = px(parentWidth - x - width);
+            break;
+        case 'LEFT_RIGHT':
+            styles.left = px(x);
+            styles.right = px(parentWidth - x - width);
+            break;
+        case 'CENTER':
+            styles.left = `calc(50% + ${px(x + width / 2 - parentWidth / 2)})`;
+            transforms.push('translateX(-50%)');
+            break;
+        case 'SCALE':
+            styles.left = percent(x, parentWidth);
+            styles.width = percent(width, parentWidth);
+            break;
+        default:
+            styles.left = px(x);
+    }
+    if (!['LEFT_RIGHT', 'SCALE'].includes(constraints.horizontal) && sizing.horizontal !== 'HUG') {
+        styles.width = px(width);
+    }
+
+    switch (constraints.vertical) {
+        case 'BOTTOM':
+            styles.bottom = px(parentHeight - y - height);
+            break;
+        case 'TOP_BOTTOM':
+            styles.top = px(y);
+            styles.bottom = px(parentHeight - y - height);
+            break;
+        case 'CENTER':
+            styles.top = `calc(50% + ${px(y + height / 2 - parentHeight / 2)})`;
+            transforms.push('translateY(-50%)');
+            break;
+        case 'SCALE':
+            styles.top = percent(y, parentHeight);
+            styles.height = percent(height, parentHeight);
+            break;
+        default:
+            styles.top = px(y);
+    }
+    if (!['TOP_BOTTOM', 'SCALE'].includes(constraints.vertical) && sizing.vertical !== 'HUG') {
+        styles.height = px(height);
+    }
+
+    if (transforms.length > 0) styles.transform = transforms.join(' ');
+    return styles;
+};
+
+/**
+ * Layout CSS for a node given its parent node (null for a screen)
+ */
+const layoutStyles = (node, parent, tokens = null) => {
+    const layout = node.layout;
+    if (!layout) return {};
+
+    let styles;
+    if (!parent) {
+        // Screens fill the viewport up to their design width
+        styles = { position: 'relative', width: '100%', maxWidth: px(layout.width), minHeight: px(layout.height), margin: '0 auto' };
+    } else if (isLegacyNode(node)) {
+        styles = { position: 'absolute', left: px(layout.x), top: px(layout.y), width: px(layout.width), height: px(layout.height) };
+    } else if (parent.layout?.autoLayout && layout.positioning !== 'ABSOLUTE') {
+        const parentAutoLayout = parent.layout.autoLayout;
+        const primary = parentAutoLayout.mode === 'VERTICAL' ? 'vertical' : 'horizontal';
+        styles = {
+            position: 'relative',
+            ...(parentAutoLayout.mode === 'GRID'
+                ? { minWidth: 0 }
+                : {
+                    ...flowAxisStyles(layout.sizing.horizontal, layout.width, 'width', primary === 'horizontal'),
+                    ...flowAxisStyles(layout.sizing.vertical, layout.height, 'height', primary === 'vertical')
+                })
+        };
+    } else {
+        styles = constraintStyles(layout, parent.layout);
+    }
+
+    if (layout.autoLayout) {
+        Object.assign(styles, autoLayoutStyles(layout.autoLayout, node.tokenRefs, tokens));
+    }
+    // Free-form children are placed against this box
+    if (styles.position !== 'absolute' && !layout.autoLayout && (node.children || []).length > 0) {
+        styles.position = 'relative';
+        if (parent && !styles.height && layout.sizing?.vertical !== 'FILL') styles.minHeight = px(layout.height);
+    }
+
+    ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(key => {
+        if (typeof layout[key] === 'number') styles[key] = px(layout[key]);
+    });
+    if (layout.clipsContent) styles.overflow = 'hidden';
+    if (layout.rotation) {
+        styles.transform = [styles.transform, `rotate(${layout.rotation}deg)`].filter(Boolean).join(' ');
+    }
+    if (layout.opacity !== undefined && layout.opacity !== 1) styles.opacity = layout.opacity;
+    return styles;
+};
+
+/**
+ * Colours, borders, radius and typography
+ */
+const visualStyles = (node, tokens = null) => {
+    const styles = {};
+    const { fills = [], strokes = [], cornerRadius, cornerRadii, textStyle } = node.styles || {};
+    const refs = node.tokenRefs || {};
+    const solidFill = fills.find(fill => fill.color && (fill.type === undefined || fill.type === 'SOLID'));
+    const color = (value, ref) => tokens?.color(value, ref) || rgba(value);
+
+    if (node.type === 'TEXT') {
+        if (solidFill) styles.color = color(solidFill.color, refs.fill);
+    } else if (solidFill) {
+        styles.backgroundColor = color(solidFill.color, refs.fill);
+    }
+
+    const stroke = strokes.find(s => s.color);
+    if (stroke && node.type !== 'TEXT') {
+        styles.border = `${px(stroke.weight || 1)} solid ${color(stroke.color, refs.stroke)}`;
+    }
+
+    if (node.type === 'ELLIPSE') {
+        styles.borderRadius = '50%';
+    } else if (cornerRadius !== undefined) {
+        styles.borderRadius = tokens?.length(refs.cornerRadius) || px(cornerRadius);
+    } else if (Array.isArray(cornerRadii)) {
+        styles.borderRadius = cornerRadii.map(px).join(' ');
+    }
+
+    if (textStyle) {
+        if (textStyle.fontFamily) styles.fontFamily = textStyle.fontFamily;
+        if (textStyle.fontSize) styles.fontSize = px(textStyle.fontSize);
+        if (textStyle.fontWeight) styles.fontWeight = textStyle.fontWeight;
+        if (textStyle.textAlignHorizontal) {
+            styles.textAlign = textStyle.textAlignHorizontal === 'JUSTIFIED' ? 'justify' : textStyle.textAlignHorizontal.toLowerCase();
+        }
+        if (textStyle.letterSpacing) styles.letterSpacing = px(textStyle.letterSpacing);
+        if (textStyle.lineHeightPx) styles.lineHeight = px(textStyle.lineHeightPx);
+        Object.assign(styles, tokens?.typography(refs.text));
+    }
+
+    const shadow = tokens?.shadow(refs.effect);
+    if (shadow) styles.boxShadow = shadow;
+    return styles;
+};
+
+/**
+ * Semantic tag for a node
+ */
+const tagFor = (node) => {
+    if (node.type === 'TEXT') {
+        const fontSize = node.styles?.textStyle?.fontSize || 0;
+        if (fontSize >= 28) return 'h1';
+        if (fontSize >= 20) return 'h2';
+        return 'p';
+    }
+    if (/\b(button|btn|cta)\b/i.test(node.name || '')) return 'button';
+    if (/\b(nav|navigation|tab ?bar)\b/i.test(node.name || '')) return 'nav';
+    if (/\b(header|app ?bar)\b/i.test(node.name || '')) return 'header';
+    if (/\bfooter\b/i.test(node.name || '')) return 'footer';
+    return 'div';
+};
+
+const classNameFor = (node) => `node-${String(node.id).replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+
+/**
+ * Copy of a node tree with tag, className and computed style (camelCase) on every node
+ * @param {Object} [tokens] - Token resolver; without one values stay literal
+ */
+const prepareNode = (node, parent = null, tokens = null) => {
+    const { children, ...rest } = node;
+    const prepared = {
+        ...rest,
+        tag: tagFor(node),
+        className: classNameFor(node),
+        style: { ...layoutStyles(node, parent, tokens), ...visualStyles(node, tokens) }
+    };
+    if (Array.isArray(children) && children.length > 0) {
+        prepared.children = children.map(child => prepareNode(child, node, tokens));
+    }
+    return prepared;
+};
+
+const prepareScreens = (screens, tokens = null) => screens.map(screen => prepareNode(screen, null, tokens));
+
+/**
+ * camelCase style object to a CSS declaration list
+ */
+const toCss = (styles) => Object.entries(styles)
+    .map(([property, value]) => `${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value}`)
+    .join('; ');
+
+module.exports = {
+    layoutStyles,
+    visualStyles,
+    tagFor,
+    prepareNode,
+    prepareScreens,
+    toCss
+};
@@ -0,0 +1,193 @@
+/**
+ * Session Store - Postgres persistence for user research sessions
+ * Group discussions and 1:1 interviews, their turn log, topic and agent
+ * roster, with pagination, search and soft delete.
+ */
+
+const { pool } = require('../models/database');
+
+const SESSION_COLUMNS = `
+    id, type, topic, agent_ids, agents, persona_versions, log_json, status, duration_minutes,
+    insights, created_by, created_at, updated_at, deleted_at
+`;
+
+const SUMMARY_COLUMNS = `
+    id, type, topic, agent_ids, agents, persona_versions, status, duration_minutes,
+    jsonb_array_length(log_json) AS message_count, created_at, updated_at, deleted_at
+`;
+
+class SessionStore {
+    /**
+     * Persist a new session
+     * @param {Object} session.personaVersions - { agentId: version } each participant ran as
+     */
+    static async create({ type, topic, agentIds, agents = [], personaVersions = {}, log = [], status = 'completed', durationMinutes = null, createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO research_sessions (type, topic, agent_ids, agents, persona_versions, log_json, status, duration_minutes, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING ${SESSION_COLUMNS}
+        `, [
+            type,
+            topic,
+            agentIds,
+            JSON.stringify(agents),
+            JSON.stringify(personaVersions),
+            JSON.stringify(log),
+            status,
+            durationMinutes,
+            createdBy
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Fetch one session; soft-deleted sessions are hidden unless includeDeleted is set
+     */
+    static async getById(id, { includeDeleted = false } = {}) {
+        const result = await pool.query(`
+            SELECT ${SESSION_COLUMNS}
+            FROM research_sessions
+            WHERE id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Paginated listing with optional filters
+     * @param {Object} filters - { type, topic, agentId, agentName, status, page, limit, includeDeleted }
+     * @returns {Promise<{sessions: Object[], total: number, page: number, limit: number}>}
+     */
+    static async list({ type, topic, agentId, agentName, status, page = 1, limit = 20, includeDeleted = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (!includeDeleted) {
+            conditions.push('deleted_at IS NULL');
+        }
+        if (type) {
+            params.push(type);
+            conditions.push(`type = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (topic) {
+            params.push(`%${topic}%`);
+            conditions.push(`topic ILIKE $${params.length}`);
+        }
+        if (agentId) {
+            params.push(agentId);
+            conditions.push(`$${params.length}::uuid = ANY(agent_ids)`);
+        }
+        if (agentName) {
+            params.push(`%${agentName}%`);
+            conditions.push(`EXISTS (
+                SELECT 1 FROM jsonb_array_elements(agents) AS agent
+                WHERE agent->>'name' ILIKE $${params.length}
+            )`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM research_sessions ${where}`, params);
+
+        const result = await pool.query(`
+            SELECT ${SUMMARY_COLUMNS}
+            FROM research_sessions
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pageSize, (pageNumber - 1) * pageSize]);
+
+        return {
+            sessions: result.rows,
+            total: countResult.rows[0].total,
+            page: pageNumber,
+            limit: pageSize
+        };
+    }
+
+    /**
+     * Update mutable session fields (status, log, duration, insights)
+     */
+    static async update(id, { status, log, durationMinutes, insights }) {
+        const result = await pool.query(`
+            UPDATE research_sessions
+            SET status = COALESCE($2, status),
+                log_json = COALESCE($3::jsonb, log_json),
+                duration_minutes = COALESCE($4, duration_minutes),
+                insights = COALESCE($5, insights),
+                updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+            RETURNING ${SESSION_COLUMNS}
+        `, [
+            id,
+            status || null,
+            log ? JSON.stringify(log) : null,
+            durationMinutes ?? null,
+            insights || null
+        ]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mark every session still "live" as "interrupted", with its duration up
+     * to the last appended turn
+     * @returns {Promise<number>} Number of sessions marked
+     */
+    static async interruptLive() {
+        const result = await pool.query(`
+            UPDATE research_sessions
+            SET status = 'interrupted',
+                duration_minutes = COALESCE(duration_minutes, GREATEST(1, ROUND(EXTRACT(EPOCH FROM (updated_at - created_at)) / 60))),
+                updated_at = NOW()
+            WHERE status = 'live' AND deleted_at IS NULL
+        `);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Append turns to a session log without rewriting the whole array
+     */
+    static async appendTurns(id, turns) {
+        const result = await pool.query(`
+            UPDATE research_sessions
+            SET log_json = log_json || $2::jsonb,
+                updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+            RETURNING id, jsonb_array_length(log_json) AS message_count
+        `, [id, JSON.stringify(turns)]);
+
+        return result.rows[0] || null;
+    }
+
+    static async softDelete(id) {
+        const result = await pool.query(`
+            UPDATE research_sessions
+            SET deleted_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+        `, [id]);
+
+        return result.rowCount > 0;
+    }
+
+    static async restore(id) {
+        const result = await pool.query(`
+            UPDATE research_sessions
+            SET deleted_at = NULL, updated_at = NOW()
+            WHERE id = $1 AND deleted_at IS NOT NULL
+            RETURNING ${SESSION_COLUMNS}
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = SessionStore;
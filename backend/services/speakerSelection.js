@@ -0,0 +1,133 @@
+/**
+ * Speaker Selection - Turn-taking policies for live group research sessions
+ * Decides which agents answer a moderator question and in what order.
+ *
+ * Policies:
+ * - round-robin: participants answer in a fixed rotation
+ * - most-relevant: agents whose profile best matches the question answer first
+ * - interrupt-allowed: round-robin, but a highly relevant agent may jump in
+ */
+
+const POLICIES = ['round-robin', 'most-relevant', 'interrupt-allowed'];
+
+const DEFAULT_SPEAKERS_PER_TURN = 2;
+const INTERRUPT_THRESHOLD = 0.2;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'you', 'your', 'what', 'how', 'why', 'when', 'this', 'that',
+    'with', 'about', 'have', 'does', 'did', 'would', 'could', 'should', 'there', 'their',
+    'from', 'any', 'all', 'can', 'think', 'tell', 'more', 'some', 'they', 'them', 'into'
+]);
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function flattenText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(flattenText).join(' ');
+    if (typeof value === 'object') return Object.values(value).map(flattenText).join(' ');
+    return String(value);
+}
+
+/**
+ * Keyword overlap between a question and an agent's profile, 0..1.
+ * Mentioning the agent by first name always makes them the most relevant.
+ */
+function scoreRelevance(agent, question) {
+    const questionWords = new Set(tokenize(question));
+    if (questionWords.size === 0) return 0;
+
+    const firstName = String(agent.name || '').split(' ')[0].toLowerCase();
+    if (firstName && questionWords.has(firstName)) return 1;
+
+    const profileWords = new Set(tokenize([
+        agent.occupation,
+        agent.role_title,
+        agent.location,
+        flattenText(agent.goals),
+        flattenText(agent.objectives),
+        flattenText(agent.pain_points),
+        flattenText(agent.frustrations),
+        flattenText(agent.motivations),
+        flattenText(agent.knowledge_bounds?.confident)
+    ].join(' ')));
+
+    let overlap = 0;
+    questionWords.forEach(word => {
+        if (profileWords.has(word)) overlap++;
+    });
+
+    return Number((overlap / questionWords.size).toFixed(3));
+}
+
+/**
+ * Pick the speakers for one moderator question.
+ * @param {Object[]} agents - session participants, in seating order
+ * @param {Object} options - { policy, question, targetAgentId, muted, rotationIndex, speakersPerTurn }
+ * @returns {{ speakers: Object[], rotationIndex: number, interruptions: string[] }}
+ */
+function selectSpeakers(agents, options = {}) {
+    const {
+        policy = 'round-robin',
+        question = '',
+        targetAgentId = null,
+        muted = new Set(),
+        rotationIndex = 0,
+        speakersPerTurn = DEFAULT_SPEAKERS_PER_TURN
+    } = options;
+
+    const active = agents.filter(agent => !muted.has(agent.id));
+
+    // A directed question only ever goes to its target
+    if (targetAgentId) {
+        const target = active.find(agent => agent.id === targetAgentId);
+        return { speakers: target ? [target] : [], rotationIndex, interruptions: [] };
+    }
+
+    if (active.length === 0) {
+        return { speakers: [], rotationIndex, interruptions: [] };
+    }
+
+    const count = Math.min(Math.max(parseInt(speakersPerTurn) || DEFAULT_SPEAKERS_PER_TURN, 1), active.length);
+
+    if (policy === 'most-relevant') {
+        const ranked = active
+            .map((agent, index) => ({ agent, index, score: scoreRelevance(agent, question) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+        return { speakers: ranked.slice(0, count).map(r => r.agent), rotationIndex, interruptions: [] };
+    }
+
+    const speakers = [];
+    for (let i = 0; i < count; i++) {
+        speakers.push(active[(rotationIndex + i) % active.length]);
+    }
+    const nextRotation = (rotationIndex + count) % active.length;
+
+    if (policy === 'interrupt-allowed') {
+        const interrupter = active
+            .filter(agent => !speakers.includes(agent))
+            .map(agent => ({ agent, score: scoreRelevance(agent, question) }))
+            .filter(r => r.score >= INTERRUPT_THRESHOLD)
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (interrupter) {
+            // The interrupter cuts in right after the first speaker
+            speakers.splice(1, 0, interrupter.agent);
+            return { speakers, rotationIndex: nextRotation, interruptions: [interrupter.agent.id] };
+        }
+    }
+
+    return { speakers, rotationIndex: nextRotation, interruptions: [] };
+}
+
+module.exports = {
+    POLICIES,
+    DEFAULT_SPEAKERS_PER_TURN,
+    scoreRelevance,
+    selectSpeakers
+};
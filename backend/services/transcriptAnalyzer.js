@@ -7,11 +7,6 @@ const providerGateway = require('./providerGateway');
 
 class TranscriptAnalyzer {
     async analyzeTranscript(fullTranscript, demographics) {
-        const provider = providerGateway.getProvider();
-        if (!provider) {
-            throw new Error('No AI provider available for transcript analysis');
-        }
-
         const systemPrompt = `You are an expert UX researcher extracting behavioral signals from real user research transcripts. 
         Analyze the transcript and extract structured data as JSON only. Be precise and objective in your analysis.`;
 
@@ -66,9 +61,10 @@ Return only valid JSON, no additional text.`;
         ];
 
         try {
-            const rawResponse = await provider.chat(messages, {
+            const rawResponse = await providerGateway.chat(messages, {
                 temperature: 0.2,
-                max_tokens: 1200
+                max_tokens: 1200,
+                tags: { feature: 'persona_generation' }
             });
 
             // Parse and validate the JSON response
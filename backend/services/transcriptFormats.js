@@ -0,0 +1,274 @@
+/**
+ * Transcript Formats - Native parsers for caption and meeting-tool exports
+ * Reads the files researchers get straight out of their recording tools
+ * without a copy-paste step:
+ *   - WebVTT captions (.vtt)      Zoom, Teams, Google Meet, YouTube
+ *   - SubRip subtitles (.srt)     Otter, Descript, Rev
+ *   - Meeting JSON (.json)        Otter, Fireflies, Rev, AssemblyAI, Zoom API
+ * Every parser yields { speaker, start, end, text } cues (seconds) that go
+ * through transcriptNormalizer.normalizeTurns, so per-turn timestamps and
+ * speaker names survive into the canonical transcript and persona evidence.
+ */
+
+const path = require('path');
+const { normalizeTranscript, normalizeTurns, parseTimestamp } = require('./transcriptNormalizer');
+
+const FORMATS = {
+    VTT: 'vtt',
+    SRT: 'srt',
+    JSON: 'meeting_json',
+    TEXT: 'text'
+};
+
+const EXTENSIONS = {
+    '.vtt': FORMATS.VTT,
+    '.srt': FORMATS.SRT,
+    '.json': FORMATS.JSON,
+    '.txt': FORMATS.TEXT
+};
+
+// 00:01:02.500 --> 00:01:05.000   |   00:01:02,500 --> 00:01:05,000
+const CUE_TIMING = /^\s*((?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const VOICE_TAG = /<v(?:\.[^\s>]+)*\s+([^>]+)>/;
+const SPEAKER_PREFIX = /^(?:\[([^\]]{1,50})\]|([A-Za-z\u00C0-\u024F\u0900-\u097F][^:<>[\]]{0,48}?))\s*:\s+(.*)$/s;
+
+const SPEAKER_KEYS = ['speaker', 'speaker_name', 'speakerName', 'name', 'participant', 'user', 'speaker_label'];
+const START_KEYS = ['start', 'start_time', 'startTime', 'offset', 'begin', 'timestamp', 'start_ms', 'startMs'];
+const END_KEYS = ['end', 'end_time', 'endTime', 'stop', 'end_ms', 'endMs'];
+const TEXT_KEYS = ['text', 'content', 'transcript', 'sentence', 'words', 'raw_text'];
+const SEGMENT_KEYS = ['segments', 'transcript', 'utterances', 'results', 'entries', 'sentences', 'monologues', 'items'];
+
+function stripBom(text) {
+    return String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function stripTags(text) {
+    return text.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Split "Name: text" / "[Name] text" cue bodies; keeps the previous speaker
+ * when a cue continues a sentence without a label
+ */
+function splitSpeaker(body) {
+    const match = body.match(SPEAKER_PREFIX);
+    if (!match) return { speaker: null, text: body };
+    const speaker = (match[1] || match[2]).trim();
+    // "Note: ..." style sentences are not speaker labels
+    if (speaker.split(/\s+/).length > 4) return { speaker: null, text: body };
+    return { speaker, text: match[3] };
+}
+
+function parseCueBlocks(text, format) {
+    const cues = [];
+    let speaker = null;
+
+    stripBom(text).split(/\n\s*\n/).forEach(block => {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+        if (timingIndex === -1) return; // WEBVTT header, NOTE, STYLE, REGION blocks
+
+        const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+        const rawBody = lines.slice(timingIndex + 1).join(' ');
+        if (!rawBody) return;
+
+        let body = rawBody;
+        const voice = format === FORMATS.VTT ? rawBody.match(VOICE_TAG) : null;
+        if (voice) {
+            speaker = voice[1].trim();
+            body = stripTags(rawBody);
+        } else {
+            const split = splitSpeaker(stripTags(rawBody).trim());
+            if (split.speaker) speaker = split.speaker;
+            body = split.text;
+        }
+
+        cues.push({
+            speaker,
+            start: parseTimestamp(start),
+            end: parseTimestamp(end),
+            text: body.trim()
+        });
+    });
+
+    return cues;
+}
+
+/**
+ * Parse WebVTT captions into timed cues
+ * @param {string} text - File contents
+ * @returns {Array<{speaker, start, end, text}>}
+ */
+function parseVTT(text) {
+    return parseCueBlocks(text, FORMATS.VTT);
+}
+
+/**
+ * Parse SubRip subtitles into timed cues
+ * @param {string} text - File contents
+ * @returns {Array<{speaker, start, end, text}>}
+ */
+function parseSRT(text) {
+    return parseCueBlocks(text, FORMATS.SRT);
+}
+
+function pick(object, keys) {
+    const key = keys.find(k => object[k] !== undefined && object[k] !== null && object[k] !== '');
+    return key === undefined ? undefined : object[key];
+}
+
+function toSeconds(value, key) {
+    if (value === undefined) return null;
+    if (typeof value === 'string' && value.includes(':')) return parseTimestamp(value);
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return /ms$|Ms$/.test(key || '') ? number / 1000 : number;
+}
+
+function findSegments(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return [];
+    const key = SEGMENT_KEYS.find(k => Array.isArray(data[k]));
+    if (key) return data[key];
+    // { transcript: { segments: [...] } }
+    const nested = SEGMENT_KEYS.map(k => data[k]).find(value => value && typeof value === 'object');
+    return nested ? findSegments(nested) : [];
+}
+
+// Diarization APIs label speakers "A" / "B" or 0 / 1; bare letters would
+// otherwise read as Q / A role labels
+function speakerName(speaker) {
+    if (speaker && typeof speaker === 'object') return speaker.name || speaker.label;
+    if (speaker === undefined || speaker === null) return null;
+    return /^([A-Za-z]|\d+)$/.test(String(speaker)) ? `Speaker ${speaker}` : String(speaker);
+}
+
+/**
+ * Parse meeting-tool JSON exports into timed cues. Accepts a bare segment
+ * array or an object wrapping one, and the common key spellings for speaker,
+ * start / end (seconds, milliseconds or "hh:mm:ss") and text.
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {Array<{speaker, start, end, text}>}
+ */
+function parseMeetingJSON(input) {
+    const data = typeof input === 'string' ? JSON.parse(stripBom(input)) : input;
+    const segments = findSegments(data);
+
+    // Millisecond offsets are common (AssemblyAI, Zoom API) but rarely labelled;
+    // treat integers beyond ~28 hours as milliseconds
+    const startKey = segments.length > 0 && typeof segments[0] === 'object'
+        ? START_KEYS.find(k => segments[0][k] !== undefined) : null;
+    const looksLikeMs = segments.some(s => s && Number(s[startKey]) > 100000);
+
+    return segments
+        .filter(segment => segment && typeof segment === 'object')
+        .map(segment => {
+            let text = pick(segment, TEXT_KEYS);
+            if (Array.isArray(text)) text = text.map(word => (typeof word === 'string' ? word : word.text || word.word || '')).join(' ');
+            const speaker = pick(segment, SPEAKER_KEYS);
+
+            const startKeyUsed = START_KEYS.find(k => segment[k] !== undefined);
+            const endKeyUsed = END_KEYS.find(k => segment[k] !== undefined);
+            let start = toSeconds(segment[startKeyUsed], startKeyUsed);
+            let end = toSeconds(segment[endKeyUsed], endKeyUsed);
+            if (looksLikeMs && !/ms$|Ms$/.test(startKeyUsed || '')) {
+                start = start === null ? null : start / 1000;
+                end = end === null ? null : end / 1000;
+            }
+
+            return {
+                speaker: speakerName(speaker),
+                start,
+                end,
+                text: typeof text === 'string' ? text : ''
+            };
+        });
+}
+
+/**
+ * Whether parsed JSON is a timed meeting export rather than a list of
+ * { name, transcript } records
+ */
+function isMeetingExport(data) {
+    const [first] = findSegments(data);
+    return Boolean(first && typeof first === 'object' && START_KEYS.some(key => first[key] !== undefined));
+}
+
+/**
+ * Detect the export format from the file name, falling back to the content
+ * @param {string} text - File contents
+ * @param {string} filename - Original file name (optional)
+ * @returns {string} One of FORMATS
+ */
+function detectFormat(text, filename) {
+    const byExtension = filename ? EXTENSIONS[path.extname(filename).toLowerCase()] : null;
+    if (byExtension && byExtension !== FORMATS.TEXT) return byExtension;
+
+    const content = stripBom(text).trimStart();
+    if (/^WEBVTT/.test(content)) return FORMATS.VTT;
+    if (/^[[{]/.test(content)) {
+        try {
+            JSON.parse(content);
+            return FORMATS.JSON;
+        } catch (error) {
+            return FORMATS.TEXT;
+        }
+    }
+    if (/^\d+\s*\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(content)) return FORMATS.SRT;
+    return FORMATS.TEXT;
+}
+
+/**
+ * Load any supported transcript into the canonical normalized form
+ * @param {string} text - File contents or pasted text
+ * @param {Object} options - { filename, roles }
+ * @returns {Object} transcriptNormalizer result with `source` set to the detected format
+ */
+function loadTranscript(text, { filename, roles = {} } = {}) {
+    const format = detectFormat(text, filename);
+    const parsers = {
+        [FORMATS.VTT]: parseVTT,
+        [FORMATS.SRT]: parseSRT,
+        [FORMATS.JSON]: parseMeetingJSON
+    };
+
+    if (!parsers[format]) {
+        return { ...normalizeTranscript(text, { roles }), source: FORMATS.TEXT };
+    }
+
+    let cues;
+    try {
+        cues = parsers[format](text);
+    } catch (error) {
+        throw new Error(`Could not parse ${filename || 'transcript'} as ${format}: ${error.message}`);
+    }
+    if (cues.length === 0 && format === FORMATS.JSON) {
+        // { "text": "..." } documents wrap a plain transcript rather than segments
+        const data = JSON.parse(stripBom(text));
+        const body = data && (data.text || data.content);
+        if (typeof body === 'string') {
+            return { ...normalizeTranscript(body, { roles }), source: format };
+        }
+    }
+    if (cues.length === 0) {
+        throw new Error(`No transcript turns found in ${filename || 'transcript'} (${format})`);
+    }
+
+    // Captions without any speaker labels fall back to text diarization
+    if (cues.every(cue => !cue.speaker)) {
+        const plain = cues.map(cue => cue.text).join('\n\n');
+        return { ...normalizeTranscript(plain, { roles }), source: format };
+    }
+
+    return { ...normalizeTurns(cues, { roles, format }), source: format };
+}
+
+module.exports = {
+    FORMATS,
+    parseVTT,
+    parseSRT,
+    parseMeetingJSON,
+    isMeetingExport,
+    detectFormat,
+    loadTranscript
+};
@@ -0,0 +1,454 @@
+/**
+ * Transcript Normalizer - Speaker diarization for uploaded interview transcripts
+ * Turns a raw transcript in any common layout into one canonical turn list:
+ *   - labelled lines            "Moderator: ..." / "Abdul: ..." / "**Q:** ..."
+ *   - timestamped lines         "[00:12:03] Abdul: ..." / "Abdul (00:12): ..."
+ *   - Zoom exports              "[Abdul Yasser] 10:02:15" followed by text lines
+ *   - Otter / Teams exports     "Abdul Yasser  0:03" followed by text lines
+ *   - Teams caption tags        "<v Abdul Yasser>...</v>"
+ *   - unlabelled Q&A paragraphs
+ * Each speaker is then classified as interviewer or respondent so every
+ * persona-extraction route reads the same Moderator / Respondent transcript.
+ */
+
+const ROLES = {
+    INTERVIEWER: 'interviewer',
+    RESPONDENT: 'respondent'
+};
+
+const INTERVIEWER_LABELS = new Set([
+    'moderator', 'interviewer', 'researcher', 'facilitator', 'host', 'mod', 'int', 'q', 'question', 'ux researcher'
+]);
+const RESPONDENT_LABELS = new Set([
+    'respondent', 'participant', 'interviewee', 'user', 'customer', 'candidate', 'resp', 'a', 'answer'
+]);
+
+const GENERIC_SPEAKER = /^(speaker|person|participant|unknown)\s*[\w]{0,3}$/i;
+
+const TS = '(\\d{1,2}:\\d{2}(?::\\d{2})?(?:[.,]\\d{1,3})?)';
+const NAME = '([A-Za-z\\u00C0-\\u024F\\u0900-\\u097F][^\\[\\]():<>]{0,48}?)';
+
+const PATTERNS = {
+    // [00:12:03] Abdul: text   |   00:12:03 - Abdul: text
+    timestampFirst: new RegExp(`^\\[?${TS}\\]?\\s*[-–]?\\s*${NAME}\\s*:\\s*(.*)$`),
+    // Abdul [00:12:03]: text   |   Abdul (00:12) text
+    timestampAfter: new RegExp(`^${NAME}\\s*[\\[(]${TS}[\\])]\\s*:?\\s*(.*)$`),
+    // Zoom: [Abdul Yasser] 10:02:15
+    zoomHeader: new RegExp(`^\\[${NAME}\\]\\s+${TS}$`),
+    // Otter / Teams: Abdul Yasser  0:03
+    speakerHeader: new RegExp(`^${NAME}\\s+${TS}$`),
+    // Teams captions: <v Abdul Yasser>text</v>
+    voiceTag: /^<v(?:\.[\w.]+)?\s+([^>]+)>(.*?)(?:<\/v>)?$/,
+    // Abdul: text
+    labelled: new RegExp(`^${NAME}\\s*:\\s*(.+)$`),
+    // Abdul:   (text on the following lines)
+    labelOnly: new RegExp(`^${NAME}\\s*:$`),
+    bareTimestamp: new RegExp(`^[\\[(]?${TS}[\\])]?$`)
+};
+
+const FORMAT_BY_PATTERN = {
+    timestampFirst: 'timestamped',
+    timestampAfter: 'timestamped',
+    zoomHeader: 'zoom',
+    speakerHeader: 'otter',
+    voiceTag: 'teams',
+    labelled: 'labelled',
+    labelOnly: 'labelled'
+};
+
+/**
+ * "1:02:03", "12:03" or "00:12:03.500" → seconds
+ */
+function parseTimestamp(value) {
+    if (!value) return null;
+    const parts = value.replace(',', '.').split(':').map(Number);
+    if (parts.some(Number.isNaN)) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+    if (seconds === null || seconds === undefined) return null;
+    const whole = Math.floor(seconds);
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(Math.floor(whole / 3600))}:${pad(Math.floor((whole % 3600) / 60))}:${pad(whole % 60)}`;
+}
+
+function cleanName(name) {
+    return String(name || '')
+        .replace(/[*_]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function stripMarkdown(line) {
+    // "**Moderator:** text" → "Moderator: text"
+    return line.replace(/^([*_]{1,2})([^*_]+?)(:?)\1(:?)/, '$2$3$4').trim();
+}
+
+/**
+ * Role implied by the label itself, e.g. "Moderator", "Interviewer - Priya", "Respondent (Abdul)"
+ */
+function roleFromLabel(name) {
+    const lower = name.toLowerCase();
+    const head = lower.split(/[\s(\-–:]+/)[0];
+    if (INTERVIEWER_LABELS.has(lower) || INTERVIEWER_LABELS.has(head)) return ROLES.INTERVIEWER;
+    if (RESPONDENT_LABELS.has(lower) || RESPONDENT_LABELS.has(head)) return ROLES.RESPONDENT;
+    return null;
+}
+
+const wordCount = text => (text.match(/\S+/g) || []).length;
+
+function plausibleLabel(name) {
+    return name.length > 0 && name.length <= 50 && wordCount(name) <= 5 && !/[.!?,;]$/.test(name);
+}
+
+/**
+ * First pass: classify every line. Plain "Name: text" lines are only treated
+ * as speaker labels when the label repeats or names a role, so sentences like
+ * "Note: we recorded this" stay part of the surrounding turn.
+ */
+function classifyLines(lines) {
+    const classified = lines.map(raw => {
+        const line = stripMarkdown(raw.trim());
+        if (!line) return { kind: 'blank' };
+
+        for (const pattern of ['zoomHeader', 'timestampFirst', 'timestampAfter', 'voiceTag']) {
+            const match = line.match(PATTERNS[pattern]);
+            if (!match) continue;
+
+            if (pattern === 'voiceTag') {
+                return { kind: 'turn', pattern, speaker: cleanName(match[1]), start: null, text: match[2].trim() };
+            }
+            if (pattern === 'timestampFirst') {
+                if (!plausibleLabel(cleanName(match[2]))) continue;
+                return { kind: 'turn', pattern, speaker: cleanName(match[2]), start: parseTimestamp(match[1]), text: match[3].trim() };
+            }
+            if (!plausibleLabel(cleanName(match[1]))) continue;
+            const text = (match[3] || '').trim();
+            return {
+                kind: text ? 'turn' : 'header',
+                pattern,
+                speaker: cleanName(match[1]),
+                start: parseTimestamp(match[2]),
+                text
+            };
+        }
+
+        const timestamp = line.match(PATTERNS.bareTimestamp);
+        if (timestamp) return { kind: 'timestamp', start: parseTimestamp(timestamp[1]) };
+
+        // "Abdul Yasser  0:03" could also be a sentence ending in a time, so it needs confirming
+        const header = line.match(PATTERNS.speakerHeader);
+        if (header && plausibleLabel(cleanName(header[1]))) {
+            return { kind: 'candidateHeader', pattern: 'speakerHeader', speaker: cleanName(header[1]), start: parseTimestamp(header[2]), text: '', line };
+        }
+
+        const labelOnly = line.match(PATTERNS.labelOnly);
+        if (labelOnly && plausibleLabel(cleanName(labelOnly[1]))) {
+            return { kind: 'candidateHeader', pattern: 'labelOnly', speaker: cleanName(labelOnly[1]), text: '', line };
+        }
+
+        const labelled = line.match(PATTERNS.labelled);
+        if (labelled && plausibleLabel(cleanName(labelled[1]))) {
+            return { kind: 'candidate', pattern: 'labelled', speaker: cleanName(labelled[1]), text: labelled[2].trim(), line };
+        }
+
+        return { kind: 'text', text: line };
+    });
+
+    const labelCounts = new Map();
+    classified.forEach(item => {
+        if (item.speaker) {
+            const key = item.speaker.toLowerCase();
+            labelCounts.set(key, (labelCounts.get(key) || 0) + 1);
+        }
+    });
+
+    return classified.map(item => {
+        if (item.kind !== 'candidate' && item.kind !== 'candidateHeader') return item;
+        const confirmed = labelCounts.get(item.speaker.toLowerCase()) >= 2 || roleFromLabel(item.speaker);
+        if (!confirmed) return { kind: 'text', text: item.line };
+        return { ...item, kind: item.kind === 'candidate' ? 'turn' : 'header', start: item.start ?? null };
+    });
+}
+
+/**
+ * Second pass: fold headers, continuation lines and timestamps into turns
+ */
+function buildTurns(classified) {
+    const turns = [];
+    const patternCounts = {};
+    let current = null;
+    let pendingStart = null;
+
+    const open = (speaker, start, text, pattern) => {
+        current = { speaker, start: start ?? pendingStart, lines: text ? [text] : [] };
+        pendingStart = null;
+        turns.push(current);
+        patternCounts[pattern] = (patternCounts[pattern] || 0) + 1;
+    };
+
+    classified.forEach(item => {
+        switch (item.kind) {
+            case 'turn':
+            case 'header':
+                open(item.speaker, item.start, item.text, item.pattern);
+                break;
+            case 'timestamp':
+                pendingStart = item.start;
+                break;
+            case 'text':
+                if (current) current.lines.push(item.text);
+                else open(null, null, item.text, 'preamble');
+                break;
+            default:
+                break;
+        }
+    });
+
+    const labelled = Object.entries(patternCounts).filter(([pattern]) => FORMAT_BY_PATTERN[pattern]);
+    const format = labelled.length > 0
+        ? FORMAT_BY_PATTERN[labelled.sort((a, b) => b[1] - a[1])[0][0]]
+        : 'unlabelled';
+
+    return {
+        format,
+        turns: turns
+            .map(turn => ({ speaker: turn.speaker, start: turn.start, text: turn.lines.join(' ').replace(/\s+/g, ' ').trim() }))
+            .filter(turn => turn.text)
+    };
+}
+
+/**
+ * No speaker labels at all: one turn per paragraph, questions are the interviewer's
+ */
+function splitUnlabelled(text) {
+    const blocks = text.split(/\n\s*\n/).length > 1 ? text.split(/\n\s*\n/) : text.split('\n');
+    return blocks
+        .map(block => block.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .map(block => ({
+            speaker: /\?\s*$/.test(block) ? 'Interviewer' : 'Respondent',
+            start: null,
+            text: block
+        }));
+}
+
+/**
+ * Decide who is interviewing. Role words in the label win; otherwise the
+ * speaker who mostly asks questions, speaks first and talks least is the
+ * interviewer. A second speaker who only asks questions (a note-taker
+ * chiming in) is treated as an interviewer too.
+ */
+function inferRoles(turns, overrides = {}) {
+    const stats = new Map();
+    const totalWords = turns.reduce((sum, turn) => sum + wordCount(turn.text), 0) || 1;
+
+    turns.forEach((turn, index) => {
+        if (!stats.has(turn.speaker)) {
+            stats.set(turn.speaker, { name: turn.speaker, turns: 0, words: 0, questions: 0, firstIndex: index });
+        }
+        const entry = stats.get(turn.speaker);
+        entry.turns += 1;
+        entry.words += wordCount(turn.text);
+        if (turn.text.includes('?')) entry.questions += 1;
+    });
+
+    const speakers = [...stats.values()].map(entry => ({
+        ...entry,
+        questionRatio: entry.turns > 0 ? entry.questions / entry.turns : 0,
+        wordShare: entry.words / totalWords,
+        role: overrides[entry.name] || roleFromLabel(entry.name)
+    }));
+
+    if (speakers.length === 1 && !speakers[0].role) {
+        speakers[0].role = ROLES.RESPONDENT;
+    }
+
+    const undecided = speakers.filter(s => !s.role);
+    if (undecided.length > 0) {
+        const hasInterviewer = speakers.some(s => s.role === ROLES.INTERVIEWER);
+        const score = s => s.questionRatio + (s.firstIndex === 0 ? 0.15 : 0) + (0.5 - s.wordShare) * 0.5;
+        const ranked = [...undecided].sort((a, b) => score(b) - score(a));
+
+        if (!hasInterviewer && speakers.length > 1) {
+            ranked[0].role = ROLES.INTERVIEWER;
+        }
+        ranked.forEach(s => {
+            if (s.role) return;
+            s.role = s.questionRatio >= 0.6 && s.wordShare < 0.2 && s.turns >= 2
+                ? ROLES.INTERVIEWER
+                : ROLES.RESPONDENT;
+        });
+    }
+
+    // Every transcript needs someone to build the persona from
+    if (!speakers.some(s => s.role === ROLES.RESPONDENT) && speakers.length > 1) {
+        const talker = [...speakers].sort((a, b) => b.words - a.words)[0];
+        talker.role = ROLES.RESPONDENT;
+    }
+
+    return speakers.map(({ name, role, turns: count, words, questionRatio }) => ({
+        name,
+        role,
+        turns: count,
+        words,
+        questionRatio: Math.round(questionRatio * 100) / 100
+    }));
+}
+
+function mergeConsecutive(turns) {
+    return turns.reduce((merged, turn) => {
+        const last = merged[merged.length - 1];
+        if (last && last.speaker === turn.speaker) {
+            last.text = `${last.text} ${turn.text}`;
+            last.end = turn.end ?? last.end;
+        } else {
+            merged.push({ ...turn });
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Canonical turns from already-segmented input (caption cues, meeting-tool
+ * JSON): merges consecutive turns by the same speaker and assigns roles
+ * @param {Array<{speaker, start, end, text}>} rawTurns - start / end in seconds
+ * @param {Object} options - { roles, format }
+ */
+function normalizeTurns(rawTurns, { roles = {}, format = 'structured' } = {}) {
+    const turns = mergeConsecutive(rawTurns
+        .map(turn => ({
+            speaker: cleanName(turn.speaker) || 'Unknown',
+            start: Number.isFinite(turn.start) ? turn.start : null,
+            end: Number.isFinite(turn.end) ? turn.end : null,
+            text: String(turn.text || '').replace(/\s+/g, ' ').trim()
+        }))
+        .filter(turn => turn.text));
+
+    const speakers = inferRoles(turns, roles);
+    const roleOf = new Map(speakers.map(s => [s.name, s.role]));
+
+    return {
+        format,
+        turns: turns.map((turn, index) => ({
+            index,
+            speaker: turn.speaker,
+            role: roleOf.get(turn.speaker),
+            start: formatTimestamp(turn.start),
+            startSeconds: turn.start,
+            end: formatTimestamp(turn.end),
+            endSeconds: turn.end,
+            text: turn.text
+        })),
+        speakers,
+        interviewers: speakers.filter(s => s.role === ROLES.INTERVIEWER).map(s => s.name),
+        respondents: speakers.filter(s => s.role === ROLES.RESPONDENT).map(s => s.name)
+    };
+}
+
+/**
+ * Normalize a raw transcript into canonical turns
+ * @param {string} rawText - Transcript as uploaded or pasted
+ * @param {Object} options - { roles: { [speakerName]: 'interviewer'|'respondent' } }
+ * @returns {{format, turns: Array<{index, speaker, role, start, startSeconds, end, endSeconds, text}>, speakers, interviewers, respondents}}
+ */
+function normalizeTranscript(rawText, { roles = {} } = {}) {
+    const text = String(rawText || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    let { format, turns } = buildTurns(classifyLines(text.split('\n')));
+
+    if (format === 'unlabelled') {
+        turns = splitUnlabelled(text);
+    } else {
+        // Text before the first speaker label is a title or intro, not a turn
+        turns = turns.filter((turn, index) => turn.speaker !== null || index > 0);
+    }
+
+    return normalizeTurns(turns, { roles, format });
+}
+
+const comparable = text => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Find the turn each extracted quote came from so persona evidence can link
+ * back to the moment in the recording. Respondent turns are searched first;
+ * paraphrased quotes match on word overlap.
+ * @returns {Array<{quote, turnIndex, speaker, start, startSeconds, end, endSeconds, match}>}
+ */
+function locateQuotes(quotes, normalized, { minOverlap = 0.6 } = {}) {
+    const turns = [...normalized.turns].sort((a, b) =>
+        (a.role === ROLES.RESPONDENT ? 0 : 1) - (b.role === ROLES.RESPONDENT ? 0 : 1));
+    const prepared = turns.map(turn => {
+        const text = comparable(turn.text);
+        return { turn, text, words: new Set(text.split(' ')) };
+    });
+
+    return (quotes || []).filter(quote => typeof quote === 'string' && quote.trim()).map(quote => {
+        const target = comparable(quote);
+        let found = prepared.find(p => p.text.includes(target));
+        let match = 'exact';
+
+        if (!found) {
+            const words = target.split(' ').filter(word => word.length >= 3);
+            let best = 0;
+            prepared.forEach(p => {
+                const overlap = words.length > 0 ? words.filter(word => p.words.has(word)).length / words.length : 0;
+                if (overlap > best) {
+                    best = overlap;
+                    found = p;
+                }
+            });
+            match = best >= minOverlap ? 'approximate' : 'none';
+            if (match === 'none') found = null;
+        }
+
+        const turn = found?.turn;
+        return {
+            quote,
+            turnIndex: turn ? turn.index : null,
+            speaker: turn ? turn.speaker : null,
+            start: turn ? turn.start : null,
+            startSeconds: turn ? turn.startSeconds : null,
+            end: turn ? turn.end : null,
+            endSeconds: turn ? turn.endSeconds : null,
+            match
+        };
+    });
+}
+
+/**
+ * Canonical text for LLM prompts: one "Moderator:" / "Respondent:" line per
+ * turn, keeping real speaker names and timestamps where the source had them
+ */
+function toPromptText(normalized, { timestamps = true } = {}) {
+    return normalized.turns.map(turn => {
+        const roleLabel = turn.role === ROLES.INTERVIEWER ? 'Moderator' : 'Respondent';
+        const named = !roleFromLabel(turn.speaker) && !GENERIC_SPEAKER.test(turn.speaker);
+        const label = named ? `${roleLabel} (${turn.speaker})` : roleLabel;
+        const stamp = timestamps && turn.start ? `[${turn.start}] ` : '';
+        return `${stamp}${label}: ${turn.text}`;
+    }).join('\n\n');
+}
+
+/**
+ * Speaker summary returned to clients so they can see how a transcript was read
+ */
+function describe(normalized) {
+    return {
+        format: normalized.format,
+        file_format: normalized.source,
+        turns: normalized.turns.length,
+        speakers: normalized.speakers
+    };
+}
+
+module.exports = {
+    ROLES,
+    normalizeTranscript,
+    normalizeTurns,
+    toPromptText,
+    locateQuotes,
+    describe,
+    parseTimestamp,
+    formatTimestamp
+};
@@ -0,0 +1,312 @@
+/**
+ * Usage Tracker - Token usage, latency and cost accounting for LLM calls
+ * Every ProviderGateway call is recorded in llm_usage, tagged by user,
+ * session, agent, project and feature; per-project budgets live in llm_budgets.
+ * Calls against a budgeted project reserve their estimated cost in the same
+ * transaction as the budget check, so parallel calls cannot overshoot it.
+ */
+
+const { pool } = require('../models/database');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { MODEL_PRICING } = require('../config/llm');
+
+const GROUP_BY_COLUMNS = {
+    feature: 'feature',
+    model: 'model',
+    provider: 'provider',
+    user: 'user_id',
+    session: 'session_id',
+    agent: 'agent_id',
+    project: 'project_id'
+};
+
+// Calls nobody can be attributed to are billed here so they still hit a budget
+const DEFAULT_PROJECT = process.env.LLM_DEFAULT_PROJECT || 'default';
+
+const PERIOD_START = {
+    daily: "date_trunc('day', NOW())",
+    monthly: "date_trunc('month', NOW())",
+    total: "'epoch'::timestamptz"
+};
+
+class BudgetExceededError extends AppError {
+    constructor(projectId, spentUsd, budgetUsd, period) {
+        super(
+            `LLM budget exceeded for project ${projectId}: $${spentUsd.toFixed(4)} of $${budgetUsd.toFixed(2)} (${period})`,
+            ERROR_TYPES.RATE_LIMIT,
+            402
+        );
+        this.name = 'BudgetExceededError';
+        this.details = { projectId, spentUsd, budgetUsd, period };
+    }
+}
+
+class UsageTracker {
+    /**
+     * Look up the per-1M-token price for a model by longest matching prefix
+     */
+    static getModelPricing(model, pricing = MODEL_PRICING) {
+        if (!model) return null;
+        const key = Object.keys(pricing)
+            .filter(prefix => model.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return key ? pricing[key] : null;
+    }
+
+    /**
+     * Estimate the USD cost of a call from its token usage
+     */
+    static estimateCost(model, usage = {}, pricing = MODEL_PRICING) {
+        const price = this.getModelPricing(model, pricing);
+        if (!price) return 0;
+
+        const promptCost = (usage.prompt_tokens || 0) * price.input / 1e6;
+        const completionCost = (usage.completion_tokens || 0) * price.output / 1e6;
+        return Number((promptCost + completionCost).toFixed(6));
+    }
+
+    /**
+     * Column values for an llm_usage row
+     */
+    static usageValues(entry) {
+        const tags = entry.tags || {};
+        const usage = entry.usage || {};
+        return [
+            entry.provider,
+            entry.model,
+            tags.feature || 'unknown',
+            tags.userId ? String(tags.userId) : null,
+            tags.sessionId ? String(tags.sessionId) : null,
+            tags.agentId ? String(tags.agentId) : null,
+            tags.projectId ? String(tags.projectId) : null,
+            usage.prompt_tokens || 0,
+            usage.completion_tokens || 0,
+            usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+            entry.costUsd || 0,
+            entry.latencyMs || null
+        ];
+    }
+
+    /**
+     * Persist one usage record. Failures are logged, never thrown, so
+     * accounting problems cannot break a chat turn.
+     */
+    static async record(entry) {
+        try {
+            await pool.query(`
+                INSERT INTO llm_usage (
+                    provider, model, feature, user_id, session_id, agent_id, project_id,
+                    prompt_tokens, completion_tokens, total_tokens, cost_usd, latency_ms
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            `, this.usageValues(entry));
+        } catch (error) {
+            console.warn('⚠️ Failed to record LLM usage:', error.message);
+        }
+    }
+
+    /**
+     * The project a call is billed to, worked out on the server rather than
+     * trusted from the request body. A requested project must be one the
+     * user belongs to; otherwise the user's only project is used, and
+     * anything else falls back to LLM_DEFAULT_PROJECT.
+     */
+    static async resolveProjectId({ userId, requestedProjectId } = {}) {
+        if (!userId) {
+            if (requestedProjectId) {
+                throw new AppError('Sign in to bill LLM usage to a project', ERROR_TYPES.AUTHENTICATION, 401);
+            }
+            return DEFAULT_PROJECT;
+        }
+
+        const result = await pool.query('SELECT project_id FROM project_members WHERE user_id = $1', [userId]);
+        const projectIds = result.rows.map(row => String(row.project_id));
+
+        if (requestedProjectId) {
+            if (!projectIds.includes(String(requestedProjectId))) {
+                throw new AppError(`Not a member of project ${requestedProjectId}`, ERROR_TYPES.AUTHORIZATION, 403);
+            }
+            return String(requestedProjectId);
+        }
+        return projectIds.length === 1 ? projectIds[0] : DEFAULT_PROJECT;
+    }
+
+    /**
+     * Throw BudgetExceededError when a project has spent its budget for the
+     * current period, or would by spending `costUsd` more
+     * @param {Object} db - pool or a client inside a transaction
+     * @param {boolean} lock - lock the budget row until the transaction ends
+     * @returns {Promise<boolean>} Whether the project has a budget
+     */
+    static async assertWithinBudget(projectId, { costUsd = 0, db = pool, lock = false } = {}) {
+        if (!projectId) return false;
+
+        const budgetResult = await db.query(
+            `SELECT budget_usd, period FROM llm_budgets WHERE project_id = $1${lock ? ' FOR UPDATE' : ''}`,
+            [String(projectId)]
+        );
+        if (budgetResult.rows.length === 0) return false;
+
+        const budget = budgetResult.rows[0];
+        const periodStart = PERIOD_START[budget.period] || PERIOD_START.monthly;
+        const spendResult = await db.query(
+            `SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_usage
+             WHERE project_id = $1 AND created_at >= ${periodStart}`,
+            [String(projectId)]
+        );
+
+        const spent = parseFloat(spendResult.rows[0].spent);
+        const limit = parseFloat(budget.budget_usd);
+        if (spent >= limit || spent + costUsd > limit) {
+            throw new BudgetExceededError(String(projectId), spent, limit, budget.period);
+        }
+        return true;
+    }
+
+    /**
+     * Check the budget and hold the call's estimated cost in one transaction,
+     * before the provider is called. The budget row stays locked until the
+     * reservation is written, so concurrent calls are admitted one at a time.
+     * @param {Object} entry - { provider, model, costUsd, tags } with the estimate
+     * @returns {Promise<string|null>} Reservation id, or null when the project has no budget
+     */
+    static async reserve(projectId, entry) {
+        if (!projectId) return null;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const budgeted = await this.assertWithinBudget(projectId, { costUsd: entry.costUsd || 0, db: client, lock: true });
+            if (!budgeted) {
+                await client.query('COMMIT');
+                return null;
+            }
+
+            const result = await client.query(`
+                INSERT INTO llm_usage (
+                    provider, model, feature, user_id, session_id, agent_id, project_id,
+                    prompt_tokens, completion_tokens, total_tokens, cost_usd, latency_ms, status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'reserved')
+                RETURNING id
+            `, this.usageValues({ ...entry, tags: { ...entry.tags, projectId } }));
+            await client.query('COMMIT');
+            return result.rows[0].id;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace a reservation with the call's real usage. A failed update keeps
+     * the estimate, which errs on the side of the budget.
+     */
+    static async settle(reservationId, entry) {
+        try {
+            await pool.query(`
+                UPDATE llm_usage
+                SET provider = $2, model = $3, feature = $4, user_id = $5, session_id = $6, agent_id = $7,
+                    project_id = COALESCE($8, project_id), prompt_tokens = $9, completion_tokens = $10,
+                    total_tokens = $11, cost_usd = $12, latency_ms = $13, status = 'recorded'
+                WHERE id = $1
+            `, [reservationId, ...this.usageValues(entry)]);
+        } catch (error) {
+            console.warn('⚠️ Failed to settle LLM usage reservation:', error.message);
+        }
+    }
+
+    /**
+     * Drop a reservation for a call that never completed
+     */
+    static async release(reservationId) {
+        try {
+            await pool.query("DELETE FROM llm_usage WHERE id = $1 AND status = 'reserved'", [reservationId]);
+        } catch (error) {
+            console.warn('⚠️ Failed to release LLM usage reservation:', error.message);
+        }
+    }
+
+    /**
+     * Daily rollups of tokens, cost and latency, optionally grouped by a tag
+     */
+    static async getDailyRollup({ from, to, groupBy, feature, projectId, userId, agentId } = {}) {
+        const groupColumn = GROUP_BY_COLUMNS[groupBy];
+        const conditions = [];
+        const params = [];
+
+        const addCondition = (column, value) => {
+            params.push(value);
+            conditions.push(`${column} = $${params.length}`);
+        };
+
+        params.push(from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+        conditions.push(`created_at >= $${params.length}`);
+        if (to) {
+            params.push(to);
+            conditions.push(`created_at < $${params.length}`);
+        }
+        if (feature) addCondition('feature', feature);
+        if (projectId) addCondition('project_id', String(projectId));
+        if (userId) addCondition('user_id', String(userId));
+        if (agentId) addCondition('agent_id', String(agentId));
+
+        const groupSelect = groupColumn ? `, ${groupColumn} AS group_key` : '';
+        const groupClause = groupColumn ? `, ${groupColumn}` : '';
+
+        const result = await pool.query(`
+            SELECT date_trunc('day', created_at)::date AS day${groupSelect},
+                   COUNT(*)::int AS calls,
+                   SUM(prompt_tokens)::int AS prompt_tokens,
+                   SUM(completion_tokens)::int AS completion_tokens,
+                   SUM(total_tokens)::int AS total_tokens,
+                   SUM(cost_usd)::float AS cost_usd,
+                   AVG(latency_ms)::int AS avg_latency_ms
+            FROM llm_usage
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY day${groupClause}
+            ORDER BY day DESC${groupClause}
+        `, params);
+
+        return result.rows;
+    }
+
+    static async getBudgets() {
+        const result = await pool.query(`
+            SELECT b.project_id, b.budget_usd::float AS budget_usd, b.period, b.updated_at,
+                   COALESCE((
+                       SELECT SUM(u.cost_usd) FROM llm_usage u
+                       WHERE u.project_id = b.project_id
+                         AND u.created_at >= CASE b.period
+                             WHEN 'daily' THEN date_trunc('day', NOW())
+                             WHEN 'total' THEN 'epoch'::timestamptz
+                             ELSE date_trunc('month', NOW())
+                         END
+                   ), 0)::float AS spent_usd
+            FROM llm_budgets b
+            ORDER BY b.project_id
+        `);
+        return result.rows;
+    }
+
+    static async setBudget(projectId, budgetUsd, period = 'monthly') {
+        const result = await pool.query(`
+            INSERT INTO llm_budgets (project_id, budget_usd, period)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (project_id) DO UPDATE
+                SET budget_usd = EXCLUDED.budget_usd, period = EXCLUDED.period, updated_at = NOW()
+            RETURNING project_id, budget_usd::float AS budget_usd, period, updated_at
+        `, [String(projectId), budgetUsd, period]);
+        return result.rows[0];
+    }
+
+    static async deleteBudget(projectId) {
+        const result = await pool.query('DELETE FROM llm_budgets WHERE project_id = $1', [String(projectId)]);
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = UsageTracker;
+module.exports.BudgetExceededError = BudgetExceededError;
+module.exports.GROUP_BY_COLUMNS = GROUP_BY_COLUMNS;
+module.exports.DEFAULT_PROJECT = DEFAULT_PROJECT;
@@ -311,6 +311,8 @@ function generateTypingProgress(totalDelay, persona) {
 
 /**
  * Enhanced response generation with persona context
+ * context.allowFallback = false rethrows provider errors (budget exceeded,
+ * every provider down) instead of answering with canned persona text
  */
 async function generatePersonaResponse(persona, userMessage, chatHistory = [], context = {}) {
   try {
@@ -327,7 +329,8 @@ async function generatePersonaResponse(persona, userMessage, chatHistory = [], c
       max_tokens: persona.communication_style?.sentence_length === 'long' ? 400 : 280,
       top_p: 0.9,
       presence_penalty: 0.6,
-      frequency_penalty: 0.5
+      frequency_penalty: 0.5,
+      tags: { feature: context.feature || 'enhanced_chat', agentId: persona.id, sessionId: context.sessionId }
     };
 
     let rawResponse;
@@ -337,6 +340,7 @@ async function generatePersonaResponse(persona, userMessage, chatHistory = [], c
       rawResponse = await providerGateway.chat(messages, aiParams);
       console.log('✅ AI response received successfully');
     } catch (apiError) {
+      if (context.allowFallback === false) throw apiError;
       console.warn('⚠️  AI API unavailable, using persona-based fallback');
       rawResponse = generatePersonaBasedFallback(persona, userMessage, chatHistory, context);
       console.log('✅ Persona-based fallback response generated');
@@ -357,6 +361,7 @@ async function generatePersonaResponse(persona, userMessage, chatHistory = [], c
     };
     
   } catch (error) {
+    if (context.allowFallback === false) throw error;
     console.error('Error generating persona response:', error);
     // Final fallback - generate basic response
     const fallbackResponse = generatePersonaBasedFallback(persona, userMessage, chatHistory, context);
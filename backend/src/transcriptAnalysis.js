@@ -66,7 +66,8 @@ Return JSON only with no extra text.`;
 
     const rawResponse = await providerGateway.chat(messages, {
       temperature: 0.2,  // Low temperature for consistent extraction
-      max_tokens: 1500
+      max_tokens: 1500,
+      tags: { feature: 'persona_generation' }
     });
 
     // Clean and parse JSON response
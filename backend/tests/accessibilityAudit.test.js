@@ -0,0 +1,112 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { auditFigmaNode, contrastRatio } = require('../services/accessibilityAudit');
+const DesignFeedbackService = require('../services/designFeedback');
+
+const solid = (r, g, b, a = 1) => [{ type: 'SOLID', color: { r, g, b, a } }];
+const box = (x, y, width, height) => ({ absoluteBoundingBox: { x: 100 + x, y: 200 + y, width, height } });
+const text = (id, characters, fontSize, fills, bounds) => ({
+  id, type: 'TEXT', name: characters, characters, fills, style: { fontSize, fontWeight: 400 }, ...bounds
+});
+
+const frame = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Loan offer',
+  ...box(0, 0, 375, 812),
+  fills: solid(1, 1, 1),
+  children: [
+    text('1:2', 'Processing fee applies', 14, solid(0.6, 0.6, 0.6), box(16, 100, 200, 20)),
+    text('1:3', 'T&C', 9, solid(0, 0, 0), box(16, 140, 40, 12)),
+    {
+      id: '1:4',
+      type: 'FRAME',
+      name: 'Apply button',
+      ...box(16, 700, 343, 48),
+      fills: solid(0, 0.3, 0.8),
+      children: [text('1:5', 'Apply now', 16, solid(1, 1, 1), box(140, 712, 90, 24))]
+    },
+    {
+      id: '1:6',
+      type: 'INSTANCE',
+      name: 'Icon button',
+      ...box(331, 16, 20, 20),
+      children: [{ id: '1:7', type: 'VECTOR', name: 'x', ...box(335, 20, 12, 12) }]
+    },
+    {
+      id: '1:8',
+      type: 'RECTANGLE',
+      name: 'Hero',
+      ...box(0, 300, 375, 200),
+      fills: [{ type: 'IMAGE', imageRef: 'abc' }]
+    },
+    text('1:9', 'Caption on photo', 14, solid(0.9, 0.9, 0.9), box(16, 320, 200, 20))
+  ]
+};
+
+describe('accessibility audit', () => {
+  it('computes WCAG contrast ratios', () => {
+    expect(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 })).toBeCloseTo(21, 5);
+    expect(contrastRatio({ r: 153, g: 153, b: 153 }, { r: 255, g: 255, b: 255 })).toBeCloseTo(2.85, 2);
+  });
+
+  it('finds low contrast, small text, small targets and unlabeled icon buttons', () => {
+    const findings = auditFigmaNode(frame);
+
+    expect(findings.map(f => [f.rule, f.evidence_elements[0].id, f.severity])).toEqual([
+      ['contrast', '1:2', 'high'],
+      ['fontSize', '1:3', 'high'],
+      ['tapTarget', '1:6', 'high'],
+      ['iconLabel', '1:6', 'high']
+    ]);
+    const [contrast] = findings;
+    expect(contrast.heuristic_principle).toBe('WCAG 1.4.3 Contrast (Minimum)');
+    expect(contrast.evidence_elements[0]).toMatchObject({
+      bbox: { x: 16, y: 100, width: 200, height: 20 },
+      source: 'ast',
+      measured: { ratio: 2.85, required: 4.5, foreground: '#999999', background: '#ffffff' }
+    });
+  });
+
+  it('uses thresholds from options and skips text over images', () => {
+    const findings = auditFigmaNode(frame, { minFontSize: 8, minTapTarget: 16, minTapTargetAA: 16 });
+
+    expect(findings.map(f => f.rule)).toEqual(['contrast', 'iconLabel']);
+    expect(findings.some(f => f.evidence_elements[0].id === '1:9')).toBe(false);
+  });
+
+  it('joins the aggregated report as a machine reviewer', () => {
+    const machine = DesignFeedbackService.runAccessibilityAudit({ image_metadata: { figma_data: frame } });
+    const aggregated = DesignFeedbackService.aggregateFeedback([
+      { agentId: 'a', agentName: 'Asha', feedback: { problems: [], confidence: 0.9 } },
+      machine
+    ], {});
+
+    expect(machine).toMatchObject({ agentId: 'machine', agentName: 'Accessibility audit', reviewer: 'machine' });
+    expect(machine.feedback.problems[0]).toMatchObject({ heuristic: 'WCAG 1.4.3 Contrast (Minimum)', rule: 'contrast' });
+    expect(aggregated.statistics).toMatchObject({ totalAgents: 1, machineFindings: 4 });
+    expect(aggregated.summary).toContain('Automated accessibility audit: 4 findings.');
+    expect(DesignFeedbackService.runAccessibilityAudit({ image_metadata: {} })).toBeNull();
+  });
+
+  it('keeps machine findings on different elements apart when grouping', () => {
+    const twoGreyLabels = {
+      ...frame,
+      children: [
+        text('1:2', 'Processing fee applies', 14, solid(0.6, 0.6, 0.6), box(16, 100, 200, 20)),
+        text('1:10', 'Interest rate may change', 14, solid(0.6, 0.6, 0.6), box(16, 160, 200, 20))
+      ]
+    };
+    const machine = DesignFeedbackService.runAccessibilityAudit({ image_metadata: { figma_data: twoGreyLabels } });
+    const problems = machine.feedback.problems.map(p => ({ ...p, agentId: machine.agentId, agentName: machine.agentName }));
+    const agentProblem = { ...problems[0], agentId: 'a', agentName: 'Asha', rule: undefined };
+
+    const groups = DesignFeedbackService.groupSimilarProblems([...problems, agentProblem]);
+    expect(groups.map(group => group.problems.length)).toEqual([1, 1, 1]);
+
+    const comparison = DesignFeedbackService.compareRuns(problems, problems);
+    expect(comparison.counts).toEqual({ resolved: 0, persisting: 2, new: 0 });
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../services/chatService', () => ({
+  getSavedConversationById: jest.fn()
+}));
+
+const request = require('supertest');
+const express = require('express');
+const AffinityBoardStore = require('../services/affinityBoardStore');
+const { getSavedConversationById } = require('../services/chatService');
+const affinityBoardsRoute = require('../routes/affinityBoards');
+
+const app = express();
+app.use(express.json());
+app.use('/api/affinity-boards', affinityBoardsRoute);
+
+const BOARD_ID = '11111111-1111-4111-8111-111111111111';
+const CLUSTER_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('affinity board routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    getSavedConversationById.mockReset();
+  });
+
+  it('rejects a layout with note ids that are not UUIDs', async () => {
+    jest.spyOn(AffinityBoardStore, 'getById').mockResolvedValue({ id: BOARD_ID });
+    const saveLayout = jest.spyOn(AffinityBoardStore, 'saveLayout').mockResolvedValue();
+
+    const badNote = await request(app)
+      .put(`/api/affinity-boards/${BOARD_ID}/layout`)
+      .send({ clusters: [{ id: CLUSTER_ID, noteIds: ['note-1'] }], ungrouped: [] });
+    const badUngrouped = await request(app)
+      .put(`/api/affinity-boards/${BOARD_ID}/layout`)
+      .send({ clusters: [], ungrouped: [42] });
+    const ok = await request(app)
+      .put(`/api/affinity-boards/${BOARD_ID}/layout`)
+      .send({ clusters: [{ id: CLUSTER_ID, noteIds: ['33333333-3333-4333-8333-333333333333'] }], ungrouped: [] });
+
+    expect([badNote.status, badUngrouped.status, ok.status]).toEqual([400, 400, 200]);
+    expect(saveLayout).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports malformed saved conversation ids as missing without looking them up', async () => {
+    const res = await request(app)
+      .post('/api/affinity-boards')
+      .send({ title: 'Payments', savedConversationIds: ['7abc', 7.5, null] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Not found: saved conversation 7abc, saved conversation 7.5, saved conversation null');
+    expect(getSavedConversationById).not.toHaveBeenCalled();
+  });
+
+  it('looks up numeric saved conversation ids', async () => {
+    getSavedConversationById.mockResolvedValue(undefined);
+
+    const res = await request(app)
+      .post('/api/affinity-boards')
+      .send({ title: 'Payments', savedConversationIds: [7, '8'] });
+
+    expect(res.status).toBe(404);
+    expect(getSavedConversationById.mock.calls).toEqual([[7], ['8']]);
+  });
+});
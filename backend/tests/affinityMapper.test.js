@@ -0,0 +1,95 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+jest.mock('../services/providerGateway', () => {
+  const { hashEmbedding } = jest.requireActual('../services/mockProvider');
+  return {
+    embed: jest.fn(async texts => ({ embeddings: texts.map(hashEmbedding), model: 'local-embedding-v1' })),
+    chat: jest.fn()
+  };
+});
+
+const providerGateway = require('../services/providerGateway');
+const {
+  turnsFromSession,
+  turnsFromSavedConversation,
+  extractQuotes,
+  buildAffinityMap
+} = require('../services/affinityMapper');
+const { toCSV, toMarkdown } = require('../services/affinityBoardStore');
+
+const session = {
+  id: 's1',
+  agents: [{ id: 'a1', name: 'Priya' }, { id: 'a2', name: 'Ravi' }],
+  log_json: [
+    { speaker: 'Moderator', text: 'How do you pay your bills today?' },
+    { speaker: 'Priya', text: 'Honestly my UPI payment failed at the shop counter again. I worry about the loan interest rate on my salary.' },
+    { speaker: 'Ravi', text: 'My UPI payment failed twice at the shop and I was worried.' },
+    { speaker: 'Ravi', text: 'The loan interest rate is too high for my salary, I think.' },
+    { speaker: 'Ravi', text: 'Ok.' }
+  ]
+};
+
+describe('affinity mapper', () => {
+  it('extracts respondent quotes with their source turn', () => {
+    const quotes = extractQuotes(turnsFromSession(session));
+
+    expect(quotes.every(q => q.speaker !== 'Moderator')).toBe(true);
+    expect(quotes.find(q => q.speaker === 'Ravi')).toMatchObject({ agentId: 'a2', sourceType: 'session', sourceId: 's1', messageRef: '2' });
+    expect(quotes.some(q => q.quote === 'Ok.')).toBe(false);
+  });
+
+  it('skips user and system messages from saved conversations', () => {
+    const turns = turnsFromSavedConversation({
+      id: 7,
+      messages: [
+        { id: 1, sender: 'You', text: 'What do you think about autopay for my bills?', isUser: true },
+        { id: 2, sender: 'System', text: 'Priya joined the conversation and is now ready to talk.', isSystem: true },
+        { id: 3, sender: 'Priya', text: 'I like autopay because I never miss my credit card due date.' }
+      ]
+    });
+
+    const quotes = extractQuotes(turns);
+    expect(quotes).toHaveLength(1);
+    expect(quotes[0]).toMatchObject({ speaker: 'Priya', sourceType: 'saved_conversation', sourceId: '7', messageRef: '3' });
+  });
+
+  it('clusters quotes and falls back to keyword labels when the LLM fails', async () => {
+    providerGateway.chat.mockRejectedValue(new Error('offline'));
+    const quotes = extractQuotes(turnsFromSession(session));
+
+    const { clusters, ungrouped } = await buildAffinityMap(quotes);
+    const grouped = clusters.flatMap(cluster => cluster.quotes);
+
+    expect(grouped.length + ungrouped.length).toBe(quotes.length);
+    expect(clusters).toHaveLength(2);
+    expect(ungrouped).toHaveLength(0);
+    expect(clusters.map(cluster => cluster.label).join(' ')).toMatch(/Payment|Loan/);
+    expect(clusters[0].suggestedLabel).toBe(clusters[0].label);
+  });
+
+  it('uses LLM labels when returned', async () => {
+    providerGateway.chat.mockResolvedValue(JSON.stringify({ labels: [{ index: 0, label: 'UPI payments fail at the worst time' }] }));
+    const quotes = extractQuotes(turnsFromSession(session));
+
+    const { clusters } = await buildAffinityMap(quotes);
+    expect(clusters[0].label).toBe('UPI payments fail at the worst time');
+  });
+
+  it('exports boards as CSV and Markdown', () => {
+    const board = {
+      title: 'Bill payments',
+      clusters: [{ label: 'UPI failures', notes: [{ quote: 'It failed, twice', speaker: 'Ravi', tags: ['pain'], source_type: 'session', source_id: 's1', message_ref: '2' }] }],
+      ungrouped: [{ quote: 'Loans feel hidden', speaker: 'Priya', tags: [], source_type: 'session', source_id: 's1', message_ref: '3' }]
+    };
+
+    const csv = toCSV(board).split('\n');
+    expect(csv[1]).toBe('UPI failures,"It failed, twice",Ravi,pain,session,s1,2');
+    expect(csv[2]).toContain('Ungrouped');
+
+    const markdown = toMarkdown(board);
+    expect(markdown).toContain('## UPI failures (1)');
+    expect(markdown).toContain('- "It failed, twice" — Ravi #pain');
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    if (!req.headers['x-test-role']) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+    req.user = { id: 'user-1', role: req.headers['x-test-role'] };
+    next();
+  }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const UsageTracker = require('../services/usageTracker');
+const analyticsRoute = require('../routes/analytics');
+
+const app = express();
+app.use(express.json());
+app.use('/api/analytics', analyticsRoute);
+
+describe('LLM usage and budget routes', () => {
+  beforeEach(() => {
+    jest.spyOn(UsageTracker, 'getDailyRollup').mockResolvedValue([]);
+    jest.spyOn(UsageTracker, 'getBudgets').mockResolvedValue([]);
+    jest.spyOn(UsageTracker, 'setBudget').mockResolvedValue({ project_id: 'p1', budget_usd: 5 });
+    jest.spyOn(UsageTracker, 'deleteBudget').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires sign-in to read usage and budgets', async () => {
+    expect((await request(app).get('/api/analytics/usage')).status).toBe(401);
+    expect((await request(app).get('/api/analytics/usage/budgets')).status).toBe(401);
+    expect((await request(app).get('/api/analytics/usage/budgets').set('x-test-role', 'user')).status).toBe(200);
+  });
+
+  it('only lets admins change or remove budgets', async () => {
+    const asUser = await request(app).put('/api/analytics/usage/budgets/p1').set('x-test-role', 'user').send({ budgetUsd: 1000 });
+    const deleteAsUser = await request(app).delete('/api/analytics/usage/budgets/p1').set('x-test-role', 'user');
+    expect([asUser.status, deleteAsUser.status]).toEqual([403, 403]);
+    expect(UsageTracker.setBudget).not.toHaveBeenCalled();
+    expect(UsageTracker.deleteBudget).not.toHaveBeenCalled();
+
+    const asAdmin = await request(app).put('/api/analytics/usage/budgets/p1').set('x-test-role', 'super_admin').send({ budgetUsd: 5 });
+    expect(asAdmin.status).toBe(200);
+    expect(UsageTracker.setBudget).toHaveBeenCalledWith('p1', 5, 'monthly');
+  });
+});
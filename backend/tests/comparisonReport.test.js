@@ -0,0 +1,95 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const {
+  ageBand,
+  classifyStance,
+  buildReport,
+  toCSV,
+  toMarkdown,
+  recordResponses
+} = require('../services/comparisonReport');
+
+const answers = [
+  { run_id: 'r1', question: 'Would you use UPI autopay?', agent_id: 'a1', agent_name: 'Priya', response: 'Yes, it is really convenient and easy for my bills.' },
+  { run_id: 'r1', question: 'Would you use UPI autopay?', agent_id: 'a2', agent_name: 'Ravi', response: 'I am worried about hidden charges, it feels risky.' },
+  { run_id: 'r1', question: 'Would you use UPI autopay?', agent_id: 'a3', agent_name: 'Meena', response: "I don't understand, what does that mean? Can you explain?" }
+];
+
+const agents = [
+  { id: 'a1', name: 'Priya', location: 'Pune', age: 29, english_savvy: 'High' },
+  { id: 'a2', name: 'Ravi', location: 'Patna', age: 41, english_savvy: 'Low' },
+  { id: 'a3', name: 'Meena', location: 'Pune', age: 58, demographics: { english_proficiency: 'Low' } }
+];
+
+describe('comparison report', () => {
+  beforeEach(() => {
+    pool.query.mockImplementation(sql => Promise.resolve({
+      rows: sql.includes('FROM parallel_responses') ? answers : agents
+    }));
+  });
+
+  it('classifies stances with negation handling', () => {
+    expect(classifyStance('This is really helpful').stance).toBe('positive');
+    expect(classifyStance('This is not helpful at all').stance).toBe('negative');
+    expect(classifyStance('I am confused, what is this?').stance).toBe('confused');
+    expect(classifyStance('I pay my bills on Monday').stance).toBe('neutral');
+    expect(classifyStance("I'd like to know what the processing fee is").stance).toBe('neutral');
+    expect(classifyStance('I prefer paying cash at the branch').stance).toBe('neutral');
+  });
+
+  it('bands ages', () => {
+    expect(ageBand(22)).toBe('18-24');
+    expect(ageBand(41)).toBe('35-44');
+    expect(ageBand(70)).toBe('55+');
+    expect(ageBand(null)).toBe('Unknown');
+  });
+
+  it('builds a question × persona matrix with demographic breakdowns', async () => {
+    const report = await buildReport({ runIds: ['r1'] });
+
+    expect(report.questions).toHaveLength(1);
+    expect(report.matrix[0].cells.map(cell => cell.stance)).toEqual(['positive', 'negative', 'confused']);
+    expect(report.stanceTotals).toMatchObject({ positive: 1, negative: 1, confused: 1, total: 3 });
+    expect(report.breakdowns.location[0]).toMatchObject({ group: 'Pune', positive: 1, confused: 1, total: 2 });
+    expect(report.breakdowns.english_savvy.find(g => g.group === 'Low').total).toBe(2);
+  });
+
+  it('exports CSV and Markdown', async () => {
+    const report = await buildReport({ runIds: ['r1'] });
+
+    const csv = toCSV(report).split('\n');
+    expect(csv[0]).toBe('question_id,question,agent_id,agent_name,location,english_savvy,age_band,stance,confidence,response');
+    expect(csv).toHaveLength(4);
+    expect(csv[2]).toContain('"I am worried about hidden charges, it feels risky."');
+
+    const markdown = toMarkdown(report);
+    expect(markdown).toContain('# Persona Comparison Report');
+    expect(markdown).toContain('| Ravi | Patna | Low | 35-44 | negative |');
+    expect(markdown).toContain('### Age band');
+  });
+
+  it('stores the answers of a run in one transaction', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    const responses = answers.map(a => ({ agentId: a.agent_id, agentName: a.agent_name, response: a.response, message: a.question }));
+
+    await expect(recordResponses('r2', 'parallel', responses)).resolves.toBe(3);
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'INSERT', 'INSERT', 'INSERT', 'COMMIT']);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client.query.mockReset();
+    client.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValue({ rows: [] });
+
+    await expect(recordResponses('r3', 'parallel', responses)).resolves.toBe(0);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('3 parallel responses of run r3'), 'connection lost');
+    expect(client.release).toHaveBeenCalledTimes(2);
+    console.warn.mockRestore();
+  });
+});
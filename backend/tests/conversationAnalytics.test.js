@@ -0,0 +1,134 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { hashEmbedding } = require('../services/mockProvider');
+const providerGateway = require('../services/providerGateway');
+const {
+  scoreSentiment,
+  themeLabel,
+  assignThemes,
+  getSentiment,
+  embedAll,
+  processNewMessages
+} = require('../services/conversationAnalytics');
+const { pool } = require('../models/database');
+
+describe('conversation analytics', () => {
+  it('scores sentiment with negation and intensifiers', () => {
+    expect(scoreSentiment('The app is really easy and helpful').label).toBe('positive');
+    expect(scoreSentiment('It is not easy to find the statement').label).toBe('negative');
+    expect(scoreSentiment('I paid the bill on Monday')).toEqual({ score: 0, label: 'neutral' });
+
+    const plain = scoreSentiment('The transfer was slow').score;
+    const intense = scoreSentiment('The transfer was very slow').score;
+    expect(intense).toBeLessThan(plain);
+
+    expect(scoreSentiment('It was like, you know, a long queue at the bank').label).toBe('neutral');
+    expect(scoreSentiment('Thanks, but the app is confusing').label).toBe('negative');
+  });
+
+  it('clusters similar messages into the same theme', () => {
+    const messages = [
+      'UPI payment failed twice at the grocery shop',
+      'My UPI payment failed again at the shop counter',
+      'Loan interest rate is too high for my salary',
+      'The personal loan interest rate feels high'
+    ];
+    const themes = [];
+    const results = assignThemes(
+      themes,
+      messages.map(text => ({ text, embedding: hashEmbedding(text) })),
+      'local-embedding-v1'
+    );
+
+    expect(results[0].themeId).toBe(results[1].themeId);
+    expect(results[2].themeId).toBe(results[3].themeId);
+    expect(results[0].themeId).not.toBe(results[2].themeId);
+    expect(themes).toHaveLength(2);
+    expect(themes[0].message_count).toBe(2);
+    expect(themeLabel(themes[1].keyword_counts)).toMatch(/Interest|Loan|Rate/);
+  });
+
+  it('reports sentiment distribution and per-agent scores', async () => {
+    pool.query.mockImplementation(sql => Promise.resolve({
+      rows: sql.includes('GROUP BY am.agent_id')
+        ? [{ agent_id: 'a1', agent_name: 'Priya', messages: 3, average_score: 0.4, positive: 2, negative: 0, neutral: 1 }]
+        : [
+          { label: 'positive', count: 3, average: 0.5 },
+          { label: 'negative', count: 1, average: -0.5 }
+        ]
+    }));
+
+    const sentiment = await getSentiment({ agentId: 'a1' });
+
+    expect(sentiment.distribution).toEqual({ positive: 75, negative: 25, neutral: 0 });
+    expect(sentiment.averageScore).toBe(0.25);
+    expect(sentiment.byAgent[0]).toMatchObject({ agentId: 'a1', averageScore: 0.4, positive: 2 });
+    expect(pool.query.mock.calls[0][1]).toEqual(['a1']);
+  });
+
+  it('re-embeds the whole batch when a fallback changes the model part-way', async () => {
+    const texts = Array.from({ length: 70 }, (_, index) => `Quote number ${index}`);
+    const answer = (model, provider) => async chunk => ({ embeddings: chunk.map(() => [1, 0]), model, provider });
+    const embed = jest.spyOn(providerGateway, 'embed')
+      .mockImplementationOnce(answer('text-embedding-3-small', 'openai'))
+      .mockImplementationOnce(answer('local-embedding-v1', 'local'))
+      .mockImplementationOnce(answer('local-embedding-v1', 'local'))
+      .mockImplementationOnce(answer('local-embedding-v1', 'local'));
+
+    const result = await embedAll(texts, { feature: 'affinity_map' });
+
+    expect(embed).toHaveBeenCalledTimes(4);
+    expect(embed.mock.calls[2][1]).toEqual({ provider: 'local', fallback: false, tags: { feature: 'affinity_map' } });
+    expect(result).toMatchObject({ model: 'local-embedding-v1', models: ['local-embedding-v1', 'local-embedding-v1'] });
+    expect(result.embeddings).toHaveLength(70);
+
+    ['a', 'b', 'a', 'b'].forEach(model => embed.mockImplementationOnce(answer(model, 'local')));
+    await expect(embedAll(texts)).rejects.toThrow('different models');
+    embed.mockRestore();
+  });
+
+  it('writes themes, messages and the watermark of a batch in one transaction', async () => {
+    const messages = [
+      { id: 1, role: 'user', content: 'UPI payment failed twice at the grocery shop', created_at: '2026-01-01T10:00:00Z' },
+      { id: 2, role: 'assistant', content: 'The UPI payment failed again at the counter', created_at: '2026-01-01T10:01:00Z' }
+    ];
+    pool.query.mockReset();
+    pool.query.mockImplementation(sql => Promise.resolve({ rows: sql.includes('FROM messages m') ? messages : [] }));
+    jest.spyOn(providerGateway, 'embed').mockImplementation(async texts => ({
+      embeddings: texts.map(hashEmbedding), model: 'local-embedding-v1', provider: 'local'
+    }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockResolvedValue({ rows: [] });
+
+    const summary = await processNewMessages({ sources: ['chat'], maxBatches: 1 });
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    expect(statements).toEqual([
+      'BEGIN',
+      'INSERT INTO analytics_themes',
+      'INSERT INTO analytics_messages',
+      'INSERT INTO analytics_messages',
+      'INSERT INTO analytics_watermarks',
+      'COMMIT'
+    ]);
+    expect(summary.sources.chat).toMatchObject({ processed: 2, themesCreated: 1 });
+
+    client.query.mockReset();
+    client.query.mockImplementation(sql => (sql.includes('INTO analytics_messages')
+      ? Promise.reject(new Error('connection lost'))
+      : Promise.resolve({ rows: [] })));
+
+    const failed = await processNewMessages({ sources: ['chat'], maxBatches: 1 });
+
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('analytics_watermarks'))).toBe(false);
+    expect(failed.sources.chat.error).toBe('connection lost');
+    expect(client.release).toHaveBeenCalledTimes(2);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+jest.mock('../services/providerGateway', () => ({
+  chat: jest.fn()
+}));
+
+jest.mock('../services/figma', () => ({
+  getFigmaImages: jest.fn()
+}));
+
+const { pool } = require('../models/database');
+const providerGateway = require('../services/providerGateway');
+const figmaService = require('../services/figma');
+const DesignFeedbackService = require('../services/designFeedback');
+
+const AGENT = { id: 'agent-1', name: 'Asha', master_system_prompt: 'You are Asha.' };
+
+const artifact = {
+  id: 'artifact-1',
+  name: 'Loan offer',
+  figma_file_key: 'FILEKEY',
+  figma_node_id: '1:1',
+  image_metadata: { width: 375, height: 812 },
+  node_mapping: {
+    element_0: { id: '1:2', name: 'Apply button', type: 'FRAME', bounds: { x: 16, y: 700, width: 343, height: 48 } },
+    element_1: { id: '1:3', name: 'Rate', type: 'TEXT', text: '14% p.a.', bounds: { x: 16, y: 120, width: 120, height: 24 } }
+  }
+};
+
+const modelReply = JSON.stringify({
+  summary: 'Rate is hard to find',
+  positives: [],
+  problems: [
+    {
+      issue: 'Interest rate is too small to notice',
+      evidence: '14% p.a.',
+      severity: 'high',
+      heuristic: 'Visibility of System Status',
+      fix: 'Show the rate next to the amount',
+      elements: [{ id: '1:3', bbox: { x: 0, y: 0, width: 1, height: 1 } }]
+    },
+    {
+      issue: 'Fine print overlaps the button',
+      evidence: 'Terms text',
+      severity: 'urgent',
+      heuristic: 'Aesthetic and Minimalist Design',
+      fix: 'Move the terms above the button',
+      elements: [{ id: null, bbox: { x: 300, y: 780, width: 200, height: 60 } }, { id: '9:9' }]
+    }
+  ],
+  confidence: 0.8
+});
+
+describe('vision-grounded design feedback', () => {
+  const originalToken = process.env.FIGMA_ACCESS_TOKEN;
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    providerGateway.chat.mockReset();
+    figmaService.getFigmaImages.mockReset();
+    process.env.FIGMA_ACCESS_TOKEN = 'figma-token';
+  });
+
+  afterAll(() => {
+    process.env.FIGMA_ACCESS_TOKEN = originalToken;
+  });
+
+  it('sends the rendered frame and element list to the model', async () => {
+    figmaService.getFigmaImages.mockResolvedValue({ images: { '1:1': 'https://figma.example/render.png' } });
+    providerGateway.chat.mockResolvedValue(modelReply);
+
+    const visualContext = await DesignFeedbackService.buildVisualContext(artifact);
+    await DesignFeedbackService.generateAgentFeedback(AGENT, artifact, {}, visualContext);
+
+    expect(figmaService.getFigmaImages).toHaveBeenCalledWith('FILEKEY', 'figma-token', ['1:1']);
+    const [, user] = providerGateway.chat.mock.calls[0][0];
+    expect(user.content[1]).toEqual({ type: 'image_url', image_url: { url: 'https://figma.example/render.png', detail: 'high' } });
+    expect(user.content[0].text).toContain('Frame size: 375x812px');
+    expect(user.content[0].text).toContain('1:3 | TEXT | Rate | "14% p.a." | 16,120,120,24');
+  });
+
+  it('grounds problems in node mapping boxes and clamps boxes read off the image', async () => {
+    figmaService.getFigmaImages.mockResolvedValue({ images: {} });
+    providerGateway.chat.mockResolvedValue(modelReply);
+
+    const visualContext = await DesignFeedbackService.buildVisualContext({ ...artifact, figma_node_id: null });
+    const result = await DesignFeedbackService.generateAgentFeedback(AGENT, artifact, {}, visualContext);
+    const [rate, overlap] = result.feedback.problems;
+
+    expect(visualContext.image).toBeNull();
+    expect(rate.elements).toEqual([
+      { id: '1:3', name: 'Rate', type: 'TEXT', bbox: { x: 16, y: 120, width: 120, height: 24 }, source: 'node_mapping' }
+    ]);
+    // Unknown id without a box is dropped; the free box is clipped to the 375x812 frame
+    expect(overlap.elements).toEqual([
+      { id: null, name: null, type: null, bbox: { x: 300, y: 780, width: 75, height: 32 }, source: 'vision' }
+    ]);
+  });
+
+  it('stores one feedback item per problem with its elements as evidence', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+    const visualContext = await DesignFeedbackService.buildVisualContext({ ...artifact, figma_file_key: null });
+    const feedback = DesignFeedbackService.parseFeedbackResponse(modelReply, AGENT.id);
+    feedback.problems = feedback.problems.map(problem => ({
+      ...problem,
+      elements: DesignFeedbackService.groundProblemElements(problem, visualContext)
+    }));
+
+    await DesignFeedbackService.saveFeedbackResults(artifact.id, [{ agentId: AGENT.id, feedback }], {}, { task: 'Apply for a loan' });
+
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    const [first, second] = pool.query.mock.calls.map(call => call[1]);
+    expect(first.slice(3, 7)).toEqual(['Interest rate is too small to notice', 'high', 'Visibility of System Status', '14% p.a.']);
+    expect(JSON.parse(first[7])).toEqual([expect.objectContaining({ id: '1:3', evidence: '14% p.a.' })]);
+    expect(first[9]).toBe('Apply for a loan');
+    // Unknown severities fall back to medium
+    expect(second[4]).toBe('medium');
+  });
+
+  it('carries element boxes into aggregated critical issues', () => {
+    const problem = (agentId, id) => ({
+      issue: 'Apply button label is vague',
+      severity: 'critical',
+      fix: 'Say what happens next',
+      elements: [{ id, bbox: { x: 16, y: 700, width: 343, height: 48 }, source: 'node_mapping' }]
+    });
+    const aggregated = DesignFeedbackService.aggregateFeedback([
+      { agentId: 'a', agentName: 'A', feedback: { problems: [problem('a', '1:2')] } },
+      { agentId: 'b', agentName: 'B', feedback: { problems: [problem('b', '1:2')] } }
+    ], artifact);
+
+    expect(aggregated.criticalIssues).toHaveLength(1);
+    expect(aggregated.criticalIssues[0].elements).toEqual([expect.objectContaining({ id: '1:2' })]);
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('uuid', () => ({ v4: () => '00000000-0000-4000-8000-000000000000' }));
+
+const { pool } = require('../models/database');
+const DesignArtifactsService = require('../services/designArtifacts');
+const DesignFeedbackRunStore = require('../services/designFeedbackRunStore');
+const DesignFeedbackService = require('../services/designFeedback');
+
+const problem = (issue, severity, agentName = 'Asha') => ({ issue, severity, agentName, heuristic: 'Error Prevention', elements: [] });
+
+describe('design feedback run history', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.connect.mockReset();
+  });
+
+  it('splits issues into resolved, persisting and new across versions', () => {
+    const comparison = DesignFeedbackService.compareRuns(
+      [
+        problem('Interest rate is hidden below the fold', 'high'),
+        problem('Apply button label is vague', 'medium'),
+        problem('Processing fee is not disclosed', 'critical', 'Ravi')
+      ],
+      [
+        problem('Interest rate is hidden below the fold on small screens', 'critical'),
+        problem('Apply button label is vague', 'low', 'Ravi'),
+        problem('No way to go back from the OTP step', 'medium')
+      ]
+    );
+
+    expect(comparison.counts).toEqual({ resolved: 1, persisting: 2, new: 1 });
+    expect(comparison.resolved[0]).toMatchObject({ issue: 'Processing fee is not disclosed', previousSeverity: 'critical', currentSeverity: null });
+    expect(comparison.persisting.map(issue => [issue.previousSeverity, issue.currentSeverity, issue.severityChange])).toEqual([
+      ['high', 'critical', 'worse'],
+      ['medium', 'low', 'better']
+    ]);
+    expect(comparison.persisting[1].agents).toEqual(['Asha', 'Ravi']);
+    expect(comparison.new[0]).toMatchObject({ issue: 'No way to go back from the OTP step', currentSeverity: 'medium' });
+  });
+
+  it('compares the latest runs of the two most recent versions with runs', () => {
+    const runs = [
+      { id: 'r1', screen_version: 1 },
+      { id: 'r2', screen_version: 1 },
+      { id: 'r3', screen_version: 2 },
+      { id: 'r4', screen_version: 3 }
+    ];
+
+    expect(DesignFeedbackService.pickComparisonRuns(runs)).toEqual({ previous: runs[2], current: runs[3] });
+    expect(DesignFeedbackService.pickComparisonRuns(runs.slice(0, 2))).toBeNull();
+  });
+
+  it('records severity counts per run for the trend', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 'run-1' }] });
+
+    await DesignFeedbackRunStore.create({
+      designArtifact: { id: 'artifact-2', screen_id: 'artifact-1', screen_version: 2 },
+      agentIds: ['agent-1'],
+      aggregatedFeedback: {
+        summary: 'Two issues',
+        statistics: { totalAgents: 1 },
+        agentFeedback: [
+          { agentId: 'agent-1', feedback: { problems: [problem('a', 'high'), problem('b', 'whatever')] } },
+          { agentId: 'agent-2', error: 'timeout' },
+          { agentId: 'machine', reviewer: 'machine', feedback: { problems: [problem('c', 'high')] } }
+        ]
+      },
+      heuristicSet: { id: 'set-1' }
+    });
+
+    const params = pool.query.mock.calls[0][1];
+    expect(params.slice(0, 4)).toEqual(['artifact-2', 'artifact-1', 2, 'set-1']);
+    expect(JSON.parse(params[7])).toEqual({ critical: 0, high: 2, medium: 1, low: 0 });
+
+    const trend = DesignFeedbackService.buildSeverityTrend([
+      { id: 'run-1', design_artifact_id: 'artifact-2', screen_version: 2, created_at: 't', severity_counts: { high: 2, medium: 1 } }
+    ]);
+    expect(trend[0]).toMatchObject({ run_id: 'run-1', critical: 0, high: 2, medium: 1, low: 0, total: 3 });
+  });
+
+  it('reads stored items back with the machine reviewer named', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ critique_text: 'Low contrast', severity: 'high', heuristic_principle: 'WCAG 1.4.3 Contrast (Minimum)', evidence_elements: [], agent_id: null, agent_name: null }]
+    });
+
+    const [item] = await DesignFeedbackRunStore.getProblems('run-1');
+
+    expect(item).toMatchObject({ issue: 'Low contrast', agentId: 'machine', agentName: 'Accessibility audit' });
+  });
+
+  it('moves a screen\'s later versions and their runs when its first version is linked elsewhere', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'a1', screen_id: 'a1', screen_version: 1 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'b1', screen_id: 'b1' }] })
+      .mockResolvedValueOnce({ rows: [{ version: 2 }] });
+    client.query.mockImplementation((sql, params) => {
+      if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [{ id: 'a1' }, { id: 'a2' }] });
+      if (sql.includes('RETURNING')) return Promise.resolve({ rows: [{ id: params[0], screen_id: params[1], screen_version: params[2] }] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    const linked = await DesignArtifactsService.linkAsVersion('a1', 'b1');
+
+    expect(linked).toEqual({ id: 'a1', screen_id: 'b1', screen_version: 3 });
+    const moves = client.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE')).map(([sql, params]) => [sql.split(' ')[1], ...params]);
+    expect(moves).toEqual([
+      ['design_artifacts', 'a1', 'b1', 3],
+      ['design_feedback_runs', 'a1', 'b1', 3],
+      ['design_artifacts', 'a2', 'b1', 4],
+      ['design_feedback_runs', 'a2', 'b1', 4]
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const DesignTokenStore = require('../services/designTokenStore');
+const {
+  extractTokens,
+  tokensToCss,
+  createTokenResolver
+} = require('../services/designTokens');
+const { getAst } = require('../utils/figmaParser');
+const { prepareScreens } = require('../services/responsiveLayout');
+
+const file = {
+  styles: {
+    'S:1': { name: 'Text/Heading 1', styleType: 'TEXT' },
+    'S:2': { name: 'Shadow/Card', styleType: 'EFFECT' },
+    'S:3': { name: 'Color/Neutral/Border', styleType: 'FILL' }
+  },
+  document: {
+    type: 'DOCUMENT',
+    children: [{
+      id: '0:1',
+      type: 'CANVAS',
+      name: 'Page 1',
+      children: [{
+        id: '1:1',
+        type: 'FRAME',
+        name: 'Card',
+        absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 200 },
+        layoutMode: 'VERTICAL',
+        itemSpacing: 16,
+        paddingTop: 24,
+        fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+        strokes: [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9, a: 1 } }],
+        effects: [{ type: 'DROP_SHADOW', visible: true, offset: { x: 0, y: 4 }, radius: 12, spread: 0, color: { r: 0, g: 0, b: 0, a: 0.1 } }],
+        styles: { effect: 'S:2', stroke: 'S:3' },
+        boundVariables: {
+          fills: [{ type: 'VARIABLE_ALIAS', id: 'V:surface' }],
+          itemSpacing: { type: 'VARIABLE_ALIAS', id: 'V:space' }
+        },
+        children: [{
+          id: '1:2',
+          type: 'TEXT',
+          name: 'Title',
+          characters: 'Balance',
+          absoluteBoundingBox: { x: 24, y: 24, width: 272, height: 32 },
+          fills: [{ type: 'SOLID', color: { r: 0, g: 0.4, b: 1, a: 1 } }],
+          style: { fontFamily: 'Inter', fontSize: 28, fontWeight: 700, lineHeightPx: 34 },
+          styles: { text: 'S:1' }
+        }]
+      }]
+    }]
+  }
+};
+
+const variables = {
+  meta: {
+    variableCollections: {
+      'C:theme': {
+        name: 'Theme',
+        defaultModeId: 'M:light',
+        modes: [{ modeId: 'M:light', name: 'Light' }, { modeId: 'M:dark', name: 'Dark' }]
+      },
+      'C:primitives': {
+        name: 'Primitives',
+        defaultModeId: 'M:base',
+        modes: [{ modeId: 'M:base', name: 'Value' }]
+      }
+    },
+    variables: {
+      'V:blue': {
+        name: 'Blue/500',
+        resolvedType: 'COLOR',
+        variableCollectionId: 'C:primitives',
+        valuesByMode: { 'M:base': { r: 0, g: 0.4, b: 1, a: 1 } }
+      },
+      'V:brand': {
+        name: 'Color/Brand/Primary',
+        resolvedType: 'COLOR',
+        variableCollectionId: 'C:theme',
+        valuesByMode: {
+          'M:light': { type: 'VARIABLE_ALIAS', id: 'V:blue' },
+          'M:dark': { r: 0.4, g: 0.6, b: 1, a: 1 }
+        }
+      },
+      'V:surface': {
+        name: 'Color/Surface',
+        resolvedType: 'COLOR',
+        variableCollectionId: 'C:theme',
+        valuesByMode: {
+          'M:light': { r: 1, g: 1, b: 1, a: 1 },
+          'M:dark': { r: 0.07, g: 0.07, b: 0.07, a: 1 }
+        }
+      },
+      'V:space': {
+        name: 'Spacing/4',
+        resolvedType: 'FLOAT',
+        scopes: ['GAP'],
+        variableCollectionId: 'C:primitives',
+        valuesByMode: { 'M:base': 16 }
+      },
+      'V:opacity': {
+        name: 'Opacity/Disabled',
+        resolvedType: 'FLOAT',
+        scopes: ['OPACITY'],
+        variableCollectionId: 'C:primitives',
+        valuesByMode: { 'M:base': 0.4 }
+      }
+    }
+  }
+};
+
+describe('design tokens', () => {
+  it('extracts named styles and variables with their modes', () => {
+    const { tokens, modes, refs } = extractTokens(file, variables);
+
+    expect(modes).toEqual(['light', 'dark', 'value']);
+    expect(tokens.color['brand-primary']).toMatchObject({
+      value: '#0066ff',
+      modes: { light: '#0066ff', dark: '#6699ff' },
+      aliasOf: 'color.blue-500',
+      source: 'variable'
+    });
+    expect(tokens.color['neutral-border']).toMatchObject({ value: '#e6e6e6', source: 'style' });
+    expect(tokens.spacing['4']).toMatchObject({ value: '16px' });
+    expect(tokens.typography['heading-1']).toMatchObject({
+      fontFamily: { value: 'Inter' },
+      fontSize: { value: '28px' },
+      lineHeight: { value: '34px' }
+    });
+    expect(tokens.shadows.card.value).toBe('0px 4px 12px 0px rgba(0, 0, 0, 0.1)');
+    // Numbers without a spacing or radius scope are not tokens here
+    expect(Object.keys(tokens.spacing)).toEqual(['4']);
+    expect(refs.variables['V:space']).toBe('spacing.4');
+    expect(refs.styles['S:1']).toBe('typography.heading-1');
+  });
+
+  it('writes defaults to :root and other modes as data-theme overrides', () => {
+    const css = tokensToCss({ version: 3, ...extractTokens(file, variables) });
+
+    expect(css).toContain('/* Design tokens v3;');
+    expect(css).toMatch(/:root \{[^}]*--color-brand-primary: #0066ff;[^}]*--spacing-4: 16px;/);
+    expect(css).toMatch(/\[data-theme="dark"\] \{\n {4}--color-brand-primary: #6699ff;\n {4}--color-surface: #121212;\n\}/);
+    expect(css).toContain('--typography-heading-1-font-family: "Inter";');
+    expect(css).not.toContain('data-theme="light"');
+  });
+
+  it('references tokens instead of literal values in exported styles', () => {
+    const tokens = createTokenResolver(extractTokens(file, variables));
+    const [card] = prepareScreens(getAst(file)[0].screens, tokens);
+    const [title] = card.children;
+
+    expect(card.style.backgroundColor).toBe('var(--color-surface, #ffffff)');
+    expect(card.style.gap).toBe('var(--spacing-4, 16px)');
+    expect(card.style.border).toBe('1px solid var(--color-neutral-border, #e6e6e6)');
+    expect(card.style.boxShadow).toBe('var(--shadow-card, 0px 4px 12px 0px rgba(0, 0, 0, 0.1))');
+    // Unbound colour matched by value, text style by its style id
+    expect(title.style.color).toBe('var(--color-blue-500, #0066ff)');
+    expect(title.style.fontSize).toBe('var(--typography-heading-1-font-size, 28px)');
+  });
+
+  it('keeps literal values without a token set', () => {
+    const [card] = prepareScreens(getAst(file)[0].screens);
+
+    expect(card.style.backgroundColor).toBe('rgba(255, 255, 255, 1)');
+    expect(card.style.gap).toBe('16px');
+  });
+
+  it('keeps the current version when the stored row only differs in key order', async () => {
+    const extracted = extractTokens(file, variables);
+    // JSONB hands keys back in its own order
+    const reorder = value => (value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).reverse().map(key => [key, reorder(value[key])]))
+      : value);
+    const stored = { id: 'set-1', version: 2, modes: extracted.modes, tokens: reorder(extracted.tokens) };
+    expect(JSON.stringify(stored.tokens)).not.toBe(JSON.stringify(extracted.tokens));
+
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM products')) return { rows: [{ id: 'product-1' }] };
+        if (sql.includes('FROM design_token_sets')) return { rows: [stored] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+
+    const result = await DesignTokenStore.createVersion('product-1', extracted);
+
+    expect(result).toEqual({ tokenSet: stored, created: false });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO design_token_sets'))).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('uuid', () => ({ v4: () => '00000000-0000-4000-8000-000000000000' }));
+jest.mock('pdf-parse', () => jest.fn());
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+jest.mock('../agents/personaManager', () => jest.fn().mockImplementation(() => ({
+  createPersona: jest.fn(),
+  cachePersona: jest.fn()
+})));
+// Real prompt building, with the OpenAI client swapped for a recorder
+jest.mock('../agents/generation', () => {
+  const AgentGeneration = jest.requireActual('../agents/generation');
+  return class extends AgentGeneration {
+    constructor() {
+      super();
+      this.openai = { chat: { completions: { create: mockCreate } } };
+    }
+  };
+});
+
+const mockCreate = jest.fn();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const express = require('express');
+const pdfParse = require('pdf-parse');
+const { pool } = require('../models/database');
+const providerGateway = require('../services/providerGateway');
+const agentsRoute = require('../routes/agents_v5');
+const personasV2Route = require('../routes/personas_v2');
+
+const app = express();
+app.use(express.json());
+app.use('/api/agents/v5', agentsRoute);
+app.use('/api/personas/v2', personasV2Route);
+
+const TRANSCRIPT = [
+  'Interviewer: How do you usually repay your loan?',
+  '',
+  'Respondent: I pay from my HDFC Bank account. My PAN is ABCPE1234F, call me on +91 98765 43210.'
+].join('\n');
+
+const PII = ['ABCPE1234F', '98765 43210', 'HDFC Bank'];
+
+const expectNoPII = (prompt) => {
+  PII.forEach(value => expect(prompt).not.toContain(value));
+  expect(prompt).toContain('[PAN_1]');
+  expect(prompt).toContain('[PHONE_1]');
+};
+
+describe('persona extraction routes redact PII before the LLM call', () => {
+  let chat;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    delete process.env.PII_REDACTION;
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [{ id: 'audit-1' }] });
+    mockCreate.mockReset();
+    mockCreate.mockRejectedValue(new Error('stop after the prompt'));
+    chat = jest.spyOn(providerGateway, 'chat');
+    chat.mockReset();
+    chat.mockRejectedValue(new Error('stop after the prompt'));
+  });
+
+  it('POST /agents/v5 sends a redacted transcript', async () => {
+    await request(app).post('/api/agents/v5').send({ transcript: TRANSCRIPT });
+
+    expect(chat).toHaveBeenCalledTimes(1);
+    expectNoPII(chat.mock.calls[0][0].map(message => message.content).join('\n'));
+  });
+
+  it('POST /agents/v5/pdf-upload sends redacted PDF text', async () => {
+    pdfParse.mockResolvedValue({ text: TRANSCRIPT });
+
+    await request(app)
+      .post('/api/agents/v5/pdf-upload')
+      .attach('file', Buffer.from('%PDF-1.4'), { filename: 'interview.pdf', contentType: 'application/pdf' });
+
+    expect(chat).toHaveBeenCalledTimes(1);
+    expectNoPII(chat.mock.calls[0][0].map(message => message.content).join('\n'));
+  });
+
+  it('POST /personas/v2 sends a redacted transcript', async () => {
+    await request(app).post('/api/personas/v2').send({ transcript: TRANSCRIPT });
+
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+    expectNoPII(mockCreate.mock.calls[0][0].messages.map(message => message.content).join('\n'));
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+jest.mock('../services/providerGateway', () => ({
+  chat: jest.fn()
+}));
+
+const { pool } = require('../models/database');
+const providerGateway = require('../services/providerGateway');
+const HeuristicSetStore = require('../services/heuristicSetStore');
+const DesignFeedbackService = require('../services/designFeedback');
+
+const wcagSet = {
+  id: 'set-1',
+  slug: 'wcag-22-aa',
+  version: 2,
+  name: 'WCAG 2.2 AA',
+  category: 'accessibility',
+  items: [
+    { code: 'contrast_minimum', name: 'Contrast (Minimum)', description: '4.5:1 for body text', category: 'accessibility' },
+    { code: 'target_size_minimum', name: 'Target Size (Minimum)', description: '24x24 CSS px', category: 'accessibility' },
+    { code: 'labels_or_instructions', name: 'Labels or Instructions', description: '', category: 'accessibility' }
+  ]
+};
+
+describe('heuristic sets', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.connect.mockReset();
+    providerGateway.chat.mockReset();
+  });
+
+  it('creates version 1 with item codes derived from names', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({ rows: [{ slug: params[0], items: JSON.parse(params[4]) }] }));
+
+    const created = await HeuristicSetStore.create({
+      name: 'Fintech Trust Copy',
+      category: 'compliance',
+      items: [{ name: 'APR shown before consent' }, { code: 'Fees-Upfront', name: 'Fees disclosed upfront', category: 'content' }]
+    }, 'admin-1');
+
+    expect(created.slug).toBe('fintech-trust-copy');
+    expect(created.items).toEqual([
+      { code: 'apr_shown_before_consent', name: 'APR shown before consent', description: '', category: 'compliance' },
+      { code: 'fees_upfront', name: 'Fees disclosed upfront', description: '', category: 'content' }
+    ]);
+  });
+
+  it('rejects empty sets and duplicate item codes before touching the database', async () => {
+    await expect(HeuristicSetStore.create({ name: 'Empty', items: [] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(HeuristicSetStore.create({
+      name: 'Dupes',
+      items: [{ name: 'Error prevention' }, { name: 'Error Prevention' }]
+    })).rejects.toThrow('Duplicate item code: error_prevention');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('stores edits as the next version and carries over unchanged fields', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql, params) => {
+      if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [wcagSet] });
+      if (sql.includes('INSERT')) return Promise.resolve({ rows: [{ version: params[1], name: params[2], items: JSON.parse(params[5]) }] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    const next = await HeuristicSetStore.createVersion('wcag-22-aa', {
+      items: [...wcagSet.items, { name: 'Focus Not Obscured' }]
+    });
+
+    expect(next.version).toBe(3);
+    expect(next.name).toBe('WCAG 2.2 AA');
+    expect(next.items[3]).toEqual({ code: 'focus_not_obscured', name: 'Focus Not Obscured', description: '', category: 'accessibility' });
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('reports a version taken by a concurrent save as a conflict', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [wcagSet] });
+      if (sql.includes('INSERT')) return Promise.reject(Object.assign(new Error('duplicate key'), { code: '23505' }));
+      return Promise.resolve({ rows: [] });
+    });
+
+    await expect(HeuristicSetStore.createVersion('wcag-22-aa', { name: 'WCAG 2.2' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+    await expect(HeuristicSetStore.create({ name: 'Fintech Trust Copy', items: [{ name: 'APR shown' }] }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('makes every agent score every item, asking again for skipped ones', async () => {
+    providerGateway.chat
+      .mockResolvedValueOnce(JSON.stringify({
+        summary: 'ok',
+        problems: [],
+        heuristic_scores: [
+          { code: 'contrast_minimum', result: 'FAIL', note: 'Grey on white' },
+          { name: 'Target Size (Minimum)', result: 'N/A', note: 'No controls' }
+        ]
+      }))
+      .mockResolvedValueOnce('{"heuristic_scores": [{ "code": "labels_or_instructions", "result": "pass" }]}');
+
+    const result = await DesignFeedbackService.generateAgentFeedback(
+      { id: 'agent-1', name: 'Ravi' }, { id: 'artifact-1', name: 'KYC' }, {}, null, wcagSet
+    );
+
+    const [firstCall, followUp] = providerGateway.chat.mock.calls;
+    expect(firstCall[0][1].content).toContain('HEURISTIC SET: WCAG 2.2 AA (v2)');
+    expect(firstCall[0][1].content).toContain('target_size_minimum | Target Size (Minimum) | 24x24 CSS px');
+    expect(followUp[0][3].content).toContain('labels_or_instructions');
+    expect(followUp[0][3].content).not.toContain('contrast_minimum');
+    expect(result.feedback.heuristic_scores.map(score => score.result)).toEqual(['fail', 'na', 'pass']);
+  });
+
+  it('counts verdicts per item in the scorecard', () => {
+    const scores = (results) => wcagSet.items.map((item, index) => ({ code: item.code, result: results[index], note: null }));
+    const aggregated = DesignFeedbackService.aggregateFeedback([
+      { agentId: 'a', agentName: 'A', feedback: { problems: [], heuristic_scores: scores(['fail', 'pass', null]) } },
+      { agentId: 'b', agentName: 'B', feedback: { problems: [], heuristic_scores: scores(['fail', 'na', 'pass']) } }
+    ], {}, wcagSet);
+
+    expect(aggregated.heuristicSet).toEqual({ id: 'set-1', slug: 'wcag-22-aa', version: 2, name: 'WCAG 2.2 AA' });
+    expect(aggregated.heuristicScorecard[0]).toMatchObject({ code: 'contrast_minimum', fail: 2, pass: 0 });
+    expect(aggregated.heuristicScorecard[2]).toMatchObject({ pass: 1, unscored: 1 });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const InsightStore = require('../services/insightStore');
+
+const INSIGHT_ID = '11111111-1111-4111-8111-111111111111';
+const PRODUCT_ID = '22222222-2222-4222-8222-222222222222';
+const PRD_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('insight store', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('rejects invalid confidence and missing statement', async () => {
+    await expect(InsightStore.create({ title: 'Autopay trust', statement: 'x', confidence: 'certain' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(InsightStore.create({ title: 'Autopay trust', statement: '  ' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'statement is required' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a PRD that belongs to another product', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: PRD_ID, product_id: 'other-product' }] });
+
+    await expect(InsightStore.create({ title: 'T', statement: 'S', productId: PRODUCT_ID, prdId: PRD_ID }))
+      .rejects.toThrow('PRD does not belong to the given product');
+  });
+
+  it('snapshots the session turn when linking evidence', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ topic: 'Bill payments', turn: { speaker: 'Ravi', text: 'UPI failed twice.' } }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'e1', evidence_type: 'session_turn', excerpt: 'UPI failed twice.', speaker: 'Ravi' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const evidence = await InsightStore.addEvidence(INSIGHT_ID, { type: 'session_turn', sourceId: 'sess-1', sourceRef: 4 });
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['sess-1', 4]);
+    expect(pool.query.mock.calls[1][1].slice(1, 6)).toEqual(['session_turn', 'sess-1', '4', 'UPI failed twice.', 'Ravi']);
+    expect(evidence.id).toBe('e1');
+  });
+
+  it('requires an excerpt for transcript evidence and a known source otherwise', async () => {
+    await expect(InsightStore.addEvidence(INSIGHT_ID, { type: 'transcript_excerpt', sourceId: 'agent-1' }))
+      .rejects.toThrow('excerpt is required');
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(InsightStore.addEvidence(INSIGHT_ID, { type: 'feedback_item', sourceId: 'missing' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('flags evidence whose source changed or disappeared', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ row: { content: 'Completely different now', role: 'assistant' } }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const resolved = await InsightStore.resolveEvidence([
+      { evidence_type: 'chat_message', source_id: 'm1', excerpt: 'Original text' },
+      { evidence_type: 'chat_message', source_id: 'm2', excerpt: 'Gone' },
+      { evidence_type: 'transcript_excerpt', source_id: 'agent-1', excerpt: 'Quoted' }
+    ]);
+
+    expect(resolved.map(e => e.source_status)).toEqual(['changed', 'missing', 'snapshot']);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../src/enhancedBehaviorEngine', () => ({
+  generatePersonaResponse: jest.fn()
+}));
+
+const { generatePersonaResponse } = require('../src/enhancedBehaviorEngine');
+const {
+  parseGuideText,
+  normalizeGuide,
+  assessAnswer,
+  runGuide,
+  buildComparison
+} = require('../services/interviewGuideRunner');
+
+const LONG_ANSWER = 'I usually pay my electricity bill at the local shop because my son is not at home to help me with the phone app.';
+
+const agent = { id: 'agent-1', name: 'Priya Sharma' };
+
+describe('interview guide parsing', () => {
+  it('parses sections, questions, probes and time boxes from text', () => {
+    const sections = parseGuideText([
+      '# Banking habits (10 min)',
+      '1. How do you pay your bills today? (2 min)',
+      '   - Probe: Who helps you with it?',
+      '> Why not use an app?',
+      '2. What did you do in the last 10 minutes',
+      '## Wrap up',
+      '- Anything else?'
+    ].join('\n'));
+
+    expect(sections).toHaveLength(2);
+    expect(sections[0]).toMatchObject({ title: 'Banking habits', timeBoxMinutes: 10 });
+    expect(sections[0].questions[0]).toEqual({
+      text: 'How do you pay your bills today?',
+      probes: ['Who helps you with it?', 'Why not use an app?'],
+      timeBoxSeconds: 120
+    });
+    expect(sections[0].questions[1].text).toBe('What did you do in the last 10 minutes');
+    expect(sections[1].questions[0].text).toBe('Anything else?');
+  });
+
+  it('assigns stable ids and rejects empty sections', () => {
+    const guide = normalizeGuide({ title: 'Bills', sections: [{ title: 'A', questions: ['Q1', { text: 'Q2' }] }] });
+    expect(guide.sections[0].questions.map(q => q.id)).toEqual(['s1q1', 's1q2']);
+
+    expect(() => normalizeGuide({ title: 'Bills', sections: [{ title: 'Empty', questions: [] }] }))
+      .toThrow('has no questions');
+  });
+
+  it('flags short and evasive answers', () => {
+    expect(assessAnswer('Not much.').needsProbe).toBe(true);
+    expect(assessAnswer(`${LONG_ANSWER} But honestly I am not sure.`).evasive).toBe(true);
+    expect(assessAnswer(LONG_ANSWER).needsProbe).toBe(false);
+  });
+});
+
+describe('runGuide', () => {
+  beforeEach(() => {
+    generatePersonaResponse.mockReset();
+  });
+
+  it('probes short answers and records coverage keyed by question', async () => {
+    generatePersonaResponse
+      .mockResolvedValueOnce({ content: 'At the shop.' })
+      .mockResolvedValueOnce({ content: LONG_ANSWER })
+      .mockResolvedValueOnce({ content: LONG_ANSWER });
+
+    const guide = normalizeGuide({
+      title: 'Bills',
+      sections: [{ title: 'Habits', questions: [{ text: 'How do you pay bills?', probes: ['Who helps you?'] }, 'Why?'] }]
+    });
+
+    const result = await runGuide(guide, agent);
+
+    expect(result.transcript.s1q1.status).toBe('covered');
+    expect(result.transcript.s1q1.probesUsed).toEqual([{ text: 'Who helps you?', source: 'guide', reason: 'short' }]);
+    expect(result.transcript.s1q2.status).toBe('covered');
+    expect(result.coverage).toMatchObject({ total: 2, covered: 2, coveragePct: 100 });
+    expect(generatePersonaResponse.mock.calls[1][1]).toBe('Who helps you?');
+  });
+
+  it('fails the run instead of recording a fallback answer when the provider call fails', async () => {
+    const budgetError = Object.assign(new Error('LLM budget exceeded for project default'), { statusCode: 402 });
+    generatePersonaResponse.mockRejectedValue(budgetError);
+    const guide = normalizeGuide({ title: 'Bills', sections: [{ title: 'Habits', questions: ['How do you pay bills?'] }] });
+
+    await expect(runGuide(guide, agent)).rejects.toBe(budgetError);
+    expect(generatePersonaResponse.mock.calls[0][3]).toMatchObject({ allowFallback: false });
+  });
+
+  it('stops probing after maxProbes and marks the question partial', async () => {
+    generatePersonaResponse.mockResolvedValue({ content: 'Hard to say.' });
+    const guide = normalizeGuide({ title: 'Bills', sections: [{ title: 'Habits', questions: ['How do you pay bills?'] }] });
+
+    const result = await runGuide(guide, agent, { maxProbes: 1 });
+
+    expect(generatePersonaResponse).toHaveBeenCalledTimes(2);
+    expect(result.transcript.s1q1).toMatchObject({ status: 'partial', partialReason: 'evasive' });
+  });
+
+  it('skips questions once a section runs over its time box', async () => {
+    generatePersonaResponse.mockResolvedValue({ content: `${LONG_ANSWER} ${LONG_ANSWER} ${LONG_ANSWER}` });
+    const guide = normalizeGuide({
+      title: 'Bills',
+      sections: [{ title: 'Habits', timeBoxMinutes: 0.5, questions: ['First?', 'Second?'] }]
+    });
+
+    const result = await runGuide(guide, agent);
+
+    expect(result.transcript.s1q2).toMatchObject({ status: 'skipped', skipReason: 'section_time_box' });
+    expect(buildComparison({ id: 'g1', ...guide }, [
+      { id: 'r1', status: 'completed', agent_id: agent.id, agent_name: agent.name, transcript: result.transcript, coverage: result.coverage }
+    ]).questions[1].responses[0].status).toBe('skipped');
+  });
+});
@@ -0,0 +1,22 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const InterviewGuideStore = require('../services/interviewGuideStore');
+
+describe('interview guide store', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('marks runs left queued or running by a restart as interrupted', async () => {
+    pool.query.mockResolvedValue({ rows: [], rowCount: 3 });
+
+    await expect(InterviewGuideStore.interruptUnfinishedRuns()).resolves.toBe(3);
+
+    const [sql] = pool.query.mock.calls[0];
+    expect(sql).toContain("SET status = 'interrupted'");
+    expect(sql).toContain("WHERE status IN ('queued', 'running')");
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() },
+  redis: {}
+}));
+
+const { JobQueue, STATUS } = require('../services/jobQueue');
+
+// Just enough of node-redis v4 for the queue
+const createFakeRedis = () => {
+  const strings = new Map();
+  const lists = new Map();
+  const zsets = new Map();
+  const list = key => (lists.has(key) ? lists.get(key) : lists.set(key, []).get(key));
+  const zset = key => (zsets.has(key) ? zsets.get(key) : zsets.set(key, new Map()).get(key));
+  const sorted = key => [...zset(key).entries()].sort((a, b) => a[1] - b[1]).map(([value]) => value);
+
+  return {
+    isOpen: true,
+    get: async key => strings.get(key) ?? null,
+    set: async (key, value) => { strings.set(key, value); },
+    del: async key => { strings.delete(key); },
+    expire: async () => true,
+    mGet: async keys => keys.map(key => strings.get(key) ?? null),
+    lPush: async (key, value) => { list(key).unshift(value); },
+    lRem: async (key, count, value) => { lists.set(key, list(key).filter(item => item !== value)); },
+    rPopLPush: async (source, destination) => {
+      const value = list(source).pop();
+      if (value === undefined) return null;
+      list(destination).unshift(value);
+      return value;
+    },
+    zAdd: async (key, { score, value }) => { zset(key).set(value, score); },
+    zRem: async (key, value) => { zset(key).delete(value); },
+    zRange: async (key, start, stop, { REV } = {}) => (REV ? sorted(key).reverse() : sorted(key)),
+    zRangeByScore: async (key, min, max) => sorted(key).filter(value => zset(key).get(value) >= min && zset(key).get(value) <= max),
+    zRemRangeByScore: async (key, min, max) => {
+      sorted(key).filter(value => zset(key).get(value) >= min && zset(key).get(value) <= max).forEach(value => zset(key).delete(value));
+    },
+    lists
+  };
+};
+
+describe('job queue', () => {
+  let client;
+  let queue;
+  let io;
+
+  beforeEach(() => {
+    process.env.JOB_BACKOFF_MS = '0';
+    client = createFakeRedis();
+    queue = new JobQueue({ client });
+    const room = { emit: jest.fn() };
+    io = { to: jest.fn(() => room), emit: jest.fn(), room };
+    queue.attach(io);
+  });
+
+  afterAll(() => {
+    delete process.env.JOB_BACKOFF_MS;
+  });
+
+  it('processes items, pushes progress and keeps inputs out of the public job', async () => {
+    queue.register('echo', {
+      label: input => input.name,
+      processItem: async input => ({ upper: input.name.toUpperCase() }),
+      onComplete: job => ({ names: job.items.map(item => item.result.upper) })
+    });
+
+    const queued = await queue.enqueue('echo', [{ name: 'ravi' }, { name: 'meena' }], { label: 'batch.csv' });
+    expect(queued.items[0]).not.toHaveProperty('input');
+    expect(queued.items.map(item => item.label)).toEqual(['ravi', 'meena']);
+
+    await expect(queue.tick()).resolves.toBe(true);
+
+    const job = await queue.get(queued.id);
+    expect(job).toMatchObject({ status: STATUS.COMPLETED, progress: 100, runs: 1, result: { names: ['RAVI', 'MEENA'] } });
+    expect(io.to).toHaveBeenCalledWith(`job-${queued.id}`);
+    expect(io.room.emit).toHaveBeenCalledWith('job:finished', expect.objectContaining({ jobId: queued.id }));
+    expect(client.lists.get('jobs:active')).toEqual([]);
+    await expect(queue.tick()).resolves.toBe(false);
+  });
+
+  it('retries failed items with backoff and only re-runs what did not finish', async () => {
+    const processItem = jest.fn(async input => {
+      if (input.fail > 0) {
+        input.fail -= 1;
+        throw new Error('LLM timeout');
+      }
+      return input.id;
+    });
+    queue.register('flaky', { processItem });
+
+    const { id } = await queue.enqueue('flaky', [{ id: 'a', fail: 0 }, { id: 'b', fail: 5 }], { maxAttempts: 2 });
+
+    await queue.tick();
+    let job = await queue.get(id);
+    expect(job.status).toBe(STATUS.DELAYED);
+    expect(job.items.map(item => item.status)).toEqual(['completed', 'retrying']);
+
+    // Due immediately with zero backoff
+    await queue.tick();
+    job = await queue.get(id);
+    expect(job).toMatchObject({ status: STATUS.PARTIAL, runs: 2 });
+    expect(job.items[1]).toMatchObject({ status: 'failed', attempts: 2, error: 'LLM timeout' });
+    expect(processItem).toHaveBeenCalledTimes(3);
+
+    queue.register('flaky', { processItem: async () => 'ok' });
+    const retried = await queue.retry(id);
+    expect(retried.status).toBe(STATUS.QUEUED);
+    await queue.tick();
+    expect((await queue.get(id)).status).toBe(STATUS.COMPLETED);
+  });
+
+  it('cancels queued jobs at once and active jobs between items', async () => {
+    queue.register('slow', { processItem: async () => 'done' });
+
+    const queued = await queue.enqueue('slow', [1, 2]);
+    const cancelled = await queue.cancel(queued.id);
+    expect(cancelled.status).toBe(STATUS.CANCELLED);
+    expect(cancelled.items.every(item => item.status === 'cancelled')).toBe(true);
+    await expect(queue.cancel(queued.id)).rejects.toMatchObject({ statusCode: 400 });
+
+    let activeId;
+    queue.register('slow', {
+      processItem: async () => {
+        await queue.cancel(activeId);
+        return 'done';
+      }
+    });
+    activeId = (await queue.enqueue('slow', [1, 2, 3])).id;
+    await queue.tick();
+
+    const job = await queue.get(activeId);
+    expect(job.status).toBe(STATUS.CANCELLED);
+    expect(job.items.map(item => item.status)).toEqual(['completed', 'cancelled', 'cancelled']);
+  });
+
+  it('re-queues jobs interrupted by a restart and lists history newest first', async () => {
+    queue.register('echo', { processItem: async input => input });
+    const first = await queue.enqueue('echo', ['a']);
+    const second = await queue.enqueue('echo', ['b']);
+
+    // Simulate a crash mid-job
+    await client.rPopLPush('jobs:wait', 'jobs:active');
+    await queue.start(60000);
+    queue.stop();
+    expect(client.lists.get('jobs:active')).toEqual([]);
+    expect(client.lists.get('jobs:wait')).toHaveLength(2);
+
+    const { jobs, total } = await queue.list();
+    expect(total).toBe(2);
+    expect(jobs.map(job => job.id)).toEqual(expect.arrayContaining([first.id, second.id]));
+    await expect(queue.get('missing')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../services/providerGateway', () => ({
+  chat: jest.fn()
+}));
+jest.mock('../services/personaVersionStore', () => ({
+  loadAgents: jest.fn(),
+  versionMap: jest.fn(() => ({}))
+}));
+
+const { pool } = require('../models/database');
+const PersonaVersionStore = require('../services/personaVersionStore');
+const { LiveSessionManager } = require('../services/liveSessionManager');
+const { generateToken } = require('../middleware/auth');
+
+const agents = [
+  { id: 'a1', name: 'Asha' },
+  { id: 'a2', name: 'Ravi' },
+  { id: 'a3', name: 'Meena' }
+];
+
+describe('live session manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new LiveSessionManager();
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [{ id: 'session-1', topic: 'UPI' }], rowCount: 1 });
+    PersonaVersionStore.loadAgents.mockResolvedValue(agents);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    manager.sessions.forEach(session => clearTimeout(session.idleTimer));
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function fakeSocket(user) {
+    const handlers = {};
+    const socket = {
+      handshake: { auth: user ? { token: generateToken(user) } : {} },
+      join: jest.fn(),
+      leave: jest.fn(),
+      on: (event, handler) => { handlers[event] = handler; }
+    };
+    socket.emit = (event, data) => new Promise(resolve => handlers[event](data, resolve));
+    return socket;
+  }
+
+  it('rejects speakersPerTurn that is not a whole number of participants', async () => {
+    await expect(manager.start({ agentIds: ['a1', 'a2', 'a3'], topic: 'UPI', speakersPerTurn: 0 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(pool.query).not.toHaveBeenCalled();
+
+    const state = await manager.start({ agentIds: ['a1', 'a2', 'a3'], topic: 'UPI' });
+    expect(state.speakersPerTurn).toBe(2);
+
+    [0, -1, 'abc', NaN, 1.5, 6].forEach(value => {
+      expect(() => manager.setPolicy('session-1', 'round-robin', value)).toThrow('speakersPerTurn must be a whole number from 1 to 5');
+    });
+    expect(manager.getState('session-1').speakersPerTurn).toBe(2);
+
+    expect(manager.setPolicy('session-1', 'most-relevant', '3')).toMatchObject({ policy: 'most-relevant', speakersPerTurn: 3 });
+    expect(manager.setPolicy('session-1', 'round-robin')).toMatchObject({ policy: 'round-robin', speakersPerTurn: 3 });
+  });
+
+  it('marks sessions left live by a restart as interrupted', async () => {
+    pool.query.mockResolvedValue({ rows: [], rowCount: 2 });
+
+    await expect(manager.recover()).resolves.toBe(2);
+
+    const [sql] = pool.query.mock.calls[0];
+    expect(sql).toContain("SET status = 'interrupted'");
+    expect(sql).toContain("WHERE status = 'live'");
+  });
+
+  it('only lets the signed-in moderator control a session over sockets', async () => {
+    await manager.start({ agentIds: ['a1', 'a2', 'a3'], topic: 'UPI', createdBy: 'user-1' });
+
+    const anonymous = fakeSocket(null);
+    manager.registerSocketHandlers(anonymous);
+    await expect(anonymous.emit('session:end', { sessionId: 'session-1' }))
+      .resolves.toEqual({ success: false, error: 'Sign in to moderate live sessions' });
+
+    const other = fakeSocket({ id: 'user-2', role: 'user' });
+    manager.registerSocketHandlers(other);
+    await expect(other.emit('session:mute', { sessionId: 'session-1', agentId: 'a1' }))
+      .resolves.toEqual({ success: false, error: 'Only the moderator who started this session can control it' });
+    expect(manager.getState('session-1').participants[0].muted).toBe(false);
+
+    // Anyone may follow along
+    await expect(other.emit('session:join', { sessionId: 'session-1' })).resolves.toMatchObject({ success: true });
+    expect(other.join).toHaveBeenCalledWith('session-session-1');
+
+    const moderator = fakeSocket({ id: 'user-1', role: 'user' });
+    manager.registerSocketHandlers(moderator);
+    await expect(moderator.emit('session:mute', { sessionId: 'session-1', agentId: 'a1' }))
+      .resolves.toMatchObject({ success: true, state: { id: 'session-1' } });
+    expect(manager.getState('session-1').participants[0].muted).toBe(true);
+  });
+
+  it('does not join the room of a session that does not exist', async () => {
+    const socket = fakeSocket(null);
+    manager.registerSocketHandlers(socket);
+
+    await expect(socket.emit('session:join', { sessionId: 'missing' }))
+      .resolves.toEqual({ success: false, error: 'Live session not found' });
+    expect(socket.join).not.toHaveBeenCalled();
+  });
+
+  it('ends sessions left idle', async () => {
+    jest.useFakeTimers();
+    manager = new LiveSessionManager({ idleTimeoutMs: 60000 });
+    await manager.start({ agentIds: ['a1', 'a2', 'a3'], topic: 'UPI' });
+
+    await jest.advanceTimersByTimeAsync(59000);
+    expect(manager.has('session-1')).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(manager.has('session-1')).toBe(false);
+    const [sql, params] = pool.query.mock.calls[pool.query.mock.calls.length - 1];
+    expect(sql).toContain('UPDATE research_sessions');
+    expect(params).toContain('completed');
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../services/agentBuilder', () => ({
+  extractBehavioralDNA: jest.fn()
+}));
+
+const AgentBuilder = require('../services/agentBuilder');
+const { normalizeTranscript } = require('../services/transcriptNormalizer');
+const { splitParticipants, extractDemographics, draftPersonas } = require('../services/participantSplitter');
+
+const FOCUS_GROUP = normalizeTranscript([
+  'Moderator: Let\'s go around. Introduce yourselves?',
+  'Ravi: I\'m Ravi, 34, from Pune. I work as a delivery partner.',
+  'Meena: Hi, Meena here. I\'m 52 and I live in Nagpur, I run a small kirana shop.',
+  'Moderator: How do you send money home?',
+  'Ravi: UPI only. Cash is a headache for me.',
+  'Meena: My son does it for me, I don\'t trust these apps.',
+  'Moderator: What happens when a payment fails?',
+  'Ravi: I wait, then I call the bank. They never pick up.'
+].join('\n'));
+
+describe('participant splitter', () => {
+  beforeEach(() => {
+    AgentBuilder.extractBehavioralDNA.mockReset();
+  });
+
+  it('splits a focus group into one sub-transcript per respondent with the prompts they answered', () => {
+    const participants = splitParticipants(FOCUS_GROUP);
+
+    expect(participants.map(p => p.speaker)).toEqual(['Ravi', 'Meena']);
+    expect(participants[0].turnIndexes).toEqual([1, 4, 7]);
+    expect(participants[0].turns.map(t => t.speaker)).toEqual(['Moderator', 'Ravi', 'Moderator', 'Ravi', 'Moderator', 'Ravi']);
+    // Questions put to the whole group stay with every respondent who answered
+    expect(participants[1].turns.map(t => t.speaker)).toEqual(['Moderator', 'Meena', 'Moderator', 'Meena']);
+    expect(participants[0].share + participants[1].share).toBeCloseTo(1, 1);
+  });
+
+  it('reads demographics from self-introductions', () => {
+    const [ravi, meena] = splitParticipants(FOCUS_GROUP);
+
+    expect(ravi.demographics).toEqual({ name: 'Ravi', age: 34, location: 'Pune', occupation: 'delivery partner' });
+    expect(meena.demographics).toMatchObject({ name: 'Meena', age: 52, location: 'Nagpur' });
+
+    const placeholder = extractDemographics([{ text: 'My name is Asha Rao and I am a teacher.' }], 'Participant 2');
+    expect(placeholder).toMatchObject({ name: 'Asha Rao', occupation: 'teacher' });
+  });
+
+  it('drafts a persona per selected participant and keeps failures on their draft', async () => {
+    AgentBuilder.extractBehavioralDNA
+      .mockResolvedValueOnce({ speech_patterns: { sentence_length: 'short' }, real_quotes: ['They never pick up.'] })
+      .mockRejectedValueOnce(new Error('Failed to extract behavioral DNA: timeout'));
+
+    const drafts = await draftPersonas(FOCUS_GROUP, { source: 'group.txt' });
+
+    expect(AgentBuilder.extractBehavioralDNA).toHaveBeenCalledTimes(2);
+    const [raviTranscript, raviDemographics] = AgentBuilder.extractBehavioralDNA.mock.calls[0];
+    expect(raviTranscript.raw_text).not.toContain('Meena');
+    expect(raviDemographics.age).toBe(34);
+
+    expect(drafts[0]).toMatchObject({ participant: 'Ravi', source: 'group.txt', turn_count: 3 });
+    expect(drafts[0].quotes[0]).toMatchObject({ quote: 'They never pick up.', turnIndex: 7, match: 'exact' });
+    expect(drafts[1]).toMatchObject({ participant: 'Meena', error: expect.stringContaining('timeout') });
+
+    AgentBuilder.extractBehavioralDNA.mockResolvedValueOnce({ real_quotes: [] });
+    const only = await draftPersonas(FOCUS_GROUP, { participants: ['Meena'] });
+    expect(only.map(d => d.participant)).toEqual(['Meena']);
+  });
+});
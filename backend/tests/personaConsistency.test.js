@@ -0,0 +1,87 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const { evaluateReply, buildCorrection, getAgentConsistency } = require('../services/personaConsistency');
+
+const agent = {
+  id: '11111111-1111-4111-8111-111111111111',
+  name: 'Ramesh',
+  age: 48,
+  occupation: 'Auto rickshaw driver',
+  location: 'Pune, Maharashtra',
+  tech_savviness: 'low',
+  speech_patterns: {
+    sentence_length: 'short',
+    formality: 3,
+    english_level: 'Low',
+    filler_words: ['arre', 'na'],
+    common_phrases: ['what to do']
+  },
+  vocabulary_profile: { complexity: 3, avoided_words: ['leverage', 'utilize'], common_words: ['paisa'] },
+  knowledge_bounds: { unknown: ['mutual funds'] }
+};
+
+describe('persona consistency', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('accepts a short, plain reply in the persona\'s voice', async () => {
+    const result = await evaluateReply(agent, 'Arre, UPI is fine na. But what to do when payment fails? Paisa gets stuck.');
+
+    expect(result.drifted).toBe(false);
+    expect(result.score).toBeGreaterThan(0.9);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('flags fluent technical English from a low English, low tech persona', async () => {
+    const reply = 'Furthermore, the integration of a seamless authentication workflow would leverage the existing infrastructure, ' +
+      'and therefore the scalability of the platform consequently improves considerably for every stakeholder involved in the process.';
+    const result = await evaluateReply(agent, reply);
+
+    expect(result.drifted).toBe(true);
+    expect(result.dimensions.knowledge).toBeLessThan(0.6);
+    expect(result.dimensions.vocabulary).toBeLessThan(1);
+    expect(result.issues.map(i => i.dimension)).toEqual(
+      expect.arrayContaining(['speech_patterns', 'vocabulary', 'knowledge'])
+    );
+    expect(buildCorrection(result)).toContain('Technical jargon');
+  });
+
+  it('flags a reply that brushes off one of the persona\'s pain points', async () => {
+    const withPainPoints = { ...agent, pain_points: ['UPI payments fail and money gets stuck', 'Loan paperwork is confusing'] };
+
+    const forgot = await evaluateReply(withPainPoints, 'UPI payment never had any problem. Money comes in fast.');
+    expect(forgot.dimensions.knowledge).toBeLessThan(0.8);
+    expect(forgot.issues).toEqual([
+      expect.objectContaining({ dimension: 'knowledge', message: expect.stringContaining('UPI payments fail') })
+    ]);
+
+    const remembered = await evaluateReply(withPainPoints, 'Arre, UPI payment fails na. Money gets stuck, what to do.');
+    expect(remembered.issues).toEqual([]);
+  });
+
+  it('treats demographic contradictions and AI self-references as drift', async () => {
+    const wrongAge = await evaluateReply(agent, 'I am 25 and I live in Chennai.');
+    expect(wrongAge.dimensions.demographics).toBeLessThan(0.2);
+    expect(wrongAge.drifted).toBe(true);
+
+    const broken = await evaluateReply(agent, 'As an AI language model, I cannot ride an auto.');
+    expect(broken.dimensions.demographics).toBe(0);
+    expect(broken.drifted).toBe(true);
+  });
+
+  it('summarises stored checks per agent', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ checks: 4, score: 0.8125, drifted: 1, regenerated: 1, speech_patterns: 0.9, vocabulary: 0.85, knowledge: 0.6, demographics: 0.9 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1', score: '0.4', issues: [] }] });
+
+    const summary = await getAgentConsistency(agent.id, { days: 7 });
+
+    expect(pool.query.mock.calls[0][1]).toEqual([agent.id, '7']);
+    expect(summary).toMatchObject({ checks: 4, score: 0.813, driftRate: 0.25, dimensions: { knowledge: 0.6 } });
+    expect(summary.recentDrifts[0].score).toBe(0.4);
+  });
+});
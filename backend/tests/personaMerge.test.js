@@ -0,0 +1,100 @@
+const {
+  CHANGE_KINDS,
+  personaFromAgent,
+  diffPersonas,
+  withEvidence,
+  applyChanges,
+  changedColumns
+} = require('../services/personaMerge');
+
+const current = {
+  name: 'Ravi Kumar',
+  age: 34,
+  location: { city: 'Pune', state: 'Maharashtra' },
+  profession: { occupation: 'Shop owner', background: null },
+  hobbies: ['Cricket'],
+  pain_points: { general: ['Slow loan approvals'], ui_pain_points: [] },
+  key_quotes: ['I check every charge twice']
+};
+
+const merged = {
+  name: 'Ravi Kumar',
+  age: 35,
+  location: { city: 'Pune', state: 'Maharashtra' },
+  profession: { occupation: 'Shop owner', background: 'Runs a kirana store since 2015' },
+  hobbies: ['cricket', 'Gardening'],
+  pain_points: { general: [], ui_pain_points: [] },
+  key_quotes: ['I check every charge twice']
+};
+
+describe('persona merge', () => {
+  it('diffs field by field and ignores case-only differences in lists', () => {
+    const changes = diffPersonas(current, merged);
+
+    expect(changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'age', kind: CHANGE_KINDS.CHANGED, before: 34, after: 35 }),
+      expect.objectContaining({ path: 'profession.background', kind: CHANGE_KINDS.ADDED }),
+      expect.objectContaining({ path: 'hobbies', kind: CHANGE_KINDS.EXTENDED, addedItems: ['Gardening'], removedItems: [] }),
+      expect.objectContaining({ path: 'pain_points.general', kind: CHANGE_KINDS.REMOVED })
+    ]));
+    expect(changes).toHaveLength(4);
+  });
+
+  it('applies only accepted changes and carries their evidence into provenance', () => {
+    const incoming = {
+      fields: {
+        hobbies: { basis: 'transcript', confidence: 0.9, via: 'citation', evidence: [{ quote: 'I garden on Sundays', turnIndex: 3 }] },
+        age: { basis: 'transcript', confidence: 0.9, via: 'value', evidence: [{ quote: 'I am 35', turnIndex: 1 }] }
+      }
+    };
+    const existing = {
+      fields: {
+        hobbies: { basis: 'transcript', confidence: 0.7, via: 'value', evidence: [{ quote: 'I play cricket', turnIndex: 5 }] },
+        'pain_points.general': { basis: 'inferred', confidence: 0.5, via: 'model', evidence: [] }
+      }
+    };
+    const changes = withEvidence(diffPersonas(current, merged), incoming);
+    expect(changes.find(change => change.path === 'hobbies').evidence).toHaveLength(1);
+
+    const result = applyChanges(current, changes, { hobbies: 'accept', 'pain_points.general': 'accept', age: 'reject' }, {
+      current: existing,
+      incoming
+    });
+
+    expect(result.accepted).toEqual(['hobbies', 'pain_points.general']);
+    expect(result.rejected).toEqual(expect.arrayContaining(['age', 'profession.background']));
+    expect(result.persona).toMatchObject({ age: 34, hobbies: ['cricket', 'Gardening'], pain_points: { general: [] } });
+    expect(current.hobbies).toEqual(['Cricket']);
+
+    expect(result.fieldProvenance.fields.hobbies).toMatchObject({ basis: 'transcript', confidence: 0.9 });
+    expect(result.fieldProvenance.fields.hobbies.evidence.map(item => item.quote)).toEqual(['I play cricket', 'I garden on Sundays']);
+    expect(result.fieldProvenance.fields).not.toHaveProperty('pain_points.general');
+    expect(result.fieldProvenance.fields).not.toHaveProperty('age');
+  });
+
+  it('rebuilds legacy rows from columns and only rewrites columns that changed', () => {
+    const persona = personaFromAgent({
+      name: 'Meena',
+      age: 41,
+      occupation: 'Teacher',
+      location: 'Indore',
+      goals: ['Save for a house'],
+      pain_points: ['Too many app notifications'],
+      motivations: ['Security'],
+      personality: JSON.stringify({ traits: ['cautious'], values: ['family'] }),
+      hobbies: '["Reading"]',
+      sample_quote: 'I read the fine print'
+    });
+
+    expect(persona).toMatchObject({
+      profession: { occupation: 'Teacher' },
+      goals: { short_term: ['Save for a house'] },
+      personality: { personality_traits: ['cautious'], motivations: ['Security'] },
+      hobbies: ['Reading'],
+      key_quotes: ['I read the fine print']
+    });
+
+    const next = { ...persona, hobbies: ['Reading', 'Cooking'] };
+    expect(Object.keys(changedColumns(persona, next))).toEqual(['hobbies']);
+  });
+});
@@ -0,0 +1,68 @@
+const { normalizeTranscript } = require('../services/transcriptNormalizer');
+const { buildProvenance, fieldPaths } = require('../services/personaProvenance');
+
+const TRANSCRIPT = normalizeTranscript([
+  '[00:00:05] Moderator: Tell me about yourself. Do you play cricket?',
+  '[00:00:09] Respondent: I\'m Ravi, 34, I drive for a delivery app in Pune.',
+  '[00:01:05] Moderator: How do payments go for you?',
+  '[00:01:12] Respondent: UPI fails at least once a week and nobody at the bank picks up.',
+  '[00:02:31] Moderator: And on weekends?',
+  '[00:02:40] Respondent: On Sundays I watch movies with my kids.'
+].join('\n'));
+
+describe('persona provenance', () => {
+  it('lists every non-empty leaf field as a dotted path', () => {
+    expect(fieldPaths({
+      name: 'Ravi',
+      age: null,
+      location: { city: 'Pune', state: '' },
+      hobbies: [],
+      key_quotes: ['x'],
+      goals: { short_term: ['Save money'] }
+    })).toEqual(['name', 'location.city', 'goals.short_term']);
+  });
+
+  it('keeps verified citations, downgrades unverifiable ones and marks the rest', () => {
+    const persona = {
+      name: 'Ravi',
+      age: 34,
+      gender: 'Male',
+      pain_points: { general: ['Frequent UPI failures'] },
+      personality: { personality_traits: ['Frank'] },
+      hobbies: ['Movies with kids'],
+      goals: { long_term: ['Own a car'] },
+      key_quotes: ['nobody at the bank picks up'],
+      field_provenance: {
+        age: { basis: 'stated', quotes: ['I\'m Ravi, 34'], confidence: 0.95 },
+        'pain_points.general': { basis: 'stated', quotes: ['UPI fails at least once a week'] },
+        personality: { basis: 'inferred', confidence: 0.6 },
+        goals: { basis: 'stated', quotes: ['I want to buy a car next year'], confidence: 0.9 }
+      }
+    };
+
+    const { fields, summary } = buildProvenance(persona, TRANSCRIPT, { source: 'ravi.txt' });
+
+    expect(fields.age).toMatchObject({ basis: 'transcript', confidence: 0.95, via: 'citation' });
+    expect(fields.age.evidence[0]).toMatchObject({ turnIndex: 1, start: '00:00:09', match: 'exact', source: 'ravi.txt' });
+    expect(fields['pain_points.general']).toMatchObject({ basis: 'transcript', confidence: 0.9 });
+    expect(fields['pain_points.general'].evidence[0].turnIndex).toBe(3);
+    // Parent entries cover their children
+    expect(fields['personality.personality_traits']).toMatchObject({ basis: 'inferred', confidence: 0.6, evidence: [] });
+    // A quote the respondent never said is not evidence
+    expect(fields['goals.long_term']).toMatchObject({ basis: 'inferred', via: 'unverified_citation' });
+    expect(fields['goals.long_term'].confidence).toBeLessThanOrEqual(0.5);
+    // No citation: the value itself is found in a respondent turn
+    expect(fields.hobbies).toMatchObject({ basis: 'transcript', via: 'value' });
+    expect(fields.hobbies.evidence[0].turnIndex).toBe(5);
+    expect(fields.key_quotes).toMatchObject({ basis: 'transcript', via: 'citation' });
+    expect(summary).toEqual({ transcript: 5, inferred: 2, synthetic: 1 });
+    expect(fields.name).toMatchObject({ basis: 'transcript' });
+    expect(fields.gender).toMatchObject({ basis: 'synthetic', confidence: 0.2 });
+  });
+
+  it('never counts the moderator\'s words as evidence', () => {
+    const { fields } = buildProvenance({ hobbies: ['Playing cricket'] }, TRANSCRIPT);
+
+    expect(fields.hobbies).toMatchObject({ basis: 'synthetic', confidence: 0.2, evidence: [] });
+  });
+});
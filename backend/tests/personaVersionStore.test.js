@@ -0,0 +1,98 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const PersonaVersionStore = require('../services/personaVersionStore');
+const { snapshotOf, diffSnapshots, versionMap } = PersonaVersionStore;
+
+const AGENT_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_ID = '22222222-2222-4222-8222-222222222222';
+
+const before = {
+  id: AGENT_ID,
+  name: 'Ravi Kumar',
+  age: 34,
+  pain_points: ['Slow loan approvals'],
+  communication_style: { tone: 'direct' },
+  persona_version: 2,
+  is_active: true,
+  created_at: new Date('2025-10-01T00:00:00Z'),
+  updated_at: new Date('2025-10-02T00:00:00Z')
+};
+
+describe('persona version store', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('snapshots persona content without identity, timestamps or lifecycle columns', () => {
+    expect(snapshotOf(before)).toEqual({
+      name: 'Ravi Kumar',
+      age: 34,
+      pain_points: ['Slow loan approvals'],
+      communication_style: { tone: 'direct' }
+    });
+  });
+
+  it('diffs nested fields between snapshots', () => {
+    const changes = diffSnapshots(snapshotOf(before), {
+      ...snapshotOf(before),
+      age: 35,
+      communication_style: { tone: 'warm' }
+    });
+
+    expect(changes).toEqual([
+      expect.objectContaining({ path: 'age', kind: 'changed', before: 34, after: 35 }),
+      expect.objectContaining({ path: 'communication_style.tone', before: 'direct', after: 'warm' })
+    ]);
+  });
+
+  it('records the next version and bumps persona_version', async () => {
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ version: 3, change_source: 'edit' }] });
+    const after = { ...before, age: 35, updated_at: new Date() };
+
+    const version = await PersonaVersionStore.recordChange(client, 'agent', before, after, { createdBy: 42 });
+
+    expect(version).toEqual({ version: 3, change_source: 'edit' });
+    expect(after.persona_version).toBe(3);
+    expect(client.query.mock.calls[1][0]).toContain('UPDATE agents SET persona_version');
+    const insertParams = client.query.mock.calls[2][1];
+    expect(insertParams.slice(0, 3)).toEqual(['agent', AGENT_ID, 3]);
+    expect(JSON.parse(insertParams[5])).toEqual({ changedFields: ['age'], changeCount: 1 });
+    expect(insertParams[7]).toBe('42');
+  });
+
+  it('skips recording when only timestamps changed', async () => {
+    const client = { query: jest.fn() };
+
+    const version = await PersonaVersionStore.recordChange(client, 'ai_agent', before, { ...before, updated_at: new Date() });
+
+    expect(version).toBeNull();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it('loads pinned agents at their pinned version', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ ...before, id: OTHER_ID, name: 'Asha', persona_version: 1 }, before] })
+      .mockResolvedValueOnce({ rows: [{ version: 1, snapshot: { name: 'Ravi Kumar', age: 33 } }] });
+
+    const agents = await PersonaVersionStore.loadAgents([AGENT_ID, OTHER_ID], { [AGENT_ID]: 1 });
+
+    expect(agents.map(agent => [agent.id, agent.age, agent.persona_version])).toEqual([
+      [AGENT_ID, 33, 1],
+      [OTHER_ID, 34, 1]
+    ]);
+    expect(versionMap(agents)).toEqual({ [AGENT_ID]: 1, [OTHER_ID]: 1 });
+  });
+
+  it('rejects pins for agents outside the session', async () => {
+    await expect(PersonaVersionStore.loadAgents([AGENT_ID], { [OTHER_ID]: 2 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
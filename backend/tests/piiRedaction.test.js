@@ -0,0 +1,100 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const { assertVaultConfigured, createRedactor, redactUpload, revealVault } = require('../services/piiRedaction');
+const { normalizeTranscript } = require('../services/transcriptNormalizer');
+
+const AUDIT_ID = '5b1f8a2e-3c4d-4e5f-8a9b-0c1d2e3f4a5b';
+
+describe('PII redaction', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    delete process.env.PII_REDACTION;
+    delete process.env.PII_REDACTION_RULES;
+    delete process.env.PII_REDACTION_TERMS;
+    process.env.PII_VAULT_KEY = 'test-vault-secret';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('replaces identifiers with placeholders that stay stable across an upload', () => {
+    const redactor = createRedactor();
+    const first = redactor.redact('My PAN is ABCPE1234F, call me on +91 98765 43210 or ravi@okhdfcbank.');
+    const second = redactor.redact('Again, it is 9876543210. I bank with HDFC Bank.');
+
+    expect(first).toBe('My PAN is [PAN_1], call me on [PHONE_1] or [UPI_1].');
+    expect(second).toBe('Again, it is [PHONE_1]. I bank with [BANK_1].');
+    expect(redactor.summary()).toMatchObject({ counts: { PAN: 1, PHONE: 2, UPI: 1, BANK: 1 }, total: 5 });
+  });
+
+  it('only redacts Aadhaar and card numbers that pass their checksums', () => {
+    const redactor = createRedactor({ rules: ['card', 'aadhaar'] });
+
+    expect(redactor.redact('Card 4111 1111 1111 1111')).toBe('Card [CARD_1]');
+    expect(redactor.redact('Card 4111 1111 1111 1112')).toBe('Card 4111 1111 1111 1112');
+    expect(redactor.redact('Aadhaar 2345 6789 0123')).toBe('Aadhaar [AADHAAR_1]');
+    // Ungrouped 12-digit runs need a valid Verhoeff check digit
+    expect(redactor.redact('Order 123456789012')).toBe('Order 123456789012');
+  });
+
+  it('redacts normalized turns, writes an audit and keeps originals in an encrypted vault', async () => {
+    const stored = [];
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO pii_redaction_audits')) return { rows: [{ id: AUDIT_ID }] };
+      if (sql.includes('INSERT INTO pii_vault_entries')) {
+        stored.push({ placeholder: params[1], pii_type: params[2], encrypted_value: params[3], occurrences: params[4] });
+        return { rows: [] };
+      }
+      if (sql.includes('FROM pii_redaction_audits')) return { rows: [{ id: AUDIT_ID }] };
+      if (sql.includes('FROM pii_vault_entries')) return { rows: stored };
+      return { rows: [] };
+    });
+
+    const normalized = normalizeTranscript('Moderator: Your email?\nRespondent: asha.rao@gmail.com, and my PAN is ABCPE1234F.');
+    const { items: [redacted], redaction } = await redactUpload([normalized], { source: 'test', sourceFiles: ['a.txt'] });
+
+    expect(redacted.turns[1].text).toBe('[EMAIL_1], and my PAN is [PAN_1].');
+    expect(normalized.turns[1].text).toContain('asha.rao@gmail.com');
+    expect(redaction).toEqual({ auditId: AUDIT_ID, enabled: true, counts: { EMAIL: 1, PAN: 1 }, total: 2 });
+
+    const auditParams = pool.query.mock.calls[0][1];
+    expect(auditParams.join(' ')).not.toContain('ABCPE1234F');
+    expect(stored.map(entry => entry.encrypted_value).join(' ')).not.toContain('ABCPE1234F');
+
+    const entries = await revealVault(AUDIT_ID, { accessedBy: 'admin-1' });
+    expect(entries).toEqual(expect.arrayContaining([
+      expect.objectContaining({ placeholder: '[PAN_1]', value: 'ABCPE1234F' }),
+      expect.objectContaining({ placeholder: '[EMAIL_1]', value: 'asha.rao@gmail.com' })
+    ]));
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO pii_vault_access_log'), [AUDIT_ID, 'admin-1', 'reveal']);
+  });
+
+  it('passes text through untouched and records nothing when disabled', async () => {
+    process.env.PII_REDACTION = 'off';
+
+    const { items, redaction } = await redactUpload(['PAN ABCPE1234F'], { source: 'test' });
+
+    expect(items).toEqual(['PAN ABCPE1234F']);
+    expect(redaction).toMatchObject({ auditId: null, enabled: false, total: 0 });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('refuses to start without a real vault key while redaction is on', () => {
+    expect(() => assertVaultConfigured()).not.toThrow();
+
+    delete process.env.PII_VAULT_KEY;
+    expect(() => assertVaultConfigured()).toThrow('PII_VAULT_KEY');
+
+    process.env.PII_VAULT_KEY = 'your_pii_vault_secret_here';
+    expect(() => assertVaultConfigured()).toThrow('PII_VAULT_KEY');
+
+    process.env.PII_REDACTION = 'off';
+    expect(() => assertVaultConfigured()).not.toThrow();
+  });
+});
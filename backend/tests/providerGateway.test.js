@@ -0,0 +1,158 @@
+const { ProviderGateway } = require('../services/providerGateway');
+const MockProvider = require('../services/mockProvider');
+const UsageTracker = require('../services/usageTracker');
+const { getLLMConfig } = require('../config/llm');
+
+const buildConfig = (overrides = {}) => ({
+  defaultProvider: 'local',
+  fallbackChain: ['local'],
+  timeoutMs: 1000,
+  trackUsage: false,
+  pricing: {},
+  providers: {
+    local: { type: 'local', defaultModel: 'local-persona-v1' }
+  },
+  ...overrides
+});
+
+describe('ProviderGateway registry', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers deterministically with the local provider', async () => {
+    const gateway = new ProviderGateway(buildConfig());
+    const messages = [
+      { role: 'system', content: 'You are Priya from Pune.' },
+      { role: 'user', content: 'What do you think of this loan screen?' }
+    ];
+
+    const first = await gateway.complete(messages);
+    const second = await gateway.complete(messages);
+
+    expect(first.provider).toBe('local');
+    expect(first.content).toBe(second.content);
+    expect(first.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  it('marks providers without credentials as unavailable', () => {
+    const gateway = new ProviderGateway(buildConfig({
+      providers: {
+        openai: { type: 'openai', apiKey: null },
+        compatible: { type: 'openai-compatible', apiKey: 'x', baseURL: null },
+        local: { type: 'local' }
+      }
+    }));
+
+    const available = gateway.listProviders().filter(p => p.available).map(p => p.name);
+    expect(available).toEqual(['local']);
+  });
+
+  it('falls back through the chain when a provider fails', async () => {
+    const gateway = new ProviderGateway(buildConfig({ defaultProvider: 'flaky', fallbackChain: ['local'] }));
+    gateway.registerAdapter('failing', () => ({
+      complete: jest.fn().mockRejectedValue(new Error('upstream 500'))
+    }));
+    gateway.registerProvider('flaky', { type: 'failing', apiKey: 'key' });
+
+    const result = await gateway.complete([{ role: 'user', content: 'hello' }]);
+    expect(result.provider).toBe('local');
+  });
+
+  it('times out slow providers and moves on', async () => {
+    const gateway = new ProviderGateway(buildConfig({ defaultProvider: 'slow', timeoutMs: 20 }));
+    gateway.registerAdapter('slow', () => ({
+      complete: () => new Promise(resolve => setTimeout(() => resolve({ content: 'late' }), 200))
+    }));
+    gateway.registerProvider('slow', { type: 'slow', apiKey: 'key' });
+
+    const result = await gateway.complete([{ role: 'user', content: 'hello' }]);
+    expect(result.provider).toBe('local');
+  });
+
+  it('aborts the timed-out request through its signal', async () => {
+    let signal;
+    const gateway = new ProviderGateway(buildConfig({ defaultProvider: 'slow', timeoutMs: 20 }));
+    gateway.registerAdapter('slow', () => ({
+      complete: (messages, params) => {
+        signal = params.signal;
+        return new Promise((resolve, reject) => params.signal.addEventListener('abort', () => reject(params.signal.reason)));
+      }
+    }));
+    gateway.registerProvider('slow', { type: 'slow', apiKey: 'key' });
+
+    await gateway.complete([{ role: 'user', content: 'hello' }]);
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.code).toBe('PROVIDER_TIMEOUT');
+  });
+
+  it('leaves the local provider out of the default fallback chain', () => {
+    const chain = process.env.AI_FALLBACK_CHAIN;
+    delete process.env.AI_FALLBACK_CHAIN;
+    try {
+      expect(getLLMConfig().fallbackChain).not.toContain('local');
+    } finally {
+      if (chain !== undefined) process.env.AI_FALLBACK_CHAIN = chain;
+    }
+  });
+
+  it('honours per-request provider and model selection', async () => {
+    const complete = jest.fn().mockResolvedValue({ content: 'ok', model: 'custom-model', usage: {} });
+    const gateway = new ProviderGateway(buildConfig());
+    gateway.registerAdapter('custom', () => ({ complete }));
+    gateway.registerProvider('custom', { type: 'custom', apiKey: 'key' });
+
+    const result = await gateway.complete([{ role: 'user', content: 'hi' }], { provider: 'custom', model: 'custom-model' });
+
+    expect(result.provider).toBe('custom');
+    expect(complete.mock.calls[0][1].model).toBe('custom-model');
+  });
+
+  it('reserves a fixed cost per image rather than counting base64 image data', async () => {
+    const reserve = jest.spyOn(UsageTracker, 'reserve').mockResolvedValue(null);
+    jest.spyOn(UsageTracker, 'record').mockResolvedValue();
+    const complete = jest.fn().mockResolvedValue({ content: 'ok', model: 'vision-model', usage: {} });
+    const gateway = new ProviderGateway(buildConfig({ defaultProvider: 'vision', trackUsage: true }));
+    gateway.registerAdapter('vision', () => ({ complete }));
+    gateway.registerProvider('vision', { type: 'vision', apiKey: 'key' });
+
+    await gateway.complete([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What stands out on this screen?' },
+        { type: 'image_url', image_url: { url: `data:image/png;base64,${'A'.repeat(400000)}` } }
+      ]
+    }], { max_tokens: 100 });
+
+    expect(reserve.mock.calls[0][1].usage).toEqual({ prompt_tokens: 8 + 1000, completion_tokens: 100 });
+    reserve.mockRestore();
+    UsageTracker.record.mockRestore();
+  });
+
+  it('throws when every provider in the chain fails', async () => {
+    const gateway = new ProviderGateway(buildConfig({ providers: {} }));
+    gateway.registerAdapter('failing', () => ({
+      complete: jest.fn().mockRejectedValue(new Error('boom'))
+    }));
+    gateway.registerProvider('only', { type: 'failing', apiKey: 'key' });
+
+    await expect(gateway.chat([{ role: 'user', content: 'hi' }], { provider: 'only', fallback: false }))
+      .rejects.toThrow('All AI providers failed');
+  });
+});
+
+describe('MockProvider', () => {
+  it('returns a behavioral analysis for transcript prompts', async () => {
+    const provider = new MockProvider();
+    const content = await provider.chat([
+      { role: 'user', content: 'TRANSCRIPT:\nhello\n\nDEMOGRAPHICS:\n{}' }
+    ]);
+
+    expect(JSON.parse(content)).toHaveProperty('speech_patterns');
+  });
+});
@@ -0,0 +1,126 @@
+const { getAst, getScreenCount, extractAllText } = require('../utils/figmaParser');
+const { prepareScreens, toCss } = require('../services/responsiveLayout');
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+const figmaFile = {
+  name: 'Checkout',
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [{
+      id: '0:1',
+      type: 'CANVAS',
+      name: 'Page 1',
+      children: [{
+        id: '1:1',
+        type: 'FRAME',
+        name: 'Checkout',
+        absoluteBoundingBox: box(100, 0, 375, 812),
+        layoutMode: 'VERTICAL',
+        paddingTop: 24,
+        paddingRight: 16,
+        paddingBottom: 24,
+        paddingLeft: 16,
+        itemSpacing: 12,
+        primaryAxisSizingMode: 'FIXED',
+        counterAxisSizingMode: 'FIXED',
+        children: [
+          {
+            id: '1:2',
+            type: 'TEXT',
+            name: 'Title',
+            characters: 'Pay now',
+            absoluteBoundingBox: box(116, 24, 200, 32),
+            style: { fontSize: 28, fontWeight: 700, textAutoResize: 'WIDTH_AND_HEIGHT' },
+            fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }]
+          },
+          {
+            id: '1:3',
+            type: 'FRAME',
+            name: 'Row',
+            absoluteBoundingBox: box(116, 68, 343, 48),
+            layoutMode: 'HORIZONTAL',
+            itemSpacing: 8,
+            counterAxisAlignItems: 'CENTER',
+            primaryAxisSizingMode: 'FIXED',
+            layoutAlign: 'STRETCH',
+            children: [
+              { id: '1:4', type: 'RECTANGLE', name: 'Icon', absoluteBoundingBox: box(116, 80, 24, 24) },
+              { id: '1:5', type: 'TEXT', name: 'Label', characters: 'UPI', layoutGrow: 1, absoluteBoundingBox: box(148, 80, 100, 20) }
+            ]
+          },
+          {
+            id: '1:6',
+            type: 'FRAME',
+            name: 'Pay button',
+            absoluteBoundingBox: box(116, 740, 343, 48),
+            layoutPositioning: 'ABSOLUTE',
+            constraints: { horizontal: 'LEFT_RIGHT', vertical: 'BOTTOM' },
+            fills: [{ type: 'SOLID', color: { r: 0, g: 0.4, b: 1, a: 1 } }]
+          }
+        ]
+      }]
+    }]
+  }
+};
+
+describe('figma auto-layout parsing', () => {
+  const ast = getAst(figmaFile);
+  const [screen] = ast[0].screens;
+
+  it('groups screens by page and keeps boxes relative to their parent', () => {
+    expect(getScreenCount(ast)).toBe(1);
+    expect(extractAllText(ast)).toEqual(['Pay now', 'UPI']);
+    expect(screen.layout).toMatchObject({ x: 0, y: 0, width: 375, height: 812 });
+    expect(screen.children[1].layout).toMatchObject({ x: 16, y: 68 });
+    expect(screen.children[0].styles.fills[0].color).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+  });
+
+  it('reads auto-layout settings and sizing modes', () => {
+    expect(screen.layout.autoLayout).toMatchObject({
+      mode: 'VERTICAL',
+      padding: { top: 24, right: 16, bottom: 24, left: 16 },
+      itemSpacing: 12
+    });
+    const [title, row] = screen.children;
+    expect(title.layout.sizing).toEqual({ horizontal: 'HUG', vertical: 'HUG' });
+    expect(row.layout.sizing).toEqual({ horizontal: 'FILL', vertical: 'HUG' });
+    expect(row.children[1].layout.sizing.horizontal).toBe('FILL');
+  });
+});
+
+describe('responsive layout styles', () => {
+  const [screen] = prepareScreens(getAst(figmaFile)[0].screens);
+  const [title, row, button] = screen.children;
+
+  it('turns auto-layout frames into flexbox', () => {
+    expect(screen.style).toMatchObject({
+      width: '100%',
+      maxWidth: '375px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      padding: '24px 16px 24px 16px'
+    });
+    expect(row.style).toMatchObject({ display: 'flex', flexDirection: 'row', alignItems: 'center', alignSelf: 'stretch' });
+    expect(row.style.width).toBeUndefined();
+    expect(row.children[0].style).toMatchObject({ width: '24px', maxWidth: '100%', flexShrink: 0 });
+    expect(row.children[1].style).toMatchObject({ flex: '1 1 0', minWidth: 0 });
+  });
+
+  it('uses semantic tags and constraints for out-of-flow children', () => {
+    expect(title.tag).toBe('h1');
+    expect(button.tag).toBe('button');
+    expect(button.style).toMatchObject({ position: 'absolute', left: '16px', right: '16px', bottom: '24px' });
+    expect(toCss({ flexDirection: 'row', minWidth: 0 })).toBe('flex-direction: row; min-width: 0');
+  });
+
+  it('falls back to absolute boxes for ASTs without layout info', () => {
+    const [legacy] = prepareScreens([{
+      id: '1', name: 'Old', layout: { x: 0, y: 0, width: 300, height: 500 },
+      children: [{ id: '2', type: 'RECTANGLE', layout: { x: 10, y: 20, width: 50, height: 40 } }]
+    }]);
+    expect(legacy.children[0].style).toMatchObject({ position: 'absolute', left: '10px', top: '20px', width: '50px', height: '40px' });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../models/database');
+const SessionStore = require('../services/sessionStore');
+
+const AGENT_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('SessionStore', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('list', () => {
+    beforeEach(() => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ total: 45 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 's1' }] });
+    });
+
+    it('filters by topic, agent id and agent name and hides deleted sessions', async () => {
+      const result = await SessionStore.list({ topic: 'UPI', agentId: AGENT_ID, agentName: 'Asha' });
+
+      const [countSql, countParams] = pool.query.mock.calls[0];
+      expect(countSql).toContain('deleted_at IS NULL');
+      expect(countSql).toContain('topic ILIKE $1');
+      expect(countSql).toContain('$2::uuid = ANY(agent_ids)');
+      expect(countSql).toContain("agent->>'name' ILIKE $3");
+      expect(countParams).toEqual(['%UPI%', AGENT_ID, '%Asha%']);
+
+      const [listSql, listParams] = pool.query.mock.calls[1];
+      expect(listSql).toContain('LIMIT $4 OFFSET $5');
+      expect(listParams).toEqual(['%UPI%', AGENT_ID, '%Asha%', 20, 0]);
+      expect(result).toEqual({ sessions: [{ id: 's1' }], total: 45, page: 1, limit: 20 });
+    });
+
+    it('includes deleted sessions only when asked', async () => {
+      await SessionStore.list({ includeDeleted: true });
+
+      const [countSql, countParams] = pool.query.mock.calls[0];
+      expect(countSql).not.toContain('deleted_at IS NULL');
+      expect(countParams).toEqual([]);
+    });
+
+    it('clamps page and limit to sensible bounds', async () => {
+      const result = await SessionStore.list({ page: '3', limit: '500' });
+      expect(result).toMatchObject({ page: 3, limit: 100 });
+      expect(pool.query.mock.calls[1][1]).toEqual([100, 200]);
+    });
+
+    it('falls back to the first page for zero, negative or non-numeric values', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(SessionStore.list({ page: 0, limit: 'abc' })).resolves.toMatchObject({ page: 1, limit: 20 });
+      await expect(SessionStore.list({ page: -2, limit: -5 })).resolves.toMatchObject({ page: 1, limit: 1 });
+      expect(pool.query.mock.calls[3][1]).toEqual([1, 0]);
+    });
+  });
+
+  describe('soft delete and restore', () => {
+    it('soft deletes only sessions that are not already deleted', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(SessionStore.softDelete('s1')).resolves.toBe(true);
+      await expect(SessionStore.softDelete('s1')).resolves.toBe(false);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('SET deleted_at = NOW()');
+      expect(sql).toContain('deleted_at IS NULL');
+      expect(params).toEqual(['s1']);
+    });
+
+    it('restores only deleted sessions', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 's1', deleted_at: null }] }).mockResolvedValueOnce({ rows: [] });
+
+      await expect(SessionStore.restore('s1')).resolves.toEqual({ id: 's1', deleted_at: null });
+      await expect(SessionStore.restore('s1')).resolves.toBeNull();
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('SET deleted_at = NULL');
+      expect(sql).toContain('deleted_at IS NOT NULL');
+    });
+
+    it('hides deleted sessions from getById unless asked', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await expect(SessionStore.getById('s1')).resolves.toBeNull();
+      expect(pool.query.mock.calls[0][0]).toContain('deleted_at IS NULL');
+
+      await SessionStore.getById('s1', { includeDeleted: true });
+      expect(pool.query.mock.calls[1][0]).not.toContain('deleted_at IS NULL');
+    });
+  });
+});
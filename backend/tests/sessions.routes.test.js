@@ -0,0 +1,146 @@
+jest.mock('../models/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    if (!req.headers['x-test-user']) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+    req.user = { id: req.headers['x-test-user'], role: req.headers['x-test-role'] || 'user' };
+    next();
+  }
+}));
+jest.mock('axios', () => ({
+  post: jest.fn(() => Promise.reject(new Error('data processing offline')))
+}));
+
+const request = require('supertest');
+const express = require('express');
+const liveSessionManager = require('../services/liveSessionManager');
+const SessionStore = require('../services/sessionStore');
+const PersonaVersionStore = require('../services/personaVersionStore');
+const sessionsRoute = require('../routes/sessions');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sessions', sessionsRoute);
+
+const SESSION_ID = '11111111-1111-4111-8111-111111111111';
+const AGENT_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('stored session routes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(SessionStore, 'list').mockResolvedValue({ sessions: [], total: 45, page: 2, limit: 20 });
+    jest.spyOn(SessionStore, 'getById').mockResolvedValue(null);
+    jest.spyOn(SessionStore, 'softDelete').mockResolvedValue(true);
+    jest.spyOn(SessionStore, 'restore').mockResolvedValue({ id: SESSION_ID });
+    jest.spyOn(SessionStore, 'create').mockResolvedValue({ id: SESSION_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes list filters and pagination to the store', async () => {
+    const res = await request(app).get('/api/sessions')
+      .query({ topic: 'UPI', agentId: AGENT_ID, agentName: 'Asha', page: 2, includeDeleted: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(SessionStore.list).toHaveBeenCalledWith(expect.objectContaining({
+      topic: 'UPI', agentId: AGENT_ID, agentName: 'Asha', page: '2', includeDeleted: true
+    }));
+    expect(res.body.pagination).toEqual({ page: 2, limit: 20, totalPages: 3 });
+  });
+
+  it('rejects an agentId filter that is not a UUID', async () => {
+    const res = await request(app).get('/api/sessions').query({ agentId: '42' });
+    expect(res.status).toBe(400);
+    expect(SessionStore.list).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for malformed session ids without querying', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/sessions/not-a-uuid'),
+      request(app).delete('/api/sessions/not-a-uuid').set('x-test-user', 'user-1'),
+      request(app).post('/api/sessions/not-a-uuid/restore').set('x-test-user', 'user-1')
+    ]);
+    expect(responses.map(res => res.status)).toEqual([404, 404, 404]);
+    expect(SessionStore.getById).not.toHaveBeenCalled();
+    expect(SessionStore.softDelete).not.toHaveBeenCalled();
+    expect(SessionStore.restore).not.toHaveBeenCalled();
+  });
+
+  it('soft deletes and restores sessions for signed-in users', async () => {
+    expect((await request(app).delete(`/api/sessions/${SESSION_ID}`)).status).toBe(401);
+    expect((await request(app).post(`/api/sessions/${SESSION_ID}/restore`)).status).toBe(401);
+
+    const deleted = await request(app).delete(`/api/sessions/${SESSION_ID}`).set('x-test-user', 'user-1');
+    expect(deleted.status).toBe(200);
+    expect(SessionStore.softDelete).toHaveBeenCalledWith(SESSION_ID);
+
+    SessionStore.softDelete.mockResolvedValueOnce(false);
+    expect((await request(app).delete(`/api/sessions/${SESSION_ID}`).set('x-test-user', 'user-1')).status).toBe(404);
+
+    const restored = await request(app).post(`/api/sessions/${SESSION_ID}/restore`).set('x-test-user', 'user-1');
+    expect(restored.body).toEqual({ success: true, session: { id: SESSION_ID } });
+
+    SessionStore.restore.mockResolvedValueOnce(null);
+    expect((await request(app).post(`/api/sessions/${SESSION_ID}/restore`).set('x-test-user', 'user-1')).status).toBe(404);
+  });
+
+  it('records the signed-in user as the creator of a session', async () => {
+    jest.spyOn(PersonaVersionStore, 'loadAgents').mockResolvedValue([{ id: AGENT_ID, name: 'Asha', is_active: true, version: 1 }]);
+    const body = { type: '1on1', agentIds: [AGENT_ID], topic: 'UPI' };
+
+    expect((await request(app).post('/api/sessions/create').send(body)).status).toBe(401);
+
+    const res = await request(app).post('/api/sessions/create').set('x-test-user', 'user-1').send(body);
+    expect(res.status).toBe(200);
+    expect(SessionStore.create).toHaveBeenCalledWith(expect.objectContaining({ createdBy: 'user-1', topic: 'UPI' }));
+  });
+});
+
+describe('live session routes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    liveSessionManager.sessions.set(SESSION_ID, { id: SESSION_ID, createdBy: 'user-1' });
+    jest.spyOn(liveSessionManager, 'pause').mockReturnValue({ id: SESSION_ID, paused: true });
+    jest.spyOn(liveSessionManager, 'end').mockResolvedValue({ id: SESSION_ID, ended: true });
+  });
+
+  afterEach(() => {
+    liveSessionManager.sessions.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('requires sign-in to start a live session', async () => {
+    const res = await request(app).post('/api/sessions/live').send({ agentIds: [], topic: 'UPI' });
+    expect(res.status).toBe(401);
+  });
+
+  it('only lets the moderator or an admin control a session', async () => {
+    expect((await request(app).post(`/api/sessions/live/${SESSION_ID}/pause`)).status).toBe(401);
+
+    const other = await request(app).post(`/api/sessions/live/${SESSION_ID}/end`).set('x-test-user', 'user-2');
+    expect(other.status).toBe(403);
+    expect(liveSessionManager.end).not.toHaveBeenCalled();
+
+    const moderator = await request(app).post(`/api/sessions/live/${SESSION_ID}/pause`).set('x-test-user', 'user-1');
+    expect(moderator.status).toBe(200);
+    expect(moderator.body.state).toEqual({ id: SESSION_ID, paused: true });
+
+    const admin = await request(app).post(`/api/sessions/live/${SESSION_ID}/end`)
+      .set('x-test-user', 'user-3').set('x-test-role', 'super_admin');
+    expect(admin.status).toBe(200);
+    expect(liveSessionManager.end).toHaveBeenCalledWith(SESSION_ID);
+  });
+
+  it('answers 404 for unknown live sessions before checking the moderator', async () => {
+    const res = await request(app).post('/api/sessions/live/not-a-uuid/end').set('x-test-user', 'user-1');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,50 @@
+const { selectSpeakers, scoreRelevance } = require('../services/speakerSelection');
+
+const agents = [
+  { id: 'a1', name: 'Priya Sharma', occupation: 'Teacher', location: 'Pune', pain_points: ['school fees'] },
+  { id: 'a2', name: 'Ravi Kumar', occupation: 'Delivery driver', location: 'Bengaluru', goals: ['bike loan'] },
+  { id: 'a3', name: 'Meena Iyer', occupation: 'Shop owner', location: 'Chennai', goals: ['business loan', 'credit'] }
+];
+
+describe('speaker selection', () => {
+  it('rotates speakers in round-robin order', () => {
+    const first = selectSpeakers(agents, { policy: 'round-robin', speakersPerTurn: 2 });
+    expect(first.speakers.map(a => a.id)).toEqual(['a1', 'a2']);
+
+    const second = selectSpeakers(agents, { policy: 'round-robin', speakersPerTurn: 2, rotationIndex: first.rotationIndex });
+    expect(second.speakers.map(a => a.id)).toEqual(['a3', 'a1']);
+  });
+
+  it('skips muted agents', () => {
+    const { speakers } = selectSpeakers(agents, { muted: new Set(['a1']), speakersPerTurn: 3 });
+    expect(speakers.map(a => a.id)).toEqual(['a2', 'a3']);
+  });
+
+  it('sends directed questions only to the target agent', () => {
+    const { speakers } = selectSpeakers(agents, { targetAgentId: 'a3', question: 'Anything else?' });
+    expect(speakers.map(a => a.id)).toEqual(['a3']);
+
+    const muted = selectSpeakers(agents, { targetAgentId: 'a3', muted: new Set(['a3']) });
+    expect(muted.speakers).toEqual([]);
+  });
+
+  it('ranks the most relevant agents first', () => {
+    const { speakers } = selectSpeakers(agents, {
+      policy: 'most-relevant',
+      question: 'How do you get a business loan for your shop?',
+      speakersPerTurn: 1
+    });
+    expect(speakers[0].id).toBe('a3');
+    expect(scoreRelevance(agents[1], 'Ravi, what do you think?')).toBe(1);
+  });
+
+  it('lets a relevant agent interrupt the rotation', () => {
+    const result = selectSpeakers(agents, {
+      policy: 'interrupt-allowed',
+      question: 'Would a business loan help your shop?',
+      speakersPerTurn: 2
+    });
+    expect(result.speakers.map(a => a.id)).toEqual(['a1', 'a3', 'a2']);
+    expect(result.interruptions).toEqual(['a3']);
+  });
+});
@@ -0,0 +1,92 @@
+const { detectFormat, parseMeetingJSON, loadTranscript } = require('../services/transcriptFormats');
+const { locateQuotes } = require('../services/transcriptNormalizer');
+
+const VTT = [
+  'WEBVTT',
+  '',
+  'NOTE exported from Teams',
+  '',
+  '1',
+  '00:00:05.120 --> 00:00:08.000',
+  '<v Priya Sharma>How do you pay your bills?</v>',
+  '',
+  '2',
+  '00:00:09.400 --> 00:00:14.900',
+  '<v Abdul Yasser>Mostly UPI. Sometimes it fails</v>',
+  '',
+  '3',
+  '00:00:15.000 --> 00:00:18.250',
+  '<v Abdul Yasser>and the money is stuck for days.</v>',
+  '',
+  '4',
+  '00:12:03.000 --> 00:12:06.000',
+  '<v Priya Sharma>What happens then?</v>',
+  '',
+  '5',
+  '00:12:10.000 --> 00:12:12.500',
+  '<v Abdul Yasser>I retry, what to do.</v>'
+].join('\n');
+
+describe('transcript formats', () => {
+  it('reads WebVTT voice tags and keeps cue timestamps on merged turns', () => {
+    const result = loadTranscript(VTT, { filename: 'interview.vtt' });
+
+    expect(result.source).toBe('vtt');
+    expect(result.turns).toHaveLength(4);
+    expect(result.turns[1]).toMatchObject({
+      speaker: 'Abdul Yasser',
+      role: 'respondent',
+      start: '00:00:09',
+      end: '00:00:18',
+      text: 'Mostly UPI. Sometimes it fails and the money is stuck for days.'
+    });
+    expect(result.interviewers).toEqual(['Priya Sharma']);
+  });
+
+  it('reads SRT subtitles with "Name:" prefixes and carries the speaker across unlabelled cues', () => {
+    const srt = [
+      '1', '00:00:01,000 --> 00:00:03,000', 'Moderator: Do you invest?', '',
+      '2', '00:00:04,000 --> 00:00:06,500', 'Respondent: A little, in gold.', '',
+      '3', '00:00:06,600 --> 00:00:09,000', 'Mutual funds feel risky.'
+    ].join('\n');
+
+    expect(detectFormat(srt)).toBe('srt');
+    const result = loadTranscript(srt);
+    expect(result.turns).toHaveLength(2);
+    expect(result.turns[1]).toMatchObject({
+      speaker: 'Respondent',
+      startSeconds: 4,
+      endSeconds: 9,
+      text: 'A little, in gold. Mutual funds feel risky.'
+    });
+  });
+
+  it('accepts meeting JSON exports with varied key names and millisecond offsets', () => {
+    const otter = parseMeetingJSON({
+      transcript: { segments: [{ speaker_name: 'Asha', start_time: '00:01:05', text: 'Hi' }] }
+    });
+    expect(otter[0]).toEqual({ speaker: 'Asha', start: 65, end: null, text: 'Hi' });
+
+    const assembly = loadTranscript(JSON.stringify({
+      utterances: [
+        { speaker: 'A', start: 250000, end: 252000, text: 'Why did you switch banks?' },
+        { speaker: 'B', start: 253000, end: 261000, text: 'The old one kept charging hidden fees on every transfer I made.' }
+      ]
+    }), { filename: 'call.json' });
+    expect(assembly.source).toBe('meeting_json');
+    expect(assembly.turns[1]).toMatchObject({ speaker: 'Speaker B', start: '00:04:13', role: 'respondent' });
+  });
+
+  it('links extracted quotes back to the turn and moment they were said', () => {
+    const result = loadTranscript(VTT, { filename: 'interview.vtt' });
+    const [exact, paraphrased, missing] = locateQuotes([
+      'the money is stuck for days',
+      'I retry, what can I do',
+      'I love crypto'
+    ], result);
+
+    expect(exact).toMatchObject({ turnIndex: 1, speaker: 'Abdul Yasser', start: '00:00:09', match: 'exact' });
+    expect(paraphrased).toMatchObject({ turnIndex: 3, start: '00:12:10', match: 'approximate' });
+    expect(missing).toMatchObject({ turnIndex: null, match: 'none' });
+  });
+});
@@ -0,0 +1,73 @@
+const { normalizeTranscript, toPromptText } = require('../services/transcriptNormalizer');
+
+const rolesOf = result => Object.fromEntries(result.speakers.map(s => [s.name, s.role]));
+
+describe('transcript normalizer', () => {
+  it('keeps Moderator / Respondent transcripts as they are and folds stray labels into the turn', () => {
+    const result = normalizeTranscript([
+      'User Research Interview - Day Trader',
+      '',
+      'Moderator: Can you introduce yourself?',
+      'Respondent: I\'m Abdul, 24, from Bangalore.',
+      'Note: I trade daily.',
+      'Moderator: What apps do you use?',
+      'Respondent: PhonePe and Zerodha.'
+    ].join('\n'));
+
+    expect(result.format).toBe('labelled');
+    expect(result.turns).toHaveLength(4);
+    expect(result.turns[1].text).toBe('I\'m Abdul, 24, from Bangalore. Note: I trade daily.');
+    expect(rolesOf(result)).toEqual({ Moderator: 'interviewer', Respondent: 'respondent' });
+  });
+
+  it('infers the interviewer among named, timestamped speakers', () => {
+    const result = normalizeTranscript([
+      '[00:00:05] Priya: How do you pay bills?',
+      '[00:00:09] Abdul: Mostly UPI. Sometimes it fails and the money is stuck for days.',
+      '[00:12:03] Priya: What happens then?',
+      '[00:12:10] Abdul: I retry, what to do.'
+    ].join('\n'));
+
+    expect(result.format).toBe('timestamped');
+    expect(result.interviewers).toEqual(['Priya']);
+    expect(result.respondents).toEqual(['Abdul']);
+    expect(result.turns[2]).toMatchObject({ start: '00:12:03', startSeconds: 723, role: 'interviewer' });
+    expect(toPromptText(result).split('\n\n')[1]).toBe(
+      '[00:00:09] Respondent (Abdul): Mostly UPI. Sometimes it fails and the money is stuck for days.'
+    );
+  });
+
+  it('reads Zoom and Otter exports with speaker headers above the text', () => {
+    const zoom = normalizeTranscript([
+      '[Priya Sharma] 10:02:15',
+      'Can you walk me through your morning?',
+      '[Abdul Yasser] 10:02:21',
+      'Sure. I wake up at six,',
+      'check the markets.'
+    ].join('\n'));
+    expect(zoom.format).toBe('zoom');
+    expect(zoom.turns[1]).toMatchObject({ speaker: 'Abdul Yasser', text: 'Sure. I wake up at six, check the markets.' });
+
+    const otter = normalizeTranscript([
+      'Speaker 1  0:00', 'So how did you first hear about the app?', '',
+      'Speaker 2  0:04', 'A friend told me. I was skeptical because of all the fees I had seen elsewhere.', '',
+      'Speaker 1  0:15', 'Why skeptical?', '',
+      'Speaker 2  0:17', 'Because I lost money once.'
+    ].join('\n'));
+    expect(otter.format).toBe('otter');
+    expect(rolesOf(otter)).toEqual({ 'Speaker 1': 'interviewer', 'Speaker 2': 'respondent' });
+    expect(toPromptText(otter)).toContain('[00:00:04] Respondent: A friend told me.');
+  });
+
+  it('splits unlabelled Q&A and honours explicit role overrides', () => {
+    const unlabelled = normalizeTranscript('How do you manage money?\n\nMostly UPI.\n\nDo you invest?\n\nA little.');
+    expect(unlabelled.format).toBe('unlabelled');
+    expect(unlabelled.turns.map(t => t.role)).toEqual(['interviewer', 'respondent', 'interviewer', 'respondent']);
+
+    const overridden = normalizeTranscript('<v Asha>Why?</v>\n<v Ravi>Because.</v>\n<v Asha>Really?</v>', {
+      roles: { Asha: 'respondent', Ravi: 'interviewer' }
+    });
+    expect(overridden.format).toBe('teams');
+    expect(overridden.respondents).toEqual(['Asha']);
+  });
+});
@@ -0,0 +1,222 @@
+jest.mock('../models/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+const { pool } = require('../models/database');
+const UsageTracker = require('../services/usageTracker');
+const { BudgetExceededError } = require('../services/usageTracker');
+const { ProviderGateway } = require('../services/providerGateway');
+
+describe('UsageTracker', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  let client;
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockReset();
+    pool.connect.mockResolvedValue(client);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('estimateCost', () => {
+    it('prices dated model snapshots by their longest matching prefix', () => {
+      const usage = { prompt_tokens: 1000000, completion_tokens: 1000000 };
+
+      expect(UsageTracker.estimateCost('gpt-4o-2024-08-06', usage)).toBe(12.5);
+      expect(UsageTracker.estimateCost('gpt-4o-mini-2024-07-18', usage)).toBe(0.75);
+    });
+
+    it('returns zero for unknown models', () => {
+      expect(UsageTracker.estimateCost('mystery-model', { prompt_tokens: 500 })).toBe(0);
+    });
+  });
+
+  describe('assertWithinBudget', () => {
+    it('skips the check when the call is not tagged with a project', async () => {
+      await UsageTracker.assertWithinBudget(undefined);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects once the project has spent its budget', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ budget_usd: '5.00', period: 'monthly' }] })
+        .mockResolvedValueOnce({ rows: [{ spent: '5.10' }] });
+
+      await expect(UsageTracker.assertWithinBudget('loans-redesign')).rejects.toBeInstanceOf(BudgetExceededError);
+    });
+
+    it('allows calls under budget', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ budget_usd: '5.00', period: 'daily' }] })
+        .mockResolvedValueOnce({ rows: [{ spent: '1.25' }] });
+
+      await expect(UsageTracker.assertWithinBudget('loans-redesign')).resolves.toBe(true);
+    });
+
+    it('rejects a call whose estimate would overshoot the remaining budget', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ budget_usd: '5.00', period: 'daily' }] })
+        .mockResolvedValueOnce({ rows: [{ spent: '4.90' }] });
+
+      await expect(UsageTracker.assertWithinBudget('loans-redesign', { costUsd: 0.2 })).rejects.toBeInstanceOf(BudgetExceededError);
+    });
+  });
+
+  describe('reserve', () => {
+    it('locks the budget row and writes the reservation in the same transaction', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM llm_budgets')) return { rows: [{ budget_usd: '5.00', period: 'monthly' }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spent: '1.00' }] };
+        if (sql.includes('INSERT INTO llm_usage')) return { rows: [{ id: 'reservation-1' }] };
+        return { rows: [] };
+      });
+
+      const id = await UsageTracker.reserve('loans-redesign', { provider: 'openai', model: 'gpt-4o', costUsd: 0.5, tags: { feature: 'ai_chat' } });
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      expect(id).toBe('reservation-1');
+      expect(statements[0]).toBe('BEGIN');
+      expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(statements.slice(-1)).toEqual(['COMMIT']);
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO llm_usage'));
+      expect(insert[0]).toContain("'reserved'");
+      expect(insert[1]).toEqual(expect.arrayContaining(['openai', 'gpt-4o', 'ai_chat', 'loans-redesign', 0.5]));
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back without reserving when the budget is used up', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM llm_budgets')) return { rows: [{ budget_usd: '1.00', period: 'total' }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spent: '1.00' }] };
+        return { rows: [] };
+      });
+
+      await expect(UsageTracker.reserve('p1', { costUsd: 0.01, tags: {} })).rejects.toBeInstanceOf(BudgetExceededError);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO llm_usage'))).toBe(false);
+    });
+  });
+
+  describe('resolveProjectId', () => {
+    it('bills anonymous calls to the default project and refuses a claimed one', async () => {
+      await expect(UsageTracker.resolveProjectId({})).resolves.toBe('default');
+      await expect(UsageTracker.resolveProjectId({ requestedProjectId: 'p1' })).rejects.toMatchObject({ statusCode: 401 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('only honours a requested project the user belongs to', async () => {
+      pool.query.mockResolvedValue({ rows: [{ project_id: 'p1' }, { project_id: 'p2' }] });
+
+      await expect(UsageTracker.resolveProjectId({ userId: 'u1', requestedProjectId: 'p2' })).resolves.toBe('p2');
+      await expect(UsageTracker.resolveProjectId({ userId: 'u1', requestedProjectId: 'p3' })).rejects.toMatchObject({ statusCode: 403 });
+      await expect(UsageTracker.resolveProjectId({ userId: 'u1' })).resolves.toBe('default');
+
+      pool.query.mockResolvedValue({ rows: [{ project_id: 'p1' }] });
+      await expect(UsageTracker.resolveProjectId({ userId: 'u1' })).resolves.toBe('p1');
+    });
+  });
+
+  describe('ProviderGateway metering', () => {
+    const config = {
+      defaultProvider: 'local',
+      fallbackChain: ['local'],
+      timeoutMs: 1000,
+      trackUsage: true,
+      pricing: { 'local-persona-v1': { input: 1, output: 1 } },
+      providers: { local: { type: 'local' } }
+    };
+
+    it('records tokens, latency, cost and tags for each call', async () => {
+      client.query.mockResolvedValue({ rows: [] });
+      pool.query.mockResolvedValue({ rows: [] });
+      const gateway = new ProviderGateway(config);
+
+      const result = await gateway.complete([{ role: 'user', content: 'Is this EMI screen clear?' }], {
+        tags: { feature: 'ai_chat', agentId: 'agent-1', sessionId: 'session-1' }
+      });
+
+      expect(result.costUsd).toBeGreaterThan(0);
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO llm_usage'));
+      expect(insert[1]).toEqual(expect.arrayContaining(['local', 'local-persona-v1', 'ai_chat', 'agent-1', 'session-1', 'default']));
+    });
+
+    it('checks untagged calls against the default project budget', async () => {
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM llm_budgets')) {
+          return { rows: params[0] === UsageTracker.DEFAULT_PROJECT ? [{ budget_usd: '1.00', period: 'monthly' }] : [] };
+        }
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spent: '1.50' }] };
+        return { rows: [] };
+      });
+      const gateway = new ProviderGateway(config);
+      const complete = jest.spyOn(gateway.providers.local.instance, 'complete');
+
+      await expect(gateway.chat([{ role: 'user', content: 'hi' }], { tags: { feature: 'design_feedback' } }))
+        .rejects.toBeInstanceOf(BudgetExceededError);
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('does not call the provider when the project budget is exhausted', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ budget_usd: '1.00', period: 'total' }] })
+        .mockResolvedValueOnce({ rows: [{ spent: '2.00' }] });
+      const gateway = new ProviderGateway(config);
+      const complete = jest.spyOn(gateway.providers.local.instance, 'complete');
+
+      await expect(gateway.chat([{ role: 'user', content: 'hi' }], { tags: { projectId: 'p1' } }))
+        .rejects.toThrow('LLM budget exceeded');
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('settles the reservation with real usage once the call returns', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM llm_budgets')) return { rows: [{ budget_usd: '10.00', period: 'monthly' }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spent: '0' }] };
+        if (sql.includes('INSERT INTO llm_usage')) return { rows: [{ id: 'reservation-1' }] };
+        return { rows: [] };
+      });
+      pool.query.mockResolvedValue({ rows: [] });
+      const gateway = new ProviderGateway(config);
+
+      const result = await gateway.complete([{ role: 'user', content: 'Is this EMI screen clear?' }], {
+        max_tokens: 200,
+        tags: { feature: 'ai_chat', projectId: 'p1' }
+      });
+
+      const reservation = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO llm_usage'));
+      expect(reservation[1][10]).toBeCloseTo((Math.ceil('Is this EMI screen clear?'.length / 4) + 200) / 1e6, 6);
+      const [settleSql, settleParams] = pool.query.mock.calls[0];
+      expect(settleSql).toContain('UPDATE llm_usage');
+      expect(settleParams[0]).toBe('reservation-1');
+      expect(settleParams[11]).toBe(result.costUsd);
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO llm_usage'))).toBe(false);
+    });
+
+    it('releases the reservation when every provider fails', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM llm_budgets')) return { rows: [{ budget_usd: '10.00', period: 'monthly' }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spent: '0' }] };
+        if (sql.includes('INSERT INTO llm_usage')) return { rows: [{ id: 'reservation-1' }] };
+        return { rows: [] };
+      });
+      pool.query.mockResolvedValue({ rows: [] });
+      const gateway = new ProviderGateway(config);
+      jest.spyOn(gateway.providers.local.instance, 'complete').mockRejectedValue(new Error('down'));
+
+      await expect(gateway.chat([{ role: 'user', content: 'hi' }], { tags: { projectId: 'p1' } })).rejects.toThrow('All AI providers failed');
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM llm_usage'), ['reservation-1']);
+    });
+  });
+});
@@ -1,5 +1,11 @@
 /**
- * Minimal Figma AST parser
+ * Figma AST parser
+ * Turns a Figma file into pages of screens (top-level frames). Each node keeps
+ * its box relative to its parent plus the auto-layout settings (direction,
+ * padding, spacing, alignment, wrap), sizing modes (fixed / hug / fill) and
+ * constraints, so exporters can rebuild a responsive layout instead of
+ * absolutely positioned boxes. Named styles and bound variables are kept as
+ * tokenRefs so exporters can reference design tokens (services/designTokens).
  */
 
 /**
@@ -9,63 +15,271 @@
  * @property {string} [name]
  * @property {Object} [layout]
  * @property {Object} [styles]
+ * @property {Object} [metadata]
+ * @property {Object} [tokenRefs] - { fill: { style, variable }, itemSpacing: { variable }, ... }
  * @property {Array<FigmaNode>} [children]
  */
 
-function extractLayout(node) {
-  const b = node.absoluteBoundingBox || {};
+const MAX_SCREENS = 10;
+const SCREEN_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET'];
+const AUTO_LAYOUT_MODES = ['HORIZONTAL', 'VERTICAL', 'GRID'];
+
+// boundVariables property -> tokenRefs key
+const BOUND_PROPERTIES = {
+  fills: 'fill',
+  strokes: 'stroke',
+  itemSpacing: 'itemSpacing',
+  counterAxisSpacing: 'counterAxisSpacing',
+  paddingTop: 'paddingTop',
+  paddingRight: 'paddingRight',
+  paddingBottom: 'paddingBottom',
+  paddingLeft: 'paddingLeft',
+  topLeftRadius: 'cornerRadius'
+};
+
+function round(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function toColor(color, opacity = 1) {
+  if (!color) return null;
   return {
-    x: b.x || 0,
-    y: b.y || 0,
-    width: b.width || 0,
-    height: b.height || 0,
-    rotation: node.rotation || 0
+    r: Math.round((color.r || 0) * 255),
+    g: Math.round((color.g || 0) * 255),
+    b: Math.round((color.b || 0) * 255),
+    a: round((color.a === undefined ? 1 : color.a) * opacity)
   };
 }
 
-function extractStyles(node) {
+function isAutoLayout(node) {
+  return Boolean(node) && AUTO_LAYOUT_MODES.includes(node.layoutMode);
+}
+
+function extractAutoLayout(node) {
+  if (!isAutoLayout(node)) return null;
   return {
-    fills: node.fills || [],
-    strokes: node.strokes || [],
-    effects: node.effects || []
+    mode: node.layoutMode,
+    wrap: node.layoutWrap === 'WRAP',
+    padding: {
+      top: node.paddingTop || 0,
+      right: node.paddingRight || 0,
+      bottom: node.paddingBottom || 0,
+      left: node.paddingLeft || 0
+    },
+    itemSpacing: node.itemSpacing || 0,
+    counterAxisSpacing: node.counterAxisSpacing ?? node.itemSpacing ?? 0,
+    // The REST API leaves out properties that hold their default value
+    primaryAxisAlign: node.primaryAxisAlignItems || 'MIN',
+    counterAxisAlign: node.counterAxisAlignItems || 'MIN',
+    primaryAxisSizing: node.primaryAxisSizingMode || 'AUTO',
+    counterAxisSizing: node.counterAxisSizingMode || 'AUTO',
+    columns: node.layoutMode === 'GRID' ? node.gridColumnCount || null : null,
+    rows: node.layoutMode === 'GRID' ? node.gridRowCount || null : null,
+    reverseZIndex: Boolean(node.itemReverseZIndex)
   };
 }
 
-function toAstNode(node) {
+/**
+ * FIXED, HUG or FILL per axis. Newer files state it directly
+ * (layoutSizingHorizontal / Vertical); older ones are derived from the
+ * frame's axis sizing modes and the child's layoutGrow / layoutAlign.
+ */
+function extractSizing(node, parent) {
+  const sizing = { horizontal: 'FIXED', vertical: 'FIXED' };
+
+  if (isAutoLayout(node)) {
+    const primary = node.layoutMode === 'VERTICAL' ? 'vertical' : 'horizontal';
+    const counter = primary === 'horizontal' ? 'vertical' : 'horizontal';
+    if ((node.primaryAxisSizingMode || 'AUTO') === 'AUTO') sizing[primary] = 'HUG';
+    if ((node.counterAxisSizingMode || 'AUTO') === 'AUTO') sizing[counter] = 'HUG';
+  }
+
+  if (node.type === 'TEXT') {
+    if (node.style?.textAutoResize === 'WIDTH_AND_HEIGHT') {
+      sizing.horizontal = 'HUG';
+      sizing.vertical = 'HUG';
+    } else if (node.style?.textAutoResize === 'HEIGHT') {
+      sizing.vertical = 'HUG';
+    }
+  }
+
+  if (isAutoLayout(parent) && parent.layoutMode !== 'GRID') {
+    const primary = parent.layoutMode === 'VERTICAL' ? 'vertical' : 'horizontal';
+    const counter = primary === 'horizontal' ? 'vertical' : 'horizontal';
+    if (node.layoutGrow === 1) sizing[primary] = 'FILL';
+    if (node.layoutAlign === 'STRETCH') sizing[counter] = 'FILL';
+  }
+
+  if (node.layoutSizingHorizontal) sizing.horizontal = node.layoutSizingHorizontal;
+  if (node.layoutSizingVertical) sizing.vertical = node.layoutSizingVertical;
+  return sizing;
+}
+
+function extractLayout(node, parent) {
+  const b = node.absoluteBoundingBox || {};
+  const p = parent?.absoluteBoundingBox || {};
+  const layout = {
+    // Relative to the parent's box; screens start at 0,0
+    x: parent ? round((b.x || 0) - (p.x || 0)) : 0,
+    y: parent ? round((b.y || 0) - (p.y || 0)) : 0,
+    width: round(b.width),
+    height: round(b.height),
+    rotation: node.rotation || 0,
+    opacity: node.opacity ?? 1,
+    autoLayout: extractAutoLayout(node),
+    sizing: extractSizing(node, parent),
+    constraints: {
+      horizontal: node.constraints?.horizontal || 'LEFT',
+      vertical: node.constraints?.vertical || 'TOP'
+    },
+    // ABSOLUTE children of an auto-layout frame sit outside the flow
+    positioning: node.layoutPositioning === 'ABSOLUTE' ? 'ABSOLUTE' : 'AUTO',
+    clipsContent: Boolean(node.clipsContent)
+  };
+
+  ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(key => {
+    if (typeof node[key] === 'number') layout[key] = node[key];
+  });
+  return layout;
+}
+
+function extractStyles(node) {
+  const visible = (paint) => paint.visible !== false;
+  const styles = {
+    fills: (node.fills || []).filter(visible).map(fill => ({
+      type: fill.type,
+      color: toColor(fill.color, fill.opacity ?? 1),
+      imageRef: fill.imageRef || null
+    })),
+    strokes: (node.strokes || []).filter(visible).map(stroke => ({
+      type: stroke.type,
+      color: toColor(stroke.color, stroke.opacity ?? 1),
+      weight: node.strokeWeight || 1
+    })),
+    effects: (node.effects || []).filter(visible)
+  };
+
+  if (typeof node.cornerRadius === 'number') {
+    styles.cornerRadius = node.cornerRadius;
+  } else if (Array.isArray(node.rectangleCornerRadii)) {
+    styles.cornerRadii = node.rectangleCornerRadii;
+  }
+
+  if (node.type === 'TEXT' && node.style) {
+    styles.textStyle = {
+      fontFamily: node.style.fontFamily,
+      fontSize: node.style.fontSize,
+      fontWeight: node.style.fontWeight,
+      textAlignHorizontal: node.style.textAlignHorizontal,
+      letterSpacing: node.style.letterSpacing,
+      lineHeightPx: node.style.lineHeightPx
+    };
+  }
+  return styles;
+}
+
+function extractMetadata(node) {
+  const metadata = {};
+  if (node.type === 'TEXT' && node.characters) metadata.textContent = node.characters;
+  if ((node.fills || []).some(fill => fill.type === 'IMAGE' && fill.visible !== false)) metadata.hasImage = true;
+  return metadata;
+}
+
+/**
+ * Named styles (node.styles: fill / stroke / text / effect) and variables
+ * bound to fills, strokes, spacing, padding and corner radius
+ */
+function extractTokenRefs(node) {
+  const refs = {};
+  Object.entries(node.styles || {}).forEach(([kind, styleId]) => {
+    refs[kind] = { style: styleId };
+  });
+  Object.entries(BOUND_PROPERTIES).forEach(([property, key]) => {
+    const binding = node.boundVariables?.[property];
+    // Paint bindings are one alias per paint
+    const alias = Array.isArray(binding) ? binding.find(Boolean) : binding;
+    if (alias?.id) refs[key] = { ...refs[key], variable: alias.id };
+  });
+  return refs;
+}
+
+function toAstNode(node, parent = null) {
   const ast = {
     id: node.id,
     type: node.type,
     name: node.name || '',
-    layout: extractLayout(node),
-    styles: extractStyles(node)
+    visible: node.visible !== false,
+    layout: extractLayout(node, parent),
+    styles: extractStyles(node),
+    metadata: extractMetadata(node)
   };
+  const tokenRefs = extractTokenRefs(node);
+  if (Object.keys(tokenRefs).length > 0) ast.tokenRefs = tokenRefs;
   if (Array.isArray(node.children) && node.children.length) {
-    ast.children = node.children.map(toAstNode);
+    ast.children = node.children
+      .filter(child => child.visible !== false)
+      .map(child => toAstNode(child, node));
   }
   return ast;
 }
 
-function collectTopFrames(document) {
-  if (!document || !Array.isArray(document.children)) return [];
+function collectTopFrames(parent, limit) {
+  if (!parent || !Array.isArray(parent.children)) return [];
   const frames = [];
-  for (const child of document.children) {
-    if (child.type === 'FRAME' || child.type === 'COMPONENT' || child.type === 'COMPONENT_SET') {
+  for (const child of parent.children) {
+    if (frames.length >= limit) break;
+    if (SCREEN_TYPES.includes(child.type) && child.visible !== false) {
       frames.push(child);
     }
-    if (frames.length >= 10) break;
   }
   return frames;
 }
 
+/**
+ * @param {Object} figmaDocument - Figma file response, its document, or a single page
+ * @returns {Array<{id, name, type, screens: Array<FigmaNode>}>} Pages with their screens
+ */
 function getAst(figmaDocument) {
-  const frames = collectTopFrames(figmaDocument);
-  if (frames.length === 0) throw new Error('No top-level frames/components found');
-  if (frames.length > 10) throw new Error('Too many top-level frames (>10)');
-  return frames.map(toAstNode);
+  const document = figmaDocument?.document || figmaDocument;
+  const pages = Array.isArray(document?.children) && document.children.some(child => child.type === 'CANVAS')
+    ? document.children.filter(child => child.type === 'CANVAS')
+    : [document];
+
+  let remaining = MAX_SCREENS;
+  const ast = [];
+  for (const page of pages) {
+    if (remaining === 0) break;
+    const frames = collectTopFrames(page, remaining);
+    if (frames.length === 0) continue;
+    remaining -= frames.length;
+    ast.push({
+      id: page?.id || 'page',
+      name: page?.name || 'Page 1',
+      type: 'CANVAS',
+      screens: frames.map(frame => toAstNode(frame))
+    });
+  }
+
+  if (ast.length === 0) throw new Error('No top-level frames/components found');
+  return ast;
 }
 
-module.exports = {
-  getAst
-};
+function getScreenCount(ast) {
+  return (ast || []).reduce((count, page) => count + (page.screens || []).length, 0);
+}
 
+function extractAllText(ast) {
+  const texts = [];
+  const visit = (node) => {
+    if (node.type === 'TEXT' && node.metadata?.textContent) texts.push(node.metadata.textContent);
+    (node.children || []).forEach(visit);
+  };
+  (ast || []).forEach(page => (page.screens || []).forEach(visit));
+  return texts;
+}
 
+module.exports = {
+  getAst,
+  getScreenCount,
+  extractAllText
+};
@@ -12,6 +12,13 @@ import EnhancedGroupChatPage from './pages/chat/EnhancedGroupChatPage';
 import DesignFeedback from './components/DesignFeedback';
 import UserResearchModern from './pages/UserResearchModern';
 import SessionCall from './pages/SessionCall';
+import LiveSession from './pages/LiveSession';
+import ComparisonReport from './pages/ComparisonReport';
+import AffinityBoards from './pages/AffinityBoards';
+import AffinityBoard from './pages/AffinityBoard';
+import InsightRepository from './pages/InsightRepository';
+import InsightDetail from './pages/InsightDetail';
+import JobHistory from './pages/JobHistory';
 import UserInterview from './pages/UserInterview';
 import AudioCall from './pages/AudioCall';
 import SocketTest from './pages/SocketTest';
@@ -77,9 +84,16 @@ function App() {
               <Route path="/" element={<Dashboard />} />
               <Route path="/agents" element={<AirbnbAgentLibrary_v2 />} />
               <Route path="/group-chat" element={<EnhancedGroupChatPage />} />
+              <Route path="/group-chat/comparison" element={<ComparisonReport />} />
               <Route path="/design-feedback" element={<DesignFeedback />} />
               <Route path="/user-research" element={<UserResearchModern />} />
               <Route path="/user-research/session/:sessionId" element={<SessionCall />} />
+              <Route path="/user-research/live/:sessionId" element={<LiveSession />} />
+              <Route path="/user-research/affinity" element={<AffinityBoards />} />
+              <Route path="/user-research/affinity/:boardId" element={<AffinityBoard />} />
+              <Route path="/insights" element={<InsightRepository />} />
+              <Route path="/insights/:insightId" element={<InsightDetail />} />
+              <Route path="/jobs" element={<JobHistory />} />
               <Route path="/user-interview" element={<UserInterview />} />
               <Route path="/audio-call" element={<AudioCall />} />
               <Route path="/socket-test" element={<SocketTest />} />
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   XMarkIcon,
@@ -17,15 +17,46 @@ import {
   SparklesIcon,
   BookOpenIcon,
   UsersIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  ShieldCheckIcon,
+  ArrowPathIcon,
+  ClipboardDocumentListIcon
 } from '@heroicons/react/24/outline';
+import api from '../utils/api';
+import PersonaUpdateReview from './PersonaUpdateReview';
+import PersonaVersionHistory from './PersonaVersionHistory';
 
 const formatArray = (arr, fallback = 'Not documented') => {
   if (!arr || !Array.isArray(arr) || arr.length === 0) return fallback;
   return arr.join(', ');
 };
 
-const AirbnbAgentDetailModal = ({ agent, isOpen, onClose, onChat, onAudio }) => {
+const CONSISTENCY_DIMENSIONS = [
+  { key: 'speech_patterns', label: 'Speech patterns' },
+  { key: 'vocabulary', label: 'Vocabulary' },
+  { key: 'knowledge', label: 'Knowledge level' },
+  { key: 'demographics', label: 'Demographics' }
+];
+
+const consistencyColor = (score) => {
+  if (score >= 0.8) return 'bg-green-500';
+  if (score >= 0.65) return 'bg-amber-500';
+  return 'bg-red-500';
+};
+
+const AirbnbAgentDetailModal = ({ agent, isOpen, onClose, onChat, onAudio, onUpdated }) => {
+  const [consistency, setConsistency] = useState(null);
+  const [showUpdate, setShowUpdate] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !agent?.id) return;
+    setConsistency(null);
+    api.get(`/agents/v5/${agent.id}/consistency`)
+      .then(res => setConsistency(res.data.consistency))
+      .catch(() => setConsistency(null));
+  }, [isOpen, agent?.id]);
+
   if (!agent) return null;
 
   const rawPersona = agent.raw_persona || {};
@@ -489,6 +520,55 @@ const AirbnbAgentDetailModal = ({ agent, isOpen, onClose, onChat, onAudio }) =>
                   </div>
                 </div>
 
+                {/* Persona Consistency */}
+                {consistency && consistency.checks > 0 && (
+                  <div className="bg-white rounded-2xl p-6 border border-gray-200 shadow-sm mt-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <div className="flex items-center gap-3">
+                        <div className="w-8 h-8 rounded-full bg-gray-900 flex items-center justify-center">
+                          <ShieldCheckIcon className="w-5 h-5 text-white" />
+                        </div>
+                        <h3 className="text-lg font-bold text-gray-900">Persona Consistency</h3>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-2xl font-bold text-gray-900">{Math.round(consistency.score * 100)}%</p>
+                        <p className="text-xs text-gray-500">
+                          {consistency.checks} replies · {Math.round(consistency.driftRate * 100)}% drifted · last {consistency.days} days
+                        </p>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {CONSISTENCY_DIMENSIONS.map(({ key, label }) => (
+                        <div key={key}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className="text-gray-600">{label}</span>
+                            <span className="font-semibold text-gray-900">{Math.round(consistency.dimensions[key] * 100)}%</span>
+                          </div>
+                          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div
+                              className={`h-full rounded-full ${consistencyColor(consistency.dimensions[key])}`}
+                              style={{ width: `${Math.round(consistency.dimensions[key] * 100)}%` }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {consistency.recentDrifts.length > 0 && (
+                      <div className="mt-4 space-y-2">
+                        <p className="text-sm font-semibold text-gray-700">Recent drift</p>
+                        {consistency.recentDrifts.map(drift => (
+                          <div key={drift.id} className="text-sm bg-gray-50 rounded-lg p-3">
+                            <p className="text-gray-700 line-clamp-2">"{drift.reply_excerpt}"</p>
+                            <p className="text-xs text-red-600 mt-1">
+                              {(drift.issues || []).map(issue => issue.message).join(' · ')}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Action Buttons */}
                 <div className="flex items-center justify-center gap-4 mt-8">
                   <button
@@ -505,7 +585,36 @@ const AirbnbAgentDetailModal = ({ agent, isOpen, onClose, onChat, onAudio }) =>
                     <MicrophoneIcon className="w-5 h-5" />
                     Voice Call
                   </button>
+                  <button
+                    onClick={() => setShowUpdate(true)}
+                    className="flex items-center gap-2 px-8 py-3 bg-white border border-gray-300 text-gray-800 rounded-full hover:bg-gray-50 transition-all duration-200 font-semibold"
+                  >
+                    <ArrowPathIcon className="w-5 h-5" />
+                    Update from Transcript
+                  </button>
+                  <button
+                    onClick={() => setShowHistory(true)}
+                    className="flex items-center gap-2 px-8 py-3 bg-white border border-gray-300 text-gray-800 rounded-full hover:bg-gray-50 transition-all duration-200 font-semibold"
+                  >
+                    <ClipboardDocumentListIcon className="w-5 h-5" />
+                    History (v{agent.persona_version || 1})
+                  </button>
                 </div>
+
+                <PersonaUpdateReview
+                  agent={agent}
+                  isOpen={showUpdate}
+                  onClose={() => setShowUpdate(false)}
+                  onApplied={onUpdated}
+                />
+
+                <PersonaVersionHistory
+                  basePath={`/agents/v5/${agent.id}/versions`}
+                  title={agent.name}
+                  isOpen={showHistory}
+                  onClose={() => setShowHistory(false)}
+                  onRolledBack={onUpdated}
+                />
               </div>
             </motion.div>
           </div>
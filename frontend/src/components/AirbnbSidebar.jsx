@@ -14,7 +14,9 @@ import {
   UserIcon,
   DocumentTextIcon,
   ShieldCheckIcon,
-  CloudArrowUpIcon
+  CloudArrowUpIcon,
+  LightBulbIcon,
+  QueueListIcon
 } from '@heroicons/react/24/outline';
 import {
   HomeIcon as HomeSolid,
@@ -24,7 +26,9 @@ import {
   UserIcon as UserSolid,
   DocumentTextIcon as DocumentTextSolid,
   ShieldCheckIcon as ShieldCheckSolid,
-  CloudArrowUpIcon as CloudArrowUpSolid
+  CloudArrowUpIcon as CloudArrowUpSolid,
+  LightBulbIcon as LightBulbSolid,
+  QueueListIcon as QueueListSolid
 } from '@heroicons/react/24/solid';
 import usePermissions from '../hooks/usePermissions';
 import useAuthStore from '../stores/authStore';
@@ -63,6 +67,20 @@ const AirbnbSidebar = ({ isCollapsed = false, onToggle }) => {
       icon: DocumentTextIcon,
       iconSolid: DocumentTextSolid,
       badge: '12'
+    },
+    {
+      name: 'Insights',
+      href: '/insights',
+      icon: LightBulbIcon,
+      iconSolid: LightBulbSolid,
+      badge: null
+    },
+    {
+      name: 'Jobs',
+      href: '/jobs',
+      icon: QueueListIcon,
+      iconSolid: QueueListSolid,
+      badge: null
     },
             // Admin Panel - only show if user has admin access
             ...(canAccessAdmin() ? [
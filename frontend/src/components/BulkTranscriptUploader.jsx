@@ -8,6 +8,7 @@ import {
 } from '@heroicons/react/24/outline';
 import * as XLSX from 'xlsx';
 import api from '../utils/api';
+import { waitForJob } from '../utils/jobs';
 import ExcelDebugger from './ExcelDebugger';
 
 const BulkTranscriptUploader = ({ onAgentsCreated }) => {
@@ -699,9 +700,18 @@ const BulkTranscriptUploader = ({ onAgentsCreated }) => {
                             },
                         });
 
-                        // Handle the new response format
-                        if (response.data.results && response.data.results.length > 0) {
-                            response.data.results.forEach(result => {
+                        // Personas are generated by a background job; follow its progress
+                        const job = await waitForJob(response.data.jobId, {
+                            onProgress: (update, message) => setProcessingStatus(prev => ({
+                                ...prev,
+                                [fileData.id]: { status: 'processing', message: message || `Generating agents (${update.progress}%)` }
+                            }))
+                        });
+                        const { results = [], errors: jobErrors = [] } = job.result || {};
+                        jobErrors.forEach(jobError => errors.push(`${jobError.name}: ${jobError.error}`));
+
+                        if (results.length > 0) {
+                            results.forEach(result => {
                                 createdAgents.push({
                                     id: result.agentId,
                                     name: result.name,
@@ -10,6 +10,8 @@ import {
     PhotoIcon
 } from '@heroicons/react/24/outline';
 import api from '../utils/api';
+import DesignFeedbackOverlay from './DesignFeedbackOverlay';
+import DesignFeedbackHistory from './DesignFeedbackHistory';
 
 const DesignFeedback = () => {
     const [artifacts, setArtifacts] = useState([]);
@@ -20,16 +22,20 @@ const DesignFeedback = () => {
     const [agents, setAgents] = useState([]);
     const [selectedAgents, setSelectedAgents] = useState([]);
     const [taskContext, setTaskContext] = useState('');
+    const [heuristicSets, setHeuristicSets] = useState([]);
+    const [selectedHeuristicSet, setSelectedHeuristicSet] = useState('');
     const [showUpload, setShowUpload] = useState(false);
     const [uploadData, setUploadData] = useState({
         name: '',
         description: '',
+        versionOf: '',
         image: null
     });
 
     useEffect(() => {
         fetchArtifacts();
         fetchAgents();
+        fetchHeuristicSets();
     }, []);
 
     const fetchArtifacts = async () => {
@@ -50,6 +56,16 @@ const DesignFeedback = () => {
         }
     };
 
+    const fetchHeuristicSets = async () => {
+        try {
+            const response = await api.get('/design-feedback/heuristic-sets');
+            setHeuristicSets(response.data.heuristic_sets);
+            setSelectedHeuristicSet(prev => prev || response.data.default_set);
+        } catch (error) {
+            console.error('Failed to fetch heuristic sets:', error);
+        }
+    };
+
     const handleImageUpload = (event) => {
         const file = event.target.files[0];
         if (file) {
@@ -71,6 +87,9 @@ const DesignFeedback = () => {
             formData.append('type', 'image');
             formData.append('name', uploadData.name);
             formData.append('description', uploadData.description);
+            if (uploadData.versionOf) {
+                formData.append('version_of', uploadData.versionOf);
+            }
 
             const response = await api.post('/design-feedback/artifacts', formData, {
                 headers: {
@@ -80,7 +99,7 @@ const DesignFeedback = () => {
 
             setArtifacts(prev => [response.data.artifact, ...prev]);
             setShowUpload(false);
-            setUploadData({ name: '', description: '', image: null });
+            setUploadData({ name: '', description: '', versionOf: '', image: null });
         } catch (error) {
             console.error('Upload failed:', error);
         } finally {
@@ -96,13 +115,18 @@ const DesignFeedback = () => {
             const response = await api.post('/design-feedback/run', {
                 artifact_id: selectedArtifact.id,
                 agent_ids: selectedAgents,
+                ...(selectedHeuristicSet ? { heuristic_set: selectedHeuristicSet } : {}),
                 task_context: {
                     description: taskContext,
                     timestamp: new Date().toISOString()
                 }
             });
 
-            setFeedback(response.data.feedback);
+            setFeedback({
+                ...response.data.feedback,
+                run_id: response.data.run_id,
+                image_url: response.data.artifact?.image_url || selectedArtifact.image_url
+            });
         } catch (error) {
             console.error('Feedback failed:', error);
         } finally {
@@ -170,6 +194,25 @@ const DesignFeedback = () => {
                                 />
                             </div>
                         </div>
+                        {artifacts.length > 0 && (
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    New Version Of (Optional)
+                                </label>
+                                <select
+                                    value={uploadData.versionOf}
+                                    onChange={(e) => setUploadData(prev => ({ ...prev, versionOf: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    <option value="">A new screen</option>
+                                    {artifacts.map(artifact => (
+                                        <option key={artifact.id} value={artifact.id}>
+                                            {artifact.name} (v{artifact.screen_version || 1})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
                         <div className="mb-4">
                             <label className="block text-sm font-medium text-gray-700 mb-1">
                                 Design Image
@@ -210,7 +253,7 @@ const DesignFeedback = () => {
                             </div>
                             <p className="text-sm text-gray-600 mb-2 line-clamp-2">{artifact.description}</p>
                             <div className="text-xs text-gray-500">
-                                {new Date(artifact.created_at).toLocaleDateString()}
+                                v{artifact.screen_version || 1} · {new Date(artifact.created_at).toLocaleDateString()}
                             </div>
                         </div>
                     ))}
@@ -251,6 +294,24 @@ const DesignFeedback = () => {
 
                         {/* Task Context */}
                         <div>
+                            {heuristicSets.length > 0 && (
+                                <div className="mb-4">
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Heuristic Set
+                                    </label>
+                                    <select
+                                        value={selectedHeuristicSet}
+                                        onChange={(e) => setSelectedHeuristicSet(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    >
+                                        {heuristicSets.map(set => (
+                                            <option key={set.slug} value={set.slug}>
+                                                {set.name} (v{set.version}, {set.item_count} items)
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
                             <label className="block text-sm font-medium text-gray-700 mb-2">
                                 Task Context (Optional)
                             </label>
@@ -274,6 +335,17 @@ const DesignFeedback = () => {
                 </div>
             )}
 
+            {/* Feedback History */}
+            {selectedArtifact && (
+                <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">Feedback History</h2>
+                    <DesignFeedbackHistory
+                        screenId={selectedArtifact.screen_id || selectedArtifact.id}
+                        refreshKey={feedback?.run_id}
+                    />
+                </div>
+            )}
+
             {/* Feedback Results */}
             {feedback && (
                 <div className="bg-white rounded-lg shadow-md p-6">
@@ -305,6 +377,72 @@ const DesignFeedback = () => {
                         </div>
                     </div>
 
+                    {/* Annotated Design */}
+                    {feedback.image_url && feedback.problems?.some(p => p.elements?.length > 0) && (
+                        <div className="mb-6">
+                            <h3 className="font-medium text-gray-900 mb-3 flex items-center">
+                                <EyeIcon className="w-5 h-5 text-blue-500 mr-2" />
+                                Annotated Design
+                            </h3>
+                            <DesignFeedbackOverlay
+                                imageUrl={feedback.image_url}
+                                frame={feedback.grounding?.frame}
+                                problems={feedback.problems}
+                            />
+                        </div>
+                    )}
+
+                    {/* Heuristic Scorecard */}
+                    {feedback.heuristic_scorecard?.length > 0 && (
+                        <div className="mb-6">
+                            <h3 className="font-medium text-gray-900 mb-3 flex items-center">
+                                <DocumentTextIcon className="w-5 h-5 text-blue-500 mr-2" />
+                                {feedback.heuristic_set?.name} (v{feedback.heuristic_set?.version})
+                            </h3>
+                            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                                <table className="min-w-full text-sm">
+                                    <thead className="bg-gray-50 text-gray-600">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left font-medium">Item</th>
+                                            <th className="px-3 py-2 text-center font-medium">Pass</th>
+                                            <th className="px-3 py-2 text-center font-medium">Fail</th>
+                                            <th className="px-3 py-2 text-center font-medium">N/A</th>
+                                            <th className="px-3 py-2 text-left font-medium">Agents</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {feedback.heuristic_scorecard.map(item => (
+                                            <tr key={item.code}>
+                                                <td className="px-3 py-2 text-gray-900">{item.name}</td>
+                                                <td className="px-3 py-2 text-center text-green-600">{item.pass}</td>
+                                                <td className="px-3 py-2 text-center text-red-600">{item.fail}</td>
+                                                <td className="px-3 py-2 text-center text-gray-500">{item.na}</td>
+                                                <td className="px-3 py-2">
+                                                    <div className="flex flex-wrap gap-1">
+                                                        {item.verdicts.map(verdict => (
+                                                            <span
+                                                                key={verdict.agentId}
+                                                                title={verdict.note || ''}
+                                                                className="inline-flex items-center text-xs text-gray-700"
+                                                            >
+                                                                {verdict.result === 'pass' && <CheckCircleIcon className="w-4 h-4 text-green-500 mr-0.5" />}
+                                                                {verdict.result === 'fail' && <XCircleIcon className="w-4 h-4 text-red-500 mr-0.5" />}
+                                                                {verdict.result !== 'pass' && verdict.result !== 'fail' && (
+                                                                    <span className="text-gray-400 mr-0.5">{verdict.result ? 'N/A' : '?'}</span>
+                                                                )}
+                                                                {verdict.agentName}
+                                                            </span>
+                                                        ))}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Critical Issues */}
                     {feedback.critical_issues?.length > 0 && (
                         <div className="mb-6">
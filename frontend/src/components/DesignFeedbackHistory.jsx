@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+    ArrowTrendingDownIcon,
+    ArrowTrendingUpIcon,
+    CheckCircleIcon,
+    ExclamationTriangleIcon,
+    SparklesIcon
+} from '@heroicons/react/24/outline';
+import api from '../utils/api';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const SEVERITY_COLORS = {
+    critical: '#dc2626',
+    high: '#ea580c',
+    medium: '#ca8a04',
+    low: '#16a34a'
+};
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 28 };
+
+/**
+ * One line per severity over the screen's runs, oldest on the left
+ */
+const SeverityTrendChart = ({ trend }) => {
+    const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const max = Math.max(1, ...trend.flatMap(point => SEVERITIES.map(severity => point[severity])));
+    const x = (index) => CHART_PADDING.left + (trend.length === 1 ? innerWidth / 2 : (index / (trend.length - 1)) * innerWidth);
+    const y = (value) => CHART_PADDING.top + innerHeight - (value / max) * innerHeight;
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+                {[0, max].map(value => (
+                    <g key={value}>
+                        <line
+                            x1={CHART_PADDING.left}
+                            x2={CHART_WIDTH - CHART_PADDING.right}
+                            y1={y(value)}
+                            y2={y(value)}
+                            stroke="#e5e7eb"
+                        />
+                        <text x={CHART_PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                            {value}
+                        </text>
+                    </g>
+                ))}
+                {trend.map((point, index) => (
+                    <text
+                        key={point.run_id}
+                        x={x(index)}
+                        y={CHART_HEIGHT - 8}
+                        textAnchor="middle"
+                        fontSize="10"
+                        fill="#6b7280"
+                    >
+                        v{point.screen_version}
+                    </text>
+                ))}
+                {SEVERITIES.map(severity => (
+                    <g key={severity}>
+                        <polyline
+                            fill="none"
+                            stroke={SEVERITY_COLORS[severity]}
+                            strokeWidth="2"
+                            points={trend.map((point, index) => `${x(index)},${y(point[severity])}`).join(' ')}
+                        />
+                        {trend.map((point, index) => (
+                            <circle key={point.run_id} cx={x(index)} cy={y(point[severity])} r="3" fill={SEVERITY_COLORS[severity]}>
+                                <title>
+                                    {`v${point.screen_version} ${new Date(point.created_at).toLocaleString()}: ${point[severity]} ${severity}`}
+                                </title>
+                            </circle>
+                        ))}
+                    </g>
+                ))}
+            </svg>
+            <div className="flex flex-wrap gap-4 mt-2">
+                {SEVERITIES.map(severity => (
+                    <span key={severity} className="flex items-center text-xs text-gray-600 capitalize">
+                        <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: SEVERITY_COLORS[severity] }} />
+                        {severity}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const ComparisonColumn = ({ title, icon: Icon, tone, issues, renderMeta }) => (
+    <div>
+        <h4 className={`text-sm font-medium mb-2 flex items-center ${tone}`}>
+            <Icon className="w-4 h-4 mr-1" />
+            {title} ({issues.length})
+        </h4>
+        <div className="space-y-2">
+            {issues.map((issue, index) => (
+                <div key={index} className="p-3 border border-gray-200 rounded-lg">
+                    <div className="text-sm text-gray-900">{issue.issue}</div>
+                    <div className="mt-1 text-xs text-gray-500">{renderMeta(issue)}</div>
+                </div>
+            ))}
+            {issues.length === 0 && <div className="text-xs text-gray-400">None</div>}
+        </div>
+    </div>
+);
+
+const DesignFeedbackHistory = ({ screenId, refreshKey }) => {
+    const [history, setHistory] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (!screenId) return;
+
+        const fetchHistory = async () => {
+            setIsLoading(true);
+            try {
+                const response = await api.get(`/design-feedback/screens/${screenId}/history`);
+                setHistory(response.data);
+            } catch (error) {
+                console.error('Failed to fetch feedback history:', error);
+                setHistory(null);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [screenId, refreshKey]);
+
+    if (isLoading && !history) {
+        return <div className="text-sm text-gray-500">Loading history...</div>;
+    }
+    if (!history || history.trend.length === 0) {
+        return <div className="text-sm text-gray-500">No feedback runs on this screen yet.</div>;
+    }
+
+    const { comparison } = history;
+    const agents = (issue) => (issue.agents.length > 0 ? ` · ${issue.agents.join(', ')}` : '');
+
+    return (
+        <div>
+            <div className="text-sm text-gray-600 mb-3">
+                {history.versions.length} version{history.versions.length === 1 ? '' : 's'}, {history.trend.length} feedback run{history.trend.length === 1 ? '' : 's'}
+            </div>
+
+            <SeverityTrendChart trend={history.trend} />
+
+            {comparison ? (
+                <div className="mt-6">
+                    <h3 className="font-medium text-gray-900 mb-3">
+                        v{comparison.previous_run.screen_version} → v{comparison.current_run.screen_version}
+                    </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <ComparisonColumn
+                            title="Resolved"
+                            icon={CheckCircleIcon}
+                            tone="text-green-700"
+                            issues={comparison.resolved}
+                            renderMeta={issue => `was ${issue.previousSeverity}${agents(issue)}`}
+                        />
+                        <ComparisonColumn
+                            title="Persisting"
+                            icon={ExclamationTriangleIcon}
+                            tone="text-yellow-700"
+                            issues={comparison.persisting}
+                            renderMeta={issue => (
+                                <span className="flex items-center">
+                                    {issue.severityChange === 'worse' && <ArrowTrendingUpIcon className="w-3 h-3 text-red-500 mr-1" />}
+                                    {issue.severityChange === 'better' && <ArrowTrendingDownIcon className="w-3 h-3 text-green-500 mr-1" />}
+                                    {issue.previousSeverity} → {issue.currentSeverity}{agents(issue)}
+                                </span>
+                            )}
+                        />
+                        <ComparisonColumn
+                            title="New"
+                            icon={SparklesIcon}
+                            tone="text-red-700"
+                            issues={comparison.new}
+                            renderMeta={issue => `${issue.currentSeverity}${agents(issue)}`}
+                        />
+                    </div>
+                </div>
+            ) : (
+                <div className="mt-4 text-sm text-gray-500">
+                    Run feedback on another version of this screen to compare resolved, persisting and new issues.
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DesignFeedbackHistory;
@@ -0,0 +1,243 @@
+import React, { useState, useMemo } from 'react';
+import { MapPinIcon } from '@heroicons/react/24/outline';
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Hex for boxes and pins drawn over the image, classes for badges
+const SEVERITY_STYLES = {
+    critical: { color: '#dc2626', badge: 'text-red-700 bg-red-50 border-red-200' },
+    high: { color: '#ea580c', badge: 'text-orange-700 bg-orange-50 border-orange-200' },
+    medium: { color: '#ca8a04', badge: 'text-yellow-700 bg-yellow-50 border-yellow-200' },
+    low: { color: '#16a34a', badge: 'text-green-700 bg-green-50 border-green-200' }
+};
+
+const severityStyle = (severity) => SEVERITY_STYLES[severity] || SEVERITY_STYLES.medium;
+
+const severityRank = (severity) => {
+    const rank = SEVERITY_ORDER.indexOf(severity);
+    return rank === -1 ? SEVERITY_ORDER.indexOf('medium') : rank;
+};
+
+// Same element from several personas shares one pin; free boxes from the image pin by position
+const elementKey = (element) => element.id || `${element.bbox.x},${element.bbox.y},${element.bbox.width},${element.bbox.height}`;
+
+/**
+ * Builds numbered pins (top to bottom, left to right) from problems that carry element boxes
+ */
+const buildPins = (problems) => {
+    const pins = new Map();
+    problems.forEach(problem => {
+        (problem.elements || []).filter(element => element?.bbox).forEach(element => {
+            const key = elementKey(element);
+            if (!pins.has(key)) {
+                pins.set(key, { key, element, problems: [] });
+            }
+            const pin = pins.get(key);
+            if (!pin.problems.includes(problem)) pin.problems.push(problem);
+        });
+    });
+
+    return [...pins.values()]
+        .sort((a, b) => a.element.bbox.y - b.element.bbox.y || a.element.bbox.x - b.element.bbox.x)
+        .map((pin, index) => ({
+            ...pin,
+            number: index + 1,
+            severity: pin.problems
+                .map(problem => problem.severity)
+                .sort((a, b) => severityRank(a) - severityRank(b))[0]
+        }));
+};
+
+const DesignFeedbackOverlay = ({ imageUrl, frame, problems = [] }) => {
+    const [personaFilter, setPersonaFilter] = useState('all');
+    const [heuristicFilter, setHeuristicFilter] = useState('all');
+    const [severityFilter, setSeverityFilter] = useState(SEVERITY_ORDER);
+    const [activePinKey, setActivePinKey] = useState(null);
+    const [imageSize, setImageSize] = useState(null);
+
+    const personas = useMemo(() => {
+        const byId = new Map();
+        problems.forEach(problem => byId.set(problem.agent_id, problem.agent_name));
+        return [...byId.entries()].map(([id, name]) => ({ id, name }));
+    }, [problems]);
+
+    const heuristics = useMemo(
+        () => [...new Set(problems.map(problem => problem.heuristic).filter(Boolean))].sort(),
+        [problems]
+    );
+
+    const visibleProblems = useMemo(() => problems.filter(problem =>
+        (personaFilter === 'all' || problem.agent_id === personaFilter)
+        && (heuristicFilter === 'all' || problem.heuristic === heuristicFilter)
+        && severityFilter.includes(SEVERITY_STYLES[problem.severity] ? problem.severity : 'medium')
+    ), [problems, personaFilter, heuristicFilter, severityFilter]);
+
+    const pins = useMemo(() => buildPins(visibleProblems), [visibleProblems]);
+    const unpinned = visibleProblems.filter(problem => !(problem.elements || []).some(element => element?.bbox));
+    const activePin = pins.find(pin => pin.key === activePinKey) || null;
+
+    // Boxes are in frame pixels; fall back to the image's own size when the frame is unknown
+    const size = frame?.width && frame?.height ? frame : imageSize;
+
+    const toggleSeverity = (severity) => {
+        setSeverityFilter(prev => (prev.includes(severity)
+            ? prev.filter(s => s !== severity)
+            : [...prev, severity]));
+    };
+
+    const boxStyle = (bbox) => ({
+        left: `${(bbox.x / size.width) * 100}%`,
+        top: `${(bbox.y / size.height) * 100}%`,
+        width: `${(bbox.width / size.width) * 100}%`,
+        height: `${(bbox.height / size.height) * 100}%`
+    });
+
+    const renderCritique = (problem, index) => (
+        <div key={index} className="p-3 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-sm font-medium text-gray-900">{problem.agent_name}</span>
+                <span className={`px-2 py-0.5 text-xs border rounded-full ${severityStyle(problem.severity).badge}`}>
+                    {problem.severity || 'medium'}
+                </span>
+            </div>
+            <div className="text-sm text-gray-800 mb-2">{problem.issue}</div>
+            {problem.heuristic && (
+                <div className="text-xs text-gray-600 mb-1">
+                    <span className="font-medium">Heuristic:</span> {problem.heuristic}
+                </div>
+            )}
+            {problem.fix && (
+                <div className="text-xs text-gray-600">
+                    <span className="font-medium">Suggested fix:</span> {problem.fix}
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <div>
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+                <select
+                    value={personaFilter}
+                    onChange={(e) => setPersonaFilter(e.target.value)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                    <option value="all">All personas</option>
+                    {personas.map(persona => (
+                        <option key={persona.id} value={persona.id}>{persona.name}</option>
+                    ))}
+                </select>
+                <select
+                    value={heuristicFilter}
+                    onChange={(e) => setHeuristicFilter(e.target.value)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                    <option value="all">All heuristics</option>
+                    {heuristics.map(heuristic => (
+                        <option key={heuristic} value={heuristic}>{heuristic}</option>
+                    ))}
+                </select>
+                <div className="flex items-center gap-2">
+                    {SEVERITY_ORDER.map(severity => (
+                        <button
+                            key={severity}
+                            type="button"
+                            onClick={() => toggleSeverity(severity)}
+                            className={`px-2 py-1 text-xs border rounded-full capitalize transition-opacity ${severityStyle(severity).badge} ${
+                                severityFilter.includes(severity) ? '' : 'opacity-40'
+                            }`}
+                        >
+                            {severity}
+                        </button>
+                    ))}
+                </div>
+                <span className="text-xs text-gray-500">
+                    {visibleProblems.length} of {problems.length} critiques
+                </span>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Design with highlight boxes and numbered pins */}
+                <div className="lg:col-span-2">
+                    <div className="relative inline-block w-full border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+                        <img
+                            src={imageUrl}
+                            alt="Design under review"
+                            className="block w-full h-auto"
+                            onLoad={(e) => setImageSize({
+                                width: e.target.naturalWidth,
+                                height: e.target.naturalHeight
+                            })}
+                        />
+                        {size && pins.map(pin => {
+                            const { color } = severityStyle(pin.severity);
+                            const isActive = pin.key === activePinKey;
+                            return (
+                                <React.Fragment key={pin.key}>
+                                    <div
+                                        className="absolute pointer-events-none rounded-sm"
+                                        style={{
+                                            ...boxStyle(pin.element.bbox),
+                                            border: `${isActive ? 3 : 2}px solid ${color}`,
+                                            backgroundColor: isActive ? `${color}26` : `${color}0d`
+                                        }}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => setActivePinKey(isActive ? null : pin.key)}
+                                        title={pin.element.name || pin.problems[0]?.issue}
+                                        className={`absolute flex items-center justify-center w-6 h-6 -ml-3 -mt-3 text-xs font-bold text-white rounded-full shadow ${
+                                            isActive ? 'ring-2 ring-offset-1 ring-gray-900 z-20' : 'z-10'
+                                        }`}
+                                        style={{
+                                            left: boxStyle(pin.element.bbox).left,
+                                            top: boxStyle(pin.element.bbox).top,
+                                            backgroundColor: color
+                                        }}
+                                    >
+                                        {pin.number}
+                                    </button>
+                                </React.Fragment>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* Critiques for the selected pin */}
+                <div>
+                    {activePin ? (
+                        <div>
+                            <h4 className="font-medium text-gray-900 mb-3 flex items-center">
+                                <MapPinIcon className="w-5 h-5 mr-2" style={{ color: severityStyle(activePin.severity).color }} />
+                                {activePin.number}. {activePin.element.name || 'Highlighted area'}
+                            </h4>
+                            <div className="space-y-3">
+                                {activePin.problems.map(renderCritique)}
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="p-4 text-sm text-gray-500 border border-dashed border-gray-300 rounded-lg">
+                            {pins.length > 0
+                                ? 'Select a pin to see what each persona said about that element.'
+                                : 'No critiques with element references match the current filters.'}
+                        </div>
+                    )}
+
+                    {unpinned.length > 0 && (
+                        <div className="mt-6">
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">
+                                Not tied to an element ({unpinned.length})
+                            </h4>
+                            <div className="space-y-3">
+                                {unpinned.map(renderCritique)}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DesignFeedbackOverlay;
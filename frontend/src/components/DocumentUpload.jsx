@@ -120,8 +120,9 @@ const DocumentUpload = ({ onGenerateAgents }) => {
         return response.data;
       });
 
+      // Uploads return queued jobs; agents are generated in the background (see Jobs)
       const results = await Promise.all(uploadPromises);
-      toast.success('Transcript uploaded successfully! Generating agents…');
+      toast.success('Transcript uploaded successfully! Generating agents in the background…');
 
       if (onGenerateAgents) {
         onGenerateAgents({
@@ -21,7 +21,9 @@ const EnhancedChat = ({ agentId, agentName }) => {
         sendMessage,
         uploadUI,
         clearHistory,
-        clearError
+        clearError,
+        regenerateOnDrift,
+        setRegenerateOnDrift
     } = useChatStore();
 
     const [message, setMessage] = useState('');
@@ -117,12 +119,17 @@ const EnhancedChat = ({ agentId, agentName }) => {
 
     const formatMessage = (msg) => {
         return (
-            <MessageBeautifier 
-                message={msg}
-                type={msg.role}
-                showAvatar={msg.role !== 'user'}
-                showTimestamp={true}
-            />
+            <>
+                <MessageBeautifier 
+                    message={msg}
+                    type={msg.role}
+                    showAvatar={msg.role !== 'user'}
+                    showTimestamp={true}
+                />
+                {msg.consistency && (msg.consistency.drifted || msg.consistency.regenerated) && (
+                    <DriftNotice consistency={msg.consistency} />
+                )}
+            </>
         );
     };
 
@@ -143,6 +150,18 @@ const EnhancedChat = ({ agentId, agentName }) => {
                         )}
                     </div>
                     <div className="flex space-x-2">
+                        <label
+                            className="flex items-center text-xs text-gray-600 mr-2 cursor-pointer"
+                            title="Retry replies that drift out of character"
+                        >
+                            <input
+                                type="checkbox"
+                                className="mr-1"
+                                checked={regenerateOnDrift}
+                                onChange={(e) => setRegenerateOnDrift(e.target.checked)}
+                            />
+                            Auto-fix drift
+                        </label>
                         <Button
                             variant="outline"
                             size="sm"
@@ -223,4 +242,34 @@ const EnhancedChat = ({ agentId, agentName }) => {
     );
 };
 
+const DriftNotice = ({ consistency }) => {
+    const [expanded, setExpanded] = useState(false);
+    const score = Math.round(consistency.score * 100);
+
+    if (!consistency.drifted) {
+        return (
+            <p className="ml-12 -mt-2 mb-2 text-xs text-green-700 flex items-center">
+                <CheckCircleIcon className="h-3 w-3 mr-1" />
+                Regenerated to stay in character ({score}% consistent)
+            </p>
+        );
+    }
+
+    return (
+        <div className="ml-12 -mt-2 mb-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 max-w-xl">
+            <button className="flex items-center w-full text-left" onClick={() => setExpanded(!expanded)}>
+                <ExclamationTriangleIcon className="h-3 w-3 mr-1 flex-shrink-0" />
+                Possible persona drift — {score}% consistent{consistency.regenerated ? ' after regenerating' : ''}
+            </button>
+            {expanded && (
+                <ul className="mt-1 ml-4 list-disc space-y-0.5">
+                    {consistency.issues.map((issue, index) => (
+                        <li key={index}>{issue.message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
 export default EnhancedChat;
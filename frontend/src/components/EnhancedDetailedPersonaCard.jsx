@@ -1,9 +1,10 @@
-import React from 'react';
+import React, { createContext, useContext, useState } from 'react';
 import {
   MapPinIcon,
   AcademicCapIcon,
   CalendarIcon,
   UserGroupIcon,
+  ChatBubbleBottomCenterTextIcon,
 } from '@heroicons/react/24/outline';
 import { getAvatarSrc, handleAvatarError } from '../utils/avatar';
 
@@ -14,6 +15,119 @@ const toArray = (value) => {
   return [];
 };
 
+// Extraction field paths behind each card field (accurate and mapped uploads use different shapes)
+const PROVENANCE_PATHS = {
+  name: ['name', 'identity.name'],
+  occupation: ['profession.occupation', 'occupation'],
+  location: ['location', 'location.city'],
+  age: ['age', 'identity.age'],
+  gender: ['gender', 'identity.gender'],
+  quote: ['key_quotes'],
+  background: ['profession.background', 'background'],
+  traits: ['personality.personality_traits', 'personality.traits'],
+  values: ['personality.values'],
+  hobbies: ['hobbies'],
+  goals: ['goals.short_term', 'goals.long_term', 'goals'],
+  motivations: ['personality.motivations', 'motivations'],
+  pain_points: ['pain_points.general'],
+  ui_pain_points: ['pain_points.ui_pain_points', 'pain_points.ui'],
+  habits: ['behavioral_patterns.habits'],
+  daily_routine: ['daily_routine'],
+  decision_making: ['decision_making'],
+  apps: ['financial_profile.fintech_preferences.apps', 'fintech_preferences.apps'],
+  fintech_preferences: ['financial_profile.fintech_preferences', 'fintech_preferences'],
+  triggers: ['emotional_profile.triggers'],
+  responses: ['emotional_profile.responses'],
+  family: ['social_context.family'],
+  friends: ['social_context.friends'],
+  community_values: ['social_context.community_values'],
+  heritage: ['cultural_background.heritage', 'cultural_background.beliefs'],
+  life_events: ['life_events'],
+};
+
+const BASIS_STYLES = {
+  transcript: { label: 'From transcript', dot: 'bg-emerald-500', badge: 'bg-emerald-50 text-emerald-700 border-emerald-200' },
+  inferred: { label: 'Inferred', dot: 'bg-amber-500', badge: 'bg-amber-50 text-amber-700 border-amber-200' },
+  synthetic: { label: 'Synthetic', dot: 'bg-slate-400', badge: 'bg-slate-100 text-slate-600 border-slate-200' },
+};
+
+const BASIS_RANK = { transcript: 0, inferred: 1, synthetic: 2 };
+
+const ProvenanceContext = createContext(null);
+
+// Provenance for a card field: the best-supported of its extraction paths, with their evidence combined
+const resolveProvenance = (fields, field) => {
+  if (!fields) return null;
+  const paths = PROVENANCE_PATHS[field] || [field];
+  const entries = Object.entries(fields)
+    .filter(([path]) => paths.some((candidate) => path === candidate || path.startsWith(`${candidate}.`)))
+    .map(([, entry]) => entry);
+  if (entries.length === 0) return null;
+
+  const best = entries.reduce((a, b) => (BASIS_RANK[b.basis] < BASIS_RANK[a.basis] ? b : a));
+  const evidence = entries
+    .flatMap((entry) => entry.evidence || [])
+    .filter((item, index, all) => all.findIndex((other) => other.turnIndex === item.turnIndex && other.quote === item.quote) === index);
+  const confidence = Math.max(...entries.filter((entry) => entry.basis === best.basis).map((entry) => entry.confidence || 0));
+  return { basis: best.basis, confidence, evidence };
+};
+
+const ProvenanceBadge = ({ field }) => {
+  const fields = useContext(ProvenanceContext);
+  const [open, setOpen] = useState(false);
+  const provenance = resolveProvenance(fields, field);
+  if (!provenance) return null;
+
+  const style = BASIS_STYLES[provenance.basis] || BASIS_STYLES.synthetic;
+  return (
+    <span className="relative inline-block normal-case tracking-normal">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`ml-2 inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-[10px] font-medium ${style.badge}`}
+        title={`${style.label} · ${Math.round(provenance.confidence * 100)}% confidence`}
+      >
+        <span className={`h-1.5 w-1.5 rounded-full ${style.dot}`} />
+        {style.label}
+        <span className="opacity-70">{Math.round(provenance.confidence * 100)}%</span>
+      </button>
+      {open && (
+        <div className="absolute left-0 z-20 mt-2 w-80 rounded-xl border border-slate-200 bg-white p-3 text-left shadow-lg">
+          {provenance.evidence.length > 0 ? (
+            <ul className="space-y-2">
+              {provenance.evidence.map((item) => (
+                <li key={`${item.turnIndex}-${item.quote}`} className="text-xs text-slate-700">
+                  <div className="mb-1 flex items-center gap-2 text-[10px] uppercase tracking-wide text-slate-400">
+                    <ChatBubbleBottomCenterTextIcon className="h-3 w-3" />
+                    <span>{item.speaker || 'Respondent'}</span>
+                    {item.start && <span>{item.start}</span>}
+                    {item.turnIndex !== null && item.turnIndex !== undefined && <span>Turn {item.turnIndex + 1}</span>}
+                    {item.match === 'approximate' && <span>paraphrased</span>}
+                  </div>
+                  <blockquote className="border-l-2 border-emerald-200 pl-2 italic">“{item.quote}”</blockquote>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-slate-500">
+              {provenance.basis === 'inferred'
+                ? 'Inferred from tone or context; no transcript line states this directly.'
+                : 'Not supported by the transcript; generated to complete the persona.'}
+            </p>
+          )}
+        </div>
+      )}
+    </span>
+  );
+};
+
+const FieldLabel = ({ field, children }) => (
+  <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+    {children}
+    {field && <ProvenanceBadge field={field} />}
+  </p>
+);
+
 const Section = ({ title, children }) => (
   <section className="space-y-3 rounded-2xl border border-slate-200 bg-white px-6 py-5 shadow-sm">
     <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500">{title}</h3>
@@ -73,7 +187,7 @@ const KeyValueList = ({ data = {}, emptyLabel = 'Not specified' }) => {
   );
 };
 
-const Field = ({ icon: Icon, label, value }) => {
+const Field = ({ icon: Icon, label, value, field }) => {
   if (!value) return null;
   return (
     <div className="flex items-center gap-3 text-sm text-slate-700">
@@ -81,7 +195,10 @@ const Field = ({ icon: Icon, label, value }) => {
         <Icon className="h-5 w-5 text-slate-600" />
       </span>
       <div>
-        <p className="text-xs uppercase tracking-wide text-slate-500">{label}</p>
+        <p className="text-xs uppercase tracking-wide text-slate-500">
+          {label}
+          {field && <ProvenanceBadge field={field} />}
+        </p>
         <p className="font-semibold text-slate-800">{value}</p>
       </div>
     </div>
@@ -125,6 +242,7 @@ const EnhancedDetailedPersonaCard = ({ persona }) => {
     voice,
     voice_id,
     insights,
+    field_provenance,
   } = persona;
 
   const photo = getAvatarSrc(avatar_url || avatar, name, { size: 240 });
@@ -142,252 +260,274 @@ const EnhancedDetailedPersonaCard = ({ persona }) => {
   const devices = technology?.devices || technology?.preferred_devices;
   const apps = technology?.apps || technology?.software;
 
-  return (
-    <article className="mx-auto w-full max-w-4xl rounded-3xl border border-slate-200 bg-slate-50 shadow-xl">
-      <div className="flex flex-col gap-6 rounded-t-3xl bg-white px-6 py-8 sm:px-8">
-        <div className="flex flex-col gap-6 lg:flex-row lg:items-center lg:gap-8">
-          <div className="mx-auto h-28 w-28 overflow-hidden rounded-2xl border border-slate-200 bg-slate-100 shadow-sm lg:mx-0">
-            <img
-              src={photo}
-              alt={name}
-              className="h-full w-full object-cover"
-              onError={(e) => handleAvatarError(e, name, { size: 240 })}
-            />
-          </div>
-          <div className="flex-1 space-y-3">
-            <div>
-              <h1 className="text-2xl font-bold text-slate-900">{name || 'Unnamed Persona'}</h1>
-              <p className="text-sm font-medium text-indigo-600">
-                {title || occupation || 'Role not specified'}
-              </p>
-              <p className="text-sm text-slate-500">
-                {location || demographics.location || 'Location not provided'}
-              </p>
-            </div>
-            <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
-              <Field icon={CalendarIcon} label="Age" value={age || demographics.age} />
-              <Field icon={UserGroupIcon} label="Gender" value={gender || demographics.gender} />
-              <Field icon={AcademicCapIcon} label="Education" value={demographics.education} />
-              <Field icon={MapPinIcon} label="Persona Type" value={demographics.persona_type} />
-            </div>
-          </div>
-        </div>
-        {quote && (
-          <blockquote className="rounded-2xl border border-slate-200 bg-slate-100/70 px-5 py-4 text-sm italic text-slate-700">
-            “{quote}”
-          </blockquote>
-        )}
-      </div>
+  const provenanceSummary = field_provenance?.summary;
 
-      <div className="space-y-6 border-t border-slate-200 bg-slate-50 px-4 py-8 sm:px-6">
-        <Section title="Life Story">
-          <p className="text-sm leading-6 text-slate-700">
-            {background || 'No background information available yet.'}
-          </p>
-          <div className="grid gap-4 md:grid-cols-2">
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Personality Traits</p>
-              <BadgeList items={traits} emptyLabel="Traits not documented." />
-            </div>
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Values</p>
-              <BadgeList items={values} emptyLabel="Values not recorded." />
-            </div>
-            <div className="md:col-span-2">
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Hobbies & Interests</p>
-              <BadgeList items={hobbies} emptyLabel="Hobbies not captured." />
+  return (
+    <ProvenanceContext.Provider value={field_provenance?.fields || null}>
+      <article className="mx-auto w-full max-w-4xl rounded-3xl border border-slate-200 bg-slate-50 shadow-xl">
+        <div className="flex flex-col gap-6 rounded-t-3xl bg-white px-6 py-8 sm:px-8">
+          <div className="flex flex-col gap-6 lg:flex-row lg:items-center lg:gap-8">
+            <div className="mx-auto h-28 w-28 overflow-hidden rounded-2xl border border-slate-200 bg-slate-100 shadow-sm lg:mx-0">
+              <img
+                src={photo}
+                alt={name}
+                className="h-full w-full object-cover"
+                onError={(e) => handleAvatarError(e, name, { size: 240 })}
+              />
             </div>
-          </div>
-        </Section>
-
-        <div className="grid gap-6 lg:grid-cols-2">
-          <Section title="Goals & Motivations">
-            <div className="grid gap-4">
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Primary Goals</p>
-                <List items={primaryGoals} emptyLabel="No primary goals provided." />
-              </div>
+            <div className="flex-1 space-y-3">
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Secondary Goals</p>
-                <List items={secondaryGoals} emptyLabel="No secondary goals provided." />
+                <h1 className="text-2xl font-bold text-slate-900">
+                  {name || 'Unnamed Persona'}
+                  <ProvenanceBadge field="name" />
+                </h1>
+                <p className="text-sm font-medium text-indigo-600">
+                  {title || occupation || 'Role not specified'}
+                  <ProvenanceBadge field="occupation" />
+                </p>
+                <p className="text-sm text-slate-500">
+                  {location || demographics.location || 'Location not provided'}
+                  <ProvenanceBadge field="location" />
+                </p>
               </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Motivations</p>
-                <List items={motivations} emptyLabel="Motivations not captured." />
+              {provenanceSummary && (
+                <p className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+                  {Object.entries(BASIS_STYLES).map(([basis, style]) => (
+                    <span key={basis} className="inline-flex items-center gap-1">
+                      <span className={`h-2 w-2 rounded-full ${style.dot}`} />
+                      {provenanceSummary[basis] || 0} {style.label.toLowerCase()}
+                    </span>
+                  ))}
+                  <span className="text-slate-400">Click a badge to see the source lines</span>
+                </p>
+              )}
+              <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+                <Field icon={CalendarIcon} label="Age" value={age || demographics.age} field="age" />
+                <Field icon={UserGroupIcon} label="Gender" value={gender || demographics.gender} field="gender" />
+                <Field icon={AcademicCapIcon} label="Education" value={demographics.education} />
+                <Field icon={MapPinIcon} label="Persona Type" value={demographics.persona_type} />
               </div>
             </div>
-          </Section>
+          </div>
+          {quote && (
+            <blockquote className="rounded-2xl border border-slate-200 bg-slate-100/70 px-5 py-4 text-sm italic text-slate-700">
+              “{quote}”
+              <ProvenanceBadge field="quote" />
+            </blockquote>
+          )}
+        </div>
 
-          <Section title="Pain Points">
-            <div className="grid gap-4">
+        <div className="space-y-6 border-t border-slate-200 bg-slate-50 px-4 py-8 sm:px-6">
+          <Section title="Life Story">
+            <p className="text-sm leading-6 text-slate-700">
+              {background || 'No background information available yet.'}
+              <ProvenanceBadge field="background" />
+            </p>
+            <div className="grid gap-4 md:grid-cols-2">
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">General Frustrations</p>
-                <List items={generalPainPoints} emptyLabel="No pain points recorded." />
+                <FieldLabel field="traits">Personality Traits</FieldLabel>
+                <BadgeList items={traits} emptyLabel="Traits not documented." />
               </div>
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">UX-Specific Issues</p>
-                <List items={ui_pain_points} emptyLabel="No UX issues noted." />
+                <FieldLabel field="values">Values</FieldLabel>
+                <BadgeList items={values} emptyLabel="Values not recorded." />
               </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Recurring Concerns</p>
-                <List items={frustrations} emptyLabel="No recurring concerns captured." />
+              <div className="md:col-span-2">
+                <FieldLabel field="hobbies">Hobbies & Interests</FieldLabel>
+                <BadgeList items={hobbies} emptyLabel="Hobbies not captured." />
               </div>
             </div>
           </Section>
-        </div>
 
-        <div className="grid gap-6 lg:grid-cols-2">
-          <Section title="Daily Rhythm">
-            <div className="space-y-4">
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Habits & Behaviors</p>
-                <List items={behaviors?.habits} emptyLabel="Habits not documented." />
-              </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Daily Routine</p>
-                <List items={daily_routine || rawDailyLife?.schedule} emptyLabel="Routine not captured." />
-              </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Decision Style</p>
-                <p className="text-sm text-slate-700">{decision_making?.style || 'Not specified.'}</p>
-                <BadgeList items={decision_making?.influences} emptyLabel="Influences not noted." />
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Section title="Goals & Motivations">
+              <div className="grid gap-4">
+                <div>
+                  <FieldLabel field="goals">Primary Goals</FieldLabel>
+                  <List items={primaryGoals} emptyLabel="No primary goals provided." />
+                </div>
+                <div>
+                  <FieldLabel field="goals">Secondary Goals</FieldLabel>
+                  <List items={secondaryGoals} emptyLabel="No secondary goals provided." />
+                </div>
+                <div>
+                  <FieldLabel field="motivations">Motivations</FieldLabel>
+                  <List items={motivations} emptyLabel="Motivations not captured." />
+                </div>
               </div>
-            </div>
-          </Section>
+            </Section>
 
-          <Section title="Tools & Preferences">
-            <div className="space-y-4">
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Devices</p>
-                <BadgeList items={devices} emptyLabel="Devices not captured." />
+            <Section title="Pain Points">
+              <div className="grid gap-4">
+                <div>
+                  <FieldLabel field="pain_points">General Frustrations</FieldLabel>
+                  <List items={generalPainPoints} emptyLabel="No pain points recorded." />
+                </div>
+                <div>
+                  <FieldLabel field="ui_pain_points">UX-Specific Issues</FieldLabel>
+                  <List items={ui_pain_points} emptyLabel="No UX issues noted." />
+                </div>
+                <div>
+                  <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Recurring Concerns</p>
+                  <List items={frustrations} emptyLabel="No recurring concerns captured." />
+                </div>
               </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Apps & Platforms</p>
-                <BadgeList items={apps} emptyLabel="Apps not captured." />
+            </Section>
+          </div>
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Section title="Daily Rhythm">
+              <div className="space-y-4">
+                <div>
+                  <FieldLabel field="habits">Habits & Behaviors</FieldLabel>
+                  <List items={behaviors?.habits} emptyLabel="Habits not documented." />
+                </div>
+                <div>
+                  <FieldLabel field="daily_routine">Daily Routine</FieldLabel>
+                  <List items={daily_routine || rawDailyLife?.schedule} emptyLabel="Routine not captured." />
+                </div>
+                <div>
+                  <FieldLabel field="decision_making">Decision Style</FieldLabel>
+                  <p className="text-sm text-slate-700">{decision_making?.style || 'Not specified.'}</p>
+                  <BadgeList items={decision_making?.influences} emptyLabel="Influences not noted." />
+                </div>
               </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Fintech Behaviour</p>
-                <KeyValueList data={fintech_preferences} emptyLabel="Fintech usage not captured." />
+            </Section>
+
+            <Section title="Tools & Preferences">
+              <div className="space-y-4">
+                <div>
+                  <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Devices</p>
+                  <BadgeList items={devices} emptyLabel="Devices not captured." />
+                </div>
+                <div>
+                  <FieldLabel field="apps">Apps & Platforms</FieldLabel>
+                  <BadgeList items={apps} emptyLabel="Apps not captured." />
+                </div>
+                <div>
+                  <FieldLabel field="fintech_preferences">Fintech Behaviour</FieldLabel>
+                  <KeyValueList data={fintech_preferences} emptyLabel="Fintech usage not captured." />
+                </div>
               </div>
-            </div>
-          </Section>
-        </div>
+            </Section>
+          </div>
 
-        <div className="grid gap-6 lg:grid-cols-2">
-          <Section title="Emotional Landscape">
-            <div className="grid gap-4 md:grid-cols-2">
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Triggers</p>
-                <List items={triggers} emptyLabel="Triggers not documented." />
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Section title="Emotional Landscape">
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <FieldLabel field="triggers">Triggers</FieldLabel>
+                  <List items={triggers} emptyLabel="Triggers not documented." />
+                </div>
+                <div>
+                  <FieldLabel field="responses">Responses</FieldLabel>
+                  <List items={responses} emptyLabel="Responses not documented." />
+                </div>
               </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Responses</p>
-                <List items={responses} emptyLabel="Responses not documented." />
+            </Section>
+
+            <Section title="Social & Cultural Context">
+              <div className="space-y-3">
+                <div>
+                  <FieldLabel field="family">Family</FieldLabel>
+                  <p className="text-sm text-slate-700">{social_context?.family || 'Not specified.'}</p>
+                </div>
+                <div>
+                  <FieldLabel field="friends">Friends</FieldLabel>
+                  <p className="text-sm text-slate-700">{social_context?.friends || 'Not specified.'}</p>
+                </div>
+                <div>
+                  <FieldLabel field="community_values">Community Values</FieldLabel>
+                  <BadgeList items={social_context?.community_values} emptyLabel="Community values not captured." />
+                </div>
+                <div>
+                  <FieldLabel field="heritage">Cultural Heritage</FieldLabel>
+                  <p className="text-sm text-slate-700">{cultural_background?.heritage || 'Not documented.'}</p>
+                  <BadgeList items={cultural_background?.beliefs} emptyLabel="Beliefs not captured." />
+                </div>
               </div>
-            </div>
+            </Section>
+          </div>
+
+          <Section title={<>Life Events<ProvenanceBadge field="life_events" /></>}>
+            {Array.isArray(life_events) && life_events.length > 0 ? (
+              <ul className="space-y-3">
+                {life_events.map((event, index) => (
+                  <li
+                    key={`${event.event || 'life-event'}-${index}`}
+                    className="rounded-xl border border-orange-100 bg-orange-50/40 px-4 py-3 text-sm"
+                  >
+                    <div className="font-semibold text-orange-900">{event.event || 'Milestone'}</div>
+                    <div className="text-xs uppercase tracking-wide text-orange-700">
+                      {event.year || 'Year not specified'}
+                    </div>
+                    <p className="mt-1 text-orange-900/80">{event.impact || 'Impact unknown.'}</p>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-slate-500">No life events recorded.</p>
+            )}
           </Section>
 
-          <Section title="Social & Cultural Context">
+          <Section title="Voice & Tone">
             <div className="space-y-3">
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Family</p>
-                <p className="text-sm text-slate-700">{social_context?.family || 'Not specified.'}</p>
-              </div>
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Friends</p>
-                <p className="text-sm text-slate-700">{social_context?.friends || 'Not specified.'}</p>
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Communication Style</p>
+                <p className="text-sm text-slate-700">
+                  {voice?.style || voice?.tone || 'Preferred communication style not provided.'}
+                </p>
               </div>
+              {voice_id && (
+                <div>
+                  <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">🎙️ ElevenLabs Voice ID</p>
+                  <div className="flex items-center gap-2">
+                    <code className="inline-block rounded-lg bg-indigo-50 px-3 py-2 text-xs font-mono text-indigo-900 border border-indigo-200">
+                      {voice_id}
+                    </code>
+                    {voice_id === 'rgltZvTfiMmgWweZhh7n' && (
+                      <span className="inline-flex items-center gap-1 rounded-full bg-orange-100 px-2 py-1 text-xs font-medium text-orange-800">
+                        <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
+                          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                        </svg>
+                        Tamil Voice
+                      </span>
+                    )}
+                    {voice_id === 'WeK8ylKjTV2trMlayizC' && (
+                      <span className="inline-flex items-center gap-1 rounded-full bg-emerald-100 px-2 py-1 text-xs font-medium text-emerald-800">
+                        <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
+                          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                        </svg>
+                        Indian Voice
+                      </span>
+                    )}
+                  </div>
+                  <a 
+                    href={`https://elevenlabs.io/app/voice-library?voiceId=${voice_id}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="mt-1 inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800 hover:underline"
+                  >
+                    Listen on ElevenLabs
+                    <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+                    </svg>
+                  </a>
+                </div>
+              )}
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Community Values</p>
-                <BadgeList items={social_context?.community_values} emptyLabel="Community values not captured." />
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Key Phrases</p>
+                <List items={voice?.key_phrases} emptyLabel="Key phrases not documented." />
               </div>
               <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Cultural Heritage</p>
-                <p className="text-sm text-slate-700">{cultural_background?.heritage || 'Not documented.'}</p>
-                <BadgeList items={cultural_background?.beliefs} emptyLabel="Beliefs not captured." />
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Recommendations</p>
+                <List items={insights?.recommendations} emptyLabel="Recommendations not available." />
               </div>
             </div>
           </Section>
         </div>
-
-        <Section title="Life Events">
-          {Array.isArray(life_events) && life_events.length > 0 ? (
-            <ul className="space-y-3">
-              {life_events.map((event, index) => (
-                <li
-                  key={`${event.event || 'life-event'}-${index}`}
-                  className="rounded-xl border border-orange-100 bg-orange-50/40 px-4 py-3 text-sm"
-                >
-                  <div className="font-semibold text-orange-900">{event.event || 'Milestone'}</div>
-                  <div className="text-xs uppercase tracking-wide text-orange-700">
-                    {event.year || 'Year not specified'}
-                  </div>
-                  <p className="mt-1 text-orange-900/80">{event.impact || 'Impact unknown.'}</p>
-                </li>
-              ))}
-            </ul>
-          ) : (
-            <p className="text-sm text-slate-500">No life events recorded.</p>
-          )}
-        </Section>
-
-        <Section title="Voice & Tone">
-          <div className="space-y-3">
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Communication Style</p>
-              <p className="text-sm text-slate-700">
-                {voice?.style || voice?.tone || 'Preferred communication style not provided.'}
-              </p>
-            </div>
-            {voice_id && (
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">🎙️ ElevenLabs Voice ID</p>
-                <div className="flex items-center gap-2">
-                  <code className="inline-block rounded-lg bg-indigo-50 px-3 py-2 text-xs font-mono text-indigo-900 border border-indigo-200">
-                    {voice_id}
-                  </code>
-                  {voice_id === 'rgltZvTfiMmgWweZhh7n' && (
-                    <span className="inline-flex items-center gap-1 rounded-full bg-orange-100 px-2 py-1 text-xs font-medium text-orange-800">
-                      <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
-                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                      </svg>
-                      Tamil Voice
-                    </span>
-                  )}
-                  {voice_id === 'WeK8ylKjTV2trMlayizC' && (
-                    <span className="inline-flex items-center gap-1 rounded-full bg-emerald-100 px-2 py-1 text-xs font-medium text-emerald-800">
-                      <svg className="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
-                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                      </svg>
-                      Indian Voice
-                    </span>
-                  )}
-                </div>
-                <a 
-                  href={`https://elevenlabs.io/app/voice-library?voiceId=${voice_id}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="mt-1 inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800 hover:underline"
-                >
-                  Listen on ElevenLabs
-                  <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
-                  </svg>
-                </a>
-              </div>
-            )}
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Key Phrases</p>
-              <List items={voice?.key_phrases} emptyLabel="Key phrases not documented." />
-            </div>
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Recommendations</p>
-              <List items={insights?.recommendations} emptyLabel="Recommendations not available." />
-            </div>
-          </div>
-        </Section>
-      </div>
-    </article>
+      </article>
+    </ProvenanceContext.Provider>
   );
 };
 
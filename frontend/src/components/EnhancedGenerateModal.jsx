@@ -1,6 +1,6 @@
 /**
  * Enhanced Generate User Modal
- * Supports: File upload (TXT, PDF), Google Docs URLs, and pasted text
+ * Supports: File upload (TXT, PDF, VTT, SRT, meeting JSON), Google Docs URLs, and pasted text
  * With Airbnb-style UI and live progress tracking
  */
 
@@ -34,11 +34,11 @@ const EnhancedGenerateModal = ({ isOpen, onClose, onSuccess }) => {
     // Validate file types
     const validFiles = acceptedFiles.filter(file => {
       const ext = file.name.split('.').pop().toLowerCase();
-      return ['txt', 'pdf'].includes(ext);
+      return ['txt', 'pdf', 'vtt', 'srt', 'json'].includes(ext);
     });
 
     if (validFiles.length !== acceptedFiles.length) {
-      toast.error('Only TXT and PDF files are supported');
+      toast.error('Only TXT, PDF, VTT, SRT and JSON files are supported');
     }
 
     setUploadedFiles(prev => [...prev, ...validFiles]);
@@ -48,7 +48,10 @@ const EnhancedGenerateModal = ({ isOpen, onClose, onSuccess }) => {
     onDrop,
     accept: {
       'text/plain': ['.txt'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'text/vtt': ['.vtt'],
+      'application/x-subrip': ['.srt'],
+      'application/json': ['.json']
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     multiple: true
@@ -298,7 +301,7 @@ const EnhancedGenerateModal = ({ isOpen, onClose, onSuccess }) => {
               {uploadMethod === 'file' && (
                 <div>
                   <label className="block text-sm font-semibold text-gray-700 mb-2">
-                    Upload Files (TXT, PDF)
+                    Upload Files (TXT, PDF, VTT, SRT)
                   </label>
                   <div
                     {...getRootProps()}
@@ -314,7 +317,7 @@ const EnhancedGenerateModal = ({ isOpen, onClose, onSuccess }) => {
                       {isDragActive ? 'Drop files here' : 'Drag & drop files here'}
                     </p>
                     <p className="text-sm text-gray-500">
-                      or click to browse (TXT, PDF up to 10MB)
+                      or click to browse (TXT, PDF, VTT, SRT, meeting JSON up to 10MB)
                     </p>
                   </div>
 
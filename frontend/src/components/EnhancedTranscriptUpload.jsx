@@ -7,18 +7,24 @@ import {
   XMarkIcon,
   SparklesIcon,
   CheckCircleIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import api from '../utils/api';
+import { waitForJob } from '../utils/jobs';
+import ParticipantSplitPreview from './ParticipantSplitPreview';
 
 const EnhancedTranscriptUpload = ({ onSuccess, onError }) => {
   const [activeTab, setActiveTab] = useState('upload');
   const [transcriptText, setTranscriptText] = useState('');
   const [googleDocsUrls, setGoogleDocsUrls] = useState('');
   const [isUploading, setIsUploading] = useState(false);
+  const [jobProgress, setJobProgress] = useState(null);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [generatedAgents, setGeneratedAgents] = useState([]);
+  const [previewSources, setPreviewSources] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
 
   // File upload handling
   const onDrop = useCallback((acceptedFiles) => {
@@ -43,7 +49,9 @@ const EnhancedTranscriptUpload = ({ onSuccess, onError }) => {
       'application/msword': ['.doc'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
       'text/csv': ['.csv'],
-      'application/json': ['.json']
+      'application/json': ['.json'],
+      'text/vtt': ['.vtt'],
+      'application/x-subrip': ['.srt']
     },
     maxFiles: 10,
     maxSize: 10 * 1024 * 1024 // 10MB
@@ -87,28 +95,61 @@ const EnhancedTranscriptUpload = ({ onSuccess, onError }) => {
     }
   };
 
+  const buildFormData = () => {
+    const formData = new FormData();
+
+    // Add uploaded files
+    uploadedFiles.forEach(fileObj => {
+      formData.append('files', fileObj.file);
+    });
+
+    // Add Google Docs URLs
+    if (googleDocsUrls.trim()) {
+      const urls = googleDocsUrls.split('\n').filter(url => url.trim());
+      formData.append('urls', JSON.stringify(urls));
+    }
+
+    // Add pasted text
+    if (transcriptText.trim()) {
+      formData.append('text', transcriptText.trim());
+    }
+
+    return formData;
+  };
+
+  // Detect participants so focus groups can be split into one persona each
+  const handlePreview = async () => {
+    try {
+      setIsPreviewing(true);
+      const response = await api.post('/transcript/preview', buildFormData(), {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        }
+      });
+      setPreviewSources(response.data.data.sources);
+    } catch (error) {
+      console.error('Error previewing transcripts:', error);
+      toast.error(`Preview failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleDraftsSaved = (agents) => {
+    setGeneratedAgents(agents);
+    setPreviewSources(null);
+    if (onSuccess) {
+      onSuccess({ agents, total_personas: agents.length });
+    }
+  };
+
   // Submit handler
   const handleSubmit = async () => {
     try {
       setIsUploading(true);
+      setJobProgress(null);
       
-      const formData = new FormData();
-      
-      // Add uploaded files
-      uploadedFiles.forEach(fileObj => {
-        formData.append('files', fileObj.file);
-      });
-      
-      // Add Google Docs URLs
-      if (googleDocsUrls.trim()) {
-        const urls = googleDocsUrls.split('\n').filter(url => url.trim());
-        formData.append('urls', JSON.stringify(urls));
-      }
-      
-      // Add pasted text
-      if (transcriptText.trim()) {
-        formData.append('text', transcriptText.trim());
-      }
+      const formData = buildFormData();
       
       // Add context
       formData.append('context', JSON.stringify({
@@ -124,17 +165,26 @@ const EnhancedTranscriptUpload = ({ onSuccess, onError }) => {
         timeout: 300000, // 5 minutes
       });
 
-      if (response.data.success) {
-        setGeneratedAgents(response.data.data.agents);
-        toast.success(`Successfully generated ${response.data.data.total_personas} AI personas!`);
-        
-        if (onSuccess) {
-          onSuccess(response.data.data);
-        }
-      } else {
+      if (!response.data.success) {
         throw new Error(response.data.error || 'Generation failed');
       }
 
+      // Generation runs as a background job; follow it until it finishes
+      const job = await waitForJob(response.data.data.jobId, {
+        onProgress: (update, message) => setJobProgress({ progress: update.progress, message })
+      });
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw new Error(job.items.find(item => item.error)?.error || `Generation ${job.status}`);
+      }
+
+      const agents = job.result?.agents || [];
+      setGeneratedAgents(agents);
+      toast.success(`Successfully generated ${agents.length} AI personas!`);
+      
+      if (onSuccess) {
+        onSuccess({ ...response.data.data, agents, total_personas: agents.length });
+      }
+
     } catch (error) {
       console.error('Error generating personas:', error);
       toast.error(`Generation failed: ${error.message}`);
@@ -223,7 +273,7 @@ const EnhancedTranscriptUpload = ({ onSuccess, onError }) => {
                 or click to select files
               </p>
               <p className="text-sm text-gray-500">
-                Supports TXT, PDF, DOC, DOCX, CSV, JSON (max 10MB each)
+                Supports TXT, PDF, DOC, DOCX, CSV, JSON, VTT, SRT (max 10MB each)
               </p>
             </div>
 
@@ -345,6 +395,15 @@ https://docs.google.com/document/d/1ABC123def456GHI789jkl/edit"
           </motion.div>
         )}
 
+        {/* Participant split preview */}
+        {previewSources && (
+          <ParticipantSplitPreview
+            key={previewSources.map(source => source.source).join('|')}
+            sources={previewSources}
+            onSaved={handleDraftsSaved}
+          />
+        )}
+
         {/* Generated Agents Preview */}
         {generatedAgents.length > 0 && (
           <motion.div
@@ -390,8 +449,20 @@ https://docs.google.com/document/d/1ABC123def456GHI789jkl/edit"
           </motion.div>
         )}
 
+        {isUploading && jobProgress?.message && (
+          <p className="text-center text-sm text-gray-500">{jobProgress.message}</p>
+        )}
+
         {/* Submit Button */}
-        <div className="flex items-center justify-center pt-6">
+        <div className="flex items-center justify-center space-x-3 pt-6">
+          <button
+            onClick={handlePreview}
+            disabled={!canSubmit || isUploading || isPreviewing}
+            className="border border-blue-600 text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed rounded-full px-8 py-3 font-semibold transition-colors flex items-center space-x-2"
+          >
+            <UserGroupIcon className="w-5 h-5" />
+            <span>{isPreviewing ? 'Detecting participants...' : 'Preview Participants'}</span>
+          </button>
           <button
             onClick={handleSubmit}
             disabled={!canSubmit || isUploading}
@@ -400,7 +471,7 @@ https://docs.google.com/document/d/1ABC123def456GHI789jkl/edit"
             {isUploading ? (
               <>
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                <span>Generating Personas...</span>
+                <span>{jobProgress ? `Generating Personas... ${jobProgress.progress}%` : 'Generating Personas...'}</span>
               </>
             ) : (
               <>
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  UserGroupIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  SparklesIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const SPEAKER_COLORS = [
+  'bg-blue-100 text-blue-800',
+  'bg-green-100 text-green-800',
+  'bg-purple-100 text-purple-800',
+  'bg-amber-100 text-amber-800',
+  'bg-pink-100 text-pink-800',
+  'bg-teal-100 text-teal-800'
+];
+
+const describeDemographics = ({ age, occupation, location } = {}) =>
+  [age && `${age} years old`, occupation, location].filter(Boolean).join(' · ') || 'No demographics mentioned';
+
+/**
+ * Shows how each transcript splits per respondent, lets the user pick who
+ * becomes a persona, builds one draft per participant and saves the drafts.
+ */
+const ParticipantSplitPreview = ({ sources, onSaved }) => {
+  const [selected, setSelected] = useState(() => Object.fromEntries(
+    sources.map(source => [source.source, (source.participants || []).map(p => p.speaker)])
+  ));
+  const [expanded, setExpanded] = useState(null);
+  const [drafts, setDrafts] = useState([]);
+  const [isDrafting, setIsDrafting] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggleParticipant = (source, speaker) => {
+    setSelected(prev => {
+      const current = prev[source] || [];
+      return {
+        ...prev,
+        [source]: current.includes(speaker) ? current.filter(name => name !== speaker) : [...current, speaker]
+      };
+    });
+  };
+
+  const selectedCount = Object.values(selected).reduce((sum, names) => sum + names.length, 0);
+
+  const handleCreateDrafts = async () => {
+    try {
+      setIsDrafting(true);
+      const response = await api.post('/transcript/drafts', {
+        sources: sources
+          .filter(source => !source.error && (selected[source.source] || []).length > 0)
+          .map(source => ({
+            source: source.source,
+            format: source.format,
+            turns: source.turns,
+            participants: selected[source.source]
+          }))
+      }, { timeout: 300000 });
+
+      setDrafts(response.data.data.drafts);
+      if (response.data.data.failed > 0) {
+        toast.error(`${response.data.data.failed} draft(s) could not be built`);
+      } else {
+        toast.success(`Built ${response.data.data.drafts.length} persona drafts`);
+      }
+    } catch (error) {
+      console.error('Error building persona drafts:', error);
+      toast.error(error.response?.data?.error || 'Failed to build persona drafts');
+    } finally {
+      setIsDrafting(false);
+    }
+  };
+
+  const handleSaveDrafts = async () => {
+    try {
+      setIsSaving(true);
+      const response = await api.post('/transcript/drafts/save', { drafts });
+      toast.success(response.data.message);
+      if (onSaved) {
+        onSaved(response.data.data.agents);
+      }
+    } catch (error) {
+      console.error('Error saving persona drafts:', error);
+      toast.error(error.response?.data?.error || 'Failed to save persona drafts');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+        <UserGroupIcon className="w-5 h-5" />
+        <span>Participants</span>
+      </h3>
+
+      {sources.map(source => {
+        if (source.error) {
+          return (
+            <div key={source.source} className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {source.source}: {source.error}
+            </div>
+          );
+        }
+
+        const colorOf = (speaker) => {
+          const index = source.speakers.findIndex(s => s.name === speaker);
+          return SPEAKER_COLORS[index % SPEAKER_COLORS.length];
+        };
+
+        return (
+          <div key={source.source} className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+              <p className="font-medium text-gray-900">{source.source}</p>
+              <p className="text-xs text-gray-500">
+                {source.file_format && source.file_format !== 'text' ? `${source.file_format.toUpperCase()} · ` : ''}
+                {source.format} · {source.turns.length} turns
+                {source.interviewers.length > 0 && ` · Moderator: ${source.interviewers.join(', ')}`}
+              </p>
+            </div>
+
+            {source.participants.length === 0 ? (
+              <p className="text-sm text-gray-500">No respondents detected.</p>
+            ) : (
+              <div className="space-y-2">
+                {source.participants.map(participant => {
+                  const key = `${source.source}:${participant.speaker}`;
+                  const isOpen = expanded === key;
+                  const isSelected = (selected[source.source] || []).includes(participant.speaker);
+                  return (
+                    <div key={key} className="border border-gray-100 rounded-lg">
+                      <div className="flex items-center justify-between p-3">
+                        <label className="flex items-center space-x-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={isSelected}
+                            onChange={() => toggleParticipant(source.source, participant.speaker)}
+                          />
+                          <span className={`text-xs px-2 py-1 rounded-full ${colorOf(participant.speaker)}`}>
+                            {participant.speaker}
+                          </span>
+                          <span className="text-sm text-gray-600">{describeDemographics(participant.demographics)}</span>
+                        </label>
+                        <div className="flex items-center space-x-3">
+                          <div className="w-24 bg-gray-100 rounded-full h-2" title={`${Math.round(participant.share * 100)}% of respondent words`}>
+                            <div className="bg-blue-500 h-2 rounded-full" style={{ width: `${Math.round(participant.share * 100)}%` }} />
+                          </div>
+                          <span className="text-xs text-gray-500">{participant.turnIndexes.length} turns</span>
+                          <button onClick={() => setExpanded(isOpen ? null : key)} className="p-1 hover:bg-gray-100 rounded">
+                            {isOpen ? <ChevronDownIcon className="w-4 h-4" /> : <ChevronRightIcon className="w-4 h-4" />}
+                          </button>
+                        </div>
+                      </div>
+
+                      {isOpen && (
+                        <div className="border-t border-gray-100 p-3 max-h-64 overflow-y-auto space-y-2">
+                          {source.turns.map(turn => {
+                            const isOwn = participant.turnIndexes.includes(turn.index);
+                            return (
+                              <div key={turn.index} className={`text-sm ${isOwn ? 'text-gray-900' : 'text-gray-400'}`}>
+                                {turn.start && <span className="text-xs text-gray-400 mr-2">{turn.start}</span>}
+                                <span className={`text-xs px-1.5 py-0.5 rounded mr-2 ${colorOf(turn.speaker)}`}>{turn.speaker}</span>
+                                {turn.text}
+                              </div>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {drafts.length === 0 ? (
+        <div className="flex justify-center">
+          <button
+            onClick={handleCreateDrafts}
+            disabled={selectedCount === 0 || isDrafting}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-full px-6 py-2 font-semibold transition-colors flex items-center space-x-2"
+          >
+            <SparklesIcon className="w-5 h-5" />
+            <span>{isDrafting ? 'Building drafts...' : `Create ${selectedCount} persona draft(s)`}</span>
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">Persona Drafts</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {drafts.map(draft => (
+              <div key={`${draft.source}:${draft.participant}`} className="bg-white p-4 rounded-lg border border-gray-200 shadow-sm">
+                <h4 className="font-semibold text-gray-900">{draft.demographics?.name || draft.participant}</h4>
+                <p className="text-sm text-gray-600 mb-2">{describeDemographics(draft.demographics)}</p>
+                {draft.error ? (
+                  <p className="text-sm text-red-600 flex items-center space-x-1">
+                    <ExclamationTriangleIcon className="w-4 h-4" />
+                    <span>{draft.error}</span>
+                  </p>
+                ) : (
+                  <>
+                    <div className="flex flex-wrap gap-2 mb-2">
+                      {draft.behavioral_dna?.speech_patterns?.sentence_length && (
+                        <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">
+                          {draft.behavioral_dna.speech_patterns.sentence_length} sentences
+                        </span>
+                      )}
+                      {draft.behavioral_dna?.emotional_profile?.baseline && (
+                        <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">
+                          {draft.behavioral_dna.emotional_profile.baseline}
+                        </span>
+                      )}
+                      <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">{draft.turn_count} turns</span>
+                    </div>
+                    {(draft.quotes || []).slice(0, 3).map(quote => (
+                      <blockquote key={quote.quote} className="text-sm text-gray-700 border-l-2 border-gray-200 pl-2 mb-1">
+                        "{quote.quote}"
+                        {quote.start && <span className="text-xs text-gray-400 ml-1">{quote.start}</span>}
+                      </blockquote>
+                    ))}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={() => setDrafts([])}
+              className="px-6 py-2 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              Back to participants
+            </button>
+            <button
+              onClick={handleSaveDrafts}
+              disabled={isSaving || drafts.every(draft => draft.error)}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-full px-6 py-2 font-semibold transition-colors"
+            >
+              {isSaving ? 'Saving...' : `Save ${drafts.filter(draft => !draft.error).length} persona(s)`}
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default ParticipantSplitPreview;
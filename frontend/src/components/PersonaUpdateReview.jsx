@@ -0,0 +1,297 @@
+import React, { useState } from 'react';
+import {
+  XMarkIcon,
+  ArrowUpTrayIcon,
+  CheckIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { waitForJob } from '../utils/jobs';
+
+const KIND_STYLES = {
+  added: { label: 'Added', className: 'bg-green-100 text-green-800' },
+  extended: { label: 'New items', className: 'bg-blue-100 text-blue-800' },
+  changed: { label: 'Changed', className: 'bg-amber-100 text-amber-800' },
+  removed: { label: 'Removed', className: 'bg-red-100 text-red-800' }
+};
+
+const BASIS_LABELS = {
+  transcript: 'From transcript',
+  inferred: 'Inferred',
+  synthetic: 'No evidence'
+};
+
+const fieldLabel = (path) => path
+  .split('.')
+  .map(part => part.replace(/_/g, ' '))
+  .join(' › ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '—' : value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Changes backed by the new transcript start accepted; the rest need a look
+const defaultDecisions = (changes) => Object.fromEntries(
+  changes.map(change => [change.path, change.basis === 'transcript' ? 'accept' : 'reject'])
+);
+
+/**
+ * Upload a returning respondent's new transcript, review the merged fields
+ * one by one and save the accepted ones as a new persona version.
+ */
+const PersonaUpdateReview = ({ agent, isOpen, onClose, onApplied }) => {
+  const [transcript, setTranscript] = useState('');
+  const [filename, setFilename] = useState('');
+  const [status, setStatus] = useState(null);
+  const [proposal, setProposal] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [isWorking, setIsWorking] = useState(false);
+
+  if (!isOpen || !agent) return null;
+
+  const reset = () => {
+    setTranscript('');
+    setFilename('');
+    setStatus(null);
+    setProposal(null);
+    setDecisions({});
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setTranscript(String(reader.result || ''));
+      setFilename(file.name);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleMerge = async () => {
+    try {
+      setIsWorking(true);
+      setStatus('Queuing transcript…');
+      const response = await api.post(`/persona-updates/agents/${agent.id}`, {
+        transcript,
+        filename: filename || undefined
+      });
+
+      const job = await waitForJob(response.data.jobId, {
+        onProgress: (update, message) => setStatus(message || `Merge ${update.status}`)
+      });
+      if (job.status !== 'completed') {
+        throw new Error(job.items?.[0]?.error || `Merge ${job.status}`);
+      }
+      if (!job.result?.proposalId) {
+        toast.success('The new transcript adds nothing to this persona');
+        handleClose();
+        return;
+      }
+
+      const proposalResponse = await api.get(`/persona-updates/${job.result.proposalId}`);
+      setProposal(proposalResponse.data.proposal);
+      setDecisions(defaultDecisions(proposalResponse.data.proposal.changes));
+    } catch (error) {
+      console.error('Error merging transcript:', error);
+      toast.error(error.response?.data?.error || error.message || 'Failed to merge transcript');
+    } finally {
+      setIsWorking(false);
+      setStatus(null);
+    }
+  };
+
+  const setAll = (decision) => setDecisions(Object.fromEntries(proposal.changes.map(change => [change.path, decision])));
+
+  const acceptedCount = Object.values(decisions).filter(decision => decision === 'accept').length;
+
+  const handleApply = async () => {
+    try {
+      setIsWorking(true);
+      const response = await api.post(`/persona-updates/${proposal.id}/apply`, { decisions });
+      if (response.data.version) {
+        toast.success(`Saved as version ${response.data.version.version}`);
+      } else {
+        toast.success('All changes rejected; persona unchanged');
+      }
+      if (onApplied) onApplied(response.data);
+      handleClose();
+    } catch (error) {
+      console.error('Error applying persona update:', error);
+      toast.error(error.response?.data?.error || 'Failed to apply persona update');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    try {
+      await api.post(`/persona-updates/${proposal.id}/discard`);
+      toast.success('Update discarded');
+      handleClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to discard update');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-gray-100">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Update {agent.name} from a new transcript</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Currently version {agent.persona_version || 1}. Accepted changes become version {(agent.persona_version || 1) + 1}.
+            </p>
+          </div>
+          <button onClick={handleClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <XMarkIcon className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {!proposal ? (
+            <>
+              <label className="flex items-center justify-center gap-2 px-4 py-6 border-2 border-dashed border-gray-200 rounded-xl cursor-pointer hover:border-gray-400">
+                <ArrowUpTrayIcon className="w-5 h-5 text-gray-500" />
+                <span className="text-sm text-gray-700">{filename || 'Choose a transcript (TXT, VTT, SRT, meeting JSON)'}</span>
+                <input type="file" accept=".txt,.vtt,.srt,.json,.csv,.md" className="hidden" onChange={handleFile} />
+              </label>
+              <textarea
+                rows={8}
+                className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none"
+                placeholder="…or paste the transcript here"
+                value={transcript}
+                onChange={(e) => setTranscript(e.target.value)}
+              />
+              {status && <p className="text-sm text-gray-600">{status}</p>}
+            </>
+          ) : (
+            <>
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600">
+                  <DocumentTextIcon className="w-4 h-4 inline mr-1" />
+                  {proposal.changes.length} change(s) from {proposal.source_file}
+                </p>
+                <div className="flex gap-2 text-sm">
+                  <button onClick={() => setAll('accept')} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Accept all</button>
+                  <button onClick={() => setAll('reject')} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Reject all</button>
+                </div>
+              </div>
+
+              {proposal.changes.map(change => {
+                const kind = KIND_STYLES[change.kind] || KIND_STYLES.changed;
+                const decision = decisions[change.path];
+                return (
+                  <div
+                    key={change.path}
+                    className={`rounded-xl border p-4 ${decision === 'accept' ? 'border-green-300 bg-green-50/40' : 'border-gray-200'}`}
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <p className="font-medium text-gray-900 capitalize">{fieldLabel(change.path)}</p>
+                        <div className="flex gap-2 mt-1 text-xs">
+                          <span className={`px-2 py-0.5 rounded-full ${kind.className}`}>{kind.label}</span>
+                          <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                            {BASIS_LABELS[change.basis] || change.basis}
+                            {change.confidence !== null && change.confidence !== undefined && ` · ${Math.round(change.confidence * 100)}%`}
+                          </span>
+                        </div>
+                      </div>
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => setDecisions(prev => ({ ...prev, [change.path]: 'accept' }))}
+                          className={`px-3 py-1 rounded-lg text-sm ${decision === 'accept' ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => setDecisions(prev => ({ ...prev, [change.path]: 'reject' }))}
+                          className={`px-3 py-1 rounded-lg text-sm ${decision === 'reject' ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+
+                    {Array.isArray(change.addedItems) ? (
+                      <div className="mt-3 text-sm space-y-1">
+                        {(change.addedItems || []).map(item => (
+                          <p key={`+${formatValue(item)}`} className="text-green-700">+ {formatValue(item)}</p>
+                        ))}
+                        {(change.removedItems || []).map(item => (
+                          <p key={`-${formatValue(item)}`} className="text-red-700 line-through">− {formatValue(item)}</p>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
+                        <div>
+                          <p className="text-xs text-gray-500 mb-1">Current</p>
+                          <p className="text-gray-700">{formatValue(change.before)}</p>
+                        </div>
+                        <div>
+                          <p className="text-xs text-gray-500 mb-1">Proposed</p>
+                          <p className="text-gray-900">{formatValue(change.after)}</p>
+                        </div>
+                      </div>
+                    )}
+
+                    {(change.evidence || []).length > 0 && (
+                      <div className="mt-3 space-y-1">
+                        {change.evidence.slice(0, 3).map(evidence => (
+                          <p key={`${evidence.turnIndex}-${evidence.quote}`} className="text-xs text-gray-600 bg-white rounded-lg px-3 py-2 border border-gray-100">
+                            "{evidence.quote}"
+                            {evidence.start && <span className="text-gray-400"> · {evidence.start}</span>}
+                          </p>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-100">
+          {!proposal ? (
+            <button
+              onClick={handleMerge}
+              disabled={!transcript.trim() || isWorking}
+              className="px-5 py-2 rounded-lg bg-gray-900 text-white text-sm font-medium disabled:opacity-50"
+            >
+              {isWorking ? 'Merging…' : 'Merge transcript'}
+            </button>
+          ) : (
+            <>
+              <button onClick={handleDiscard} disabled={isWorking} className="px-5 py-2 rounded-lg bg-gray-100 text-gray-700 text-sm font-medium">
+                Discard
+              </button>
+              <button
+                onClick={handleApply}
+                disabled={isWorking}
+                className="flex items-center gap-1 px-5 py-2 rounded-lg bg-gray-900 text-white text-sm font-medium disabled:opacity-50"
+              >
+                <CheckIcon className="w-4 h-4" />
+                {acceptedCount > 0 ? `Save ${acceptedCount} change(s) as new version` : 'Reject all changes'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaUpdateReview;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  XMarkIcon,
+  ArrowUturnLeftIcon,
+  ArrowsRightLeftIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+
+const SOURCE_LABELS = {
+  initial: 'Original',
+  edit: 'Edited',
+  transcript_update: 'New transcript',
+  rollback: 'Rollback'
+};
+
+const KIND_STYLES = {
+  added: 'bg-green-100 text-green-800',
+  extended: 'bg-blue-100 text-blue-800',
+  changed: 'bg-amber-100 text-amber-800',
+  removed: 'bg-red-100 text-red-800'
+};
+
+const fieldLabel = (path) => path
+  .split('.')
+  .map(part => part.replace(/_/g, ' '))
+  .join(' › ');
+
+const formatJson = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+};
+
+const describe = (version) => {
+  const summary = version.change_summary || {};
+  if (version.change_source === 'rollback' && summary.restoredVersion) {
+    return `Restored version ${summary.restoredVersion}`;
+  }
+  if (summary.changedFields?.length) {
+    const fields = summary.changedFields.slice(0, 4).map(field => field.replace(/_/g, ' ')).join(', ');
+    return summary.changedFields.length > 4 ? `${fields} +${summary.changedFields.length - 4} more` : fields;
+  }
+  return version.change_source === 'initial' ? 'First recorded state' : '';
+};
+
+/**
+ * Version history of a persona: who changed what and when, a JSON diff
+ * between any two versions and one-click rollback.
+ * basePath is the persona's versions endpoint, e.g. /agents/v5/:id/versions
+ */
+const PersonaVersionHistory = ({ basePath, title, isOpen, onClose, onRolledBack }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get(basePath);
+      setVersions(response.data.versions);
+      setCurrentVersion(response.data.current_version);
+      setDiff(null);
+      if (response.data.versions.length > 1) {
+        setFrom(String(response.data.versions[1].version));
+        setTo(String(response.data.versions[0].version));
+      }
+    } catch (error) {
+      console.error('Error fetching persona versions:', error);
+      toast.error(error.response?.data?.error || 'Failed to load version history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    if (isOpen) fetchVersions();
+  }, [isOpen, fetchVersions]);
+
+  if (!isOpen) return null;
+
+  const handleCompare = async (fromVersion = from, toVersion = to) => {
+    try {
+      setIsWorking(true);
+      const response = await api.get(`${basePath}/diff`, { params: { from: fromVersion, to: toVersion || undefined } });
+      setDiff(response.data.diff);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to compare versions');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current state stays in the history.`)) return;
+    try {
+      setIsWorking(true);
+      const response = await api.post(`${basePath}/${version}/rollback`);
+      if (response.data.version) {
+        toast.success(`Restored version ${version} as version ${response.data.current_version}`);
+      } else {
+        toast.success(`Already matches version ${version}`);
+      }
+      await fetchVersions();
+      if (onRolledBack) onRolledBack(response.data);
+    } catch (error) {
+      console.error('Error rolling back persona:', error);
+      toast.error(error.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-2xl shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-gray-100">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Version history{title ? ` · ${title}` : ''}</h2>
+            {currentVersion && <p className="text-sm text-gray-500 mt-1">Currently version {currentVersion}</p>}
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <XMarkIcon className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading history…</p>
+          ) : versions.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes recorded yet. The first edit will start the history.</p>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {versions.map(version => (
+                  <div key={version.id} className="flex items-center justify-between gap-4 rounded-xl border border-gray-200 px-4 py-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">v{version.version}</span>
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                          {SOURCE_LABELS[version.change_source] || version.change_source}
+                        </span>
+                        {version.version === currentVersion && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Current</span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600 truncate mt-1">{describe(version)}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {new Date(version.created_at).toLocaleString()}
+                        {version.created_by && ` · ${version.created_by}`}
+                        {(version.source_files || []).length > 0 && ` · ${version.source_files.join(', ')}`}
+                      </p>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleCompare(String(version.version), '')}
+                        disabled={isWorking}
+                        className="px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      >
+                        vs current
+                      </button>
+                      {version.version !== currentVersion && (
+                        <button
+                          onClick={() => handleRollback(version.version)}
+                          disabled={isWorking}
+                          className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-900 text-white disabled:opacity-50"
+                        >
+                          <ArrowUturnLeftIcon className="w-4 h-4" />
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {versions.length > 1 && (
+                <div className="flex items-center gap-2 text-sm">
+                  <ArrowsRightLeftIcon className="w-4 h-4 text-gray-500" />
+                  <span className="text-gray-600">Compare</span>
+                  <select value={from} onChange={(e) => setFrom(e.target.value)} className="px-2 py-1 border border-gray-200 rounded-lg">
+                    {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+                  </select>
+                  <span className="text-gray-600">with</span>
+                  <select value={to} onChange={(e) => setTo(e.target.value)} className="px-2 py-1 border border-gray-200 rounded-lg">
+                    {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+                  </select>
+                  <button
+                    onClick={() => handleCompare()}
+                    disabled={isWorking || !from || !to}
+                    className="px-3 py-1 rounded-lg bg-gray-900 text-white disabled:opacity-50"
+                  >
+                    Show diff
+                  </button>
+                </div>
+              )}
+
+              {diff && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    v{diff.from} → v{diff.to}: {diff.changes.length === 0 ? 'no differences' : `${diff.changes.length} change(s)`}
+                  </p>
+                  {diff.changes.map(change => (
+                    <div key={change.path} className="rounded-xl border border-gray-200 p-4">
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium text-gray-900 capitalize">{fieldLabel(change.path)}</p>
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${KIND_STYLES[change.kind] || KIND_STYLES.changed}`}>{change.kind}</span>
+                      </div>
+                      <div className="mt-3 grid grid-cols-2 gap-3">
+                        <pre className="text-xs bg-red-50 text-red-900 rounded-lg p-3 whitespace-pre-wrap break-words">{formatJson(change.before)}</pre>
+                        <pre className="text-xs bg-green-50 text-green-900 rounded-lg p-3 whitespace-pre-wrap break-words">{formatJson(change.after)}</pre>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaVersionHistory;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Card, Button } from './design-system';
 import api from '../utils/api';
+import { waitForJob } from '../utils/jobs';
 
 const TranscriptUpload = ({ onUploadComplete }) => {
   const [isUploading, setIsUploading] = useState(false);
@@ -20,22 +21,29 @@ const TranscriptUpload = ({ onUploadComplete }) => {
       const formData = new FormData();
       formData.append('transcript', file);
 
-      // Simulate progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => Math.min(prev + 10, 90));
-      }, 200);
-
       const response = await api.post('/transcript-upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
 
-      clearInterval(progressInterval);
+      // Personas are generated by a background job; follow its progress
+      const job = await waitForJob(response.data.jobId, {
+        onProgress: (update) => setUploadProgress(update.progress),
+      });
       setUploadProgress(100);
 
-      setUploadResults(response.data);
-      onUploadComplete && onUploadComplete(response.data);
+      const { results = [], errors = [] } = job.result || {};
+      const summary = {
+        message: job.status === 'cancelled' ? 'Upload cancelled' : `Processed ${job.items.length} transcripts`,
+        successful: results.length,
+        failed: errors.length,
+        results,
+        errors,
+        jobId: job.id,
+      };
+      setUploadResults(summary);
+      onUploadComplete && onUploadComplete(summary);
 
       // Reset after 3 seconds
       setTimeout(() => {
@@ -118,7 +126,7 @@ const TranscriptUpload = ({ onUploadComplete }) => {
                   {isUploading ? 'Processing...' : 'Drop files here or click to upload'}
                 </p>
                 <p className="text-sm text-gray-500">
-                  Supports CSV, Excel (.xlsx), and text files
+                  Supports CSV, Excel (.xlsx), text, and VTT / SRT caption files
                 </p>
               </div>
 
@@ -134,7 +142,7 @@ const TranscriptUpload = ({ onUploadComplete }) => {
 
               <input
                 type="file"
-                accept=".csv,.xlsx,.xls,.txt,.json"
+                accept=".csv,.xlsx,.xls,.txt,.json,.vtt,.srt"
                 onChange={handleFileInput}
                 className="hidden"
                 id="file-upload"
@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  ArrowDownTrayIcon,
+  PlusIcon,
+  TrashIcon,
+  TagIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { AirbnbButton, AirbnbInput, AirbnbSpinner } from '../design-system/airbnb-components';
+import api from '../utils/api';
+
+const UNGROUPED = 'ungrouped';
+
+const COLOR_CLASSES = {
+  yellow: 'bg-yellow-50 border-yellow-200',
+  blue: 'bg-blue-50 border-blue-200',
+  green: 'bg-green-50 border-green-200',
+  pink: 'bg-pink-50 border-pink-200',
+  purple: 'bg-purple-50 border-purple-200',
+  orange: 'bg-orange-50 border-orange-200',
+  teal: 'bg-teal-50 border-teal-200',
+  red: 'bg-red-50 border-red-200'
+};
+
+// react-beautiful-dnd misses droppables registered during React 18 StrictMode's
+// double mount; render them one frame later
+const StrictModeDroppable = ({ children, ...props }) => {
+  const [enabled, setEnabled] = useState(false);
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => setEnabled(true));
+    return () => {
+      cancelAnimationFrame(frame);
+      setEnabled(false);
+    };
+  }, []);
+  return enabled ? <Droppable {...props}>{children}</Droppable> : null;
+};
+
+const NoteCard = ({ note, index, highlighted, onAddTag, onRemoveTag }) => {
+  const [tagInput, setTagInput] = useState('');
+  const [editingTag, setEditingTag] = useState(false);
+
+  const submitTag = (e) => {
+    e.preventDefault();
+    if (tagInput.trim()) onAddTag(note, tagInput.trim());
+    setTagInput('');
+    setEditingTag(false);
+  };
+
+  return (
+    <Draggable draggableId={note.id} index={index}>
+      {(provided, snapshot) => (
+        <div
+          ref={provided.innerRef}
+          {...provided.draggableProps}
+          {...provided.dragHandleProps}
+          className={`bg-white rounded-lg border p-3 mb-2 text-sm shadow-sm ${
+            snapshot.isDragging ? 'shadow-lg ring-2 ring-blue-300' : ''
+          } ${highlighted === false ? 'opacity-40' : ''}`}
+        >
+          <p className="text-gray-800">"{note.quote}"</p>
+          <p className="text-xs text-gray-500 mt-1">— {note.speaker || 'Unknown'}</p>
+          <div className="flex flex-wrap items-center gap-1 mt-2">
+            {(note.tags || []).map(tag => (
+              <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">
+                #{tag}
+                <button onClick={() => onRemoveTag(note, tag)} className="text-gray-400 hover:text-gray-700">
+                  <XMarkIcon className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            {editingTag ? (
+              <form onSubmit={submitTag}>
+                <input
+                  autoFocus
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onBlur={submitTag}
+                  className="px-2 py-0.5 text-xs border border-gray-200 rounded-full w-24 focus:outline-none"
+                  placeholder="tag"
+                />
+              </form>
+            ) : (
+              <button
+                onClick={() => setEditingTag(true)}
+                className="inline-flex items-center gap-1 text-xs text-gray-400 hover:text-gray-700"
+              >
+                <TagIcon className="w-3 h-3" />
+                tag
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </Draggable>
+  );
+};
+
+const AffinityBoard = () => {
+  const navigate = useNavigate();
+  const { boardId } = useParams();
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [tagFilter, setTagFilter] = useState('');
+  const [editingCluster, setEditingCluster] = useState(null);
+  const [labelDraft, setLabelDraft] = useState('');
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      const response = await api.get(`/affinity-boards/${boardId}`);
+      setBoard(response.data.board);
+    } catch (error) {
+      console.error('Error loading board:', error);
+      toast.error(error.response?.data?.error || 'Failed to load board');
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId]);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  const saveLayout = async (next) => {
+    try {
+      await api.put(`/affinity-boards/${boardId}/layout`, {
+        clusters: next.clusters.map(cluster => ({ id: cluster.id, noteIds: cluster.notes.map(note => note.id) })),
+        ungrouped: next.ungrouped.map(note => note.id)
+      });
+    } catch (error) {
+      console.error('Error saving layout:', error);
+      toast.error('Could not save the new arrangement');
+      fetchBoard();
+    }
+  };
+
+  const getList = (state, droppableId) => (
+    droppableId === UNGROUPED ? state.ungrouped : state.clusters.find(cluster => cluster.id === droppableId).notes
+  );
+
+  const handleDragEnd = ({ source, destination }) => {
+    if (!destination) return;
+    if (source.droppableId === destination.droppableId && source.index === destination.index) return;
+
+    const next = {
+      ...board,
+      clusters: board.clusters.map(cluster => ({ ...cluster, notes: [...cluster.notes] })),
+      ungrouped: [...board.ungrouped]
+    };
+    const [moved] = getList(next, source.droppableId).splice(source.index, 1);
+    getList(next, destination.droppableId).splice(destination.index, 0, moved);
+
+    setBoard(next);
+    saveLayout(next);
+  };
+
+  const handleAddCluster = async () => {
+    try {
+      const response = await api.post(`/affinity-boards/${boardId}/clusters`, { label: 'New cluster' });
+      setBoard(prev => ({ ...prev, clusters: [...prev.clusters, response.data.cluster] }));
+      setEditingCluster(response.data.cluster.id);
+      setLabelDraft(response.data.cluster.label);
+    } catch (error) {
+      console.error('Error adding cluster:', error);
+      toast.error('Failed to add cluster');
+    }
+  };
+
+  const handleRename = async (cluster) => {
+    setEditingCluster(null);
+    const label = labelDraft.trim();
+    if (!label || label === cluster.label) return;
+
+    setBoard(prev => ({
+      ...prev,
+      clusters: prev.clusters.map(c => (c.id === cluster.id ? { ...c, label } : c))
+    }));
+    try {
+      await api.patch(`/affinity-boards/${boardId}/clusters/${cluster.id}`, { label });
+    } catch (error) {
+      console.error('Error renaming cluster:', error);
+      toast.error('Failed to rename cluster');
+      fetchBoard();
+    }
+  };
+
+  const handleDeleteCluster = async (cluster) => {
+    try {
+      await api.delete(`/affinity-boards/${boardId}/clusters/${cluster.id}`);
+      setBoard(prev => ({
+        ...prev,
+        clusters: prev.clusters.filter(c => c.id !== cluster.id),
+        ungrouped: [...prev.ungrouped, ...cluster.notes]
+      }));
+    } catch (error) {
+      console.error('Error deleting cluster:', error);
+      toast.error('Failed to delete cluster');
+    }
+  };
+
+  const updateNoteTags = async (note, tags) => {
+    const apply = (notes) => notes.map(n => (n.id === note.id ? { ...n, tags } : n));
+    setBoard(prev => ({
+      ...prev,
+      clusters: prev.clusters.map(cluster => ({ ...cluster, notes: apply(cluster.notes) })),
+      ungrouped: apply(prev.ungrouped)
+    }));
+    try {
+      await api.patch(`/affinity-boards/${boardId}/notes/${note.id}`, { tags });
+    } catch (error) {
+      console.error('Error tagging note:', error);
+      toast.error('Failed to update tags');
+      fetchBoard();
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await api.get(`/affinity-boards/${boardId}/export`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const extension = { json: 'json', csv: 'csv', markdown: 'md' }[format];
+      const url = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `affinity-board.${extension}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error('Export failed');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <AirbnbSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!board) {
+    return (
+      <div className="max-w-7xl mx-auto px-6 py-8 text-center text-gray-500">Board not found</div>
+    );
+  }
+
+  const filter = tagFilter.trim().toLowerCase().replace(/^#/, '');
+  const isHighlighted = (note) => (filter ? (note.tags || []).some(tag => tag.includes(filter)) : undefined);
+
+  const renderColumn = (id, title, notes, cluster = null) => (
+    <div
+      key={id}
+      className={`flex-shrink-0 w-72 rounded-xl border p-3 ${cluster ? COLOR_CLASSES[cluster.color] || 'bg-gray-50 border-gray-200' : 'bg-gray-100 border-gray-200'}`}
+    >
+      <div className="flex items-center justify-between mb-3 gap-2">
+        {cluster && editingCluster === cluster.id ? (
+          <AirbnbInput
+            autoFocus
+            value={labelDraft}
+            onChange={(e) => setLabelDraft(e.target.value)}
+            onBlur={() => handleRename(cluster)}
+            onKeyDown={(e) => e.key === 'Enter' && handleRename(cluster)}
+          />
+        ) : (
+          <h3
+            className={`font-semibold text-gray-900 text-sm ${cluster ? 'cursor-text' : ''}`}
+            title={cluster?.suggested_label && cluster.suggested_label !== cluster.label ? `Suggested: ${cluster.suggested_label}` : undefined}
+            onClick={() => {
+              if (!cluster) return;
+              setEditingCluster(cluster.id);
+              setLabelDraft(cluster.label);
+            }}
+          >
+            {title} <span className="text-gray-500 font-normal">({notes.length})</span>
+          </h3>
+        )}
+        {cluster && (
+          <button onClick={() => handleDeleteCluster(cluster)} className="text-gray-400 hover:text-red-600" title="Remove cluster">
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      <StrictModeDroppable droppableId={id}>
+        {(provided, snapshot) => (
+          <div
+            ref={provided.innerRef}
+            {...provided.droppableProps}
+            className={`min-h-[80px] rounded-lg transition-colors ${snapshot.isDraggingOver ? 'bg-white/60' : ''}`}
+          >
+            {notes.map((note, index) => (
+              <NoteCard
+                key={note.id}
+                note={note}
+                index={index}
+                highlighted={isHighlighted(note)}
+                onAddTag={(n, tag) => updateNoteTags(n, [...new Set([...(n.tags || []), tag.toLowerCase()])])}
+                onRemoveTag={(n, tag) => updateNoteTags(n, (n.tags || []).filter(t => t !== tag))}
+              />
+            ))}
+            {provided.placeholder}
+          </div>
+        )}
+      </StrictModeDroppable>
+    </div>
+  );
+
+  return (
+    <div className="px-6 py-8">
+      <button
+        onClick={() => navigate('/user-research/affinity')}
+        className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900 mb-4"
+      >
+        <ArrowLeftIcon className="w-4 h-4" />
+        Affinity Maps
+      </button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">{board.title}</h1>
+          <p className="text-gray-500 mt-1">
+            From {(board.sources || []).map(source => source.title).join(', ')}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <AirbnbInput
+            placeholder="Filter by #tag"
+            value={tagFilter}
+            onChange={(e) => setTagFilter(e.target.value)}
+            className="w-40"
+          />
+          <AirbnbButton variant="outline" size="sm" onClick={handleAddCluster}>
+            <PlusIcon className="w-4 h-4 mr-1 inline" />
+            Cluster
+          </AirbnbButton>
+          {['json', 'csv', 'markdown'].map(format => (
+            <AirbnbButton key={format} variant="outline" size="sm" onClick={() => handleExport(format)}>
+              <ArrowDownTrayIcon className="w-4 h-4 mr-1 inline" />
+              {format === 'markdown' ? 'Markdown' : format.toUpperCase()}
+            </AirbnbButton>
+          ))}
+        </div>
+      </div>
+
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <div className="flex gap-4 overflow-x-auto pb-4 items-start">
+          {board.clusters.map(cluster => renderColumn(cluster.id, cluster.label, cluster.notes, cluster))}
+          {renderColumn(UNGROUPED, 'Ungrouped', board.ungrouped)}
+        </div>
+      </DragDropContext>
+    </div>
+  );
+};
+
+export default AffinityBoard;
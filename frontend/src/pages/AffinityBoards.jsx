@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  RectangleGroupIcon,
+  SparklesIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { AirbnbButton, AirbnbCard, AirbnbInput, AirbnbBadge, AirbnbSpinner, AirbnbEmptyState } from '../design-system/airbnb-components';
+import api from '../utils/api';
+
+const AffinityBoards = () => {
+  const navigate = useNavigate();
+  const [boards, setBoards] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [savedConversations, setSavedConversations] = useState([]);
+  const [selectedSessions, setSelectedSessions] = useState([]);
+  const [selectedConversations, setSelectedConversations] = useState([]);
+  const [title, setTitle] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [boardsRes, sessionsRes, savedRes] = await Promise.all([
+          api.get('/affinity-boards'),
+          api.get('/sessions', { params: { limit: 50 } }),
+          api.get('/chat/saved-conversations', { params: { limit: 50 } }).catch(() => ({ data: {} }))
+        ]);
+        setBoards(boardsRes.data.boards || []);
+        setSessions(sessionsRes.data.sessions || []);
+        setSavedConversations(savedRes.data.conversations || []);
+      } catch (error) {
+        console.error('Error loading affinity boards:', error);
+        toast.error('Failed to load affinity boards');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const toggle = (list, setList, id) => {
+    setList(list.includes(id) ? list.filter(item => item !== id) : [...list, id]);
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const response = await api.post('/affinity-boards', {
+        title: title.trim() || undefined,
+        sessionIds: selectedSessions,
+        savedConversationIds: selectedConversations
+      });
+      toast.success(`Board created with ${response.data.board.clusters.length} clusters`);
+      navigate(`/user-research/affinity/${response.data.board.id}`);
+    } catch (error) {
+      console.error('Error generating board:', error);
+      toast.error(error.response?.data?.error || 'Failed to generate board');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleDelete = async (boardId) => {
+    try {
+      await api.delete(`/affinity-boards/${boardId}`);
+      setBoards(prev => prev.filter(board => board.id !== boardId));
+      toast.success('Board deleted');
+    } catch (error) {
+      console.error('Error deleting board:', error);
+      toast.error('Failed to delete board');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <AirbnbSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const selectedCount = selectedSessions.length + selectedConversations.length;
+
+  return (
+    <div className="max-w-7xl mx-auto px-6 py-8">
+      <button
+        onClick={() => navigate('/user-research')}
+        className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900 mb-4"
+      >
+        <ArrowLeftIcon className="w-4 h-4" />
+        User Research
+      </button>
+
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Affinity Maps</h1>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* New board */}
+        <div className="lg:col-span-2">
+          <AirbnbCard padding="lg">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">New board from conversations</h2>
+            <AirbnbInput
+              placeholder="Board title (optional)"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+            />
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Research sessions</h3>
+                <div className="max-h-80 overflow-y-auto space-y-2">
+                  {sessions.length === 0 && <p className="text-sm text-gray-500">No sessions yet</p>}
+                  {sessions.map(session => (
+                    <label key={session.id} className="flex items-start gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={selectedSessions.includes(session.id)}
+                        onChange={() => toggle(selectedSessions, setSelectedSessions, session.id)}
+                      />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{session.topic}</p>
+                        <p className="text-xs text-gray-500">
+                          {session.type} · {session.message_count || 0} messages · {new Date(session.created_at).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Saved chat conversations</h3>
+                <div className="max-h-80 overflow-y-auto space-y-2">
+                  {savedConversations.length === 0 && <p className="text-sm text-gray-500">No saved conversations</p>}
+                  {savedConversations.map(conversation => (
+                    <label key={conversation.id} className="flex items-start gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={selectedConversations.includes(conversation.id)}
+                        onChange={() => toggle(selectedConversations, setSelectedConversations, conversation.id)}
+                      />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {(conversation.participants || []).join(', ') || `Conversation ${conversation.id}`}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {(conversation.messages || []).length} messages · {new Date(conversation.createdAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end mt-6">
+              <AirbnbButton
+                variant="primary"
+                disabled={selectedCount === 0 || generating}
+                loading={generating}
+                onClick={handleGenerate}
+              >
+                <SparklesIcon className="w-4 h-4 mr-1 inline" />
+                Generate board ({selectedCount})
+              </AirbnbButton>
+            </div>
+          </AirbnbCard>
+        </div>
+
+        {/* Existing boards */}
+        <div>
+          <AirbnbCard padding="lg">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Boards</h2>
+            {boards.length === 0 ? (
+              <AirbnbEmptyState
+                icon={RectangleGroupIcon}
+                title="No boards yet"
+                description="Select sessions or saved chats to extract and group quotes."
+              />
+            ) : (
+              <div className="space-y-3">
+                {boards.map(board => (
+                  <div
+                    key={board.id}
+                    className="p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
+                    onClick={() => navigate(`/user-research/affinity/${board.id}`)}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <h4 className="font-medium text-gray-900 text-sm">{board.title}</h4>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleDelete(board.id); }}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete board"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <div className="flex items-center gap-2 mt-2">
+                      <AirbnbBadge size="sm">{board.cluster_count} clusters</AirbnbBadge>
+                      <span className="text-xs text-gray-500">
+                        {board.note_count} quotes · {new Date(board.updated_at).toLocaleDateString()}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </AirbnbCard>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AffinityBoards;
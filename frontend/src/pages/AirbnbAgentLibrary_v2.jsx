@@ -693,6 +693,10 @@ const AirbnbAgentLibrary_v2 = () => {
         onClose={handleCloseModal}
         onChat={handleModalChat}
         onAudio={handleModalAudio}
+        onUpdated={() => {
+          handleCloseModal();
+          fetchAgents();
+        }}
       />
 
       {/* Enhanced Generate User Modal */}
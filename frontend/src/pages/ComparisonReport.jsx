@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  ArrowDownTrayIcon,
+  DocumentTextIcon,
+  TableCellsIcon,
+  SparklesIcon
+} from '@heroicons/react/24/outline';
+import { AirbnbButton, AirbnbCard, AirbnbBadge, AirbnbSpinner, AirbnbEmptyState } from '../design-system/airbnb-components';
+import api from '../utils/api';
+
+const STANCE_VARIANTS = {
+  positive: 'success',
+  negative: 'error',
+  confused: 'warning',
+  neutral: 'default'
+};
+
+const BREAKDOWN_TITLES = {
+  location: 'Location',
+  english_savvy: 'English savvy',
+  age_band: 'Age band'
+};
+
+const STANCES = ['positive', 'negative', 'confused', 'neutral'];
+
+const ComparisonReport = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [classify, setClassify] = useState('lexicon');
+
+  const runIds = searchParams.get('runIds') || '';
+  const sessionId = searchParams.get('sessionId') || '';
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/ai/parallel/comparison-report', {
+        params: { runIds: runIds || undefined, sessionId: sessionId || undefined, classify }
+      });
+      setReport(response.data.report);
+    } catch (error) {
+      console.error('Error loading comparison report:', error);
+      setReport(null);
+      if (error.response?.status !== 404) {
+        toast.error(error.response?.data?.error || 'Failed to load comparison report');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [runIds, sessionId, classify]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleExport = async (format) => {
+    try {
+      const response = await api.get('/ai/parallel/comparison-report', {
+        params: { runIds: runIds || undefined, sessionId: sessionId || undefined, classify, format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `persona-comparison.${format === 'csv' ? 'csv' : 'md'}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error('Export failed');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <AirbnbSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-6 py-8">
+      <button
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900 mb-4"
+      >
+        <ArrowLeftIcon className="w-4 h-4" />
+        Back
+      </button>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Persona Comparison</h1>
+          {report && (
+            <p className="text-gray-500 mt-1">
+              {report.questions.length} question(s) · {report.personas.length} persona(s)
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <AirbnbButton
+            variant={classify === 'llm' ? 'primary' : 'outline'}
+            size="sm"
+            onClick={() => setClassify(classify === 'llm' ? 'lexicon' : 'llm')}
+          >
+            <SparklesIcon className="w-4 h-4 mr-1 inline" />
+            {classify === 'llm' ? 'AI stance' : 'Keyword stance'}
+          </AirbnbButton>
+          <AirbnbButton variant="outline" size="sm" disabled={!report} onClick={() => handleExport('csv')}>
+            <TableCellsIcon className="w-4 h-4 mr-1 inline" />
+            CSV
+          </AirbnbButton>
+          <AirbnbButton variant="outline" size="sm" disabled={!report} onClick={() => handleExport('markdown')}>
+            <ArrowDownTrayIcon className="w-4 h-4 mr-1 inline" />
+            Markdown
+          </AirbnbButton>
+        </div>
+      </div>
+
+      {!report ? (
+        <AirbnbEmptyState
+          icon={DocumentTextIcon}
+          title="No answers to compare yet"
+          description="Ask the same question to several agents in a group chat, then open the comparison again."
+        />
+      ) : (
+        <>
+          {/* Overall stance */}
+          <div className="flex flex-wrap gap-2 mb-6">
+            {STANCES.map(stance => (
+              <AirbnbBadge key={stance} variant={STANCE_VARIANTS[stance]} size="md">
+                {stance} · {report.stanceTotals[stance]}
+              </AirbnbBadge>
+            ))}
+          </div>
+
+          {/* Question × persona matrix */}
+          <AirbnbCard padding="sm" className="overflow-x-auto mb-8">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left font-semibold text-gray-700 px-4 py-3 w-64">Question</th>
+                  {report.personas.map(persona => (
+                    <th key={persona.agentId} className="text-left font-semibold text-gray-700 px-4 py-3 min-w-[240px]">
+                      <div>{persona.name}</div>
+                      <div className="text-xs font-normal text-gray-500">
+                        {persona.location} · {persona.english_savvy} English · {persona.age_band}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.matrix.map(row => (
+                  <tr key={row.questionId} className="border-t border-gray-100 align-top">
+                    <td className="px-4 py-3 font-medium text-gray-900">{row.question}</td>
+                    {row.cells.map((cell, index) => (
+                      <td key={report.personas[index].agentId} className="px-4 py-3">
+                        {cell ? (
+                          <>
+                            <AirbnbBadge variant={STANCE_VARIANTS[cell.stance]} className="mb-2">
+                              {cell.stance}
+                            </AirbnbBadge>
+                            <p className="text-gray-700 whitespace-pre-line">{cell.response}</p>
+                          </>
+                        ) : (
+                          <span className="text-gray-400 italic">No answer</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </AirbnbCard>
+
+          {/* Demographic breakdowns */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {Object.entries(BREAKDOWN_TITLES).map(([field, title]) => (
+              <AirbnbCard key={field}>
+                <h3 className="font-semibold text-gray-900 mb-3">{title}</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-medium pb-2">Group</th>
+                      {STANCES.map(stance => (
+                        <th key={stance} className="text-right font-medium pb-2 capitalize">{stance}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.breakdowns[field].map(group => (
+                      <tr key={group.group} className="border-t border-gray-100">
+                        <td className="py-2 text-gray-900">{group.group}</td>
+                        {STANCES.map(stance => (
+                          <td key={stance} className="py-2 text-right text-gray-700">{group[stance]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </AirbnbCard>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonReport;
@@ -312,6 +312,38 @@ const Dashboard = () => {
                                 </div>
                             </div>
                         )}
+
+                        {/* Weekly Theme Trends */}
+                        {analytics.trends?.themes && analytics.trends.themes.length > 0 && (
+                            <div className="mt-8">
+                                <h2 className="text-xl font-semibold text-gray-900 mb-6">Theme Trends</h2>
+                                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+                                    {analytics.trends.themes.map((theme) => {
+                                        const peak = Math.max(...theme.series.map(point => point.count), 1);
+                                        return (
+                                            <div key={theme.id} className="flex items-center gap-4">
+                                                <span className="w-48 text-sm font-medium text-gray-900 truncate">{theme.name}</span>
+                                                <div className="flex-1 flex items-end gap-1 h-8">
+                                                    {theme.series.map(point => (
+                                                        <div
+                                                            key={point.period}
+                                                            title={`Week of ${new Date(point.period).toLocaleDateString()}: ${point.count}`}
+                                                            className="flex-1 bg-blue-500 rounded-t"
+                                                            style={{ height: `${Math.max((point.count / peak) * 100, 4)}%` }}
+                                                        />
+                                                    ))}
+                                                </div>
+                                                <span className={`w-16 text-right text-sm ${
+                                                    theme.change > 0 ? 'text-green-600' : theme.change < 0 ? 'text-red-600' : 'text-gray-500'
+                                                }`}>
+                                                    {theme.change === null ? 'new' : `${theme.change > 0 ? '+' : ''}${theme.change}%`}
+                                                </span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        )}
                     </>
                 ) : (
                     <div className="text-center py-12">
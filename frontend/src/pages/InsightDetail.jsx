@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  ArrowTopRightOnSquareIcon,
+  ExclamationTriangleIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import {
+  AirbnbButton,
+  AirbnbCard,
+  AirbnbInput,
+  AirbnbTextarea,
+  AirbnbBadge,
+  AirbnbSpinner
+} from '../design-system/airbnb-components';
+import api from '../utils/api';
+import { CONFIDENCE_VARIANTS, EVIDENCE_TYPE_LABELS } from './InsightRepository';
+
+const SOURCE_STATUS = {
+  changed: { variant: 'warning', label: 'Source edited since linking' },
+  missing: { variant: 'error', label: 'Source deleted' },
+  unavailable: { variant: 'error', label: 'Source unavailable' }
+};
+
+const EMPTY_EVIDENCE = { type: 'session_turn', sourceId: '', sourceRef: '', excerpt: '', note: '' };
+
+const sourceLink = (evidence) => {
+  if (evidence.evidence_type === 'session_turn') return `/user-research/session/${evidence.source_id}`;
+  if (evidence.evidence_type === 'feedback_item') return '/design-feedback';
+  return null;
+};
+
+const InsightDetail = () => {
+  const navigate = useNavigate();
+  const { insightId } = useParams();
+  const [insight, setInsight] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showEvidenceForm, setShowEvidenceForm] = useState(false);
+  const [evidenceForm, setEvidenceForm] = useState(EMPTY_EVIDENCE);
+
+  const fetchInsight = useCallback(async () => {
+    try {
+      const response = await api.get(`/insights/${insightId}`);
+      setInsight(response.data.insight);
+    } catch (error) {
+      console.error('Error loading insight:', error);
+      toast.error(error.response?.data?.error || 'Failed to load insight');
+    } finally {
+      setLoading(false);
+    }
+  }, [insightId]);
+
+  useEffect(() => {
+    fetchInsight();
+  }, [fetchInsight]);
+
+  const updateField = async (field, value) => {
+    try {
+      const response = await api.put(`/insights/${insightId}`, { [field]: value });
+      setInsight(prev => ({ ...response.data.insight, evidence: prev.evidence }));
+    } catch (error) {
+      console.error('Error updating insight:', error);
+      toast.error(error.response?.data?.error || 'Failed to update insight');
+    }
+  };
+
+  const handleAddEvidence = async () => {
+    try {
+      await api.post(`/insights/${insightId}/evidence`, {
+        type: evidenceForm.type,
+        sourceId: evidenceForm.sourceId.trim(),
+        sourceRef: evidenceForm.sourceRef.trim() || undefined,
+        excerpt: evidenceForm.excerpt.trim() || undefined,
+        note: evidenceForm.note.trim() || undefined
+      });
+      toast.success('Evidence linked');
+      setEvidenceForm(EMPTY_EVIDENCE);
+      setShowEvidenceForm(false);
+      fetchInsight();
+    } catch (error) {
+      console.error('Error adding evidence:', error);
+      toast.error(error.response?.data?.error || 'Failed to add evidence');
+    }
+  };
+
+  const handleRemoveEvidence = async (evidenceId) => {
+    try {
+      await api.delete(`/insights/${insightId}/evidence/${evidenceId}`);
+      setInsight(prev => ({ ...prev, evidence: prev.evidence.filter(e => e.id !== evidenceId) }));
+    } catch (error) {
+      console.error('Error removing evidence:', error);
+      toast.error('Failed to remove evidence');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await api.delete(`/insights/${insightId}`);
+      toast.success('Insight deleted');
+      navigate('/insights');
+    } catch (error) {
+      console.error('Error deleting insight:', error);
+      toast.error('Failed to delete insight');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <AirbnbSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!insight) {
+    return <div className="max-w-5xl mx-auto px-6 py-8 text-center text-gray-500">Insight not found</div>;
+  }
+
+  const selectClass = 'px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none';
+  const sourceRefPlaceholder = {
+    session_turn: 'Turn index (e.g. 4)',
+    transcript_excerpt: 'Source file or character range (optional)',
+    chat_message: 'Not needed',
+    feedback_item: 'Not needed'
+  }[evidenceForm.type];
+
+  return (
+    <div className="max-w-5xl mx-auto px-6 py-8">
+      <button
+        onClick={() => navigate('/insights')}
+        className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900 mb-4"
+      >
+        <ArrowLeftIcon className="w-4 h-4" />
+        Insights
+      </button>
+
+      <AirbnbCard padding="lg" className="mb-8">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{insight.title}</h1>
+            <p className="text-gray-700 mt-3 whitespace-pre-line">{insight.statement}</p>
+          </div>
+          <button onClick={handleDelete} className="text-gray-400 hover:text-red-600" title="Delete insight">
+            <TrashIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mt-6">
+          <select className={selectClass} value={insight.confidence} onChange={(e) => updateField('confidence', e.target.value)}>
+            <option value="high">High confidence</option>
+            <option value="medium">Medium confidence</option>
+            <option value="low">Low confidence</option>
+          </select>
+          <select className={selectClass} value={insight.status} onChange={(e) => updateField('status', e.target.value)}>
+            <option value="draft">Draft</option>
+            <option value="validated">Validated</option>
+            <option value="archived">Archived</option>
+          </select>
+          <AirbnbBadge variant={CONFIDENCE_VARIANTS[insight.confidence]}>{insight.confidence}</AirbnbBadge>
+          {insight.product_name && <AirbnbBadge variant="primary">{insight.product_name}</AirbnbBadge>}
+          {insight.prd_title && <AirbnbBadge variant="secondary">PRD: {insight.prd_title}</AirbnbBadge>}
+          {(insight.tags || []).map(tag => (
+            <span key={tag} className="px-2 py-0.5 bg-gray-100 rounded-full text-xs text-gray-700">#{tag}</span>
+          ))}
+        </div>
+      </AirbnbCard>
+
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Evidence ({insight.evidence.length})</h2>
+        <AirbnbButton variant="outline" size="sm" onClick={() => setShowEvidenceForm(!showEvidenceForm)}>
+          <PlusIcon className="w-4 h-4 mr-1 inline" />
+          Link evidence
+        </AirbnbButton>
+      </div>
+
+      {showEvidenceForm && (
+        <AirbnbCard className="mb-6 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              className={selectClass}
+              value={evidenceForm.type}
+              onChange={(e) => setEvidenceForm({ ...evidenceForm, type: e.target.value })}
+            >
+              {Object.entries(EVIDENCE_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+            <AirbnbInput
+              placeholder={evidenceForm.type === 'transcript_excerpt' ? 'Persona or upload ID' : 'Source ID'}
+              value={evidenceForm.sourceId}
+              onChange={(e) => setEvidenceForm({ ...evidenceForm, sourceId: e.target.value })}
+            />
+            <AirbnbInput
+              placeholder={sourceRefPlaceholder}
+              disabled={['chat_message', 'feedback_item'].includes(evidenceForm.type)}
+              value={evidenceForm.sourceRef}
+              onChange={(e) => setEvidenceForm({ ...evidenceForm, sourceRef: e.target.value })}
+            />
+          </div>
+          <AirbnbTextarea
+            rows={3}
+            placeholder={evidenceForm.type === 'transcript_excerpt' ? 'Paste the transcript excerpt' : 'Excerpt (optional — defaults to the source text)'}
+            value={evidenceForm.excerpt}
+            onChange={(e) => setEvidenceForm({ ...evidenceForm, excerpt: e.target.value })}
+          />
+          <AirbnbInput
+            placeholder="Note (optional)"
+            value={evidenceForm.note}
+            onChange={(e) => setEvidenceForm({ ...evidenceForm, note: e.target.value })}
+          />
+          <div className="flex justify-end">
+            <AirbnbButton variant="primary" size="sm" disabled={!evidenceForm.sourceId.trim()} onClick={handleAddEvidence}>
+              Link
+            </AirbnbButton>
+          </div>
+        </AirbnbCard>
+      )}
+
+      {insight.evidence.length === 0 ? (
+        <p className="text-gray-500 text-sm">No evidence linked yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {insight.evidence.map(evidence => {
+            const link = sourceLink(evidence);
+            const status = SOURCE_STATUS[evidence.source_status];
+            return (
+              <AirbnbCard key={evidence.id}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <AirbnbBadge>{EVIDENCE_TYPE_LABELS[evidence.evidence_type]}</AirbnbBadge>
+                    {evidence.speaker && <span className="text-sm font-medium text-gray-900">{evidence.speaker}</span>}
+                    {evidence.source?.context && <span className="text-xs text-gray-500">in "{evidence.source.context}"</span>}
+                    {status && (
+                      <AirbnbBadge variant={status.variant}>
+                        <ExclamationTriangleIcon className="w-3 h-3 mr-1 inline" />
+                        {status.label}
+                      </AirbnbBadge>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {link && (
+                      <Link to={link} className="text-gray-400 hover:text-gray-700" title="Open source">
+                        <ArrowTopRightOnSquareIcon className="w-4 h-4" />
+                      </Link>
+                    )}
+                    <button onClick={() => handleRemoveEvidence(evidence.id)} className="text-gray-400 hover:text-red-600" title="Unlink">
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <blockquote className="mt-3 pl-4 border-l-4 border-gray-200 text-gray-700 whitespace-pre-line">
+                  {evidence.excerpt}
+                </blockquote>
+                {evidence.source_status === 'changed' && evidence.source?.excerpt && (
+                  <p className="mt-2 text-xs text-gray-500">Now reads: {evidence.source.excerpt}</p>
+                )}
+                {evidence.note && <p className="mt-2 text-sm text-gray-500 italic">{evidence.note}</p>}
+                <p className="mt-2 text-xs text-gray-400">
+                  {evidence.source_id}{evidence.source_ref ? ` · ${evidence.source_ref}` : ''} · linked {new Date(evidence.created_at).toLocaleDateString()}
+                </p>
+              </AirbnbCard>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InsightDetail;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import {
+  LightBulbIcon,
+  MagnifyingGlassIcon,
+  PlusIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import {
+  AirbnbButton,
+  AirbnbCard,
+  AirbnbInput,
+  AirbnbTextarea,
+  AirbnbBadge,
+  AirbnbSpinner,
+  AirbnbEmptyState
+} from '../design-system/airbnb-components';
+import api from '../utils/api';
+
+export const CONFIDENCE_VARIANTS = {
+  high: 'success',
+  medium: 'warning',
+  low: 'default'
+};
+
+export const EVIDENCE_TYPE_LABELS = {
+  chat_message: 'Chat message',
+  session_turn: 'Session turn',
+  transcript_excerpt: 'Transcript excerpt',
+  feedback_item: 'Design feedback'
+};
+
+const EMPTY_FORM = { title: '', statement: '', confidence: 'medium', tags: '', productId: '', prdId: '' };
+
+const InsightRepository = () => {
+  const navigate = useNavigate();
+  const [insights, setInsights] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [prds, setPrds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ search: '', tag: '', productId: '', confidence: '', status: '', evidenceType: '' });
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchInsights = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {
+        search: filters.search || undefined,
+        tags: filters.tag || undefined,
+        productId: filters.productId || undefined,
+        confidence: filters.confidence || undefined,
+        status: filters.status || undefined,
+        evidenceType: filters.evidenceType || undefined,
+        limit: 50
+      };
+      const response = await api.get('/insights', { params });
+      setInsights(response.data.insights || []);
+      setTotal(response.data.total || 0);
+    } catch (error) {
+      console.error('Error loading insights:', error);
+      toast.error('Failed to load insights');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchInsights, 250);
+    return () => clearTimeout(timer);
+  }, [fetchInsights]);
+
+  useEffect(() => {
+    api.get('/insights/tags').then(res => setTags(res.data.tags || [])).catch(() => {});
+    api.get('/products').then(res => setProducts(res.data || [])).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!form.productId) {
+      setPrds([]);
+      return;
+    }
+    api.get(`/prds/product/${form.productId}`)
+      .then(res => setPrds(Array.isArray(res.data) ? res.data : []))
+      .catch(() => setPrds([]));
+  }, [form.productId]);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const response = await api.post('/insights', {
+        title: form.title,
+        statement: form.statement,
+        confidence: form.confidence,
+        tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        productId: form.productId || null,
+        prdId: form.prdId || null
+      });
+      toast.success('Insight created');
+      setShowCreate(false);
+      setForm(EMPTY_FORM);
+      navigate(`/insights/${response.data.insight.id}`);
+    } catch (error) {
+      console.error('Error creating insight:', error);
+      toast.error(error.response?.data?.error || 'Failed to create insight');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none';
+
+  return (
+    <div className="max-w-7xl mx-auto px-6 py-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Insights</h1>
+          <p className="text-gray-500 mt-1">{total} insight(s) backed by chats, sessions, transcripts and design feedback</p>
+        </div>
+        <AirbnbButton variant="primary" onClick={() => setShowCreate(true)}>
+          <PlusIcon className="w-4 h-4 mr-1 inline" />
+          New insight
+        </AirbnbButton>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Filters */}
+        <div className="space-y-4">
+          <div className="relative">
+            <MagnifyingGlassIcon className="w-5 h-5 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <AirbnbInput
+              className="pl-10"
+              placeholder="Search insights"
+              value={filters.search}
+              onChange={(e) => setFilter('search', e.target.value)}
+            />
+          </div>
+          <select className={selectClass} value={filters.productId} onChange={(e) => setFilter('productId', e.target.value)}>
+            <option value="">All products</option>
+            {products.map(product => <option key={product.id} value={product.id}>{product.name}</option>)}
+          </select>
+          <select className={selectClass} value={filters.confidence} onChange={(e) => setFilter('confidence', e.target.value)}>
+            <option value="">Any confidence</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+          <select className={selectClass} value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+            <option value="">Any status</option>
+            <option value="draft">Draft</option>
+            <option value="validated">Validated</option>
+            <option value="archived">Archived</option>
+          </select>
+          <select className={selectClass} value={filters.evidenceType} onChange={(e) => setFilter('evidenceType', e.target.value)}>
+            <option value="">Any evidence</option>
+            {Object.entries(EVIDENCE_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          {tags.length > 0 && (
+            <div>
+              <h3 className="text-xs font-semibold text-gray-500 uppercase mb-2">Tags</h3>
+              <div className="flex flex-wrap gap-2">
+                {tags.map(({ tag, count }) => (
+                  <button
+                    key={tag}
+                    onClick={() => setFilter('tag', filters.tag === tag ? '' : tag)}
+                    className={`px-2 py-1 rounded-full text-xs ${
+                      filters.tag === tag ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    #{tag} · {count}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="lg:col-span-3">
+          {loading ? (
+            <div className="flex justify-center py-16">
+              <AirbnbSpinner size="lg" />
+            </div>
+          ) : insights.length === 0 ? (
+            <AirbnbEmptyState
+              icon={LightBulbIcon}
+              title="No insights found"
+              description="Capture a finding and link the messages, transcript excerpts or feedback that support it."
+            />
+          ) : (
+            <div className="space-y-4">
+              {insights.map(insight => (
+                <AirbnbCard
+                  key={insight.id}
+                  hover
+                  className="cursor-pointer"
+                  onClick={() => navigate(`/insights/${insight.id}`)}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{insight.title}</h3>
+                      <p className="text-sm text-gray-600 mt-1 line-clamp-2">{insight.statement}</p>
+                    </div>
+                    <AirbnbBadge variant={CONFIDENCE_VARIANTS[insight.confidence]}>{insight.confidence}</AirbnbBadge>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-gray-500">
+                    <span>{insight.evidence_count} evidence</span>
+                    {insight.product_name && <span>· {insight.product_name}</span>}
+                    {insight.prd_title && <span>· {insight.prd_title}</span>}
+                    <span>· {insight.status}</span>
+                    {(insight.tags || []).map(tag => (
+                      <span key={tag} className="px-2 py-0.5 bg-gray-100 rounded-full">#{tag}</span>
+                    ))}
+                  </div>
+                </AirbnbCard>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Create modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-xl w-full p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-900">New insight</h2>
+              <button onClick={() => setShowCreate(false)} className="p-2 hover:bg-gray-100 rounded-lg">
+                <XMarkIcon className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+            <AirbnbInput
+              placeholder="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+            />
+            <AirbnbTextarea
+              rows={4}
+              placeholder="Statement — what did we learn?"
+              value={form.statement}
+              onChange={(e) => setForm({ ...form, statement: e.target.value })}
+            />
+            <div className="grid grid-cols-2 gap-4">
+              <select className={selectClass} value={form.confidence} onChange={(e) => setForm({ ...form, confidence: e.target.value })}>
+                <option value="high">High confidence</option>
+                <option value="medium">Medium confidence</option>
+                <option value="low">Low confidence</option>
+              </select>
+              <AirbnbInput
+                placeholder="Tags, comma separated"
+                value={form.tags}
+                onChange={(e) => setForm({ ...form, tags: e.target.value })}
+              />
+              <select className={selectClass} value={form.productId} onChange={(e) => setForm({ ...form, productId: e.target.value, prdId: '' })}>
+                <option value="">No product</option>
+                {products.map(product => <option key={product.id} value={product.id}>{product.name}</option>)}
+              </select>
+              <select className={selectClass} value={form.prdId} disabled={!form.productId} onChange={(e) => setForm({ ...form, prdId: e.target.value })}>
+                <option value="">No PRD</option>
+                {prds.map(prd => <option key={prd.id} value={prd.id}>{prd.title}</option>)}
+              </select>
+            </div>
+            <div className="flex justify-end gap-2">
+              <AirbnbButton variant="ghost" onClick={() => setShowCreate(false)}>Cancel</AirbnbButton>
+              <AirbnbButton
+                variant="primary"
+                loading={saving}
+                disabled={!form.title.trim() || !form.statement.trim() || saving}
+                onClick={handleCreate}
+              >
+                Create
+              </AirbnbButton>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InsightRepository;
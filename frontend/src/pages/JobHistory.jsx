@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { io } from 'socket.io-client';
+import {
+  ArrowPathIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  QueueListIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import {
+  AirbnbButton,
+  AirbnbCard,
+  AirbnbBadge,
+  AirbnbSpinner,
+  AirbnbEmptyState
+} from '../design-system/airbnb-components';
+import api from '../utils/api';
+import { cancelJob, retryJob } from '../utils/jobs';
+
+export const JOB_STATUS_VARIANTS = {
+  queued: 'default',
+  active: 'primary',
+  delayed: 'warning',
+  completed: 'success',
+  partial: 'warning',
+  failed: 'error',
+  cancelled: 'default'
+};
+
+const ITEM_STATUS_CLASSES = {
+  pending: 'text-gray-500',
+  active: 'text-blue-600',
+  retrying: 'text-yellow-700',
+  completed: 'text-green-700',
+  failed: 'text-red-700',
+  cancelled: 'text-gray-400'
+};
+
+const JOB_TYPE_LABELS = {
+  transcript_upload: 'Transcript upload',
+  enhanced_transcript: 'Enhanced transcript'
+};
+
+const CANCELLABLE = ['queued', 'active', 'delayed'];
+const RETRYABLE = ['failed', 'partial', 'cancelled'];
+
+const formatDuration = (job) => {
+  if (!job.startedAt) return null;
+  const seconds = Math.round((new Date(job.finishedAt || Date.now()) - new Date(job.startedAt)) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const JobHistory = () => {
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: '', type: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await api.get('/jobs', { params });
+      setJobs(response.data.jobs || []);
+      setTotal(response.data.total || 0);
+    } catch (error) {
+      console.error('Error loading jobs:', error);
+      toast.error('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  // Live updates for jobs already on screen
+  useEffect(() => {
+    const socket = io();
+    socket.on('jobs:update', ({ job }) => {
+      setJobs(prev => prev.map(existing => (existing.id === job.id ? job : existing)));
+    });
+    return () => socket.disconnect();
+  }, []);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const runAction = async (job, action) => {
+    setBusy(job.id);
+    try {
+      const response = action === 'cancel' ? await cancelJob(job.id) : await retryJob(job.id);
+      const updated = response.data.job;
+      setJobs(prev => prev.map(existing => (existing.id === updated.id ? updated : existing)));
+      toast.success(action === 'cancel' ? 'Job cancelled' : 'Failed items queued again');
+    } catch (error) {
+      console.error(`Error trying to ${action} job:`, error);
+      toast.error(error.response?.data?.error || `Failed to ${action} job`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none';
+
+  return (
+    <div className="max-w-7xl mx-auto px-6 py-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Jobs</h1>
+          <p className="text-gray-500 mt-1">{total} background job(s) for transcript processing and persona generation</p>
+        </div>
+        <AirbnbButton variant="outline" onClick={loadJobs}>
+          <ArrowPathIcon className="w-4 h-4 mr-1 inline" />
+          Refresh
+        </AirbnbButton>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Filters */}
+        <div className="space-y-4">
+          <select className={selectClass} value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+            <option value="">Any status</option>
+            {Object.keys(JOB_STATUS_VARIANTS).map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <select className={selectClass} value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+            <option value="">Any type</option>
+            {Object.entries(JOB_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </div>
+
+        {/* Jobs */}
+        <div className="lg:col-span-3">
+          {loading ? (
+            <div className="flex justify-center py-16">
+              <AirbnbSpinner size="lg" />
+            </div>
+          ) : jobs.length === 0 ? (
+            <AirbnbEmptyState
+              icon={QueueListIcon}
+              title="No jobs yet"
+              description="Transcript uploads run in the background and show up here with their progress."
+            />
+          ) : (
+            <div className="space-y-4">
+              {jobs.map(job => {
+                const failedItems = job.items.filter(item => item.status === 'failed');
+                const doneItems = job.items.filter(item => item.status === 'completed').length;
+                const isOpen = expanded === job.id;
+
+                return (
+                  <AirbnbCard key={job.id}>
+                    <div className="flex items-start justify-between gap-4">
+                      <button
+                        className="flex items-start gap-2 text-left"
+                        onClick={() => setExpanded(isOpen ? null : job.id)}
+                      >
+                        {isOpen
+                          ? <ChevronDownIcon className="w-4 h-4 mt-1 text-gray-400" />
+                          : <ChevronRightIcon className="w-4 h-4 mt-1 text-gray-400" />}
+                        <div>
+                          <h3 className="font-semibold text-gray-900">{job.label}</h3>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {JOB_TYPE_LABELS[job.type] || job.type}
+                            {' · '}{new Date(job.createdAt).toLocaleString()}
+                            {formatDuration(job) && ` · ${formatDuration(job)}`}
+                            {job.runs > 1 && ` · ${job.runs} runs`}
+                          </p>
+                        </div>
+                      </button>
+                      <div className="flex items-center gap-2">
+                        <AirbnbBadge variant={JOB_STATUS_VARIANTS[job.status]}>{job.status}</AirbnbBadge>
+                        {CANCELLABLE.includes(job.status) && (
+                          <AirbnbButton size="sm" variant="outline" disabled={busy === job.id} onClick={() => runAction(job, 'cancel')}>
+                            <XMarkIcon className="w-4 h-4 mr-1 inline" />
+                            Cancel
+                          </AirbnbButton>
+                        )}
+                        {RETRYABLE.includes(job.status) && (
+                          <AirbnbButton size="sm" variant="outline" disabled={busy === job.id} onClick={() => runAction(job, 'retry')}>
+                            <ArrowPathIcon className="w-4 h-4 mr-1 inline" />
+                            Retry
+                          </AirbnbButton>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="mt-3">
+                      <div className="w-full bg-gray-100 rounded-full h-2">
+                        <div className="bg-gray-900 h-2 rounded-full transition-all" style={{ width: `${job.progress || 0}%` }} />
+                      </div>
+                      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-500">
+                        <span>{doneItems}/{job.items.length} done</span>
+                        {failedItems.length > 0 && <span className="text-red-700">{failedItems.length} failed</span>}
+                        {job.status === 'delayed' && job.nextRunAt && (
+                          <span>retrying at {new Date(job.nextRunAt).toLocaleTimeString()}</span>
+                        )}
+                        {job.error && <span className="text-red-700">{job.error}</span>}
+                      </div>
+                    </div>
+
+                    {isOpen && (
+                      <ul className="mt-4 border-t border-gray-100 pt-3 space-y-2">
+                        {job.items.map(item => (
+                          <li key={item.index} className="text-sm">
+                            <div className="flex items-center justify-between gap-4">
+                              <span className="text-gray-800">{item.label}</span>
+                              <span className={`text-xs ${ITEM_STATUS_CLASSES[item.status] || 'text-gray-500'}`}>
+                                {item.status}{item.attempts > 1 && ` · ${item.attempts} attempts`}
+                              </span>
+                            </div>
+                            {item.error && <p className="text-xs text-red-700 mt-1">{item.error}</p>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </AirbnbCard>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JobHistory;
@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Avatar,
+  Chip,
+  IconButton,
+  CircularProgress,
+  Divider,
+  TextField,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Tooltip,
+} from '@mui/material';
+import {
+  ArrowBack,
+  PlayArrow,
+  Pause,
+  Stop,
+  Send,
+  Mic,
+  MicOff,
+} from '@mui/icons-material';
+import { useParams, useNavigate } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { toast } from 'react-hot-toast';
+
+const POLICY_LABELS = {
+  'round-robin': 'Round robin',
+  'most-relevant': 'Most relevant',
+  'interrupt-allowed': 'Interrupts allowed',
+};
+
+const LiveSession = () => {
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const [state, setState] = useState(null);
+  const [log, setLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [question, setQuestion] = useState('');
+  const [targetAgentId, setTargetAgentId] = useState('');
+  const [speaking, setSpeaking] = useState(null);
+  const socketRef = useRef(null);
+  const transcriptEndRef = useRef(null);
+
+  useEffect(() => {
+    // Moderator controls need the signed-in user's token
+    const socket = io({ auth: { token: localStorage.getItem('token') } });
+    socketRef.current = socket;
+
+    socket.on('connect', () => {
+      socket.emit('session:join', { sessionId }, (response) => {
+        if (response.success) {
+          setState(response.state);
+          setLog(response.state.log);
+        } else {
+          toast.error(response.error);
+        }
+        setLoading(false);
+      });
+    });
+
+    socket.on('session:state', ({ state: nextState }) => {
+      setState(nextState);
+      if (!nextState.currentSpeakerId) setSpeaking(null);
+    });
+    socket.on('session:turn', ({ turn }) => {
+      setLog((prev) => [...prev, turn]);
+      setSpeaking(null);
+    });
+    socket.on('session:speaking', ({ name }) => setSpeaking(name));
+    socket.on('session:error', ({ error }) => toast.error(error));
+    socket.on('session:ended', ({ state: finalState }) => {
+      setState(finalState);
+      toast.success('Session ended');
+    });
+
+    return () => {
+      socket.emit('session:leave', { sessionId });
+      socket.disconnect();
+    };
+  }, [sessionId]);
+
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [log, speaking]);
+
+  const control = (event, payload = {}) => new Promise((resolve) => {
+    socketRef.current.emit(event, { sessionId, ...payload }, (response) => {
+      if (!response.success) toast.error(response.error);
+      if (response.state) setState(response.state);
+      resolve(response);
+    });
+  });
+
+  const handleAsk = async () => {
+    if (!question.trim()) return;
+    const response = await control('session:ask', {
+      text: question,
+      targetAgentId: targetAgentId || null,
+    });
+    if (response.success) {
+      setQuestion('');
+      setTargetAgentId('');
+    }
+  };
+
+  const handleEnd = async () => {
+    const response = await control('session:end');
+    if (response.success) {
+      navigate(`/user-research/session/${sessionId}`);
+    }
+  };
+
+  const getAvatarColor = (speaker) => {
+    if (speaker === 'Moderator') return '#10B981';
+    const colors = ['#3B82F6', '#EF4444', '#F59E0B', '#8B5CF6', '#EC4899'];
+    const hash = speaker.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+    return colors[hash % colors.length];
+  };
+
+  const targetName = (agentId) => state?.participants.find((p) => p.id === agentId)?.name;
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!state) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Typography variant="h6" color="text.secondary">
+          Live session not found or already ended
+        </Typography>
+        <Button onClick={() => navigate(`/user-research/session/${sessionId}`)}>
+          View transcript
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Button startIcon={<ArrowBack />} onClick={() => navigate('/user-research')} sx={{ mb: 2 }}>
+          Back to Sessions
+        </Button>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
+          <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Chip
+                label={state.ended ? 'Ended' : state.paused ? 'Paused' : 'Live'}
+                color={state.ended ? 'default' : state.paused ? 'warning' : 'error'}
+                size="small"
+              />
+              <Chip label={POLICY_LABELS[state.policy]} size="small" variant="outlined" />
+            </Box>
+            <Typography variant="h4" fontWeight="bold">
+              {state.topic}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Speaker policy</InputLabel>
+              <Select
+                label="Speaker policy"
+                value={state.policy}
+                disabled={state.ended}
+                onChange={(e) => control('session:policy', { policy: e.target.value })}
+              >
+                {Object.entries(POLICY_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button
+              variant="outlined"
+              startIcon={state.paused ? <PlayArrow /> : <Pause />}
+              disabled={state.ended}
+              onClick={() => control(state.paused ? 'session:resume' : 'session:pause')}
+            >
+              {state.paused ? 'Resume' : 'Pause'}
+            </Button>
+            <Button variant="contained" color="error" startIcon={<Stop />} disabled={state.ended} onClick={handleEnd}>
+              End
+            </Button>
+          </Box>
+        </Box>
+      </Box>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '280px 1fr' }, gap: 3 }}>
+        {/* Participants */}
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Participants
+            </Typography>
+            {state.participants.map((participant) => (
+              <Box key={participant.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, py: 1 }}>
+                <Avatar
+                  src={participant.avatar_url}
+                  sx={{
+                    bgcolor: getAvatarColor(participant.name),
+                    opacity: participant.muted ? 0.4 : 1,
+                    outline: state.currentSpeakerId === participant.id ? '3px solid #10B981' : 'none',
+                  }}
+                >
+                  {participant.name[0]}
+                </Avatar>
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" fontWeight={600} noWrap>
+                    {participant.name}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" noWrap>
+                    {state.pendingSpeakers.includes(participant.id) ? 'Waiting to speak' : participant.occupation || participant.location}
+                  </Typography>
+                </Box>
+                <Tooltip title={participant.muted ? 'Unmute' : 'Mute'}>
+                  <span>
+                    <IconButton
+                      size="small"
+                      disabled={state.ended}
+                      onClick={() => control(participant.muted ? 'session:unmute' : 'session:mute', { agentId: participant.id })}
+                    >
+                      {participant.muted ? <MicOff color="error" /> : <Mic />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Transcript & moderator controls */}
+        <Card>
+          <CardContent>
+            <Box sx={{ maxHeight: '55vh', overflowY: 'auto', pr: 1 }}>
+              {log.map((turn, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+                  <Avatar src={turn.avatar} sx={{ bgcolor: getAvatarColor(turn.speaker), width: 36, height: 36 }}>
+                    {turn.speaker[0]}
+                  </Avatar>
+                  <Box>
+                    <Typography variant="subtitle2" fontWeight="bold">
+                      {turn.speaker}
+                      {turn.targetAgentId && (
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {' '}→ {targetName(turn.targetAgentId)}
+                        </Typography>
+                      )}
+                      {turn.interruption && <Chip label="jumped in" size="small" sx={{ ml: 1 }} />}
+                    </Typography>
+                    <Typography variant="body2">{turn.text}</Typography>
+                  </Box>
+                </Box>
+              ))}
+              {speaking && (
+                <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic', mb: 2 }}>
+                  {speaking} is speaking…
+                </Typography>
+              )}
+              <div ref={transcriptEndRef} />
+            </Box>
+
+            <Divider sx={{ my: 2 }} />
+
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <FormControl size="small" sx={{ minWidth: 160 }}>
+                <InputLabel>Ask</InputLabel>
+                <Select
+                  label="Ask"
+                  value={targetAgentId}
+                  disabled={state.ended}
+                  onChange={(e) => setTargetAgentId(e.target.value)}
+                >
+                  <MenuItem value="">Everyone</MenuItem>
+                  {state.participants.filter((p) => !p.muted).map((p) => (
+                    <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                fullWidth
+                size="small"
+                placeholder="Ask a question or follow-up…"
+                value={question}
+                disabled={state.ended}
+                onChange={(e) => setQuestion(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    handleAsk();
+                  }
+                }}
+              />
+              <Button variant="contained" endIcon={<Send />} disabled={state.ended || !question.trim()} onClick={handleAsk}>
+                Ask
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      </Box>
+    </Container>
+  );
+};
+
+export default LiveSession;
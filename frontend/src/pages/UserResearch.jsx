@@ -491,7 +491,7 @@ const UserResearch = () => {
                         {session.topic}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        {session.duration_minutes} min • {session.log_json?.length || 0} messages
+                        {session.duration_minutes} min • {session.message_count ?? session.log_json?.length ?? 0} messages
                       </Typography>
                     </Box>
                   ))}
@@ -93,6 +93,9 @@ const UserResearchModern = () => {
   const [topic, setTopic] = useState('');
   const [selectedAgents, setSelectedAgents] = useState([]);
   const [availableAgents, setAvailableAgents] = useState([]);
+  // Pin participants to an earlier persona version: { agentId: version }
+  const [personaVersions, setPersonaVersions] = useState({});
+  const [agentVersions, setAgentVersions] = useState({});
   const [recentSessions, setRecentSessions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -145,6 +148,31 @@ const UserResearchModern = () => {
     }
   };
 
+  // Version history of selected agents that have been edited, for pinning.
+  // Requested ids live in a ref so each history is fetched once, even while in flight.
+  const versionRequestsRef = React.useRef(new Set());
+  useEffect(() => {
+    selectedAgents
+      .filter(agent => (agent.persona_version || 1) > 1 && !versionRequestsRef.current.has(agent.id))
+      .forEach(async (agent) => {
+        versionRequestsRef.current.add(agent.id);
+        try {
+          const response = await api.get(`/agents/v5/${agent.id}/versions`);
+          setAgentVersions(prev => ({ ...prev, [agent.id]: response.data.versions }));
+        } catch (error) {
+          versionRequestsRef.current.delete(agent.id);
+          console.error('Error fetching persona versions:', error);
+        }
+      });
+    setPersonaVersions(prev => Object.fromEntries(
+      Object.entries(prev).filter(([agentId]) => selectedAgents.some(agent => agent.id === agentId))
+    ));
+  }, [selectedAgents]);
+
+  const pinnedVersions = () => Object.fromEntries(
+    Object.entries(personaVersions).filter(([, version]) => version)
+  );
+
   const fetchRecentSessions = async () => {
     try {
       const response = await api.get('/sessions/recent');
@@ -197,6 +225,7 @@ const UserResearchModern = () => {
         type: sessionType,
         agentIds: selectedAgents.map((a) => a.id),
         topic: topic,
+        personaVersions: pinnedVersions(),
       });
 
       setSuccess('Session created successfully!');
@@ -214,6 +243,33 @@ const UserResearchModern = () => {
     }
   };
 
+  const handleStartLiveSession = async () => {
+    if (!topic.trim()) {
+      toast.error('Please enter a research topic first');
+      return;
+    }
+
+    if (selectedAgents.length < 2) {
+      toast.error('Live sessions need at least two agents');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/sessions/live', {
+        agentIds: selectedAgents.map((a) => a.id),
+        topic: topic,
+        personaVersions: pinnedVersions(),
+      });
+      navigate(`/user-research/live/${response.data.sessionId}`);
+    } catch (error) {
+      console.error('Error starting live session:', error);
+      toast.error(error.response?.data?.error || 'Failed to start live session');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleStartCall = (type) => {
     if (selectedAgents.length === 0) {
       toast.error('Please select agents first');
@@ -482,6 +538,21 @@ const UserResearchModern = () => {
                             {agent.occupation}
                           </p>
                         </div>
+                        {(agentVersions[agent.id] || []).length > 1 && (
+                          <select
+                            value={personaVersions[agent.id] || ''}
+                            onChange={(e) => setPersonaVersions(prev => ({ ...prev, [agent.id]: e.target.value ? Number(e.target.value) : '' }))}
+                            className="text-xs border border-gray-200 rounded-lg px-2 py-1 bg-white"
+                            title="Persona version this agent runs as"
+                          >
+                            <option value="">Latest (v{agent.persona_version})</option>
+                            {agentVersions[agent.id]
+                              .filter(version => version.version !== agent.persona_version)
+                              .map(version => (
+                                <option key={version.id} value={version.version}>v{version.version}</option>
+                              ))}
+                          </select>
+                        )}
                         <button
                           onClick={() => handleAgentToggle(agent)}
                           className="text-gray-400 hover:text-red-500"
@@ -512,6 +583,18 @@ const UserResearchModern = () => {
                   Start Session
                 </AirbnbButton>
 
+                {sessionType === 'group' && selectedAgents.length >= 2 && (
+                  <AirbnbButton
+                    variant="secondary"
+                    onClick={handleStartLiveSession}
+                    disabled={loading || isInCall}
+                    className="px-6"
+                  >
+                    <MicrophoneIcon className="w-5 h-5 mr-2" />
+                    Live Session
+                  </AirbnbButton>
+                )}
+
                 {selectedAgents.length > 0 && (
                   <>
                     <AirbnbButton
@@ -591,7 +674,12 @@ const UserResearchModern = () => {
           {/* Recent Sessions */}
           <div>
             <AirbnbCard className="h-fit" padding="lg">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Sessions</h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Recent Sessions</h3>
+                <AirbnbButton variant="ghost" size="sm" onClick={() => navigate('/user-research/affinity')}>
+                  Affinity Maps
+                </AirbnbButton>
+              </div>
               
               {recentSessions.length > 0 ? (
                 <div className="space-y-3">
@@ -6,6 +6,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast } from 'react-hot-toast';
+import { useNavigate } from 'react-router-dom';
 import MessageBeautifier from '../../components/MessageBeautifier';
 import { 
     MagnifyingGlassIcon,
@@ -42,7 +43,8 @@ import {
     WrenchScrewdriverIcon,
     BuildingOfficeIcon,
     BriefcaseIcon,
-    FunnelIcon
+    FunnelIcon,
+    TableCellsIcon
 } from '@heroicons/react/24/outline';
 import { PhoneIcon as PhoneSolid, VideoCameraIcon as VideoSolid } from '@heroicons/react/24/solid';
 import { AirbnbButton, AirbnbCard, AirbnbInput, AirbnbBadge, AirbnbSpinner } from '../../design-system/airbnb-components';
@@ -86,6 +88,7 @@ const getProfessionIcon = (occupation) => {
 };
 
 const EnhancedGroupChatPage = () => {
+    const navigate = useNavigate();
     const [conversations, setConversations] = useState([]);
     const [selectedConversation, setSelectedConversation] = useState(null);
     const [messages, setMessages] = useState([]);
@@ -342,7 +345,8 @@ const EnhancedGroupChatPage = () => {
                 const resp = await api.post('/ai/parallel/parallel-chat', {
                     agentIds: selectedConversation.agentIds,
                     message: outgoingText,
-                    chatHistory: messages
+                    chatHistory: messages,
+                    sessionId: selectedConversation.id
                 });
 
                 const responses = resp.data?.responses || [];
@@ -633,6 +637,19 @@ const EnhancedGroupChatPage = () => {
                                         </>
                                     )}
 
+                                    {/* Compare answers across personas */}
+                                    {selectedConversation.isGroup && (
+                                        <AirbnbButton
+                                            variant="outline"
+                                            size="sm"
+                                            onClick={() => navigate(`/group-chat/comparison?sessionId=${selectedConversation.id}`)}
+                                            disabled={messages.length === 0}
+                                        >
+                                            <TableCellsIcon className="w-4 h-4 mr-2" />
+                                            Compare
+                                        </AirbnbButton>
+                                    )}
+
                                     {/* Summary Button */}
                                     <AirbnbButton
                                         variant="outline"
@@ -9,6 +9,7 @@ const useChatStore = create((set, get) => ({
             error: null,
             uiContext: null,
             usabilityResults: null,
+            regenerateOnDrift: localStorage.getItem('regenerate_on_drift') === 'true',
 
             // Group chat state
             activeGroupId: null,
@@ -70,12 +71,13 @@ const useChatStore = create((set, get) => ({
                 });
             },
 
-            appendMessage: ({ role, content, ui_path = null, timestamp = new Date().toISOString() }) => {
+            appendMessage: ({ role, content, ui_path = null, consistency = null, timestamp = new Date().toISOString() }) => {
                 const message = {
                     id: Date.now() + Math.random(),
                     role,
                     content,
                     ui_path,
+                    consistency,
                     timestamp,
                 };
 
@@ -96,10 +98,16 @@ const useChatStore = create((set, get) => ({
                         query: message,
                         ui_path,
                         chat_history: chatHistory,
+                        regenerateOnDrift: get().regenerateOnDrift,
                     });
 
                     if (response.data?.success && response.data.response) {
-                        get().appendMessage({ role: 'agent', content: response.data.response, ui_path });
+                        get().appendMessage({
+                            role: 'agent',
+                            content: response.data.response,
+                            ui_path,
+                            consistency: response.data.consistency || null,
+                        });
                     } else {
                         throw new Error('Invalid response format');
                     }
@@ -116,6 +124,11 @@ const useChatStore = create((set, get) => ({
                 }
             },
 
+            setRegenerateOnDrift: (enabled) => {
+                localStorage.setItem('regenerate_on_drift', String(enabled));
+                set({ regenerateOnDrift: enabled });
+            },
+
             uploadUI: async (imageFile) => {
                 const { currentAgentId } = get();
                 if (!currentAgentId) {
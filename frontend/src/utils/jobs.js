@@ -0,0 +1,54 @@
+import { io } from 'socket.io-client';
+import api from './api';
+
+export const FINISHED_JOB_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+
+export const isJobFinished = (job) => FINISHED_JOB_STATUSES.includes(job?.status);
+
+/**
+ * Follow a background job until it finishes. Progress comes over Socket.IO
+ * (job-<id> room); polling covers missed events and dropped sockets.
+ * Resolves with the finished job (its `result` holds the handler's output).
+ */
+export const waitForJob = (jobId, { onProgress, pollMs = 5000 } = {}) => new Promise((resolve, reject) => {
+  const socket = io();
+  let poller = null;
+  let done = false;
+
+  const finish = (job, error) => {
+    if (done) return;
+    done = true;
+    clearInterval(poller);
+    socket.emit('job:unsubscribe', { jobId });
+    socket.disconnect();
+    if (error) reject(error);
+    else resolve(job);
+  };
+
+  const update = (job, message) => {
+    if (!job || done) return;
+    if (onProgress) onProgress(job, message);
+    if (isJobFinished(job)) finish(job);
+  };
+
+  socket.on('connect', () => {
+    socket.emit('job:subscribe', { jobId }, (response) => {
+      if (response?.success) update(response.job);
+    });
+  });
+  socket.on('job:progress', ({ job, message }) => update(job, message));
+  socket.on('job:finished', ({ job }) => update(job));
+
+  poller = setInterval(async () => {
+    try {
+      const response = await api.get(`/jobs/${jobId}`);
+      update(response.data.job);
+    } catch (error) {
+      if (error.response?.status === 404) finish(null, new Error('Job not found'));
+    }
+  }, pollMs);
+});
+
+export const cancelJob = (jobId) => api.post(`/jobs/${jobId}/cancel`);
+
+export const retryJob = (jobId) => api.post(`/jobs/${jobId}/retry`);